@@ -1,54 +1,29 @@
-"use client";
-import React, { useEffect, useState } from "react";
+import React from "react";
+import { notFound } from "next/navigation";
 import Banner from "@/components/Pages/Banner";
-import Link from "next/link";
-import ErrorPage from "@/components/404/page";
-import { initFlowbite } from "flowbite";
+import FlowbiteInit from "@/components/Pages/FlowbiteInit";
+import { getPageBySlug, getSlugs } from "@/lib/wordpress";
 
-export default function Page({ params }) {
-  const paramUrl = params.slug;
-  const [title, setTitle] = useState(null);
-  const [content, setContent] = useState(null);
-  const [error, setError] = useState(false); // Error state to handle error page
-
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(
-          `https://docs.aarnalaw.com/wp-json/wp/v2/pages?_embed&slug=${paramUrl}`,
-        );
-        const data = await response.json();
-
-        if (data && data.length > 0) {
-          const post = data[0];
-          // Set post details in state
-
-          setTitle(post.title.rendered);
-          setContent(post.content.rendered);
-        } else {
-          console.error("No post data found.");
-          setError(true); // Set error state if no post found
-        }
-      } catch (error) {
-        console.error("Error fetching data:", error);
-      }
-    };
-    initFlowbite(); // Initialize Flowbite after the data is loaded
+// Known WordPress pages; the pages still render per request, like every route
+// that reads the locale (see getLocale in lib/i18n.js)
+export async function generateStaticParams() {
+  const slugs = await getSlugs("pages").catch(() => []);
+  return slugs.map((slug) => ({ slug }));
+}
 
-    fetchData();
-  }, [paramUrl]);
+export default async function Page({ params }) {
+  const post = await getPageBySlug(params.slug);
 
-  if (error) {
-    return <ErrorPage />;
-  }
+  if (!post) notFound();
 
   return (
     <>
-      <Banner title={title} />
+      <FlowbiteInit />
+      <Banner title={post.title.rendered} />
       <div className="mx-auto flex w-11/12 py-12">
         <span
-          dangerouslySetInnerHTML={{ __html: content }}
-          className="team-content"
+          dangerouslySetInnerHTML={{ __html: post.content.rendered }}
+          className="team-content wp-content"
         ></span>
       </div>
     </>
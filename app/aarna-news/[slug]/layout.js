@@ -1,28 +1,28 @@
+import { getFeaturedImageUrl, getNewsBySlug } from "@/lib/wordpress";
+import { articleSchema, breadcrumbSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
+
 export async function generateMetadata({ params }) {
   const { slug } = params;
 
-  const res = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/posts?_embed&slug=${slug}`
-  );
-  const data = await res.json();
+  const blog = localizeItem(await getNewsBySlug(slug).catch(() => null), getLocale());
 
-  if (!data || data.length === 0) {
+  if (!blog) {
     return {
       title: "Blog Not Found | Aarna Law",
       description: "The blog you are looking for is not available.",
     };
   }
 
-  const blog = data[0];
-
   // Get the featured image URL safely
-  const imageUrl = blog._embedded?.["wp:featuredmedia"]?.[0]?.source_url?.startsWith("http")
-    ? blog._embedded["wp:featuredmedia"][0].source_url
-    : `https://docs.aarnalaw.com${blog._embedded["wp:featuredmedia"][0].source_url}`;
+  const imageUrl = getFeaturedImageUrl(blog) || "/aarnalaw_new_banner.jpg";
 
   return {
     title: blog.acf?.meta_title || blog.title.rendered,
     description: blog.acf?.meta_description || "Read more about this topic.",
+    alternates: localeAlternates((locale) => `/aarna-news/${localizedSlug(blog, locale)}`),
     openGraph: {
       title: blog.acf?.meta_title || blog.title.rendered,
       description: blog.acf?.meta_description || "Read more about this topic.",
@@ -40,7 +40,23 @@ export async function generateMetadata({ params }) {
   };
 }
 
-// ✅ Default export - A React component (needed for Next.js to work)
-export default function InsightPostLayout({ children }) {
-  return <>{children}</>;
+export default async function InsightPostLayout({ children, params }) {
+  const blog = await getNewsBySlug(params.slug).catch(() => null);
+  if (!blog) return children;
+
+  const path = `/aarna-news/${params.slug}`;
+  return (
+    <>
+      <JsonLd
+        data={[
+          articleSchema(blog, "aarna-news", "NewsArticle"),
+          breadcrumbSchema([
+            ["Aarna News", "/aarna-news"],
+            [blog.title.rendered, path],
+          ]),
+        ]}
+      />
+      {children}
+    </>
+  );
 }
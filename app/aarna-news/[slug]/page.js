@@ -1,5 +1,24 @@
+import { notFound } from "next/navigation";
 import PostContent from "../../../components/News/InsidePage/PostContent";
+import { getSiteProductionMode } from "@/lib/getProductionMode";
+import { CATEGORIES, getNewsBySlug, getSlugs } from "@/lib/wordpress";
 
-export default function Page({ params }) {
-  return <PostContent slug={params.slug} />;
+// Known news posts; the pages still render per request, like every route
+// that reads the locale (see getLocale in lib/i18n.js)
+export async function generateStaticParams() {
+  const slugs = await getSlugs("posts", {
+    productionMode: getSiteProductionMode(),
+    categories: CATEGORIES.NEWS,
+  }).catch(() => []);
+  return slugs.map((slug) => ({ slug }));
+}
+
+export default async function Page({ params }) {
+  const post = await getNewsBySlug(params.slug, {
+    productionMode: getSiteProductionMode(),
+  });
+
+  if (!post) notFound();
+
+  return <PostContent post={post} />;
 }
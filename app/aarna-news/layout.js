@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "News and Updates",
   description:
     "Keep up with the latest news and updates from Aarna Law. Discover firm announcements, key legal developments, and significant achievements in our practice.",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/aarna-news",
-  },
+  alternates: localeAlternates("/aarna-news"),
   openGraph: {
     title: "News and Updates",
     description:
@@ -13,7 +13,7 @@ export const metadata = {
     url: "/aarna-news",
     images: "/insights/InsightsBanner.jpg",
   },
-};
+});
 
 export default function RootLayout({ children }) {
   return <>{children}</>;
@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "Learn About Aarna Law | Boutique Legal Services in India",
   description:
     "Tailored Legal Solutions at Aarna Law | Trusted Advisors Offering International Legal Solutions from India",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/about-us",
-  },
+  alternates: localeAlternates("/about-us"),
   openGraph: {
     title: "Learn About Aarna Law | Boutique Legal Services in India",
     description:
@@ -13,7 +13,7 @@ export const metadata = {
     url: "/about-us",
     images: "/aboutUs/aboutusbanner.png",
   },
-};
+});
 
 export default function RootLayout({ children }) {
   return <>{children}</>;
@@ -0,0 +1,19 @@
+import { getIndexNowKey } from "@/lib/indexnow";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET handler for the IndexNow key file
+ * WHY: Search engines fetch it from the keyLocation we submit to prove we own
+ * the host. Served at INDEXNOW_KEY_PATH through a rewrite in next.config.mjs.
+ */
+export async function GET() {
+  const key = getIndexNowKey();
+  if (!key) return new Response("Not found", { status: 404 });
+
+  return new Response(key, {
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
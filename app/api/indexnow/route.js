@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { getIndexNowLog, submitIndexNow } from "@/lib/indexnow";
+import { hasValidSecret } from "@/lib/secrets";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const MAX_URLS = 10000;
+
+/**
+ * Checks the revalidation secret
+ * WHY: Submissions spend the site's IndexNow quota and the log lists drafts'
+ * URLs as soon as they are published.
+ * Accepts the `x-revalidate-secret` header or a `secret` query parameter.
+ */
+const isAuthorized = (request) =>
+  hasValidSecret(request, "REVALIDATE_SECRET", "x-revalidate-secret");
+
+/**
+ * GET handler returning recent IndexNow submissions
+ * WHY: Shows what search engines were told about, and whether it was accepted.
+ */
+export async function GET(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Invalid revalidation token" }, { status: 401 });
+  }
+  return NextResponse.json(getIndexNowLog());
+}
+
+/**
+ * POST handler for submitting URLs by hand
+ * WHY: Changes made outside WordPress (e.g. code deploys) have no webhook.
+ * Body: { "urls": ["/about-us", "https://www.aarnalaw.com/careers"] }
+ */
+export async function POST(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Invalid revalidation token" }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Expected a JSON body" }, { status: 400 });
+  }
+
+  const urls = body?.urls;
+  if (!Array.isArray(urls) || !urls.length || urls.length > MAX_URLS) {
+    return NextResponse.json(
+      { error: `"urls" must be a list of 1 to ${MAX_URLS} paths or URLs` },
+      { status: 400 },
+    );
+  }
+
+  const submitted = await submitIndexNow(urls.filter((url) => typeof url === "string"));
+
+  return NextResponse.json({ ...getIndexNowLog(), submitted });
+}
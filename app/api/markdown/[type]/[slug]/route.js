@@ -0,0 +1,29 @@
+import { MARKDOWN_TYPES, renderArticleMarkdown } from "@/lib/llms";
+import { SITE_URL } from "@/lib/sitemap";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety net.
+export const revalidate = 3600;
+
+/**
+ * GET handler for Markdown renditions of insights and publications
+ * WHY: AI assistants read Markdown more reliably than rendered pages.
+ * Served at /insights/<slug>.md and /publications/<slug>.md through rewrites
+ * in next.config.mjs.
+ */
+export async function GET(_request, { params }) {
+  if (!(params.type in MARKDOWN_TYPES)) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const markdown = await renderArticleMarkdown(params.type, params.slug);
+  if (!markdown) return new Response("Not found", { status: 404 });
+
+  return new Response(markdown, {
+    headers: {
+      "Content-Type": "text/markdown; charset=utf-8",
+      // The HTML page is the one to index
+      Link: `<${SITE_URL}/${params.type}/${params.slug}>; rel="canonical"`,
+    },
+  });
+}
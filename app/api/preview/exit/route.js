@@ -0,0 +1,29 @@
+import { draftMode } from "next/headers";
+import { redirect } from "next/navigation";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET handler to leave preview mode
+ * WHY: Clears the draft mode cookie and sends the editor back to the page they
+ * were on, now showing the published version.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const path = searchParams.get("path") || "/";
+
+  draftMode().disable();
+
+  // Resolve the path the way a browser would ("/\evil.com" is "//evil.com")
+  // and only follow it on this site, to avoid an open redirect
+  let target;
+  try {
+    target = new URL(path, request.url);
+  } catch {
+    target = null;
+  }
+  const { origin } = new URL(request.url);
+  redirect(target?.origin === origin ? target.href : "/");
+}
@@ -0,0 +1,62 @@
+import { NextResponse } from "next/server";
+import { draftMode } from "next/headers";
+import { redirect } from "next/navigation";
+import { PREVIEW_TYPES, getPreviewPath } from "@/lib/preview";
+import { hasValidSecret } from "@/lib/secrets";
+import { getPreviewItem } from "@/lib/wordpress";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET handler for WordPress "Preview" links
+ * WHY: Editors need to see drafts rendered on the site before publishing.
+ * Expects ?secret=<WORDPRESS_PREVIEW_SECRET>&type=<post type>&id=<post id>
+ * (or &slug=<slug>), enables draft mode and redirects to the page.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const type = searchParams.get("type") || "post";
+  const id = searchParams.get("id");
+  const slug = searchParams.get("slug");
+
+  // WordPress links here, so the secret is only ever in the query string
+  if (!hasValidSecret(request, "WORDPRESS_PREVIEW_SECRET")) {
+    return NextResponse.json({ error: "Invalid preview token" }, { status: 401 });
+  }
+
+  if (!PREVIEW_TYPES[type]) {
+    return NextResponse.json(
+      { error: `Preview is not supported for type "${type}"` },
+      { status: 400 },
+    );
+  }
+
+  if (!id && !slug) {
+    return NextResponse.json(
+      { error: "Missing id or slug parameter" },
+      { status: 400 },
+    );
+  }
+
+  // Resolve the item before enabling draft mode so a bad link can't leave the
+  // editor stuck in preview on a 404.
+  let item;
+  try {
+    item = await getPreviewItem(PREVIEW_TYPES[type].endpoint, { id, slug });
+  } catch (error) {
+    console.error("❌ Preview lookup failed:", error);
+    return NextResponse.json(
+      { error: "Unable to load the requested draft" },
+      { status: 502 },
+    );
+  }
+
+  if (!item) {
+    return NextResponse.json({ error: "Draft not found" }, { status: 404 });
+  }
+
+  draftMode().enable();
+  redirect(getPreviewPath(type, item));
+}
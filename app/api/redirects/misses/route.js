@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { getNotFoundReport, resetNotFoundLog } from "@/lib/notFoundLog";
+import { hasValidSecret } from "@/lib/secrets";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * Checks the shared secret
+ * WHY: Missed paths can include referrers and probe URLs we do not publish.
+ * Accepts the `x-redirects-secret` header or a `secret` query parameter.
+ */
+const isAuthorized = (request) =>
+  hasValidSecret(request, "REDIRECTS_SECRET", "x-redirects-secret");
+
+/**
+ * GET handler returning the most missed paths
+ * WHY: Shows which old URLs still get traffic so redirect rules can be added.
+ * Query: ?limit=100, ?reset=1 to clear the counts after reading them
+ */
+export async function GET(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Invalid redirects secret" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(Number(searchParams.get("limit")) || 100, 1000);
+  const report = getNotFoundReport(limit);
+  if (searchParams.get("reset") === "1") resetNotFoundLog();
+
+  return NextResponse.json(report);
+}
@@ -0,0 +1,109 @@
+import { NextResponse } from "next/server";
+import { revalidatePath, revalidateTag } from "next/cache";
+import { CONTENT_ROUTES, getRevalidationTargets, isPagePath } from "@/lib/revalidation";
+import { submitIndexNow } from "@/lib/indexnow";
+import { resetSearchIndex } from "@/lib/search";
+import { resetTranslatedSlugs, wpFetch } from "@/lib/wordpress";
+import { hasValidSecret } from "@/lib/secrets";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const ACTIONS = ["save", "publish", "update", "delete", "trash", "unpublish"];
+
+/**
+ * Checks the shared secret sent by WordPress
+ * WHY: Anyone could otherwise flush the cache and hammer docs.aarnalaw.com.
+ * Accepts the `x-revalidate-secret` header or a `secret` query parameter.
+ */
+const isAuthorized = (request) =>
+  hasValidSecret(request, "REVALIDATE_SECRET", "x-revalidate-secret");
+
+// The item as WordPress has it now, for its categories and translated slugs;
+// null once it is unpublished, trashed or deleted
+async function getCurrentItem(endpoint, slug) {
+  if (!slug) return null;
+  try {
+    const items = await wpFetch(
+      endpoint,
+      { slug, _fields: "slug,categories,acf" },
+      { revalidate: 0 },
+    );
+    return Array.isArray(items) ? items[0] || null : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST handler for WordPress save/publish/delete hooks
+ * WHY: Pages are cached long-term and only refreshed when content changes.
+ * Body: { "post_type": "post", "slug": "my-post", "previous_slug"?: "old",
+ *         "action"?: "publish", "categories"?: [12] }
+ * `categories` only matters for posts WordPress no longer returns (deleted
+ * ones): it says whether the post was an insight or news.
+ */
+export async function POST(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Invalid revalidation token" }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Expected a JSON body" }, { status: 400 });
+  }
+
+  const postType = body.post_type || body.type;
+  const action = body.action || "publish";
+
+  if (!ACTIONS.includes(action)) {
+    return NextResponse.json(
+      { error: `Unknown action "${action}"` },
+      { status: 400 },
+    );
+  }
+
+  const endpoint = CONTENT_ROUTES[postType]?.endpoint;
+  const item =
+    (endpoint && (await getCurrentItem(endpoint, body.slug))) ||
+    (Array.isArray(body.categories) ? { slug: body.slug, categories: body.categories } : null);
+  const targets = getRevalidationTargets(postType, [body.slug, body.previous_slug], item);
+  if (!targets) {
+    return NextResponse.json(
+      {
+        error: `Unknown post type "${postType}"`,
+        supported: Object.keys(CONTENT_ROUTES),
+      },
+      { status: 400 },
+    );
+  }
+
+  targets.tags.forEach((tag) => revalidateTag(tag));
+  targets.paths.forEach((path) => revalidatePath(path));
+  // Rebuilt from the refreshed content on the next search / slug lookup
+  if (action !== "save") {
+    resetSearchIndex();
+    resetTranslatedSlugs();
+  }
+
+  console.log(`♻️ Revalidated ${postType} (${action}):`, targets);
+
+  // Draft saves change nothing public; deleted pages are submitted too, so
+  // search engines drop them sooner
+  const indexNow =
+    action === "save"
+      ? []
+      : await submitIndexNow(targets.paths.filter(isPagePath));
+
+  return NextResponse.json({
+    revalidated: true,
+    action,
+    postType,
+    ...targets,
+    indexNow,
+    timestamp: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { getSearchReport, resetSearchLog } from "@/lib/searchLog";
+import { hasValidSecret } from "@/lib/secrets";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * Checks the shared secret for reading the report
+ * WHY: Visitors sometimes search for names, emails or case details.
+ * Accepts the `x-search-report-secret` header or a `secret` query parameter.
+ */
+const isAuthorized = (request) =>
+  hasValidSecret(request, "SEARCH_REPORT_SECRET", "x-search-report-secret");
+
+/**
+ * GET handler returning the most searched queries and those that found nothing
+ * WHY: Shows the content team what visitors look for and fail to find.
+ * Query: ?limit=100, ?reset=1 to clear the counts after reading them
+ */
+export async function GET(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Invalid search report secret" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(Number(searchParams.get("limit")) || 100, 1000);
+  const report = getSearchReport(limit);
+  if (searchParams.get("reset") === "1") resetSearchLog();
+
+  return NextResponse.json(report);
+}
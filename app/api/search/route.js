@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { DEFAULT_LOCALE, isLocale } from "@/lib/locales";
+import { SEARCH_TYPES, searchQueryFromParams, searchSite } from "@/lib/search";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET handler for site search (lib/search.js)
+ * WHY: One ranked index serves the header search and listing pages instead
+ * of each asking WordPress from the browser. API routes skip the locale
+ * middleware, so the display language is a parameter. Searches here are
+ * as-you-type and not logged; the /search page logs submitted ones.
+ * Query: ?q=arbitration&type=insight,publication&practiceArea=<slug>
+ *        &industry=<slug>&year=2024&language=hi&locale=hi&sort=date
+ *        &page=2&perPage=10
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const query = searchQueryFromParams(searchParams);
+
+  const unknownType = query.filters.type.find((type) => !(type in SEARCH_TYPES));
+  if (unknownType) {
+    return NextResponse.json(
+      { error: `Unknown type "${unknownType}"`, supported: Object.keys(SEARCH_TYPES) },
+      { status: 400 },
+    );
+  }
+
+  const locale = searchParams.get("locale");
+
+  try {
+    const results = await searchSite({
+      ...query,
+      locale: isLocale(locale) ? locale : DEFAULT_LOCALE,
+    });
+
+    return NextResponse.json(results, {
+      headers: { "Cache-Control": "public, s-maxage=60, stale-while-revalidate=300" },
+    });
+  } catch (error) {
+    console.error("❌ Search failed:", error);
+    return NextResponse.json({ error: "Search is unavailable" }, { status: 503 });
+  }
+}
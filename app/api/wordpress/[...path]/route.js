@@ -0,0 +1,95 @@
+import { NextResponse } from "next/server";
+import config from "../../../../config.json";
+import { CATEGORIES, wpFetch } from "@/lib/wordpress";
+import { TRANSLATED_SLUG_FIELDS } from "@/lib/localizedFields";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// Public collections client components read; anything else (users,
+// revisions, autosaves, settings) is not passed through
+const COLLECTIONS = [
+  "archives",
+  "industries",
+  "jobs",
+  "media",
+  "pages",
+  "podcast",
+  "practice-areas",
+  "posts",
+  "publications",
+  "team",
+];
+
+const text = (test) => (value) => typeof value === "string" && test(value);
+const list = (test) => (values) => Array.isArray(values) && values.every(test);
+const inRange = (min, max) => text((value) => /^\d+$/.test(value) && value >= min && value <= max);
+
+const CATEGORY_IDS = Object.values(CATEGORIES).flat().map(String);
+const PRODUCTION_MODES = [config.LIVE_PRODUCTION_SERVER_ID, config.STAG_PRODUCTION_SERVER_ID].map(String);
+// Asked for when looking up a translated slug
+const FIELDS = ["slug", ...TRANSLATED_SLUG_FIELDS.map((field) => `acf.${field}`)];
+
+// The query parameters client components send (through the getters in
+// lib/wordpress.js) and the values each may take. Anything else is refused,
+// so the cache only ever holds queries the site itself makes.
+const PARAMS = {
+  _embed: (value) => value === true,
+  _fields: text((value) => value.split(",").every((field) => FIELDS.includes(field))),
+  after: text((value) => /^\d{4}-01-01T00:00:00$/.test(value)),
+  before: text((value) => /^\d{4}-12-31T23:59:59$/.test(value)),
+  categories: text((value) => value.split(",").every((id) => CATEGORY_IDS.includes(id))),
+  page: inRange(1, 1000),
+  per_page: inRange(1, 100),
+  production_mode: list((value) => PRODUCTION_MODES.includes(value)),
+  slug: text((value) => /^[\p{L}\p{M}\p{N}_-]{1,200}$/u.test(value)),
+  status: list((value) => value === "publish"),
+};
+
+// Back to the params object wpFetch serialises: `key[]=a&key[]=b` becomes an
+// array and a bare flag (`_embed`) becomes `true`
+function toParams(searchParams) {
+  const params = {};
+  for (const [key, value] of searchParams) {
+    if (key.endsWith("[]")) {
+      const name = key.slice(0, -2);
+      params[name] = [...(params[name] || []), value];
+    } else {
+      params[key] = value === "" ? true : value;
+    }
+  }
+  return params;
+}
+
+/**
+ * GET handler for WordPress REST reads made from the browser
+ * WHY: HTML is only sanitized on the server (lib/html.js), and client
+ * components inject it with dangerouslySetInnerHTML. wpFetch sends browser
+ * requests here, so they get the same prepared HTML as server-rendered pages.
+ * Path: /api/wordpress/<collection> or /api/wordpress/<collection>/<id>,
+ *       with the WordPress query string (only the parameters in PARAMS)
+ */
+export async function GET(request, { params }) {
+  const [collection, id, ...rest] = params.path;
+  if (!COLLECTIONS.includes(collection) || rest.length || (id && !/^\d+$/.test(id))) {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
+  const query = toParams(new URL(request.url).searchParams);
+  const invalid = Object.keys(query).find((key) => !PARAMS[key]?.(query[key]));
+  if (invalid) {
+    return NextResponse.json({ error: `Unsupported query parameter "${invalid}"` }, { status: 400 });
+  }
+
+  try {
+    const data = await wpFetch(params.path.join("/"), query);
+    return NextResponse.json(data, {
+      headers: { "Cache-Control": "public, s-maxage=60, stale-while-revalidate=300" },
+    });
+  } catch (error) {
+    // fetchAll relies on WordPress's 400 for a page past the end
+    const status = error.status >= 400 && error.status < 500 ? error.status : 502;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { isFixtureSource, offlineZohoResponse } from '@/lib/contentSource';
 
 // Route segment config
 export const runtime = 'nodejs';
@@ -107,6 +108,11 @@ export async function GET() {
 }
 
 export async function POST(request) {
+    // Offline development: never reach Zoho from fixture mode
+    if (isFixtureSource()) {
+        return NextResponse.json(offlineZohoResponse('Contacts'));
+    }
+
     console.log('=== ZOHO API ROUTE CALLED ===');
     console.log('📍 Route: /api/zoho/Contacts');
     console.log('🕐 Timestamp:', new Date().toISOString());
@@ -1,4 +1,5 @@
 import { NextResponse } from "next/server";
+import { isFixtureSource, offlineZohoResponse } from "@/lib/contentSource";
 
 // Route segment config
 export const runtime = "nodejs";
@@ -508,6 +509,11 @@ export async function GET() {
 }
 
 export async function POST(request) {
+  // Offline development: never reach Zoho from fixture mode
+  if (isFixtureSource()) {
+    return NextResponse.json(offlineZohoResponse("current-openings"));
+  }
+
   try {
     // Parse request body
     // WHY: Next.js automatically parses JSON, but we validate structure
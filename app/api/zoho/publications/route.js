@@ -1,4 +1,5 @@
 import { NextResponse } from "next/server";
+import { isFixtureSource, offlineZohoResponse } from "@/lib/contentSource";
 
 // Route segment config
 export const runtime = "nodejs";
@@ -214,6 +215,11 @@ export async function GET() {
  * WHY: Creates a record in Zoho CRM Publications module
  */
 export async function POST(request) {
+  // Offline development: never reach Zoho from fixture mode
+  if (isFixtureSource()) {
+    return NextResponse.json(offlineZohoResponse("publications"));
+  }
+
   try {
     const body = await request.json();
 
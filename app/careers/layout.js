@@ -1,11 +1,15 @@
-export const metadata = {
+import { getJobs } from "@/lib/wordpress";
+import { getSiteProductionMode } from "@/lib/getProductionMode";
+import { jobPostingSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "Explore Career Opportunities | Aarna Law - Premier Law Firm in India",
   description:
     "Join us, a dynamic law practice firm based in Bangalore, India,  and be part of our success story. Explore rewarding careers and internship opportunities with us now",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/careers",
-  },
+  alternates: localeAlternates("/careers"),
   openGraph: {
     title: "Explore Career Opportunities | Aarna Law - Premier Law Firm in India",
     description:
@@ -13,8 +17,16 @@ export const metadata = {
     url: "/careers",
     images: "/Careers/CareersBanner.jpg",
   },
-};
+});
+
+export default async function RootLayout({ children }) {
+  // The listing itself loads client-side; a failure only drops the markup
+  const jobs = await getJobs({ productionMode: getSiteProductionMode() }).catch(() => []);
 
-export default function RootLayout({ children }) {
-  return <>{children}</>;
+  return (
+    <>
+      <JsonLd data={jobs.map(jobPostingSchema)} />
+      {children}
+    </>
+  );
 }
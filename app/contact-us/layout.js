@@ -1,11 +1,13 @@
-export const metadata = {
+import { officeSchemas } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "Get in Touch with Aarna Law | Boutique Law Firm",
   description:
     "Contact us, a Bangalore-based law firm, for legal assistance and guidance.",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/contact-us",
-  },
+  alternates: localeAlternates("/contact-us"),
   openGraph: {
     title: "Get in Touch with Aarna Law | Boutique Law Firm",
     description:
@@ -13,8 +15,13 @@ export const metadata = {
     url: "/contact-us",
     images: "/aarnalaw_new_banner.jpg ",
   },
-};
+});
 
 export default function RootLayout({ children }) {
-  return <>{children}</>;
+  return (
+    <>
+      <JsonLd data={officeSchemas()} />
+      {children}
+    </>
+  );
 }
@@ -2,15 +2,14 @@ import React from "react";
 import Banner from "@/components/ContactUs/Banner";
 import Address from "@/components/ContactUs/Address";
 import ContactUsSection from "@/components/ContactUs/ContactUsSection";
+import { localeAlternates } from "@/lib/i18n";
 
-export const metadata = {
+export const generateMetadata = () => ({
   title: "Get in Touch with Aarna Law | Boutique Law Firm",
   description:
     "Contact us, a Bangalore-based law firm, for legal assistance and guidance.",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/contact-us",
-  },
+  alternates: localeAlternates("/contact-us"),
   openGraph: {
     title: "Get in Touch with Aarna Law | Boutique Law Firm",
     description:
@@ -18,7 +17,7 @@ export const metadata = {
     url: "/contact-us",
     images: "/contactUs/ContactBanner.jpg",
   },
-};
+});
 
 function page() {
   return (
@@ -1,21 +1,29 @@
 "use client";
 
-import { createContext, useState, useEffect } from "react";
-import translations from "../../public/locales/index"; // Ensure correct path based on project structure
+import { createContext, useMemo } from "react";
+import en from "../../public/locales/en";
+import { DEFAULT_LOCALE } from "../../lib/locales";
+import { intlLocale } from "../../lib/format";
+import { createTranslator } from "../../lib/messageFormat.mjs";
 
 export const LanguageContext = createContext();
 
-export const LanguageProvider = ({ children }) => {
-  const [language, setLanguage] = useState("en");
-  const [translationsData, setTranslationsData] = useState(translations.en);
-
-  useEffect(() => {
-    setTranslationsData(translations[language] || translations.en);
-  }, [language]);
+// `locale` comes from the URL (see middleware.js), so pages render in their
+// language on the server; switching language means navigating to its URL.
+// `messages` are that language's strings, resolved by the root layout with
+// getMessages() (lib/messages.js) so only English ships in the bundle; keys
+// missing from a locale are already filled in from English.
+// `t("forms.errors.phoneTooShort", { min: 10 })` formats a message with ICU
+// plurals, selects and placeholders (lib/messageFormat.mjs); `t.rich` does the
+// same but keeps element values, for messages that wrap links or line breaks.
+// Plain strings can still be read from `translations` directly.
+export const LanguageProvider = ({ locale = DEFAULT_LOCALE, messages, children }) => {
+  const translations = messages || en;
+  const t = useMemo(() => createTranslator(translations, intlLocale(locale), en), [translations, locale]);
 
   return (
-    <LanguageContext.Provider value={{ language, setLanguage, translations: translationsData }}>
+    <LanguageContext.Provider value={{ language: locale, translations, t }}>
       {children}
-    </LanguageContext.Provider> 
+    </LanguageContext.Provider>
   );
 };
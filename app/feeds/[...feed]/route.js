@@ -0,0 +1,31 @@
+import { FEED_FORMATS, getFeed, parseFeedPath, renderFeed } from "@/lib/feeds";
+
+// Route segment config
+// WHY: `?content=excerpt` is read per request; the WordPress responses behind
+// each feed still come from the data cache, which the revalidation webhook
+// clears on publish.
+export const dynamic = "force-dynamic";
+
+/**
+ * GET handler for /feeds/*
+ * WHY: Lets readers and aggregators follow insights, publications and news,
+ * or a single practice area or industry, in RSS, Atom or JSON Feed; see
+ * lib/feeds.js for the URL scheme.
+ */
+export async function GET(request, { params }) {
+  const feedRequest = parseFeedPath(params.feed);
+  if (!feedRequest) return new Response("Not found", { status: 404 });
+
+  const feed = await getFeed(feedRequest);
+  if (!feed) return new Response("Not found", { status: 404 });
+
+  const full = new URL(request.url).searchParams.get("content") !== "excerpt";
+  const body = renderFeed(feed, feedRequest.extension, { full });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": `${FEED_FORMATS[feedRequest.extension].contentType}; charset=utf-8`,
+      "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400",
+    },
+  });
+}
@@ -0,0 +1,17 @@
+import { renderPodcastFeed } from "@/lib/podcastFeed";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety net.
+export const revalidate = 3600;
+
+/**
+ * GET handler for /feeds/podcast.xml
+ * WHY: The show's canonical feed for Apple Podcasts, Spotify and other
+ * directories, built from the WordPress episodes; see lib/podcastFeed.js.
+ */
+export async function GET() {
+  const xml = await renderPodcastFeed();
+  return new Response(xml, {
+    headers: { "Content-Type": "application/rss+xml; charset=utf-8" },
+  });
+}
@@ -1,12 +1,20 @@
 // app/industries/[slug]/layout.js
+import { getIndustryBySlug } from "@/lib/wordpress";
+import { breadcrumbSchema, faqSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { feedAlternates } from "@/lib/feeds";
+import { toPlainText } from "@/lib/html";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
 
 export async function generateMetadata({ params }) {
-  const response = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/industries?_embed&slug=${params.slug}`
-  );
+  const locale = getLocale();
 
-  if (!response.ok) {
-    console.error("Failed to fetch industry post:", response.statusText);
+  let post;
+  try {
+    post = localizeItem(await getIndustryBySlug(params.slug), locale);
+  } catch (error) {
+    console.error("Failed to fetch industry post:", error);
     return {
       title: "Industry-Specific Legal Solutions | Aarna Law",
       description: "Industry-Specific Legal Solutions | Aarna Law",
@@ -27,34 +35,6 @@ export async function generateMetadata({ params }) {
     };
   }
 
-  const postData = await response.json();
-  const post = postData?.[0];
-
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = post?.acf?.[`faq_${i}`];
-    const answer = post?.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
-
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            name: faq.question,
-            acceptedAnswer: {
-              "@type": "Answer",
-              text: faq.answer,
-            },
-          })),
-        }
-      : null;
-
   return {
     title: post?.acf?.meta_title
       ? `${post.acf.meta_title}`
@@ -84,58 +64,38 @@ export async function generateMetadata({ params }) {
               },
             ],
     },
-    other: {
-      faqJsonLd: faqSchema ? JSON.stringify(faqSchema) : "",
+    alternates: {
+      ...(post
+        ? localeAlternates((locale) => `/industries/${localizedSlug(post, locale)}`)
+        : localeAlternates(`/industries/${params.slug}`)),
+      ...(post && {
+        types: feedAlternates(
+          `/feeds/industries/${params.slug}`,
+          `Aarna Law – ${toPlainText(post.title?.rendered)}`,
+        ),
+      }),
     },
   };
 }
 
 export default async function RootLayout({ children, params }) {
-  const response = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/industries?_embed&slug=${params.slug}`
-  );
+  const post = await getIndustryBySlug(params.slug).catch(() => null);
 
-  const postData = await response.json();
-  const post = postData?.[0];
-
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = post?.acf?.[`faq_${i}`];
-    const answer = post?.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
-
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            "name": faq.question,
-            "acceptedAnswer": {
-              "@type": "Answer",
-              "text": faq.answer,
-            },
-          })),
-        }
-      : null;
+  if (!post) return children;
 
+  const path = `/industries/${params.slug}`;
   return (
     <>
-      {faqSchema && (
-        <script
-          type="application/ld+json"
-          dangerouslySetInnerHTML={{
-            __html: JSON.stringify(faqSchema, null, 2),
-          }}
-        />
-      )}
+      <JsonLd
+        data={[
+          faqSchema(post.acf, path),
+          breadcrumbSchema([
+            ["Industries", "/industries"],
+            [post.title.rendered, path],
+          ]),
+        ]}
+      />
       {children}
     </>
   );
 }
-
-
@@ -1,5 +1,7 @@
 import { notFound } from "next/navigation"; // <-- ✅ Required import
 import LandingPage from "@/components/Industries/InsidePage/LandingPage";
+import { getIndustries, getIndustryBySlug, getSlugs } from "@/lib/wordpress";
+import { getPreviewContent } from "@/lib/preview";
 
 // export const metadata = {
 //   title: "Industries - Aarna Law",
@@ -18,17 +20,7 @@ import LandingPage from "@/components/Industries/InsidePage/LandingPage";
 
 async function fetchIndustries() {
   try {
-    const response = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/industries?_embed&per_page=100`,
-      { cache: "no-store" }
-    );
-    if (!response.ok) {
-      throw new Error('Failed to fetch industries');
-    }
-    const result = await response.json();
-    return Array.isArray(result)
-      ? result.sort((a, b) => a.title.rendered.localeCompare(b.title.rendered))
-      : [];
+    return await getIndustries();
   } catch (error) {
     console.error("Error fetching industries:", error);
     return [];
@@ -37,28 +29,29 @@ async function fetchIndustries() {
 
 async function fetchIndustryDetails(slug) {
   try {
-    const response = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/industries?_embed&slug=${slug}`,
-      { cache: "no-store" }
-    );
-    if (!response.ok) {
-      throw new Error('Failed to fetch industry details');
-    }
-    const result = await response.json();
-    return Array.isArray(result) && result.length > 0 ? result[0] : null;
+    return await getIndustryBySlug(slug);
   } catch (error) {
     console.error("Error fetching industry details:", error);
     return null;
   }
 }
 
+// Known industries; the pages still render per request, like every route
+// that reads the locale (see getLocale in lib/i18n.js)
+export async function generateStaticParams() {
+  const slugs = await getSlugs("industries").catch(() => []);
+  return slugs.map((slug) => ({ slug }));
+}
+
 export default async function IndustryPage({ params }) {
-  const [initialData, industryDetails] = await Promise.all([
+  const [initialData, industryDetails, previewDetails] = await Promise.all([
     fetchIndustries(),
-    fetchIndustryDetails(params.slug)
+    fetchIndustryDetails(params.slug),
+    getPreviewContent("industries", params.slug),
   ]);
+  const industry = previewDetails || industryDetails;
 
-  if (!industryDetails) {
+  if (!industry) {
     return notFound(); // <-- Works now
   }
 
@@ -66,7 +59,7 @@ export default async function IndustryPage({ params }) {
     <LandingPage
       slug={params.slug}
       initialData={initialData}
-      initialIndustry={industryDetails}
+      initialIndustry={industry}
     />
   );
 }
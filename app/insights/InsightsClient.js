@@ -14,7 +14,7 @@ export default function InsightsClient({
 
   return (
     <div>
-      <Banner title="Insight" />
+      <Banner />
       <Navigation searchTerm={searchTerm} setSearchTerm={setSearchTerm} />
       <AllInsights
         searchTerm={searchTerm}
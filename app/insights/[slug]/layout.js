@@ -1,134 +1,66 @@
 // app/insights/[slug]/layout.js
+import { getInsightBySlug } from "@/lib/wordpress";
+import { shareImages } from "@/lib/ogImage";
+import { articleSchema, breadcrumbSchema, faqSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
+import { SITE_URL } from "@/lib/sitemap";
 
 export async function generateMetadata({ params }) {
   const { slug } = params;
 
-  const res = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/posts?_embed&slug=${slug}`,
-    { cache: "no-store" }
-  );
-
-  const data = await res.json();
+  const blog = localizeItem(await getInsightBySlug(slug).catch(() => null), getLocale());
 
-  if (!data || data.length === 0) {
+  if (!blog) {
     return {
       title: "Blog Not Found | Aarna Law",
       description: "The blog you are looking for is not available.",
       alternates: {
-        canonical: "https://www.aarnalaw.com/insights/",
+        canonical: `${SITE_URL}/insights`,
       },
     };
   }
 
-  const blog = data[0];
-
   const metaTitle = blog.acf?.meta_title || blog.title.rendered;
   const metaDescription = blog.acf?.meta_description || "Read more about this topic.";
-  const imageUrl = blog._embedded?.["wp:featuredmedia"]?.[0]?.source_url?.startsWith("http")
-    ? blog._embedded["wp:featuredmedia"][0].source_url
-    : `https://docs.aarnalaw.com${blog._embedded["wp:featuredmedia"][0].source_url}`;
 
-  // FAQs from ACF
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = blog.acf?.[`faq_${i}`];
-    const answer = blog.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
-
-  // Generate FAQ JSON-LD
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            "name": faq.question,
-            "acceptedAnswer": {
-              "@type": "Answer",
-              "text": faq.answer,
-            },
-          })),
-        }
-      : null;
+  const alternates = localeAlternates((locale) => `/insights/${localizedSlug(blog, locale)}`);
 
   return {
     title: metaTitle,
     description: metaDescription,
-    alternates: {
-      canonical: `https://www.aarnalaw.com/insights/${slug}`,
-    },
+    alternates,
     openGraph: {
       title: metaTitle,
       description: metaDescription,
-      url: `https://www.aarnalaw.com/insights/${slug}`,
+      url: alternates.canonical,
       type: "article",
-      images: [
-        {
-          url: imageUrl,
-          width: 1200,
-          height: 630,
-          alt: blog.title.rendered,
-        },
-      ],
-    },
-    // Optionally pass FAQ schema as JSON string if needed elsewhere
-    other: {
-      faqJsonLd: faqSchema ? JSON.stringify(faqSchema) : "",
+      images: shareImages(blog, "insights", { locale: getLocale() }),
     },
   };
 }
 
-export const revalidate = 10;
-
 export default async function InsightPostLayout({ children, params }) {
   const { slug } = params;
 
-  const res = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/posts?_embed&slug=${slug}`,
-    { cache: "no-store" }
-  );
-  const data = await res.json();
-  const blog = data?.[0];
-
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = blog?.acf?.[`faq_${i}`];
-    const answer = blog?.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
+  const blog = await getInsightBySlug(slug).catch(() => null);
 
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            "name": faq.question,
-            "acceptedAnswer": {
-              "@type": "Answer",
-              "text": faq.answer,
-            },
-          })),
-        }
-      : null;
+  if (!blog) return children;
 
+  const path = `/insights/${slug}`;
   return (
     <>
-      {faqSchema && (
-        <script
-          type="application/ld+json"
-          dangerouslySetInnerHTML={{
-            __html: JSON.stringify(faqSchema, null, 2), // <- pretty-print with 2-space indentation
-          }}
-        />
-      )}
+      <JsonLd
+        data={[
+          articleSchema(blog, "insights"),
+          faqSchema(blog.acf, path),
+          breadcrumbSchema([
+            ["Insights", "/insights"],
+            [blog.title.rendered, path],
+          ]),
+        ]}
+      />
       {children}
     </>
   );
@@ -0,0 +1,17 @@
+import { renderLlmsFullTxt } from "@/lib/llms";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety net.
+export const revalidate = 3600;
+
+/**
+ * GET handler for /llms-full.txt
+ * WHY: The full text of practice areas, industries, team profiles, insights
+ * and publications in one Markdown file; see lib/llms.js.
+ */
+export async function GET() {
+  const markdown = await renderLlmsFullTxt();
+  return new Response(markdown, {
+    headers: { "Content-Type": "text/markdown; charset=utf-8" },
+  });
+}
@@ -0,0 +1,17 @@
+import { renderLlmsTxt } from "@/lib/llms";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety net.
+export const revalidate = 3600;
+
+/**
+ * GET handler for /llms.txt
+ * WHY: Gives AI assistants a Markdown map of the firm and its content
+ * (https://llmstxt.org); see lib/llms.js.
+ */
+export async function GET() {
+  const markdown = await renderLlmsTxt();
+  return new Response(markdown, {
+    headers: { "Content-Type": "text/markdown; charset=utf-8" },
+  });
+}
@@ -1,7 +1,19 @@
 import React from "react";
+import { headers } from "next/headers";
 import ErrorPage from "@/components/404/page";
+import { PATH_HEADER } from "@/lib/locales";
+import { recordNotFound } from "@/lib/notFoundLog";
+
+// Counts the miss on the server, so crawlers and visitors without JavaScript
+// show up too. Prefetches are not visits.
+function recordMiss() {
+  const requestHeaders = headers();
+  if (requestHeaders.get("next-router-prefetch")) return;
+  recordNotFound(requestHeaders.get(PATH_HEADER), requestHeaders.get("referer") || "");
+}
 
 function errorFound() {
+  recordMiss();
   return <ErrorPage />;
 }
 export default errorFound;
@@ -0,0 +1,41 @@
+import { ImageResponse } from "next/og";
+import OgCard from "@/components/OgImage/OgCard";
+import { OG_IMAGE_SIZE, getOgCard, getOgLogo, loadOgFonts } from "@/lib/ogImage";
+import { formatDate } from "@/lib/format";
+
+// Route segment config
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// One day at the CDN; page metadata adds ?v=<modified> so edits show at once
+const CACHE_CONTROL = "public, max-age=3600, s-maxage=86400, stale-while-revalidate=604800";
+
+/**
+ * GET handler for /og/<type>/<slug>
+ * WHY: Link previews need a 1200×630 image, and many posts and profiles
+ * have no featured image that fits; see shareImages() in lib/ogImage.js.
+ */
+export async function GET(request, { params }) {
+  const locale = new URL(request.url).searchParams.get("locale") || "en";
+  const card = await getOgCard(params.type, params.slug, locale).catch((error) => {
+    console.error("❌ OG image content fetch failed:", error);
+    return null;
+  });
+  if (!card) return new Response("Not found", { status: 404 });
+
+  const date = formatDate(card.date, locale, { dateStyle: "long" }) || null;
+
+  const text = [card.label, card.topic, card.title, card.byline, date].filter(Boolean).join(" ");
+  const [fonts, logo] = await Promise.all([loadOgFonts(text, locale), getOgLogo()]);
+  const fontFamily = [...new Set(fonts.map((font) => font.name))].join(", ") || undefined;
+
+  return new ImageResponse(
+    <OgCard card={card} date={date} logo={logo} fontFamily={fontFamily} />,
+    {
+      ...OG_IMAGE_SIZE,
+      // An empty list would replace the built-in fallback font
+      ...(fonts.length && { fonts }),
+      headers: { "Cache-Control": CACHE_CONTROL },
+    },
+  );
+}
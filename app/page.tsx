@@ -1,5 +1,6 @@
 import dynamic from "next/dynamic";
 import configData from "../config.json";
+import { localeAlternates } from "@/lib/i18n";
 
 type Insight = {
   id: number;
@@ -60,15 +61,12 @@ const OurLocations = dynamic(() => import("@/components/ContactUs/Address"), {
   ssr: false,
 });
 
-export const metadata = {
+export const generateMetadata = () => ({
   title:
     "Aarna Law | Litigation, Dispute Resolution & Corporate Law Practice in India",
   description:
     "Discover legal services in India. Aarna Law offers full-service representation with dedication.",
-  alternates: {
-    metadataBase: new URL("https://www.aarnalaw.com"),
-    canonical: "https://www.aarnalaw.com/",
-  },
+  alternates: localeAlternates("/"),
   openGraph: {
     title:
       "Aarna Law | Litigation, Dispute Resolution & Corporate Law Practice in India",
@@ -77,7 +75,7 @@ export const metadata = {
     url: "https://www.aarnalaw.com/",
     images: "/banner/desktop_home_banner_2.jpg",
   },
-};
+});
 
 interface InsightPost {
   id: number;
@@ -1,52 +1,18 @@
 import React from "react";
-import PodcastPost from "./page";
+import { getPodcastBySlug } from "@/lib/wordpress";
+import { shareImages } from "@/lib/ogImage";
+import { breadcrumbSchema, podcastEpisodeSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
 
 export async function generateMetadata({ params }) {
   const { slug } = params;
+  const locale = getLocale();
 
+  let post;
   try {
-    const res = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/podcast?_embed&slug=${slug}&per_page=1`,
-      { next: { revalidate: 60 } },
-    );
-
-    const data = await res.json();
-
-    if (!data || data.length === 0) {
-      return {
-        title: "Podcast | Aarna Law",
-        description:
-          "Explore our podcasts on law, business, and sustainability.",
-      };
-    }
-
-
-
-    const post = data[0];
-    const acf = post.acf || {};
-    const fallbackDesc =
-      post.excerpt?.rendered?.replace(/<[^>]+>/g, "") ||
-      "Explore our podcasts on law, business, and sustainability.";
-    const fallbackImg =
-      post.episode_featured_image ||
-      post._embedded?.["wp:featuredmedia"]?.[0]?.source_url ||
-      "/default-og.png";
-
-    return {
-      title: acf.meta_title || post.title?.rendered || "Podcast | Aarna Law",
-      description: acf.meta_description || fallbackDesc,
-      openGraph: {
-        title: acf.meta_title || post.title?.rendered,
-        description: acf.meta_description || fallbackDesc,
-        images: [fallbackImg],
-      },
-      twitter: {
-        card: "summary_large_image",
-        title: acf.meta_title || post.title?.rendered,
-        description: acf.meta_description || fallbackDesc,
-        images: [fallbackImg],
-      },
-    };
+    post = localizeItem(await getPodcastBySlug(slug), locale);
   } catch (err) {
     console.error("SEO metadata fetch error:", err);
     return {
@@ -54,8 +20,61 @@ export async function generateMetadata({ params }) {
       description: "Explore our podcasts on law, business, and sustainability.",
     };
   }
+
+  if (!post) {
+    return {
+      title: "Podcast | Aarna Law",
+      description:
+        "Explore our podcasts on law, business, and sustainability.",
+    };
+  }
+
+  const acf = post.acf || {};
+  const fallbackDesc =
+    post.excerpt?.rendered?.replace(/<[^>]+>/g, "") ||
+    "Explore our podcasts on law, business, and sustainability.";
+  const images = shareImages(post, "podcasts", {
+    image: post.episode_featured_image,
+    locale,
+  });
+
+  const alternates = localeAlternates((locale) => `/podcasts/${localizedSlug(post, locale)}`);
+
+  return {
+    title: acf.meta_title || post.title?.rendered || "Podcast | Aarna Law",
+    description: acf.meta_description || fallbackDesc,
+    alternates,
+    openGraph: {
+      title: acf.meta_title || post.title?.rendered,
+      description: acf.meta_description || fallbackDesc,
+      url: alternates.canonical,
+      images,
+    },
+    twitter: {
+      card: "summary_large_image",
+      title: acf.meta_title || post.title?.rendered,
+      description: acf.meta_description || fallbackDesc,
+      images,
+    },
+  };
 }
-// page
-export default function Page({ params }) {
-  return <PodcastPost params={params} />;
+
+export default async function PodcastLayout({ children, params }) {
+  const post = await getPodcastBySlug(params.slug).catch(() => null);
+  if (!post) return children;
+
+  return (
+    <>
+      <JsonLd
+        data={[
+          podcastEpisodeSchema(post),
+          breadcrumbSchema([
+            ["Podcasts", "/podcasts"],
+            [post.title.rendered, `/podcasts/${params.slug}`],
+          ]),
+        ]}
+      />
+      {children}
+    </>
+  );
 }
@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "Legal Conversations Podcast",
   description:
     "Tune into Aarna Law's podcast for insightful conversations with legal professionals. Explore in-depth discussions on current legal issues and emerging trends.",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/podcasts",
-  },
+  alternates: localeAlternates("/podcasts"),
   openGraph: {
     title: "Legal Conversations Podcast",
     description:
@@ -13,7 +13,7 @@ export const metadata = {
     url: "/podcasts",
     images: "/insights/InsightsBanner.jpg",
   },
-};
+});
 
 export default function RootLayout({ children }) {
   return <>{children}</>;
@@ -1,16 +1,27 @@
 import PodcastsClient from "./PodcastsClient";
-import configData from "../../config.json";
+import { headers } from "next/headers";
+import { getProductionMode } from "@/lib/getProductionMode";
+import { getPodcasts } from "@/lib/wordpress";
+import StaleContentNotice from "@/components/StaleContent/StaleContentNotice";
+import { isServingStaleContent } from "@/lib/fetchWithRevalidate";
+import { PODCAST, PODCAST_FEED_PATH } from "@/lib/podcastFeed";
+import { podcastSeriesSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { localeAlternates } from "@/lib/i18n";
 
 // Static ISR support
-export const revalidate = 60;
+export const revalidate = 86400;
 
-export const metadata = {
+export const generateMetadata = () => ({
   title: "Legal Podcasts and Audio Content",
   description:
     "Listen to insightful legal discussions and expert commentary through Aarna Law's podcast series. Stay informed with our audio content on various legal topics.",
   metadataBase: new URL("https://www.aarnalaw.com"),
   alternates: {
-    canonical: "/podcasts",
+    ...localeAlternates("/podcasts"),
+    types: {
+      "application/rss+xml": [{ url: PODCAST_FEED_PATH, title: PODCAST.title }],
+    },
   },
   openGraph: {
     title: "Legal Podcasts and Audio Content",
@@ -19,24 +30,11 @@ export const metadata = {
     url: "/podcasts",
     images: "/insights/InsightsBanner.jpg",
   },
-};
+});
 
-async function fetchInitialPodcasts() {
+async function fetchInitialPodcasts(productionMode) {
   try {
-    // Use environment instead of headers
-    const isProd = process.env.NODE_ENV === "production";
-    const server = isProd
-      ? configData.LIVE_PRODUCTION_SERVER_ID
-      : configData.STAG_PRODUCTION_SERVER_ID;
-
-    const url = `${configData.SERVER_URL}podcast?_embed&status[]=publish&production_mode[]=${server}&per_page=6`;
-
-    const res = await fetch(url, {
-      // Use static generation + revalidation
-      next: { revalidate: 60 },
-    });
-
-    const data = await res.json();
+    const data = await getPodcasts({ productionMode });
 
     return data.map((item) => ({
       ...item,
@@ -49,6 +47,13 @@ async function fetchInitialPodcasts() {
 }
 
 export default async function AarnaPodcastPage() {
-  const initialData = await fetchInitialPodcasts();
-  return <PodcastsClient initialData={initialData} />;
+  const productionMode = getProductionMode(headers().get("host"));
+  const initialData = await fetchInitialPodcasts(productionMode);
+  return (
+    <>
+      <JsonLd data={podcastSeriesSchema()} />
+      {isServingStaleContent() && <StaleContentNotice />}
+      <PodcastsClient initialData={initialData} />
+    </>
+  );
 }
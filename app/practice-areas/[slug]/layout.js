@@ -1,11 +1,20 @@
 // app/practice-areas/[slug]/layout.js
+import { getPracticeAreaBySlug } from "@/lib/wordpress";
+import { breadcrumbSchema, faqSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { feedAlternates } from "@/lib/feeds";
+import { toPlainText } from "@/lib/html";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
 
 export async function generateMetadata({ params }) {
-  const response = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&slug=${params.slug}`
-  );
+  const locale = getLocale();
 
-  if (!response.ok) {
+  let post;
+  try {
+    post = localizeItem(await getPracticeAreaBySlug(params.slug), locale);
+  } catch (error) {
+    console.error("Failed to fetch practice area post:", error);
     return {
       title: "India's leading law firm offering legal counsel in practice areas",
       description:
@@ -28,34 +37,6 @@ export async function generateMetadata({ params }) {
     };
   }
 
-  const postData = await response.json();
-  const post = postData[0];
-
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = post?.acf?.[`faq_${i}`];
-    const answer = post?.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
-
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            name: faq.question,
-            acceptedAnswer: {
-              "@type": "Answer",
-              text: faq.answer,
-            },
-          })),
-        }
-      : null;
-
   return {
     title: post?.acf?.meta_title
       ? `${post.acf.meta_title}`
@@ -85,55 +66,37 @@ export async function generateMetadata({ params }) {
               },
             ],
     },
-    // Optional: expose FAQ JSON as a string if needed elsewhere
-    other: {
-      faqJsonLd: faqSchema ? JSON.stringify(faqSchema) : "",
+    alternates: {
+      ...(post
+        ? localeAlternates((locale) => `/practice-areas/${localizedSlug(post, locale)}`)
+        : localeAlternates(`/practice-areas/${params.slug}`)),
+      ...(post && {
+        types: feedAlternates(
+          `/feeds/practice-areas/${params.slug}`,
+          `Aarna Law – ${toPlainText(post.title?.rendered)}`,
+        ),
+      }),
     },
   };
 }
 
 export default async function RootLayout({ children, params }) {
-  const response = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&slug=${params.slug}`
-  );
-  const postData = await response.json();
-  const post = postData[0];
-
-  const faqs = [];
-  for (let i = 1; i <= 10; i++) {
-    const question = post?.acf?.[`faq_${i}`];
-    const answer = post?.acf?.[`faqs_description_${i}`];
-    if (question && answer) {
-      faqs.push({ question, answer });
-    }
-  }
+  const post = await getPracticeAreaBySlug(params.slug).catch(() => null);
 
-  const faqSchema =
-    faqs.length > 0
-      ? {
-          "@context": "https://schema.org",
-          "@type": "FAQPage",
-          "mainEntity": faqs.map((faq) => ({
-            "@type": "Question",
-            "name": faq.question,
-            "acceptedAnswer": {
-              "@type": "Answer",
-              "text": faq.answer,
-            },
-          })),
-        }
-      : null;
+  if (!post) return children;
 
+  const path = `/practice-areas/${params.slug}`;
   return (
     <>
-      {faqSchema && (
-        <script
-          type="application/ld+json"
-          dangerouslySetInnerHTML={{
-            __html: JSON.stringify(faqSchema, null, 2), // pretty format for dev/readability
-          }}
-        />
-      )}
+      <JsonLd
+        data={[
+          faqSchema(post.acf, path),
+          breadcrumbSchema([
+            ["Practice areas", "/practice-areas"],
+            [post.title.rendered, path],
+          ]),
+        ]}
+      />
       {children}
     </>
   );
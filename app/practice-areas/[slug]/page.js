@@ -1,5 +1,7 @@
 import LandingPage from "@/components/PracticeArea/InsidePage/LandingPage";
 import { notFound } from "next/navigation"; // <-- ✅ Required import
+import { getPracticeAreaBySlug, getPracticeAreas, getSlugs } from "@/lib/wordpress";
+import { getPreviewContent } from "@/lib/preview";
 
 // export const metadata = {
 //   title: "Practice Areas - Aarna Law",
@@ -18,17 +20,7 @@ import { notFound } from "next/navigation"; // <-- ✅ Required import
 
 async function fetchPracticeAreas() {
   try {
-    const response = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&per_page=100`,
-      { cache: "no-store" }
-    );
-    if (!response.ok) {
-      throw new Error('Failed to fetch practice areas');
-    }
-    const result = await response.json();
-    return Array.isArray(result)
-      ? result.sort((a, b) => a.title.rendered.localeCompare(b.title.rendered))
-      : [];
+    return await getPracticeAreas();
   } catch (error) {
     console.error("Error fetching practice areas:", error);
     return [];
@@ -37,32 +29,33 @@ async function fetchPracticeAreas() {
 
 async function fetchPracticeAreaDetails(slug) {
   try {
-    const response = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&slug=${slug}`,
-      { cache: "no-store" }
-    );
-    if (!response.ok) {
-      throw new Error('Failed to fetch practice area details');
-    }
-    const result = await response.json();
-    return Array.isArray(result) && result.length > 0 ? result[0] : null;
+    return await getPracticeAreaBySlug(slug);
   } catch (error) {
     console.error("Error fetching practice area details:", error);
     return null;
   }
 }
 
+// Known practice areas; the pages still render per request, like every route
+// that reads the locale (see getLocale in lib/i18n.js)
+export async function generateStaticParams() {
+  const slugs = await getSlugs("practice-areas").catch(() => []);
+  return slugs.map((slug) => ({ slug }));
+}
+
 export default async function PracticeAreaPage({ params }) {
-  const [initialData, practiceAreaDetails] = await Promise.all([
+  const [initialData, practiceAreaDetails, previewDetails] = await Promise.all([
     fetchPracticeAreas(),
-    fetchPracticeAreaDetails(params.slug)
+    fetchPracticeAreaDetails(params.slug),
+    getPreviewContent("practice-areas", params.slug),
   ]);
-  if (!practiceAreaDetails) {
+  const practiceArea = previewDetails || practiceAreaDetails;
+  if (!practiceArea) {
     return notFound();
   }
   return <LandingPage
     slug={params.slug}
     initialData={initialData}
-    initialPracticeArea={practiceAreaDetails}
+    initialPracticeArea={practiceArea}
   />;
 }
@@ -2,19 +2,21 @@
 
 import Banner from "@/components/PracticeArea/Banner";
 import PracticeLists from "@/components/PracticeArea/PracticeLists";
-import config from "@/config.json";
 import { headers } from "next/headers";
+import { getProductionMode } from "@/lib/getProductionMode";
+import { getPracticeAreas } from "@/lib/wordpress";
+import StaleContentNotice from "@/components/StaleContent/StaleContentNotice";
+import { isServingStaleContent } from "@/lib/fetchWithRevalidate";
+import { localeAlternates } from "@/lib/i18n";
 
-export const revalidate = 60;
+export const revalidate = 86400;
 
-export const metadata = {
+export const generateMetadata = () => ({
   title: "Experienced Legal Services| Aarna Law Practice Areas",
   description:
     "Our dynamic team provides experienced counsel on a diverse range of practice areas",
   metadataBase: new URL("https://www.aarnalaw.com"),
-  alternates: {
-    canonical: "/practice-area",
-  },
+  alternates: localeAlternates("/practice-areas"),
   openGraph: {
     title: "Experienced Legal Services| Aarna Law Practice Areas",
     description:
@@ -22,49 +24,14 @@ export const metadata = {
     url: "https://www.aarnalaw.com/practice-area",
     images: "/PracticeArea/PracticeAreas.png",
   },
-};
-
-// Utility to determine productionMode based on domain
-function getProductionModeFromHost(hostname) {
-  const normalizeHost = (value = "") => {
-    const rawValue = value.trim();
-    let parsedHost = rawValue;
-
-    try {
-      parsedHost = new URL(rawValue).hostname;
-    } catch {
-      parsedHost = rawValue.split(":")[0];
-    }
-
-    return parsedHost.replace(/^www\./, "").toLowerCase();
-  };
-
-  const currentHost = normalizeHost(hostname);
-  const liveHost = normalizeHost(config.LIVE_SITE_URL);
-  const stagingHost = normalizeHost(config.STAGING_SITE_URL);
-  const isLiveDomain = currentHost === liveHost;
-  const isStagingDomain = currentHost === stagingHost;
+});
 
-  if (isLiveDomain) return config.LIVE_PRODUCTION_SERVER_ID;
-  if (isStagingDomain) return config.STAG_PRODUCTION_SERVER_ID;
-
-  return config.STAG_PRODUCTION_SERVER_ID;
-}
 // Fetch practice areas based on production mode
-async function getPracticeAreas(productionMode, page = 1, perPage = 15) {
+async function fetchPracticeAreas(productionMode, page = 1, perPage = 15) {
   if (!productionMode) return [];
 
-  const url = `${config.SERVER_URL}practice-areas?status[]=publish&production_mode[]=${productionMode}&per_page=${perPage}&page=${page}`;
   try {
-    const res = await fetch(url, {
-      next: { revalidate: 60 },
-    });
-
-    const data = await res.json();
-
-    return data.sort((a, b) =>
-      a.title.rendered.localeCompare(b.title.rendered)
-    );
+    return await getPracticeAreas({ productionMode, page, perPage });
   } catch (error) {
     console.error("Practice Areas fetch error:", error);
     return [];
@@ -74,13 +41,13 @@ async function getPracticeAreas(productionMode, page = 1, perPage = 15) {
 // Main server component
 export default async function PracticeAreaPage() {
   const headersList = headers();
-  const hostname = headersList.get("host")?.replace(/^www\./, "") ?? "";
-  const productionMode = getProductionModeFromHost(hostname);
+  const productionMode = getProductionMode(headersList.get("host"));
 
-  const practiceAreas = await getPracticeAreas(productionMode, 1, 15);
+  const practiceAreas = await fetchPracticeAreas(productionMode, 1, 15);
 
   return (
     <>
+      {isServingStaleContent() && <StaleContentNotice />}
       <Banner />
       <PracticeLists data={practiceAreas} loading={false} />
     </>
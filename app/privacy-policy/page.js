@@ -1,18 +1,20 @@
-"use client";
-import React, { useEffect } from "react";
+import React from "react";
 import Banner from "../../components/PrivacyPolicy/Banner";
 import PrivacyPolicy from "../../components/PrivacyPolicy/privacy-policy";
-import { initFlowbite } from "flowbite";
+import FlowbiteInit from "@/components/Pages/FlowbiteInit";
+import { PAGE_IDS, getPageById } from "@/lib/wordpress";
 
-export default function Careers() {
-  useEffect(() => {
-    initFlowbite(); // Initialize Flowbite after the data is loaded
-  }, []);
+export default async function PrivacyPolicyPage() {
+  const page = await getPageById(PAGE_IDS.PRIVACY_POLICY).catch((error) => {
+    console.error("PrivacyPolicy fetch error:", error);
+    return null;
+  });
 
   return (
     <>
+      <FlowbiteInit />
       <Banner />
-      <PrivacyPolicy />
+      <PrivacyPolicy page={page} />
     </>
   );
-}
\ No newline at end of file
+}
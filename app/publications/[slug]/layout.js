@@ -1,18 +1,27 @@
+import { getPublicationBySlug } from "@/lib/wordpress";
+import { shareImages } from "@/lib/ogImage";
+import { articleSchema, breadcrumbSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
+import { SITE_URL } from "@/lib/sitemap";
+
 export async function generateMetadata({ params }) {
   // console.log("Fetching data for slug:", params.slug);
 
-  const response = await fetch(
-    `https://docs.aarnalaw.com/wp-json/wp/v2/publications?embed&slug=${params.slug}`,
-  );
+  const locale = getLocale();
 
-  if (!response.ok) {
-    console.error("Failed to fetch post data:", response.statusText);
+  let post;
+  try {
+    post = localizeItem(await getPublicationBySlug(params.slug), locale);
+  } catch (error) {
+    console.error("Failed to fetch post data:", error);
     return {
       title: "Publications| Aarna Law",
       description: "Publications| Aarna Law",
-      metadataBase: new URL("https://www.aarnalaw.com/"),
+      metadataBase: new URL(SITE_URL),
       openGraph: {
-        url: `https://www.aarnalaw.com/publications/${params.slug}`,
+        url: `${SITE_URL}/publications/${params.slug}`,
         title: "Publications| Aarna Law",
         description: "Publications| Aarna Law",
         images: [
@@ -27,13 +36,12 @@ export async function generateMetadata({ params }) {
     };
   }
 
-  const postData = await response.json();
-
-  // Ensure postData has data
-  const post = postData[0];
-
   // console.log("Fetched post data:", post);
 
+  const alternates = post
+    ? localeAlternates((locale) => `/publications/${localizedSlug(post, locale)}`)
+    : localeAlternates(`/publications/${params.slug}`);
+
   return {
     title: post
       ? `${post.acf.meta_title} - Publications| Aarna Law`
@@ -41,37 +49,50 @@ export async function generateMetadata({ params }) {
     description: post
       ? post.acf.meta_description // Assuming you want the excerpt for the description
       : "Publications| Aarna Law",
-    metadataBase: new URL("https://www.aarnalaw.com/publications/"),
+    metadataBase: new URL(SITE_URL),
+    alternates,
     openGraph: {
-      url: `https://www.aarnalaw.com/publications/${params.slug}`,
+      url: alternates.canonical,
       title: post
         ? `${post.acf.meta_title} - Publications| Aarna Law`
         : "Publications| Aarna Law",
       description: post
         ? post.acf.meta_description // Assuming you want the excerpt for the description
         : "Publications| Aarna Law",
-      images:
-        post && post.acf && post.acf.mobile_banner
-          ? [
-              {
-                url: post.acf.mobile_banner.url, // Adjust to your actual structure
-                width: 800,
-                height: 600,
-                alt: post.acf.meta_title || "Publications| Aarna Law",
-              },
-            ]
-          : [
-              {
-                url: "/aarnalaw_new_banner.jpg",
-                width: 800,
-                height: 600,
-                alt: "Publications| Aarna Law",
-              },
-            ],
+      images: post
+        ? shareImages(post, "publications", {
+            image: post.acf?.mobile_banner,
+            locale: getLocale(),
+          })
+        : [
+            {
+              url: "/aarnalaw_new_banner.jpg",
+              width: 800,
+              height: 600,
+              alt: "Publications| Aarna Law",
+            },
+          ],
     },
   };
 }
 
-export default function RootLayout({ children }) {
-  return <>{children}</>;
+export default async function RootLayout({ children, params }) {
+  const post = await getPublicationBySlug(params.slug).catch(() => null);
+  if (!post) return children;
+
+  const path = `/publications/${params.slug}`;
+  return (
+    <>
+      <JsonLd
+        data={[
+          articleSchema(post, "publications"),
+          breadcrumbSchema([
+            ["Publications", "/publications"],
+            [post.title.rendered, path],
+          ]),
+        ]}
+      />
+      {children}
+    </>
+  );
 }
@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
   title: "Legal Publications and Research",
       description:
         "Access a comprehensive collection of legal publications and research papers authored by Aarna Law's experts. Stay up-to-date with cutting-edge legal scholarship.",
       metadataBase: new URL("https://www.aarnalaw.com"),
-      alternates: {
-        canonical: "/publications",
-      },
+      alternates: localeAlternates("/publications"),
       openGraph: {
         title: "Legal Publications and Research",
         description:
@@ -13,7 +13,7 @@ export const metadata = {
         url: "/publications",
          images: "/insights/publications-og-banner.jpg",
       },
-  };
+  });
 
 export default function InsightsLayout({ children }) {
     return <>{children}</>;
@@ -1,11 +0,0 @@
-export default function robots() {
-  return {
-    rules: {
-      userAgent: "*",
-      allow: "/",
-      //   disallow: "/private/",
-    },
-    sitemap: "https://www.aarnalaw.com/sitemap.xml",
-    verificationCode: "A827D56A91561DA21E2E94273F4D52D5",
-  };
-}
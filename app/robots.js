@@ -0,0 +1,32 @@
+import { headers } from "next/headers";
+import { getSiteEnvironment } from "@/lib/getProductionMode";
+import { DISALLOWED_PATHS, SITE_URL } from "@/lib/sitemap";
+import { LOCALES, localizedPath } from "@/lib/locales";
+
+// Not pages, so there is no language version of them
+const DISALLOWED_PREFIXES = ["/api/", "/cgi-bin/"];
+
+// Served per request: staging and local deployments must never be crawled
+export default function robots() {
+  const host = headers().get("host") || "";
+
+  if (getSiteEnvironment(host) !== "live") {
+    return { rules: { userAgent: "*", disallow: "/" } };
+  }
+
+  return {
+    rules: {
+      userAgent: "*",
+      allow: "/",
+      // Search results pages are endless and thin; crawlers find content
+      // through the sitemap instead
+      disallow: [
+        ...DISALLOWED_PREFIXES,
+        ...[...DISALLOWED_PATHS, "/search"].flatMap((path) =>
+          LOCALES.map((locale) => localizedPath(path, locale)),
+        ),
+      ],
+    },
+    sitemap: `${SITE_URL}/sitemap.xml`,
+  };
+}
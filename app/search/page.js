@@ -0,0 +1,70 @@
+import { cache } from "react";
+import { headers } from "next/headers";
+import SearchResults from "@/components/Search/SearchResults";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+import { SEARCH_TYPES, searchQueryFromParams, searchSite } from "@/lib/search";
+import { recordSearch } from "@/lib/searchLog";
+import { SITE_URL } from "@/lib/sitemap";
+
+// Results depend on the query string
+export const dynamic = "force-dynamic";
+
+// Next.js hands over the query string as an object; lib/search.js reads
+// URLSearchParams like /api/search does
+const toSearchParams = (searchParams) =>
+  new URLSearchParams(
+    Object.entries(searchParams || {}).flatMap(([key, value]) =>
+      [].concat(value).map((item) => [key, item]),
+    ),
+  );
+
+export async function generateMetadata({ searchParams }) {
+  const t = await getTranslator(getLocale());
+  const { q } = searchQueryFromParams(toSearchParams(searchParams));
+
+  return {
+    title: q ? `${q} – ${t("search.title")}` : t("search.title"),
+    metadataBase: new URL(SITE_URL),
+  };
+}
+
+// Counted once per request, however often React renders the page; prefetches
+// (a search link scrolled into view) are not searches
+const recordSearchOnce = cache((q, total, locale) => {
+  if (headers().get("next-router-prefetch")) return;
+  recordSearch(q, { total, locale });
+});
+
+// Shareable results page: everything is in the URL, so a search can be
+// bookmarked, linked and reloaded, and works without JavaScript
+export default async function SearchPage({ searchParams }) {
+  const locale = getLocale();
+  const query = searchQueryFromParams(toSearchParams(searchParams));
+  query.filters.type = query.filters.type.filter((type) => type in SEARCH_TYPES);
+  const filtered = Object.values(query.filters).some((values) => values.length);
+
+  let results = null;
+  let failed = false;
+  if (query.q || filtered) {
+    try {
+      results = await searchSite({ ...query, locale });
+      // Narrowing a search down or paging through it is not a new search
+      if (query.q && !filtered && query.page === 1) {
+        recordSearchOnce(query.q, results.total, locale);
+      }
+    } catch (error) {
+      console.error("❌ Search page failed:", error);
+      failed = true;
+    }
+  }
+
+  return (
+    <SearchResults
+      query={query}
+      results={results}
+      failed={failed}
+      types={Object.keys(SEARCH_TYPES)}
+    />
+  );
+}
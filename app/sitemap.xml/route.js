@@ -0,0 +1,17 @@
+import { renderSitemapIndex } from "@/lib/sitemap";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety net.
+export const revalidate = 3600;
+
+/**
+ * GET handler for the sitemap index
+ * WHY: Lists one sitemap per section so each stays small and dated by its
+ * newest content, instead of a hand-maintained static file.
+ */
+export async function GET() {
+  const xml = await renderSitemapIndex();
+  return new Response(xml, {
+    headers: { "Content-Type": "application/xml; charset=utf-8" },
+  });
+}
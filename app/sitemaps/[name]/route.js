@@ -0,0 +1,27 @@
+import { SITEMAP_NAMES, renderSitemap } from "@/lib/sitemap";
+
+// Route segment config
+// WHY: Rebuilt on publish by /api/revalidate; the hourly refresh is a safety
+// net that also drops articles older than two days from the news sitemap.
+export const revalidate = 3600;
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return SITEMAP_NAMES.map((name) => ({ name: `${name}.xml` }));
+}
+
+/**
+ * GET handler for one section sitemap, e.g. /sitemaps/insights.xml
+ * WHY: Section sitemaps are listed in /sitemap.xml; see lib/sitemap.js.
+ */
+export async function GET(request, { params }) {
+  const name = params.name.replace(/\.xml$/, "");
+  if (!SITEMAP_NAMES.includes(name)) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const xml = await renderSitemap(name);
+  return new Response(xml, {
+    headers: { "Content-Type": "application/xml; charset=utf-8" },
+  });
+}
@@ -1,16 +1,14 @@
+import { getFeaturedImageUrl, getTeamMemberBySlug } from "@/lib/wordpress";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
+
 export async function generateMetadata({ params }) {
     const { slug } = params;
   
-    // Fetch data with cache disabled to ensure fresh data
-    const res = await fetch(
-      `https://docs.aarnalaw.com/wp-json/wp/v2/team?_embed&slug=${slug}`,
-      { cache: "no-store" } // Prevent caching issues
-    );
-  
-    const data = await res.json();
+    const blog = localizeItem(await getTeamMemberBySlug(slug).catch(() => null), getLocale());
   
     // Handle case where post is not found
-    if (!data || data.length === 0) {
+    if (!blog) {
       return {
         title: "Blog Not Found | Aarna Law",
         description: "The blog you are looking for is not available.",
@@ -20,20 +18,15 @@ export async function generateMetadata({ params }) {
       };
     }
   
-    const blog = data[0];
     const metaDescription = blog.acf?.meta_description || "Read more about this topic.";
   
     // Get featured image URL
-    const imageUrl = blog._embedded?.["wp:featuredmedia"]?.[0]?.source_url?.startsWith("http")
-      ? blog._embedded["wp:featuredmedia"][0].source_url
-      : `https://docs.aarnalaw.com${blog._embedded["wp:featuredmedia"][0].source_url}`;
+    const imageUrl = getFeaturedImageUrl(blog) || "/aarnalaw_new_banner.jpg";
   
     return {
       title: blog.acf?.meta_title || blog.title.rendered,
       description: metaDescription,
-      alternates: {
-        canonical: `https://www.aarnalaw.com/team/${slug}`,
-      },
+      alternates: localeAlternates((locale) => `/team/${localizedSlug(blog, locale)}`),
       openGraph: {
         title: blog.acf?.meta_title || blog.title.rendered,
         description: metaDescription,
@@ -55,8 +48,8 @@ export async function generateMetadata({ params }) {
 
   
   
-  // Force revalidation every 10 seconds to get the latest data
-  export const revalidate = 10;
+  // Refreshed on publish by /api/revalidate; daily revalidation is a fallback
+  export const revalidate = 86400;
   
   // ✅ Default export - A React component (needed for Next.js to work)
   export default function InsightPostLayout({ children }) {
@@ -1,89 +1,98 @@
-"use client";
-import React, { useEffect, useState } from "react";
+import React from "react";
+import { notFound } from "next/navigation";
 import Banner from "@/components/Team/Banner";
-import Link from "next/link";
-import ErrorPage from "@/components/404/page";
+import StaleContentNotice from "@/components/StaleContent/StaleContentNotice";
+import { getSiteProductionMode } from "@/lib/getProductionMode";
+import { getSlugs, getTeamMemberBySlug } from "@/lib/wordpress";
+import { isServingStaleContent } from "@/lib/fetchWithRevalidate";
+import { shareImages } from "@/lib/ogImage";
+import { toPlainText } from "@/lib/html";
+import { breadcrumbSchema, personSchema } from "@/lib/structuredData";
+import JsonLd from "@/components/StructuredData/JsonLd";
+import { getLocale, localeAlternates } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+import { localizeItem, localizedSlug } from "@/lib/localizedFields";
+import TranslationNotice from "@/components/TranslationNotice/TranslationNotice";
 
-export default function Page({ params }) {
-  const paramUrl = params.slug;
-  const [title, setTitle] = useState(null);
-  const [date, setDate] = useState(null);
-  const [featureImage, setFeatureImage] = useState(null);
-  const [bannerImage, setBannerImage] = useState(null);
-  const [mobileBannerImage, setMobileBannerImage] = useState(null);
-  const [content, setContent] = useState(null);
-  const [designation, setDesignation] = useState(null);
-  const [description, setDescription] = useState(null);
-  const [practiceAreas, setPracticeAreas] = useState(null);
-  const [error, setError] = useState(false); // Error state to handle error page
-
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(
-          `https://docs.aarnalaw.com/wp-json/wp/v2/team?_embed&slug=${paramUrl}`,
-        );
-        const data = await response.json();
-        // console.log("team data", data);
-        if (data && data.length > 0) {
-          const post = data[0];
-          // Set post details in state
-          // console.log("filter data", post);
-          setTitle(post.title.rendered);
-          setBannerImage(post.acf.banner_image.url);
-          setMobileBannerImage(post.acf.mobile_banner.url);
-          setDesignation(post.acf.designation);
-          setPracticeAreas(post.acf.practice_areas);
-          setDescription(post.acf.description);
-          setDate(post.date);
+// Known profiles; the pages still render per request, like every route
+// that reads the locale (see getLocale in lib/i18n.js)
+export async function generateStaticParams() {
+  const slugs = await getSlugs("team", {
+    productionMode: getSiteProductionMode(),
+  }).catch(() => []);
+  return slugs.map((slug) => ({ slug }));
+}
 
-          //Fetch the featured image if it exists
-          if (post.featured_media) {
-            try {
-              const mediaResponse = await fetch(
-                `https://docs.aarnalaw.com/wp-json/wp/v2/media/${post.featured_media}`,
-              );
-              const mediaResult = await mediaResponse.json();
+export async function generateMetadata({ params }) {
+  const locale = getLocale();
+  const post = localizeItem(
+    await getTeamMemberBySlug(params.slug, {
+      productionMode: getSiteProductionMode(),
+    }).catch(() => null),
+    locale,
+  );
+  if (!post) return {};
 
-              setFeatureImage(mediaResult.source_url || null);
-            } catch (error) {
-              console.error("Error fetching media for post:", error);
-              setFeatureImage(null);
-            }
-          }
-        } else {
-          console.error("No post data found.");
-          setError(true); // Set error state if no post found
-        }
-      } catch (error) {
-        console.error("Error fetching data:", error);
-      }
-    };
+  const title = post.acf?.meta_title || `${toPlainText(post.title.rendered)} | Aarna Law`;
+  const description = post.acf?.meta_description || post.acf?.designation || "";
+  const alternates = localeAlternates((locale) => `/team/${localizedSlug(post, locale)}`);
+  return {
+    title,
+    description,
+    alternates,
+    openGraph: {
+      title,
+      description,
+      url: alternates.canonical,
+      type: "profile",
+      images: shareImages(post, "team", { locale }),
+    },
+  };
+}
 
-    fetchData();
-  }, [paramUrl]);
+export default async function Page({ params }) {
+  const post = localizeItem(
+    await getTeamMemberBySlug(params.slug, {
+      productionMode: getSiteProductionMode(),
+    }),
+    getLocale(),
+  );
 
-  if (error) {
-    return <ErrorPage />;
-  }
+  if (!post) notFound();
+  const t = await getTranslator(getLocale());
 
   return (
     <>
+      <JsonLd
+        data={[
+          personSchema(post),
+          breadcrumbSchema([
+            ["Team", "/team"],
+            [post.title.rendered, `/team/${params.slug}`],
+          ]),
+        ]}
+      />
+      {isServingStaleContent() && (
+        <StaleContentNotice message="This profile may be out of date. Please check back shortly." />
+      )}
       <Banner
-        title={title}
-        backgroundImage={bannerImage}
-        mobileBackgroundImage={mobileBannerImage}
-        designation={designation}
+        title={post.title.rendered}
+        backgroundImage={post.acf?.banner_image?.url}
+        mobileBackgroundImage={post.acf?.mobile_banner?.url}
+        designation={post.acf?.designation}
       />
       <div className="mx-auto md:flex md:w-11/12 py-12 p-2">
         <div className="md:w-3/12 rounded-lg bg-gray-300 p-8">
-          <h2 className="pb-4 font-semibold text-custom-red">PRACTICE AREAS</h2>
-          <span dangerouslySetInnerHTML={{ __html: practiceAreas }}></span>
+          <h2 className="pb-4 font-semibold uppercase text-custom-red">
+            {t("practiceAreasTitle.practiceAreas")}
+          </h2>
+          <span dangerouslySetInnerHTML={{ __html: post.acf?.practice_areas ?? "" }}></span>
         </div>
         <div className=" md:w-9/12 md:p-8 p-4">
+          {post.translation?.isFallback && <TranslationNotice className="mb-6" />}
           <span
-            dangerouslySetInnerHTML={{ __html: description }}
-            className="team-content"
+            dangerouslySetInnerHTML={{ __html: post.acf?.description ?? "" }}
+            className="team-content wp-content"
           ></span>
         </div>
       </div>
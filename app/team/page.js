@@ -1,24 +1,24 @@
 // Import statements remain unchanged
 "use client";
-import React, { useRef, useState, useEffect } from "react";
+import React, { useContext, useRef, useState, useEffect } from "react";
 import { partnersMembers } from "@/utils/data";
 import Credentials from "react-multi-carousel";
 import "react-multi-carousel/lib/styles.css";
 import Link from "next/link";
 import Image from "next/image";
+import { getTeamMembers } from "@/lib/wordpress";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 export default function Partners() {
   const sliderRef = useRef(null);
+  const { t } = useContext(LanguageContext);
   const [data, setData] = useState([]); // Initialize data state with an empty array
   const [loading, setLoading] = useState(true); // Loading state for skeleton
 
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const response = await fetch(
-          `https://docs.aarnalaw.com/wp-json/wp/v2/team?_embed&per_page=100`,
-        );
-        const result = await response.json();
+        const result = await getTeamMembers();
 
         // console.log("Practice area data", result);
         setData(result);
@@ -66,12 +66,11 @@ export default function Partners() {
   return (
     <div className=" bg-bgDark3 py-12">
       <div className="mt-[100px] text-center">
-        <p className=" mb-4 text-2xl font-bold tracking-wider text-custom-red">
-          PARTNERS
+        <p className=" mb-4 text-2xl font-bold uppercase tracking-wider text-custom-red">
+          {t("aboutPartner.aboutPartnerTitle")}
         </p>
         <p className="mx-auto mb-4 px-4 leading-normal text-white md:w-[1200px] md:text-center md:text-3xl">
-          The expertise of our accomplished team anchors our practice in thought
-          leadership, mentorship, and the pursuit of excellence...
+          {t("aboutPartner.aboutPartnerPara")}
         </p>
         <div className="mx-auto grid w-11/12 grid-cols-4 gap-4">
           {data.map((item, index) => {
@@ -85,7 +84,7 @@ export default function Partners() {
                 <Image
                   src={imageUrl}
                   className="mx-auto size-48 rounded-full bg-[#0e1333]"
-                  alt="team member"
+                  alt={t("team.photoAlt")}
                   width={200}
                   height={200}
                    loading="lazy"
@@ -94,7 +93,7 @@ export default function Partners() {
                   {item.title.rendered}
                 </h2>
                 <p className="mb-4 min-h-[40px] text-center text-sm text-black">
-                  {item.acf?.designation || "Designation not available"}
+                  {item.acf?.designation || t("team.noDesignation")}
                 </p>
                 <p
                   className="line-clamp-2 min-h-[50px] text-center text-base text-gray-700"
@@ -106,7 +105,7 @@ export default function Partners() {
                   href={`/team/${item.slug}`}
                   className="mt-2 inline-block rounded bg-custom-red px-4 py-2 text-white hover:bg-red-800"
                 >
-                  Read More
+                  {t("team.readMore")}
                 </Link>
               </div>
             );
@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
     title: "Terms of use | Law Firm in India - Aarna Law",
     description:
       "Get in touch with the internationally recognised law firm in India - Aarna Law. Terms of use now for professional legal assistance.",
     metadataBase: new URL("https://www.aarnalaw.com"),
-    alternates: {
-      canonical: "/terms of use",
-    },
+    alternates: localeAlternates("/terms-of-use"),
     openGraph: {
       title: "Terms of use | Law Firm in India - Aarna Law",
       description:
@@ -13,7 +13,7 @@ export const metadata = {
       url: "/terms of use",
       images: "/aarnalaw_new_banner.jpg",
     },
-  };
+  });
   
   export default function RootLayout({ children }) {
     return <>{children}</>;
@@ -1,18 +1,20 @@
-"use client";
-import React, { useEffect } from "react";
+import React from "react";
 import Banner from "../../components/TermsOfUse/Banner";
 import TermsOfUse from "../../components/TermsOfUse/terms-of-use";
-import { initFlowbite } from "flowbite";
+import FlowbiteInit from "@/components/Pages/FlowbiteInit";
+import { PAGE_IDS, getPageById } from "@/lib/wordpress";
 
-export default function Careers() {
-  useEffect(() => {
-    initFlowbite(); // Initialize Flowbite after the data is loaded
-  }, []);
+export default async function TermsOfUsePage() {
+  const page = await getPageById(PAGE_IDS.TERMS_OF_USE).catch((error) => {
+    console.error("TermsOfUse fetch error:", error);
+    return null;
+  });
 
   return (
     <>
+      <FlowbiteInit />
       <Banner />
-      <TermsOfUse />
+      <TermsOfUse page={page} />
     </>
   );
-}
\ No newline at end of file
+}
@@ -1,11 +1,11 @@
-export const metadata = {
+import { localeAlternates } from "@/lib/i18n";
+
+export const generateMetadata = () => ({
     title: "Customer Testimonials | Aarna Law",
     description:
       "Discover why clients choose Aarna Law as their legal advisors. Read customer testimonials and reviews of our lawyer's firm in Bangalore.",
     metadataBase: new URL("https://www.aarnalaw.com"),
-    alternates: {
-      canonical: "/testimonials",
-    },
+    alternates: localeAlternates("/testimonials"),
     openGraph: {
       title: "Customer Testimonials | Aarna Law",
       description:
@@ -13,7 +13,7 @@ export const metadata = {
       url: "/testimonials",
       images: "/aarnalaw_new_banner.jpg",
     },
-  };
+  });
   
   export default function RootLayout({ children }) {
     return <>{children}</>;
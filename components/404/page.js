@@ -1,13 +1,12 @@
 import React from "react";
 import Link from "next/link";
 import Image from "next/image";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
 
-export default function page() {
+export default async function page() {
+  const t = await getTranslator(getLocale());
 
-
-
-
-  
   return (
     <div className="flex h-screen items-center justify-center">
       <div className="grid h-[80vh] w-full grid-cols-2">
@@ -15,13 +14,13 @@ export default function page() {
           <div>
             <h1 className="text-7xl font-bold text-custom-red">404</h1>
             <p className="py-4 text-2xl text-white">
-              We couldn&apos;t find the page you are looking for.
+              {t("notFound.message")}
             </p>
             <Link
               href="/"
               className="border border-custom-red p-2 text-custom-red"
             >
-              Go back to the homepage
+              {t("notFound.home")}
             </Link>
           </div>
         </div>
@@ -31,7 +30,7 @@ export default function page() {
             width={200}
             height={200}
             className="w-[500px]"
-            alt="404 Page"
+            alt={t("notFound.imageAlt")}
              loading="lazy"
           />
         </div>
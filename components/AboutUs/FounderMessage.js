@@ -8,7 +8,7 @@ function FounderMessage() {
   return (
     <div className="mx-auto grid container pb-12 lg:grid-cols-2 px-4 md:px-0">
       {/* Mobile title section (shows only on small screens) */}
-      <div className="flex flex-col items-start justify-center p-2 lg:hidden lg:pl-12">
+      <div className="flex flex-col items-start justify-center p-2 lg:hidden lg:ps-12">
         <div className="mb-3">
           <Image
             src="/images/quote-png.png"
@@ -37,7 +37,7 @@ function FounderMessage() {
       </div>
 
       {/* Text Section */}
-      <div className="flex flex-col items-start justify-center p-2 lg:pl-12">
+      <div className="flex flex-col items-start justify-center p-2 lg:ps-12">
         {/* Quote icon & heading (desktop only) */}
         <div className="hidden lg:block mb-3">
           <Image
@@ -29,7 +29,7 @@ export default function OurLegacy() {
           width={500}
           height={500}
           className="h-full max-h-[600px] w-full object-cover"
-          alt="Our Legacy"
+          alt={translations.ourLegacy.legacyTitle}
           loading="lazy"
         />
       </div>
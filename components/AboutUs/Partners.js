@@ -11,9 +11,10 @@ import Credentials from "react-multi-carousel";
 import "react-multi-carousel/lib/styles.css";
 import Link from "next/link";
 import Image from "next/image";
-import configData from "../../config.json";
 import { LanguageContext } from "../../app/context/LanguageContext";
 import { FaArrowLeft, FaArrowRight } from "react-icons/fa6";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getTeamMembers } from "@/lib/wordpress";
 
 export default function Partners() {
   const sliderRef = useRef(null);
@@ -23,41 +24,16 @@ export default function Partners() {
   const [inView, setInView] = useState(false);
   const sectionRef = useRef(null);
 
-  const domain = typeof window !== "undefined" ? window.location.hostname : "";
 
-  const { translations } = useContext(LanguageContext);
+  const { translations, t } = useContext(LanguageContext);
 
   const fetchContent = useCallback(async () => {
     setLoading(true);
     try {
-      let server;
-      // Match against hostnames (window.location.hostname), not full URLs
-      const liveHostname = configData.LIVE_SITE_URL.replace(
-        /^https?:\/\//,
-        "",
-      ).replace(/^www\./, "");
-      const stagingHostname = configData.STAGING_SITE_URL.replace(
-        /^https?:\/\//,
-        "",
-      ).replace(/^www\./, "");
-      const currentHostname = domain.replace(/^www\./, "");
-
-      if (
-        currentHostname === liveHostname ||
-        domain === configData.LIVE_SITE_URL_WWW
-      ) {
-        server = configData.LIVE_PRODUCTION_SERVER_ID;
-      } else if (currentHostname === stagingHostname) {
-        server = configData.STAG_PRODUCTION_SERVER_ID;
-      } else {
-        server = configData.STAG_PRODUCTION_SERVER_ID;
-      }
-
-      const practiceAreaResponse = await fetch(
-        `${configData.SERVER_URL}team?_embed&status[]=publish&production_mode[]=${server}&per_page=${page}`,
-      );
-
-      const practiceAreaData = await practiceAreaResponse.json();
+      const practiceAreaData = await getTeamMembers({
+        productionMode: getClientProductionMode(),
+        perPage: page,
+      });
 
       if (practiceAreaData.length === 0) {
         setHasMore(false);
@@ -74,7 +50,7 @@ export default function Partners() {
       console.error("Error fetching data:", error);
       setLoading(false);
     }
-  }, [page, domain]);
+  }, [page]);
 
   useEffect(() => {
     fetchContent();
@@ -188,7 +164,7 @@ export default function Partners() {
                     {item.title.rendered}
                   </h2>
                   <p className="mb-2 min-h-[55px] text-center text-sm text-black">
-                    {item.acf?.designation || "Designation not available"}
+                    {item.acf?.designation || t("team.noDesignation")}
                   </p>
                   <p
                     className="mb-2 line-clamp-2 text-center text-base leading-tight text-gray-700"
@@ -202,7 +178,7 @@ export default function Partners() {
                     className="mt-5 inline-block border border-custom-red px-4 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base cursor-pointer"
                     // className="mt-5 border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base cursor-pointer"
                   >
-                    Read More
+                    {t("team.readMore")}
                   </Link>
                 </div>
               );
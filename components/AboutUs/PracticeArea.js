@@ -1,31 +1,26 @@
 "use client";
 import React, { useState, useEffect, useCallback, useContext } from "react";
 import Link from "next/link";
-import configData from "../../config.json";
 import { LanguageContext } from "../../app/context/LanguageContext";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getPracticeAreas } from "@/lib/wordpress";
+import { localizedField, localizedSlug } from "@/lib/localizedFields";
+import { localizedPath } from "@/lib/locales";
 
 export default function PracticeArea() {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [page, setPage] = useState(100);
 
-  const domain = typeof window !== "undefined" ? window.location.hostname : "";
   const { translations, language } = useContext(LanguageContext);
 
   const fetchContent = useCallback(async () => {
     setLoading(true);
     try {
-      let server;
-      if (domain === configData.LIVE_SITE_URL) {
-        server = configData.LIVE_PRODUCTION_SERVER_ID;
-      } else {
-        server = configData.STAG_PRODUCTION_SERVER_ID;
-      }
-
-      const response = await fetch(
-        `${configData.SERVER_URL}practice-areas?_embed&status[]=publish&production_mode[]=${server}&per_page=${page}`
-      );
-      const result = await response.json();
+      const result = await getPracticeAreas({
+        productionMode: getClientProductionMode(),
+        perPage: page,
+      });
 
       if (Array.isArray(result)) {
         const sortedData = result.sort((a, b) =>
@@ -41,7 +36,7 @@ export default function PracticeArea() {
     } finally {
       setLoading(false);
     }
-  }, [page, domain]);
+  }, [page]);
 
   useEffect(() => {
     fetchContent();
@@ -61,30 +56,13 @@ export default function PracticeArea() {
         </h2>
         <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
           {columns.map((column, colIndex) => (
-            <div key={colIndex} className={`space-y-4 px-6 ${colIndex < 2 ? "md:border-r md:border-gray-500" : ""}`}>
+            <div key={colIndex} className={`space-y-4 px-6 ${colIndex < 2 ? "md:border-e md:border-gray-500" : ""}`}>
               {column.map((item, index) => {
-                const title =
-                  language === "ta" && item.acf.tamil_title
-                    ? item.acf.tamil_title
-                    : language === "kn" && item.acf.kannada_title
-                      ? item.acf.kannada_title
-                      : language === "te" && item.acf.telugu_title
-                        ? item.acf.telugu_title
-                        : language === "hi" && item.acf.hindi_title
-                          ? item.acf.hindi_title
-                          : language === "ml" && item.acf.malayalam_title
-                            ? item.acf.malayalam_title
-                            : language === "mr" && item.acf.marathi_title
-                              ? item.acf.marathi_title
-                              : language === "gu" && item.acf.gujarati_title
-                                ? item.acf.gujarati_title
-                                : language === "fr" && item.acf.french_title
-                                  ? item.acf.french_title
-                                  : item.title.rendered;
+                const title = localizedField(item, "title", language);
 
                 return (
                   <div key={index} className="group relative overflow-hidden md:p-4 py-2 text-white hover:text-white lg:p-1">
-                    <Link href={`/practice-areas/${item.slug}`}>
+                    <Link href={localizedPath(`/practice-areas/${localizedSlug(item, language)}`, language)}>
                       <p
                         dangerouslySetInnerHTML={{ __html: title }}
                         className="relative z-10 font-semibold lg:font-normal"
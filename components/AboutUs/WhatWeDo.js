@@ -15,13 +15,13 @@ const WhatWeDo = () => {
           width={500}
           height={500}
           className="h-full max-h-[600px] w-full object-cover"
-          alt="What We Do"
+          alt={translations.whatWeDo.title}
           loading="lazy"
         />
       </div>
 
       {/* Text Section */}
-      <div className="flex min-h-[400px] flex-col justify-center p-2 lg:min-h-[500px] lg:pl-5">
+      <div className="flex min-h-[400px] flex-col justify-center p-2 lg:min-h-[500px] lg:ps-5">
         <h2 className="mt-4 text-2xl font-bold text-custom-red lg:mt-0">
           {translations.whatWeDo.title}
         </h2>
@@ -1,35 +1,27 @@
 "use client";
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useContext, useState, useEffect, useCallback } from "react";
 import { initFlowbite } from "flowbite";
 import ContactModal from "@/components/ModalContact/page";
-import configData from "../../config.json";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getJobs } from "@/lib/wordpress";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function CareerLists() {
+  const { translations, t } = useContext(LanguageContext);
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [page, setPage] = useState(100);
   const [openIndexes, setOpenIndexes] = useState([]);
 
 
-  const domain = typeof window !== "undefined" ? window.location.hostname : "";
 
   const fetchContent = useCallback(async () => {
     setLoading(true);
     try {
-      let server;
-      if (domain === configData.LIVE_SITE_URL || domain === configData.LIVE_SITE_URL_WWW) {
-        server = `${configData.LIVE_PRODUCTION_SERVER_ID}`;
-      } else if (domain === `${configData.STAGING_SITE_URL}`) {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      } else {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      }
-
-      const practiceAreaResponse = await fetch(
-        `${configData.SERVER_URL}jobs?_embed&status[]=publish&production_mode[]=${server}&per_page=${page}`,
-      );
-
-      const practiceAreaData = await practiceAreaResponse.json();
+      const practiceAreaData = await getJobs({
+        productionMode: getClientProductionMode(),
+        perPage: page,
+      });
 
       if (practiceAreaData.length === 0) {
         setHasMore(false);
@@ -46,7 +38,7 @@ function CareerLists() {
       console.error("Error fetching data:", error);
       setLoading(false);
     }
-  }, [page, domain]);
+  }, [page]);
 
   useEffect(() => {
     fetchContent();
@@ -56,42 +48,28 @@ function CareerLists() {
     <div>
       <div className="mx-auto container py-12 px-4 md:px-0">
         <p className="py-4 text-center font-bold text-custom-red text-2xl">
-          Careers at Aarna Law
+          {translations.careers.title}
         </p>
         <p className=" text-2xl font-semibold text-custom-blue md:mt-0 md:leading-10 lg:text-[32px] mx-auto md:w-8/12 w-full text-center">
-        Be a Part of a Dynamic Law Practice With an <br />
-        International Outlook
+          {translations.careers.headline}
         </p>
 
-        <p className="pt-6">
-          Aarna Law is an India-based international legal advisory rooted in
-          dharmic principles of natural law, justice, and compassion. Through
-          our wide range of practice areas, we provide progressive legal counsel
-          to a clientele that spans Nation States, International Organisations,
-          Multinational Companies, Niche Start-ups, and Individual Interests.
-        </p>
+        <p className="pt-6">{translations.careers.intro}</p>
         <p className="py-6 font-semibold text-custom-blue">
-          Recruitment for Legal and Administrative Professionals
-        </p>
-        <p>
-          We are always interested to hear from professionals with international
-          experience, significant academic achievements, publications in
-          peer-reviewed journals, or other demonstrations of astute legal
-          skills. We are also interested in innovative and competent admin and
-          support team members. If you are a team player with a spirit of
-          service and a passion for excellence in the law, please get in touch.
+          {translations.careers.recruitmentTitle}
         </p>
+        <p>{translations.careers.recruitment}</p>
 
         <div className="py-6">
           <div className="flex justify-between items-center border-b-2 border-custom-red w-full py-5 mb-5">
           <h2 className=" text-2xl md:text-3xl font-semibold text-custom-blue">
-            Current Openings
+            {translations.careers.openingsTitle}
           </h2>
           <div className="">
               <ContactModal
-                btnName="Apply Now"
+                btnName={translations.careers.applyNow}
                 textColor="text-custom-red"
-                modalTitle="Current Openings"
+                modalTitle={translations.careers.openingsTitle}
                 modalTitleColor="text-custom-blue"
                 btnType="career"
                 id="career"
@@ -154,7 +132,7 @@ function CareerLists() {
                       <p
                         className="careers mb-2 text-black dark:text-gray-400"
                         dangerouslySetInnerHTML={{
-                          __html: item.content?.rendered || "No content available.",
+                          __html: item.content?.rendered || translations.careers.noContent,
                         }}
                       />
                     </div>
@@ -169,49 +147,24 @@ function CareerLists() {
         <div>
           <div className="flex justify-between items-center border-b-2 border-custom-red w-full py-5">
           <h2 className=" text-2xl md:text-3xl font-semibold text-custom-blue">
-            Internships
+            {translations.careers.internshipsTitle}
           </h2>
           <div className="">
           <ContactModal
-            btnName="Apply Now"
+            btnName={translations.careers.applyNow}
             textColor="text-custom-red"
-            modalTitle="Internships"
+            modalTitle={translations.careers.internshipsTitle}
             modalTitleColor="text-custom-blue"
             btnType="internships"
             id="internships"
           />
         </div>
             </div>
-          <p className="pt-8">
-            At Aarna, we offer an internship experience that is enriching and
-            challenging. We look for more than a strong academic record; we seek
-            individuals who are motivated, eager to learn, and share the same
-            values as the firm. We pride ourselves in the diversity of interns
-            and the opportunities we’ve offered to students from all over the
-            country.
-          </p>{" "}
-          <p className="pt-4">
-            The internship period is 4-8 weeks. Interns have the opportunity to
-            work with our disputes, insolvency law as well as our corporate
-            advisory teams. During the internship period, the intern has a
-            unique opportunity to get a practical insight into various aspects
-            of our practice areas. Each intern is assigned a supervisor;
-            however, they are expected to work with all teams in order to get a
-            holistic experience.
-          </p>
-          <p className="pt-4">
-            {" "}
-            Our interns are expected to be aware of recent developments in the
-            law in our practice areas. Each intern is assigned a topic to
-            research on and at the end of the term, the intern is expected to
-            make a presentation before the partners and all associates.
-          </p>
-          <p className="pt-4">
-            {" "}
-            We do not accept internship applications from students who are in
-            the first and second year of the BA LLB (Hons.) programme and the 3
-            year LLB programme.
-          </p>
+          {translations.careers.internships.map((_, index) => (
+            <p key={index} className={index ? "pt-4" : "pt-8"}>
+              {t(`careers.internships.${index}`, { minWeeks: 4, maxWeeks: 8 })}
+            </p>
+          ))}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 "use client";
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const initial = {
   First_Name: "",
@@ -15,7 +16,10 @@ const initial = {
 // Static list of roles
 const roleOptions = ["Legal", "Administration", "Finance"];
 
+const MAX_FILE_MB = 5;
+
 export default function InternshipForm({ id }) {
+  const { t } = useContext(LanguageContext);
   const [formData, setFormData] = useState(initial);
   const [loading, setLoading] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
@@ -48,13 +52,12 @@ export default function InternshipForm({ id }) {
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file) {
-      // Check file size (max 5MB)
-      const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
-      if (file.size > MAX_FILE_SIZE) {
+      // Check file size
+      if (file.size > MAX_FILE_MB * 1024 * 1024) {
         setSubmitStatus({
           type: "error",
-          message: "File size must be less than 5MB",
-          allErrors: ["File size must be less than 5MB"],
+          message: t("forms.errors.fileTooLarge", { maxMb: MAX_FILE_MB }),
+          allErrors: [t("forms.errors.fileTooLarge", { maxMb: MAX_FILE_MB })],
         });
         return;
       }
@@ -73,8 +76,8 @@ export default function InternshipForm({ id }) {
       if (!allowedTypes.includes(file.type) && !hasValidExtension) {
         setSubmitStatus({
           type: "error",
-          message: "Only PDF and DOCX files are allowed",
-          allErrors: ["Only PDF and DOCX files are allowed"],
+          message: t("forms.errors.fileType"),
+          allErrors: [t("forms.errors.fileType")],
         });
         return;
       }
@@ -90,48 +93,48 @@ export default function InternshipForm({ id }) {
     const fieldErrors = {};
 
     if (!d.First_Name.trim()) {
-      errors.push("First name is required");
-      fieldErrors.First_Name = "First name is required";
+      errors.push(t("forms.errors.firstNameRequired"));
+      fieldErrors.First_Name = t("forms.errors.firstNameRequired");
     }
     if (!d.Last_Name.trim()) {
-      errors.push("Last name is required");
-      fieldErrors.Last_Name = "Last name is required";
+      errors.push(t("forms.errors.lastNameRequired"));
+      fieldErrors.Last_Name = t("forms.errors.lastNameRequired");
     }
     if (!d.Email.trim()) {
-      errors.push("Email is required");
-      fieldErrors.Email = "Email is required";
+      errors.push(t("forms.errors.emailRequired"));
+      fieldErrors.Email = t("forms.errors.emailRequired");
     } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(d.Email.trim())) {
-      errors.push("Invalid email format");
-      fieldErrors.Email = "Invalid email format";
+      errors.push(t("forms.errors.emailInvalid"));
+      fieldErrors.Email = t("forms.errors.emailInvalid");
     }
     if (!d.Phone_Number.trim()) {
-      errors.push("Phone number is required");
-      fieldErrors.Phone_Number = "Phone number is required";
+      errors.push(t("forms.errors.phoneRequired"));
+      fieldErrors.Phone_Number = t("forms.errors.phoneRequired");
     } else {
       const phoneDigits = d.Phone_Number.replace(/\D/g, "");
       if (phoneDigits.length < 10) {
-        errors.push("Phone number must be at least 10 digits");
-        fieldErrors.Phone_Number = "Phone number must be at least 10 digits";
+        errors.push(t("forms.errors.phoneTooShort", { min: 10 }));
+        fieldErrors.Phone_Number = t("forms.errors.phoneTooShort", { min: 10 });
       }
       if (phoneDigits.length > 15) {
-        errors.push("Phone number cannot exceed 15 digits");
-        fieldErrors.Phone_Number = "Phone number cannot exceed 15 digits";
+        errors.push(t("forms.errors.phoneTooLong", { max: 15 }));
+        fieldErrors.Phone_Number = t("forms.errors.phoneTooLong", { max: 15 });
       }
     }
     if (!d.Role || d.Role === "") {
-      errors.push("Please select a role");
-      fieldErrors.Role = "Please select a role";
+      errors.push(t("forms.errors.roleRequired"));
+      fieldErrors.Role = t("forms.errors.roleRequired");
     }
     if (!d.College || d.College.trim() === "") {
-      errors.push("College name is required");
-      fieldErrors.College = "College name is required";
+      errors.push(t("forms.errors.collegeRequired"));
+      fieldErrors.College = t("forms.errors.collegeRequired");
     } else if (d.College.trim().length < 2) {
-      errors.push("College name must be at least 2 characters");
-      fieldErrors.College = "College name must be at least 2 characters";
+      errors.push(t("forms.errors.collegeTooShort", { min: 2 }));
+      fieldErrors.College = t("forms.errors.collegeTooShort", { min: 2 });
     }
     if (!d.Resume) {
-      errors.push("Please upload your resume");
-      fieldErrors.Resume = "Please upload your resume";
+      errors.push(t("forms.errors.resumeRequired"));
+      fieldErrors.Resume = t("forms.errors.resumeRequired");
     }
 
     return errors.length > 0 ? { errors, fieldErrors } : null;
@@ -156,7 +159,7 @@ export default function InternshipForm({ id }) {
     if (validationResult) {
       setSubmitStatus({
         type: "error",
-        message: "Please fix the following errors:",
+        message: t("forms.errors.heading", { count: validationResult.errors.length }),
         allErrors: validationResult.errors,
         validationErrors: validationResult.errors,
         fieldErrors: validationResult.fieldErrors,
@@ -246,33 +249,33 @@ export default function InternshipForm({ id }) {
           zohoCode === "AUTHENTICATION_FAILURE" ||
           (json?.error && /auth/i.test(json.error))
         ) {
-          allErrors.push("Authentication error — contact admin.");
+          allErrors.push(t("forms.errors.auth"));
           setSubmitStatus({
             type: "error",
-            message: "Authentication error — contact admin.",
+            message: t("forms.errors.auth"),
             allErrors: allErrors,
           });
         } else if (duplicateField) {
           if (duplicateField === "Email") {
             allErrors.push(
-              "This email address is already registered. Please use a different email address.",
+              t("forms.errors.emailRegistered"),
             );
           } else if (duplicateField === "Mobile") {
             allErrors.push(
-              "This mobile number is already registered. Please use a different mobile number.",
+              t("forms.errors.mobileRegistered"),
             );
           }
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
             duplicateField: duplicateField,
           });
         } else {
-          allErrors.push(json?.error || json?.message || "Submission failed");
+          allErrors.push(json?.error || json?.message || t("forms.errors.failed"));
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
           });
         }
@@ -280,26 +283,26 @@ export default function InternshipForm({ id }) {
         // Show success and reset form
         setSubmitStatus({
           type: "success",
-          message: "Application submitted successfully!",
+          message: t("forms.applicationSent"),
         });
         setFormData(initial);
         setFileName("");
       } else {
         setSubmitStatus({
           type: "error",
-          message: "Submission failed. Please try again.",
+          message: t("forms.errors.failed"),
         });
       }
     } catch (err) {
       if (err.name === "AbortError") {
         setSubmitStatus({
           type: "error",
-          message: "Request timed out. Please try again.",
+          message: t("forms.errors.timeout"),
         });
       } else {
         setSubmitStatus({
           type: "error",
-          message: "An error occurred. Please try again.",
+          message: t("forms.errors.unknown"),
         });
       }
     } finally {
@@ -316,7 +319,7 @@ export default function InternshipForm({ id }) {
               htmlFor="First_Name"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              First name <span className="text-red-500">*</span>
+              {t("forms.firstName")} <span className="text-red-500">*</span>
             </label>
             <input
               id="First_Name"
@@ -341,7 +344,7 @@ export default function InternshipForm({ id }) {
               htmlFor="Last_Name"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Last name <span className="text-red-500">*</span>
+              {t("forms.lastName")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Last_Name"
@@ -369,7 +372,7 @@ export default function InternshipForm({ id }) {
               htmlFor="Phone_Number"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Phone number <span className="text-red-500">*</span>
+              {t("forms.phone")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Phone_Number"
@@ -382,7 +385,7 @@ export default function InternshipForm({ id }) {
               maxLength={15}
               pattern="[0-9]*"
               inputMode="numeric"
-              placeholder="Enter phone number"
+              placeholder={t("forms.phonePlaceholder")}
               className={`w-full rounded border px-3 py-2 text-sm ${submitStatus?.duplicateField === "Mobile" ||
                 submitStatus?.fieldErrors?.Phone_Number
                 ? "border-red-500 bg-red-50 ring-2 ring-red-200"
@@ -397,7 +400,7 @@ export default function InternshipForm({ id }) {
             {submitStatus?.duplicateField === "Mobile" &&
               !submitStatus?.fieldErrors?.Phone_Number && (
                 <p className="mt-1 text-xs text-red-600">
-                  This phone number already exists
+                  {t("forms.errors.phoneExists")}
                 </p>
               )}
           </div>
@@ -406,7 +409,7 @@ export default function InternshipForm({ id }) {
               htmlFor="Email"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Email <span className="text-red-500">*</span>
+              {t("forms.email")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Email"
@@ -429,7 +432,7 @@ export default function InternshipForm({ id }) {
             {submitStatus?.duplicateField === "Email" &&
               !submitStatus?.fieldErrors?.Email && (
                 <p className="mt-1 text-xs text-red-600">
-                  This email already exists
+                  {t("forms.errors.emailExists")}
                 </p>
               )}
           </div>
@@ -440,7 +443,7 @@ export default function InternshipForm({ id }) {
             htmlFor="College"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            College <span className="text-red-500">*</span>
+            {t("forms.college")} <span className="text-red-500">*</span>
           </label>
           <input
             id="College"
@@ -466,7 +469,7 @@ export default function InternshipForm({ id }) {
             htmlFor="Role"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Pick a Role <span className="text-red-500">*</span>
+            {t("forms.role")} <span className="text-red-500">*</span>
           </label>
           <select
             id="Role"
@@ -479,10 +482,10 @@ export default function InternshipForm({ id }) {
               : "border-gray-300"
               }`}
           >
-            <option value="">Please Select</option>
+            <option value="">{t("forms.selectPlaceholder")}</option>
             {roleOptions.map((role, index) => (
               <option key={index} value={role}>
-                {role}
+                {t("forms.roleOption", { role })}
               </option>
             ))}
           </select>
@@ -498,7 +501,7 @@ export default function InternshipForm({ id }) {
             htmlFor="Years_of_Experience"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Number of years of post qualification experience
+            {t("forms.experience")}
           </label>
           <input
             id="Years_of_Experience"
@@ -506,7 +509,7 @@ export default function InternshipForm({ id }) {
             type="text"
             value={formData.Years_of_Experience}
             onChange={handleChange}
-            placeholder="Enter years of experience"
+            placeholder={t("forms.experiencePlaceholder")}
             inputMode="numeric"
             className="w-full rounded border border-gray-300 px-3 py-2 text-sm"
           />
@@ -517,7 +520,7 @@ export default function InternshipForm({ id }) {
             htmlFor="Resume"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Choose a file <span className="text-red-500">*</span>
+            {t("forms.resume")} <span className="text-red-500">*</span>
           </label>
           <div
             className={`relative rounded-lg border-2 border-dashed p-3 text-center transition-colors ${submitStatus?.fieldErrors?.Resume
@@ -555,7 +558,7 @@ export default function InternshipForm({ id }) {
                   <p className="max-w-full truncate text-xs font-semibold text-gray-700">
                     {fileName}
                   </p>
-                  <p className="text-xs text-gray-500">Click to change file</p>
+                  <p className="text-xs text-gray-500">{t("forms.resumeChange")}</p>
                 </div>
               ) : (
                 <div className="flex flex-col items-center gap-1">
@@ -573,9 +576,9 @@ export default function InternshipForm({ id }) {
                     />
                   </svg>
                   <p className="text-xs font-medium text-gray-700">
-                    Click to upload or drag and drop
+                    {t("forms.resumeUpload")}
                   </p>
-                  <p className="text-xs text-gray-500">PDF, DOCX (Max 5MB)</p>
+                  <p className="text-xs text-gray-500">{t("forms.resumeTypes", { maxMb: MAX_FILE_MB })}</p>
                 </div>
               )}
             </div>
@@ -599,7 +602,7 @@ export default function InternshipForm({ id }) {
             {submitStatus.allErrors && submitStatus.allErrors.length > 0 ? (
               <div>
                 <p className="mb-2 font-semibold">
-                  {submitStatus.message || "Please fix the following errors:"}
+                  {submitStatus.message}
                 </p>
                 <ul className="list-inside list-disc space-y-1">
                   {submitStatus.allErrors.map((error, index) => (
@@ -611,7 +614,7 @@ export default function InternshipForm({ id }) {
               submitStatus.validationErrors.length > 0 ? (
               <div>
                 <p className="mb-2 font-semibold">
-                  {submitStatus.message || "Please fix the following errors:"}
+                  {submitStatus.message}
                 </p>
                 <ul className="list-inside list-disc space-y-1">
                   {submitStatus.validationErrors.map((error, index) => (
@@ -632,7 +635,7 @@ export default function InternshipForm({ id }) {
             aria-busy={loading}
             className="w-full rounded border border-custom-red px-6 py-2 text-base text-custom-red md:px-4 md:py-1.5 md:hover:bg-custom-red md:hover:text-white lg:px-6 lg:py-2"
           >
-            {loading ? "Submitting..." : "Submit"}
+            {loading ? t("forms.submitting") : t("forms.submit")}
           </button>
         </div>
       </form>
@@ -1,5 +1,6 @@
 "use client";
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const initial = {
   Name: "",
@@ -7,10 +8,15 @@ const initial = {
   Interests: [], // Array to store selected interests
 };
 
-// Available interest options
-const interestOptions = ["Corporate Advisory", "HR Compliance", "Others"];
+// Available interest options: the value sent to Zoho and its message key
+const interestOptions = [
+  { value: "Corporate Advisory", key: "corporateAdvisory" },
+  { value: "HR Compliance", key: "hrCompliance" },
+  { value: "Others", key: "others" },
+];
 
 export default function SubscribeForm({ id }) {
+  const { t } = useContext(LanguageContext);
   const [formData, setFormData] = useState(initial);
   const [loading, setLoading] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
@@ -59,22 +65,22 @@ export default function SubscribeForm({ id }) {
     const fieldErrors = {};
 
     if (!d.Name.trim()) {
-      errors.push("Name is required");
-      fieldErrors.Name = "Name is required";
+      errors.push(t("forms.errors.nameRequired"));
+      fieldErrors.Name = t("forms.errors.nameRequired");
     }
     if (!d.Email.trim()) {
-      errors.push("Email is required");
-      fieldErrors.Email = "Email is required";
+      errors.push(t("forms.errors.emailRequired"));
+      fieldErrors.Email = t("forms.errors.emailRequired");
     } else {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(d.Email)) {
-        errors.push("Please enter a valid email address");
-        fieldErrors.Email = "Please enter a valid email address";
+        errors.push(t("forms.errors.emailInvalid"));
+        fieldErrors.Email = t("forms.errors.emailInvalid");
       }
     }
     if (!d.Interests || d.Interests.length === 0) {
-      errors.push("Please select at least one interest");
-      fieldErrors.Interests = "Please select at least one interest";
+      errors.push(t("forms.errors.interestsRequired"));
+      fieldErrors.Interests = t("forms.errors.interestsRequired");
     }
 
     return { errors, fieldErrors };
@@ -88,7 +94,7 @@ export default function SubscribeForm({ id }) {
     if (validation.errors.length > 0) {
       setSubmitStatus({
         type: "error",
-        message: "Please fix the following errors:",
+        message: t("forms.errors.heading", { count: validation.errors.length }),
         allErrors: validation.errors,
         validationErrors: true,
         fieldErrors: validation.fieldErrors,
@@ -158,29 +164,29 @@ export default function SubscribeForm({ id }) {
           zohoCode === "AUTHENTICATION_FAILURE" ||
           (json?.error && /auth/i.test(json.error))
         ) {
-          allErrors.push("Authentication error — contact admin.");
+          allErrors.push(t("forms.errors.auth"));
           setSubmitStatus({
             type: "error",
-            message: "Authentication error — contact admin.",
+            message: t("forms.errors.auth"),
             allErrors: allErrors,
           });
         } else if (duplicateField) {
           if (duplicateField === "Email") {
             allErrors.push(
-              "This email address is already registered. Please use a different email address.",
+              t("forms.errors.emailRegistered"),
             );
           }
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
             duplicateField: duplicateField,
           });
         } else {
-          allErrors.push(json?.error || json?.message || "Submission failed");
+          allErrors.push(json?.error || json?.message || t("forms.errors.failed"));
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
           });
         }
@@ -188,25 +194,25 @@ export default function SubscribeForm({ id }) {
         // Show success and reset form
         setSubmitStatus({
           type: "success",
-          message: "Successfully subscribed to newsletter!",
+          message: t("forms.subscribed"),
         });
         setFormData(initial);
       } else {
         setSubmitStatus({
           type: "error",
-          message: "Submission failed. Please try again.",
+          message: t("forms.errors.failed"),
         });
       }
     } catch (err) {
       if (err.name === "AbortError") {
         setSubmitStatus({
           type: "error",
-          message: "Request timed out. Please try again.",
+          message: t("forms.errors.timeout"),
         });
       } else {
         setSubmitStatus({
           type: "error",
-          message: "An error occurred. Please try again.",
+          message: t("forms.errors.unknown"),
         });
       }
     } finally {
@@ -222,7 +228,7 @@ export default function SubscribeForm({ id }) {
             htmlFor="Name"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Name <span className="text-red-500">*</span>
+            {t("forms.name")} <span className="text-red-500">*</span>
           </label>
           <input
             id="Name"
@@ -249,7 +255,7 @@ export default function SubscribeForm({ id }) {
             htmlFor="Email"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Email <span className="text-red-500">*</span>
+            {t("forms.email")} <span className="text-red-500">*</span>
           </label>
           <input
             id="Email"
@@ -276,23 +282,23 @@ export default function SubscribeForm({ id }) {
 
         <div>
           <label className="mb-2 block text-sm font-medium text-gray-700">
-            Pick Your Interests <span className="text-red-500">*</span>
+            {t("forms.interests")} <span className="text-red-500">*</span>
           </label>
           <div className="space-y-2">
-            {interestOptions.map((interest) => {
-              const isChecked = formData.Interests?.includes(interest) || false;
+            {interestOptions.map(({ value, key }) => {
+              const isChecked = formData.Interests?.includes(value) || false;
               return (
                 <label
-                  key={interest}
-                  className="flex cursor-pointer items-center space-x-2"
+                  key={value}
+                  className="flex cursor-pointer items-center space-x-2 rtl:space-x-reverse"
                 >
                   <input
                     type="checkbox"
                     checked={isChecked}
-                    onChange={() => handleInterestChange(interest)}
+                    onChange={() => handleInterestChange(value)}
                     className="h-4 w-4 cursor-pointer rounded border-gray-300 text-custom-red focus:ring-2 focus:ring-custom-red"
                   />
-                  <span className="text-sm text-gray-700">{interest}</span>
+                  <span className="text-sm text-gray-700">{t("forms.interestOption", { interest: key })}</span>
                 </label>
               );
             })}
@@ -330,7 +336,7 @@ export default function SubscribeForm({ id }) {
           disabled={loading}
           className="w-full rounded border border-custom-red px-6 py-2 text-base text-custom-red transition-colors md:px-4 md:py-1.5 md:hover:bg-custom-red md:hover:text-white lg:px-6 lg:py-2 disabled:cursor-not-allowed disabled:opacity-50"
         >
-          {loading ? "Submitting..." : "Subscribe"}
+          {loading ? t("forms.submitting") : t("forms.subscribe")}
         </button>
       </form>
     </div>
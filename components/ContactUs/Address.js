@@ -14,7 +14,7 @@ import { useContext } from "react";
  * @param {"default"|"contact"} [props.variant="default"] — contact page uses animated map presentation
  */
 export default function Address({ variant = "default" }) {
-  const { translations } = useContext(LanguageContext);
+  const { translations, t } = useContext(LanguageContext);
   const showOfficeCards = variant === "contact";
   const animatedMap = variant === "contact";
   const useContactCardMaps = variant === "contact";
@@ -89,7 +89,7 @@ export default function Address({ variant = "default" }) {
                 target="_blank"
                 rel="noopener noreferrer"
               >
-                Directions
+                {t("contact.directions")}
               </Link>
             </div>
           ) : null}
@@ -103,16 +103,16 @@ export default function Address({ variant = "default" }) {
       className="bg-white py-12 md:py-16"
       id="our-locations"
       aria-labelledby={showOfficeCards ? "our-locations-heading" : undefined}
-      aria-label={!showOfficeCards ? "Our networks map" : undefined}
+      aria-label={!showOfficeCards ? t("contact.networkMap") : undefined}
     >
       <div className="container mx-auto px-4 md:px-0">
         {showOfficeCards ? (
           <>
             <h2
               id="our-locations-heading"
-              className="mb-3 border-b-2 border-custom-blue pb-[15px] text-left text-[26px] font-semibold leading-normal tracking-[1.6px] text-custom-red"
+              className="mb-3 border-b-2 border-custom-blue pb-[15px] text-start text-[26px] font-semibold leading-normal tracking-[1.6px] text-custom-red"
             >
-              Our Locations
+              {t("contact.ourLocations")}
             </h2>
             {renderOfficeCards(contactAddress)}
 
@@ -1,11 +1,14 @@
 "use client";
-import React from "react";
+import React, { useContext } from "react";
+import { LanguageContext } from "@/app/context/LanguageContext";
 import ContactUs from "../../utils/HubSpotForm/ContactPartner";
 
 export default function ContactForm() {
+  const { t } = useContext(LanguageContext);
+
   return (
     <div className="mx-auto container px-4 md:px-0">
-      <h2 className="mb-6 text-2xl font-semibold text-custom-blue">Contact Us</h2>
+      <h2 className="mb-6 text-2xl font-semibold text-custom-blue">{t("contactUsTitle.contactUs")}</h2>
       <div className="rounded-lg p-8 shadow-lg">
         <ContactUs id="contact-form" />
       </div>
@@ -1,16 +1,18 @@
 "use client";
 
-import React from "react";
+import React, { useContext } from "react";
 import Link from "next/link";
 import { FaEnvelope } from "react-icons/fa6";
 import { phone as phoneIcon } from "@/utils/icons";
 import { contactUsPrimary } from "@/utils/data";
+import { LanguageContext } from "@/app/context/LanguageContext";
 import ZohoContactForm from "./ZohoContactForm";
 
 /**
  * Contact Us: primary email & phone + enquiry form (separate from Our Locations).
  */
 export default function ContactUsSection() {
+  const { t } = useContext(LanguageContext);
   const telHref = contactUsPrimary.phone.replace(/\s+/g, "");
 
   return (
@@ -22,22 +24,22 @@ export default function ContactUsSection() {
       <div className="container mx-auto px-4 md:px-0">
         <h2
           id="contact-us-heading"
-          className="mb-4 border-b-2 border-custom-blue pb-[15px] text-left text-[26px] font-semibold leading-normal tracking-[1.6px] text-custom-red"
+          className="mb-4 border-b-2 border-custom-blue pb-[15px] text-start text-[26px] font-semibold leading-normal tracking-[1.6px] text-custom-red"
         >
-          Contact Us
+          {t("contactUsTitle.contactUs")}
         </h2>
         <div className="grid gap-10 lg:grid-cols-12 lg:gap-12">
           <div className="order-2 space-y-6 lg:order-1 lg:col-span-4">
             <div className="rounded-lg bg-white p-6 shadow-lg">
               <p className="mb-4 text-lg font-semibold text-custom-blue">
-                Get in Touch
+                {t("contact.getInTouch")}
               </p>
               <div className="flex items-start gap-3">
                 <span className="mt-1 shrink-0 text-[#1C386A]" aria-hidden>
                   <FaEnvelope size={18} />
                 </span>
                 <div>
-                  <p className="text-sm font-medium text-gray-600">Email</p>
+                  <p className="text-sm font-medium text-gray-600">{t("forms.email")}</p>
                   <Link
                     href={`mailto:${contactUsPrimary.email}`}
                     className="text-[#1C386A] underline-offset-2 hover:underline"
@@ -51,7 +53,7 @@ export default function ContactUsSection() {
                   {phoneIcon}
                 </span>
                 <div>
-                  <p className="text-sm font-medium text-gray-600">Phone</p>
+                  <p className="text-sm font-medium text-gray-600">{t("contact.phone")}</p>
                   <a
                     href={`tel:${telHref}`}
                     className="text-[#1C386A] underline-offset-2 hover:underline"
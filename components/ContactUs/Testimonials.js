@@ -1,10 +1,12 @@
 "use client";
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
+import { LanguageContext } from "@/app/context/LanguageContext";
 import { testimonials } from "@/utils/data";
 import ModalTestimonial from "@/components/ContactUs/Modal";
 
 function Testimonials() {
   const [selectedTestimonial, setSelectedTestimonial] = useState(null);
+  const { t } = useContext(LanguageContext);
 
   const handleOpenModal = (testimonial) => {
     setSelectedTestimonial(testimonial);
@@ -13,8 +15,8 @@ function Testimonials() {
   return (
     <>
       <div className="mx-auto w-11/12 py-12">
-        <p className="mb-4 border-b-2 border-[#EE3C23] pb-[15px] text-left text-[26px] font-semibold leading-normal tracking-[1.6px] text-[#1C386A]">
-          Testimonials
+        <p className="mb-4 border-b-2 border-[#EE3C23] pb-[15px] text-start text-[26px] font-semibold leading-normal tracking-[1.6px] text-[#1C386A]">
+          {t("testmonialBannerTitle.testmonialBannerName")}
         </p>
         <div className="grid gap-10 lg:grid-cols-3">
           {testimonials.map((items, index) => (
@@ -32,7 +34,7 @@ function Testimonials() {
                   className="text-custom-red"
                   onClick={() => handleOpenModal(items)} // Pass the current testimonial
                 >
-                  Read more
+                  {t("common.readMore")}
                 </button>
               </div>
             </div>
@@ -1,5 +1,6 @@
 "use client";
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const initial = {
   First_Name: "",
@@ -16,6 +17,7 @@ export default function ZohoContactForm({
   /** Render without card styling — useful inside modals */
   plain = false,
 }) {
+  const { translations, t } = useContext(LanguageContext);
   const [formData, setFormData] = useState(initial);
   const [loading, setLoading] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
@@ -46,38 +48,38 @@ export default function ZohoContactForm({
     const fieldErrors = {};
 
     if (!d.First_Name.trim()) {
-      errors.push("First name is required");
-      fieldErrors.First_Name = "First name is required";
+      errors.push(t("forms.errors.firstNameRequired"));
+      fieldErrors.First_Name = t("forms.errors.firstNameRequired");
     }
     if (!d.Last_Name.trim()) {
-      errors.push("Last name is required");
-      fieldErrors.Last_Name = "Last name is required";
+      errors.push(t("forms.errors.lastNameRequired"));
+      fieldErrors.Last_Name = t("forms.errors.lastNameRequired");
     }
     if (!d.Email.trim()) {
-      errors.push("Email is required");
-      fieldErrors.Email = "Email is required";
+      errors.push(t("forms.errors.emailRequired"));
+      fieldErrors.Email = t("forms.errors.emailRequired");
     } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(d.Email.trim())) {
-      errors.push("Invalid email format");
-      fieldErrors.Email = "Invalid email format";
+      errors.push(t("forms.errors.emailInvalid"));
+      fieldErrors.Email = t("forms.errors.emailInvalid");
     }
     if (!d.Mobile.trim()) {
-      errors.push("Mobile is required");
-      fieldErrors.Mobile = "Mobile is required";
+      errors.push(t("forms.errors.mobileRequired"));
+      fieldErrors.Mobile = t("forms.errors.mobileRequired");
     } else {
       // Mobile: minimum 10 digits, only numbers
       const mobileDigits = d.Mobile.replace(/\D/g, "");
       if (mobileDigits.length < 10) {
-        errors.push("Mobile number must be at least 10 digits");
-        fieldErrors.Mobile = "Mobile number must be at least 10 digits";
+        errors.push(t("forms.errors.mobileTooShort", { min: 10 }));
+        fieldErrors.Mobile = t("forms.errors.mobileTooShort", { min: 10 });
       }
       if (mobileDigits.length > 15) {
-        errors.push("Mobile number cannot exceed 15 digits");
-        fieldErrors.Mobile = "Mobile number cannot exceed 15 digits";
+        errors.push(t("forms.errors.mobileTooLong", { max: 15 }));
+        fieldErrors.Mobile = t("forms.errors.mobileTooLong", { max: 15 });
       }
     }
     if (!d.Message.trim()) {
-      errors.push("Message is required");
-      fieldErrors.Message = "Message is required";
+      errors.push(t("forms.errors.messageRequired"));
+      fieldErrors.Message = t("forms.errors.messageRequired");
     }
 
     return errors.length > 0 ? { errors, fieldErrors } : null;
@@ -95,7 +97,7 @@ export default function ZohoContactForm({
       // Show all validation errors together
       setSubmitStatus({
         type: "error",
-        message: "Please fix the following errors:",
+        message: t("forms.errors.heading", { count: validationResult.errors.length }),
         allErrors: validationResult.errors,
         validationErrors: validationResult.errors,
         fieldErrors: validationResult.fieldErrors,
@@ -155,34 +157,34 @@ export default function ZohoContactForm({
           zohoCode === "AUTHENTICATION_FAILURE" ||
           (json?.error && /auth/i.test(json.error))
         ) {
-          allErrors.push("Authentication error — contact admin.");
+          allErrors.push(t("forms.errors.auth"));
           setSubmitStatus({
             type: "error",
-            message: "Authentication error — contact admin.",
+            message: t("forms.errors.auth"),
             allErrors: allErrors,
           });
         } else if (duplicateField) {
           // Add duplicate error to the list
           if (duplicateField === "Email") {
             allErrors.push(
-              "This email address is already registered. Please use a different email address.",
+              t("forms.errors.emailRegistered"),
             );
           } else if (duplicateField === "Mobile") {
             allErrors.push(
-              "This mobile number is already registered. Please use a different mobile number.",
+              t("forms.errors.mobileRegistered"),
             );
           }
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
             duplicateField: duplicateField,
           });
         } else {
-          allErrors.push(json?.error || json?.message || "Submission failed");
+          allErrors.push(json?.error || json?.message || t("forms.errors.failed"));
           setSubmitStatus({
             type: "error",
-            message: "Please fix the following errors:",
+            message: t("forms.errors.heading", { count: allErrors.length }),
             allErrors: allErrors,
           });
         }
@@ -190,26 +192,26 @@ export default function ZohoContactForm({
         // Show success and reset form when record is actually created
         setSubmitStatus({
           type: "success",
-          message: "Form submitted successfully!",
+          message: t("forms.contactSent"),
         });
         setFormData(initial);
       } else {
         // If no clear success or error, show generic error
         setSubmitStatus({
           type: "error",
-          message: "Submission failed. Please try again.",
+          message: t("forms.errors.failed"),
         });
       }
     } catch (err) {
       if (err.name === "AbortError")
         setSubmitStatus({
           type: "error",
-          message: "Request timed out. Try again.",
+          message: t("forms.errors.timeout"),
         });
       else
         setSubmitStatus({
           type: "error",
-          message: "An error occurred. Please try again.",
+          message: t("forms.errors.unknown"),
         });
     } finally {
       setLoading(false);
@@ -225,7 +227,7 @@ export default function ZohoContactForm({
               htmlFor="First_Name"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              First Name <span className="text-red-500">*</span>
+              {t("forms.firstName")} <span className="text-red-500">*</span>
             </label>
             <input
               id="First_Name"
@@ -249,7 +251,7 @@ export default function ZohoContactForm({
               htmlFor="Last_Name"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Last Name <span className="text-red-500">*</span>
+              {t("forms.lastName")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Last_Name"
@@ -276,7 +278,7 @@ export default function ZohoContactForm({
               htmlFor="Email"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Email <span className="text-red-500">*</span>
+              {t("forms.email")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Email"
@@ -299,7 +301,7 @@ export default function ZohoContactForm({
             {submitStatus?.duplicateField === "Email" &&
               !submitStatus?.fieldErrors?.Email && (
                 <p className="mt-1 text-sm text-red-600">
-                  This email already exists
+                  {t("forms.errors.emailExists")}
                 </p>
               )}
           </div>
@@ -308,7 +310,7 @@ export default function ZohoContactForm({
               htmlFor="Mobile"
               className="mb-2 block text-sm font-medium text-gray-700"
             >
-              Mobile <span className="text-red-500">*</span>
+              {t("forms.mobile")} <span className="text-red-500">*</span>
             </label>
             <input
               id="Mobile"
@@ -321,7 +323,7 @@ export default function ZohoContactForm({
               maxLength={15}
               pattern="[0-9]*"
               inputMode="numeric"
-              placeholder="Enter 10 digit mobile number"
+              placeholder={t("forms.mobilePlaceholder", { digits: 10 })}
               className={`w-full rounded border px-3 py-2 ${submitStatus?.duplicateField === "Mobile" ||
                 submitStatus?.fieldErrors?.Mobile
                 ? "border-red-500 bg-red-50 ring-2 ring-red-200"
@@ -336,7 +338,7 @@ export default function ZohoContactForm({
             {submitStatus?.duplicateField === "Mobile" &&
               !submitStatus?.fieldErrors?.Mobile && (
                 <p className="mt-1 text-sm text-red-600">
-                  This mobile number already exists
+                  {t("forms.errors.phoneExists")}
                 </p>
               )}
           </div>
@@ -347,7 +349,7 @@ export default function ZohoContactForm({
             htmlFor="Message"
             className="mb-2 block text-sm font-medium text-gray-700"
           >
-            Details of Your Inquiry <span className="text-red-500">*</span>
+            {t("forms.inquiry")} <span className="text-red-500">*</span>
           </label>
           <textarea
             id="Message"
@@ -377,7 +379,7 @@ export default function ZohoContactForm({
             {submitStatus.allErrors && submitStatus.allErrors.length > 0 ? (
               <div>
                 <p className="mb-2 font-semibold">
-                  {submitStatus.message || "Please fix the following errors:"}
+                  {submitStatus.message}
                 </p>
                 <ul className="list-inside list-disc space-y-1">
                   {submitStatus.allErrors.map((error, index) => (
@@ -389,7 +391,7 @@ export default function ZohoContactForm({
               submitStatus.validationErrors.length > 0 ? (
               <div>
                 <p className="mb-2 font-semibold">
-                  {submitStatus.message || "Please fix the following errors:"}
+                  {submitStatus.message}
                 </p>
                 <ul className="list-inside list-disc space-y-1">
                   {submitStatus.validationErrors.map((error, index) => (
@@ -410,7 +412,7 @@ export default function ZohoContactForm({
             aria-busy={loading}
             className="border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base"
           >
-            {loading ? "Submitting..." : "Submit"}
+            {loading ? t("forms.submitting") : t("forms.submit")}
           </button>
         </div>
       </form>
@@ -425,7 +427,7 @@ export default function ZohoContactForm({
     <div className="container mx-auto px-4 py-12 md:px-0">
       {showHeading ? (
         <h2 className="mb-6 text-2xl font-semibold text-custom-blue">
-          Contact Us
+          {translations.contactUsTitle.contactUs}
         </h2>
       ) : null}
       {formBlock}
@@ -1,19 +1,16 @@
-import React, { useEffect, useState } from "react";
+import React, { useContext, useEffect, useState } from "react";
+import { PAGE_IDS, getPageById } from "@/lib/wordpress";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const Disclaimer = () => {
   const [page, setPage] = useState(null); // State to store page data
   const [error, setError] = useState(null); // State to handle errors
+  const { t } = useContext(LanguageContext);
 
   useEffect(() => {
     const fetchPage = async () => {
       try {
-        const response = await fetch(
-          "https://docs.aarnalaw.com/wp-json/wp/v2/pages/1505"
-        );
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        const data = await getPageById(PAGE_IDS.DISCLAIMER);
         setPage(data);
       } catch (err) {
         setError(err.message);
@@ -24,29 +21,17 @@ const Disclaimer = () => {
   }, []);
 
   if (error) {
-    return <div className="text-center text-red-500">Error: {error}</div>;
+    return <div className="text-center text-red-500">{t("common.error", { message: error })}</div>;
   }
 
   return (
     <>
-      <style>
-        {`
-          ol {
-            list-style-type: decimal; /* Ensures numbers appear */
-            margin: 1rem 0;
-            padding-left: 2rem;
-          }
-          li {
-            margin-bottom: 0.5rem;
-            line-height: 1.5;
-          }
-        `}
-      </style>
       {/* Center the entire content */}
       <div className="flex items-center justify-center pt-16">
         <div className="w-11/12">
           {page ? (
             <div
+              className="wp-content"
               dangerouslySetInnerHTML={{ __html: page.content.rendered }}
             ></div>
           ) : (
@@ -1,12 +1,14 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useContext, useState, useEffect, useRef } from 'react';
+import { LanguageContext } from '@/app/context/LanguageContext';
 import Model from './model';
 
 const STORAGE_KEY = 'aarna_disclaimer_seen';
 const DISCLAIMER_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 const DisclaimerModal = () => {
+    const { t } = useContext(LanguageContext);
     const [showDisclaimer, setShowDisclaimer] = useState(false);
     const [mounted, setMounted] = useState(false);
     const scrollRef = useRef(null);
@@ -91,11 +93,11 @@ const DisclaimerModal = () => {
             />
 
             {/* Disclaimer panel at bottom - reference layout: centered block, light beige background */}
-            <div className="fixed bottom-0 left-0 right-0 z-[9999] w-full border-t border-gray-200 bg-white shadow-[0_-4px_20px_rgba(0,0,0,0.08)] dark:bg-gray-800 dark:border-gray-700">
+            <div className="fixed bottom-0 start-0 end-0 z-[9999] w-full border-t border-gray-200 bg-white shadow-[0_-4px_20px_rgba(0,0,0,0.08)] dark:bg-gray-800 dark:border-gray-700">
                 <div className="mx-auto w-full p-5">
                     {/* Heading - top left, prominent */}
                     <h3 className="mb-4 text-xl font-bold text-custom-red sm:text-2xl">
-                        Disclaimer
+                        {t('legal.disclaimer')}
                     </h3>
 
                     {/* Scrollable text block - justified, dark text */}
@@ -109,7 +111,7 @@ const DisclaimerModal = () => {
                             <Model />
                         </div>
                         {/* Custom always-visible scrollbar indicator (desktop + mobile) */}
-                        <div className="pointer-events-none absolute right-1 top-2 bottom-2 w-1.5 rounded-full bg-gray-100 dark:bg-gray-600">
+                        <div className="pointer-events-none absolute end-1 top-2 bottom-2 w-1.5 rounded-full bg-gray-100 dark:bg-gray-600">
                             {thumbStyle.height !== '0px' && (
                                 <div
                                     className="absolute w-full rounded-full bg-custom-red"
@@ -125,13 +127,13 @@ const DisclaimerModal = () => {
                             onClick={handleAccept}
                             className="bg-custom-red px-6 py-1.5 text-base font-medium text-white transition-colors hover:opacity-90 focus:outline-none focus:ring-4 focus:ring-red-300 dark:focus:ring-red-800"
                         >
-                            Accept
+                            {t('disclaimer.accept')}
                         </button>
                         <button
                             onClick={handleDecline}
                             className="bg-custom-red px-6 py-1.5 text-base font-medium text-white transition-colors hover:opacity-90 focus:outline-none focus:ring-4 focus:ring-red-300 dark:focus:ring-red-800"
                         >
-                            Decline
+                            {t('disclaimer.decline')}
                         </button>
                     </div>
                 </div>
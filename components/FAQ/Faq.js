@@ -1,8 +1,10 @@
 "use client";
-import React, { useState, useRef } from "react";
+import React, { useContext, useState, useRef } from "react";
 import { IoIosArrowDown } from "react-icons/io";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 const Faq = ({ faqs = [], className = "" }) => {
+  const { t } = useContext(LanguageContext);
   const [openIndex, setOpenIndex] = useState(null);
   const contentRefs = useRef([]);
 
@@ -54,7 +56,7 @@ const Faq = ({ faqs = [], className = "" }) => {
   return (
     <div className={`max-w-4xl container mx-auto py-4 md:px-0 ${className}`.trim()}>
       {faqs.length > 0 && (
-        <h2 className="text-2xl pb-5">Frequently Asked Questions</h2>
+        <h2 className="text-2xl pb-5">{t("common.faqTitle")}</h2>
       )}
       <div className="space-y-4">
         {faqs.map((faq, index) => (
@@ -64,9 +66,9 @@ const Faq = ({ faqs = [], className = "" }) => {
           >
             <button
               onClick={() => toggleFAQ(index)}
-              className="w-full flex justify-between items-center text-left"
+              className="w-full flex justify-between items-center text-start"
             >
-              <h3 className="flex-1 text-md font-semibold mr-3 text-black">
+              <h3 className="faq-question flex-1 text-base font-semibold me-3 text-black">
                 {faq.question}
               </h3>
               <span className="flex-shrink-0 w-6 h-6 flex items-center justify-center">
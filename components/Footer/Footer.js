@@ -1,13 +1,15 @@
 "use client";
-import React, { useState, useEffect } from "react";
+import React, { useContext, useState, useEffect } from "react";
 import Image from "next/image";
 import Link from "next/link";
 import { spotify, linkedIn } from "../../utils/icons";
 import { legalLinks } from "../../utils/data";
 import ContactModal from "@/components/ModalContact/page";
 import ScrollToTop from "../ScrollToTop/ScrollToTop";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 export default function Footer() {
+  const { t } = useContext(LanguageContext);
   const [isMobile, setIsMobile] = useState(false);
   const currentYear = new Date().getFullYear();
 
@@ -33,7 +35,7 @@ export default function Footer() {
             <Link href="/" className="flex items-center">
               <Image
                 src="/logo/aarna-logo.png"
-                alt="Aarna Law"
+                alt="Aarna Law" // i18n-ignore
                 width={600}
                 height={600}
                 className="md:h-20 md:w-20 h-20 w-20"
@@ -46,6 +48,7 @@ export default function Footer() {
                 className="flex items-center justify-center gap-2 text-xl text-custom-blue"
                 target="_blank"
               >
+                {/* i18n-ignore */}
                 {linkedIn} LinkedIn
               </Link>
 
@@ -54,15 +57,16 @@ export default function Footer() {
                 className="flex items-center justify-center gap-2 text-xl text-custom-blue"
                 target="_blank"
               >
+                {/* i18n-ignore */}
                 {spotify} Spotify
               </Link>
             </div>
           </div>
           <div className="flex items-center pb-10 lg:justify-end lg:pb-0 md:ps-0 ps-2">
             <ContactModal
-              btnName="Subscribe to newsletter"
+              btnName={t("footer.subscribe")}
               textColor="text-white"
-              modalTitle="Subscribe to newsletter"
+              modalTitle={t("footer.subscribe")}
               modalTitleColor="text-custom-blue"
               btnType="subscribe"
               id="subscribe"
@@ -77,7 +81,7 @@ export default function Footer() {
           {legalLinks.map((link, index) => (
             <React.Fragment key={link.name}>
               <Link href={link.href} className="hover:underline">
-                {link.name}
+                {t(`legal.${link.key}`)}
               </Link>
               {index < legalLinks.length - 1 && (
                 <span className="mx-2">|</span> // Add separator except for the last item
@@ -86,7 +90,7 @@ export default function Footer() {
           ))}
         </div>
         <p className="mt-2 text-white">
-          © {currentYear} Aarna Law. All Rights Reserved
+          {t("footer.copyright", { year: currentYear })}
         </p>
       </div>
       <ScrollToTop />
@@ -1,10 +1,11 @@
 import React, { useState, useContext, useRef, useEffect } from "react";
 import { LanguageContext } from "../../app/context/LanguageContext";
 import { FaCaretDown } from "react-icons/fa"; // Import the dropdown icon
+import { LOCALE_COOKIE, LOCALE_COOKIE_MAX_AGE, localizedPath, splitLocale } from "../../lib/locales";
 
 const LanguageDropdown = () => {
   const [isOpen, setIsOpen] = useState(false);
-  const { language, setLanguage } = useContext(LanguageContext);
+  const { language } = useContext(LanguageContext);
   const dropdownRef = useRef(null);
 
   const languages = [
@@ -17,17 +18,28 @@ const LanguageDropdown = () => {
     { code: "mr", label: "मराठी (Marathi)" },
     { code: "gu", label: "ગુજરાતી (Gujarati)" },
     { code: "fr", label: "Français (French)" },
-    // { code: "ur", label: "اردو (Urdu)" },
-    // { code: "pa", label: "ਪੰਜਾਬੀ (Punjabi)" },
-    // { code: "bn", label: "বাংলা (Bengali)" },
-    // { code: "or", label: "ଓଡିଆ (Odia)" },
-    // { code: "as", label: "অসমীয়া (Assamese)" },
-    // { code: "ne", label: "नेपाली (Nepali)" },
+    { code: "ur", label: "اردو (Urdu)" },
+    { code: "pa", label: "ਪੰਜਾਬੀ (Punjabi)" },
+    { code: "bn", label: "বাংলা (Bengali)" },
+    { code: "or", label: "ଓଡିଆ (Odia)" },
+    { code: "as", label: "অসমীয়া (Assamese)" },
+    { code: "ne", label: "नेपाली (Nepali)" },
   ];
 
   // Find the selected language label
   const selectedLanguage = languages.find((lang) => lang.code === language)?.label || "Language";
 
+  // Open the same page in `code`, saving the choice so unprefixed links
+  // keep to it. A full load renders the new language on the server.
+  const switchLanguage = (code) => {
+    setIsOpen(false);
+    if (code === language) return;
+
+    document.cookie = `${LOCALE_COOKIE}=${code}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE}; samesite=lax`;
+    const { path } = splitLocale(window.location.pathname);
+    window.location.assign(`${localizedPath(path, code)}${window.location.search}${window.location.hash}`);
+  };
+
   // Handle click outside dropdown to close it
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -53,16 +65,14 @@ const LanguageDropdown = () => {
       </button>
 
       {isOpen && (
-        <div className="absolute right-0 mt-2 w-56 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 z-[100]">
+        <div className="absolute end-0 mt-2 w-56 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 z-[100]">
           <div className="py-1">
             {languages.map((lang) => (
               <button
                 key={lang.code}
-                onClick={() => {
-                  setLanguage(lang.code);
-                  setIsOpen(false);
-                }}
-                className="block px-4 py-2 w-full text-left text-sm hover:bg-custom-red hover:text-white"
+                lang={lang.code}
+                onClick={() => switchLanguage(lang.code)}
+                className="block px-4 py-2 w-full text-start text-sm hover:bg-custom-red hover:text-white"
               >
                 {lang.label}
               </button>
@@ -7,15 +7,19 @@ import { HeaderMenu } from "../../utils/data";
 import SearchModal from "@/components/Header/SearchModal";
 import { LanguageContext } from "../../app/context/LanguageContext";
 import LanguageDropdown from "../Header/LanguageDropdown";
+import { localizedPath, splitLocale } from "../../lib/locales";
 
 const NavBar = () => {
   const router = useRouter();
-  const pathname = usePathname();
+  const { path: pathname } = splitLocale(usePathname());
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [openSubmenu, setOpenSubmenu] = useState(null);
-  const { language, setLanguage, translations } = useContext(LanguageContext);
+  const { language, translations, t } = useContext(LanguageContext);
   const newsPaths = ["/aarna-news", "/insight", "/publication", "/podcast"];
 
+  // Menu links stay in the current language
+  const localHref = (slug) => (slug ? localizedPath(slug, language) : "#");
+
   // Function to format translation keys
   const formatKey = (key) => key.toLowerCase().replace(/[^a-z0-9]+/g, "");
 
@@ -65,17 +69,17 @@ const NavBar = () => {
         `}
       </style>
       <div className="relative z-50 mx-auto w-11/12">
-        <div className="absolute right-0 mt-5 origin-top-right ring-1 ring-black ring-opacity-5 focus:outline-none">
-          <LanguageDropdown handleOptionClick={setLanguage} />
+        <div className="absolute end-0 mt-5 origin-top-right ring-1 ring-black ring-opacity-5 focus:outline-none">
+          <LanguageDropdown />
         </div>
 
         <nav className="absolute z-50 mt-20 w-full border border-gray-200 bg-white dark:border-gray-700 dark:bg-gray-900">
           <div className="md:px-5 flex items-center flex-wrap justify-between px-4 py-1 nav-menu">
             <div className="">
-              <Link href="/" className="flex items-center">
+              <Link href={localHref("/")} className="flex items-center">
                 <Image
                   src="/logo/aarna-logo.png"
-                  alt="Aarna Law"
+                  alt="Aarna Law" // i18n-ignore
                   width={700}
                   height={600}
                   className="size-16 md:size-20"
@@ -95,7 +99,7 @@ const NavBar = () => {
               aria-controls="navbar-dropdown"
               aria-expanded={isMenuOpen}
             >
-              <span className="sr-only">Open main menu</span>
+              <span className="sr-only">{t("common.openMenu")}</span>
               <svg
                 className="size-5"
                 aria-hidden="true"
@@ -115,7 +119,7 @@ const NavBar = () => {
 
             {/* Desktop Menu */}
             <div className="hidden w-full lg:block lg:w-auto" id="navbar-dropdown">
-              <ul className="borderfont-medium mt-1 flex flex-col rounded-lg dark:border-gray-700 md:flex-row md:space-x-3">
+              <ul className="borderfont-medium mt-1 flex flex-col rounded-lg dark:border-gray-700 md:flex-row md:space-x-3 rtl:space-x-reverse">
                 {HeaderMenu.map((item, index) => {
                   const isContactUs = item.menu === "Contact Us";
 
@@ -127,11 +131,11 @@ const NavBar = () => {
                       {item.aboutSubMenu || item.subMenu ? (
                         <span className="flex cursor-pointer items-center px-3 py-2 md:hover:text-custom-red">
                           {translations.menu[formatKey(item.menu)] || item.menu}
-                          <span className="ml-1 text-sm">&#9662;</span>
+                          <span className="ms-1 text-sm">&#9662;</span>
                         </span>
                       ) : (
                         <Link
-                          href={item.slug || "#"}
+                          href={localHref(item.slug)}
                           className="flex items-center px-3 py-2 md:hover:text-custom-red"
                           onClick={() => setIsMenuOpen(false)}
                         >
@@ -144,7 +148,7 @@ const NavBar = () => {
                           {(item.aboutSubMenu || item.subMenu).map((sub, subIndex) => (
                             <li key={subIndex}>
                               <Link
-                                href={sub.slug || "#"}
+                                href={localHref(sub.slug)}
                                 className="block px-4 py-2 hover:bg-gray-100"
                                 onClick={() => setIsMenuOpen(false)}
                               >
@@ -164,11 +168,11 @@ const NavBar = () => {
             <div className="hidden gap-5 items-center justify-evenly lg:flex">
               <SearchModal />
               <Link
-                href="/contact-us"
-                className="my-2 border border-custom-red bg-white px-5 py-2.5 text-sm font-medium text-custom-red hover:bg-custom-red hover:text-white nav-menu"
+                href={localHref("/contact-us")}
+                className="my-2 border border-custom-red bg-white px-5 py-2.5 text-sm font-medium uppercase text-custom-red hover:bg-custom-red hover:text-white nav-menu"
                 onClick={() => setIsMenuOpen(false)}
               >
-                {translations.menu.contactus || "CONTACT US"}
+                {t("menu.contactus")}
               </Link>
             </div>
           </div>
@@ -194,11 +198,11 @@ const NavBar = () => {
                           </span>
                         </button>
                         {isSubmenuOpen && (
-                          <ul className="bg-gray-50 border-l-4 border-red-600 ml-4 mt-2 mb-2">
+                          <ul className="bg-gray-50 border-s-4 border-red-600 ms-4 mt-2 mb-2">
                             {(item.aboutSubMenu || item.subMenu).map((sub, subIndex) => (
                               <li key={subIndex}>
                                 <Link
-                                  href={sub.slug || "#"}
+                                  href={localHref(sub.slug)}
                                   className="block px-4 py-3 text-sm text-gray-600 hover:text-custom-red border-b border-gray-200 last:border-b-0"
                                   onClick={handleSubmenuClick}
                                 >
@@ -211,7 +215,7 @@ const NavBar = () => {
                       </>
                     ) : (
                       <Link
-                        href={item.slug || "#"}
+                        href={localHref(item.slug)}
                         className="flex items-center px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50"
                         onClick={() => setIsMenuOpen(false)}
                       >
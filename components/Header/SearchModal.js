@@ -1,73 +1,66 @@
 "use client";
-import { useState, useEffect } from "react";
+import { useContext, useState, useEffect, useId, useRef } from "react";
 import { search } from "@/utils/icons";
 import Link from "next/link";
-import configData from "../../config.json";
+import { useRouter } from "next/navigation";
+import { LanguageContext } from "@/app/context/LanguageContext";
+import { fetchSearchResults, searchPageHref } from "@/lib/searchClient";
+import { clearRecentSearches, getRecentSearches, saveRecentSearch } from "@/lib/recentSearches";
+
+// Matched words arrive wrapped in <mark> (lib/search.js)
+const HIGHLIGHT = "[&_mark]:bg-transparent [&_mark]:font-semibold [&_mark]:text-custom-red";
 
 function SearchModal() {
+  const { language, t } = useContext(LanguageContext);
+  const router = useRouter();
+  const listId = useId();
+  const inputRef = useRef(null);
   const [openModal, setOpenModal] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [recent, setRecent] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [currentDomain, setCurrentDomain] = useState("");
 
   useEffect(() => {
-    // Set the current domain when component mounts
-    if (typeof window !== "undefined") {
-      setCurrentDomain(window.location.hostname);
-    }
-  }, []);
+    if (!openModal) return;
+    setRecent(getRecentSearches());
+    inputRef.current?.focus();
+  }, [openModal]);
 
   useEffect(() => {
-    const fetchResults = async () => {
-      if (!searchQuery || !currentDomain) {
-        setResults([]);
-        setError(null);
-        return;
-      }
+    setActiveIndex(-1);
+    if (!searchQuery.trim()) {
+      setResults([]);
+      setTotal(0);
+      setError(null);
+      return;
+    }
 
+    // Abandons the previous request so a slow response cannot replace
+    // results for what has been typed since
+    const controller = new AbortController();
+
+    const fetchResults = async () => {
       setLoading(true);
       setError(null);
 
       try {
-        // Determine the server based on the current domain
-        let server;
-        if (
-          currentDomain === configData.LIVE_SITE_URL ||
-          currentDomain === configData.LIVE_SITE_URL_WWW
-        ) {
-          server = configData.LIVE_PRODUCTION_SERVER_ID;
-        } else if (currentDomain === configData.STAGING_SITE_URL) {
-          server = configData.STAG_PRODUCTION_SERVER_ID;
-        } else {
-          // Default to staging for local development
-          server = configData.STAG_PRODUCTION_SERVER_ID;
-        }
-
-        const response = await fetch(
-          `https://docs.aarnalaw.com/wp-json/custom/v1/search?search=${encodeURIComponent(searchQuery)}&production_mode=${server}`
+        const data = await fetchSearchResults(
+          { q: searchQuery, locale: language, perPage: 8 },
+          { signal: controller.signal },
         );
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch search results');
-        }
-
-        const data = await response.json();
-
-        // Only set results if we have valid data and it's an array
-        if (Array.isArray(data)) {
-          // Filter out any null or undefined items
-          const validResults = data.filter(item => item && item.title && item.slug);
-          setResults(validResults);
-        } else {
-          setResults([]);
-        }
+        setResults(data.results);
+        setTotal(data.total);
+        setLoading(false);
       } catch (error) {
+        if (error.name === "AbortError") return;
         console.error("Error fetching search results:", error);
-        setError("Failed to fetch search results. Please try again.");
+        setError(t("search.error"));
         setResults([]);
-      } finally {
+        setTotal(0);
         setLoading(false);
       }
     };
@@ -76,32 +69,95 @@ function SearchModal() {
       fetchResults();
     }, 300);
 
-    return () => clearTimeout(debounceTimer);
-  }, [searchQuery, currentDomain]);
+    return () => {
+      clearTimeout(debounceTimer);
+      controller.abort();
+    };
+  }, [searchQuery, language, t]);
+
+  // What the arrow keys move through: recent searches before anything is
+  // typed, then the results and a link to all of them
+  const query = searchQuery.trim();
+  const options = !query
+    ? recent.map((item) => ({ kind: "recent", query: item }))
+    : results.length
+      ? [...results.map((result) => ({ kind: "result", result })), { kind: "all" }]
+      : [];
+
+  const closeModal = () => {
+    setOpenModal(false);
+    setActiveIndex(-1);
+  };
+
+  const goTo = (href) => {
+    closeModal();
+    router.push(href);
+  };
+
+  // The results page logs the search and saves it as a recent one
+  const showAllResults = () => {
+    if (query) goTo(searchPageHref({ q: query }, language));
+  };
+
+  const choose = (option) => {
+    if (option.kind === "recent") {
+      setSearchQuery(option.query);
+      inputRef.current?.focus();
+    } else if (option.kind === "result") {
+      saveRecentSearch(query);
+      goTo(option.result.url);
+    } else {
+      showAllResults();
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      if (!options.length) return;
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      // -1 is the input itself; moving past either end wraps through it
+      setActiveIndex((index) => ((index + 1 + step + options.length + 1) % (options.length + 1)) - 1);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      if (options[activeIndex]) choose(options[activeIndex]);
+      else showAllResults();
+    }
+  };
+
+  const optionId = (index) => `${listId}-option-${index}`;
+  const optionProps = (index) => ({
+    id: optionId(index),
+    role: "option",
+    "aria-selected": activeIndex === index,
+    onMouseEnter: () => setActiveIndex(index),
+  });
+  const optionClass = (index) =>
+    `flex w-full justify-between border-b p-2 text-start ${activeIndex === index ? "bg-gray-100" : "hover:bg-gray-50"}`;
 
   return (
     <div className="text-black">
       <button
         className="block cursor-pointer text-center text-2xl text-black focus:outline-none"
         onClick={() => setOpenModal(true)}
-        aria-label="Open search modal"
+        aria-label={t("search.open")}
       >
         {search}
       </button>
 
       {/* Modal */}
       <div
-        id="default-modal"
         tabIndex="-1"
         aria-hidden={!openModal}
+        onKeyDown={(event) => event.key === "Escape" && closeModal()}
         className={`fixed inset-x-0 top-0 z-50 max-h-full w-full items-center justify-center overflow-y-auto overflow-x-hidden md:inset-0 ${openModal ? "flex h-screen bg-black/80" : "hidden"
           }`}
       >
         <div className="relative max-h-full w-full max-w-2xl p-4">
           <button
             type="button"
-            className="absolute -top-6 right-4 ms-auto inline-flex size-8 items-center justify-center rounded-lg bg-gray-200 text-sm text-custom-red hover:bg-custom-red hover:text-white"
-            onClick={() => setOpenModal(false)}
+            className="absolute -top-6 end-4 ms-auto inline-flex size-8 items-center justify-center rounded-lg bg-gray-200 text-sm text-custom-red hover:bg-custom-red hover:text-white"
+            onClick={closeModal}
           >
             <svg
               className="size-3"
@@ -118,7 +174,7 @@ function SearchModal() {
                 d="m1 1 6 6m0 0 6 6M7 7l6-6M7 7l-6 6"
               />
             </svg>
-            <span className="sr-only">Close modal</span>
+            <span className="sr-only">{t("search.close")}</span>
           </button>
 
           {/* Modal content */}
@@ -126,13 +182,19 @@ function SearchModal() {
             {/* Modal header */}
             <div className="flex items-center justify-between rounded-t border-b p-4">
               <input
-                type="text"
-                id="search"
+                ref={inputRef}
+                type="search"
+                role="combobox"
+                aria-label={t("search.title")}
+                aria-expanded={options.length > 0}
+                aria-controls={listId}
+                aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+                aria-autocomplete="list"
                 className="block w-full rounded-lg border border-gray-300 bg-gray-50 p-4 text-sm text-gray-900 focus:border-blue-500 focus:ring-blue-500"
-                placeholder="Search..."
+                placeholder={t("search.placeholder")}
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
-                required
+                onKeyDown={handleKeyDown}
               />
             </div>
 
@@ -148,51 +210,75 @@ function SearchModal() {
                 </div>
               ) : error ? (
                 <p className="text-red-500">{error}</p>
-              ) : (
+              ) : !query ? (
+                recent.length > 0 && (
+                  <>
+                    <div className="flex items-center justify-between">
+                      <p className="font-semibold">{t("search.recent")}</p>
+                      <button
+                        type="button"
+                        className="text-sm text-gray-500 hover:text-custom-red"
+                        onClick={() => {
+                          clearRecentSearches();
+                          setRecent([]);
+                        }}
+                      >
+                        {t("search.clearRecent")}
+                      </button>
+                    </div>
+                    <ul id={listId} role="listbox">
+                      {recent.map((item, index) => (
+                        <li key={item} {...optionProps(index)}>
+                          <button type="button" className={optionClass(index)} onClick={() => choose(options[index])}>
+                            {item}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )
+              ) : results.length > 0 ? (
                 <>
-                  {searchQuery && (
-                    <>
-                      {results && results.length > 0 ? (
-                        <>
-                          <p className="mb-6 mt-2 border-b-0">
-                            Results for{" "}
-                            <span className="italic">"{searchQuery}"</span>
-                          </p>
-                          <ul className="h-[200px] overflow-scroll">
-                            {results.map((result, index) => {
-                              const isJob = result.post_type === "jobs";
-                              const dynamicUrl = isJob
-                                ? "/careers"
-                                : `/${result.post_type}/${result.slug}`;
-
-                              return (
-                                <li key={index}>
-                                  <Link
-                                    href={dynamicUrl}
-                                    className="flex justify-between border-b p-2 hover:bg-gray-50"
-                                    onClick={() => setOpenModal(false)}
-                                  >
-                                    <span
-                                      dangerouslySetInnerHTML={{
-                                        __html: result.title,
-                                      }}
-                                    ></span>
-                                  </Link>
-                                </li>
-                              );
-                            })}
-                          </ul>
-                        </>
-                      ) : (
-                        <p className="text-center text-gray-500">
-                          No results found for{" "}
-                          <span className="italic">"{searchQuery}"</span>
-                        </p>
-                      )}
-                    </>
-                  )}
+                  <p className="mb-6 mt-2 border-b-0">
+                    {t("search.resultsFor", { count: total, query })}
+                  </p>
+                  <ul id={listId} role="listbox" className="max-h-[320px] overflow-y-auto">
+                    {results.map((result, index) => (
+                      <li key={`${result.type}-${result.id}`} {...optionProps(index)}>
+                        <Link
+                          href={result.url}
+                          tabIndex={-1}
+                          className={optionClass(index)}
+                          onClick={() => {
+                            saveRecentSearch(query);
+                            closeModal();
+                          }}
+                        >
+                          <span className={HIGHLIGHT} dangerouslySetInnerHTML={{ __html: result.titleHtml }} />
+                          <span className="ms-4 shrink-0 text-xs text-gray-500">
+                            {t("search.type", { type: result.type })}
+                          </span>
+                        </Link>
+                      </li>
+                    ))}
+                    <li {...optionProps(results.length)}>
+                      <Link
+                        href={searchPageHref({ q: query }, language)}
+                        tabIndex={-1}
+                        className={`${optionClass(results.length)} font-semibold text-custom-red`}
+                        onClick={closeModal}
+                      >
+                        {t("search.seeAll")}
+                      </Link>
+                    </li>
+                  </ul>
                 </>
+              ) : (
+                <p className="text-center text-gray-500">
+                  {t("search.noResults", { query })}
+                </p>
               )}
+              <p className="hidden text-xs text-gray-400 md:block">{t("search.keyboardHint")}</p>
             </div>
           </div>
         </div>
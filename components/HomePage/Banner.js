@@ -1,9 +1,11 @@
 "use client";
-import React, { useEffect, useState } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import Image from "next/image";
 import { homeBanner } from "../../utils/homebanner-data";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 export default function Banner() {
+  const { t } = useContext(LanguageContext);
   const [currentIndex, setCurrentIndex] = useState(0);
 
   useEffect(() => {
@@ -18,7 +20,7 @@ export default function Banner() {
 
   return (
     <div className="relative w-full">
-      <h1 className="sr-only">Client-Centric Problem Solving</h1>
+      <h1 className="sr-only">{t("home.tagline")}</h1>
 
       {/* Mobile */}
       <div className="relative lg:hidden">
@@ -1,15 +1,18 @@
 "use client";
 
-import React, { useEffect, useRef, useState } from "react";
+import React, { useContext, useEffect, useRef, useState } from "react";
 import InsightSlider from "react-slick";
 import "slick-carousel/slick/slick.css";
 import "slick-carousel/slick/slick-theme.css";
 import Link from "next/link";
 import Image from "next/image";
 import { leftArrow, rightArrow } from "../../utils/icons";
-import configData from "../../config"; // Adjust the path if needed
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { CATEGORIES, getInsights } from "@/lib/wordpress";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 export default function HomeInsights({ initialInsights = [] }) {
+  const { t } = useContext(LanguageContext);
   const sliderRef = useRef(null);
   const [insightsData, setInsightsData] = useState(initialInsights);
   const isInitialLoading = insightsData.length === 0;
@@ -18,23 +21,13 @@ export default function HomeInsights({ initialInsights = [] }) {
   useEffect(() => {
     const fetchInsights = async () => {
       try {
-        const domain = window.location.hostname;
-        const isLiveDomain =
-          domain === configData.LIVE_SITE_URL ||
-          domain === configData.LIVE_SITE_URL_WWW;
-
-        const server = isLiveDomain
-          ? configData.LIVE_PRODUCTION_SERVER_ID
-          : configData.STAG_PRODUCTION_SERVER_ID;
-
-        const page = 8;
-        const response = await fetch(
-          `${configData.SERVER_URL}posts?_embed&categories[]=13&status[]=publish&production_mode[]=${server}&per_page=${page}`
-        );
-        const posts = await response.json();
+        const posts = await getInsights({
+          productionMode: getClientProductionMode(),
+          perPage: 8,
+          categories: CATEGORIES.FEATURED_INSIGHTS,
+        });
 
         const latestInsights = posts
-          .sort((a, b) => new Date(b.date) - new Date(a.date))
           .slice(0, 6)
           .map((item) => ({
             id: item.id,
@@ -115,7 +108,7 @@ export default function HomeInsights({ initialInsights = [] }) {
         <div className="flex justify-between lg:w-1/12 md:w-1/6">
           <div className="flex w-full items-center justify-evenly gap-7 lg:flex-col md:flex-row md:gap-4">
             <h3 className="m-0 py-5 text-2xl font-bold text-custom-red md:p-0 md:text-3xl md:py-3 lg:text-[80px] lg:-rotate-90">
-              Insights
+              {t("insightsTitle.insights")}
             </h3>
             <div className="hidden gap-4 md:flex lg:flex">
               <PrevArrow />
@@ -149,15 +142,15 @@ export default function HomeInsights({ initialInsights = [] }) {
                         />
                         {item.desc && (
                           <p
-                            className="mb-5 line-clamp-3 text-left text-sm font-normal text-custom-gray transition-colors duration-300 md:text-sm md:mb-4 md:mt-6 lg:text-base lg:mt-10 lg:group-hover:text-white"
+                            className="mb-5 line-clamp-3 text-start text-sm font-normal text-custom-gray transition-colors duration-300 md:text-sm md:mb-4 md:mt-6 lg:text-base lg:mt-10 lg:group-hover:text-white"
                             dangerouslySetInnerHTML={{ __html: item.desc }}
                           />
                         )}
                         <Link
                           href={`/insights/${item.slug}`}
-                          className="absolute bottom-0 left-[35%] m-5 mx-auto block border border-custom-red p-2 text-custom-red transition-colors duration-300 hover:bg-white hover:text-custom-red md:left-4 md:m-4 md:px-4 md:text-sm lg:left-5 lg:mx-0 lg:px-6 lg:group-hover:bg-custom-red lg:group-hover:text-white lg:group-hover:border-white"
+                          className="absolute bottom-0 start-[35%] m-5 mx-auto block border border-custom-red p-2 text-custom-red transition-colors duration-300 hover:bg-white hover:text-custom-red md:start-4 md:m-4 md:px-4 md:text-sm lg:start-5 lg:mx-0 lg:px-6 lg:group-hover:bg-custom-red lg:group-hover:text-white lg:group-hover:border-white"
                         >
-                          View Article
+                          {t("posts.viewArticle")}
                         </Link>
                       </div>
                     </div>
@@ -171,7 +164,7 @@ export default function HomeInsights({ initialInsights = [] }) {
               href="/insights"
               className="border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base cursor-pointer"
             >
-              View All
+              {t("common.viewAll")}
             </Link>
           </div>
         </div>
@@ -11,7 +11,7 @@ function OurNetwork({
   /** Contact page: same embed, framed with entrance animation + soft ongoing motion. */
   animatedPresentation = false,
 }) {
-  const { translations } = useContext(LanguageContext);
+  const { translations, t } = useContext(LanguageContext);
   const mapRef = useRef(null);
   const [showMap, setShowMap] = useState(false);
   const [mapInteractive, setMapInteractive] = useState(false);
@@ -125,14 +125,14 @@ function OurNetwork({
                   <>
                     <div className="absolute inset-0 z-10 cursor-pointer bg-transparent" />
                     <div className="absolute bottom-14 left-1/2 z-20 -translate-x-1/2 rounded-md border bg-black/30 px-2 py-2 text-center text-sm text-white shadow-md md:px-4">
-                      🖱️ Click to interact with map
+                      🖱️ {t("network.interact")}
                     </div>
                   </>
                 )}
               </div>
             ) : (
               <div className="flex h-[600px] w-full items-center justify-center bg-gray-300 text-gray-600">
-                Loading map...
+                {t("network.loadingMap")}
               </div>
             )}
           </div>
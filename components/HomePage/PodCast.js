@@ -1,15 +1,17 @@
 "use client";
-import React, { useRef, useState, useEffect } from "react";
+import React, { useContext, useRef, useState, useEffect } from "react";
 import Link from "next/link";
 import InsightSlider from "react-multi-carousel";
 import "react-multi-carousel/lib/styles.css";
 import { leftArrow, rightArrow, pause, play } from "../../utils/icons";
 import Image from "next/image";
+import { getPodcasts } from "@/lib/wordpress";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 const SkeletonLoader = () => (
   <div className="flex animate-pulse border border-gray-200 bg-white p-5 shadow dark:border-gray-700 dark:bg-gray-800">
     <div className="h-40 w-40 flex-shrink-0 bg-gray-300"></div>
-    <div className="ml-4 flex flex-col justify-between w-full">
+    <div className="ms-4 flex flex-col justify-between w-full">
       <div className="mb-2 h-6 w-3/4 rounded bg-gray-400"></div>
       <div className="h-4 w-full rounded bg-gray-400"></div>
       <div className="mt-4 h-10 w-20 rounded bg-gray-400"></div>
@@ -18,6 +20,7 @@ const SkeletonLoader = () => (
 );
 
 const Podcasts = () => {
+  const { t } = useContext(LanguageContext);
   const sliderRef = useRef(null);
   const [podcasts, setPodcasts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -43,10 +46,7 @@ const Podcasts = () => {
   useEffect(() => {
     const fetchPodcasts = async () => {
       try {
-        const response = await fetch(
-          "https://docs.aarnalaw.com/wp-json/wp/v2/podcast"
-        );
-        const data = await response.json();
+        const data = await getPodcasts({ perPage: 10 });
 
         setPodcasts(
           data.map((podcast) => ({
@@ -96,7 +96,7 @@ const Podcasts = () => {
   return (
     <div className="mx-auto w-11/12 py-12 lg:p-10 lg:py-12">
       <p className="mb-8 text-center text-2xl font-semibold text-custom-blue">
-        Podcasts
+        {t("podcastsTitle.podcasts")}
       </p>
 
      
@@ -134,7 +134,7 @@ const Podcasts = () => {
                     src={item.imageUrl}
                     width={201}
                     height={150}
-                    alt="Podcast Thumbnail"
+                    alt={t("podcasts.thumbnailAlt")}
                     className="h-auto w-full lg:h-[236px] lg:w-[400px]"
                      loading="lazy"
                   />
@@ -169,7 +169,7 @@ const Podcasts = () => {
           href="/podcasts"
           className="border border-custom-blue px-6 py-2 text-custom-blue md:hover:bg-custom-blue md:hover:text-white"
         >
-          View All
+          {t("common.viewAll")}
         </Link>
       </div>
     </div>
@@ -11,7 +11,7 @@ import { LanguageContext } from "../../app/context/LanguageContext";
 
 const Testimonials = () => {
   const sliderRef = useRef(null);
-  const { language, translations } = useContext(LanguageContext);
+  const { language, translations, t } = useContext(LanguageContext);
 
   const NextArrow = () => (
     <div
@@ -58,7 +58,7 @@ const Testimonials = () => {
     <div className="relative mx-auto mb-14 w-[95%] max-w-7xl px-2 sm:px-4">
       {/* Mobile heading */}
       <p className="block py-5 text-center text-xl font-semibold text-custom-blue md:hidden">
-        Client’s Testimonials
+        {t("testimonials.heading", { br: "" })}
       </p>
 
       {/* Quote image */}
@@ -76,9 +76,9 @@ const Testimonials = () => {
       {/* Background + Header + Arrows */}
       <div className="mt-2 flex justify-between md:-mt-36">
         <div className="h-96 w-[260px] bg-custom-blue md:h-[437px] md:w-[559px]"></div>
-        <div className="md:mr-54 mr-1 space-y-6 self-end text-right">
+        <div className="md:me-54 me-1 space-y-6 self-end text-end">
           <p className="hidden p-2 text-xl font-semibold text-custom-blue md:block md:text-2xl">
-            Client’s <br /> Testimonials
+            {t.rich("testimonials.heading", { br: <br key="br" /> })}
           </p>
           <div className="flex justify-end gap-2">
             <PrevArrow />
@@ -88,7 +88,7 @@ const Testimonials = () => {
       </div>
 
       {/* Slider */}
-      <div className="absolute bottom-24 w-full md:bottom-24 md:right-[200px] md:w-3/4">
+      <div className="absolute bottom-24 w-full md:bottom-24 md:end-[200px] md:w-3/4">
         <InsightSlider ref={sliderRef} {...settings}>
           {translations.testimonialDetails.map((item, index) => (
             <div key={index} className="px-2">
@@ -129,7 +129,7 @@ const Testimonials = () => {
                   href="/testimonials"
                   className="mt-2 text-sm text-custom-blue"
                 >
-                  Read more
+                  {t("common.readMore")}
                 </Link>
               </div>
             </div>
@@ -2,11 +2,16 @@
 import React, { useContext, useEffect, useRef, useState } from 'react';
 import CountUp from "react-countup";
 import { LanguageContext } from "../../app/context/LanguageContext";
+import { formatNumber } from "../../lib/format";
 
 export default function TrackRecords() {
-  const { language, translations } = useContext(LanguageContext);
+  const { language, translations, t } = useContext(LanguageContext);
   const sectionRef = useRef(null);
   const [startCount, setStartCount] = useState(false);
+  // Counters in the page's digits and grouping; the dispute value reads
+  // "6 billion" in English and "6 अरब" in Hindi
+  const count = (value) => formatNumber(value, language);
+  const compactCount = (value) => formatNumber(value, language, { notation: "compact", compactDisplay: "long" });
 
   // Observe when the section enters the viewport
   useEffect(() => {
@@ -36,19 +41,19 @@ export default function TrackRecords() {
         <div className="grid gap-12 py-12 lg:grid-cols-3 lg:gap-0">
           <div className="text-center text-5xl text-custom-blue">
             {startCount && (
-              <CountUp start={0} end={100} duration={2.75} suffix="+" />
+              <CountUp start={0} end={100} duration={2.75} formattingFn={(n) => `${count(n)}+`} />
             )}
             <p className="text-center text-xl text-custom-gray py-2">
-              Years of Our Legacy
+              {t("trackRecord.yearsOfLegacy")}
             </p>
           </div>
 
           <div className="text-center text-5xl text-custom-blue">
             {startCount && (
-              <CountUp start={0} end={1500} duration={2.75} suffix="+" />
+              <CountUp start={0} end={1500} duration={2.75} formattingFn={(n) => `${count(n)}+`} />
             )}
             <p className="text-center text-xl text-custom-gray py-2">
-              Clients Served
+              {t("trackRecord.clientsServed")}
             </p>
           </div>
 
@@ -56,15 +61,13 @@ export default function TrackRecords() {
             {startCount && (
               <CountUp
                 start={0}
-                end={6}
+                end={6000000000}
                 duration={2.75}
-                decimal=","
-                prefix="$"
-                suffix=" billion+"
+                formattingFn={(n) => `$${compactCount(n)}+`}
               />
             )}
             <p className="text-center text-xl text-custom-gray py-2">
-              Disputes Resolved
+              {t("trackRecord.disputesResolved")}
             </p>
           </div>
         </div>
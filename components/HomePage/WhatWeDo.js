@@ -17,11 +17,11 @@ const WhatWeDo = () => {
             width={500}
             height={500}
             className="w-full h-full max-h-[600px] object-cover"
-            alt="What We Do"
+            alt={translations.whatWeDo.title}
             loading="lazy"
           />
         </div>
-        <div className="flex flex-col justify-center min-h-[400px] lg:min-h-[500px] md:text-center lg:text-left lg:px-8">
+        <div className="flex flex-col justify-center min-h-[400px] lg:min-h-[500px] md:text-center lg:text-start lg:px-8">
           <h2 className="text-2xl font-bold text-custom-red mt-6 lg:mt-0 pb-2">
             {translations.whatWeDo.title}
           </h2>
@@ -41,7 +41,7 @@ const WhatWeDo = () => {
 
       {/* Section 2 */}
       <div className="mx-auto grid container pb-12 lg:grid-cols-2 gap-8 px-4 md:px-0">
-        <div className=" flex flex-col justify-center min-h-[400px] lg:min-h-[500px] order-2 lg:order-1 md:text-center lg:text-left lg:pe-12">
+        <div className=" flex flex-col justify-center min-h-[400px] lg:min-h-[500px] order-2 lg:order-1 md:text-center lg:text-start lg:pe-12">
           <h2 className="text-2xl font-bold text-custom-red mt-6 lg:mt-0 pb-2">
             {translations.ourLegacy1.legacyTitle1}
           </h2>
@@ -63,7 +63,7 @@ const WhatWeDo = () => {
             width={500}
             height={500}
             className="w-full h-full max-h-[600px] object-cover"
-            alt="Our Legacy"
+            alt={translations.ourLegacy.legacyTitle}
             loading="lazy"
           />
         </div>
@@ -3,6 +3,8 @@ import React, { useContext } from "react";
 import Image from "next/image";
 import Link from "next/link";
 import { LanguageContext } from "../../app/context/LanguageContext";
+import { localizedField, localizedSlug } from "@/lib/localizedFields";
+import { localizedPath } from "@/lib/locales";
 
 function IndustryLists({ data = [], loading = true }) {
   const { language, translations } = useContext(LanguageContext);
@@ -25,27 +27,10 @@ function IndustryLists({ data = [], loading = true }) {
               </div>
             ))
             : data.map((item, index) => {
-              const title =
-                language === "ta" && item.acf.tamil_title
-                  ? item.acf.tamil_title
-                  : language === "kn" && item.acf.kannada_title
-                    ? item.acf.kannada_title
-                    : language === "te" && item.acf.telugu_title
-                      ? item.acf.telugu_title
-                      : language === "hi" && item.acf.hindi_title
-                        ? item.acf.hindi_title
-                        : language === "ml" && item.acf.malayalam_title
-                          ? item.acf.malayalam_title
-                          : language === "mr" && item.acf.marathi_title
-                            ? item.acf.marathi_title
-                            : language === "gu" && item.acf.gujarati_title
-                              ? item.acf.gujarati_title
-                              : language === "fr" && item.acf.french_title
-                                ? item.acf.french_title
-                              : item.title.rendered;
+              const title = localizedField(item, "title", language);
 
               return (
-                <Link href={`/industries/${item.slug}`} key={index} className="group block">
+                <Link href={localizedPath(`/industries/${localizedSlug(item, language)}`, language)} key={index} className="group block">
                   <div className="overflow-hidden">
                     <Image
                       src={item.acf.banner_image.url}
@@ -1,6 +1,7 @@
 "use client";
 import { useContext, useEffect, useState } from "react";
 import { LanguageContext } from "../../../app/context/LanguageContext";
+import { localizedField } from "@/lib/localizedFields";
 
 export default function IndustriesBanner({
   backgroundImage,
@@ -34,24 +35,7 @@ export default function IndustriesBanner({
   }, [backgroundImage, mobileBackgroundImage]);
 
   // Get the correct title based on language
-  const title =
-    language === "ta" && titleText?.acf?.tamil_title
-      ? titleText.acf.tamil_title
-      : language === "kn" && titleText?.acf?.kannada_title
-        ? titleText.acf.kannada_title
-        : language === "te" && titleText?.acf?.telugu_title
-          ? titleText.acf.telugu_title
-          : language === "hi" && titleText?.acf?.hindi_title
-            ? titleText.acf.hindi_title
-            : language === "ml" && titleText?.acf?.malayalam_title
-              ? titleText.acf.malayalam_title
-              : language === "mr" && titleText?.acf?.marathi_title
-                ? titleText.acf.marathi_title
-                : language === "gu" && titleText?.acf?.gujarati_title
-                  ? titleText.acf.gujarati_title
-                  : language === "fr" && titleText?.acf?.french_title
-                    ? titleText.acf.french_title
-                    : titleText?.title?.rendered;
+  const title = localizedField(titleText, "title", language);
 
   return (
     <div className="relative" style={{ height: "550px" }}>
@@ -1,15 +1,19 @@
 "use client";
-import React, { useState, useEffect } from "react";
+import React, { useContext, useState, useEffect } from "react";
 import Link from "next/link";
 import Image from "next/image";
-import config from "../../config.json";
-
-const domain = typeof window !== "undefined" ? window.location.hostname : "";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getInsights } from "@/lib/wordpress";
+import { formatDate } from "@/lib/format";
+import { fetchSearchResults } from "@/lib/searchClient";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function LoadingDots() {
+  const { t } = useContext(LanguageContext);
+
   return (
     <div className="inline-flex items-center text-black">
-      Loading
+      {t("common.loadingDots")}
       <span className="loading-dots">
         <span className="dot">.</span>
         <span className="dot">.</span>
@@ -39,6 +43,34 @@ function LoadingDots() {
   );
 }
 
+const PLACEHOLDER_IMAGE = "/PracticeArea/Aarna-Law-Banner-img.png";
+
+const stripHTMLAndLimit = (htmlContent) => {
+  const text = htmlContent.replace(/<\/?[^>]+(>|$)/g, "");
+  return text.length > 255 ? text.substring(0, 255) + "..." : text;
+};
+
+// Loaded insights and search results rendered by the same card
+const postCard = (item) => ({
+  key: item.id,
+  title: item.title.rendered,
+  titleHtml: item.title.rendered,
+  summaryHtml: stripHTMLAndLimit(item.excerpt.rendered),
+  image: item._embedded?.["wp:featuredmedia"]?.[0]?.source_url,
+  date: item.date,
+  href: `/insights/${item.slug}`,
+});
+
+const resultCard = (result) => ({
+  key: result.id,
+  title: result.title,
+  titleHtml: result.titleHtml,
+  summaryHtml: result.snippet,
+  image: result.image,
+  date: result.date,
+  href: result.url,
+});
+
 function AllInsights({
   searchTerm,
   initialData = [],
@@ -46,8 +78,11 @@ function AllInsights({
   initialYear,
   productionMode,
 }) {
+  const { language, t } = useContext(LanguageContext);
   const [data, setData] = useState(initialData);
-  const [filteredData, setFilteredData] = useState(initialData);
+  // Ranked matches from /api/search while there is a search term
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
   const [archives, setArchives] = useState(initialArchives);
   const [selectedArchive, setSelectedArchive] = useState(initialYear || (initialArchives[0]?.name ?? null));
   const [page, setPage] = useState(1);
@@ -56,45 +91,18 @@ function AllInsights({
   const [isChangingArchive, setIsChangingArchive] = useState(false);
 
   const fetchData = async (year, pageNum = 1, append = false) => {
-    // Determine production mode based on current domain (like AllNews.js)
-    let server;
-    // Extract hostname from config URLs for comparison
-    const liveHostname = config.LIVE_SITE_URL.replace(/^https?:\/\//, '').replace(/^www\./, '');
-    const stagingHostname = config.STAGING_SITE_URL.replace(/^https?:\/\//, '').replace(/^www\./, '');
-    const currentHostname = domain.replace(/^www\./, '');
-
-    if (currentHostname === liveHostname || domain === config.LIVE_SITE_URL_WWW) {
-      server = config.LIVE_PRODUCTION_SERVER_ID;
-    } else if (currentHostname === stagingHostname) {
-      server = config.STAG_PRODUCTION_SERVER_ID;
-    } else {
-      server = config.STAG_PRODUCTION_SERVER_ID;
-    }
-
-    const cat1 = 12;
-    const cat2 = 13;
-    const after = `${year}-01-01T00:00:00`;
-    const before = `${year}-12-31T23:59:59`;
-    const url = `${config.SERVER_URL}posts?_embed&per_page=6&page=${pageNum}&categories=${cat1},${cat2}&after=${after}&before=${before}&status[]=publish&production_mode[]=${server}`;
-
     try {
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json' },
+      const sortedData = await getInsights({
+        productionMode: productionMode || getClientProductionMode(),
+        year,
+        page: pageNum,
       });
 
-      const result = await response.json();
-
-      if (Array.isArray(result)) {
-        const sortedData = result.sort((a, b) => new Date(b.date) - new Date(a.date));
+      if (Array.isArray(sortedData)) {
         if (append) {
-          const newData = [...data, ...sortedData];
-          setData(newData);
-          filterData(newData, searchTerm);
-        } else {
-          if (year === selectedArchive) {
-            setData(sortedData);
-            filterData(sortedData, searchTerm);
-          }
+          setData([...data, ...sortedData]);
+        } else if (year === selectedArchive) {
+          setData(sortedData);
         }
         setHasMore(sortedData.length === 6);
       }
@@ -105,32 +113,38 @@ function AllInsights({
     }
   };
 
-  const filterData = (dataToFilter, term) => {
-    if (!term) {
-      setFilteredData(dataToFilter);
-      setHasMore(dataToFilter.length >= 6);
+  // Searches every insight of the selected year, not just the pages loaded
+  useEffect(() => {
+    if (!searchTerm?.trim()) {
+      setSearchResults(null);
+      setIsSearching(false);
       return;
     }
 
-    const searchLower = term.toLowerCase();
-    const filtered = dataToFilter.filter(item => {
-      const title = item.title.rendered.toLowerCase();
-      const content = item.content.rendered.toLowerCase();
-      const excerpt = item.excerpt.rendered.toLowerCase();
-      return (
-        title.includes(searchLower) ||
-        content.includes(searchLower) ||
-        excerpt.includes(searchLower)
-      );
-    });
-
-    setFilteredData(filtered);
-    setHasMore(filtered.length >= 6 && filtered.length === dataToFilter.length && dataToFilter.length === 6);
-  };
+    const controller = new AbortController();
+    setIsSearching(true);
 
-  useEffect(() => {
-    filterData(data, searchTerm);
-  }, [searchTerm, data]);
+    const debounceTimer = setTimeout(async () => {
+      try {
+        const { results } = await fetchSearchResults(
+          { q: searchTerm, type: "insight", year: selectedArchive, locale: language, perPage: 50 },
+          { signal: controller.signal },
+        );
+        setSearchResults(results);
+        setIsSearching(false);
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        console.error("Error searching insights:", error);
+        setSearchResults([]);
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(debounceTimer);
+      controller.abort();
+    };
+  }, [searchTerm, selectedArchive, language]);
 
   useEffect(() => {
     if (selectedArchive) {
@@ -147,41 +161,31 @@ function AllInsights({
     setIsLoadingMore(false);
   };
 
-  const stripHTMLAndLimit = (htmlContent) => {
-    const text = htmlContent.replace(/<\/?[^>]+(>|$)/g, "");
-    return text.length > 255 ? text.substring(0, 255) + "..." : text;
-  };
-
-  const formatDateString = (dateString) => {
-    const date = new Date(dateString);
-    const monthAbbreviations = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
-    const day = date.getDate();
-    const month = monthAbbreviations[date.getMonth()];
-    const year = date.getFullYear();
-    return `${day}\n${month}\n${year}`;
-  };
+  const cards = searchResults ? searchResults.map(resultCard) : data.map(postCard);
 
   return (
     <div className="flex w-full flex-col md:flex-row container mx-auto pt-10 px-4 md:px-0">
       <div className="grid w-full grid-cols-1 gap-4 sm:grid-cols-2 lg:w-9/12">
-        {filteredData.length === 0 ? (
+        {cards.length === 0 || isSearching ? (
           <div className="col-span-1 sm:col-span-2 text-center py-8">
-            {isChangingArchive ? (
+            {isChangingArchive || isSearching ? (
               <LoadingDots />
             ) : (
-              <p className="text-gray-500">No results found {searchTerm ? `for "${searchTerm}"` : ""}</p>
+              <p className="text-gray-500">
+                {searchTerm ? t("posts.noResultsFor", { query: searchTerm }) : t("posts.noResults")}
+              </p>
             )}
           </div>
         ) : (
           <>
-            {filteredData.map((item) => (
+            {cards.map((item) => (
               <div
                 className="rounded-lg border border-gray-200 bg-white shadow transition-opacity duration-300"
-                key={item.id}
+                key={item.key}
               >
                 <Image
-                  src={item._embedded?.["wp:featuredmedia"]?.[0]?.source_url || "/PracticeArea/Aarna-Law-Banner-img.png"}
-                  alt={item.title.rendered}
+                  src={item.image || PLACEHOLDER_IMAGE}
+                  alt={item.title}
                   className="h-[200px] w-full rounded-t-lg object-cover"
                   width={500}
                   height={300}
@@ -190,22 +194,22 @@ function AllInsights({
                 <div className="p-5">
                   <p
                     className="mb-2 line-clamp-2 min-h-14 text-lg font-bold tracking-tight text-gray-900"
-                    dangerouslySetInnerHTML={{ __html: item.title.rendered }}
+                    dangerouslySetInnerHTML={{ __html: item.titleHtml }}
                   />
                   <p
                     className="my-5 min-h-28 text-sm font-normal text-gray-700"
-                    dangerouslySetInnerHTML={{ __html: stripHTMLAndLimit(item.excerpt.rendered) }}
+                    dangerouslySetInnerHTML={{ __html: item.summaryHtml }}
                   />
                   <p className="pb-4 text-xs text-gray-500">
-                    {formatDateString(item.date)}
+                    {formatDate(item.date, language)}
                   </p>
-                  <Link href={`/insights/${item.slug}`} className="font-semibold text-custom-red">
-                    Read more
+                  <Link href={item.href} className="font-semibold text-custom-red">
+                    {t("common.readMore")}
                   </Link>
                 </div>
               </div>
             ))}
-            {hasMore && filteredData.length >= 6 && (
+            {hasMore && !searchResults && cards.length >= 6 && (
               <div className="col-span-1 mt-6 text-center sm:col-span-2">
                 {isLoadingMore ? (
                   <div className="inline-block px-4 py-2">
@@ -217,7 +221,7 @@ function AllInsights({
                     className="border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base"
                     disabled={isChangingArchive}
                   >
-                    Load More
+                    {t("common.loadMore")}
                   </button>
                 )}
               </div>
@@ -225,10 +229,10 @@ function AllInsights({
           </>
         )}
       </div>
-      <div className="mt-8 w-full bg-gray-50 p-4 pb-12 md:mt-0 md:w-3/12 md:p-4 lg:ml-8">
-        <h2 className="font-bold">Archives</h2>
+      <div className="mt-8 w-full bg-gray-50 p-4 pb-12 md:mt-0 md:w-3/12 md:p-4 lg:ms-8">
+        <h2 className="font-bold">{t("common.archives")}</h2>
         <hr className="my-4 border-t-2 border-red-500" />
-        <ul className="space-y-4 text-left text-gray-500">
+        <ul className="space-y-4 text-start text-gray-500">
           {archives.map((archive) => (
             <button
               onClick={() => {
@@ -0,0 +1,71 @@
+import React from "react";
+import Banner from "@/components/Insights/InsidePage/Banner";
+import Link from "next/link";
+import { getFeaturedImageUrl } from "@/lib/wordpress";
+import { formatDate } from "@/lib/format";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+import Faq from "@/components/FAQ/Faq";
+import TranslationNotice from "@/components/TranslationNotice/TranslationNotice";
+
+// FAQs are stored in ACF as faq_1..faq_10 / faqs_description_1..10
+function getFaqs(acf = {}) {
+  const faqs = [];
+  for (let i = 1; i <= 10; i++) {
+    const question = acf[`faq_${i}`];
+    const answer = acf[`faqs_description_${i}`];
+    if (question && answer) {
+      faqs.push({ question, answer });
+    }
+  }
+  return faqs;
+}
+
+export default async function PostContent({ post }) {
+  const locale = getLocale();
+  const t = await getTranslator(locale);
+  const title = post.title.rendered;
+  const date = post.date;
+  const content = post.content.rendered;
+  const featureImage = getFeaturedImageUrl(post);
+  const faqs = getFaqs(post.acf || {});
+
+  return (
+    <>
+      <div className="mx-auto container px-4 md-px">
+        <div className="h-[200px]"></div>
+        <h1
+          className="py-4 md:text-4xl text-2xl font-bold tracking-wide text-black"
+          dangerouslySetInnerHTML={{ __html: title }}
+        />
+        <p className="py-4">{t("common.published", { date: formatDate(date, locale) })}</p>
+        <Banner backgroundImage={featureImage} />
+      </div>
+
+      <div className="pt-10">
+        <div className="mx-auto container px-4 md-px">
+          {post.translation?.isFallback && <TranslationNotice className="mb-6" />}
+          <div
+            dangerouslySetInnerHTML={{ __html: content }}
+            className="insight-blog wp-content"
+          />
+        </div>
+      </div>
+
+      {/* FAQs */}
+      {faqs.length > 0 && (
+        <div className="container flex justify-start items-start mx-auto">
+          <div className="text-start">
+            <Faq faqs={faqs} className="text-start" />
+          </div>
+        </div>
+      )}
+
+      <div className="mx-auto container mt-8 px-4 md-px">
+        <Link className="mt-6 bg-custom-red px-4 py-2 text-white" href="/insights/">
+          {t("posts.backToInsights")}
+        </Link>
+      </div>
+    </>
+  );
+}
@@ -1,11 +1,14 @@
 "use client";
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
 import Link from "next/link";
 import { HeaderMenu } from "../../utils/data";
 import { usePathname } from "next/navigation";
+import { splitLocale } from "../../lib/locales";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 export default function Navigation({ searchTerm, setSearchTerm }) {
-  const pathname = usePathname();
+  const { path: pathname } = splitLocale(usePathname());
+  const { t } = useContext(LanguageContext);
 
   const handleSearchChange = (e) => {
     setSearchTerm(e.target.value);
@@ -41,10 +44,10 @@ export default function Navigation({ searchTerm, setSearchTerm }) {
         <div className="order-1 lg:order-2 lg:w-3/12">
           <form className="mx-auto flex w-full items-center">
             <label htmlFor="simple-search" className="sr-only">
-              Search
+              {t("search.title")}
             </label>
             <div className="relative w-full">
-              <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+              <div className="pointer-events-none absolute inset-y-0 start-0 flex items-center ps-3">
                 <svg
                   className="h-4 w-4 text-gray-500 dark:text-gray-400"
                   aria-hidden="true"
@@ -64,8 +67,8 @@ export default function Navigation({ searchTerm, setSearchTerm }) {
               <input
                 type="text"
                 id="simple-search"
-                className="block w-full rounded-lg border border-gray-300 bg-gray-50 p-2.5 pl-10 text-sm text-gray-900 focus:border-blue-500 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 dark:focus:border-blue-500 dark:focus:ring-blue-500"
-                placeholder="Search..."
+                className="block w-full rounded-lg border border-gray-300 bg-gray-50 p-2.5 ps-10 text-sm text-gray-900 focus:border-blue-500 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 dark:focus:border-blue-500 dark:focus:ring-blue-500"
+                placeholder={t("search.filterPlaceholder")}
                 value={searchTerm}
                 onChange={handleSearchChange}
               />
@@ -1,10 +1,11 @@
 import { Modal } from "flowbite-react";
-import { useState, useEffect, useRef } from "react";
+import { useContext, useState, useEffect, useRef } from "react";
 import CareerForm from "@/components/Careers/CareerForm";
 import InternshipForm from "@/components/Careers/InternshipForm";
 import Subscribe from "@/components/Careers/SubscribeForm";
 import ZohoContactForm from "@/components/ContactUs/ZohoContactForm";
 import { HiX } from "react-icons/hi";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function ModalContact({
   btnName,
@@ -15,6 +16,7 @@ function ModalContact({
   id,
   componentProps = {},
 }) {
+  const { t } = useContext(LanguageContext);
   const [openModal, setOpenModal] = useState(false);
   const modalRef = useRef(null);
 
@@ -83,7 +85,7 @@ function ModalContact({
             {SelectedComponent ? (
               <SelectedComponent id={id} {...componentProps} />
             ) : (
-              <p>Component not found</p>
+              <p>{t("common.componentMissing")}</p>
             )}
           </div>
         </div>
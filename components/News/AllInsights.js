@@ -1,17 +1,20 @@
 "use client";
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useContext, useState, useEffect, useCallback } from "react";
 import Link from "next/link";
 import Image from "next/image";
 import { initFlowbite } from "flowbite";
 import debounce from "lodash.debounce";
-import configData from "../../config.json";
-
-const domain = typeof window !== "undefined" ? window.location.hostname : "";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getNews } from "@/lib/wordpress";
+import { formatDate } from "@/lib/format";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function LoadingDots() {
+  const { t } = useContext(LanguageContext);
+
   return (
     <div className="inline-flex items-center text-black">
-      Loading
+      {t("common.loadingDots")}
       <span className="loading-dots">
         <span className="dot">.</span>
         <span className="dot">.</span>
@@ -42,6 +45,7 @@ function LoadingDots() {
 }
 
 function AllNews({ searchTerm, initialData = [] }) {
+  const { language, t } = useContext(LanguageContext);
   const [data, setData] = useState(initialData);
   const [loading, setLoading] = useState(false);
   const [page, setPage] = useState(1);
@@ -56,19 +60,10 @@ function AllNews({ searchTerm, initialData = [] }) {
     }
 
     try {
-      let server;
-      if (domain === `${configData.LIVE_SITE_URL}`) {
-        server = `${configData.LIVE_PRODUCTION_SERVER_ID}`;
-      } else if (domain === `${configData.STAGING_SITE_URL}`) {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      } else {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      }
-
-      const response = await fetch(
-        `${configData.SERVER_URL}posts?_embed&categories[]=9&status[]=publish&production_mode[]=${server}&per_page=6&page=${pageNum}`
-      );
-      const newsData = await response.json();
+      const newsData = await getNews({
+        productionMode: getClientProductionMode(),
+        page: pageNum,
+      });
 
       if (Array.isArray(newsData)) {
         const sortedData = newsData.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -106,15 +101,6 @@ function AllNews({ searchTerm, initialData = [] }) {
     await fetchContent(nextPage, true);
   };
 
-  const formatDateString = (dateString) => {
-    const date = new Date(dateString);
-    const monthAbbreviations = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
-    const day = date.getDate();
-    const month = monthAbbreviations[date.getMonth()];
-    const year = date.getFullYear();
-    return `${day}\n${month}\n${year}`;
-  };
-
   const stripHTMLAndLimit = (htmlContent) => {
     const text = htmlContent.replace(/<\/?[^>]+(>|$)/g, "");
     return text.length > 300 ? text.substring(0, 300) + "..." : text;
@@ -154,20 +140,20 @@ function AllNews({ searchTerm, initialData = [] }) {
                   }}
                 ></p>
                 <p className="pb-4 text-xs text-gray-500 md:text-sm">
-                  {formatDateString(items.date)}
+                  {formatDate(items.date, language)}
                 </p>
                 <Link
                   href={`/aarna-news/${items.slug}`}
                   className="font-semibold text-custom-red"
                 >
-                  Read more
+                  {t("common.readMore")}
                 </Link>
               </div>
             </div>
           ))
         ) : (
           <div className="col-span-1 mt-4 text-center text-gray-500 md:col-span-2">
-            No related post found
+            {t("common.noPosts")}
           </div>
         )}
 
@@ -184,7 +170,7 @@ function AllNews({ searchTerm, initialData = [] }) {
                 className="border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base"
                 disabled={isLoadingMore}
               >
-                Load More
+                {t("common.loadMore")}
               </button>
             )}
           </div>
@@ -0,0 +1,61 @@
+// Layout of the generated share cards (lib/ogImage.js). Rendered by Satori,
+// which supports a subset of CSS: every element with more than one child
+// needs `display: flex`, and there are no Tailwind classes.
+const BLUE = "#1E396A";
+const RED = "#E6331C";
+
+// Long titles shrink rather than overflow the card
+function titleSize(title) {
+  if (title.length > 110) return 44;
+  if (title.length > 70) return 54;
+  return 64;
+}
+
+export default function OgCard({ card, date, logo, fontFamily }) {
+  const details = [card.byline, date].filter(Boolean).join("  ·  ");
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        width: "100%",
+        height: "100%",
+        backgroundColor: BLUE,
+        color: "white",
+        // Satori falls back to its built-in font only when none is named
+        ...(fontFamily && { fontFamily }),
+      }}
+    >
+      <div style={{ width: 24, height: "100%", backgroundColor: RED }} />
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          justifyContent: "space-between",
+          flex: 1,
+          padding: "56px 72px",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", fontSize: 26, fontWeight: 500 }}>
+          <span style={{ color: RED, textTransform: "uppercase", letterSpacing: 3 }}>{card.label}</span>
+          {card.topic && <span style={{ marginLeft: 20, opacity: 0.8 }}>{card.topic}</span>}
+        </div>
+        <div
+          style={{
+            display: "flex",
+            fontSize: titleSize(card.title),
+            fontWeight: 700,
+            lineHeight: 1.15,
+          }}
+        >
+          {card.title}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <span style={{ fontSize: 28, fontWeight: 500, opacity: 0.9 }}>{details}</span>
+          {/* eslint-disable-next-line @next/next/no-img-element, jsx-a11y/alt-text */}
+          <img src={logo} width={372} height={41} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+"use client";
+import { useEffect } from "react";
+import { initFlowbite } from "flowbite";
+
+// Wires up Flowbite widgets (accordions, tabs) embedded in WordPress content
+export default function FlowbiteInit() {
+  useEffect(() => {
+    initFlowbite();
+  }, []);
+
+  return null;
+}
@@ -1,10 +1,13 @@
 "use client";
-import React, { useState, useEffect } from "react";
+import React, { useContext, useState, useEffect } from "react";
 import Link from "next/link";
 import Image from "next/image";
-import configData from "../../config.json";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getPodcasts } from "@/lib/wordpress";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function AllPodCasts({ searchTerm, initialData = [] }) {
+  const { t } = useContext(LanguageContext);
   const [data, setData] = useState(initialData);
   const [loading, setLoading] = useState(false);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
@@ -13,32 +16,16 @@ function AllPodCasts({ searchTerm, initialData = [] }) {
 
   const PER_PAGE = 6; // 👈 show 6 per page
 
-  const domain = typeof window !== "undefined" ? window.location.hostname : "";
-
   const fetchContent = async (pageNum = 1, append = false) => {
     if (append) setIsLoadingMore(true);
     else setLoading(true);
 
     try {
-      let server;
-      if (
-        domain === `${configData.LIVE_SITE_URL}` ||
-        domain === `${configData.LIVE_SITE_URL_WWW}`
-      ) {
-        server = `${configData.LIVE_PRODUCTION_SERVER_ID}`;
-      } else if (domain === `${configData.STAGING_SITE_URL}`) {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      } else {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      }
-
-      const response = await fetch(
-        `${configData.SERVER_URL}podcast?_embed&status[]=publish&production_mode[]=${server}&per_page=${PER_PAGE}&page=${pageNum}`,
-      );
-
-      if (!response.ok) throw new Error("Failed to fetch data");
-
-      const result = await response.json();
+      const result = await getPodcasts({
+        productionMode: getClientProductionMode(),
+        page: pageNum,
+        perPage: PER_PAGE,
+      });
       console.log(result);
 
       if (Array.isArray(result)) {
@@ -83,7 +70,7 @@ function AllPodCasts({ searchTerm, initialData = [] }) {
     <div className="flex flex-col md:pt-10">
       <div className="container mx-auto grid w-full gap-4 p-4 md:grid-cols-2 md:p-0">
         {loading && page === 1 ? (
-          <div className="col-span-2 text-center text-gray-500">Loading...</div>
+          <div className="col-span-2 text-center text-gray-500">{t("common.loading")}</div>
         ) : filteredInsights.length > 0 ? (
           filteredInsights.map((item) => (
             <div
@@ -116,28 +103,28 @@ function AllPodCasts({ searchTerm, initialData = [] }) {
                   href={`/podcasts/${item.slug}`}
                   className="mt-3 inline-block rounded py-2 font-semibold text-[#E6331C]"
                 >
-                  Listen Now
+                  {t("podcasts.listenNow")}
                 </Link>
               </div>
             </div>
           ))
         ) : (
           <div className="col-span-1 mt-4 text-center text-gray-500 md:col-span-2">
-            No related post found
+            {t("common.noPosts")}
           </div>
         )}
 
         {hasMore && (
           <div className="col-span-1 mt-6 text-center sm:col-span-2">
             {isLoadingMore ? (
-              <div className="inline-block px-4 py-2">Loading...</div>
+              <div className="inline-block px-4 py-2">{t("common.loading")}</div>
             ) : (
               <button
                 onClick={loadMore}
                 className="border border-custom-red px-6 py-2 text-custom-red md:hover:bg-custom-red md:hover:text-white md:px-4 md:py-1.5 md:text-sm lg:px-6 lg:py-2 lg:text-base"
                 disabled={isLoadingMore}
               >
-                Load More
+                {t("common.loadMore")}
               </button>
             )}
           </div>
@@ -0,0 +1,104 @@
+"use client";
+
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { play, pause, sound, mute } from "@/utils/icons";
+import { formatDuration } from "@/lib/format";
+import { LanguageContext } from "@/app/context/LanguageContext";
+
+export default function AudioPlayer({ src }) {
+  const { language } = useContext(LanguageContext);
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    const audio = new Audio();
+    audioRef.current = audio;
+
+    const handleTimeUpdate = () => {
+      setCurrentTime(audio.currentTime);
+      setProgress((audio.currentTime / audio.duration) * 100);
+    };
+    const handleLoadedMetadata = () => setDuration(audio.duration);
+
+    audio.addEventListener("timeupdate", handleTimeUpdate);
+    audio.addEventListener("loadedmetadata", handleLoadedMetadata);
+
+    return () => {
+      audio.pause();
+      audio.src = "";
+      audio.removeEventListener("timeupdate", handleTimeUpdate);
+      audio.removeEventListener("loadedmetadata", handleLoadedMetadata);
+    };
+  }, [src]);
+
+  // 🎵 Play / Pause
+  const handlePlayPause = () => {
+    const audio = audioRef.current;
+    if (isPlaying) {
+      audio.pause();
+      setIsPlaying(false);
+    } else {
+      if (!audio.src) audio.src = src;
+      audio.volume = muted ? 0 : 1.0;
+      audio.play();
+      setIsPlaying(true);
+    }
+  };
+
+  // 🎵 Mute / Unmute
+  const handleVolumeToggle = () => {
+    audioRef.current.volume = muted ? 1.0 : 0;
+    setMuted(!muted);
+  };
+
+  // 🎵 Seek
+  const handleSeek = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clickPosition = e.clientX - rect.left;
+    const newTime = (clickPosition / e.currentTarget.offsetWidth) * (duration || 0);
+    audioRef.current.currentTime = newTime;
+    setCurrentTime(newTime);
+  };
+
+  return (
+    <div className="my-6 rounded-lg border p-4 shadow">
+      <div className="flex items-center space-x-4">
+        {/* Play / Pause */}
+        <button
+          className="rounded-full bg-custom-blue p-3 text-white hover:bg-custom-red"
+          onClick={handlePlayPause}
+        >
+          {isPlaying ? pause : play}
+        </button>
+
+        {/* Progress bar */}
+        <div className="flex-1">
+          <span>
+            {formatDuration(currentTime, language)} / {formatDuration(duration, language)}
+          </span>
+          <div
+            className="relative mt-2 h-2 w-full cursor-pointer rounded-full bg-gray-200"
+            onClick={handleSeek}
+          >
+            <div
+              className="h-2 rounded-full bg-red-500"
+              style={{ width: `${progress || 0}%` }}
+            />
+          </div>
+        </div>
+
+        {/* Volume */}
+        <button
+          className="rounded-full bg-custom-blue p-3 text-white hover:bg-custom-red"
+          onClick={handleVolumeToggle}
+        >
+          {muted ? mute : sound}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from "react";
+import Image from "next/image";
+import Link from "next/link";
+import VideoPlayer from "@/components/Podcasts/VideoPlayer";
+import AudioPlayer from "@/components/Podcasts/InsidePage/AudioPlayer";
+import { formatDate } from "@/lib/format";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+import TranslationNotice from "@/components/TranslationNotice/TranslationNotice";
+
+// Episode artwork, preferring the episode image over the featured media
+function getFeatureImage(post) {
+  const featuredMedia = post._embedded?.["wp:featuredmedia"]?.[0];
+  return (
+    post.episode_featured_image ||
+    featuredMedia?.source_url ||
+    featuredMedia?.media_details?.sizes?.medium?.source_url ||
+    post.acf?.featured_image ||
+    null
+  );
+}
+
+export default async function PodcastPost({ post, previous = null, next = null }) {
+  const locale = getLocale();
+  const t = await getTranslator(locale);
+  const title = post.title?.rendered || post.slug;
+  const date = post.date;
+  const content =
+    post.content?.rendered ||
+    post.excerpt?.rendered ||
+    post.acf?.description ||
+    "<p>No description available.</p>";
+  const featureImage = getFeatureImage(post);
+  const episodeType = post.meta?.episode_type || "audio";
+
+  // Prefer explicit media file from meta, fall back to player_link
+  const playerLink = post.meta?.audio_file || post.player_link || null;
+
+  return (
+    <>
+      <div className="mx-auto w-full px-4 md:w-[70%]">
+        <div className="">
+          <div className="h-[200px]" />
+          <h1
+            className="py-4 text-2xl font-bold tracking-wide text-black lg:text-4xl"
+            dangerouslySetInnerHTML={{ __html: title }}
+          />
+          <p className="py-4">{t("common.published", { date: formatDate(date, locale) })}</p>
+          {featureImage ? (
+            <div className="md:mt-6">
+              <Image
+                src={featureImage}
+                alt={title || "Podcast featured image"}
+                width={1200}
+                height={500}
+                className="w-full rounded-lg object-contain md:h-[600px]"
+              />
+            </div>
+          ) : (
+            <div className="my-4 flex h-[400px] w-full items-center justify-center rounded-lg bg-gray-200 md:my-6">
+              <p className="text-lg text-gray-500">
+                {t("podcasts.noImage")}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className=" pt-5">
+          {post.translation?.isFallback && <TranslationNotice className="mb-6" />}
+          <div
+            dangerouslySetInnerHTML={{ __html: content }}
+            className="insight-blog wp-content"
+          />
+        </div>
+
+        {/* 🎥 Video Player */}
+        {playerLink && episodeType === "video" && (
+          <VideoPlayer
+            src={playerLink}
+            poster="/podcast/cover_img-video.png"
+            posterMobile="/podcast/podcast-img-mob.png"
+          />
+        )}
+
+        {/* 🎵 Audio Player */}
+        {playerLink && episodeType !== "video" && <AudioPlayer src={playerLink} />}
+
+        {/* ✅ Prev / Next links */}
+        <div className="mt-6 flex justify-between">
+          {previous && (
+            <Link
+              href={`/podcasts/${previous.slug}`}
+              className="bg-custom-red px-4 py-2 text-white transition hover:bg-red-700"
+            >
+              {t("podcasts.previous")}
+            </Link>
+          )}
+          {next && (
+            <Link
+              href={`/podcasts/${next.slug}`}
+              className="ms-auto bg-custom-red px-4 py-2 text-white transition hover:bg-red-700"
+            >
+              {t("podcasts.next")}
+            </Link>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,9 +1,11 @@
 "use client";
 
-import React, { useRef, useState } from "react";
+import React, { useContext, useRef, useState } from "react";
 import { play } from "@/utils/icons";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const VideoPlayer = ({ src, poster, posterMobile, title }) => {
+  const { t } = useContext(LanguageContext);
   const videoRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
 
@@ -29,7 +31,7 @@ const VideoPlayer = ({ src, poster, posterMobile, title }) => {
         onKeyDown={(e) => e.key === "Enter" && handlePlayClick()}
         role="button"
         tabIndex={0}
-        aria-label={isPlaying ? "Pause" : "Play"}
+        aria-label={isPlaying ? t("podcasts.pause") : t("podcasts.play")}
       >
         {/* Cover image - desktop vs mobile */}
         {!isPlaying && (
@@ -37,14 +39,14 @@ const VideoPlayer = ({ src, poster, posterMobile, title }) => {
             {poster && (
               <img
                 src="/podcast/cover_img-video.png"
-                alt="Video cover"
+                alt={t("podcasts.videoCover")}
                 className="absolute inset-0 h-full w-full object-cover"
               />
             )}
             {posterMobile && (
               <img
                 src="/podcast/podcast-img-mob.png"
-                alt="Video cover"
+                alt={t("podcasts.videoCover")}
                 className="absolute inset-0 h-full w-full object-cover md:hidden"
               />
             )}
@@ -61,7 +63,7 @@ const VideoPlayer = ({ src, poster, posterMobile, title }) => {
           onPause={() => setIsPlaying(false)}
         >
           <source src={src} type="video/mp4" />
-          Your browser does not support the video tag.
+          {t("podcasts.videoUnsupported")}
         </video>
         {!isPlaying && (
           <div
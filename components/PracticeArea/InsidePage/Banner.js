@@ -1,6 +1,7 @@
 import { useEffect, useState, useContext } from "react";
 import { LanguageContext } from "../../../app/context/LanguageContext";
 import Image from "next/image";
+import { localizedField } from "@/lib/localizedFields";
 
 export default function PracticeAreaBanner({
   backgroundImage,
@@ -38,24 +39,7 @@ export default function PracticeAreaBanner({
   }, []);
 
   // Get correct title based on language
-  const title =
-    language === "ta" && titleText?.acf?.tamil_title
-      ? titleText.acf.tamil_title
-      : language === "kn" && titleText?.acf?.kannada_title
-        ? titleText.acf.kannada_title
-        : language === "te" && titleText?.acf?.telugu_title
-          ? titleText.acf.telugu_title
-          : language === "hi" && titleText?.acf?.hindi_title
-            ? titleText.acf.hindi_title
-            : language === "ml" && titleText?.acf?.malayalam_title
-              ? titleText.acf.malayalam_title
-              : language === "mr" && titleText?.acf?.marathi_title
-                ? titleText.acf.marathi_title
-                : language === "gu" && titleText?.acf?.gujarati_title
-                  ? titleText.acf.gujarati_title
-                  : language === "fr" && titleText?.acf?.french_title
-                    ? titleText.acf.french_title
-                    : titleText?.title?.rendered || titleText?.rendered || '';
+  const title = localizedField(titleText, "title", language) || titleText?.rendered || '';
 
   return (
     <div className="relative" style={{ height: "550px" }}>
@@ -1,24 +1,23 @@
 "use client";
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useContext } from "react";
 import Banner from "./Banner";
 import PostDetails from "./PostDetails";
+import TranslationNotice from "@/components/TranslationNotice/TranslationNotice";
+import { LanguageContext } from "../../../app/context/LanguageContext";
+import { isUntranslated } from "@/lib/localizedFields";
+import { getPracticeAreaBySlug } from "@/lib/wordpress";
 
 function LandingPage({ slug, initialData = [], initialPracticeArea = null }) {
   const [data, setData] = useState(initialPracticeArea);
+  const { language } = useContext(LanguageContext);
 
   useEffect(() => {
     if (!initialPracticeArea) {
       const fetchData = async () => {
         try {
-          const response = await fetch(
-            `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&slug=${slug}`
-          );
-          if (!response.ok) {
-            throw new Error('Failed to fetch practice area details');
-          }
-          const result = await response.json();
-          if (Array.isArray(result) && result.length > 0) {
-            setData(result[0]);
+          const result = await getPracticeAreaBySlug(slug);
+          if (result) {
+            setData(result);
           }
         } catch (error) {
           console.error("Error fetching data:", error);
@@ -61,6 +60,9 @@ function LandingPage({ slug, initialData = [], initialPracticeArea = null }) {
         mobileBackgroundImage={mobileBannerImage}
         titleText={data || {}}
       />
+      {data && isUntranslated(data, language) && (
+        <TranslationNotice className="mx-auto mt-8 w-11/12" />
+      )}
       <PostDetails
         details={data || {}}
         partnersData={partnersData}
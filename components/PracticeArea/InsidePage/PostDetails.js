@@ -6,9 +6,12 @@ import ContactModal from "@/components/ModalContact/page";
 import { initFlowbite } from "flowbite";
 import { LanguageContext } from "../../../app/context/LanguageContext";
 import Faq from "@/components/FAQ/Faq";
+import { getPracticeAreas } from "@/lib/wordpress";
+import { localizedField, localizedSlug } from "@/lib/localizedFields";
+import { localizedPath } from "@/lib/locales";
 
 function PracticeAreaPostDetails({ details = {}, partnersData = {}, slug, titleText = '', initialData = [] }) {
-  const { language } = useContext(LanguageContext);
+  const { language, t } = useContext(LanguageContext);
   const [data, setData] = useState(initialData);
 
   const faqs = [];
@@ -25,19 +28,8 @@ function PracticeAreaPostDetails({ details = {}, partnersData = {}, slug, titleT
       if (initialData.length > 0) return;
 
       try {
-        const response = await fetch(
-          `https://docs.aarnalaw.com/wp-json/wp/v2/practice-areas?_embed&per_page=100`
-        );
-        if (!response.ok) {
-          throw new Error('Failed to fetch practice areas');
-        }
-        const result = await response.json();
-        if (Array.isArray(result)) {
-          const sortedData = result.sort((a, b) =>
-            a.title.rendered.localeCompare(b.title.rendered)
-          );
-          setData(sortedData);
-        }
+        const result = await getPracticeAreas();
+        setData(result);
       } catch (error) {
         console.error("Error fetching data:", error);
       }
@@ -48,73 +40,23 @@ function PracticeAreaPostDetails({ details = {}, partnersData = {}, slug, titleT
   }, [initialData]);
 
   const getLocalizedTitle = (item) => {
-    return language === "ta" && item.acf?.tamil_title
-      ? item.acf.tamil_title
-      : language === "kn" && item.acf?.kannada_title
-        ? item.acf.kannada_title
-        : language === "te" && item.acf?.telugu_title
-          ? item.acf.telugu_title
-          : language === "hi" && item.acf?.hindi_title
-            ? item.acf.hindi_title
-            : language === "ml" && item.acf?.malayalam_title
-              ? item.acf.malayalam_title
-              : language === "mr" && item.acf?.marathi_title
-                ? item.acf.marathi_title
-                : language === "gu" && item.acf?.gujarati_title
-                  ? item.acf.gujarati_title
-                  : language === "fr" && item.acf?.french_title
-                    ? item.acf.french_title
-                    : item.title?.rendered || '';
+    return localizedField(item, "title", language) || '';
   };
 
   const getLocalizedDescription = () => {
-    return language === "ta" && details?.acf?.tamil_description
-      ? details.acf.tamil_description
-      : language === "kn" && details?.acf?.kannada_description
-        ? details.acf.kannada_description
-        : language === "te" && details?.acf?.telugu_description
-          ? details.acf.telugu_description
-          : language === "hi" && details?.acf?.hindi_description
-            ? details.acf.hindi_description
-            : language === "ml" && details?.acf?.malayalam_description
-              ? details.acf.malayalam_description
-              : language === "mr" && details?.acf?.marathi_description
-                ? details.acf.marathi_description
-                : language === "gu" && details?.acf?.gujarati_description
-                  ? details.acf.gujarati_description
-                  : language === "fr" && details?.acf?.french_description
-                    ? details.acf.french_description
-                    : details?.acf?.description || '';
+    return localizedField(details, "description", language) || '';
   };
 
   const description = getLocalizedDescription();
 
   return (
     <>
-      <style>
-        {`
-          .inner-content ol {
-            list-style: revert-layer;
-            // padding-left: 20px;
-            padding-bottom: 10px;
-          }
-
-          h3.flex-1.text-md.font-semibold.mr-3.text-black {
-          color: black !important;
-          padding-bottom: 0px !important;
-          font-weight: 600 !important;
-          font-size: 16px !important;
-}
-
-        `}
-      </style>
-
       <div className="flex w-full flex-col py-5 lg:flex-row container mx-auto">
         {/* Left Content Section */}
         <div className="inner-content w-full md:px-6 md:w-[70%] md:pt-14">
-          <div className="px-6 pt-8 md:pe-20 md:pt-0 [&_ol]:ml-8 [&_li]:ml-8">
+          <div className="px-6 pt-8 md:pe-20 md:pt-0 [&_ol]:ms-8 [&_li]:ms-8">
             {description && (
-              <div dangerouslySetInnerHTML={{ __html: description }} />
+              <div className="wp-content" dangerouslySetInnerHTML={{ __html: description }} />
             )}
             {/* Faqs */}
             {faqs.length > 0 && <Faq faqs={faqs} />}
@@ -153,7 +95,7 @@ function PracticeAreaPostDetails({ details = {}, partnersData = {}, slug, titleT
           {partnersData?.partnerNames?.length > 0 && (
             <div className="flex w-full justify-center">
               <ContactModal
-                btnName="Contact Partner"
+                btnName={t("common.contactPartner")}
                 textColor="text-black"
                 modalTitle={titleText}
                 btnType="contactPartner"
@@ -165,13 +107,13 @@ function PracticeAreaPostDetails({ details = {}, partnersData = {}, slug, titleT
 
           {/* Quick Links */}
           <div className="w-full md:p-2 p-5 pt-10">
-            <h2 className="font-bold md:pt-5">Quick Links:</h2>
+            <h2 className="font-bold md:pt-5">{t("common.quickLinks")}</h2>
             <hr className="my-4 border-t-2 border-red-500" />
-            <ul className="space-y-4 text-left text-gray-500 dark:text-gray-400 md:pr-10">
+            <ul className="space-y-4 text-start text-gray-500 dark:text-gray-400 md:pe-10">
               {data.map((item, index) => (
                 <li key={index}>
                   <Link
-                    href={`/practice-areas/${item.slug}`}
+                    href={localizedPath(`/practice-areas/${localizedSlug(item, language)}`, language)}
                     className={`flex border-b border-custom-red p-1 hover:text-custom-red ${item.slug === slug
                       ? "font-semibold text-custom-red"
                       : "text-black"
@@ -4,6 +4,8 @@ import Image from "next/image";
 import Link from "next/link";
 import { LanguageContext } from "../../app/context/LanguageContext";
 import config from "../../config.json";
+import { localizedField, localizedSlug } from "@/lib/localizedFields";
+import { localizedPath } from "@/lib/locales";
 
 function PracticeLists({ data = [], loading = true }) {
   const { language, translations } = useContext(LanguageContext);
@@ -77,28 +79,11 @@ function PracticeLists({ data = [], loading = true }) {
             </div>
           ))
           : filteredData.map((item, index) => {
-            const title =
-              language === "ta" && item.acf.tamil_title
-                ? item.acf.tamil_title
-                : language === "kn" && item.acf.kannada_title
-                  ? item.acf.kannada_title
-                  : language === "te" && item.acf.telugu_title
-                    ? item.acf.telugu_title
-                    : language === "hi" && item.acf.hindi_title
-                      ? item.acf.hindi_title
-                      : language === "ml" && item.acf.malayalam_title
-                        ? item.acf.malayalam_title
-                        : language === "mr" && item.acf.marathi_title
-                          ? item.acf.marathi_title
-                          : language === "gu" && item.acf.gujarati_title
-                            ? item.acf.gujarati_title
-                            : language === "fr" && item.acf.french_title
-                              ? item.acf.french_title
-                            : item.title.rendered;
+            const title = localizedField(item, "title", language);
 
             return (
               <Link
-                href={`/practice-areas/${item.slug}`}
+                href={localizedPath(`/practice-areas/${localizedSlug(item, language)}`, language)}
                 key={index}
                 className="group block"
               >
@@ -0,0 +1,22 @@
+"use client";
+import React, { useContext } from "react";
+import { usePathname } from "next/navigation";
+import { LanguageContext } from "@/app/context/LanguageContext";
+
+export default function PreviewBanner() {
+  const pathname = usePathname();
+  const { t } = useContext(LanguageContext);
+
+  return (
+    <div className="fixed inset-x-0 bottom-0 z-[100] flex items-center justify-center gap-4 bg-custom-red px-4 py-2 text-sm text-white">
+      <span className="font-bold uppercase tracking-wider">{t("preview.label")}</span>
+      <span>{t("preview.message")}</span>
+      <a
+        href={`/api/preview/exit?path=${encodeURIComponent(pathname || "/")}`}
+        className="border border-white px-3 py-1 hover:bg-white hover:text-custom-red"
+      >
+        {t("preview.exit")}
+      </a>
+    </div>
+  );
+}
@@ -1,14 +1,18 @@
 "use client";
 
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useContext, useState, useEffect, useCallback } from "react";
 import Link from "next/link";
-import configData from "../../config.json";
 import PublicationPopupForm from "../../utils/Forms/PublicationForms/PublicationPopupForm";
 import { useRouter } from "next/navigation";
 import { Modal } from "flowbite-react";
 import { HiX } from "react-icons/hi";
+import { getClientProductionMode } from "@/lib/getProductionMode";
+import { getPublications } from "@/lib/wordpress";
+import { formatDateParts } from "@/lib/format";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 function AllInsights({ searchTerm, initialData = [] }) {
+  const { language, t } = useContext(LanguageContext);
   const [data, setData] = useState(initialData);
   const [loading, setLoading] = useState(false);
   const [page, setPage] = useState(6);
@@ -19,9 +23,6 @@ function AllInsights({ searchTerm, initialData = [] }) {
 
   const router = useRouter();
 
-  const domain =
-    typeof window !== "undefined" ? window.location.hostname : "";
-
   // CHECK FORM SUBMISSION BASED ON PUBLICATION URL
   const hasRecentPublicationSubmission = (publicationUrl) => {
     if (typeof window === "undefined") return false;
@@ -48,32 +49,9 @@ function AllInsights({ searchTerm, initialData = [] }) {
     setError(null);
 
     try {
-      let server;
-
-      if (
-        domain === `${configData.LIVE_SITE_URL}` ||
-        domain === `${configData.LIVE_SITE_URL_WWW}`
-      ) {
-        server = `${configData.LIVE_PRODUCTION_SERVER_ID}`;
-      } else if (domain === `${configData.STAGING_SITE_URL}`) {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      } else {
-        server = `${configData.STAG_PRODUCTION_SERVER_ID}`;
-      }
-
-      const publicationsResponse = await fetch(
-        `${configData.SERVER_URL}publications?_embed&status[]=publish&production_mode[]=${server}`
-      );
-
-      if (!publicationsResponse.ok) {
-        throw new Error("Failed to fetch data");
-      }
-
-      const publicationsData = await publicationsResponse.json();
-
-      const sortedData = publicationsData.sort(
-        (a, b) => new Date(b.date) - new Date(a.date)
-      );
+      const sortedData = await getPublications({
+        productionMode: getClientProductionMode(),
+      });
 
       setData(sortedData);
       setLoading(false);
@@ -82,7 +60,7 @@ function AllInsights({ searchTerm, initialData = [] }) {
       setLoading(false);
       setError("Something went wrong. Please try again later.");
     }
-  }, [domain, data.length]);
+  }, [data.length]);
 
   useEffect(() => {
     if (data.length === 0) {
@@ -97,34 +75,18 @@ function AllInsights({ searchTerm, initialData = [] }) {
   };
 
   const formatDateString = (dateString) => {
-    const date = new Date(dateString);
-
-    const monthAbbreviations = [
-      "JAN",
-      "FEB",
-      "MAR",
-      "APR",
-      "MAY",
-      "JUN",
-      "JUL",
-      "AUG",
-      "SEP",
-      "OCT",
-      "NOV",
-      "DEC",
-    ];
+    const date = formatDateParts(dateString, language);
+    if (!date) return null;
 
     return (
       <div className="flex flex-row items-center gap-2 lg:flex-col lg:gap-0">
         <p className="text-2xl font-bold text-custom-red">
-          {date.getDate()}
+          {date.day}
         </p>
 
-        <p className="font-bold">
-          {monthAbbreviations[date.getMonth()]}
-        </p>
+        <p className="font-bold uppercase">{date.month}</p>
 
-        <p className="font-bold">{date.getFullYear()}</p>
+        <p className="font-bold">{date.year}</p>
       </div>
     );
   };
@@ -264,14 +226,14 @@ function AllInsights({ searchTerm, initialData = [] }) {
                     setSelectedItem(item);
                   }}
                 >
-                  Read more
+                  {t("common.readMore")}
                 </Link>
               ) : (
                 <Link
                   href={`/publications/${item.slug}`}
                   className="font-semibold text-custom-red"
                 >
-                  Read more
+                  {t("common.readMore")}
                 </Link>
               )}
             </div>
@@ -279,7 +241,7 @@ function AllInsights({ searchTerm, initialData = [] }) {
         ))
       ) : (
         <div className="col-span-1 mt-4 text-center text-gray-500 md:col-span-2">
-          No related post found
+          {t("common.noPosts")}
         </div>
       )}
 
@@ -289,14 +251,14 @@ function AllInsights({ searchTerm, initialData = [] }) {
             onClick={loadMore}
             className="border border-custom-red px-6 py-2 text-custom-red md:px-4 md:py-1.5 md:text-sm md:hover:bg-custom-red md:hover:text-white lg:px-6 lg:py-2 lg:text-base"
           >
-            Load More
+            {t("common.loadMore")}
           </button>
         </div>
       )}
 
       {!loading && data.length <= page && (
         <div className="col-span-1 mt-4 text-center text-gray-500 md:col-span-2">
-          No more details available
+          {t("common.noMorePosts")}
         </div>
       )}
 
@@ -308,14 +270,14 @@ function AllInsights({ searchTerm, initialData = [] }) {
         <div className="relative flex max-h-[90vh] w-full flex-col overflow-hidden rounded-lg bg-white shadow dark:bg-gray-700 md:w-[700px]">
           <div className="flex items-center justify-between border-b px-6 pb-2 pt-6 dark:border-gray-600">
             <div className="text-xl font-semibold text-gray-900 dark:text-white">
-              Enter Your Details
+              {t("forms.detailsTitle")}
             </div>
 
             <button
               onClick={handleCloseForm}
               disabled={redirecting}
               className="text-gray-500 hover:text-gray-700 disabled:opacity-50 dark:text-gray-400 dark:hover:text-white"
-              aria-label="Close popup"
+              aria-label={t("forms.close")}
             >
               <HiX className="h-6 w-6" />
             </button>
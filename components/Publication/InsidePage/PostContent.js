@@ -0,0 +1,42 @@
+import React from "react";
+import Banner from "@/components/Publication/InsidePage/Banner";
+import Link from "next/link";
+import { getFeaturedImageUrl } from "@/lib/wordpress";
+import { formatDate } from "@/lib/format";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+import TranslationNotice from "@/components/TranslationNotice/TranslationNotice";
+
+export default async function PostContent({ post }) {
+  const locale = getLocale();
+  const t = await getTranslator(locale);
+  const title = post.title.rendered;
+  const date = post.date;
+  const content = post.content.rendered;
+  const featureImage = getFeaturedImageUrl(post);
+
+  return (
+    <>
+      <Banner title={title} backgroundImage={featureImage} />
+
+      <div className="py-12">
+        <div className=" mx-auto w-11/12">
+          {post.translation?.isFallback && <TranslationNotice className="mb-6" />}
+          <p>{t("common.published", { date: formatDate(date, locale) })}</p>
+          <p
+            dangerouslySetInnerHTML={{ __html: content }}
+            className="insight-blog wp-content py-5 overflow-hidden"
+          />
+        </div>
+      </div>
+      <div className="mx-auto w-11/12">
+        <Link
+          className="mt-6  bg-custom-red px-4 py-2 text-white"
+          href="/publications/"
+        >
+          {t("posts.backToPublications")}
+        </Link>
+      </div>
+    </>
+  );
+}
@@ -1,8 +1,10 @@
 "use client"
-import { useEffect, useState } from "react";
+import { useContext, useEffect, useState } from "react";
 import { LuArrowBigUpDash } from "react-icons/lu";
+import { LanguageContext } from "../../app/context/LanguageContext";
 
 const ScrollToTop = () => {
+  const { t } = useContext(LanguageContext);
   const [isVisible, setIsVisible] = useState(false);
 
   useEffect(() => {
@@ -34,7 +36,7 @@ const ScrollToTop = () => {
       isVisible ? "opacity-100" : "opacity-0"
     }`}
     style={{ transition: "opacity 0.5s" }}
-    aria-label="Scroll to top"
+    aria-label={t("common.scrollToTop")}
   >
     {/* ⇪ */}
     <LuArrowBigUpDash size={24} />
@@ -0,0 +1,260 @@
+"use client";
+import React, { useContext, useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { LanguageContext } from "@/app/context/LanguageContext";
+import { formatDate, intlLocale } from "@/lib/format";
+import { searchPageHref } from "@/lib/searchClient";
+import { clearRecentSearches, getRecentSearches, saveRecentSearch } from "@/lib/recentSearches";
+
+// Facets listed beside the results; type is shown as tabs instead
+const SIDEBAR_FACETS = ["practiceArea", "industry", "year", "language"];
+
+// Matched words arrive wrapped in <mark> (lib/search.js)
+const HIGHLIGHT = "[&_mark]:bg-transparent [&_mark]:font-semibold [&_mark]:text-custom-red";
+
+const toggle = (values, value) =>
+  values.includes(value) ? values.filter((item) => item !== value) : [...values, value];
+
+function languageName(code, locale) {
+  try {
+    return new Intl.DisplayNames([intlLocale(locale)], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+export default function SearchResults({ query, results, failed, types }) {
+  const { language, t } = useContext(LanguageContext);
+  const router = useRouter();
+  const [text, setText] = useState(query.q);
+  const [recent, setRecent] = useState([]);
+
+  // The URL is the source of truth; follow it on back/forward
+  useEffect(() => {
+    setText(query.q);
+  }, [query.q]);
+
+  // Read after hydration, since the server cannot know them
+  useEffect(() => {
+    if (query.q && results?.total) saveRecentSearch(query.q);
+    setRecent(getRecentSearches());
+  }, [query.q, results?.total]);
+
+  // Link to these results with `changes` applied; any change but the page
+  // number starts again from the first page
+  const hrefWith = (changes) =>
+    searchPageHref(
+      {
+        q: query.q,
+        ...query.filters,
+        sort: query.sort === "relevance" ? null : query.sort,
+        page: "page" in changes ? changes.page : 1,
+        ...changes,
+      },
+      language,
+    );
+
+  const submit = (event) => {
+    event.preventDefault();
+    router.push(searchPageHref({ q: text.trim() }, language));
+  };
+
+  const facets = results?.facets;
+  const typeCounts = Object.fromEntries((facets?.type || []).map(({ value, count }) => [value, count]));
+  const allCount = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
+  const filtered = SIDEBAR_FACETS.some((facet) => query.filters[facet].length);
+
+  const facetLabel = (facet, item) => {
+    if (facet === "language") return languageName(item.value, language);
+    return item.label || item.value;
+  };
+
+  return (
+    <div className="container mx-auto px-4 pb-16 pt-48 md:px-0 md:pt-52">
+      <h1 className="mb-6 text-3xl font-bold">{t("search.title")}</h1>
+
+      <form
+        role="search"
+        action={searchPageHref({}, language)}
+        onSubmit={submit}
+        className="mb-6 flex w-full gap-2 lg:w-9/12"
+      >
+        <label htmlFor="search-page-query" className="sr-only">
+          {t("search.title")}
+        </label>
+        <input
+          type="search"
+          id="search-page-query"
+          name="q"
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          placeholder={t("search.placeholder")}
+          className="block w-full rounded-lg border border-gray-300 bg-gray-50 p-3 text-sm text-gray-900 focus:border-custom-red focus:ring-custom-red"
+        />
+        <button type="submit" className="border border-custom-red px-6 text-custom-red md:hover:bg-custom-red md:hover:text-white">
+          {t("search.submit")}
+        </button>
+      </form>
+
+      {!results && !failed && (
+        <div>
+          <p className="text-gray-500">{t("search.prompt")}</p>
+          {recent.length > 0 && (
+            <div className="mt-6">
+              <div className="flex items-center gap-4">
+                <h2 className="font-bold">{t("search.recent")}</h2>
+                <button
+                  type="button"
+                  className="text-sm text-gray-500 hover:text-custom-red"
+                  onClick={() => {
+                    clearRecentSearches();
+                    setRecent([]);
+                  }}
+                >
+                  {t("search.clearRecent")}
+                </button>
+              </div>
+              <ul className="mt-2 flex flex-wrap gap-2">
+                {recent.map((item) => (
+                  <li key={item}>
+                    <Link
+                      href={searchPageHref({ q: item }, language)}
+                      className="block rounded-full border border-gray-300 px-3 py-1 text-sm hover:border-custom-red hover:text-custom-red"
+                    >
+                      {item}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {failed && <p className="text-red-500">{t("search.error")}</p>}
+
+      {results && (
+        <>
+          <div className="mb-6 flex overflow-x-auto border-b border-gray-200" role="tablist">
+            {[null, ...types].map((type) => {
+              const selected = type ? query.filters.type.includes(type) : !query.filters.type.length;
+              const count = type ? typeCounts[type] || 0 : allCount;
+              if (type && !count && !selected) return null;
+              return (
+                <Link
+                  key={type || "all"}
+                  href={hrefWith({ type: type ? [type] : [] })}
+                  role="tab"
+                  aria-selected={selected}
+                  className={`whitespace-nowrap border-b-2 px-4 py-2 ${
+                    selected ? "border-custom-red font-bold text-custom-red" : "border-transparent hover:text-custom-red"
+                  }`}
+                >
+                  {type ? t("search.type", { type }) : t("search.all")} ({count})
+                </Link>
+              );
+            })}
+          </div>
+
+          <div className="flex w-full flex-col md:flex-row">
+            <div className="w-full lg:w-9/12">
+              {results.total > 0 ? (
+                <>
+                  {query.q && (
+                    <p className="mb-4 text-gray-500">
+                      {t("search.resultsFor", { count: results.total, query: query.q })}
+                    </p>
+                  )}
+                  <ol className="space-y-6">
+                    {results.results.map((result) => (
+                      <li key={`${result.type}-${result.id}`} className="border-b border-gray-200 pb-6">
+                        <p className="text-xs uppercase tracking-wide text-gray-500">
+                          {t("search.type", { type: result.type })}
+                          {result.date && ` · ${formatDate(result.date, language)}`}
+                        </p>
+                        <Link
+                          href={result.url}
+                          className={`mt-1 block text-lg font-bold text-gray-900 hover:text-custom-red ${HIGHLIGHT}`}
+                          dangerouslySetInnerHTML={{ __html: result.titleHtml }}
+                        />
+                        {result.snippet && (
+                          <p
+                            className={`mt-2 text-sm text-gray-700 ${HIGHLIGHT}`}
+                            dangerouslySetInnerHTML={{ __html: result.snippet }}
+                          />
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+
+                  {results.totalPages > 1 && (
+                    <nav className="mt-8 flex items-center justify-between text-sm">
+                      {results.page > 1 ? (
+                        <Link href={hrefWith({ page: results.page - 1 })} className="text-custom-red">
+                          {t("search.previous")}
+                        </Link>
+                      ) : (
+                        <span />
+                      )}
+                      <span className="text-gray-500">
+                        {t("search.pageOf", { page: results.page, pages: results.totalPages })}
+                      </span>
+                      {results.page < results.totalPages ? (
+                        <Link href={hrefWith({ page: results.page + 1 })} className="text-custom-red">
+                          {t("search.next")}
+                        </Link>
+                      ) : (
+                        <span />
+                      )}
+                    </nav>
+                  )}
+                </>
+              ) : (
+                <p className="py-8 text-center text-gray-500">
+                  {t("search.noResults", { query: query.q })}
+                </p>
+              )}
+            </div>
+
+            <aside className="mt-8 w-full bg-gray-50 p-4 pb-12 md:mt-0 md:w-3/12 md:p-4 lg:ms-8">
+              {SIDEBAR_FACETS.map((facet) =>
+                facets[facet].length ? (
+                  <div key={facet} className="mb-8">
+                    <h2 className="font-bold">{t(`search.${facet}`)}</h2>
+                    <hr className="my-4 border-t-2 border-red-500" />
+                    <ul className="space-y-2 text-gray-500">
+                      {facets[facet].map((item) => {
+                        const selected = query.filters[facet].includes(item.value);
+                        return (
+                          <li key={item.value}>
+                            <Link
+                              href={hrefWith({ [facet]: toggle(query.filters[facet], item.value) })}
+                              aria-current={selected ? "true" : undefined}
+                              className={`flex justify-between ${selected ? "font-bold text-red-500" : "hover:text-red-500"}`}
+                            >
+                              <span>{facetLabel(facet, item)}</span>
+                              <span>{item.count}</span>
+                            </Link>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </div>
+                ) : null,
+              )}
+              {filtered && (
+                <Link
+                  href={hrefWith(Object.fromEntries(SIDEBAR_FACETS.map((facet) => [facet, []])))}
+                  className="text-sm text-custom-red"
+                >
+                  {t("search.clearFilters")}
+                </Link>
+              )}
+            </aside>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
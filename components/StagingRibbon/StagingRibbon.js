@@ -0,0 +1,23 @@
+import React from "react";
+
+const LABELS = {
+  staging: "Staging",
+  local: "Local",
+};
+
+// Corner ribbon on every non-live deployment, so nobody mistakes staging for
+// the real site (see getSiteEnvironment in lib/getProductionMode.js).
+export default function StagingRibbon({ environment }) {
+  const label = LABELS[environment];
+  if (!label) return null;
+
+  return (
+    <div
+      role="note"
+      aria-label={`${label} site`}
+      className="pointer-events-none fixed -left-12 top-6 z-[9999] w-48 -rotate-45 bg-custom-red py-1 text-center text-xs font-bold uppercase tracking-widest text-white shadow-lg"
+    >
+      {label}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import React from "react";
+
+// Shown when WordPress could not be reached and the page fell back to the
+// last copy it fetched (see lib/fetchWithRevalidate.js).
+export default function StaleContentNotice({
+  message = "Some content on this page may be out of date. Please check back shortly.",
+}) {
+  return (
+    <div
+      role="status"
+      className="mx-auto w-11/12 border-s-4 border-custom-red bg-gray-100 px-4 py-2 text-sm text-gray-700"
+    >
+      {message}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { validateNode } from "@/lib/structuredDataRules.mjs";
+
+// "<" is escaped so WordPress content can never close the script tag early
+const serialize = (data) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+/**
+ * Renders schema.org nodes from lib/structuredData.js as one JSON-LD
+ * script. Nodes missing required properties are logged and left out:
+ * invalid structured data can cost a page its rich result.
+ *
+ * @param {{ data: object|object[]|null, id?: string }} props
+ */
+export default function JsonLd({ data, id }) {
+  const nodes = [data].flat().filter((node) => {
+    if (!node) return false;
+    const problems = validateNode(node);
+    problems.forEach((problem) => console.warn(`⚠️ Structured data: ${problem}`));
+    return problems.length === 0;
+  });
+  if (!nodes.length) return null;
+
+  return (
+    <script
+      id={id}
+      type="application/ld+json"
+      dangerouslySetInnerHTML={{
+        __html: serialize({ "@context": "https://schema.org", "@graph": nodes }),
+      }}
+    />
+  );
+}
@@ -1,3 +1,4 @@
+"use client";
 import React, { useState, useEffect } from "react";
 import Image from "next/image";
 
@@ -35,7 +36,7 @@ export default function Banner({ title, backgroundImage, mobileBackgroundImage,
       )}
       <div className="absolute inset-0 grid md:grid-cols-2 p-4 md:p-8">
         <div></div> {/* This empty div takes up the right half */}
-        <div className="flex flex-col md:justify-center justify-end text-left space-y-2 md:space-y-4">
+        <div className="flex flex-col md:justify-center justify-end text-start space-y-2 md:space-y-4">
           <div className="rounded bg-black/50 lg:p-10 p-3">
             <h1 className="text-3xl font-semibold text-white md:text-4xl pb-6">{title}</h1>
             <p className="text-lg text-white md:text-xl">{designation}</p>
@@ -1,10 +1,14 @@
 import React from "react";
+import { getLocale } from "@/lib/i18n";
+import { getTranslator } from "@/lib/messages";
+
+export default async function Banner() {
+  const t = await getTranslator(getLocale());
 
-export default function Banner() {
   return (
     <div className="relative h-[600px] md:bg-[url('/PracticeArea/PracticeAreas.png')] bg-[url('/PracticeArea/PracticeAreaMobileBanner.jpg')] bg-cover bg-center">
       <div className="absolute bottom-0 flex h-[50vh] w-full items-center justify-center">
-        <h1 className="text-5xl font-bold text-white">Terms of Use</h1>
+        <h1 className="text-5xl font-bold text-white">{t("legal.termsOfUse")}</h1>
       </div>
     </div>
   );
@@ -6,7 +6,7 @@ import Image from "next/image";
 
 function Testimonials() {
   const [selectedTestimonial, setSelectedTestimonial] = useState(null);
-  const { language, translations } = useContext(LanguageContext);
+  const { language, translations, t } = useContext(LanguageContext);
 
   const handleOpenModal = (testimonial) => {
     setSelectedTestimonial(testimonial);
@@ -35,7 +35,7 @@ function Testimonials() {
                 </div>
                 {/* Right Side: Image — transparent default; 3D lift only on hover */}
                 {items.imageUrl && (
-                  <div className="group ml-4  mr-2 mt-[50px] flex size-[96px] shrink-0 items-center justify-center rounded-full border border-red-400/70 bg-red-50/35 p-4 shadow-[0_8px_20px_-14px_rgba(239,68,68,0.45)] backdrop-blur-sm [perspective:520px] md:mr-5">
+                  <div className="group ms-4  me-2 mt-[50px] flex size-[96px] shrink-0 items-center justify-center rounded-full border border-red-400/70 bg-red-50/35 p-4 shadow-[0_8px_20px_-14px_rgba(239,68,68,0.45)] backdrop-blur-sm [perspective:520px] md:me-5">
                     <div className="overflow-hidden rounded-2xl bg-transparent">
                       <Image
                         src={items.imageUrl}
@@ -60,7 +60,7 @@ function Testimonials() {
                     className="font-medium text-custom-red"
                     onClick={() => handleOpenModal(items)}
                   >
-                    {translations.readMore || "Read more"}
+                    {t("common.readMore")}
                   </button>
                 </div>
               </div>
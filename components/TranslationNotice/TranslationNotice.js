@@ -0,0 +1,18 @@
+"use client";
+import React, { useContext } from "react";
+import { LanguageContext } from "../../app/context/LanguageContext";
+
+// Shown when a page has no translation in the reader's language and falls
+// back to English (see localizeItem() in lib/localizedFields.js).
+export default function TranslationNotice({ className = "mx-auto w-11/12" }) {
+  const { translations } = useContext(LanguageContext);
+
+  return (
+    <div
+      role="status"
+      className={`${className} border-s-4 border-custom-red bg-gray-100 px-4 py-2 text-sm text-gray-700`}
+    >
+      {translations.translationNotice.notAvailable}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// lib/contentSource.js
+//
+// Where site content comes from. "wordpress" (default) talks to
+// docs.aarnalaw.com and Zoho; "fixtures" serves the recorded JSON under
+// fixtures/wordpress so the site builds and runs with no outside services.
+// NEXT_PUBLIC_ so client components see the same switch as the server.
+export const CONTENT_SOURCE = process.env.NEXT_PUBLIC_CONTENT_SOURCE || "wordpress";
+
+export function isFixtureSource() {
+  return CONTENT_SOURCE === "fixtures";
+}
+
+// Stand-in for a successful Zoho CRM insert when running offline, so forms
+// can be exercised end to end without credentials.
+export function offlineZohoResponse(module) {
+  return {
+    success: true,
+    offline: true,
+    recordId: `offline-${Date.now()}`,
+    message: `Offline mode: ${module} record was not sent to Zoho`,
+  };
+}
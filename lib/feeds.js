@@ -0,0 +1,352 @@
+// lib/feeds.js
+//
+// RSS 2.0, Atom and JSON Feed versions of the insights, publications and news
+// listings, plus per-practice-area and per-industry feeds. Served by
+// app/feeds/[...feed]/route.js:
+//
+//   /feeds/insights.xml                    RSS
+//   /feeds/publications.atom               Atom
+//   /feeds/news.json                       JSON Feed
+//   /feeds/practice-areas/<slug>.xml       insights and publications tagged
+//   /feeds/industries/<slug>.xml           with that practice area / industry
+//
+// Feeds carry full article HTML by default; add `?content=excerpt` for
+// summaries only. Insights and publications are tagged through their ACF
+// `practice_areas` and `industries` fields (post IDs, slugs or titles).
+import { FIRM } from "./firm";
+import { SITE_URL } from "./sitemap";
+import { decodeEntities, toPlainText } from "./html";
+import { getSiteProductionMode } from "./getProductionMode";
+import {
+  byDateDesc,
+  getFeaturedImageUrl,
+  getIndustryBySlug,
+  getInsights,
+  getNews,
+  getPracticeAreaBySlug,
+  getPublications,
+} from "./wordpress";
+
+const FEED_SIZE = 30;
+// How many recent items filtered feeds search for matches
+const FILTER_WINDOW = 100;
+
+export const FEED_FORMATS = {
+  xml: { name: "rss", contentType: "application/rss+xml" },
+  atom: { name: "atom", contentType: "application/atom+xml" },
+  json: { name: "json", contentType: "application/feed+json" },
+};
+
+const COLLECTIONS = {
+  insights: {
+    title: "Insights",
+    description: "Legal insights and analysis from Aarna Law.",
+    path: "/insights",
+    load: (query) => getInsights(query),
+  },
+  publications: {
+    title: "Publications",
+    description: "Guides and publications from Aarna Law.",
+    path: "/publications",
+    load: (query) => getPublications(query),
+  },
+  news: {
+    title: "Aarna News",
+    description: "Firm announcements, events and appointments.",
+    path: "/aarna-news",
+    load: (query) => getNews(query),
+  },
+};
+
+const FILTERS = {
+  "practice-areas": { field: "practice_areas", load: getPracticeAreaBySlug },
+  industries: { field: "industries", load: getIndustryBySlug },
+};
+
+// Collections searched by practice-area and industry feeds
+const FILTERED_COLLECTIONS = ["insights", "publications"];
+
+/** Feeds advertised on every page for autodiscovery. */
+export const SITE_FEEDS = Object.entries(COLLECTIONS).map(([name, collection]) => ({
+  title: `${FIRM.name} – ${collection.title}`,
+  href: `/feeds/${name}.xml`,
+}));
+
+/**
+ * `alternates.types` metadata advertising a feed in all three formats.
+ *
+ * @param {string} base Feed path without extension, e.g. "/feeds/insights"
+ */
+export function feedAlternates(base, title) {
+  return Object.fromEntries(
+    Object.entries(FEED_FORMATS).map(([extension, format]) => [
+      format.contentType,
+      [{ url: `${base}.${extension}`, title }],
+    ]),
+  );
+}
+
+const IMAGE_TYPES = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp" };
+
+function featuredImage(item) {
+  const url = getFeaturedImageUrl(item);
+  if (!url) return null;
+  const media = item._embedded?.["wp:featuredmedia"]?.[0];
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  return {
+    url,
+    type: media?.mime_type || IMAGE_TYPES[extension] || "image/jpeg",
+    length: Number(media?.media_details?.filesize) || 0,
+  };
+}
+
+// Prepared content points images at the site's optimizer and links at site
+// paths; feed readers need absolute URLs to the originals
+function absoluteUrl(value) {
+  const url = new URL(decodeEntities(value), SITE_URL);
+  if (url.pathname === "/_next/image" && url.searchParams.get("url")) {
+    return url.searchParams.get("url");
+  }
+  return url.href;
+}
+
+/**
+ * Feed-ready copy of prepared content HTML: absolute links, original images
+ * and no responsive image attributes.
+ */
+export function feedHtml(html = "") {
+  return html
+    .replace(/\s(srcset|sizes)="[^"]*"/g, "")
+    .replace(/\s(src|href)="([^"#][^"]*)"/g, (match, name, value) =>
+      /^(mailto|tel):/i.test(value)
+        ? match
+        : ` ${name}="${absoluteUrl(value).replace(/&/g, "&amp;")}"`,
+    );
+}
+
+function toFeedItem(item, basePath) {
+  const url = `${SITE_URL}${basePath}/${item.slug}`;
+  return {
+    id: url,
+    url,
+    title: toPlainText(item.title?.rendered),
+    summary: toPlainText(item.excerpt?.rendered) || item.acf?.meta_description || "",
+    contentHtml: feedHtml(item.content?.rendered),
+    published: new Date(item.date_gmt ? `${item.date_gmt}Z` : item.date),
+    modified: new Date(item.modified_gmt ? `${item.modified_gmt}Z` : item.modified || item.date),
+    author: item._embedded?.author?.[0]?.name || FIRM.name,
+    image: featuredImage(item),
+  };
+}
+
+/**
+ * IDs, slugs and titles in an ACF relationship field, which comes back as
+ * IDs, post objects or, when typed by hand, a comma-separated list of titles.
+ *
+ * @returns {string[]}
+ */
+export function relatedKeys(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(relatedKeys);
+  if (typeof value === "object") {
+    return [value.ID, value.id, value.post_name, value.slug, value.post_title].filter(Boolean).map(String);
+  }
+  return String(value).split(",").map((part) => part.trim());
+}
+
+function isTaggedWith(item, field, term) {
+  const keys = relatedKeys(item.acf?.[field]).map((key) => key.toLowerCase());
+  return [String(term.id), term.slug, toPlainText(term.title?.rendered)]
+    .map((key) => key.toLowerCase())
+    .some((key) => keys.includes(key));
+}
+
+/**
+ * Parses feed URL segments ("insights.xml", or "practice-areas" and
+ * "arbitration.atom") into a feed request, or null if there is no such feed.
+ */
+export function parseFeedPath(segments = []) {
+  const [first, second, ...rest] = segments;
+  const file = second ?? first;
+  const match = /^(.+)\.(xml|atom|json)$/.exec(file || "");
+  if (!match || rest.length) return null;
+
+  const [, name, extension] = match;
+  if (second === undefined) {
+    return COLLECTIONS[name] ? { collection: name, extension } : null;
+  }
+  return FILTERS[first] ? { filter: first, slug: name, extension } : null;
+}
+
+/**
+ * Loads the feed described by parseFeedPath(). Resolves to null when the
+ * practice area or industry does not exist.
+ */
+export async function getFeed({ collection, filter, slug, extension }) {
+  const productionMode = getSiteProductionMode();
+  const feedPath = filter ? `/feeds/${filter}/${slug}` : `/feeds/${collection}`;
+
+  if (collection) {
+    const { title, description, path, load } = COLLECTIONS[collection];
+    const items = await load({ productionMode, perPage: FEED_SIZE });
+    return {
+      title: `${FIRM.name} – ${title}`,
+      description,
+      homeUrl: `${SITE_URL}${path}`,
+      feedUrl: `${SITE_URL}${feedPath}.${extension}`,
+      items: items.map((item) => toFeedItem(item, path)),
+    };
+  }
+
+  const { field, load } = FILTERS[filter];
+  const term = await load(slug, { productionMode });
+  if (!term) return null;
+
+  const lists = await Promise.all(
+    FILTERED_COLLECTIONS.map((name) =>
+      COLLECTIONS[name].load({ productionMode, perPage: FILTER_WINDOW }),
+    ),
+  );
+  const items = FILTERED_COLLECTIONS.flatMap((name, i) =>
+    lists[i]
+      .filter((item) => isTaggedWith(item, field, term))
+      .map((item) => ({ ...item, basePath: COLLECTIONS[name].path })),
+  )
+    .sort(byDateDesc)
+    .slice(0, FEED_SIZE);
+
+  const termTitle = toPlainText(term.title?.rendered);
+  return {
+    title: `${FIRM.name} – ${termTitle}`,
+    description: `Insights and publications on ${termTitle} from ${FIRM.name}.`,
+    homeUrl: `${SITE_URL}/${filter}/${slug}`,
+    feedUrl: `${SITE_URL}${feedPath}.${extension}`,
+    items: items.map((item) => toFeedItem(item, item.basePath)),
+  };
+}
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+export const escapeXml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+const newest = (items) =>
+  items.reduce((latest, item) => (item.modified > latest ? item.modified : latest), new Date(0));
+
+function renderRss(feed, { full }) {
+  const items = feed.items.map((item) =>
+    [
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+      `<pubDate>${item.published.toUTCString()}</pubDate>`,
+      `<dc:creator>${escapeXml(item.author)}</dc:creator>`,
+      `<description>${escapeXml(item.summary)}</description>`,
+      full && item.contentHtml ? `<content:encoded>${escapeXml(item.contentHtml)}</content:encoded>` : "",
+      item.image
+        ? `<enclosure url="${escapeXml(item.image.url)}" length="${item.image.length}" type="${item.image.type}"/>`
+        : "",
+      "</item>",
+    ].join(""),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.homeUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    "<language>en</language>",
+    `<lastBuildDate>${newest(feed.items).toUTCString()}</lastBuildDate>`,
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<image><url>${SITE_URL}${FIRM.logo}</url><title>${escapeXml(feed.title)}</title><link>${escapeXml(feed.homeUrl)}</link></image>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+function renderAtom(feed, { full }) {
+  const entries = feed.items.map((item) =>
+    [
+      "<entry>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<id>${escapeXml(item.id)}</id>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      `<published>${item.published.toISOString()}</published>`,
+      `<updated>${item.modified.toISOString()}</updated>`,
+      `<author><name>${escapeXml(item.author)}</name></author>`,
+      `<summary type="text">${escapeXml(item.summary)}</summary>`,
+      full && item.contentHtml ? `<content type="html">${escapeXml(item.contentHtml)}</content>` : "",
+      item.image
+        ? `<link rel="enclosure" href="${escapeXml(item.image.url)}" type="${item.image.type}" length="${item.image.length}"/>`
+        : "",
+      "</entry>",
+    ].join(""),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<id>${escapeXml(feed.homeUrl)}</id>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<updated>${newest(feed.items).toISOString()}</updated>`,
+    `<author><name>${FIRM.name}</name></author>`,
+    `<icon>${SITE_URL}/favicon.png</icon>`,
+    `<logo>${SITE_URL}${FIRM.logo}</logo>`,
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+function renderJson(feed, { full }) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    icon: `${SITE_URL}${FIRM.logo}`,
+    favicon: `${SITE_URL}/favicon.png`,
+    language: "en",
+    authors: [{ name: FIRM.name, url: SITE_URL }],
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(full && item.contentHtml
+        ? { content_html: item.contentHtml }
+        : { content_text: item.summary }),
+      image: item.image?.url,
+      date_published: item.published.toISOString(),
+      date_modified: item.modified.toISOString(),
+      authors: [{ name: item.author }],
+      ...(item.image && {
+        attachments: [
+          {
+            url: item.image.url,
+            mime_type: item.image.type,
+            ...(item.image.length && { size_in_bytes: item.image.length }),
+          },
+        ],
+      }),
+    })),
+  });
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+/**
+ * Serializes a feed from getFeed(). With `full: false` only summaries are
+ * included (the `?content=excerpt` mode).
+ *
+ * @returns {string}
+ */
+export function renderFeed(feed, extension, { full = true } = {}) {
+  const self = full ? feed : { ...feed, feedUrl: `${feed.feedUrl}?content=excerpt` };
+  return RENDERERS[FEED_FORMATS[extension].name](self, { full });
+}
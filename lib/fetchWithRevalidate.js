@@ -1,7 +1,174 @@
+// lib/fetchWithRevalidate.js
+//
+// Resilient fetch for CMS content. On top of Next.js caching it retries
+// transient failures, remembers the last good response per URL and serves it
+// when the origin errors or times out, and stops calling an origin that keeps
+// failing (circuit breaker) until it has had time to recover.
 
-export async function fetchWithRevalidate(url, revalidate = 60) {
-    return fetch(url, {
-      cache: "force-cache",
-      next: { revalidate },
+// Consecutive failed requests before an origin's circuit opens
+const FAILURE_THRESHOLD = 5;
+// How long an open circuit short-circuits requests before trying again
+const CIRCUIT_COOLDOWN = 30000;
+// How long after serving a stale response pages should say so
+const STALE_NOTICE_WINDOW = 5 * 60 * 1000;
+// Upper bound on remembered responses, oldest evicted first
+const MAX_ENTRIES = 500;
+
+// Lives while the Node process (or browser tab) runs. Kept on globalThis
+// rather than in a module variable, as the Zoho token cache is, because dev
+// hot reloads re-run this module; the other in-memory logs and caches in
+// lib/ follow the same pattern.
+if (!globalThis.__CONTENT_FETCH_STATE) {
+  globalThis.__CONTENT_FETCH_STATE = {
+    lastGood: new Map(), // url -> { body, contentType, storedAt }
+    circuits: new Map(), // origin -> { failures, openUntil }
+    lastStaleAt: 0,
+  };
+}
+const state = globalThis.__CONTENT_FETCH_STATE;
+
+export const STALE_HEADER = "x-content-stale";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return String(url);
+  }
+}
+
+function isCircuitOpen(origin) {
+  const circuit = state.circuits.get(origin);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+function recordSuccess(origin) {
+  state.circuits.delete(origin);
+}
+
+function recordFailure(origin) {
+  const circuit = state.circuits.get(origin) || { failures: 0, openUntil: 0 };
+  circuit.failures += 1;
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN;
+    console.error(`❌ ${origin} keeps failing, pausing requests for ${CIRCUIT_COOLDOWN / 1000}s`);
+  }
+  state.circuits.set(origin, circuit);
+}
+
+async function remember(url, res) {
+  try {
+    const body = await res.clone().text();
+    state.lastGood.delete(url);
+    state.lastGood.set(url, {
+      body,
+      contentType: res.headers.get("content-type") || "application/json",
+      storedAt: Date.now(),
+    });
+    if (state.lastGood.size > MAX_ENTRIES) {
+      state.lastGood.delete(state.lastGood.keys().next().value);
+    }
+  } catch {
+    // A body we cannot read is simply not remembered
+  }
+}
+
+// Last good copy of `url`, or the failure itself when there is none
+function serveStale(url, failure) {
+  const entry = state.lastGood.get(url);
+  if (entry) {
+    state.lastStaleAt = Date.now();
+    console.warn(`⚠️ Serving stale content for ${url}`);
+    return new Response(entry.body, {
+      status: 200,
+      headers: {
+        "content-type": entry.contentType,
+        [STALE_HEADER]: new Date(entry.storedAt).toISOString(),
+      },
     });
-  }
\ No newline at end of file
+  }
+  if (failure instanceof Response) return failure;
+  throw failure;
+}
+
+/**
+ * Fetches `url` with Next.js caching (`revalidate` seconds, 0 for no-store).
+ * Besides the usual fetch init it accepts `retries`, `retryDelay` (ms, doubled
+ * per attempt) and `timeout` (ms).
+ *
+ * Resolves with the last good response (marked with STALE_HEADER) when the
+ * origin fails and one is remembered; otherwise resolves with the error
+ * response or rejects with the network error. Requests carrying an
+ * Authorization header, such as previews, are never remembered or replayed.
+ *
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRevalidate(url, revalidate = 60, init = {}) {
+  const { retries = 0, retryDelay = 300, timeout, ...fetchInit } = init;
+  const origin = originOf(url);
+  const shareable = !new Headers(fetchInit.headers).has("authorization");
+
+  if (isCircuitOpen(origin)) {
+    const error = new Error(`Circuit open for ${origin}`);
+    error.status = 503;
+    if (!shareable) throw error;
+    return serveStale(url, error);
+  }
+
+  const cacheInit =
+    revalidate === 0
+      ? { cache: "no-store" }
+      : { cache: "force-cache", next: { ...fetchInit.next, revalidate } };
+
+  let failure;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await wait(retryDelay * 2 ** (attempt - 1));
+
+    let res;
+    try {
+      res = await fetch(url, {
+        ...fetchInit,
+        ...cacheInit,
+        signal: timeout ? AbortSignal.timeout(timeout) : fetchInit.signal,
+      });
+    } catch (error) {
+      failure = error;
+      continue;
+    }
+
+    if (res.ok || !isRetryable(res.status)) {
+      // The origin answered, even if with a 404
+      recordSuccess(origin);
+      if (res.ok && shareable) await remember(url, res);
+      return res;
+    }
+    failure = res;
+  }
+
+  recordFailure(origin);
+  if (!shareable) {
+    if (failure instanceof Response) return failure;
+    throw failure;
+  }
+  return serveStale(url, failure);
+}
+
+/** True if `res` was replayed from the last good copy. */
+export function isStaleResponse(res) {
+  return Boolean(res?.headers?.get(STALE_HEADER));
+}
+
+/**
+ * True while content may be out of date: a stale response was served
+ * recently or an origin's circuit is open. Pages use it to show a notice.
+ */
+export function isServingStaleContent() {
+  if (Date.now() - state.lastStaleAt < STALE_NOTICE_WINDOW) return true;
+  return [...state.circuits.keys()].some(isCircuitOpen);
+}
@@ -0,0 +1,38 @@
+// lib/firm.js
+//
+// Facts about the firm for machine-readable output (llms.txt, structured
+// data). Contact details come from utils/data.js, which the contact page
+// renders, so they only need changing in one place.
+import { contactAddress, contactUsPrimary } from "../utils/data";
+
+// States of the office cities, which the addresses leave out
+const REGIONS = { Bengaluru: "Karnataka", "New Delhi": "Delhi", Mumbai: "Maharashtra" };
+
+const titleCase = (value) =>
+  value.toLowerCase().replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+export const FIRM = {
+  name: "Aarna Law",
+  legalName: "Aarna Law LLP",
+  description:
+    "Aarna Law is a leading Indian law firm specializing in arbitration, litigation, and corporate advisory services with a global perspective.",
+  founders: ["Shreyas Jayasimha", "Kamala Naganand"],
+  email: contactUsPrimary.email,
+  telephone: contactUsPrimary.phone,
+  logo: "/logo/aarna-logo.png",
+  image: "/whatWeDo/What_we_do.jpg",
+  sameAs: ["https://www.linkedin.com/company/aarna-law1/"],
+  offices: contactAddress.map((office) => {
+    const city = titleCase(office.location);
+    return {
+      city,
+      address: office.address,
+      // The address without its trailing city and PIN code
+      street: office.address.replace(new RegExp(`[\\s,-]*${city}[\\s,-]*\\d{6}$`, "i"), ""),
+      region: REGIONS[city] || null,
+      postalCode: office.address.match(/\b\d{6}\b/)?.[0] || null,
+      telephone: office.phone || null,
+      directions: office.direction,
+    };
+  }),
+};
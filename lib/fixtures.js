@@ -0,0 +1,100 @@
+// lib/fixtures.js
+//
+// Offline stand-in for the WordPress REST API. Each collection is recorded to
+// fixtures/wordpress/<collection>.json by `npm run fixtures:record`; this
+// module answers the same queries lib/wordpress.js sends (slug, categories,
+// date range, status, production mode, paging, search) from those files.
+// JSON is imported rather than read from disk so it also works in the browser.
+
+function notFound(path) {
+  const error = new Error(`No fixture for ${path}`);
+  error.status = 404;
+  return error;
+}
+
+async function loadCollection(name) {
+  try {
+    const mod = await import(`../fixtures/wordpress/${name}.json`);
+    return mod.default;
+  } catch {
+    throw notFound(name);
+  }
+}
+
+const asList = (value) =>
+  value === undefined || value === null
+    ? []
+    : Array.isArray(value)
+      ? value.map(String)
+      : String(value).split(",");
+
+const textOf = (field) => (typeof field === "string" ? field : field?.rendered || "");
+
+function matches(item, params) {
+  if (params.slug && item.slug !== params.slug) return false;
+
+  const statuses = asList(params.status);
+  if (statuses.length && item.status && !statuses.includes(item.status)) {
+    return false;
+  }
+
+  const modes = asList(params.production_mode);
+  if (modes.length && Array.isArray(item.production_mode)) {
+    if (!item.production_mode.some((mode) => modes.includes(String(mode)))) {
+      return false;
+    }
+  }
+
+  const categories = asList(params.categories);
+  if (categories.length) {
+    if (!(item.categories || []).some((id) => categories.includes(String(id)))) {
+      return false;
+    }
+  }
+
+  const include = asList(params.include);
+  if (include.length && !include.includes(String(item.id))) return false;
+
+  if (params.after && new Date(item.date) <= new Date(params.after)) return false;
+  if (params.before && new Date(item.date) >= new Date(params.before)) return false;
+
+  if (params.search) {
+    const needle = String(params.search).toLowerCase();
+    const haystack = `${textOf(item.title)} ${textOf(item.content)}`.toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+
+  return true;
+}
+
+function paginate(items, params) {
+  const perPage = Number(params.per_page) || 10;
+  const page = Number(params.page) || 1;
+  return items.slice((page - 1) * perPage, page * perPage);
+}
+
+/**
+ * Resolves a WordPress REST path (relative to wp/v2) against the recorded
+ * fixtures and returns the JSON body WordPress would.
+ */
+export async function resolveFixture(path, params = {}) {
+  const [collection, id, child] = path.split("/");
+  const items = await loadCollection(collection);
+
+  if (!Array.isArray(items)) return items;
+
+  if (id) {
+    // Revisions and autosaves are never recorded
+    if (child) return [];
+    const item = items.find((entry) => String(entry.id) === id);
+    if (!item) throw notFound(path);
+    return item;
+  }
+
+  return paginate(
+    items
+      .filter((item) => matches(item, params))
+      .sort((a, b) => new Date(b.date) - new Date(a.date)),
+    params,
+  );
+}
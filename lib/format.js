@@ -0,0 +1,92 @@
+// lib/format.js
+//
+// Dates, durations and numbers in a page's language. Everything goes through
+// Intl with the Indian variant of the locale ("hi" -> "hi-IN"), so numbers
+// get lakh/crore grouping and the locales that write their own digits
+// (Marathi, Bengali, Assamese, Nepali, Urdu) get them, as CLDR specifies.
+// Pure functions: server code passes getLocale() (lib/i18n.js), client
+// components the `language` from LanguageContext.
+import { DEFAULT_LOCALE, isLocale } from "./locales";
+
+// Locales not used in their Indian variant
+const INTL_LOCALES = { fr: "fr-FR" };
+
+// "5 Mar 2024": post dates on cards and detail pages
+const DATE_OPTIONS = { day: "numeric", month: "short", year: "numeric" };
+
+/**
+ * BCP 47 tag Intl formats `locale` with, e.g. "en" -> "en-IN"; unknown
+ * locales (a stray ?locale= on an OG card) format as English.
+ */
+export function intlLocale(locale) {
+  const code = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  return INTL_LOCALES[code] || `${code}-IN`;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * A WordPress date ("2024-03-05T10:00:00") or Date in `locale`; "" when
+ * missing or invalid.
+ *
+ * WHY: WordPress dates carry no time zone, so they parse and format in the
+ * same local zone and the day never shifts between server and browser.
+ *
+ * @param {string | Date} value
+ * @param {string} locale
+ * @param {Intl.DateTimeFormatOptions} [options] defaults to "5 Mar 2024"
+ */
+export function formatDate(value, locale, options = DATE_OPTIONS) {
+  const date = toDate(value);
+  return date ? new Intl.DateTimeFormat(intlLocale(locale), options).format(date) : "";
+}
+
+/**
+ * Day, month and year of a date in `locale` for layouts that stack them,
+ * e.g. { day: "5", month: "Mar", year: "2024" }; null when missing or invalid.
+ *
+ * @param {string | Date} value
+ * @param {string} locale
+ */
+export function formatDateParts(value, locale) {
+  const date = toDate(value);
+  if (!date) return null;
+  const parts = new Intl.DateTimeFormat(intlLocale(locale), DATE_OPTIONS).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type)?.value || "";
+  return { day: part("day"), month: part("month"), year: part("year") };
+}
+
+/**
+ * A number in `locale`, e.g. 1500000 -> "15,00,000" in English and
+ * "१५,००,०००" in Marathi.
+ *
+ * @param {number} value
+ * @param {string} locale
+ * @param {Intl.NumberFormatOptions} [options]
+ */
+export function formatNumber(value, locale, options) {
+  return new Intl.NumberFormat(intlLocale(locale), options).format(value);
+}
+
+/**
+ * A playback time or length in seconds as "m:ss", or "h:mm:ss" from an hour,
+ * in the locale's digits.
+ *
+ * @param {number} seconds
+ * @param {string} locale
+ */
+export function formatDuration(seconds, locale) {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  const digits = new Intl.NumberFormat(intlLocale(locale), { useGrouping: false });
+  const padded = new Intl.NumberFormat(intlLocale(locale), { useGrouping: false, minimumIntegerDigits: 2 });
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = padded.format(total % 60);
+  return hours
+    ? `${digits.format(hours)}:${padded.format(minutes)}:${secs}`
+    : `${digits.format(minutes)}:${secs}`;
+}
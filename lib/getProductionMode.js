@@ -1,19 +1,65 @@
 // lib/getProductionMode.js
 import config from "../config.json";
 
+// Accepts a bare host ("www.aarnalaw.com:443") or a full URL and returns it
+// lower-cased without scheme, port or leading "www.".
+export function normalizeHost(value = "") {
+  const rawValue = value.trim();
+  let parsedHost = rawValue;
+
+  try {
+    parsedHost = new URL(rawValue).hostname;
+  } catch {
+    parsedHost = rawValue.split(":")[0];
+  }
+
+  return parsedHost.replace(/^www\./, "").toLowerCase();
+}
+
+// Note: before normalizeHost, the stripped host was compared with the full
+// LIVE_SITE_URL ("https://www.aarnalaw.com") and never matched, so the live
+// site was served staging content (STAG_PRODUCTION_SERVER_ID). It now gets
+// LIVE_PRODUCTION_SERVER_ID: items must be flagged for live to show there.
 export function getProductionMode(hostname) {
   if (!hostname) return config.STAG_PRODUCTION_SERVER_ID;
 
-  const domain = hostname.replace(/^https?:\/\//, "").replace(/^www\./, "").toLowerCase();
+  const currentHost = normalizeHost(hostname);
 
-  if (
-    domain === config.LIVE_SITE_URL ||
-    domain === config.LIVE_SITE_URL_WWW
-  ) {
+  if (currentHost === normalizeHost(config.LIVE_SITE_URL)) {
     return config.LIVE_PRODUCTION_SERVER_ID;
-  } else if (domain === config.STAGING_SITE_URL) {
+  } else if (currentHost === normalizeHost(config.STAGING_SITE_URL)) {
     return config.STAG_PRODUCTION_SERVER_ID;
   } else {
+    // Default to staging for development/localhost
     return config.STAG_PRODUCTION_SERVER_ID;
   }
 }
+
+// Which deployment a host belongs to: "live", "staging" or "local". Anything
+// that is neither the live nor the staging site (localhost, preview
+// deployments) is "local". Only "live" may be indexed by search engines.
+export function getSiteEnvironment(hostname) {
+  const currentHost = normalizeHost(hostname || "");
+
+  if (currentHost === normalizeHost(config.LIVE_SITE_URL)) return "live";
+  if (currentHost === normalizeHost(config.STAGING_SITE_URL)) return "staging";
+  return "local";
+}
+
+export function isIndexable(hostname) {
+  return getSiteEnvironment(hostname) === "live";
+}
+
+// Client components only know the browser location; on the server this falls
+// back to staging, so server code should pass the request host instead.
+export function getClientProductionMode() {
+  const hostname = typeof window !== "undefined" ? window.location.hostname : "";
+  return getProductionMode(hostname);
+}
+
+// Prerendered files (sitemaps, feeds) have no request host, so they and the
+// pages share the site this deployment serves, from NEXT_PUBLIC_SITE_URL
+// (staging when unset).
+export function getSiteProductionMode() {
+  return getProductionMode(process.env.NEXT_PUBLIC_SITE_URL);
+}
@@ -0,0 +1,280 @@
+// lib/html.js
+//
+// Server-side pipeline for HTML that comes out of WordPress. Every item read
+// through lib/wordpress.js passes through prepareContent(), on the server or,
+// for client components, in /api/wordpress, so components can keep using
+// dangerouslySetInnerHTML on `content.rendered`, `excerpt.rendered`,
+// `title.rendered` and ACF rich-text fields knowing the markup has been:
+//
+// - sanitized against an allowlist of tags, attributes and URL schemes
+// - had links to docs.aarnalaw.com and legacy paths rewritten to site URLs
+// - had images pointed at the Next.js image optimizer with a responsive srcset
+// - given heading anchors (h2-h4)
+// - normalized (no inline styles, classes or empty paragraphs), so it can be
+//   styled by the `.wp-content` rules in app/globals.css
+import sanitize from "sanitize-html";
+import config from "../config.json";
+
+const WP_ORIGIN = new URL(config.SERVER_URL).origin;
+const WP_HOST = new URL(WP_ORIGIN).hostname;
+const SITE_HOSTS = ["aarnalaw.com", "www.aarnalaw.com"];
+
+// Hosts the Next.js image optimizer may fetch from (see next.config.mjs)
+const OPTIMIZABLE_HOSTS = [WP_HOST, ...SITE_HOSTS];
+// Must be among the optimizer's configured device sizes
+const IMAGE_WIDTHS = [640, 828, 1200, 1920];
+const IMAGE_SIZES = "(max-width: 768px) 100vw, 768px";
+
+// First path segment on docs.aarnalaw.com (or a legacy site path) -> site section
+const SECTION_PATHS = {
+  "practice-area": "practice-areas",
+  "practice-areas": "practice-areas",
+  industry: "industries",
+  industries: "industries",
+  podcast: "podcasts",
+  podcasts: "podcasts",
+  publications: "publications",
+  team: "team",
+  insights: "insights",
+  "aarna-news": "aarna-news",
+};
+
+// Files stay on WordPress
+const WP_ASSET_PATH = /^\/wp-(content|json|includes)\//;
+
+const INLINE_TAGS = ["b", "br", "em", "i", "span", "strong", "sub", "sup"];
+
+const EMBED_HOSTS = [
+  "www.youtube.com",
+  "www.youtube-nocookie.com",
+  "player.vimeo.com",
+  "open.spotify.com",
+];
+
+function sitePath(pathname) {
+  const [, section, ...rest] = pathname.replace(/\/+$/, "").split("/");
+  if (!section) return "/";
+  const mapped = SECTION_PATHS[section] || section;
+  return `/${[mapped, ...rest].join("/")}`;
+}
+
+/**
+ * Rewrites a link found in WordPress content to where it lives on the site.
+ * Links to docs.aarnalaw.com pages and aarnalaw.com become relative site
+ * paths (legacy /practice-area/... included); uploads and external URLs are
+ * left as they are.
+ */
+export function toSiteUrl(href = "") {
+  if (!href || href.startsWith("#") || /^(mailto|tel):/i.test(href)) return href;
+
+  let url;
+  try {
+    url = new URL(href, WP_ORIGIN);
+  } catch {
+    return href;
+  }
+
+  const isRelative = href.startsWith("/") && !href.startsWith("//");
+  const isWordPress = url.hostname === WP_HOST && !isRelative;
+  const isSite = SITE_HOSTS.includes(url.hostname) || isRelative;
+
+  if (isWordPress && WP_ASSET_PATH.test(url.pathname)) return url.href;
+  if (!isWordPress && !isSite) return href;
+
+  return `${sitePath(url.pathname)}${url.search}${url.hash}`;
+}
+
+function isExternal(href) {
+  return /^https?:\/\//i.test(href);
+}
+
+function absoluteSrc(src = "") {
+  try {
+    return new URL(src, WP_ORIGIN).href;
+  } catch {
+    return src;
+  }
+}
+
+function optimizedSrc(src, width) {
+  return `/_next/image?url=${encodeURIComponent(src)}&w=${width}&q=75`;
+}
+
+function transformLink(tagName, attribs) {
+  const { target, ...rest } = attribs;
+  // WordPress's rel is replaced below for links opening in a new tab
+  delete rest.rel;
+  if (!attribs.href) return { tagName, attribs: rest };
+
+  const href = toSiteUrl(attribs.href);
+  const newTab = isExternal(href) || target === "_blank";
+  return {
+    tagName,
+    attribs: {
+      ...rest,
+      href,
+      ...(newTab && { target: "_blank", rel: "noopener noreferrer" }),
+    },
+  };
+}
+
+function transformImage(tagName, attribs) {
+  const src = absoluteSrc(attribs.src);
+  const common = {
+    alt: attribs.alt || "",
+    ...(attribs.width && { width: attribs.width }),
+    ...(attribs.height && { height: attribs.height }),
+    loading: "lazy",
+    decoding: "async",
+  };
+
+  let host = "";
+  try {
+    host = new URL(src).hostname;
+  } catch {
+    // Leave unparseable sources alone
+  }
+  if (!OPTIMIZABLE_HOSTS.includes(host)) {
+    return { tagName, attribs: { ...common, src } };
+  }
+
+  // Never ask for a rendition wider than the original
+  const maxWidth = Number(attribs.width) || Infinity;
+  const widths = IMAGE_WIDTHS.filter((w, i) => i === 0 || w <= maxWidth);
+
+  return {
+    tagName,
+    attribs: {
+      ...common,
+      src: optimizedSrc(src, widths[widths.length - 1]),
+      srcset: widths.map((w) => `${optimizedSrc(src, w)} ${w}w`).join(", "),
+      sizes: IMAGE_SIZES,
+    },
+  };
+}
+
+const RICH_OPTIONS = {
+  allowedTags: [
+    ...sanitize.defaults.allowedTags.filter((tag) => tag !== "h1"),
+    "img",
+    "iframe",
+    "audio",
+    "video",
+    "source",
+  ],
+  allowedAttributes: {
+    a: ["href", "name", "target", "rel", "title"],
+    img: ["src", "srcset", "sizes", "alt", "width", "height", "loading", "decoding"],
+    iframe: ["src", "width", "height", "title", "allow", "allowfullscreen", "loading"],
+    audio: ["src", "controls", "preload"],
+    video: ["src", "controls", "preload", "poster", "width", "height"],
+    source: ["src", "type"],
+    ol: ["start", "type", "reversed"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan", "scope"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedIframeHostnames: EMBED_HOSTS,
+  transformTags: {
+    // Pages already have an h1 (the title); demote stray ones
+    h1: "h2",
+    a: transformLink,
+    img: transformImage,
+  },
+  // Drop links that lost their target and embeds from disallowed hosts
+  exclusiveFilter: (frame) =>
+    (frame.tag === "a" && !frame.attribs.href && !frame.attribs.name && !frame.text.trim()) ||
+    (frame.tag === "iframe" && !frame.attribs.src),
+};
+
+const INLINE_OPTIONS = {
+  allowedTags: INLINE_TAGS,
+  allowedAttributes: {},
+};
+
+const NAMED_ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// One pass, so "&amp;lt;" becomes "&lt;" rather than "<"
+export const decodeEntities = (text) =>
+  text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (match, decimal, hex, name) => {
+    if (name) return NAMED_ENTITIES[name] ?? match;
+    const code = decimal ? Number(decimal) : parseInt(hex, 16);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+
+/** URL fragment for a heading, keeping letters of any script. */
+export function slugify(text) {
+  return decodeEntities(text.replace(/<[^>]+>/g, ""))
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function addHeadingAnchors(html) {
+  const used = new Map();
+  return html.replace(/<h([2-4])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const base = slugify(inner);
+    if (!base) return match;
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    const id = count ? `${base}-${count + 1}` : base;
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+}
+
+function removeEmptyParagraphs(html) {
+  return html.replace(/<p>(?:\s|&nbsp;| |<br \/>)*<\/p>/g, "");
+}
+
+/** Text content of an HTML fragment, for feeds, sitemaps and metadata. */
+export function toPlainText(html) {
+  if (typeof html !== "string" || !html) return "";
+  return decodeEntities(html.replace(/<[^>]+>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+/** Full pipeline for rich text (post content, excerpts, ACF WYSIWYG fields). */
+export function renderHtml(html) {
+  if (typeof html !== "string" || !html) return html;
+  return addHeadingAnchors(removeEmptyParagraphs(sanitize(html, RICH_OPTIONS))).trim();
+}
+
+/** Titles and other one-line fields: only basic inline formatting survives. */
+export function renderInlineHtml(html) {
+  if (typeof html !== "string" || !html) return html;
+  return sanitize(html, INLINE_OPTIONS).trim();
+}
+
+const looksLikeHtml = (value) => typeof value === "string" && /<[a-z][^>]*>/i.test(value);
+
+function prepareItem(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) return item;
+
+  const prepared = { ...item };
+  if (item.title?.rendered) {
+    prepared.title = { ...item.title, rendered: renderInlineHtml(item.title.rendered) };
+  }
+  if (item.content?.rendered) {
+    prepared.content = { ...item.content, rendered: renderHtml(item.content.rendered) };
+  }
+  if (item.excerpt?.rendered) {
+    prepared.excerpt = { ...item.excerpt, rendered: renderHtml(item.excerpt.rendered) };
+  }
+  if (item.acf && typeof item.acf === "object" && !Array.isArray(item.acf)) {
+    prepared.acf = Object.fromEntries(
+      Object.entries(item.acf).map(([key, value]) => [
+        key,
+        looksLikeHtml(value) ? renderHtml(value) : value,
+      ]),
+    );
+  }
+  return prepared;
+}
+
+/**
+ * Runs a WordPress REST response (one item or a list) through the pipeline.
+ * Non-content responses (media, archives, search hits) pass through.
+ */
+export function prepareContent(data) {
+  return Array.isArray(data) ? data.map(prepareItem) : prepareItem(data);
+}
@@ -0,0 +1,40 @@
+// lib/i18n.js
+//
+// Server-side locale helpers for layouts, pages and generateMetadata. The
+// locale comes from the URL prefix via middleware.js; see lib/locales.js.
+import { headers } from "next/headers";
+import { DEFAULT_LOCALE, LOCALES, LOCALE_HEADER, isLocale, localizedPath } from "./locales";
+import { SITE_URL } from "./sitemap";
+
+/**
+ * Locale of the current request. Reading the request headers makes the
+ * calling route dynamic: with the root layout reading them too, every page
+ * renders per request and none is prerendered at build time. Call it outside
+ * try/catch: the read throws on purpose while Next.js works out whether a
+ * route is dynamic, and catching that serves fallback content instead.
+ *
+ * @returns {string}
+ */
+export function getLocale() {
+  const locale = headers().get(LOCALE_HEADER);
+  return locale && isLocale(locale) ? locale : DEFAULT_LOCALE;
+}
+
+const absoluteUrl = (path) => `${SITE_URL}${path === "/" ? "" : path}`;
+
+/**
+ * `alternates` for a page's metadata: the canonical URL in the current
+ * locale plus an hreflang link for every locale, so each language version
+ * is indexed on its own rather than as a duplicate of the English page.
+ *
+ * @param {string | ((locale: string) => string)} path unprefixed path, e.g.
+ *   "/insights/x", or a function giving it per locale for translated slugs
+ */
+export function localeAlternates(path) {
+  const pathIn = typeof path === "function" ? path : () => path;
+  const urlIn = (locale) => absoluteUrl(localizedPath(pathIn(locale), locale));
+
+  const languages = Object.fromEntries(LOCALES.map((locale) => [locale, urlIn(locale)]));
+  languages["x-default"] = urlIn(DEFAULT_LOCALE);
+  return { canonical: urlIn(getLocale()), languages };
+}
@@ -0,0 +1,116 @@
+// lib/indexnow.js
+//
+// Tells IndexNow search engines (Bing, Yandex, Seznam, ...) about changed
+// URLs. The revalidation webhook submits the pages a publish, update or delete
+// touched before it responds (a timer set for later may never fire once a
+// serverless function has answered), and URLs sent recently are not sent
+// again. Only the live site
+// submits, and only when INDEXNOW_KEY is set. The key file is served at
+// INDEXNOW_KEY_PATH by app/api/indexnow/key (rewritten in next.config.mjs).
+import config from "../config.json";
+import { SITE_URL } from "./sitemap";
+import { getSiteProductionMode } from "./getProductionMode";
+import { isFixtureSource } from "./contentSource";
+
+const ENDPOINT = "https://api.indexnow.org/indexnow";
+// Keep in sync with the rewrite in next.config.mjs
+export const INDEXNOW_KEY_PATH = process.env.INDEXNOW_KEY_PATH || "/api.txt";
+
+// IndexNow accepts at most 10,000 URLs per request
+const MAX_BATCH = 10000;
+// A URL sent within this window is not sent again
+const RESUBMIT_WINDOW = 10 * 60 * 1000;
+const MAX_LOG_ENTRIES = 100;
+
+if (!globalThis.__INDEXNOW_STATE) {
+  globalThis.__INDEXNOW_STATE = {
+    sentAt: new Map(), // url -> last submission time
+    log: [], // newest first: { at, count, urls, status, error? }
+  };
+}
+const state = globalThis.__INDEXNOW_STATE;
+
+export function getIndexNowKey() {
+  return process.env.INDEXNOW_KEY || null;
+}
+
+/** True when this deployment should submit URLs. */
+export function isIndexNowEnabled() {
+  return (
+    Boolean(getIndexNowKey()) &&
+    !isFixtureSource() &&
+    getSiteProductionMode() === config.LIVE_PRODUCTION_SERVER_ID
+  );
+}
+
+function record(entry) {
+  state.log.unshift({ at: new Date().toISOString(), ...entry });
+  state.log.length = Math.min(state.log.length, MAX_LOG_ENTRIES);
+}
+
+function forgetOldSubmissions(now) {
+  for (const [url, sentAt] of state.sentAt) {
+    if (now - sentAt > RESUBMIT_WINDOW) state.sentAt.delete(url);
+  }
+}
+
+async function submit(urls) {
+  const res = await fetch(ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify({
+      host: new URL(SITE_URL).host,
+      key: getIndexNowKey(),
+      keyLocation: `${SITE_URL}${INDEXNOW_KEY_PATH}`,
+      urlList: urls,
+    }),
+    cache: "no-store",
+    signal: AbortSignal.timeout(10000),
+  });
+  // 200 and 202 both mean accepted
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.status;
+}
+
+/**
+ * Submits site paths ("/insights/my-post") or absolute URLs, leaving out
+ * those sent within RESUBMIT_WINDOW. Does nothing unless isIndexNowEnabled().
+ * Failures are logged rather than thrown.
+ *
+ * @returns {Promise<string[]>} The URLs that were submitted
+ */
+export async function submitIndexNow(pathsOrUrls = []) {
+  if (!isIndexNowEnabled()) return [];
+
+  const now = Date.now();
+  forgetOldSubmissions(now);
+
+  const urls = [...new Set(pathsOrUrls)]
+    .filter(Boolean)
+    .map((value) => new URL(value, SITE_URL).href.replace(/\/$/, ""))
+    .filter((url) => url.startsWith(SITE_URL) && !state.sentAt.has(url));
+  // Claimed up front so a webhook arriving meanwhile does not send them too
+  urls.forEach((url) => state.sentAt.set(url, now));
+
+  for (let i = 0; i < urls.length; i += MAX_BATCH) {
+    const batch = urls.slice(i, i + MAX_BATCH);
+    try {
+      const status = await submit(batch);
+      record({ count: batch.length, urls: batch, status });
+      console.log(`📣 Submitted ${batch.length} URL(s) to IndexNow:`, batch);
+    } catch (error) {
+      batch.forEach((url) => state.sentAt.delete(url));
+      record({ count: batch.length, urls: batch, status: "failed", error: error.message });
+      console.error("❌ IndexNow submission failed:", error.message);
+    }
+  }
+  return urls;
+}
+
+/** Recent submissions, newest first. */
+export function getIndexNowLog() {
+  return {
+    enabled: isIndexNowEnabled(),
+    submissions: state.log,
+  };
+}
@@ -0,0 +1,183 @@
+// lib/llms.js
+//
+// Markdown for AI assistants, following the llms.txt proposal
+// (https://llmstxt.org): /llms.txt is a short index of the firm and its
+// content, /llms-full.txt inlines the full text, and every insight and
+// publication has a Markdown rendition at its page URL plus ".md". Everything
+// is built from the same WordPress content as the pages, so the routes are
+// refreshed by the revalidation webhook (LLMS_PATHS in lib/revalidation.js).
+import { FIRM } from "./firm";
+import { SITE_URL } from "./sitemap";
+import { toPlainText } from "./html";
+import { htmlToMarkdown } from "./markdown";
+import { getSiteProductionMode } from "./getProductionMode";
+import {
+  CATEGORIES,
+  byDateDesc,
+  byTitle,
+  getAllItems,
+  getInsightBySlug,
+  getPublicationBySlug,
+} from "./wordpress";
+
+// Insights listed in llms.txt; llms-full.txt has all of them
+const LATEST_INSIGHTS = 30;
+const SUMMARY_LENGTH = 200;
+
+const SUMMARY_FIELDS = ["slug", "date", "title", "excerpt", "acf"];
+const FULL_FIELDS = [...SUMMARY_FIELDS, "content"];
+
+// Collections in llms.txt, in order. `markdown` marks those with .md renditions.
+const SECTIONS = [
+  { title: "Practice areas", path: "practice-areas", basePath: "/practice-areas", sort: byTitle },
+  { title: "Industries", path: "industries", basePath: "/industries", sort: byTitle },
+  { title: "Team", path: "team", basePath: "/team", sort: byTitle },
+  {
+    title: "Insights",
+    path: "posts",
+    basePath: "/insights",
+    categories: CATEGORIES.INSIGHTS,
+    sort: byDateDesc,
+    limit: LATEST_INSIGHTS,
+    markdown: true,
+  },
+  { title: "Publications", path: "publications", basePath: "/publications", sort: byDateDesc, markdown: true },
+];
+
+// Lower-priority links, under "Optional" as the format suggests
+const OPTIONAL_LINKS = [
+  ["Aarna News", "/aarna-news", "Firm announcements, events and appointments"],
+  ["Podcasts", "/podcasts", "Conversations on arbitration and cross-border disputes"],
+  ["Careers", "/careers", "Open positions and internships"],
+  ["Contact", "/contact-us", "Office addresses and enquiry form"],
+];
+
+/** Loaders for the collections with Markdown renditions, by URL section. */
+export const MARKDOWN_TYPES = {
+  insights: getInsightBySlug,
+  publications: getPublicationBySlug,
+};
+
+const absoluteUrl = (path) => `${SITE_URL}${path}`;
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return `${text.slice(0, text.lastIndexOf(" ", length) || length)}…`;
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+function summaryOf(item) {
+  const text =
+    item.acf?.designation ||
+    toPlainText(item.excerpt?.rendered) ||
+    toPlainText(item.acf?.description) ||
+    item.acf?.meta_description ||
+    "";
+  return truncate(text, SUMMARY_LENGTH);
+}
+
+function loadSection(section, fields) {
+  return getAllItems(section.path, {
+    productionMode: getSiteProductionMode(),
+    categories: section.categories,
+    fields,
+  }).then((items) => items.sort(section.sort));
+}
+
+function linkLine(section, item) {
+  const path = `${section.basePath}/${item.slug}`;
+  const url = absoluteUrl(section.markdown ? `${path}.md` : path);
+  const details = [section.sort === byDateDesc && formatDate(item.date), summaryOf(item)]
+    .filter(Boolean)
+    .join(" – ");
+  return `- [${toPlainText(item.title?.rendered)}](${url})${details ? `: ${details}` : ""}`;
+}
+
+function firmIntro() {
+  const cities = FIRM.offices.map((office) => office.city);
+  const offices = [cities.slice(0, -1).join(", "), cities.at(-1)].filter(Boolean).join(" and ");
+  return [
+    `# ${FIRM.name}`,
+    `> ${FIRM.description}`,
+    [
+      `${FIRM.name} has offices in ${offices} (India) and was founded by ${FIRM.founders.join(" and ")}.`,
+      `Contact: ${FIRM.email}, ${FIRM.telephone}.`,
+      "Content on this site is general information, not legal advice.",
+    ].join(" "),
+  ];
+}
+
+/** The /llms.txt index. */
+export async function renderLlmsTxt() {
+  const sections = await Promise.all(SECTIONS.map((section) => loadSection(section, SUMMARY_FIELDS)));
+
+  const blocks = [...firmIntro()];
+  SECTIONS.forEach((section, i) => {
+    const items = sections[i].slice(0, section.limit);
+    if (!items.length) return;
+    const more =
+      section.limit && sections[i].length > section.limit
+        ? `\n- [All ${section.title.toLowerCase()}](${absoluteUrl(section.basePath)}): ${sections[i].length} in total; full text in [llms-full.txt](${absoluteUrl("/llms-full.txt")})`
+        : "";
+    blocks.push(`## ${section.title}\n\n${items.map((item) => linkLine(section, item)).join("\n")}${more}`);
+  });
+  blocks.push(
+    `## Optional\n\n${OPTIONAL_LINKS.map(
+      ([title, path, description]) => `- [${title}](${absoluteUrl(path)}): ${description}`,
+    ).join("\n")}`,
+  );
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+function itemMarkdown(item, url, { level = 1, dated = true } = {}) {
+  const heading = "#".repeat(level);
+  const meta = [`URL: ${url}`];
+  if (dated && item.date) meta.push(`Published: ${formatDate(item.date)}`);
+  if (item.acf?.designation) meta.push(`Role: ${item.acf.designation}`);
+
+  // Practice areas and industries keep their main text in ACF
+  const body = [item.acf?.description, item.content?.rendered]
+    .filter(Boolean)
+    .map((html) => htmlToMarkdown(html, SITE_URL))
+    .join("\n\n");
+
+  // Shift the article's own headings below the item heading
+  const shifted = level > 1 ? body.replace(/^(#{1,5}) /gm, `${"#".repeat(level - 1)}$1 `) : body;
+  return `${heading} ${toPlainText(item.title?.rendered)}\n\n${meta.join("  \n")}\n\n${shifted}`.trim();
+}
+
+/** The /llms-full.txt file: llms.txt with every item's text inlined. */
+export async function renderLlmsFullTxt() {
+  const sections = await Promise.all(SECTIONS.map((section) => loadSection(section, FULL_FIELDS)));
+
+  const blocks = [...firmIntro()];
+  SECTIONS.forEach((section, i) => {
+    if (!sections[i].length) return;
+    blocks.push(`## ${section.title}`);
+    sections[i].forEach((item) => {
+      const url = absoluteUrl(`${section.basePath}/${item.slug}`);
+      blocks.push(itemMarkdown(item, url, { level: 3, dated: section.sort === byDateDesc }));
+    });
+  });
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Markdown rendition of one insight or publication, or null when it does
+ * not exist (or is not published for this site).
+ *
+ * @param {keyof MARKDOWN_TYPES} type
+ * @param {string} slug
+ */
+export async function renderArticleMarkdown(type, slug) {
+  const getItem = MARKDOWN_TYPES[type];
+  if (!getItem) return null;
+
+  const item = await getItem(slug, { productionMode: getSiteProductionMode() });
+  if (!item) return null;
+
+  return `${itemMarkdown(item, absoluteUrl(`/${type}/${slug}`))}\n`;
+}
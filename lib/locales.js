@@ -0,0 +1,93 @@
+// lib/locales.js
+//
+// Languages the site is translated into, one file per locale in
+// public/locales. Keep this list in sync with public/locales/index.js.
+//
+// Every page exists once per locale: "/insights/x" in English and
+// "/hi/insights/x" etc. in the others. middleware.js strips the prefix and
+// passes the locale on in LOCALE_HEADER (read with getLocale() in
+// lib/i18n.js). No Node or React APIs here: this runs in middleware and in
+// the browser too.
+export const DEFAULT_LOCALE = "en";
+export const LOCALES = [
+  "en", "ta", "kn", "hi", "te", "mr", "ml", "gu", "fr",
+  "ur", "pa", "bn", "or", "as", "ne",
+];
+
+// Locales written right to left; pages in these get <html dir="rtl">
+export const RTL_LOCALES = ["ur"];
+
+// Google Fonts family for each locale's script. Montserrat has Latin only,
+// so the browser takes every other glyph from this font.
+/** @type {Record<string, string>} */
+export const LOCALE_FONTS = {
+  hi: "Noto Sans Devanagari",
+  mr: "Noto Sans Devanagari",
+  ne: "Noto Sans Devanagari",
+  ta: "Noto Sans Tamil",
+  kn: "Noto Sans Kannada",
+  te: "Noto Sans Telugu",
+  ml: "Noto Sans Malayalam",
+  gu: "Noto Sans Gujarati",
+  pa: "Noto Sans Gurmukhi",
+  bn: "Noto Sans Bengali",
+  as: "Noto Sans Bengali",
+  or: "Noto Sans Oriya",
+  ur: "Noto Nastaliq Urdu",
+};
+
+// Request header carrying the locale of a rewritten request
+export const LOCALE_HEADER = "x-aarna-locale";
+// Request header carrying the pathname as requested, before any rewrite
+export const PATH_HEADER = "x-aarna-path";
+// Cookie remembering the visitor's last chosen locale
+export const LOCALE_COOKIE = "NEXT_LOCALE";
+export const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+export const isLocale = (value) => LOCALES.includes(value);
+
+/** Text direction of a locale: "rtl" or "ltr". */
+export const localeDirection = (locale) => (RTL_LOCALES.includes(locale) ? "rtl" : "ltr");
+
+/** Google Fonts stylesheet for a locale's script, or null for Latin locales. */
+export function localeFontStylesheet(locale) {
+  const family = LOCALE_FONTS[locale];
+  if (!family) return null;
+  return `https://fonts.googleapis.com/css2?family=${family.replace(/ /g, "+")}:wght@400;500;600;700&display=swap`;
+}
+
+// Path of `path` in `locale`; the default locale has no prefix
+// ("/insights/x" -> "/hi/insights/x")
+export function localizedPath(path, locale) {
+  if (locale === DEFAULT_LOCALE) return path;
+  return path === "/" ? `/${locale}` : `/${locale}${path}`;
+}
+
+/**
+ * Splits the locale prefix off a pathname: "/hi/insights/x" ->
+ * { locale: "hi", path: "/insights/x" }. `locale` is null when the path has
+ * no prefix.
+ */
+export function splitLocale(pathname) {
+  const [, first, ...rest] = pathname.split("/");
+  if (!isLocale(first)) return { locale: null, path: pathname };
+  return { locale: first, path: `/${rest.join("/")}` };
+}
+
+/**
+ * The best supported locale for an Accept-Language header, or null.
+ * "mr-IN,mr;q=0.9,en;q=0.8" -> "mr"
+ */
+export function negotiateLocale(acceptLanguage) {
+  const ranges = String(acceptLanguage || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return { language: tag.toLowerCase().split("-")[0], q: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter((range) => range.language && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranges.find((range) => isLocale(range.language))?.language || null;
+}
@@ -0,0 +1,118 @@
+// lib/localizedFields.js
+//
+// Translated WordPress content. Editors translate any field of any content
+// type by filling the ACF field of the same name prefixed with the language:
+// `hindi_title`, `tamil_description`, `french_meta_title`, `kannada_slug`.
+// Core fields (title, content, excerpt) are translated the same way, in ACF.
+// Anything without a translation is shown in English. No server APIs here:
+// client components resolve fields with the language from LanguageContext.
+import { DEFAULT_LOCALE } from "./locales";
+
+/** ACF field prefix for each translated locale. */
+export const FIELD_PREFIXES = {
+  ta: "tamil",
+  kn: "kannada",
+  te: "telugu",
+  hi: "hindi",
+  ml: "malayalam",
+  mr: "marathi",
+  gu: "gujarati",
+  fr: "french",
+  ur: "urdu",
+  pa: "punjabi",
+  bn: "bengali",
+  or: "odia",
+  as: "assamese",
+  ne: "nepali",
+};
+
+// WordPress fields read as `item.<field>.rendered` in English
+const CORE_FIELDS = ["title", "content", "excerpt"];
+
+// The first of these a page has in English is its body: a page whose body
+// is untranslated counts as not available in the reader's language. Team
+// profiles, practice areas and industries render acf.description, posts
+// their content.
+const BODY_FIELDS = ["description", "content", "title"];
+
+/** ACF fields holding translated slugs, e.g. "hindi_slug". */
+export const TRANSLATED_SLUG_FIELDS = Object.values(FIELD_PREFIXES).map((prefix) => `${prefix}_slug`);
+
+const TRANSLATION_PATTERN = new RegExp(`^(${Object.values(FIELD_PREFIXES).join("|")})_`);
+
+// ACF sends unset fields as "", false or null
+const hasValue = (value) => value !== undefined && value !== null && value !== "" && value !== false;
+
+function englishValue(item, field) {
+  if (CORE_FIELDS.includes(field)) return item?.[field]?.rendered ?? item?.acf?.[field];
+  return item?.acf?.[field];
+}
+
+/** ACF name of `field` translated into `locale` ("title", "hi" -> "hindi_title"), or null. */
+export function translatedFieldName(field, locale) {
+  const prefix = FIELD_PREFIXES[locale];
+  return prefix ? `${prefix}_${field}` : null;
+}
+
+/**
+ * `field` of a WordPress item in `locale`: a core field (title, content,
+ * excerpt) or any ACF field name. `isFallback` is true when the English
+ * value is shown because the translation is missing.
+ *
+ * @returns {{ value: any, isFallback: boolean }}
+ */
+export function resolveField(item, field, locale) {
+  const english = englishValue(item, field);
+  const name = translatedFieldName(field, locale);
+  const translated = name ? item?.acf?.[name] : undefined;
+
+  if (hasValue(translated)) return { value: translated, isFallback: false };
+  return { value: english, isFallback: Boolean(name) && hasValue(english) };
+}
+
+/** `field` of a WordPress item in `locale`, or English without a translation. */
+export function localizedField(item, field, locale) {
+  return resolveField(item, field, locale).value;
+}
+
+/** The item's slug in `locale`: its translated slug if it has one. */
+export function localizedSlug(item, locale) {
+  const name = translatedFieldName("slug", locale);
+  return (name && item?.acf?.[name]) || item?.slug;
+}
+
+/**
+ * Whether a page shows in English for want of a translation: true when its
+ * body (description, else content, else title) is untranslated in `locale`.
+ */
+export function isUntranslated(item, locale) {
+  const body = BODY_FIELDS.find((field) => hasValue(englishValue(item, field)));
+  return body ? resolveField(item, body, locale).isFallback : false;
+}
+
+/**
+ * A copy of a WordPress item with its core fields and every ACF field that
+ * has a translation in `locale`, so components render it unchanged. Sets
+ * `translation.isFallback` when the page body is only available in English.
+ *
+ * @template T
+ * @param {T} item
+ * @param {string} locale
+ * @returns {T & { translation?: { locale: string, isFallback: boolean } }}
+ */
+export function localizeItem(item, locale) {
+  if (!item || locale === DEFAULT_LOCALE || !FIELD_PREFIXES[locale]) return item;
+
+  const acf = { ...item.acf };
+  for (const field of Object.keys(acf)) {
+    if (!TRANSLATION_PATTERN.test(field)) acf[field] = localizedField(item, field, locale);
+  }
+
+  const localized = { ...item, acf };
+  for (const field of CORE_FIELDS) {
+    if (item[field]) localized[field] = { ...item[field], rendered: localizedField(item, field, locale) };
+  }
+
+  localized.translation = { locale, isFallback: isUntranslated(item, locale) };
+  return localized;
+}
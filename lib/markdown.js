@@ -0,0 +1,132 @@
+// lib/markdown.js
+//
+// Converts WordPress HTML to Markdown for llms.txt, llms-full.txt and the
+// per-article .md renditions. Input is expected to have been through
+// lib/html.js already (allowlisted tags, no classes or inline styles), so a
+// tag-by-tag rewrite is enough; anything unrecognised is reduced to its text.
+import { decodeEntities } from "./html";
+
+const BLOCK_BREAK = "\n\n";
+
+function attr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`, "i"));
+  return match ? decodeEntities(match[1]) : "";
+}
+
+// Images in prepared content point at the Next.js optimizer; link the original
+function imageSource(src, baseUrl) {
+  const url = new URL(src, baseUrl);
+  return url.pathname === "/_next/image" ? url.searchParams.get("url") || url.href : url.href;
+}
+
+function absolute(href, baseUrl) {
+  if (!href || href.startsWith("#") || /^(mailto|tel):/i.test(href)) return href;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+const indent = (text, prefix) => text.replace(/\n(?=.)/g, `\n${prefix}`);
+
+// Innermost lists first, so nested items end up indented under their parent
+function convertLists(html) {
+  const innermost = /<(ul|ol)\b[^>]*>((?:(?!<(?:ul|ol)\b)[\s\S])*?)<\/\1>/i;
+  let result = html;
+  let match;
+  while ((match = innermost.exec(result))) {
+    const [list, type, body] = match;
+    const start = Number(attr(list, "start")) || 1;
+    const items = [...body.matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)].map((item, i) => {
+      const marker = type.toLowerCase() === "ol" ? `${start + i}. ` : "- ";
+      const text = item[1].replace(/<\/?p\b[^>]*>/gi, "").trim();
+      return `${marker}${indent(text, " ".repeat(marker.length))}`;
+    });
+    result =
+      result.slice(0, match.index) +
+      `${BLOCK_BREAK}${items.join("\n")}${BLOCK_BREAK}` +
+      result.slice(match.index + list.length);
+  }
+  return result;
+}
+
+function convertTables(html) {
+  return html.replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (_, table) => {
+    const rows = [...table.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map((row) =>
+      [...row[1].matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map((cell) =>
+        cell[1].replace(/<[^>]+>/g, "").replace(/\s+/g, " ").replace(/\|/g, "\\|").trim(),
+      ),
+    );
+    if (!rows.length) return "";
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    return (
+      BLOCK_BREAK +
+      [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n") +
+      BLOCK_BREAK
+    );
+  });
+}
+
+/**
+ * Markdown for an HTML fragment. Relative links and images are resolved
+ * against `baseUrl`.
+ *
+ * @param {string} html
+ * @param {string} baseUrl e.g. "https://www.aarnalaw.com"
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  if (typeof html !== "string" || !html) return "";
+
+  let md = html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) =>
+      `${BLOCK_BREAK}\`\`\`\n${decodeEntities(code.replace(/<[^>]+>/g, "")).trim()}\n\`\`\`${BLOCK_BREAK}`,
+    )
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, "`$1`")
+    .replace(/<(iframe|audio|video)\b[^>]*>[\s\S]*?<\/\1>/gi, (tag) => {
+      const src = attr(tag, "src");
+      return src ? `${BLOCK_BREAK}[Embedded media](${absolute(src, baseUrl)})${BLOCK_BREAK}` : "";
+    })
+    .replace(/<img\b[^>]*>/gi, (tag) => {
+      const src = attr(tag, "src");
+      return src ? `![${attr(tag, "alt")}](${imageSource(src, baseUrl)})` : "";
+    })
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (tag, attrs, text) => {
+      const href = attr(`<a${attrs}>`, "href");
+      const label = text.trim();
+      return href && label ? `[${label}](${absolute(href, baseUrl)})` : label;
+    })
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, (_, tag, text) =>
+      text.trim() ? `**${text.trim()}**` : "",
+    )
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, (_, tag, text) =>
+      text.trim() ? `_${text.trim()}_` : "",
+    )
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) =>
+      `${BLOCK_BREAK}${"#".repeat(Number(level))} ${text.replace(/\s+/g, " ").trim()}${BLOCK_BREAK}`,
+    )
+    .replace(/<br\s*\/?>/gi, "  \n")
+    .replace(/<hr\s*\/?>/gi, `${BLOCK_BREAK}---${BLOCK_BREAK}`);
+
+  md = convertTables(convertLists(md));
+
+  md = md
+    .replace(/<blockquote\b[^>]*>([\s\S]*?)<\/blockquote>/gi, (_, text) =>
+      `${BLOCK_BREAK}${text
+        .replace(/<\/?p\b[^>]*>/gi, "\n")
+        .trim()
+        .split("\n")
+        .map((line) => `> ${line.trim()}`)
+        .join("\n")}${BLOCK_BREAK}`,
+    )
+    .replace(/<\/?(p|div|section|article|figure|figcaption|dl|dt|dd)\b[^>]*>/gi, BLOCK_BREAK)
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(md)
+    .replace(/[ \t]+\n/g, (spaces) => (spaces.startsWith("  ") ? "  \n" : "\n"))
+    .replace(/\n{3,}/g, BLOCK_BREAK)
+    .trim();
+}
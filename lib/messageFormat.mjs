@@ -0,0 +1,253 @@
+// lib/messageFormat.mjs
+//
+// ICU MessageFormat for the strings in public/locales: interpolation
+// ("Hello {name}"), numbers ("{size, number}"), plurals ("{count, plural,
+// one {# error} other {# errors}}") and selects ("{role, select, Legal
+// {Legal} other {{role}}}"). Plural categories come from Intl.PluralRules,
+// so each language gets its own forms. Text in quotes is literal ("'{'"),
+// "''" is an apostrophe, and any other apostrophe is plain text, so "Aarna
+// Law's" needs no escaping.
+//
+// Shared by LanguageContext and scripts/check-translations.mjs, which
+// rejects messages that do not parse; plain .mjs with no imports so both
+// can load it.
+
+const SPACE = /\s/;
+const NAME = /[^\s{}#,']/;
+
+/**
+ * Parses `message` into a list of text, "#" and argument nodes.
+ *
+ * @param {string} message
+ * @returns {Array<string | object>}
+ * @throws {Error} on unbalanced braces or malformed arguments
+ */
+export function parseMessage(message) {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new Error(`${reason} at position ${pos} in "${message}"`);
+  };
+  const skipSpace = () => {
+    while (pos < message.length && SPACE.test(message[pos])) pos++;
+  };
+  const readName = () => {
+    skipSpace();
+    const start = pos;
+    while (pos < message.length && NAME.test(message[pos])) pos++;
+    if (pos === start) fail("Expected a name");
+    return message.slice(start, pos);
+  };
+  const expect = (char) => {
+    skipSpace();
+    if (message[pos] !== char) fail(`Expected "${char}"`);
+    pos++;
+  };
+
+  // Text up to the next argument or closing brace; "#" is special in plurals,
+  // including inside a select nested in one
+  const parseNodes = (inPlural) => {
+    const nodes = [];
+    let text = "";
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = "";
+    };
+
+    while (pos < message.length) {
+      const char = message[pos];
+      if (char === "'") {
+        const next = message[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+          const end = message.indexOf("'", pos + 1);
+          if (end === -1) fail("Unterminated quote");
+          text += message.slice(pos + 1, end);
+          pos = end + 1;
+        } else {
+          text += char;
+          pos++;
+        }
+      } else if (char === "{") {
+        flush();
+        nodes.push(parseArgument(inPlural));
+      } else if (char === "}") {
+        break;
+      } else if (char === "#" && inPlural) {
+        flush();
+        nodes.push({ type: "pound" });
+        pos++;
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+    flush();
+    return nodes;
+  };
+
+  const parseOptions = (inPlural) => {
+    const options = {};
+    skipSpace();
+    while (pos < message.length && message[pos] !== "}") {
+      const key = readName();
+      expect("{");
+      options[key] = parseNodes(inPlural);
+      expect("}");
+      skipSpace();
+    }
+    if (!("other" in options)) fail('Missing "other" option');
+    return options;
+  };
+
+  const parseArgument = (inPlural) => {
+    pos++; // "{"
+    const name = readName();
+    skipSpace();
+    if (message[pos] === "}") {
+      pos++;
+      return { type: "argument", name };
+    }
+    expect(",");
+    const format = readName();
+    let node;
+    if (format === "plural" || format === "selectordinal") {
+      expect(",");
+      node = { type: format, name, options: parseOptions(true) };
+    } else if (format === "select") {
+      expect(",");
+      node = { type: "select", name, options: parseOptions(inPlural) };
+    } else if (format === "number") {
+      skipSpace();
+      let style = null;
+      if (message[pos] === ",") {
+        pos++;
+        style = readName();
+      }
+      node = { type: "number", name, style };
+    } else {
+      fail(`Unknown format "${format}"`);
+    }
+    expect("}");
+    return node;
+  };
+
+  const nodes = parseNodes(false);
+  if (pos < message.length) fail('Unexpected "}"');
+  return nodes;
+}
+
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: "percent" },
+};
+
+// Text and values in order, adjacent text joined. Values that are objects
+// (React elements for t.rich) are kept as they are, everything else becomes
+// text.
+function formatNodes(nodes, values, locale, count, parts = []) {
+  const push = (part) => {
+    if (typeof part === "string" && typeof parts[parts.length - 1] === "string") {
+      parts[parts.length - 1] += part;
+    } else {
+      parts.push(part);
+    }
+  };
+
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      push(node);
+    } else if (node.type === "pound") {
+      push(new Intl.NumberFormat(locale).format(count));
+    } else if (node.type === "argument") {
+      const value = values[node.name];
+      push(value === undefined || value === null ? `{${node.name}}` : typeof value === "object" ? value : String(value));
+    } else if (node.type === "number") {
+      const value = Number(values[node.name]);
+      push(new Intl.NumberFormat(locale, NUMBER_STYLES[node.style]).format(value));
+    } else if (node.type === "select") {
+      const options = node.options[String(values[node.name])] || node.options.other;
+      formatNodes(options, values, locale, count, parts);
+    } else {
+      const value = Number(values[node.name]);
+      const type = node.type === "selectordinal" ? "ordinal" : "cardinal";
+      const options =
+        node.options[`=${value}`] ||
+        node.options[new Intl.PluralRules(locale, { type }).select(value)] ||
+        node.options.other;
+      formatNodes(options, values, locale, value, parts);
+    }
+  }
+  return parts;
+}
+
+const parsed = new Map();
+
+/**
+ * Formats an ICU `message` with `values` for an Intl `locale` ("hi-IN").
+ * Arguments without a value are left as "{name}" so gaps are visible.
+ *
+ * @param {string} message
+ * @param {Record<string, unknown>} [values]
+ * @param {string} [locale]
+ */
+export function formatMessage(message, values = {}, locale = "en-IN") {
+  return formatParts(message, values, locale).join("");
+}
+
+/**
+ * Like formatMessage, but returns the text and values as a list, so values
+ * can be React elements: `["Read our ", <a key="p">Privacy Policy</a>, "."]`.
+ *
+ * @param {string} message
+ * @param {Record<string, unknown>} [values]
+ * @param {string} [locale]
+ * @returns {Array<string | object>}
+ */
+export function formatParts(message, values = {}, locale = "en-IN") {
+  if (!parsed.has(message)) parsed.set(message, parseMessage(message));
+  return formatNodes(parsed.get(message), values, locale, 0);
+}
+
+const reportedErrors = new Set();
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+/**
+ * `t(key, values)` for a locale's messages: looks up a dotted key
+ * ("forms.errors.emailRequired") and formats it. A message that does not
+ * parse is reported and the `fallback` (English) one is used instead; keys
+ * found in neither return the key itself. `t` never throws, so one bad
+ * translation cannot break a page.
+ *
+ * `t.rich(key, values)` returns the parts (see formatParts) for messages
+ * with links or markup in them; give elements passed as values a `key`.
+ *
+ * @param {object} messages
+ * @param {string} locale Intl locale, e.g. "hi-IN"
+ * @param {object} [fallback] messages to use when a message is missing or malformed
+ * @returns {((key: string, values?: Record<string, unknown>) => string) & { rich: (key: string, values?: Record<string, unknown>) => Array<string | object> }}
+ */
+export function createTranslator(messages, locale, fallback) {
+  const translate = (format, key, values) => {
+    for (const catalog of [messages, fallback]) {
+      const message = lookup(catalog, key);
+      if (typeof message !== "string") continue;
+      try {
+        return format(message, values, locale);
+      } catch (error) {
+        if (!reportedErrors.has(message)) {
+          reportedErrors.add(message);
+          console.error(`❌ Malformed message "${key}":`, error.message);
+        }
+      }
+    }
+    return null;
+  };
+
+  const t = (key, values) => translate(formatMessage, key, values) ?? key;
+  t.rich = (key, values) => translate(formatParts, key, values) ?? [key];
+  return t;
+}
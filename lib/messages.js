@@ -0,0 +1,55 @@
+// lib/messages.js
+//
+// Interface text for the current request, resolved on the server. The root
+// layout passes it to LanguageProvider, so a page arrives with its own
+// language's strings and the browser never downloads the other locales.
+// English is bundled with LanguageContext and needs nothing from here.
+import translations from "../public/locales/index";
+import { DEFAULT_LOCALE, isLocale } from "./locales";
+import { intlLocale } from "./format";
+import { createTranslator } from "./messageFormat.mjs";
+import { diffMessages, withFallback } from "./translationKeys.mjs";
+
+const reportedLocales = new Set();
+
+// Lists keys a locale lacks, once per locale, so gaps are seen in development
+// (npm run check:translations lists them all)
+function reportMissing(locale, en, messages) {
+  if (process.env.NODE_ENV === "production" || reportedLocales.has(locale)) return;
+  reportedLocales.add(locale);
+
+  const { missing, mismatched } = diffMessages(en, messages);
+  const keys = [...missing, ...mismatched];
+  if (keys.length) {
+    console.warn(`⚠️ ${keys.length} "${locale}" translations missing, showing English: ${keys.join(", ")}`);
+  }
+}
+
+/**
+ * Messages for `locale` with any missing keys filled from English, or null
+ * for English itself.
+ *
+ * @param {string} locale
+ * @returns {Promise<object | null>}
+ */
+export async function getMessages(locale) {
+  if (locale === DEFAULT_LOCALE || !isLocale(locale)) return null;
+
+  const [{ default: en }, { default: messages }] = await Promise.all([
+    translations[DEFAULT_LOCALE](),
+    translations[locale](),
+  ]);
+  reportMissing(locale, en, messages);
+  return withFallback(messages, en);
+}
+
+/**
+ * `t()` for server components and generateMetadata, formatting messages
+ * the same way as LanguageContext's.
+ *
+ * @param {string} locale
+ */
+export async function getTranslator(locale) {
+  const { default: en } = await translations[DEFAULT_LOCALE]();
+  return createTranslator((await getMessages(locale)) || en, intlLocale(locale), en);
+}
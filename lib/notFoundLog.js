@@ -0,0 +1,69 @@
+// lib/notFoundLog.js
+//
+// Counts requests that ended on the 404 page (recorded on the server by
+// app/not-found.js, so crawlers count too), so we can see which old URLs
+// still get traffic and add redirect rules for them. Every miss is also
+// logged, so the host's log search works across instances; the in-memory
+// report covers this process only.
+
+// Upper bound on distinct paths kept, least recently missed evicted first
+const MAX_PATHS = 1000;
+const MAX_REFERRERS = 5;
+// Longer paths and referrers are cut off; they come straight from the request
+const MAX_LENGTH = 300;
+
+if (!globalThis.__NOT_FOUND_LOG) {
+  globalThis.__NOT_FOUND_LOG = {
+    since: Date.now(),
+    paths: new Map(), // path -> { count, firstSeen, lastSeen, referrers }
+  };
+}
+const log = globalThis.__NOT_FOUND_LOG;
+
+/** Records one 404 for `path`. */
+export function recordNotFound(rawPath, rawReferrer = "") {
+  if (!rawPath) return;
+  const path = rawPath.slice(0, MAX_LENGTH);
+  const referrer = rawReferrer.slice(0, MAX_LENGTH);
+
+  // Quoted, so control characters and line breaks cannot forge log lines
+  console.warn(
+    `🔍 404 ${JSON.stringify(path)}${referrer ? ` (from ${JSON.stringify(referrer)})` : ""}`,
+  );
+
+  const now = Date.now();
+  const entry = log.paths.get(path) || { count: 0, firstSeen: now, referrers: [] };
+  entry.count += 1;
+  entry.lastSeen = now;
+  if (referrer && !entry.referrers.includes(referrer)) {
+    entry.referrers = [referrer, ...entry.referrers].slice(0, MAX_REFERRERS);
+  }
+
+  log.paths.delete(path);
+  log.paths.set(path, entry);
+  if (log.paths.size > MAX_PATHS) {
+    log.paths.delete(log.paths.keys().next().value);
+  }
+}
+
+/** Missed paths, most hit first. */
+export function getNotFoundReport(limit = 100) {
+  const paths = [...log.paths.entries()]
+    .map(([path, entry]) => ({
+      path,
+      count: entry.count,
+      firstSeen: new Date(entry.firstSeen).toISOString(),
+      lastSeen: new Date(entry.lastSeen).toISOString(),
+      referrers: entry.referrers,
+    }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+
+  return { since: new Date(log.since).toISOString(), total: log.paths.size, paths };
+}
+
+/** Forgets everything recorded so far. */
+export function resetNotFoundLog() {
+  log.since = Date.now();
+  log.paths.clear();
+}
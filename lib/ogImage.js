@@ -0,0 +1,189 @@
+// lib/ogImage.js
+//
+// Generated Open Graph / Twitter card images for insights, publications,
+// podcast episodes and team profiles, served by app/og/[type]/[slug]/route.js.
+// Pages share their featured image when it suits a link preview and fall
+// back to the generated card otherwise (shareImages()).
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { relatedKeys } from "./feeds";
+import { toPlainText } from "./html";
+import { isFixtureSource } from "./contentSource";
+import { localizeItem } from "./localizedFields";
+import { getSiteProductionMode } from "./getProductionMode";
+import {
+  getFeaturedImageUrl,
+  getInsightBySlug,
+  getPodcastBySlug,
+  getPracticeAreas,
+  getPublicationBySlug,
+  getTeamMemberBySlug,
+} from "./wordpress";
+
+export const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+// Featured images narrower than this, or portrait ones like team headshots,
+// are cropped or blurred by link previews
+const MIN_SHARE_WIDTH = 600;
+const MIN_SHARE_ASPECT = 1.3;
+
+/** Content types with generated cards, by URL section. */
+export const OG_TYPES = {
+  insights: { label: "Insight", load: getInsightBySlug },
+  publications: { label: "Publication", load: getPublicationBySlug },
+  podcasts: { label: "Podcast", load: getPodcastBySlug },
+  team: { label: "Our Team", load: getTeamMemberBySlug },
+};
+
+/**
+ * Path of the generated card for an item. The modified date busts caches
+ * when the title changes; `locale` picks the date format and font.
+ */
+export function ogImagePath(type, item, locale) {
+  const params = new URLSearchParams();
+  const version = Date.parse(item.modified_gmt || item.modified || "");
+  if (version) params.set("v", String(version / 1000));
+  if (locale) params.set("locale", locale);
+  const query = params.toString();
+  return `/og/${type}/${item.slug}${query ? `?${query}` : ""}`;
+}
+
+// The image a page would share: `image` (an ACF image or URL) if given, else
+// the featured image, with its dimensions where WordPress reports them
+function candidateImage(item, image) {
+  if (typeof image === "string") return { url: image };
+  if (image?.url) return { url: image.url, width: image.width, height: image.height };
+  const media = item._embedded?.["wp:featuredmedia"]?.[0]?.media_details;
+  return { url: getFeaturedImageUrl(item), width: media?.width, height: media?.height };
+}
+
+/**
+ * `openGraph.images` for an item: its featured image (or `image`, e.g. an
+ * episode's artwork) when that suits a link preview, else the generated card.
+ *
+ * @param {Record<string, any>} item
+ * @param {keyof OG_TYPES} type
+ * @param {{ image?: string|{ url: string, width?: number, height?: number }, locale?: string }} [options]
+ */
+export function shareImages(item, type, { image, locale } = {}) {
+  const alt = toPlainText(item.title?.rendered);
+  const { url, width, height } = candidateImage(item, image);
+  const suitable =
+    url && (!width || !height || (width >= MIN_SHARE_WIDTH && width / height >= MIN_SHARE_ASPECT));
+
+  if (suitable) return [{ url, width, height, alt }];
+  return [{ url: ogImagePath(type, item, locale), ...OG_IMAGE_SIZE, alt }];
+}
+
+async function practiceAreaName(item) {
+  const [key] = relatedKeys(item.acf?.practice_areas);
+  if (!key) return null;
+  if (!/^\d+$/.test(key)) return toPlainText(key);
+
+  const areas = await getPracticeAreas({ productionMode: getSiteProductionMode() }).catch(() => []);
+  const area = areas.find((candidate) => String(candidate.id) === key);
+  return area ? toPlainText(area.title?.rendered) : null;
+}
+
+/**
+ * What goes on an item's card in `locale`, or null if there is no such item.
+ *
+ * @returns {Promise<{ label: string, title: string, byline: string|null, topic: string|null, date: string|null } | null>}
+ */
+export async function getOgCard(type, slug, locale) {
+  const config = OG_TYPES[type];
+  if (!config) return null;
+
+  const item = localizeItem(await config.load(slug, { productionMode: getSiteProductionMode() }), locale);
+  if (!item) return null;
+
+  const title = toPlainText(item.title?.rendered);
+  if (type === "team") {
+    // Practice areas are free text here, one per line or paragraph
+    const [topic] = String(item.acf?.practice_areas || "")
+      .split(/<br\s*\/?>|<\/p>|\n|,/i)
+      .map(toPlainText)
+      .filter(Boolean);
+    return { label: config.label, title, byline: item.acf?.designation || null, topic: topic || null, date: null };
+  }
+
+  const byline =
+    type === "podcasts"
+      ? item.acf?.guest || item.acf?.guest_name || null
+      : item._embedded?.author?.[0]?.name || null;
+  return {
+    label: config.label,
+    title,
+    byline: byline ? toPlainText(byline) : null,
+    topic: await practiceAreaName(item),
+    date: item.date || null,
+  };
+}
+
+// Google Fonts families for the scripts of our locales; Latin text uses the
+// site's Montserrat. Urdu cards use Naskh: the card renderer cannot lay out
+// Nastaliq's sloping joins.
+const SCRIPT_FONTS = [
+  { family: "Noto Sans Devanagari", pattern: /[\u0900-\u097F]/, locales: ["hi", "mr", "ne"] },
+  { family: "Noto Sans Tamil", pattern: /[\u0B80-\u0BFF]/, locales: ["ta"] },
+  { family: "Noto Sans Kannada", pattern: /[\u0C80-\u0CFF]/, locales: ["kn"] },
+  { family: "Noto Sans Telugu", pattern: /[\u0C00-\u0C7F]/, locales: ["te"] },
+  { family: "Noto Sans Malayalam", pattern: /[\u0D00-\u0D7F]/, locales: ["ml"] },
+  { family: "Noto Sans Gujarati", pattern: /[\u0A80-\u0AFF]/, locales: ["gu"] },
+  { family: "Noto Sans Gurmukhi", pattern: /[\u0A00-\u0A7F]/, locales: ["pa"] },
+  { family: "Noto Sans Bengali", pattern: /[\u0980-\u09FF]/, locales: ["bn", "as"] },
+  { family: "Noto Sans Oriya", pattern: /[\u0B00-\u0B7F]/, locales: ["or"] },
+  { family: "Noto Naskh Arabic", pattern: /[\u0600-\u06FF]/, locales: ["ur"] },
+];
+
+const FONT_CACHE_SECONDS = 30 * 24 * 60 * 60;
+
+// TrueType subset of a Google Font with just the glyphs in `text`
+async function loadGoogleFont(family, weight, text) {
+  const cssUrl = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(family)}:wght@${weight}&text=${encodeURIComponent(text)}`;
+  const css = await fetch(cssUrl, { next: { revalidate: FONT_CACHE_SECONDS } }).then((res) => res.text());
+  const source = css.match(/src: url\((.+?)\) format\('(opentype|truetype)'\)/)?.[1];
+  if (!source) throw new Error(`no TrueType source for ${family}`);
+
+  const font = await fetch(source, { next: { revalidate: FONT_CACHE_SECONDS } });
+  return font.arrayBuffer();
+}
+
+/**
+ * Fonts for ImageResponse covering `text`: Montserrat, plus the Noto family
+ * for the locale's script or any Indic script found in the text. Fonts that
+ * cannot be loaded (offline, Google Fonts down) are left out, and the card
+ * falls back to the built-in Noto Sans.
+ */
+export async function loadOgFonts(text, locale) {
+  if (isFixtureSource()) return [];
+
+  const families = [
+    "Montserrat",
+    ...SCRIPT_FONTS.filter(
+      (font) => font.locales.includes(locale) || font.pattern.test(text),
+    ).map((font) => font.family),
+  ];
+  const requests = families.flatMap((family) =>
+    [500, 700].map(async (weight) => {
+      try {
+        return { name: family, data: await loadGoogleFont(family, weight, text), weight, style: "normal" };
+      } catch (error) {
+        console.error(`⚠️ OG image font ${family} ${weight} unavailable:`, error.message);
+        return null;
+      }
+    }),
+  );
+  return (await Promise.all(requests)).filter(Boolean);
+}
+
+let logoDataUri;
+
+/** The white wordmark, inlined so rendering needs no network access. */
+export async function getOgLogo() {
+  if (!logoDataUri) {
+    const svg = await readFile(join(process.cwd(), "public/logo/logo-white.svg"));
+    logoDataUri = `data:image/svg+xml;base64,${svg.toString("base64")}`;
+  }
+  return logoDataUri;
+}
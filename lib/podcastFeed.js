@@ -0,0 +1,189 @@
+// lib/podcastFeed.js
+//
+// The podcast's own RSS feed (/feeds/podcast.xml) in the form Apple Podcasts
+// and Spotify expect: the iTunes namespace, one media enclosure per episode
+// and per-episode artwork, numbering and durations. Episodes come from the
+// WordPress `podcast` type; the per-episode fields are the Seriously Simple
+// Podcasting meta that the episode pages already use:
+//
+//   episode_type            "audio" (default) or "video"
+//   audio_file              URL of the media file, for either type
+//   duration                "HH:MM:SS"
+//   filesize_raw / filesize size in bytes / "24.5M"
+//   itunes_episode_number, itunes_season_number, itunes_episode_type
+//   explicit                "on" for explicit episodes
+//   cover_image             episode artwork (else the featured image)
+import { FIRM } from "./firm";
+import { SITE_URL } from "./sitemap";
+import { toPlainText } from "./html";
+import { escapeXml, feedHtml } from "./feeds";
+import { isFixtureSource } from "./contentSource";
+import { getSiteProductionMode } from "./getProductionMode";
+import { getAllItems, getFeaturedImageUrl } from "./wordpress";
+
+export const PODCAST_FEED_PATH = "/feeds/podcast.xml";
+
+// Show-level settings, which the directories read from the channel
+export const PODCAST = {
+  title: "Legal Conversations by Aarna Law",
+  description:
+    "Conversations with legal professionals on arbitration, cross-border disputes and the legal issues shaping business in India.",
+  author: FIRM.name,
+  ownerEmail: process.env.PODCAST_OWNER_EMAIL || FIRM.email,
+  // Apple requires square JPEG or PNG artwork, 1400–3000 px
+  artwork: process.env.PODCAST_ARTWORK_URL || `${SITE_URL}/podcast/cover_img-video.png`,
+  categories: [["Government"], ["Business", "Management"]],
+  language: "en",
+  explicit: false,
+  // "episodic" (newest first) or "serial" (listen in order)
+  type: "episodic",
+};
+
+const MEDIA_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/x-m4a",
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  mp4: "video/mp4",
+  m4v: "video/x-m4v",
+  mov: "video/quicktime",
+  webm: "video/webm",
+};
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+export function mediaType(url, episodeType) {
+  const extension = new URL(url, SITE_URL).pathname.split(".").pop().toLowerCase();
+  return MEDIA_TYPES[extension] || (episodeType === "video" ? "video/mp4" : "audio/mpeg");
+}
+
+/** Seconds in a "00:24:10", "24:10" or plain seconds duration. */
+export function durationSeconds(value) {
+  if (!value) return null;
+  const seconds = String(value)
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : null;
+}
+
+// Directories reject enclosures without a length; ask the media host when
+// WordPress did not record the file size
+async function mediaLength(url, meta) {
+  if (Number(meta.filesize_raw) > 0) return Number(meta.filesize_raw);
+
+  const size = /^([\d.]+)\s*([KMG])?/i.exec(meta.filesize || "");
+  if (size) return Math.round(Number(size[1]) * (SIZE_UNITS[size[2]?.toUpperCase()] || 1));
+
+  if (isFixtureSource()) return 0;
+  try {
+    const response = await fetch(url, { method: "HEAD", next: { revalidate: 86400 } });
+    return Number(response.headers.get("content-length")) || 0;
+  } catch (error) {
+    console.error(`⚠️ Could not get the size of ${url}:`, error.message);
+    return 0;
+  }
+}
+
+async function toEpisode(item, number) {
+  const meta = item.meta || {};
+  const url = `${SITE_URL}/podcasts/${item.slug}`;
+  const mediaUrl = meta.audio_file;
+  return {
+    guid: item.guid?.rendered || url,
+    url,
+    title: toPlainText(meta.itunes_title || item.title?.rendered),
+    summary: toPlainText(item.excerpt?.rendered) || item.acf?.meta_description || "",
+    notesHtml: feedHtml(item.content?.rendered || item.excerpt?.rendered),
+    published: new Date(item.date_gmt ? `${item.date_gmt}Z` : item.date),
+    image: meta.cover_image || item.episode_featured_image || getFeaturedImageUrl(item),
+    enclosure: {
+      url: mediaUrl,
+      type: mediaType(mediaUrl, meta.episode_type),
+      length: await mediaLength(mediaUrl, meta),
+    },
+    duration: durationSeconds(meta.duration),
+    episode: Number(meta.itunes_episode_number) || number,
+    season: Number(meta.itunes_season_number) || null,
+    episodeType: meta.itunes_episode_type || "full",
+    explicit: meta.explicit === "on",
+  };
+}
+
+/**
+ * Every published episode with a media file, newest first. Episodes without
+ * an iTunes episode number are numbered in publishing order.
+ */
+export async function getPodcastEpisodes() {
+  const items = await getAllItems("podcast", {
+    productionMode: getSiteProductionMode(),
+    embedMedia: true,
+  });
+  const published = items
+    .filter((item) => item.meta?.audio_file)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const episodes = await Promise.all(published.map((item, i) => toEpisode(item, i + 1)));
+  return episodes.reverse();
+}
+
+function renderEpisode(episode) {
+  return [
+    "<item>",
+    `<title>${escapeXml(episode.title)}</title>`,
+    `<itunes:title>${escapeXml(episode.title)}</itunes:title>`,
+    `<link>${escapeXml(episode.url)}</link>`,
+    `<guid isPermaLink="${episode.guid === episode.url}">${escapeXml(episode.guid)}</guid>`,
+    `<pubDate>${episode.published.toUTCString()}</pubDate>`,
+    `<description>${escapeXml(episode.notesHtml || episode.summary)}</description>`,
+    `<content:encoded>${escapeXml(episode.notesHtml)}</content:encoded>`,
+    `<itunes:summary>${escapeXml(episode.summary)}</itunes:summary>`,
+    `<enclosure url="${escapeXml(episode.enclosure.url)}" length="${episode.enclosure.length}" type="${episode.enclosure.type}"/>`,
+    episode.duration ? `<itunes:duration>${episode.duration}</itunes:duration>` : "",
+    `<itunes:episode>${episode.episode}</itunes:episode>`,
+    episode.season ? `<itunes:season>${episode.season}</itunes:season>` : "",
+    `<itunes:episodeType>${escapeXml(episode.episodeType)}</itunes:episodeType>`,
+    `<itunes:explicit>${episode.explicit}</itunes:explicit>`,
+    episode.image ? `<itunes:image href="${escapeXml(episode.image)}"/>` : "",
+    "</item>",
+  ].join("");
+}
+
+function renderCategory([name, subcategory]) {
+  return subcategory
+    ? `<itunes:category text="${escapeXml(name)}"><itunes:category text="${escapeXml(subcategory)}"/></itunes:category>`
+    : `<itunes:category text="${escapeXml(name)}"/>`;
+}
+
+/** The podcast RSS feed. */
+export async function renderPodcastFeed() {
+  const episodes = await getPodcastEpisodes();
+  const feedUrl = `${SITE_URL}${PODCAST_FEED_PATH}`;
+  const showUrl = `${SITE_URL}/podcasts`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "<channel>",
+    `<title>${escapeXml(PODCAST.title)}</title>`,
+    `<link>${showUrl}</link>`,
+    `<atom:link href="${feedUrl}" rel="self" type="application/rss+xml"/>`,
+    `<description>${escapeXml(PODCAST.description)}</description>`,
+    `<language>${PODCAST.language}</language>`,
+    `<copyright>© ${new Date().getFullYear()} ${escapeXml(FIRM.legalName)}</copyright>`,
+    episodes[0] ? `<lastBuildDate>${episodes[0].published.toUTCString()}</lastBuildDate>` : "",
+    `<image><url>${escapeXml(PODCAST.artwork)}</url><title>${escapeXml(PODCAST.title)}</title><link>${showUrl}</link></image>`,
+    `<itunes:author>${escapeXml(PODCAST.author)}</itunes:author>`,
+    `<itunes:summary>${escapeXml(PODCAST.description)}</itunes:summary>`,
+    `<itunes:owner><itunes:name>${escapeXml(PODCAST.author)}</itunes:name><itunes:email>${escapeXml(PODCAST.ownerEmail)}</itunes:email></itunes:owner>`,
+    `<itunes:image href="${escapeXml(PODCAST.artwork)}"/>`,
+    ...PODCAST.categories.map(renderCategory),
+    `<itunes:explicit>${PODCAST.explicit}</itunes:explicit>`,
+    `<itunes:type>${PODCAST.type}</itunes:type>`,
+    ...episodes.map(renderEpisode),
+    "</channel>",
+    "</rss>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
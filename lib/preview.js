@@ -0,0 +1,42 @@
+// lib/preview.js
+//
+// Draft mode for WordPress editors. The WordPress "Preview" button links to
+// /api/preview?secret=...&type=<post type>&id=<post id>, which enables Next.js
+// draft mode and redirects to the matching site page; detail pages then call
+// getPreviewContent() to render the unpublished version.
+import { draftMode } from "next/headers";
+import { getPreviewItem } from "./wordpress";
+
+// WordPress post type -> REST collection and the site section that renders it.
+export const PREVIEW_TYPES = {
+  post: { endpoint: "posts", basePath: "/insights" },
+  podcast: { endpoint: "podcast", basePath: "/podcasts" },
+  publications: { endpoint: "publications", basePath: "/publications" },
+  "practice-areas": { endpoint: "practice-areas", basePath: "/practice-areas" },
+  industries: { endpoint: "industries", basePath: "/industries" },
+};
+
+// Site path for a previewed item. Unpublished drafts have no slug yet, so
+// their ID stands in for it and getPreviewContent() looks them up by ID.
+export function getPreviewPath(type, item) {
+  const { basePath } = PREVIEW_TYPES[type];
+  return `${basePath}/${item.slug || item.id}`;
+}
+
+/**
+ * Returns the draft/revision for a detail page when draft mode is on, or null
+ * so the page falls back to its normal published (cached) content.
+ */
+export async function getPreviewContent(type, slug) {
+  if (!draftMode().isEnabled || !PREVIEW_TYPES[type]) return null;
+
+  try {
+    return await getPreviewItem(
+      PREVIEW_TYPES[type].endpoint,
+      /^\d+$/.test(slug) ? { id: slug } : { slug },
+    );
+  } catch (error) {
+    console.error(`Error fetching ${type} preview:`, error);
+    return null;
+  }
+}
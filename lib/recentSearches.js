@@ -0,0 +1,42 @@
+// lib/recentSearches.js
+//
+// The visitor's last few searches, kept in localStorage and offered as
+// suggestions by the header search box and the /search page. Browser only;
+// nothing here leaves the device.
+
+const STORAGE_KEY = "aarna_recent_searches";
+const MAX_RECENT = 5;
+
+/** Recent searches, newest first; empty where storage is unavailable. */
+export function getRecentSearches() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((query) => typeof query === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Moves `query` to the front of the recent searches. */
+export function saveRecentSearch(query) {
+  const text = String(query || "").trim().replace(/\s+/g, " ");
+  if (!text) return;
+
+  const recent = [
+    text,
+    ...getRecentSearches().filter((saved) => saved.toLowerCase() !== text.toLowerCase()),
+  ].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  } catch {
+    // Private browsing or full storage: suggestions are a nicety
+  }
+}
+
+export function clearRecentSearches() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // As above
+  }
+}
@@ -0,0 +1,165 @@
+// lib/redirects.js
+//
+// Redirect rules applied by middleware.js. Rules come from
+// redirects/redirects.json (committed, editable without touching code) and,
+// when REDIRECTS_SOURCE_URL is set, from a CMS endpoint that editors manage.
+// Runs in the edge runtime, so no Node APIs here.
+//
+// Rule format:
+//   { "source": "/old-path", "destination": "/new-path", "status": 301 }
+//   { "source": "/practice-area/*", "destination": "/practice-areas/*" }
+//   { "source": "/team/:slug/profile", "destination": "/team/:slug" }
+//   { "source": "^/insights/(\\d{4})/(.+)$", "destination": "/insights/$2", "regex": true }
+//   { "source": "/retired-page", "status": 410 }
+// `status` is 301 (default), 302, 307, 308 or 410 (gone, no destination).
+// The first matching rule wins; CMS rules are checked before the JSON file.
+import fileRules from "../redirects/redirects.json";
+import config from "../config.json";
+import { isFixtureSource } from "./contentSource";
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const GONE = 410;
+
+// How long CMS rules are reused before being fetched again
+const REMOTE_TTL = 5 * 60 * 1000;
+const REMOTE_TIMEOUT = 3000;
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+const stripTrailingSlash = (path) => (path.length > 1 ? path.replace(/\/+$/, "") : path);
+
+// "/team/:slug/*" -> /^\/team\/([^/]+)\/(.*)$/ with names ["slug", "*"]
+function compilePattern(source) {
+  const names = [];
+  const pattern = stripTrailingSlash(source)
+    .split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/)
+    .map((part) => {
+      if (part === "*") {
+        names.push("*");
+        return "(.*)";
+      }
+      if (part.startsWith(":")) {
+        names.push(part.slice(1));
+        return "([^/]+)";
+      }
+      return escapeRegExp(part);
+    })
+    .join("");
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+/**
+ * Validates and compiles raw rules, skipping (and logging) broken ones so a
+ * single bad entry cannot take redirects down.
+ */
+export function compileRules(rules = []) {
+  return rules.flatMap((rule) => {
+    const status = Number(rule?.status) || 301;
+    const validStatus = status === GONE || REDIRECT_STATUSES.includes(status);
+    if (!rule?.source || !validStatus || (status !== GONE && !rule.destination)) {
+      console.error("❌ Skipping invalid redirect rule:", rule);
+      return [];
+    }
+
+    try {
+      const { regex, names } = rule.regex
+        ? { regex: new RegExp(rule.source), names: null }
+        : compilePattern(rule.source);
+      return [{ ...rule, status, regex, names }];
+    } catch (error) {
+      console.error("❌ Skipping redirect rule with a bad pattern:", rule, error.message);
+      return [];
+    }
+  });
+}
+
+function buildDestination(rule, match) {
+  if (rule.names === null) {
+    return rule.destination.replace(/\$(\d+)/g, (_, i) => match[Number(i)] ?? "");
+  }
+
+  return rule.names.reduce((destination, name, i) => {
+    const value = match[i + 1] ?? "";
+    return name === "*"
+      ? destination.replace("*", value)
+      : destination.replaceAll(`:${name}`, value);
+  }, rule.destination);
+}
+
+/**
+ * First rule matching `pathname`, as `{ destination, status }`, or null.
+ * `destination` is null for 410 rules.
+ */
+export function findRedirect(pathname, rules) {
+  for (const rule of rules) {
+    const match = rule.regex.exec(rule.names === null ? pathname : stripTrailingSlash(pathname));
+    if (!match) continue;
+
+    return {
+      status: rule.status,
+      destination: rule.status === GONE ? null : buildDestination(rule, match),
+    };
+  }
+  return null;
+}
+
+// The WordPress Redirection plugin lists rules as
+// { items: [{ url, action_data: { url }, action_code, regex, enabled }] }
+function normalizeRemoteRules(data) {
+  if (Array.isArray(data)) return data;
+  if (!Array.isArray(data?.items)) return [];
+
+  return data.items
+    .filter((item) => item.enabled !== false)
+    .map((item) => ({
+      source: item.url,
+      destination: item.action_data?.url,
+      status: item.action_code,
+      regex: Boolean(item.regex),
+    }));
+}
+
+function remoteHeaders(url) {
+  const user = process.env.WORDPRESS_PREVIEW_USER;
+  const password = process.env.WORDPRESS_PREVIEW_APP_PASSWORD;
+  // Only send WordPress credentials to WordPress
+  if (!user || !password || new URL(url).origin !== new URL(config.SERVER_URL).origin) {
+    return undefined;
+  }
+  return { Authorization: `Basic ${btoa(`${user}:${password}`)}` };
+}
+
+// Lives for the lifetime of the middleware instance
+const remote = { rules: [], fetchedAt: 0, pending: null };
+
+async function fetchRemoteRules(url) {
+  try {
+    const res = await fetch(url, {
+      headers: remoteHeaders(url),
+      signal: AbortSignal.timeout(REMOTE_TIMEOUT),
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    remote.rules = compileRules(normalizeRemoteRules(await res.json()));
+  } catch (error) {
+    // Keep the last good rules; the JSON file still applies
+    console.error("❌ Failed to load redirects from CMS:", error.message);
+  }
+  remote.fetchedAt = Date.now();
+  remote.pending = null;
+}
+
+const compiledFileRules = compileRules(fileRules);
+
+/** All active rules, CMS first. CMS rules are cached for REMOTE_TTL. */
+export async function loadRedirectRules() {
+  const url = process.env.REDIRECTS_SOURCE_URL;
+  // Offline development: never reach the CMS from fixture mode
+  if (!url || isFixtureSource()) return compiledFileRules;
+
+  if (Date.now() - remote.fetchedAt > REMOTE_TTL) {
+    remote.pending ||= fetchRemoteRules(url);
+    // Only the very first request waits; later refreshes happen in the background
+    if (!remote.fetchedAt) await remote.pending;
+  }
+  return [...remote.rules, ...compiledFileRules];
+}
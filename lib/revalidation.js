@@ -0,0 +1,130 @@
+// lib/revalidation.js
+//
+// Maps a WordPress post type (as sent by the publish webhook) to the cache tags
+// and site paths that render it, so one save refreshes the detail page, its
+// listing, the home page sections, the sitemap and llms.txt.
+import { CATEGORIES, wpTag } from "./wordpress";
+import { SITEMAP_NAMES } from "./sitemap";
+import { LOCALES, localizedPath } from "./locales";
+import { TRANSLATED_SLUG_FIELDS, localizedSlug } from "./localizedFields";
+
+// Insights and news are both posts; the categories decide which section shows
+// one. When they are unknown (the post is already gone), both are refreshed.
+function postSections(categories) {
+  if (!categories?.length) return ["/insights", "/aarna-news"];
+  const inCategory = (ids) => categories.some((id) => ids.includes(id));
+  return [
+    ...(inCategory(CATEGORIES.INSIGHTS) ? ["/insights"] : []),
+    ...(inCategory(CATEGORIES.NEWS) ? ["/aarna-news"] : []),
+  ];
+}
+
+export const CONTENT_ROUTES = {
+  post: {
+    endpoint: "posts",
+    detailPaths: postSections,
+    listingPaths: ["/insights", "/aarna-news", "/"],
+    markdownPaths: ["/api/markdown/insights"],
+    extraTags: [wpTag("archives")],
+  },
+  podcast: {
+    endpoint: "podcast",
+    detailPaths: ["/podcasts"],
+    listingPaths: ["/podcasts", "/", "/feeds/podcast.xml"],
+  },
+  publications: {
+    endpoint: "publications",
+    detailPaths: ["/publications"],
+    listingPaths: ["/publications"],
+    markdownPaths: ["/api/markdown/publications"],
+  },
+  team: {
+    endpoint: "team",
+    detailPaths: ["/team"],
+    listingPaths: ["/team", "/about-us"],
+  },
+  "practice-areas": {
+    endpoint: "practice-areas",
+    detailPaths: ["/practice-areas"],
+    listingPaths: ["/practice-areas", "/about-us"],
+  },
+  industries: {
+    endpoint: "industries",
+    detailPaths: ["/industries"],
+    listingPaths: ["/industries"],
+  },
+  jobs: {
+    endpoint: "jobs",
+    detailPaths: [],
+    listingPaths: ["/careers"],
+  },
+  page: {
+    endpoint: "pages",
+    detailPaths: [""],
+    listingPaths: ["/privacy-policy", "/terms-of-use"],
+  },
+};
+
+// Always refreshed so new and removed URLs show up for crawlers.
+export const SITEMAP_PATHS = [
+  "/sitemap.xml",
+  ...SITEMAP_NAMES.map((name) => `/sitemaps/${name}.xml`),
+];
+
+// Likewise the llms.txt files, which list or inline every item (lib/llms.js).
+export const LLMS_PATHS = ["/llms.txt", "/llms-full.txt"];
+
+// True for pages people visit, as opposed to the generated files, feeds and
+// API routes (which are not worth submitting to search engines).
+export function isPagePath(path) {
+  return (
+    !SITEMAP_PATHS.includes(path) &&
+    !LLMS_PATHS.includes(path) &&
+    !path.startsWith("/api/") &&
+    !path.startsWith("/feeds/")
+  );
+}
+
+// Every locale's version of an unprefixed path ("/insights" -> "/hi/insights")
+const inEveryLocale = (paths) =>
+  paths.flatMap((path) => LOCALES.map((locale) => localizedPath(path, locale)));
+
+/**
+ * Cache tags and paths to invalidate when an item of `postType` changes.
+ * `slugs` may include the previous slug when an item was renamed. `item` is
+ * the item as WordPress has it now (slug, categories and acf), when known: it
+ * narrows posts down to their section and adds its translated slugs, so the
+ * page is refreshed in every language ("/hi/insights/<hindi slug>").
+ *
+ * @returns {{ tags: string[], paths: string[] } | null} null for unknown types
+ */
+export function getRevalidationTargets(postType, slugs = [], item = null) {
+  const route = CONTENT_ROUTES[postType];
+  if (!route) return null;
+
+  const validSlugs = slugs.filter(Boolean);
+  const translatedSlugs = TRANSLATED_SLUG_FIELDS.map((field) => item?.acf?.[field]).filter(Boolean);
+  const detailPaths =
+    typeof route.detailPaths === "function" ? route.detailPaths(item?.categories) : route.detailPaths;
+  // Other slugs (a previous one) have no translations we still know of
+  const slugIn = (slug, locale) => (item && slug === item.slug ? localizedSlug(item, locale) : slug);
+
+  const tags = [
+    wpTag(route.endpoint),
+    ...[...validSlugs, ...translatedSlugs].map((slug) => wpTag(route.endpoint, slug)),
+    ...(route.extraTags || []),
+  ];
+  const paths = [
+    ...validSlugs.flatMap((slug) =>
+      detailPaths.flatMap((base) =>
+        LOCALES.map((locale) => localizedPath(`${base}/${slugIn(slug, locale)}`, locale)),
+      ),
+    ),
+    ...validSlugs.flatMap((slug) => (route.markdownPaths || []).map((base) => `${base}/${slug}`)),
+    ...inEveryLocale(route.listingPaths),
+    ...SITEMAP_PATHS,
+    ...LLMS_PATHS,
+  ];
+
+  return { tags: [...new Set(tags)], paths: [...new Set(paths)] };
+}
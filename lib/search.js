@@ -0,0 +1,503 @@
+// lib/search.js
+//
+// Site search behind /api/search: insights, publications, podcasts, team,
+// practice areas, industries and jobs, indexed in memory from the same
+// WordPress collections the pages render. Results are ranked with BM25 over
+// titles, topics (practice areas, industries) and body text, tolerate typos
+// and unfinished words, carry highlighted snippets, and are counted by type,
+// practice area, industry, year and language so they can be narrowed down.
+//
+// Every translated version of an item is indexed, so a Hindi query finds the
+// Hindi text. Results are shown in the requested locale, in English where an
+// item has no translation.
+import { toPlainText } from "./html";
+import { escapeXml, relatedKeys } from "./feeds";
+import { getSiteProductionMode } from "./getProductionMode";
+import { DEFAULT_LOCALE, localizedPath } from "./locales";
+import {
+  FIELD_PREFIXES,
+  isUntranslated,
+  localizeItem,
+  localizedField,
+  localizedSlug,
+} from "./localizedFields";
+import { CATEGORIES, getAllItems, getFeaturedImageUrl } from "./wordpress";
+
+/**
+ * Searchable content types by the name used in queries and results: REST
+ * collection, page path, and whether items are dated (and so have a year).
+ */
+export const SEARCH_TYPES = {
+  insight: { path: "posts", categories: CATEGORIES.INSIGHTS, basePath: "/insights", dated: true },
+  publication: { path: "publications", basePath: "/publications", dated: true },
+  podcast: { path: "podcast", basePath: "/podcasts", dated: true },
+  team: { path: "team", basePath: "/team" },
+  "practice-area": { path: "practice-areas", basePath: "/practice-areas" },
+  industry: { path: "industries", basePath: "/industries" },
+  // Openings are listed on the careers page rather than pages of their own
+  job: { path: "jobs", basePath: "/careers", listed: true, dated: true },
+};
+
+/** Facets results are counted by and can be filtered on. */
+export const SEARCH_FACETS = ["type", "practiceArea", "industry", "year", "language"];
+
+export const DEFAULT_PER_PAGE = 10;
+export const MAX_PER_PAGE = 50;
+const MAX_QUERY_LENGTH = 200;
+const SORTS = ["relevance", "date"];
+
+// Rebuilt at most this often; /api/revalidate also drops it on publish
+const INDEX_TTL = 15 * 60 * 1000;
+
+const FIELDS = ["id", "slug", "date", "title", "content", "excerpt", "acf"];
+
+// BM25 term saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+// A word in a title counts three times one in the body
+const FIELD_WEIGHTS = { title: 3, topics: 2, body: 1 };
+// Share of a full match's score for a word the query word begins ("arbitr"
+// -> "arbitration") and for one or two typos away ("arbitraton")
+const PREFIX_FACTOR = 0.8;
+const TYPO_FACTORS = [1, 0.6, 0.35];
+const MIN_PREFIX_LENGTH = 3;
+
+const SNIPPET_LENGTH = 180;
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 40;
+
+// Ignored in queries unless the query has nothing else
+const STOP_WORDS = new Set(["a", "an", "and", "at", "by", "for", "in", "is", "of", "on", "or", "the", "to", "with"]);
+
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Lower case without Latin accents ("Résumé" -> "resume"). Vowel signs of
+// Indic scripts are marks too, but outside this range, so they stay.
+const normalizeWord = (word) => word.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+const words = (text) => (String(text || "").match(WORD) || []).map(normalizeWord);
+
+// Plain text of WordPress HTML, keeping words in adjacent elements apart
+const plain = (html) => toPlainText(typeof html === "string" ? html.replace(/></g, "> <") : "");
+
+// Typos tolerated in a query word: none in short words, where one edit
+// makes a different word ("law" / "tax")
+const maxTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/** Levenshtein distance between `a` and `b`, or `max + 1` once it must exceed `max`. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+async function loadType(type, productionMode) {
+  const { path, categories } = SEARCH_TYPES[type];
+  try {
+    return await getAllItems(path, { productionMode, categories, fields: FIELDS, embedMedia: true });
+  } catch (error) {
+    // One collection being down should not take search with it
+    console.warn(`⚠️ Search index is missing ${path}:`, error.message);
+    return [];
+  }
+}
+
+// Slug of the practice area or industry behind each way items refer to one:
+// post ID, slug or title
+function topicLookup(items) {
+  const lookup = new Map();
+  for (const item of items) {
+    [item.id, item.slug, plain(item.title?.rendered)]
+      .filter(Boolean)
+      .forEach((key) => lookup.set(String(key).toLowerCase(), item.slug));
+  }
+  return lookup;
+}
+
+// Insights and publications link practice areas and industries by ID, slug
+// or title (see relatedKeys in lib/feeds.js); team profiles list them as
+// free text, one per line
+function topicSlugs(value, lookup) {
+  const keys =
+    typeof value === "string" ? value.split(/<br\s*\/?>|<\/p>|\n|,/i).map(plain) : relatedKeys(value);
+  return [...new Set(keys.map((key) => lookup.get(key.toLowerCase())).filter(Boolean))];
+}
+
+function documentText(item) {
+  // Excerpts and descriptions usually repeat the start of the content; the
+  // trailing "[…]" of generated excerpts is dropped before comparing
+  const parts = [item.acf?.designation, item.excerpt?.rendered, item.acf?.description, item.content?.rendered, item.acf?.location]
+    .map((part) => plain(part).replace(/\s*(\[…\]|…)$/, ""))
+    .filter(Boolean);
+  const body = parts.filter(
+    (part, i) => parts.indexOf(part) === i && !parts.some((other) => other.length > part.length && other.includes(part)),
+  );
+  return { title: plain(item.title?.rendered), body: body.join(" ") };
+}
+
+function toDocument(type, item, topics) {
+  const languages = [
+    DEFAULT_LOCALE,
+    ...Object.keys(FIELD_PREFIXES).filter((locale) => !isUntranslated(item, locale)),
+  ];
+  const practiceAreas =
+    type === "practice-area" ? [item.slug] : topicSlugs(item.acf?.practice_areas, topics.practiceArea.lookup);
+  const industries = type === "industry" ? [item.slug] : topicSlugs(item.acf?.industries, topics.industry.lookup);
+  const topicNames = [
+    ...practiceAreas.map((slug) => topics.practiceArea.items.get(slug)),
+    ...industries.map((slug) => topics.industry.items.get(slug)),
+  ].map((topic) => plain(topic?.title?.rendered));
+
+  return {
+    type,
+    item,
+    practiceAreas,
+    industries,
+    year: SEARCH_TYPES[type].dated && item.date ? String(new Date(item.date).getFullYear()) : null,
+    languages,
+    topics: topicNames.join(" "),
+    // Title and body in each language the item is translated into
+    text: Object.fromEntries(languages.map((locale) => [locale, documentText(localizeItem(item, locale))])),
+  };
+}
+
+function buildIndex(documents, topics) {
+  // word -> Map(document index -> weighted frequency)
+  const postings = new Map();
+  const add = (index, text, weight) => {
+    for (const word of words(text)) {
+      let frequencies = postings.get(word);
+      if (!frequencies) postings.set(word, (frequencies = new Map()));
+      frequencies.set(index, (frequencies.get(index) || 0) + weight);
+    }
+  };
+
+  const lengths = documents.map((document, index) => {
+    Object.values(document.text).forEach(({ title, body }) => {
+      add(index, title, FIELD_WEIGHTS.title);
+      add(index, body, FIELD_WEIGHTS.body);
+    });
+    add(index, document.topics, FIELD_WEIGHTS.topics);
+
+    // Length of the English text only, so translated items are not
+    // penalized for being indexed in several languages
+    const { title, body } = document.text[DEFAULT_LOCALE];
+    return (
+      words(title).length * FIELD_WEIGHTS.title +
+      words(body).length * FIELD_WEIGHTS.body +
+      words(document.topics).length * FIELD_WEIGHTS.topics
+    );
+  });
+
+  return {
+    documents,
+    postings,
+    vocabulary: [...postings.keys()],
+    lengths,
+    averageLength: lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1),
+    topics,
+  };
+}
+
+async function loadIndex() {
+  const productionMode = getSiteProductionMode();
+  const types = Object.keys(SEARCH_TYPES);
+  const collections = await Promise.all(types.map((type) => loadType(type, productionMode)));
+  const items = Object.fromEntries(types.map((type, i) => [type, collections[i]]));
+
+  const topicsOf = (list) => ({
+    lookup: topicLookup(list),
+    items: new Map(list.map((item) => [item.slug, item])),
+  });
+  const topics = { practiceArea: topicsOf(items["practice-area"]), industry: topicsOf(items.industry) };
+
+  const documents = types.flatMap((type) => items[type].map((item) => toDocument(type, item, topics)));
+  const index = buildIndex(documents, topics);
+  console.log(`✅ Search index built: ${documents.length} items, ${index.vocabulary.length} words`);
+  return index;
+}
+
+if (!globalThis.__SEARCH_INDEX) {
+  globalThis.__SEARCH_INDEX = { builtAt: 0, promise: null };
+}
+const cache = globalThis.__SEARCH_INDEX;
+
+/** The search index, built on first use and again once INDEX_TTL has passed. */
+export function getSearchIndex() {
+  if (!cache.promise || Date.now() - cache.builtAt > INDEX_TTL) {
+    cache.builtAt = Date.now();
+    cache.promise = loadIndex().catch((error) => {
+      cache.promise = null;
+      throw error;
+    });
+  }
+  return cache.promise;
+}
+
+/** Drops the index so the next search rebuilds it from fresh content. */
+export function resetSearchIndex() {
+  cache.promise = null;
+}
+
+// Indexed words a query word stands for, with the share of a full match
+// each is worth: the word itself, longer words it begins, and words a typo
+// or two away when the word itself is not in the index
+function expandWord(index, word) {
+  const matches = new Map();
+  if (index.postings.has(word)) matches.set(word, 1);
+  const typos = matches.size ? 0 : maxTypos(word);
+
+  for (const term of index.vocabulary) {
+    if (term === word) continue;
+    if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      matches.set(term, PREFIX_FACTOR);
+    } else if (typos) {
+      const distance = editDistance(word, term, typos);
+      if (distance <= typos) matches.set(term, TYPO_FACTORS[distance]);
+    }
+  }
+  return matches;
+}
+
+// Document index -> { score, terms } for documents matching every query
+// word; `terms` are the indexed words that matched, for highlighting
+function scoreDocuments(index, queryWords) {
+  const total = index.documents.length;
+  let matches = null;
+
+  for (const word of queryWords) {
+    const scores = new Map();
+    for (const [term, factor] of expandWord(index, word)) {
+      const frequencies = index.postings.get(term);
+      const idf = Math.log(1 + (total - frequencies.size + 0.5) / (frequencies.size + 0.5));
+      for (const [document, frequency] of frequencies) {
+        const norm = 1 - B + (B * index.lengths[document]) / index.averageLength;
+        const score = (factor * idf * frequency * (K1 + 1)) / (frequency + K1 * norm);
+        const entry = scores.get(document);
+        if (!entry) {
+          scores.set(document, { score, terms: [term] });
+        } else {
+          entry.score = Math.max(entry.score, score);
+          entry.terms.push(term);
+        }
+      }
+    }
+
+    if (!matches) {
+      matches = scores;
+      continue;
+    }
+    const both = new Map();
+    for (const [document, entry] of scores) {
+      const previous = matches.get(document);
+      if (previous) {
+        both.set(document, { score: previous.score + entry.score, terms: [...previous.terms, ...entry.terms] });
+      }
+    }
+    matches = both;
+  }
+  return matches || new Map();
+}
+
+function queryWords(query) {
+  const all = [...new Set(words(query))];
+  const meaningful = all.filter((word) => !STOP_WORDS.has(word));
+  return meaningful.length ? meaningful : all;
+}
+
+const FACET_VALUES = {
+  type: (document) => [document.type],
+  practiceArea: (document) => document.practiceAreas,
+  industry: (document) => document.industries,
+  year: (document) => (document.year ? [document.year] : []),
+  language: (document) => document.languages,
+};
+
+// Values within a facet are alternatives; different facets must all match.
+// `except` leaves one facet out, to count that facet's other values.
+function matchesFilters(document, filters, except) {
+  return Object.entries(filters).every(
+    ([facet, values]) =>
+      facet === except || !values?.length || FACET_VALUES[facet](document).some((value) => values.includes(value)),
+  );
+}
+
+function countFacets(index, candidates, filters, locale) {
+  const topicLabel = (facet, slug) => {
+    const topic = index.topics[facet].items.get(slug);
+    return topic ? plain(localizedField(topic, "title", locale)) : slug;
+  };
+
+  return Object.fromEntries(
+    SEARCH_FACETS.map((facet) => {
+      const counts = new Map();
+      for (const candidate of candidates) {
+        const document = index.documents[candidate];
+        if (!matchesFilters(document, filters, facet)) continue;
+        FACET_VALUES[facet](document).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+      }
+
+      const values = [...counts].map(([value, count]) =>
+        facet === "practiceArea" || facet === "industry"
+          ? { value, label: topicLabel(facet, value), count }
+          : { value, count },
+      );
+      values.sort((a, b) =>
+        facet === "year" ? b.value.localeCompare(a.value) : b.count - a.count || a.value.localeCompare(b.value),
+      );
+      return [facet, values];
+    }),
+  );
+}
+
+// `text` as HTML with the words in `terms` wrapped in <mark>
+function highlight(text, terms) {
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(WORD)) {
+    if (!terms.has(normalizeWord(match[0]))) continue;
+    html += `${escapeXml(text.slice(last, match.index))}<mark>${escapeXml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeXml(text.slice(last));
+}
+
+// The passage of `text` with the most matches, about SNIPPET_LENGTH long,
+// highlighted; the start of the text when nothing in it matched
+function snippet(text, terms) {
+  if (text.length <= SNIPPET_LENGTH) return highlight(text, terms);
+
+  const positions = [...text.matchAll(WORD)]
+    .filter((match) => terms.has(normalizeWord(match[0])))
+    .map((match) => match.index);
+  let from = 0;
+  let most = 0;
+  for (const position of positions) {
+    const count = positions.filter((other) => other >= position && other < position + SNIPPET_LENGTH).length;
+    if (count > most) {
+      most = count;
+      from = position;
+    }
+  }
+
+  const start = from > SNIPPET_LEAD ? Math.min(from, text.indexOf(" ", from - SNIPPET_LEAD) + 1 || from) : 0;
+  const cut = text.lastIndexOf(" ", start + SNIPPET_LENGTH);
+  const end = cut > start ? cut : start + SNIPPET_LENGTH;
+  return `${start ? "…" : ""}${highlight(text.slice(start, end), terms)}${end < text.length ? "…" : ""}`;
+}
+
+function toResult(document, terms, locale) {
+  const { basePath, listed, dated } = SEARCH_TYPES[document.type];
+  const language = document.text[locale] ? locale : DEFAULT_LOCALE;
+  const { title, body } = document.text[language];
+  const path = listed ? basePath : `${basePath}/${localizedSlug(document.item, locale)}`;
+
+  return {
+    type: document.type,
+    id: document.item.id,
+    url: localizedPath(path, locale),
+    title,
+    titleHtml: highlight(title, terms),
+    snippet: snippet(body, terms),
+    date: dated ? document.item.date : null,
+    image: getFeaturedImageUrl(document.item),
+    language,
+  };
+}
+
+const timeOf = (document) => (document.year ? new Date(document.item.date).getTime() : 0);
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string} [q] Words to search for; empty lists everything, newest first.
+ * @property {Partial<Record<string, string[]>>} [filters] Facet values to keep, by facet (SEARCH_FACETS).
+ * @property {string} [locale] Language to show results in.
+ * @property {"relevance"|"date"} [sort]
+ * @property {number} [page] 1-based.
+ * @property {number} [perPage]
+ */
+
+/**
+ * One page of search results with facet counts. A facet's counts apply
+ * every other facet's filter but not its own, so the other values of a
+ * facet stay visible to switch to.
+ *
+ * @param {SearchQuery} query
+ */
+export async function searchSite({
+  q = "",
+  filters = {},
+  locale = DEFAULT_LOCALE,
+  sort = "relevance",
+  page = 1,
+  perPage = DEFAULT_PER_PAGE,
+} = {}) {
+  const index = await getSearchIndex();
+  const queryTerms = queryWords(q);
+  const matches = queryTerms.length
+    ? scoreDocuments(index, queryTerms)
+    : new Map(index.documents.map((_, document) => [document, { score: 0, terms: [] }]));
+
+  const candidates = [...matches.keys()];
+  const byDate = (a, b) =>
+    timeOf(index.documents[b]) - timeOf(index.documents[a]) ||
+    index.documents[a].text[DEFAULT_LOCALE].title.localeCompare(index.documents[b].text[DEFAULT_LOCALE].title);
+  const ranked = candidates
+    .filter((candidate) => matchesFilters(index.documents[candidate], filters))
+    .sort((a, b) =>
+      sort === "date" || !queryTerms.length ? byDate(a, b) : matches.get(b).score - matches.get(a).score || byDate(a, b),
+    );
+
+  const size = Math.min(Math.max(1, Math.floor(perPage) || DEFAULT_PER_PAGE), MAX_PER_PAGE);
+  const totalPages = Math.ceil(ranked.length / size);
+  const current = Math.max(1, Math.floor(page) || 1);
+
+  return {
+    query: q,
+    locale,
+    page: current,
+    perPage: size,
+    total: ranked.length,
+    totalPages,
+    results: ranked
+      .slice((current - 1) * size, current * size)
+      .map((candidate) => toResult(index.documents[candidate], new Set(matches.get(candidate).terms), locale)),
+    facets: countFacets(index, candidates, filters, locale),
+  };
+}
+
+/**
+ * SearchQuery (without locale) from URL parameters, as read by /api/search
+ * and the /search page. Facet values may repeat or be comma-separated:
+ * ?type=insight,podcast or ?type=insight&type=podcast.
+ *
+ * @param {URLSearchParams} searchParams
+ */
+export function searchQueryFromParams(searchParams) {
+  const list = (name) =>
+    searchParams
+      .getAll(name)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  const sort = searchParams.get("sort");
+
+  return {
+    q: (searchParams.get("q") || "").trim().slice(0, MAX_QUERY_LENGTH),
+    filters: Object.fromEntries(SEARCH_FACETS.map((facet) => [facet, list(facet)])),
+    sort: SORTS.includes(sort) ? sort : "relevance",
+    page: Number(searchParams.get("page")) || 1,
+    perPage: Number(searchParams.get("perPage")) || DEFAULT_PER_PAGE,
+  };
+}
@@ -0,0 +1,45 @@
+// lib/searchClient.js
+//
+// Browser side of site search. Results come from /api/search
+// (app/api/search/route.js, lib/search.js), which this module keeps the
+// components from having to know the query format of.
+import { localizedPath } from "./locales";
+
+// Query string for search parameters: arrays comma-separated, empty values
+// and the first page left out
+function toQueryString(params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    const text = Array.isArray(value) ? value.join(",") : value;
+    if (text === undefined || text === null || text === "") continue;
+    if (key === "page" && Number(text) === 1) continue;
+    query.set(key, String(text));
+  }
+  const search = query.toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * Fetches one page of search results. `params` are the route's query
+ * parameters ({ q, type, practiceArea, industry, year, language, locale,
+ * sort, page, perPage }).
+ *
+ * @param {Record<string, string | number | string[] | null | undefined>} params
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export async function fetchSearchResults(params, { signal } = {}) {
+  const res = await fetch(`/api/search${toQueryString(params)}`, { signal });
+  if (!res.ok) throw new Error(`Search failed with status ${res.status}`);
+  return res.json();
+}
+
+/**
+ * URL of the /search page in `locale` for the same parameters, e.g.
+ * "/hi/search?q=arbitration&type=insight".
+ *
+ * @param {Record<string, string | number | string[] | null | undefined>} params
+ * @param {string} locale
+ */
+export function searchPageHref(params, locale) {
+  return `${localizedPath("/search", locale)}${toQueryString(params)}`;
+}
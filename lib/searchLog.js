@@ -0,0 +1,102 @@
+// lib/searchLog.js
+//
+// Counts what visitors search for on the /search page and which searches
+// found nothing, so the content team can see what people look for and what
+// the site is missing. Visitors sometimes search for names, emails or case
+// details, so queries stay in this process's memory with email addresses and
+// phone numbers redacted, and the server log only gets result counts.
+
+// Upper bound on distinct queries kept, least recently searched evicted first
+const MAX_QUERIES = 1000;
+const MAX_QUERY_LENGTH = 200;
+
+if (!globalThis.__SEARCH_LOG) {
+  globalThis.__SEARCH_LOG = {
+    since: Date.now(),
+    searches: 0,
+    queries: new Map(), // normalized query -> { query, count, zeroResults, lastTotal, firstSeen, lastSeen, locales }
+  };
+}
+const log = globalThis.__SEARCH_LOG;
+
+const EMAIL = /[^\s@]+@[^\s@]+/g;
+// A run of digits with the separators phone numbers are written with
+const DIGITS = /[+(]?\d[\d\s().-]*\d/g;
+// Fewer digits than this are section numbers and the like
+const MIN_PHONE_DIGITS = 7;
+const YEAR = /^(19|20)\d\d$/;
+
+// Seven digits or more, unless they are years ("2023 2024")
+const isPhoneNumber = (match) => {
+  const groups = match.split(/\D+/).filter(Boolean);
+  return groups.join("").length >= MIN_PHONE_DIGITS && !groups.every((group) => YEAR.test(group));
+};
+
+// "  Arbitration  LAW" and "arbitration law" are the same search
+const normalizeQuery = (query) => query.trim().replace(/\s+/g, " ").toLowerCase();
+
+const redact = (query) =>
+  query
+    .replace(EMAIL, "[email]")
+    .replace(DIGITS, (match) => (isPhoneNumber(match) ? "[phone]" : match));
+
+/** Records one search for `query` that found `total` results. */
+export function recordSearch(query, { total, locale }) {
+  const key = redact(normalizeQuery(String(query || ""))).slice(0, MAX_QUERY_LENGTH);
+  if (!key) return;
+
+  if (total) {
+    console.log(`🔎 Search (${locale}): ${total} results`);
+  } else {
+    console.warn(`🔎 Search (${locale}): no results`);
+  }
+
+  const now = Date.now();
+  const entry = log.queries.get(key) || { query: key, count: 0, zeroResults: 0, firstSeen: now, locales: [] };
+  entry.count += 1;
+  if (!total) entry.zeroResults += 1;
+  entry.lastTotal = total;
+  entry.lastSeen = now;
+  if (!entry.locales.includes(locale)) entry.locales = [...entry.locales, locale];
+
+  log.searches += 1;
+  log.queries.delete(key);
+  log.queries.set(key, entry);
+  if (log.queries.size > MAX_QUERIES) {
+    log.queries.delete(log.queries.keys().next().value);
+  }
+}
+
+/**
+ * Most frequent queries, and the most frequent of those that last found
+ * nothing (content to write, or synonyms to add).
+ */
+export function getSearchReport(limit = 100) {
+  const entries = [...log.queries.values()].map((entry) => ({
+    query: entry.query,
+    count: entry.count,
+    zeroResults: entry.zeroResults,
+    lastTotal: entry.lastTotal,
+    locales: entry.locales,
+    firstSeen: new Date(entry.firstSeen).toISOString(),
+    lastSeen: new Date(entry.lastSeen).toISOString(),
+  }));
+
+  return {
+    since: new Date(log.since).toISOString(),
+    searches: log.searches,
+    total: log.queries.size,
+    queries: [...entries].sort((a, b) => b.count - a.count).slice(0, limit),
+    zeroResults: entries
+      .filter((entry) => entry.lastTotal === 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults)
+      .slice(0, limit),
+  };
+}
+
+/** Forgets everything recorded so far. */
+export function resetSearchLog() {
+  log.since = Date.now();
+  log.searches = 0;
+  log.queries.clear();
+}
@@ -0,0 +1,29 @@
+// lib/secrets.js
+//
+// Shared-secret check for the API routes WordPress, deploy scripts and the
+// content team call: revalidation, IndexNow, preview and the reports.
+import { timingSafeEqual } from "crypto";
+
+/**
+ * True when `request` carries the secret set in the `envName` environment
+ * variable, in the `header` header or a `secret` query parameter. Always
+ * false while the variable is unset, so an unconfigured endpoint stays shut.
+ *
+ * @param {Request} request
+ * @param {string} envName e.g. "REVALIDATE_SECRET"
+ * @param {string} [header] e.g. "x-revalidate-secret"; only the query
+ *   parameter is read when omitted
+ * @returns {boolean}
+ */
+export function hasValidSecret(request, envName, header) {
+  const expected = process.env[envName];
+  if (!expected) return false;
+
+  const { searchParams } = new URL(request.url);
+  const secret = (header && request.headers.get(header)) || searchParams.get("secret");
+  if (!secret) return false;
+
+  const a = Buffer.from(secret);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
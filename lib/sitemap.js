@@ -0,0 +1,288 @@
+// lib/sitemap.js
+//
+// Builds the XML sitemaps from WordPress content: /sitemap.xml is a sitemap
+// index pointing at one sitemap per section (/sitemaps/<name>.xml) plus an
+// image sitemap and a Google News sitemap. Every URL carries the real
+// modification date of its content, and pages are listed once per locale
+// in lib/locales.js with hreflang alternates. The routes are refreshed on
+// publish via SITEMAP_PATHS in lib/revalidation.js.
+import config from "../config.json";
+import { CATEGORIES, PAGE_IDS, getAllItems, getFeaturedImageUrl } from "./wordpress";
+import { getSiteProductionMode } from "./getProductionMode";
+import { DEFAULT_LOCALE, LOCALES, localizedPath } from "./locales";
+import { toPlainText } from "./html";
+import { TRANSLATED_SLUG_FIELDS, localizedSlug } from "./localizedFields";
+
+export const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || config.LIVE_SITE_URL).replace(
+  /\/+$/,
+  "",
+);
+
+const NEWS_PUBLICATION = "Aarna Law";
+// Google News only reads articles published in the last two days
+const NEWS_WINDOW = 2 * 24 * 60 * 60 * 1000;
+
+const FIELDS = [
+  "id",
+  "slug",
+  "date",
+  "date_gmt",
+  "modified",
+  "modified_gmt",
+  "title",
+  "featured_media",
+  ...TRANSLATED_SLUG_FIELDS.map((field) => `acf.${field}`),
+];
+
+// Pages kept out of search results on the live site: disallowed in every
+// language by app/robots.js and left out of every sitemap here. Prefixes, as
+// robots.txt reads them.
+export const DISALLOWED_PATHS = [
+  "/podcasts/enforcement-of-arbitral-awards-across-jurisdictions-james-hosking-on-enforcement-in-the-united-states-podcast-series",
+  "/aarna-news/aarna-law-announces-new-partner",
+  "/aarna-news/aarna-law-celebrates-10th-anniversary",
+  "/aarna-news/thank-you-for-joining-us",
+  "/aarna-news/international-trade-shipping-commodity-arbitration-arbitrability-of-corporate-disputes",
+  "/aarna-news/shreyas-jayasimha-speaks-at-net-zero-warriors-entrepreneurs-driving-energy-transition",
+  "/aarna-news/anusha-madhusudhan-selected-for-judicial-fellowship-programme",
+  "/aarna-news/aarna-law-participates-in-inta-annual-meeting-2023-singapore",
+  "/aarna-news/shreyas-jayasimha-appointed-expert-committee",
+  "/aarna-news/shreyas-jayasimha-speaks-on-cross-border-insolvency-for-smu-masterclass",
+  "/aarna-news/aarna-law-participates-siac-bengaluru-conference-2023",
+  "/aarna-news/aarna-law-hosts-singapore-international-arbitration-centre-in-bangalore",
+  "/aarna-news/aarna-law-contributing-to-model-clauses-for-contracting-in-asia",
+  "/aarna-news/aarna-law-welcomes-partner",
+];
+
+const isDisallowed = (path) => DISALLOWED_PATHS.some((prefix) => path.startsWith(prefix));
+
+// WordPress collections with detail pages, by sitemap name
+const COLLECTIONS = {
+  insights: { path: "posts", basePath: "/insights", categories: CATEGORIES.INSIGHTS },
+  "aarna-news": { path: "posts", basePath: "/aarna-news", categories: CATEGORIES.NEWS },
+  publications: { path: "publications", basePath: "/publications" },
+  podcasts: { path: "podcast", basePath: "/podcasts" },
+  team: { path: "team", basePath: "/team" },
+  "practice-areas": { path: "practice-areas", basePath: "/practice-areas" },
+  industries: { path: "industries", basePath: "/industries" },
+  // Listed on /careers only, no detail pages
+  jobs: { path: "jobs", basePath: null },
+};
+
+// Routes built in code, with the collections they list; their lastmod is
+// the newest change among those (none for fixed pages)
+const STATIC_ROUTES = [
+  { path: "/", sources: ["insights", "aarna-news", "podcasts"] },
+  { path: "/about-us", sources: ["team", "practice-areas"] },
+  { path: "/practice-areas", sources: ["practice-areas"] },
+  { path: "/industries", sources: ["industries"] },
+  { path: "/insights", sources: ["insights"] },
+  { path: "/aarna-news", sources: ["aarna-news"] },
+  { path: "/publications", sources: ["publications"] },
+  { path: "/podcasts", sources: ["podcasts"] },
+  { path: "/careers", sources: ["jobs"] },
+  { path: "/contact-us" },
+  { path: "/testimonials" },
+];
+
+// WordPress pages rendered by their own route rather than app/[slug]
+const PAGE_ROUTES = {
+  [PAGE_IDS.PRIVACY_POLICY]: "/privacy-policy",
+  [PAGE_IDS.TERMS_OF_USE]: "/terms-of-use",
+  [PAGE_IDS.DISCLAIMER]: null,
+};
+
+const CONTENT_SITEMAPS = Object.keys(COLLECTIONS).filter((name) => COLLECTIONS[name].basePath);
+
+/** Names of the sitemaps in the index, served at /sitemaps/<name>.xml */
+export const SITEMAP_NAMES = ["pages", ...CONTENT_SITEMAPS, "images", "news"];
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} path
+ * @property {(locale: string) => string} [pathIn] the path in a locale, for translated slugs
+ * @property {Date|null} lastmod
+ * @property {Date|null} [published]
+ * @property {string} [title]
+ * @property {string|null} [image]
+ */
+
+// WordPress returns site-local times plus *_gmt variants without a zone
+function itemDate(item, field) {
+  const gmt = item[`${field}_gmt`];
+  const date = gmt ? new Date(`${gmt}Z`) : new Date(item[field]);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const newest = (dates) =>
+  dates.filter(Boolean).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+function loadCollection(name) {
+  const { path, categories } = COLLECTIONS[name];
+  return getAllItems(path, {
+    productionMode: getSiteProductionMode(),
+    categories,
+    fields: FIELDS,
+    embedMedia: true,
+  });
+}
+
+/** @returns {Promise<SitemapEntry[]>} */
+async function getCollectionEntries(name) {
+  const { basePath } = COLLECTIONS[name];
+  const items = await loadCollection(name);
+  return items.map((item) => ({
+    path: `${basePath}/${item.slug}`,
+    pathIn: (locale) => `${basePath}/${localizedSlug(item, locale)}`,
+    lastmod: itemDate(item, "modified"),
+    published: itemDate(item, "date"),
+    title: toPlainText(item.title?.rendered),
+    image: getFeaturedImageUrl(item),
+  }));
+}
+
+/** @returns {Promise<SitemapEntry[]>} */
+async function getPageEntries() {
+  const sources = [...new Set(STATIC_ROUTES.flatMap((route) => route.sources || []))];
+  const [pages, ...collections] = await Promise.all([
+    getAllItems("pages", { fields: FIELDS }),
+    ...sources.map(loadCollection),
+  ]);
+  const lastmodBySource = Object.fromEntries(
+    sources.map((name, i) => [name, newest(collections[i].map((item) => itemDate(item, "modified")))]),
+  );
+
+  const staticEntries = STATIC_ROUTES.map((route) => ({
+    path: route.path,
+    lastmod: newest((route.sources || []).map((name) => lastmodBySource[name])),
+  }));
+  const pageEntries = pages
+    .map((page) => ({
+      path: page.id in PAGE_ROUTES ? PAGE_ROUTES[page.id] : `/${page.slug}`,
+      lastmod: itemDate(page, "modified"),
+    }))
+    .filter((entry) => entry.path);
+
+  // A WordPress page can share its slug with a route built in code
+  const seen = new Set();
+  return [...staticEntries, ...pageEntries].filter((entry) => {
+    if (seen.has(entry.path)) return false;
+    seen.add(entry.path);
+    return true;
+  });
+}
+
+/** @returns {Promise<SitemapEntry[]>} */
+async function getImageEntries() {
+  const sections = await Promise.all(CONTENT_SITEMAPS.map(getCollectionEntries));
+  return sections.flat().filter((entry) => entry.image);
+}
+
+/** @returns {Promise<SitemapEntry[]>} */
+async function getNewsEntries() {
+  const since = Date.now() - NEWS_WINDOW;
+  const sections = await Promise.all(["insights", "aarna-news"].map(getCollectionEntries));
+  return sections.flat().filter((entry) => entry.published && entry.published.getTime() >= since);
+}
+
+function loadEntries(name) {
+  if (name === "pages") return getPageEntries();
+  if (name === "images") return getImageEntries();
+  if (name === "news") return getNewsEntries();
+  return getCollectionEntries(name);
+}
+
+/** @returns {Promise<SitemapEntry[]>} */
+async function getEntries(name) {
+  const entries = await loadEntries(name);
+  return entries.filter((entry) => !isDisallowed(entry.path));
+}
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+const absoluteUrl = (path) => escapeXml(`${SITE_URL}${path === "/" ? "" : path}`);
+
+const lastmodTag = (date) => (date ? `<lastmod>${date.toISOString()}</lastmod>` : "");
+
+// URL of an entry in a locale, under its translated slug if it has one
+const localeUrl = (entry, locale) =>
+  absoluteUrl(localizedPath(entry.pathIn ? entry.pathIn(locale) : entry.path, locale));
+
+function alternateTags(entry) {
+  const links = LOCALES.map(
+    (locale) => `<xhtml:link rel="alternate" hreflang="${locale}" href="${localeUrl(entry, locale)}"/>`,
+  );
+  links.push(
+    `<xhtml:link rel="alternate" hreflang="x-default" href="${localeUrl(entry, DEFAULT_LOCALE)}"/>`,
+  );
+  return links.join("");
+}
+
+function urlTag(name, entry) {
+  const loc = `<loc>${absoluteUrl(entry.path)}</loc>`;
+
+  if (name === "images") {
+    return `<url>${loc}<image:image><image:loc>${escapeXml(entry.image)}</image:loc></image:image></url>`;
+  }
+  if (name === "news") {
+    return (
+      `<url>${loc}<news:news>` +
+      `<news:publication><news:name>${NEWS_PUBLICATION}</news:name><news:language>${DEFAULT_LOCALE}</news:language></news:publication>` +
+      `<news:publication_date>${entry.published.toISOString()}</news:publication_date>` +
+      `<news:title>${escapeXml(entry.title)}</news:title>` +
+      `</news:news></url>`
+    );
+  }
+  // Every language version is listed, each with the same set of alternates
+  const alternates = alternateTags(entry);
+  return LOCALES.map(
+    (locale) => `<url><loc>${localeUrl(entry, locale)}</loc>${lastmodTag(entry.lastmod)}${alternates}</url>`,
+  ).join("\n");
+}
+
+const NAMESPACES = {
+  images: 'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+  news: 'xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"',
+};
+
+/**
+ * XML for one sitemap in SITEMAP_NAMES.
+ *
+ * @returns {Promise<string>}
+ */
+export async function renderSitemap(name) {
+  const entries = await getEntries(name);
+  const namespace = NAMESPACES[name] || 'xmlns:xhtml="http://www.w3.org/1999/xhtml"';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ${namespace}>`,
+    ...entries.map((entry) => urlTag(name, entry)),
+    "</urlset>",
+  ].join("\n");
+}
+
+/**
+ * XML for the sitemap index, each sitemap dated by its newest entry.
+ *
+ * @returns {Promise<string>}
+ */
+export async function renderSitemapIndex() {
+  const sitemaps = await Promise.all(
+    SITEMAP_NAMES.map(async (name) => {
+      const entries = await getEntries(name);
+      return { name, lastmod: newest(entries.map((entry) => entry.lastmod)) };
+    }),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(
+      ({ name, lastmod }) =>
+        `<sitemap><loc>${absoluteUrl(`/sitemaps/${name}.xml`)}</loc>${lastmodTag(lastmod)}</sitemap>`,
+    ),
+    "</sitemapindex>",
+  ].join("\n");
+}
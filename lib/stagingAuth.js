@@ -0,0 +1,63 @@
+// lib/stagingAuth.js
+//
+// Optional HTTP Basic auth in front of the staging site, checked by
+// middleware.js. Enabled by setting STAGING_PASSWORD (and optionally
+// STAGING_USER, default "aarna") on the staging deployment; live and local
+// deployments are never asked. Runs in the edge runtime, so no Node APIs.
+import { getSiteEnvironment } from "./getProductionMode";
+
+const REALM = "Aarna Law staging";
+
+// Called by WordPress or deploy scripts rather than a logged-in browser; each
+// checks a secret of its own
+const OPEN_PATHS = [
+  "/api/revalidate",
+  "/api/preview",
+  "/api/indexnow",
+  "/api/redirects/misses",
+  "/api/search/queries",
+];
+
+const isOpenPath = (pathname) =>
+  OPEN_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`));
+
+// Like crypto.timingSafeEqual, which the edge runtime does not have
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/** True when `request` needs to log in before seeing the site. */
+export function requiresStagingLogin(request) {
+  const password = process.env.STAGING_PASSWORD;
+  if (!password) return false;
+  if (getSiteEnvironment(request.headers.get("host")) !== "staging") return false;
+  if (isOpenPath(request.nextUrl.pathname)) return false;
+
+  const user = process.env.STAGING_USER || "aarna";
+  const [scheme, encoded] = (request.headers.get("authorization") || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return true;
+
+  let credentials = "";
+  try {
+    credentials = atob(encoded);
+  } catch {
+    return true;
+  }
+  return !safeEqual(credentials, `${user}:${password}`);
+}
+
+/** 401 response asking the browser for the staging login. */
+export function stagingLoginResponse() {
+  return new Response("Authentication required", {
+    status: 401,
+    headers: {
+      "WWW-Authenticate": `Basic realm="${REALM}", charset="UTF-8"`,
+      "X-Robots-Tag": "noindex, nofollow",
+    },
+  });
+}
@@ -0,0 +1,297 @@
+// lib/structuredData.js
+//
+// schema.org JSON-LD for the site's pages, rendered with
+// components/StructuredData/JsonLd.js. Each builder returns one node; the
+// firm is described once, in the root layout, and referenced by `@id`
+// everywhere else. Required properties per type are in
+// lib/structuredDataRules.mjs.
+import { FIRM } from "./firm";
+import { SITE_URL } from "./sitemap";
+import { slugify, toPlainText } from "./html";
+import { PODCAST, PODCAST_FEED_PATH, durationSeconds, mediaType } from "./podcastFeed";
+import { getFeaturedImageUrl } from "./wordpress";
+
+const ORGANIZATION_ID = `${SITE_URL}/#organization`;
+const WEBSITE_ID = `${SITE_URL}/#website`;
+const PODCAST_SERIES_ID = `${SITE_URL}/podcasts#series`;
+
+const MAX_HEADLINE_LENGTH = 110;
+// ACF stores up to this many FAQs as faq_<n> / faqs_description_<n>
+const MAX_FAQS = 10;
+
+const firmReference = { "@id": ORGANIZATION_ID };
+
+const absoluteUrl = (path) => (path?.startsWith("/") ? `${SITE_URL}${path}` : path || undefined);
+
+// WordPress `date` has no timezone; `date_gmt` is the same moment in UTC
+function isoDate(item, field = "date") {
+  const gmt = item[`${field}_gmt`];
+  const date = new Date(gmt ? `${gmt}Z` : item[field]);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function headline(html) {
+  const text = toPlainText(html);
+  return text.length > MAX_HEADLINE_LENGTH ? `${text.slice(0, MAX_HEADLINE_LENGTH - 1)}…` : text;
+}
+
+function postalAddress(office) {
+  return {
+    "@type": "PostalAddress",
+    streetAddress: office.street,
+    addressLocality: office.city,
+    addressRegion: office.region || undefined,
+    postalCode: office.postalCode || undefined,
+    addressCountry: "IN",
+  };
+}
+
+/** The firm, rendered on every page by the root layout. */
+export function organizationSchema() {
+  return {
+    "@type": "LegalService",
+    "@id": ORGANIZATION_ID,
+    name: FIRM.name,
+    legalName: FIRM.legalName,
+    url: SITE_URL,
+    logo: absoluteUrl(FIRM.logo),
+    image: absoluteUrl(FIRM.image),
+    description: FIRM.description,
+    email: FIRM.email,
+    telephone: FIRM.telephone,
+    address: postalAddress(FIRM.offices[0]),
+    areaServed: { "@type": "Country", name: "India" },
+    priceRange: "$$",
+    founder: FIRM.founders.map((name) => ({ "@type": "Person", name })),
+    sameAs: FIRM.sameAs,
+  };
+}
+
+export function websiteSchema() {
+  return {
+    "@type": "WebSite",
+    "@id": WEBSITE_ID,
+    name: FIRM.name,
+    url: SITE_URL,
+    inLanguage: "en",
+    publisher: firmReference,
+    // Lets search engines offer a search box for the site (app/search)
+    potentialAction: {
+      "@type": "SearchAction",
+      target: {
+        "@type": "EntryPoint",
+        urlTemplate: `${SITE_URL}/search?q={search_term_string}`,
+      },
+      "query-input": "required name=search_term_string",
+    },
+  };
+}
+
+/**
+ * One node per office. LegalService is schema.org's LocalBusiness type for
+ * law offices, so each office can show up in local results on its own.
+ */
+export function officeSchemas() {
+  return FIRM.offices.map((office) => ({
+    "@type": "LegalService",
+    "@id": `${SITE_URL}/contact-us#${slugify(office.city)}`,
+    name: `${FIRM.name}, ${office.city}`,
+    url: `${SITE_URL}/contact-us`,
+    image: absoluteUrl(FIRM.image),
+    email: FIRM.email,
+    telephone: office.telephone || FIRM.telephone,
+    address: postalAddress(office),
+    hasMap: office.directions,
+    parentOrganization: firmReference,
+  }));
+}
+
+/**
+ * A team profile. schema.org's Attorney type describes a law firm rather
+ * than a person, so lawyers are Persons working for the firm.
+ */
+export function personSchema(member) {
+  const url = `${SITE_URL}/team/${member.slug}`;
+  // Practice areas are free text, one per line or paragraph
+  const knowsAbout = String(member.acf?.practice_areas || "")
+    .split(/<br\s*\/?>|<\/p>|<\/li>|\n|,/i)
+    .map(toPlainText)
+    .filter(Boolean);
+
+  return {
+    "@type": "Person",
+    "@id": `${url}#person`,
+    name: toPlainText(member.title?.rendered),
+    url,
+    jobTitle: member.acf?.designation || undefined,
+    image: getFeaturedImageUrl(member) || member.acf?.banner_image?.url || undefined,
+    description: member.acf?.meta_description || undefined,
+    knowsAbout: knowsAbout.length ? knowsAbout : undefined,
+    worksFor: firmReference,
+  };
+}
+
+/**
+ * An insight, publication or news post.
+ *
+ * @param {string} section URL section, e.g. "insights"
+ * @param {"Article"|"NewsArticle"} [type]
+ */
+export function articleSchema(item, section, type = "Article") {
+  const url = `${SITE_URL}/${section}/${item.slug}`;
+  const author = item._embedded?.author?.[0];
+  return {
+    "@type": type,
+    "@id": `${url}#article`,
+    headline: headline(item.title?.rendered),
+    url,
+    mainEntityOfPage: url,
+    description: item.acf?.meta_description || toPlainText(item.excerpt?.rendered) || undefined,
+    image: getFeaturedImageUrl(item) || item.acf?.mobile_banner?.url || absoluteUrl(FIRM.image),
+    datePublished: isoDate(item),
+    dateModified: isoDate(item, "modified"),
+    author: author?.name ? { "@type": "Person", name: author.name } : firmReference,
+    publisher: firmReference,
+    isPartOf: { "@id": WEBSITE_ID },
+    inLanguage: "en",
+  };
+}
+
+export function podcastSeriesSchema() {
+  return {
+    "@type": "PodcastSeries",
+    "@id": PODCAST_SERIES_ID,
+    name: PODCAST.title,
+    description: PODCAST.description,
+    url: `${SITE_URL}/podcasts`,
+    webFeed: `${SITE_URL}${PODCAST_FEED_PATH}`,
+    image: PODCAST.artwork,
+    author: firmReference,
+    inLanguage: PODCAST.language,
+  };
+}
+
+/** A podcast episode, audio or video (`meta.episode_type`). */
+export function podcastEpisodeSchema(item) {
+  const meta = item.meta || {};
+  const url = `${SITE_URL}/podcasts/${item.slug}`;
+  const name = toPlainText(item.title?.rendered);
+  const image = item.episode_featured_image || getFeaturedImageUrl(item) || PODCAST.artwork;
+  const datePublished = isoDate(item);
+  const seconds = durationSeconds(meta.duration);
+  const isVideo = meta.episode_type === "video";
+
+  return {
+    "@type": "PodcastEpisode",
+    "@id": `${url}#episode`,
+    name,
+    url,
+    description: toPlainText(item.excerpt?.rendered) || item.acf?.meta_description || undefined,
+    datePublished,
+    image,
+    episodeNumber: Number(meta.itunes_episode_number) || undefined,
+    duration: seconds ? `PT${seconds}S` : undefined,
+    associatedMedia: meta.audio_file && {
+      "@type": isVideo ? "VideoObject" : "AudioObject",
+      contentUrl: meta.audio_file,
+      encodingFormat: mediaType(meta.audio_file, meta.episode_type),
+      ...(isVideo && { name, thumbnailUrl: image, uploadDate: datePublished }),
+    },
+    partOfSeries: {
+      "@type": "PodcastSeries",
+      "@id": PODCAST_SERIES_ID,
+      name: PODCAST.title,
+      url: `${SITE_URL}/podcasts`,
+      webFeed: `${SITE_URL}${PODCAST_FEED_PATH}`,
+    },
+    publisher: firmReference,
+  };
+}
+
+/**
+ * FAQs from the ACF faq_<n> / faqs_description_<n> fields, or null when
+ * the item has none.
+ *
+ * @param {Record<string, any>} acf
+ * @param {string} path Page path, e.g. "/insights/my-post"
+ */
+export function faqSchema(acf, path) {
+  const questions = [];
+  for (let i = 1; i <= MAX_FAQS; i++) {
+    const question = acf?.[`faq_${i}`];
+    const answer = acf?.[`faqs_description_${i}`];
+    if (question && answer) {
+      questions.push({
+        "@type": "Question",
+        name: toPlainText(question),
+        acceptedAnswer: { "@type": "Answer", text: answer.trim() },
+      });
+    }
+  }
+  if (!questions.length) return null;
+
+  return {
+    "@type": "FAQPage",
+    "@id": `${SITE_URL}${path}#faq`,
+    url: `${SITE_URL}${path}`,
+    mainEntity: questions,
+  };
+}
+
+/**
+ * Breadcrumbs below the home page.
+ *
+ * @param {[name: string, path: string][]} trail e.g. [["Insights", "/insights"], [title, "/insights/my-post"]]
+ */
+export function breadcrumbSchema(trail) {
+  return {
+    "@type": "BreadcrumbList",
+    itemListElement: [["Home", "/"], ...trail].map(([name, path], i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      name: toPlainText(name),
+      item: `${SITE_URL}${path === "/" ? "" : path}`,
+    })),
+  };
+}
+
+// "2-4 years" → 24 months, the minimum
+function monthsOfExperience(text) {
+  const years = /(\d+)/.exec(text || "");
+  return years ? Number(years[1]) * 12 : null;
+}
+
+/** An opening from the WordPress `jobs` type, as listed on /careers. */
+export function jobPostingSchema(job) {
+  const title = toPlainText(job.title?.rendered);
+  const location = toPlainText(job.acf?.location);
+  const office = FIRM.offices.find((o) => o.city.toLowerCase() === location.toLowerCase());
+  const months = monthsOfExperience(job.acf?.experience);
+
+  return {
+    "@type": "JobPosting",
+    "@id": `${SITE_URL}/careers#${job.slug}`,
+    title,
+    description: job.content?.rendered || job.excerpt?.rendered,
+    url: `${SITE_URL}/careers`,
+    datePosted: isoDate(job),
+    validThrough: job.acf?.valid_through ? new Date(job.acf.valid_through).toISOString() : undefined,
+    employmentType: /intern/i.test(title) ? "INTERN" : "FULL_TIME",
+    hiringOrganization: {
+      "@type": "Organization",
+      name: FIRM.name,
+      url: SITE_URL,
+      sameAs: SITE_URL,
+      logo: absoluteUrl(FIRM.logo),
+    },
+    jobLocation: {
+      "@type": "Place",
+      address: office
+        ? postalAddress(office)
+        : { "@type": "PostalAddress", addressLocality: location || FIRM.offices[0].city, addressCountry: "IN" },
+    },
+    experienceRequirements: months
+      ? { "@type": "OccupationalExperienceRequirements", monthsOfExperience: months }
+      : undefined,
+  };
+}
@@ -0,0 +1,87 @@
+// lib/structuredDataRules.mjs
+//
+// Properties each schema.org type needs before search engines will use it
+// (Google's required properties, plus the ones our pages always have).
+// Shared by the JsonLd component, which leaves out invalid nodes, and by
+// scripts/check-structured-data.mjs, which checks a running site; plain .mjs
+// with no imports so both can load it.
+
+export const REQUIRED_PROPERTIES = {
+  LegalService: ["name", "url", "address"],
+  Organization: ["name", "url"],
+  WebSite: ["name", "url"],
+  SearchAction: ["target", "query-input"],
+  EntryPoint: ["urlTemplate"],
+  PostalAddress: ["addressLocality", "addressCountry"],
+  Person: ["name"],
+  Article: ["headline", "url", "datePublished", "author", "publisher"],
+  NewsArticle: ["headline", "url", "datePublished", "author", "publisher"],
+  PodcastSeries: ["name", "url", "webFeed"],
+  PodcastEpisode: ["name", "url", "datePublished", "associatedMedia", "partOfSeries"],
+  AudioObject: ["contentUrl"],
+  VideoObject: ["contentUrl", "name", "thumbnailUrl", "uploadDate"],
+  FAQPage: ["mainEntity"],
+  Question: ["name", "acceptedAnswer"],
+  Answer: ["text"],
+  BreadcrumbList: ["itemListElement"],
+  ListItem: ["position", "name"],
+  JobPosting: ["title", "description", "datePosted", "hiringOrganization", "jobLocation"],
+  Place: ["address"],
+};
+
+// Google truncates longer headlines and may reject the Article
+const MAX_HEADLINE_LENGTH = 110;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+
+const typesOf = (node) => [node?.["@type"]].flat().filter(Boolean);
+
+/**
+ * Problems with a JSON-LD node and the typed nodes nested in it, as
+ * human-readable strings; an empty list means the node is valid. Nodes that
+ * only reference another by `@id` are not checked.
+ *
+ * @param {Record<string, any>} node
+ * @returns {string[]}
+ */
+export function validateNode(node, path = "") {
+  if (!node || typeof node !== "object") return [];
+  if (Array.isArray(node)) return node.flatMap((child, i) => validateNode(child, `${path}[${i}]`));
+
+  const types = typesOf(node);
+  const label = path || types.join("/") || "node";
+  const isReference = node["@id"] && Object.keys(node).length === 1;
+  const problems = [];
+
+  if (!isReference) {
+    types.forEach((type) => {
+      (REQUIRED_PROPERTIES[type] || []).forEach((property) => {
+        if (isEmpty(node[property])) problems.push(`${label}: ${type} is missing "${property}"`);
+      });
+    });
+    if (typeof node.headline === "string" && node.headline.length > MAX_HEADLINE_LENGTH) {
+      problems.push(`${label}: headline is longer than ${MAX_HEADLINE_LENGTH} characters`);
+    }
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (value && typeof value === "object") {
+      problems.push(...validateNode(value, `${label}.${key}`));
+    }
+  });
+  return problems;
+}
+
+/** Top-level nodes of a JSON-LD document, unwrapping `@graph`. */
+export function graphNodes(document) {
+  return [document]
+    .flat()
+    .flatMap((item) => (item?.["@graph"] ? item["@graph"] : [item]))
+    .filter(Boolean);
+}
+
+/** Every `@type` among a document's top-level nodes. */
+export function graphTypes(document) {
+  return graphNodes(document).flatMap(typesOf);
+}
@@ -0,0 +1,68 @@
+// lib/translationKeys.mjs
+//
+// Compares a locale's messages with the English ones in public/locales.
+// Shared by lib/messages.js, which fills gaps from English at runtime, and by
+// scripts/check-translations.mjs, which reports drift; plain .mjs with no
+// imports so both can load it.
+
+const kindOf = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+const isBranch = (value) => kindOf(value) === "object" || kindOf(value) === "array";
+
+// Strings with nothing to translate: paths, URLs, numbers and symbols
+const isUntranslatable = (value) => /^(\/|https?:)/.test(value) || !/\p{L}/u.test(value);
+
+/**
+ * Differences between `messages` and the `reference` (English) messages, as
+ * dotted keys ("whatWeDo.title", "testimonialDetails.0.name"):
+ * - missing: in the reference but not in `messages`
+ * - extra: in `messages` but not in the reference
+ * - mismatched: a different kind of value (text vs group vs list)
+ * - identical: text left the same as the reference, likely untranslated
+ */
+export function diffMessages(reference, messages) {
+  const result = { missing: [], extra: [], mismatched: [], identical: [] };
+
+  const walk = (expected, actual, path) => {
+    for (const key of Object.keys(expected)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in actual)) {
+        result.missing.push(keyPath);
+      } else if (kindOf(expected[key]) !== kindOf(actual[key])) {
+        result.mismatched.push(keyPath);
+      } else if (isBranch(expected[key])) {
+        walk(expected[key], actual[key], keyPath);
+      } else if (
+        typeof expected[key] === "string" &&
+        expected[key] === actual[key] &&
+        !isUntranslatable(expected[key])
+      ) {
+        result.identical.push(keyPath);
+      }
+    }
+    for (const key of Object.keys(actual)) {
+      if (!(key in expected)) result.extra.push(path ? `${path}.${key}` : key);
+    }
+  };
+
+  walk(reference, messages || {}, "");
+  return result;
+}
+
+/**
+ * `messages` with every missing or mismatched entry taken from `fallback`,
+ * so a key missing from one locale shows in English instead of breaking the
+ * component that reads it.
+ */
+export function withFallback(messages, fallback) {
+  if (!isBranch(fallback)) {
+    return kindOf(messages) === kindOf(fallback) ? messages : fallback;
+  }
+  if (kindOf(messages) !== kindOf(fallback)) return fallback;
+
+  const merged = Array.isArray(messages) ? [...messages] : { ...messages };
+  for (const key of Object.keys(fallback)) {
+    merged[key] = key in messages ? withFallback(messages[key], fallback[key]) : fallback[key];
+  }
+  return merged;
+}
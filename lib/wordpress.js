@@ -0,0 +1,591 @@
+// lib/wordpress.js
+//
+// Single entry point for reading content from the WordPress REST API at
+// docs.aarnalaw.com. Pages and components should call the fetchers below
+// instead of building wp-json URLs by hand, so category IDs, production-mode
+// filtering, caching, timeouts and retries stay consistent across the site.
+import config from "../config.json";
+import { fetchWithRevalidate } from "./fetchWithRevalidate";
+import { isFixtureSource } from "./contentSource";
+import { TRANSLATED_SLUG_FIELDS } from "./localizedFields";
+import { getSiteProductionMode } from "./getProductionMode";
+
+export const WP_API_URL = config.SERVER_URL;
+export const WP_JSON_URL = config.SERVER_FROM;
+
+// Post categories used on the site. Insights are published under 12, 13 and 14;
+// the home page slider only shows the featured category.
+export const CATEGORIES = {
+  NEWS: [9],
+  INSIGHTS: [12, 13, 14],
+  FEATURED_INSIGHTS: [13],
+};
+
+// WordPress page IDs for the legal pages rendered outside the [slug] route.
+export const PAGE_IDS = {
+  PRIVACY_POLICY: 3,
+  TERMS_OF_USE: 1500,
+  DISCLAIMER: 1505,
+};
+
+// Content is refreshed on publish by the /api/revalidate webhook, so the time
+// based revalidation is only a safety net.
+const DEFAULT_REVALIDATE = 86400;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 300;
+// How long a collection's translated-slug map is reused before it is rebuilt
+const TRANSLATED_SLUGS_TTL = 15 * 60 * 1000;
+
+/**
+ * @typedef {Object} Rendered
+ * @property {string} rendered
+ */
+
+/**
+ * @typedef {Object} WPPost
+ * @property {number} id
+ * @property {string} slug
+ * @property {string} date
+ * @property {string} modified
+ * @property {string} type
+ * @property {Rendered} title
+ * @property {Rendered} [content]
+ * @property {Rendered} [excerpt]
+ * @property {number} [featured_media]
+ * @property {number[]} [categories]
+ * @property {Record<string, any>} [acf]
+ * @property {Record<string, any>} [meta]
+ * @property {Record<string, any>} [_embedded]
+ */
+
+/**
+ * @typedef {Object} WPArchive
+ * @property {number|string} id
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} WPMedia
+ * @property {number} id
+ * @property {string} source_url
+ * @property {string} [alt_text]
+ * @property {Record<string, any>} [media_details]
+ */
+
+/**
+ * @typedef {Object} FetchOptions
+ * @property {number} [revalidate] Seconds to cache the response; 0 disables the cache.
+ * @property {number} [timeout] Milliseconds before a single attempt is aborted.
+ * @property {number} [retries] Extra attempts after a network error, timeout or 5xx.
+ * @property {boolean} [preview] Authenticate as the preview user and bypass the cache.
+ * @property {string[]} [tags] Extra cache tags, on top of the collection tag.
+ */
+
+// Serialises params the way the WP REST API expects them: arrays become
+// `key[]=a&key[]=b`, `true` becomes a bare flag (`_embed`) and empty values
+// are dropped.
+function buildQuery(params = {}) {
+  return Object.entries(params)
+    .flatMap(([key, value]) => {
+      if (value === undefined || value === null || value === false) return [];
+      if (value === true) return [key];
+      if (Array.isArray(value)) {
+        return value.map((item) => `${key}[]=${encodeURIComponent(item)}`);
+      }
+      return [`${key}=${encodeURIComponent(value)}`];
+    })
+    .join("&");
+}
+
+export function wpUrl(path, params = {}, base = WP_API_URL) {
+  const query = buildQuery(params);
+  return query ? `${base}${path}?${query}` : `${base}${path}`;
+}
+
+// Cache tag for a REST collection ("wp:posts") or one item in it
+// ("wp:posts:my-slug"); /api/revalidate invalidates these on publish.
+export function wpTag(path, slug) {
+  const collection = path.split("/")[0];
+  return slug ? `wp:${collection}:${slug}` : `wp:${collection}`;
+}
+
+// Only published items flagged for the current site (live or staging). The
+// content getters below default to the site this deployment serves, so pages,
+// layouts and metadata all see the same items unless a caller passes another
+// mode (client components pass the browser's, getClientProductionMode).
+export function publishedFilter(productionMode) {
+  if (!productionMode) return {};
+  return { status: ["publish"], production_mode: [productionMode] };
+}
+
+// Basic auth header for a WordPress application password. Only available on
+// the server; drafts are never requested from the browser.
+function previewHeaders() {
+  const user = process.env.WORDPRESS_PREVIEW_USER;
+  const password = process.env.WORDPRESS_PREVIEW_APP_PASSWORD;
+  if (!user || !password) {
+    throw new Error(
+      "Missing WordPress preview credentials: set WORDPRESS_PREVIEW_USER and WORDPRESS_PREVIEW_APP_PASSWORD.",
+    );
+  }
+  const token = Buffer.from(`${user}:${password}`).toString("base64");
+  return { Authorization: `Basic ${token}` };
+}
+
+// Where browser requests go instead of WordPress: the route answers through
+// wpFetch on the server, so client components get prepared HTML too
+// (app/api/wordpress/[...path]/route.js)
+const BROWSER_API_URL = "/api/wordpress/";
+
+// On the server, rendered HTML goes through the sanitize/rewrite pipeline in
+// lib/html.js. The `typeof window` check is compiled away in client bundles,
+// so the sanitizer is never bundled for the browser.
+async function prepareHtml(data) {
+  if (typeof window === "undefined") {
+    const { prepareContent } = await import("./html");
+    return prepareContent(data);
+  }
+  return data;
+}
+
+/**
+ * Fetches a WordPress REST path and returns the parsed JSON body, with
+ * rendered HTML sanitized (on the server, or by /api/wordpress for the
+ * browser).
+ *
+ * @param {string} path e.g. "posts" or "media/123"
+ * @param {Record<string, any>} [params]
+ * @param {FetchOptions & { base?: string }} [options]
+ */
+export async function wpFetch(path, params = {}, options = {}) {
+  const {
+    revalidate = DEFAULT_REVALIDATE,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    base = WP_API_URL,
+    preview = false,
+    tags = [],
+  } = options;
+
+  const isBrowser = typeof window !== "undefined";
+
+  // Offline development: answer from recorded fixtures instead of WordPress
+  if (isFixtureSource() && !isBrowser) {
+    const { resolveFixture } = await import("./fixtures");
+    return prepareHtml(await resolveFixture(path, params));
+  }
+
+  const url = wpUrl(path, params, isBrowser ? BROWSER_API_URL : base);
+  const headers = preview ? previewHeaders() : undefined;
+  const next = { tags: [wpTag(path), ...tags] };
+
+  // Retries, timeouts and falling back to the last good copy happen there
+  const res = await fetchWithRevalidate(url, preview ? 0 : revalidate, {
+    headers,
+    next,
+    retries,
+    retryDelay: RETRY_DELAY,
+    timeout,
+  });
+  if (res.ok) return prepareHtml(await res.json());
+
+  const error = new Error(`Failed to fetch ${path}: ${res.status} ${res.statusText}`);
+  error.status = res.status;
+  throw error;
+}
+
+async function fetchList(path, params, options) {
+  const data = await wpFetch(path, params, options);
+  return Array.isArray(data) ? data : [];
+}
+
+// Every page of a collection query, 100 items at a time
+async function fetchAll(path, params, options) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    let batch;
+    try {
+      batch = await fetchList(path, { ...params, per_page: 100, page }, options);
+    } catch (error) {
+      // WordPress answers 400 for a page past the end
+      if (page > 1 && error.status === 400) break;
+      throw error;
+    }
+    items.push(...batch);
+    if (batch.length < 100) break;
+  }
+  return items;
+}
+
+const decodeSlug = (slug) => {
+  try {
+    return decodeURIComponent(slug);
+  } catch {
+    return slug;
+  }
+};
+
+if (!globalThis.__TRANSLATED_SLUGS) {
+  globalThis.__TRANSLATED_SLUGS = new Map();
+}
+const translatedSlugs = globalThis.__TRANSLATED_SLUGS;
+
+// Translated slug (acf.hindi_slug etc., see lib/localizedFields.js) -> real
+// slug for every item of a collection query. Building it pages through the
+// whole collection, so it is built once per collection and filter and reused
+// until TRANSLATED_SLUGS_TTL has passed or resetTranslatedSlugs is called.
+function getTranslatedSlugs(path, params, options) {
+  const key = `${path}?${JSON.stringify(params || {})}`;
+  const cached = translatedSlugs.get(key);
+  if (cached && Date.now() - cached.builtAt <= TRANSLATED_SLUGS_TTL) return cached.promise;
+
+  const fields = ["slug", ...TRANSLATED_SLUG_FIELDS.map((field) => `acf.${field}`)];
+  const promise = fetchAll(path, { _fields: fields.join(","), ...params }, options).then(
+    (items) => {
+      const slugs = new Map();
+      for (const item of items) {
+        for (const field of TRANSLATED_SLUG_FIELDS) {
+          if (item.acf?.[field]) slugs.set(item.acf[field], item.slug);
+        }
+      }
+      return slugs;
+    },
+    (error) => {
+      translatedSlugs.delete(key);
+      throw error;
+    },
+  );
+  translatedSlugs.set(key, { builtAt: Date.now(), promise });
+  return promise;
+}
+
+/** Drops the translated-slug maps so the next lookup rebuilds them. */
+export function resetTranslatedSlugs() {
+  translatedSlugs.clear();
+}
+
+// The real slug of the item with `slug` as one of its translated slugs, or null
+async function findTranslatedSlug(path, slug, params, options) {
+  const slugs = await getTranslatedSlugs(path, params, options);
+  return slugs.get(decodeSlug(slug)) || null;
+}
+
+async function fetchBySlug(path, slug, params, options, { translated = true } = {}) {
+  if (!slug) return null;
+  const data = await fetchList(
+    path,
+    { _embed: true, slug, ...params },
+    { ...options, tags: [wpTag(path, slug), ...(options?.tags || [])] },
+  );
+  if (data[0] || !translated) return data[0] || null;
+
+  const original = await findTranslatedSlug(path, slug, params, options);
+  return original ? fetchBySlug(path, original, params, options, { translated: false }) : null;
+}
+
+export const byTitle = (a, b) => a.title.rendered.localeCompare(b.title.rendered);
+export const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+
+// Archives (years that have posts), newest first.
+/** @returns {Promise<WPArchive[]>} */
+export async function getArchives(options) {
+  const archives = await fetchList("archives", {}, options);
+  return archives.sort((a, b) => parseInt(b.name, 10) - parseInt(a.name, 10));
+}
+
+/**
+ * @param {{ productionMode?: string, year?: string|number, page?: number, perPage?: number, categories?: number[] }} [query]
+ * @param {FetchOptions} [options]
+ * @returns {Promise<WPPost[]>}
+ */
+export async function getInsights(
+  {
+    productionMode = getSiteProductionMode(),
+    year,
+    page = 1,
+    perPage = 6,
+    categories = CATEGORIES.INSIGHTS,
+  } = {},
+  options,
+) {
+  const posts = await fetchList(
+    "posts",
+    {
+      _embed: true,
+      per_page: perPage,
+      page,
+      categories: categories.join(","),
+      after: year ? `${year}-01-01T00:00:00` : undefined,
+      before: year ? `${year}-12-31T23:59:59` : undefined,
+      ...publishedFilter(productionMode),
+    },
+    options,
+  );
+  return posts.sort(byDateDesc);
+}
+
+/**
+ * Returns the insight for `slug`, or null if it does not exist or is not
+ * filed under one of the insight categories.
+ *
+ * @returns {Promise<WPPost|null>}
+ */
+export async function getInsightBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  const post = await fetchBySlug("posts", slug, publishedFilter(productionMode), options);
+  if (!post) return null;
+  const allowed = post.categories?.some((id) => CATEGORIES.INSIGHTS.includes(id));
+  return allowed ? post : null;
+}
+
+/** @returns {Promise<WPPost[]>} */
+export function getNews(
+  { productionMode = getSiteProductionMode(), page = 1, perPage = 6 } = {},
+  options,
+) {
+  return getInsights(
+    { productionMode, page, perPage, categories: CATEGORIES.NEWS },
+    options,
+  );
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getNewsBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("posts", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} */
+export function getPodcasts(
+  { productionMode = getSiteProductionMode(), page = 1, perPage = 6 } = {},
+  options,
+) {
+  return fetchList(
+    "podcast",
+    { _embed: true, per_page: perPage, page, ...publishedFilter(productionMode) },
+    options,
+  );
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getPodcastBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("podcast", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} */
+export async function getPublications(
+  { productionMode = getSiteProductionMode(), perPage = 100 } = {},
+  options,
+) {
+  const publications = await fetchList(
+    "publications",
+    { _embed: true, per_page: perPage, ...publishedFilter(productionMode) },
+    options,
+  );
+  return publications.sort(byDateDesc);
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getPublicationBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("publications", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} */
+export function getTeamMembers(
+  { productionMode = getSiteProductionMode(), perPage = 100 } = {},
+  options,
+) {
+  return fetchList(
+    "team",
+    { _embed: true, per_page: perPage, ...publishedFilter(productionMode) },
+    options,
+  );
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getTeamMemberBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("team", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} Sorted by title. */
+export async function getPracticeAreas(
+  { productionMode = getSiteProductionMode(), page = 1, perPage = 100 } = {},
+  options,
+) {
+  const practiceAreas = await fetchList(
+    "practice-areas",
+    { _embed: true, per_page: perPage, page, ...publishedFilter(productionMode) },
+    options,
+  );
+  return practiceAreas.sort(byTitle);
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getPracticeAreaBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("practice-areas", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} Sorted by title. */
+export async function getIndustries(
+  { productionMode = getSiteProductionMode(), perPage = 100 } = {},
+  options,
+) {
+  const industries = await fetchList(
+    "industries",
+    { _embed: true, per_page: perPage, ...publishedFilter(productionMode) },
+    options,
+  );
+  return industries.sort(byTitle);
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getIndustryBySlug(
+  slug,
+  { productionMode = getSiteProductionMode() } = {},
+  options,
+) {
+  return fetchBySlug("industries", slug, publishedFilter(productionMode), options);
+}
+
+/** @returns {Promise<WPPost[]>} Newest first. */
+export async function getJobs(
+  { productionMode = getSiteProductionMode(), perPage = 100 } = {},
+  options,
+) {
+  const jobs = await fetchList(
+    "jobs",
+    { _embed: true, per_page: perPage, ...publishedFilter(productionMode) },
+    options,
+  );
+  return jobs.sort(byDateDesc);
+}
+
+/**
+ * Every item in a collection, paged through 100 at a time. Pass `fields` to
+ * fetch only those fields; `embedMedia` adds the embedded featured image.
+ *
+ * @param {string} path e.g. "posts" or "team"
+ * @param {{ productionMode?: string, categories?: number[], fields?: string[], embedMedia?: boolean }} [query]
+ * @param {FetchOptions} [options]
+ * @returns {Promise<WPPost[]>}
+ */
+export async function getAllItems(
+  path,
+  { productionMode, categories, fields, embedMedia = false } = {},
+  options,
+) {
+  return fetchAll(
+    path,
+    {
+      // Embedded items are dropped unless _links and _embedded are requested
+      _fields: fields && [...fields, ...(embedMedia ? ["_links", "_embedded"] : [])].join(","),
+      _embed: embedMedia ? "wp:featuredmedia" : undefined,
+      categories: categories?.join(","),
+      ...publishedFilter(productionMode),
+    },
+    options,
+  );
+}
+
+/**
+ * Every slug in a collection, for generateStaticParams.
+ *
+ * @param {string} path e.g. "posts" or "team"
+ * @param {{ productionMode?: string, categories?: number[] }} [query]
+ * @returns {Promise<string[]>}
+ */
+export async function getSlugs(path, query = {}, options) {
+  const items = await getAllItems(path, { ...query, fields: ["slug"] }, options);
+  return items.map((item) => item.slug).filter(Boolean);
+}
+
+/** @returns {Promise<WPPost|null>} */
+export function getPageBySlug(slug, options) {
+  return fetchBySlug("pages", slug, {}, options);
+}
+
+/** @returns {Promise<WPPost>} */
+export function getPageById(id, options) {
+  return wpFetch(`pages/${id}`, {}, options);
+}
+
+/** @returns {Promise<WPMedia|null>} */
+export async function getMedia(id, options) {
+  if (!id) return null;
+  try {
+    return await wpFetch(`media/${id}`, {}, options);
+  } catch (error) {
+    console.error("Error fetching media:", error);
+    return null;
+  }
+}
+
+// Featured image URL from an `_embed`ed item, made absolute when WordPress
+// returns a site-relative path.
+export function getFeaturedImageUrl(item) {
+  const url = item?._embedded?.["wp:featuredmedia"]?.[0]?.source_url;
+  if (!url) return null;
+  return url.startsWith("http") ? url : `${new URL(WP_JSON_URL).origin}${url}`;
+}
+
+const PREVIEW_STATUSES = ["publish", "draft", "pending", "future", "private"];
+
+/**
+ * Loads the editor's latest version of an item for draft mode: the item itself
+ * (by ID, or by slug across all non-trashed statuses) with its newest autosave
+ * revision applied on top when that is more recent than the saved item.
+ *
+ * @param {string} path REST collection, e.g. "posts" or "practice-areas"
+ * @param {{ id?: string|number, slug?: string }} lookup
+ * @returns {Promise<WPPost|null>}
+ */
+export async function getPreviewItem(path, { id, slug } = {}) {
+  const options = { preview: true };
+  let item = null;
+
+  if (id) {
+    item = await wpFetch(`${path}/${id}`, { _embed: true }, options);
+  } else if (slug) {
+    item = await fetchBySlug(path, slug, { status: PREVIEW_STATUSES }, options);
+  }
+  if (!item) return null;
+
+  const autosaves = await fetchList(`${path}/${item.id}/autosaves`, {}, options).catch(
+    () => [],
+  );
+  const [autosave] = autosaves.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  if (autosave && new Date(autosave.modified) > new Date(item.modified)) {
+    item = {
+      ...item,
+      title: autosave.title ?? item.title,
+      content: autosave.content ?? item.content,
+      excerpt: autosave.excerpt ?? item.excerpt,
+      modified: autosave.modified,
+    };
+  }
+
+  return item;
+}
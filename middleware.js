@@ -0,0 +1,126 @@
+import { NextResponse } from "next/server";
+import { findRedirect, loadRedirectRules } from "@/lib/redirects";
+import { requiresStagingLogin, stagingLoginResponse } from "@/lib/stagingAuth";
+import {
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  LOCALE_COOKIE_MAX_AGE,
+  LOCALE_HEADER,
+  PATH_HEADER,
+  isLocale,
+  localizedPath,
+  negotiateLocale,
+  splitLocale,
+} from "@/lib/locales";
+
+// Remember the locale of the page being served, so unprefixed links on it
+// lead back into the same language
+function rememberLocale(request, response, locale) {
+  if (request.cookies.get(LOCALE_COOKIE)?.value === locale) return response;
+  response.cookies.set(LOCALE_COOKIE, locale, {
+    path: "/",
+    maxAge: LOCALE_COOKIE_MAX_AGE,
+    sameSite: "lax",
+  });
+  return response;
+}
+
+// The locale to send an unprefixed request to: the saved choice, else the
+// browser's languages
+function preferredLocale(request) {
+  const saved = request.cookies.get(LOCALE_COOKIE)?.value;
+  if (isLocale(saved)) return saved;
+  return negotiateLocale(request.headers.get("accept-language")) || DEFAULT_LOCALE;
+}
+
+// The request headers passed on to the app, with the pathname as requested
+// in PATH_HEADER (logged by the 404 page, app/not-found.js)
+function appHeaders(request) {
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set(PATH_HEADER, request.nextUrl.pathname);
+  return requestHeaders;
+}
+
+// Serves `path` with the locale passed to the app in LOCALE_HEADER.
+// WHY: Set on every request, never trusted from the client, so a stray
+// header cannot render another language at an English URL.
+function serveLocale(request, path, locale) {
+  const requestHeaders = appHeaders(request);
+  requestHeaders.set(LOCALE_HEADER, locale);
+  const options = { request: { headers: requestHeaders } };
+
+  if (path === request.nextUrl.pathname) return NextResponse.next(options);
+  const url = request.nextUrl.clone();
+  url.pathname = path;
+  return NextResponse.rewrite(url, options);
+}
+
+// Pages, as opposed to API routes, generated images and files (sitemaps,
+// feeds, llms.txt, *.md renditions, public assets)
+const PAGE_PATH = /^\/(?!api\/|og\/|.*\.[^/]+$)/;
+
+/**
+ * Asks for the staging login when one is configured, applies redirect rules
+ * from redirects/redirects.json and the CMS, then resolves the locale
+ * WHY: Editors can retire or move URLs without a code deploy.
+ * Query strings are carried over unless the destination sets its own.
+ * Rules match the unprefixed path, and keep the locale of "/hi/..." URLs.
+ *
+ * Locales: "/hi/insights/x" is served as "/insights/x" in Hindi. Unprefixed
+ * URLs redirect to the visitor's saved or browser locale when that is not
+ * English; "/en/..." redirects to the unprefixed URL.
+ */
+export async function middleware(request) {
+  if (requiresStagingLogin(request)) return stagingLoginResponse();
+
+  const { pathname, search } = request.nextUrl;
+  if (!PAGE_PATH.test(pathname)) {
+    return NextResponse.next({ request: { headers: appHeaders(request) } });
+  }
+
+  const { locale, path } = splitLocale(pathname);
+
+  const match = findRedirect(path, await loadRedirectRules());
+
+  if (match?.status === 410) {
+    return new NextResponse("Gone", {
+      status: 410,
+      headers: { "content-type": "text/plain; charset=utf-8" },
+    });
+  }
+
+  if (match) {
+    const destination =
+      locale && match.destination.startsWith("/")
+        ? localizedPath(match.destination, locale)
+        : match.destination;
+    const url = new URL(destination, request.url);
+    if (!url.search && search) url.search = search;
+    return NextResponse.redirect(url, match.status);
+  }
+
+  if (locale === DEFAULT_LOCALE) {
+    const url = new URL(`${path}${search}`, request.url);
+    return rememberLocale(request, NextResponse.redirect(url, 308), locale);
+  }
+
+  if (locale) return rememberLocale(request, serveLocale(request, path, locale), locale);
+
+  const preferred = preferredLocale(request);
+  if (preferred !== DEFAULT_LOCALE) {
+    const url = new URL(`${localizedPath(path, preferred)}${search}`, request.url);
+    const response = NextResponse.redirect(url, 307);
+    response.headers.set("vary", "Cookie, Accept-Language");
+    return response;
+  }
+
+  const response = serveLocale(request, path, DEFAULT_LOCALE);
+  response.headers.set("vary", "Cookie, Accept-Language");
+  return response;
+}
+
+export const config = {
+  // Everything but Next.js internals, so the staging login covers API routes
+  // and files too; only pages go on to redirects and locales
+  matcher: ["/((?!_next/).*)"],
+};
@@ -0,0 +1,533 @@
+const as = {
+  menu: {
+    about: "আমাৰ বিষয়ে",
+    thefirm: "ফাৰ্ম",
+    testimonials: "প্ৰশংসাপত্ৰ",
+    practiceareas: "প্ৰেক্টিছ ক্ষেত্ৰ",
+    industries: "উদ্যোগ",
+    newsinsights: "বাতৰি আৰু অন্তৰ্দৃষ্টি",
+    insights: "অন্তৰ্দৃষ্টি",
+    aarnanews: "আৰ্না বাতৰি",
+    publications: "প্ৰকাশন",
+    podcasts: "পডকাষ্ট",
+    careers: "কেৰিয়াৰ",
+    contactus: "আমাৰ সৈতে যোগাযোগ কৰক",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "প্ৰেক্টিছ ক্ষেত্ৰ",
+  },
+  industriesTitle: {
+    industries: "উদ্যোগ",
+  },
+  insightsTitle: {
+    insights: "অন্তৰ্দৃষ্টি",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "আৰ্না বাতৰি",
+  },
+  publicationsTitle: {
+    publications: "প্ৰকাশন",
+  },
+  podcastsTitle: {
+    podcasts: "পডকাষ্ট",
+  },
+  careersTitle: {
+    careers: "কেৰিয়াৰ",
+  },
+  contactUsTitle: {
+    contactUs: "আমাৰ সৈতে যোগাযোগ কৰক",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "আমাৰ বিষয়ে",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "আমি কি কৰোঁ",
+    headline: "আমি বিশ্বজনীন দৃষ্টিভংগীৰ অধিবক্তাৰ এটা বঁটাবিজয়ী দল",
+    para1:
+      "মানদণ্ডভিত্তিক আৰু মূল্যবোধভিত্তিক আইনী সেৱা প্ৰদানৰ দৃঢ় প্ৰতিশ্ৰুতিৰে আৰ্না ল' প্ৰতিষ্ঠা কৰা হৈছিল, যাতে যিসকলৰ আমি সেৱা কৰোঁ তেওঁলোকৰ সৈতে গভীৰ আৰু স্থায়ী সম্পৰ্ক গঢ়ি উঠে। আমি আমাৰ ক্লায়েণ্টৰ ব্যৱসায় আৰু বাণিজ্যিক লক্ষ্য বুজি পাবলৈ সময় আৰু পৰিশ্ৰম দিওঁ, যাৰ ফলত আমি প্ৰসংগ অনুসৰি প্ৰাসংগিক আৰু ৰণনৈতিকভাৱে সুদৃঢ় সমাধান প্ৰস্তুত কৰিব পাৰোঁ।",
+    para2:
+      "আমাৰ দৃষ্টিভংগী উদ্ভাৱনী আৰু ব্যৱসায়-সচেতন, যাৰ ভেটি হৈছে অভিজ্ঞ অধিবক্তাৰ এটা দল, যিসকল বাণিজ্যিকভাৱে বিচক্ষণ, প্ৰত্যক্ষভাৱে জড়িত আৰু সমাধানমুখী।",
+  },
+
+  ourLegacy: {
+    legacyTitle: "আমাৰ উত্তৰাধিকাৰ",
+    legacyHeadline:
+      "বিভিন্ন ক্ষেত্ৰ, উদ্যোগ আৰু আন্তঃৰাষ্ট্ৰীয় সীমা অতিক্ৰম কৰি আমাৰ আইনী সেৱা আৰু সমাধানে সততা আৰু গোপনীয়তাৰ সৰ্বোচ্চ মানদণ্ড বজাই ৰাখে",
+    legacyPara:
+      "সকলোতকৈ ওপৰত, আমাৰ বঁটাবিজয়ী প্ৰেক্টিছ প্ৰতিজন ক্লায়েণ্টৰ সৈতে গঢ়ি তোলা স্থায়ী সম্পৰ্কৰ ওপৰত প্ৰতিষ্ঠিত। আমি দিয়া আইনী আৰু বাণিজ্যিক পৰামৰ্শই আমাৰ ক্লায়েণ্টৰ ব্যৱসায়িক স্বাৰ্থৰ এই সচেতন বুজাবুজিক প্ৰতিফলিত কৰে।",
+  },
+
+  founderMessage: {
+    founderTitle: "আমাৰ প্ৰতিষ্ঠাপকসকলৰ বাৰ্তা",
+    founderPara:
+      "সৰু, মধ্যম আৰু ডাঙৰ সকলো ধৰণৰ উদ্যোগৰ ক্লায়েণ্টৰ সেৱা কৰাৰ আৰু ভাৰত গণৰাজ্যৰ হৈ অধিবক্তা হিচাপে থকাৰ সৌভাগ্য পোৱাৰ বাবে আমি অতি কৃতজ্ঞ। পূৰ্বৰ প্ৰজন্মৰ আশীৰ্বাদ আৰু তেওঁলোকৰ ওখ কান্ধক আমি বিনম্ৰভাৱে স্বীকাৰ কৰোঁ। তেওঁলোকে দিয়া গভীৰ মূল্যবোধে আমাক এনে এখন মঞ্চ গঢ়িবলৈ অনুপ্ৰাণিত কৰি আছে যিয়ে সমূহীয়াভাৱে আমাৰ শ্ৰেষ্ঠ ৰূপ উজলাই তোলে, যেতিয়া আমি আমাৰ ক্লায়েণ্টৰ সেৱা কৰিবলৈ আৰু ন্যায়ৰ লক্ষ্য আগুৱাই নিবলৈ চেষ্টা কৰোঁ।",
+    founderName1: "কমলা নাগানন্দ",
+    founderDescription1: "মেনেজিং পাৰ্টনাৰ",
+    founderName2: "শ্ৰেয়স জয়সিংহ",
+    founderDescription2: "প্ৰতিষ্ঠাপক পাৰ্টনাৰ",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "জয়সিংহ ফাউণ্ডেচন",
+    jayasimhaPara1:
+      "প্ৰয়াত ন্যায়াধীশ আৰ জয়সিংহ বাবু (১৯৪২-২০১৫)ৰ স্মৃতিত প্ৰতিষ্ঠিত জয়সিংহ ফাউণ্ডেচনে এক গৌৰৱময় উত্তৰাধিকাৰ আগুৱাই লৈ গৈছে, যাৰ শিপা সেৱাৰ মনোভাৱৰ জৰিয়তে উৎকৰ্ষৰ সাধনাত নিহিত।",
+    jayasimhaPara2:
+      "এই ফাউণ্ডেচনে সততা, সাহস আৰু অনুশাসনৰ সেই পথনিৰ্দেশক নীতিসমূহ ধাৰণ কৰে, যাৰ উদাহৰণ আছিল ন্যায়াধীশ জয়সিংহ বাবু।",
+    jayasimhaPara3:
+      "মাদ্ৰাজ উচ্চ ন্যায়ালয় আৰু তাৰ আগতে কৰ্ণাটক উচ্চ ন্যায়ালয়ৰ ন্যায়াধীশ হিচাপে তেওঁৰ বিশিষ্ট নিযুক্তিৰ সময়ত ন্যায়াধীশ জয়সিংহ বাবুৱে সাংবিধানিক আইন, কোম্পানী আৰু বাণিজ্যিক আইন আৰু কৰ সম্পৰ্কীয় বহুলভাৱে উদ্ধৃত ৰায় দিছিল। ইয়াৰ উপৰিও, দেশীয় আৰু আন্তঃৰাষ্ট্ৰীয় বিবাদত সালিচকাৰী হিচাপে বিবাদ নিষ্পত্তিৰ প্ৰতি তেওঁৰ বিচক্ষণ দৃষ্টিভংগীক অতি সন্মানেৰে চোৱা হৈছিল।",
+    jayasimhaPara4:
+      "কৰ্ণাটকী, হিন্দুস্তানী আৰু পাশ্চাত্য শাস্ত্ৰীয় সংগীতৰ ৰসজ্ঞ ন্যায়াধীশ বাবু আইনৰ জগতত যুৱ প্ৰতিভাক উৎসাহিত আৰু সবল কৰি তুলিবলৈ আগ্ৰহী আছিল।",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "আপুনি আমাৰ দলত যোগদান কৰিব বিচাৰিবনে?",
+    joinTeamPara:
+      "আমি এটা উদ্ভাৱনী প্ৰতিষ্ঠান যিয়ে ইজনে সিজনক বিকশিত আৰু সমৃদ্ধ হোৱাত সক্ষম কৰে। সততা, দক্ষতা, দলগত কাম আৰু পৰোপকাৰ আমাৰ বুটিক প্ৰেক্টিছৰ মূল স্তম্ভ।",
+    joinTeamOpening: "বৰ্তমানৰ খালী পদ চাওক",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "প্ৰেক্টিছ ক্ষেত্ৰ",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "পাৰ্টনাৰ",
+    aboutPartnerPara:
+      "আমাৰ দক্ষ দলৰ বিশেষজ্ঞতাই আমাৰ প্ৰেক্টিছক চিন্তাশীল নেতৃত্ব, দিশনিৰ্দেশনা আৰু উৎকৰ্ষৰ সাধনাত দৃঢ় কৰি ৰাখে...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "প্ৰশংসাপত্ৰ",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "কুণাল শ্বাহ",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ সন্তোষজনক ফলাফল দিয়াৰ বাবে দলটোৰ কঠোৰ পৰিশ্ৰম আৰু প্ৰতিশ্ৰুতিক আমি গভীৰভাৱে প্ৰশংসা কৰোঁ।”",
+      fullTestimonial: `আমি আনন্দেৰে জনাইছোঁ যে আৰ্না ল'ই আগবঢ়োৱা সেৱাত ৱানপেপাৰ সম্পূৰ্ণ সন্তুষ্ট। বিধিশা, পুন্তি আৰু গোটেই দলটোৱে আমাৰ প্ৰয়োজন পূৰণ কৰাত অসাধাৰণ দক্ষতা আৰু নিষ্ঠা দেখুৱাইছিল। তেওঁলোকৰ প্ৰচেষ্টা আৰু সময়োপযোগী সহায়ে আমাৰ গোচৰত অনুকূল আদেশ লাভ কৰাত গুৰুত্বপূৰ্ণ ভূমিকা লৈছিল।
+        সন্তোষজনক ফলাফল দিয়াৰ বাবে দলটোৰ কঠোৰ পৰিশ্ৰম আৰু প্ৰতিশ্ৰুতিক আমি গভীৰভাৱে প্ৰশংসা কৰোঁ।
+        আপোনালোকৰ সহযোগিতাৰ বাবে পুনৰ ধন্যবাদ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "পল্লৱী ৰাও আৰু অৰুণ কিজপাদাথিল",
+      post: "প্ৰতিষ্ঠাপক",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ বিশ্বজুৰি বিচাৰি চোৱাৰ পিছত আমি আৰ্না ল' বিচাৰি পাইছিলোঁ আৰু আমি অতি আনন্দিত যে পাইছিলোঁ। ”",
+      fullTestimonial: `আমি এনে এটা আইন প্ৰতিষ্ঠান বিচাৰি আছিলোঁ যি আন্তৰিক, দক্ষ, সোনকালে সঁহাৰি দিয়া আৰু আমাৰ ব্যৱসায় বুজি পোৱা হ'ব, আৰু আৰ্না ল' আমাৰ বাবে এই সকলোবোৰ আৰু তাতোকৈ বেছি হৈ উঠিছে। বিশ্বজুৰি বিচাৰি চোৱাৰ পিছত আমি আৰ্না ল' বিচাৰি পাইছিলোঁ আৰু আমি অতি আনন্দিত যে পাইছিলোঁ।`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "টনি হেলছ",
+      post: "চিইঅ'",
+      desingnation: "OG Healthcare",
+      desc: "“আৰ্না ল'ই আমাৰ নিৰ্দিষ্ট প্ৰয়োজনসমূহ সময়মতে আৰু বাজেটৰ ভিতৰত পূৰণ কৰিব পাৰিলে - সঁচাকৈয়ে বহু ক্ষেত্ৰত জ্ঞান, অভিজ্ঞতা আৰু নেটৱৰ্ক থকা এটা পেছাদাৰী ফাৰ্ম।”",
+      fullTestimonial: `প্ৰাৰম্ভিক পৰামৰ্শ আৰু পিছৰ আইনী সেৱাৰ বাবে শ্ৰেয়স আৰু আৰ্না ল'ৰ দলক ধন্যবাদ। এইটো কোনো সাধাৰণ গোচৰ নাছিল, তথাপিও আৰ্না ল'ই আমাৰ নিৰ্দিষ্ট প্ৰয়োজনসমূহ সময়মতে আৰু বাজেটৰ ভিতৰত পূৰণ কৰিব পাৰিলে - সঁচাকৈয়ে বহু ক্ষেত্ৰত জ্ঞান, অভিজ্ঞতা আৰু নেটৱৰ্ক থকা এটা পেছাদাৰী ফাৰ্ম। পুনৰ ধন্যবাদ।`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "বিনয় ভগৱান",
+      post: "জেনেৰেল কাউন্সেল",
+      desingnation: "Daimler Trucks India",
+      desc: "“উচ্চমানৰ আইনী প্ৰতিনিধিত্ব বিচৰা যিকোনো ব্যক্তিক মই আন্তৰিকতাৰে আৰ্না ল' আৰু ইয়াৰ উৎকৃষ্ট দলৰ পৰামৰ্শ দিওঁ।”",
+      fullTestimonial: `আৰ্না ল'ৰ সৈতে মোৰ অভিজ্ঞতা অসাধাৰণতকৈ কম নহয়। ফাৰ্মটোৰ প্ৰতিষ্ঠাপক পাৰ্টনাৰ শ্ৰেয়স আৰু কমলাই উল্লেখযোগ্য দূৰদৃষ্টি আৰু নিষ্ঠাৰে ফাৰ্মটো পৰিচালনা কৰি ইয়াক নতুন উচ্চতালৈ লৈ গৈছে। তেওঁলোকৰ নেতৃত্ব আৰু উৎকৰ্ষৰ প্ৰতি গভীৰ প্ৰতিশ্ৰুতিয়ে আৰ্না ল'ক আইনী জগতত পৃথক কৰি তোলে।
+      স্বামী-স্ত্ৰীৰ দল হিচাপে শ্ৰেয়স আৰু কমলাই ফাৰ্মটোলৈ এক অনন্য উদ্যম আনে, নিজৰ ব্যক্তিগত শক্তিসমূহ মিলাই এক সুসংহত আৰু অতি ফলপ্ৰসূ অংশীদাৰিত্ব গঢ়ি তোলে। তেওঁলোকৰ ৰণনৈতিক বিচক্ষণতা আৰু সূক্ষ্ম মনোযোগে জটিল আইনী প্ৰত্যাহ্বানত আমাক পথ দেখুওৱাত গুৰুত্বপূৰ্ণ ভূমিকা লৈছে।
+      উদ্ভাৱনৰ প্ৰতি তেওঁলোকৰ আগ্ৰহে মোক বিশেষভাৱে মুগ্ধ কৰিছে, বিশেষকৈ নিজৰ প্ৰেক্টিছত অত্যাধুনিক প্ৰযুক্তি সংযোগ কৰাৰ প্ৰচেষ্টাই। এই অগ্ৰগামী দৃষ্টিভংগীয়ে কেৱল দক্ষতাই বৃদ্ধি নকৰে, বৰং নিশ্চিত কৰে যে ক্লায়েণ্টসকলে উপলব্ধ আটাইতকৈ উন্নত আৰু ফলপ্ৰসূ আইনী সমাধান লাভ কৰে।
+      কাৰিকৰী দক্ষতাৰ উপৰিও শ্ৰেয়স আৰু কমলা তেওঁলোকৰ সততা, নৈতিক মানদণ্ড আৰু ক্লায়েণ্টৰ প্ৰতি প্ৰকৃত যত্নৰ বাবে পৰিচিত। তেওঁলোকে আস্থা আৰু উৎকৰ্ষৰ এনে এক সংস্কৃতি গঢ়ি তুলিছে যি গোটেই ফাৰ্মত বিয়পি আছে।
+      উচ্চমানৰ আইনী প্ৰতিনিধিত্ব বিচৰা যিকোনো ব্যক্তিক মই আন্তৰিকতাৰে আৰ্না ল' আৰু ইয়াৰ উৎকৃষ্ট দলৰ পৰামৰ্শ দিওঁ।`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "নবীন ৰেড্ডী",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“কৰ্মচাৰী চুক্তিৰ পৰা বাণিজ্যিক চুক্তিৰ খচৰালৈকে মোৰ সকলো আইনী প্ৰয়োজনত আৰ্না ল'ই মোক সহায় কৰিছে।”",
+      fullTestimonial: `কৰ্মচাৰী চুক্তিৰ পৰা বাণিজ্যিক চুক্তিৰ খচৰালৈকে মোৰ সকলো আইনী প্ৰয়োজনত আৰ্না ল'ই মোক সহায় কৰিছে। ব্যৱসায় সম্পৰ্কীয় সকলো সমস্যা তেওঁলোকে সহজে আৰু সূক্ষ্ম মনোযোগেৰে সমাধান কৰিছে। মোৰ সকলো আইনী প্ৰয়োজনৰ বাবে মই তেওঁলোকৰ ওচৰলৈকে যাওঁ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "আশিকা আব্ৰাহাম",
+      post: "প্ৰতিষ্ঠাপক",
+      desingnation: "Mammamiya",
+      desc: "“ আৰ্না ল'ত শ্ৰেয়স আৰু কমলা আৰু তেওঁলোকৰ দলৰ সৈতে কাম কৰি মই বৰ ভাল পাইছোঁ - মূলতঃ কাৰণ তেওঁলোকৰ আইনী মতামত সদায় প্ৰজ্ঞা, দৃষ্টিভংগী আৰু বাণিজ্যিক, সামাজিক আৰু ৰাজনৈতিক প্ৰসংগৰ সৈতে সন্তুলিত হয়।”",
+      fullTestimonial: `আৰ্না ল'ত শ্ৰেয়স আৰু কমলা আৰু তেওঁলোকৰ দলৰ সৈতে কাম কৰি মই বৰ ভাল পাইছোঁ - মূলতঃ কাৰণ তেওঁলোকৰ আইনী মতামত সদায় প্ৰজ্ঞা, দৃষ্টিভংগী আৰু বাণিজ্যিক, সামাজিক আৰু ৰাজনৈতিক প্ৰসংগৰ সৈতে সন্তুলিত হয়।
+      ন্যায়ৰ প্ৰতি তেওঁলোকৰ অন্তৰৰ আহ্বানে তেওঁলোকৰ প্ৰেক্টিছক শক্তিশালী কৰে, আৰু সোনকালে আইনী সমাধান আৰু মীমাংসা বিচাৰি উলিওৱাৰ তেওঁলোকৰ প্ৰতিশ্ৰুতিত ই স্পষ্টকৈ দেখা যায়।`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "মুকেশ শ্বাহ",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ অভিজ্ঞতাটো অসাধাৰণতকৈ কম নাছিল। শ্ৰী জয়সিংহ আৰু তেওঁৰ দলে অতুলনীয় পেছাদাৰিত্ব, দক্ষতা আৰু নিষ্ঠা দেখুৱাইছিল।”",
+      fullTestimonial: `নোভালাইট লিমিটেডত আমি কেইবাটাও জটিল আইনী বিষয়ত আৰ্না ল', বিশেষকৈ শ্ৰী শ্ৰেয়স জয়সিংহৰ সৈতে কাম কৰাৰ সুযোগ পাইছিলোঁ। অভিজ্ঞতাটো অসাধাৰণতকৈ কম নাছিল। শ্ৰী জয়সিংহ আৰু তেওঁৰ দলে অতুলনীয় পেছাদাৰিত্ব, দক্ষতা আৰু নিষ্ঠা দেখুৱাইছিল।
+        আৰ্না ল'ক সঁচাকৈয়ে পৃথক কৰি তোলা বস্তুটো হৈছে আইনী সেৱাৰ প্ৰতি তেওঁলোকৰ সামগ্ৰিক দৃষ্টিভংগী। তেওঁলোকে কেৱল আইনী আনুষ্ঠানিকতাৰ মাজেৰে নিখুঁতভাৱে পথ নেদেখুৱায়, বৰং এনে মূল্যৱান পৰামৰ্শও দিয়ে যি আমাৰ ব্যৱসায়িক ধাৰাৰ সৈতে সম্পূৰ্ণ খাপ খায়। আমাৰ অনন্য প্ৰয়োজন বুজি সেই অনুসৰি সেৱা সজাই তোলাৰ তেওঁলোকৰ সামৰ্থ্যই সকলো পাৰ্থক্য আনি দিলে।
+        শ্ৰী জয়সিংহ আৰু আৰ্না ল'ৰ গোটেই দলৰ সহায় আৰু অন্তৰ্দৃষ্টিৰ বাবে আমি অতি কৃতজ্ঞ। তেওঁলোক কেৱল আইনী উপদেষ্টা নহয়; তেওঁলোক আমাৰ ব্যৱসায়িক যাত্ৰাৰ প্ৰকৃত অংশীদাৰ।
+        আৰ্না ল', উৎকৰ্ষৰ প্ৰতি আপোনালোকৰ অটল প্ৰতিশ্ৰুতিৰ বাবে ধন্যবাদ। ভৱিষ্যতেও আমাৰ সহযোগিতা অব্যাহত ৰখাৰ অপেক্ষাত আছোঁ।`,
+    },
+    {
+      imageUrl: "",
+      name: "প্ৰণৱ নাহাৰ",
+      post: "উদ্যোগী",
+      desingnation: "",
+      desc: "“তেওঁলোকৰ ক্লায়েণ্ট সেৱা আৰু আইনী দক্ষতা অতি পেছাদাৰী আছিল। তেওঁলোকৰ সৈতে কাম কৰাটো আনন্দৰ আছিল।”",
+      fullTestimonial: `মঞ্জুশ্ৰী আৰু আৰ্না ল'ৰ দলক আমাৰ ৰিয়েল এষ্টেট ফিনটেক ব্যৱসায়ৰ বাবে আটাইতকৈ উপযোগী আৰু নিয়ন্ত্ৰক-সন্মত গাঁথনি বিচাৰি উলিওৱাৰ দায়িত্ব দিয়া হৈছিল। তেওঁলোকে স্পষ্টতা আৰু বিতংভাৱে দায়িত্ব পালন কৰিছিল। আমাক মুগ্ধ কৰিছিল যে আমাৰ বহুতো সন্দেহ আৰু প্ৰশ্ন আছিল যিবোৰৰ বিষয়ে আমি বাৰে বাৰে সুধিছিলোঁ, আৰু তেওঁলোকে ধৈৰ্যেৰে আমি বিচৰা প্ৰতিটো খুঁটিনাটিৰ ওপৰত কাম কৰিছিল। তেওঁলোকৰ ক্লায়েণ্ট সেৱা আৰু আইনী দক্ষতা অতি পেছাদাৰী আছিল। তেওঁলোকৰ সৈতে কাম কৰাটো আনন্দৰ আছিল।`,
+    },
+    {
+      imageUrl: "",
+      name: "পৱন জৈন",
+      post: "উপ-সভাপতি",
+      desingnation: "বিত্ত",
+      desc: "“ তেওঁলোকে কামৰ প্ৰতি উচ্চ পৰ্যায়ৰ প্ৰতিশ্ৰুতি দেখুৱাইছিল আৰু সময়সীমা আৰু প্ৰত্যাশাক সন্মান কৰিছিল।”",
+      fullTestimonial: `শ্ৰীমতী কমলা আৰু তেওঁৰ গোটেই দলটো কামত অতি পেছাদাৰী আৰু সদায় মতামত গ্ৰহণৰ বাবে মুকলি। তেওঁলোকে কামৰ প্ৰতি উচ্চ পৰ্যায়ৰ প্ৰতিশ্ৰুতি দেখুৱাইছিল আৰু সময়সীমা আৰু প্ৰত্যাশাক সন্মান কৰিছিল। তেওঁলোকৰ সৈতে কাম কৰাটো সঁচাকৈয়ে আনন্দৰ আছিল আৰু ভৱিষ্যতেও তেওঁলোকৰ সৈতে কাম কৰাৰ অপেক্ষাত আছোঁ।`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "আমাৰ উত্তৰাধিকাৰ",
+    legacyHeadline1: "ন দশকতকৈও অধিক প্ৰতিশ্ৰুতি আৰু সেৱাৰ ওপৰত প্ৰতিষ্ঠিত",
+    legacyPara1:
+      "বিভিন্ন ক্ষেত্ৰ, উদ্যোগ আৰু আন্তঃৰাষ্ট্ৰীয় সীমা অতিক্ৰম কৰি, প্ৰাকৃতিক আইন, ন্যায় আৰু সহানুভূতিৰ আমাৰ নীতিৰ সৈতে আপোচ নকৰাকৈ আমাৰ ক্লায়েণ্টৰ সৰ্বোত্তম স্বাৰ্থৰ প্ৰতিনিধিত্ব কৰিবলৈ আমাৰ আইনী সেৱা আৰু সমাধান বিশেষভাৱে প্ৰস্তুত কৰা হয়",
+    legacyPara2:
+      "আমি দেশীয়, বিদেশী আৰু প্ৰবাসী ক্লায়েণ্টক বিভিন্ন বিষয়ত পৰামৰ্শ দিওঁ। নিয়ন্ত্ৰক, বিত্তীয় আৰু আইনী বিপদাশংকা হ্ৰাস কৰাৰ পৰা আৰম্ভ কৰি ৰাষ্ট্ৰীয় আৰু আন্তঃৰাষ্ট্ৰীয় আইনৰ অতি বিশেষায়িত ক্ষেত্ৰত পথ দেখুওৱালৈকে, আমি আপোচহীন সততাৰে পৰামৰ্শ দিওঁ।",
+  },
+
+  ourServicesTitle: {
+    ourServices: "আমাৰ সেৱাসমূহ",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "আমাৰ ফাৰ্ম",
+  },
+
+  disputes: {
+    disputesTitle: "আমি নিষ্পত্তি কৰা বিবাদসমূহ",
+  },
+
+  disputesDetails: [
+    {
+      name: "বাণিজ্যিক গোচৰ",
+    },
+    {
+      name: "সালিচ",
+    },
+    {
+      name: "আন্তঃৰাষ্ট্ৰীয় সালিচ",
+    },
+    {
+      name: "মধ্যস্থতা",
+    },
+    {
+      name: "নিৰ্মাণ সম্পৰ্কীয় বিবাদ",
+    },
+    {
+      name: "ৰিয়েল এষ্টেট বিবাদ",
+    },
+    {
+      name: "অংশীদাৰৰ বিবাদ",
+    },
+    {
+      name: "বিচাৰ আৰু ওকালতি",
+    },
+    {
+      name: "কৰ্প'ৰেট বিবাদ",
+    },
+    {
+      name: "পুনৰ্গঠন আৰু দেউলীয়া",
+    },
+    {
+      name: "নিয়ন্ত্ৰক বিবাদ",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "সংখ্যাত আমাৰ সাফল্য",
+    yearsOfLegacy: "আমাৰ ঐতিহ্যৰ বছৰ",
+    clientsServed: "সেৱা লাভ কৰা গ্ৰাহক",
+    disputesResolved: "সমাধান কৰা বিবাদ",
+  },
+
+  awards: {
+    awardsTitle: "বঁটা আৰু সন্মান",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "আমাৰ গতিশীল দলে বিভিন্ন প্ৰেক্টিছ ক্ষেত্ৰত অভিজ্ঞ পৰামৰ্শ প্ৰদান কৰে",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "বছৰ বছৰ ধৰি আৰ্না ল'ই এজন বিশ্বাসী উপদেষ্টা হিচাপে বিশিষ্ট সুনাম অৰ্জন কৰিছে। আমি গঢ়ি তোলা দীৰ্ঘস্থায়ী সম্পৰ্কসমূহ আইনী পৰিৱেশৰ বিষয়ে আমাৰ গভীৰ বুজাবুজি, আমাৰ কৌশল আৰু ব্যৱহাৰিক, ফলপ্ৰসূ পৰামৰ্শ দিয়াৰ আমাৰ সামৰ্থ্যৰ প্ৰমাণ।",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "আমি পৰস্পৰৰ পৰিপূৰক আইনী সেৱাৰ এক বিস্তৃত পৰিসৰ আগবঢ়াওঁ, যাৰ ফলত আমি প্ৰতিটো বিষয়তে সামগ্ৰিক আৰু আন্তঃবিষয়ক দৃষ্টিভংগী গ্ৰহণ কৰিব পাৰোঁ। আমাৰ মূল প্ৰেক্টিছ ক্ষেত্ৰসমূহৰ ভিতৰত আছে কৰ্প'ৰেট, বাণিজ্যিক আৰু নিয়ন্ত্ৰক পৰামৰ্শ, ইকুইটি আৰু ঋণ বিত্ত, একত্ৰীকৰণ আৰু অধিগ্ৰহণ, আৰু বিবাদ নিষ্পত্তি।",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "আমাৰ প্ৰগতিশীল প্ৰেক্টিছে সকলো উদ্যোগৰ ক্লায়েণ্টক বিশেষজ্ঞ সহায় প্ৰদান কৰে",
+  },
+  industrieslistTitle: {
+    industrieslist: "আমি সেৱা আগবঢ়োৱা উদ্যোগসমূহ",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "আমাৰ বিশেষজ্ঞসকলৰ সৈতে যোগাযোগ কৰক",
+  },
+  network: {
+    networkTitle: "বিশ্বজুৰি অধিবক্তাৰ এক নেটৱৰ্ক",
+    interact: "মানচিত্ৰ ব্যৱহাৰ কৰিবলৈ ক্লিক কৰক",
+    loadingMap: "মানচিত্ৰ লোড হৈ আছে...",
+  },
+
+  translationNotice: {
+    notAvailable: "এই পৃষ্ঠাটো এতিয়াও আপোনাৰ ভাষাত উপলব্ধ নহয়, সেয়ে ইয়াক ইংৰাজীত দেখুওৱা হৈছে।",
+  },
+
+  // Careers page
+  careers: {
+    title: "আৰনা লত কেৰিয়াৰ",
+    headline: "আন্তঃৰাষ্ট্ৰীয় দৃষ্টিভংগীৰ এক গতিশীল আইনী প্ৰেক্টিছৰ অংশ হওক",
+    intro:
+      "আৰনা ল ভাৰতত অৱস্থিত এক আন্তঃৰাষ্ট্ৰীয় আইনী পৰামৰ্শদাতা প্ৰতিষ্ঠান, যাৰ শিপা প্ৰাকৃতিক আইন, ন্যায় আৰু কৰুণাৰ ধাৰ্মিক নীতিত নিহিত। আমাৰ বিস্তৃত প্ৰেক্টিছ ক্ষেত্ৰৰ জৰিয়তে আমি ৰাষ্ট্ৰ, আন্তঃৰাষ্ট্ৰীয় সংস্থা, বহুজাতিক কোম্পানী, বিশেষ ষ্টাৰ্ট-আপ আৰু ব্যক্তিগত স্বাৰ্থলৈকে বিস্তৃত গ্ৰাহকসকলক প্ৰগতিশীল আইনী পৰামৰ্শ আগবঢ়াওঁ।",
+    recruitmentTitle: "আইনী আৰু প্ৰশাসনিক পেছাদাৰীৰ নিযুক্তি",
+    recruitment:
+      "আন্তঃৰাষ্ট্ৰীয় অভিজ্ঞতা, উল্লেখযোগ্য শৈক্ষিক সাফল্য, সমকক্ষ-পৰ্যালোচিত আলোচনীত প্ৰকাশন বা তীক্ষ্ণ আইনী দক্ষতাৰ আন প্ৰমাণ থকা পেছাদাৰীসকলৰ পৰা শুনিবলৈ আমি সদায় আগ্ৰহী। উদ্ভাৱনী আৰু দক্ষ প্ৰশাসনিক তথা সহায়ক দলৰ সদস্যৰ প্ৰতিও আমাৰ আগ্ৰহ আছে। আপুনি যদি সেৱাৰ মনোভাৱ আৰু আইনত উৎকৰ্ষৰ প্ৰতি আগ্ৰহী দলগত খেলুৱৈ হয়, তেন্তে অনুগ্ৰহ কৰি যোগাযোগ কৰক।",
+    openingsTitle: "বৰ্তমানৰ খালী পদ",
+    internshipsTitle: "ইণ্টাৰ্নশ্বিপ",
+    applyNow: "এতিয়াই আবেদন কৰক",
+    noContent: "কোনো বিষয়বস্তু উপলব্ধ নাই।",
+    internships: [
+      "আৰনাত আমি এক সমৃদ্ধ আৰু প্ৰত্যাহ্বানপূৰ্ণ ইণ্টাৰ্নশ্বিপ অভিজ্ঞতা আগবঢ়াওঁ। আমি কেৱল শক্তিশালী শৈক্ষিক ৰেকৰ্ডেই নাচাওঁ; আমি অনুপ্ৰাণিত, শিকিবলৈ আগ্ৰহী আৰু প্ৰতিষ্ঠানৰ মূল্যবোধ ভাগ কৰা ব্যক্তিক বিচাৰোঁ। আমাৰ ইণ্টাৰ্নসকলৰ বৈচিত্ৰ্য আৰু সমগ্ৰ দেশৰ ছাত্ৰ-ছাত্ৰীক দিয়া সুযোগৰ বাবে আমি গৌৰৱান্বিত।",
+      "ইণ্টাৰ্নশ্বিপৰ ম্যাদ {minWeeks, number}-{maxWeeks, number} সপ্তাহ। ইণ্টাৰ্নসকলে আমাৰ বিবাদ, দেউলীয়া আইন আৰু কৰ্প'ৰেট পৰামৰ্শ দলৰ সৈতে কাম কৰাৰ সুযোগ পায়। ইণ্টাৰ্নশ্বিপৰ সময়ত আমাৰ প্ৰেক্টিছ ক্ষেত্ৰৰ বিভিন্ন দিশৰ ব্যৱহাৰিক ধাৰণা লাভ কৰাৰ অনন্য সুযোগ পোৱা যায়। প্ৰতিজন ইণ্টাৰ্নক এজন তত্ত্বাৱধায়ক দিয়া হয়; তথাপি সামগ্ৰিক অভিজ্ঞতাৰ বাবে সকলো দলৰ সৈতে কাম কৰাটো আশা কৰা হয়।",
+      "আমাৰ ইণ্টাৰ্নসকলে আমাৰ প্ৰেক্টিছ ক্ষেত্ৰত আইনৰ শেহতীয়া বিকাশৰ বিষয়ে অৱগত থকাটো আশা কৰা হয়। প্ৰতিজন ইণ্টাৰ্নক গৱেষণাৰ বাবে এটা বিষয় দিয়া হয় আৰু ম্যাদৰ শেষত অংশীদাৰ আৰু সকলো এছ'চিয়েটৰ সন্মুখত উপস্থাপন দিব লাগে।",
+      "বিএ এলএলবি (অনাৰ্ছ) কাৰ্যসূচী আৰু 3 বছৰীয়া এলএলবি কাৰ্যসূচীৰ প্ৰথম আৰু দ্বিতীয় বৰ্ষৰ ছাত্ৰ-ছাত্ৰীৰ পৰা আমি ইণ্টাৰ্নশ্বিপৰ আবেদন গ্ৰহণ নকৰোঁ।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "প্ৰথম নাম",
+    lastName: "উপাধি",
+    name: "নাম",
+    email: "ইমেইল",
+    phone: "ফোন নম্বৰ",
+    phonePlaceholder: "ফোন নম্বৰ লিখক",
+    mobile: "মবাইল",
+    mobilePlaceholder: "{digits, number} অংকৰ মবাইল নম্বৰ লিখক",
+    college: "মহাবিদ্যালয়",
+    role: "এটা পদ বাছক",
+    selectPlaceholder: "অনুগ্ৰহ কৰি বাছক",
+    roleOption: "{role, select, Legal {আইনী} Administration {প্ৰশাসন} Finance {বিত্ত} other {{role}}}",
+    experience: "যোগ্যতাৰ পিছৰ অভিজ্ঞতাৰ বছৰ",
+    experiencePlaceholder: "অভিজ্ঞতাৰ বছৰ লিখক",
+    inquiry: "আপোনাৰ অনুসন্ধানৰ বিৱৰণ",
+    resume: "ফাইল বাছক",
+    resumeChange: "ফাইল সলনি কৰিবলৈ ক্লিক কৰক",
+    resumeUpload: "আপলোড কৰিবলৈ ক্লিক কৰক বা টানি আনি এৰক",
+    resumeTypes: "PDF, DOCX (সৰ্বাধিক {maxMb, number} MB)",
+    interests: "আপোনাৰ আগ্ৰহৰ বিষয় বাছক",
+    interestOption: "{interest, select, corporateAdvisory {কৰ্প'ৰেট পৰামৰ্শ} hrCompliance {এইচআৰ অনুপালন} other {অন্যান্য}}",
+    detailsTitle: "আপোনাৰ বিৱৰণ লিখক",
+    close: "বন্ধ কৰক",
+    submit: "দাখিল কৰক",
+    submitting: "দাখিল কৰি থকা হৈছে...",
+    subscribe: "ছাবস্ক্ৰাইব কৰক",
+    loading: "ল'ড হৈ আছে...",
+    applicationSent: "আবেদন সফলতাৰে দাখিল হ'ল!",
+    contactSent: "ফৰ্ম সফলতাৰে দাখিল হ'ল!",
+    subscribed: "নিউজলেটাৰত সফলতাৰে ছাবস্ক্ৰাইব কৰা হ'ল!",
+    errors: {
+      heading: "{count, plural, one {অনুগ্ৰহ কৰি তলৰ ত্ৰুটিটো শুধৰাওক:} other {অনুগ্ৰহ কৰি তলৰ ত্ৰুটিবোৰ শুধৰাওক:}}",
+      firstNameRequired: "প্ৰথম নাম আৱশ্যক",
+      lastNameRequired: "উপাধি আৱশ্যক",
+      nameRequired: "নাম আৱশ্যক",
+      emailRequired: "ইমেইল আৱশ্যক",
+      emailInvalid: "অনুগ্ৰহ কৰি এটা বৈধ ইমেইল ঠিকনা লিখক",
+      phoneRequired: "ফোন নম্বৰ আৱশ্যক",
+      phoneTooShort: "ফোন নম্বৰ অতি কমেও {min, plural, one {# অংকৰ} other {# অংকৰ}} হ'ব লাগিব",
+      phoneTooLong: "ফোন নম্বৰ {max, plural, one {# অংকতকৈ} other {# অংকতকৈ}} বেছি হ'ব নোৱাৰে",
+      mobileRequired: "মবাইল নম্বৰ আৱশ্যক",
+      mobileTooShort: "মবাইল নম্বৰ অতি কমেও {min, plural, one {# অংকৰ} other {# অংকৰ}} হ'ব লাগিব",
+      mobileTooLong: "মবাইল নম্বৰ {max, plural, one {# অংকতকৈ} other {# অংকতকৈ}} বেছি হ'ব নোৱাৰে",
+      collegeRequired: "মহাবিদ্যালয়ৰ নাম আৱশ্যক",
+      collegeTooShort: "মহাবিদ্যালয়ৰ নাম অতি কমেও {min, plural, one {# আখৰৰ} other {# আখৰৰ}} হ'ব লাগিব",
+      roleRequired: "অনুগ্ৰহ কৰি এটা পদ বাছক",
+      resumeRequired: "অনুগ্ৰহ কৰি আপোনাৰ জীৱনবৃত্তান্ত আপলোড কৰক",
+      fileTooLarge: "ফাইলৰ আকাৰ {maxMb, number} MBতকৈ কম হ'ব লাগিব",
+      fileType: "কেৱল PDF আৰু DOCX ফাইলৰ অনুমতি আছে",
+      interestsRequired: "অনুগ্ৰহ কৰি অতি কমেও এটা আগ্ৰহৰ বিষয় বাছক",
+      messageRequired: "বাৰ্তা আৱশ্যক",
+      fillAll: "অনুগ্ৰহ কৰি সকলো ঘৰ পূৰণ কৰক",
+      emailExists: "এই ইমেইলটো ইতিমধ্যে আছে",
+      phoneExists: "এই ফোন নম্বৰটো ইতিমধ্যে আছে",
+      emailRegistered: "এই ইমেইল ঠিকনাটো ইতিমধ্যে পঞ্জীভুক্ত। অনুগ্ৰহ কৰি আন এটা ইমেইল ঠিকনা ব্যৱহাৰ কৰক।",
+      mobileRegistered: "এই মবাইল নম্বৰটো ইতিমধ্যে পঞ্জীভুক্ত। অনুগ্ৰহ কৰি আন এটা মবাইল নম্বৰ ব্যৱহাৰ কৰক।",
+      auth: "প্ৰমাণীকৰণ ত্ৰুটি — প্ৰশাসকৰ সৈতে যোগাযোগ কৰক।",
+      failed: "দাখিল কৰিব পৰা নগ'ল। অনুগ্ৰহ কৰি পুনৰ চেষ্টা কৰক।",
+      timeout: "অনুৰোধৰ সময় উকলি গ'ল। অনুগ্ৰহ কৰি পুনৰ চেষ্টা কৰক।",
+      unknown: "এটা ত্ৰুটি হ'ল। অনুগ্ৰহ কৰি পুনৰ চেষ্টা কৰক।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "সন্ধান",
+    placeholder: "অন্তৰ্দৃষ্টি, ব্যক্তি, প্ৰেক্টিছ ক্ষেত্ৰ বিচাৰক…",
+    submit: "বিচাৰক",
+    open: "সন্ধান খোলক",
+    close: "সন্ধান বন্ধ কৰক",
+    prompt: "ছাইটত বিচাৰিবলৈ এটা শব্দ বা বাক্যাংশ লিখক।",
+    resultsFor: "“{query}”ৰ বাবে {count, plural, one {# ফলাফল} other {# ফলাফল}}",
+    noResults: "“{query}”ৰ বাবে কোনো ফলাফল পোৱা নগ'ল। বানান পৰীক্ষা কৰক বা কম শব্দৰে বিচাৰক।",
+    seeAll: "সকলো ফলাফল চাওক",
+    all: "সকলো",
+    type: "{type, select, insight {অন্তৰ্দৃষ্টি} publication {প্ৰকাশন} podcast {পডকাষ্ট} team {ব্যক্তি} practice-area {প্ৰেক্টিছ ক্ষেত্ৰ} industry {উদ্যোগ} job {কেৰিয়াৰ} other {{type}}}",
+    practiceArea: "প্ৰেক্টিছ ক্ষেত্ৰ",
+    industry: "উদ্যোগ",
+    year: "বছৰ",
+    language: "ভাষা",
+    clearFilters: "ফিল্টাৰ আঁতৰাওক",
+    previous: "পূৰ্বৱৰ্তী",
+    next: "পৰৱৰ্তী",
+    pageOf: "পৃষ্ঠা {page, number} / {pages, number}",
+    recent: "শেহতীয়া সন্ধান",
+    clearRecent: "মচক",
+    keyboardHint: "↑ ↓ বাছিবলৈ, Enter খুলিবলৈ, Esc বন্ধ কৰিবলৈ",
+    error: "সন্ধান এতিয়া উপলব্ধ নহয়। অনুগ্ৰহ কৰি পুনৰ চেষ্টা কৰক।",
+    filterPlaceholder: "সন্ধান কৰক...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "অধিক পঢ়ক",
+    loadMore: "অধিক দেখুৱাওক",
+    viewAll: "সকলো চাওক",
+    loading: "লোড হৈ আছে...",
+    loadingDots: "লোড হৈ আছে",
+    noPosts: "কোনো সম্পৰ্কীয় পোষ্ট পোৱা নগ'ল",
+    noMorePosts: "আৰু কোনো বিৱৰণ উপলব্ধ নাই",
+    published: "প্ৰকাশিত: {date}",
+    archives: "আৰ্কাইভ",
+    quickLinks: "দ্ৰুত লিংক:",
+    contactPartner: "অংশীদাৰৰ সৈতে যোগাযোগ কৰক",
+    pageLoadError: "এই পৃষ্ঠাটো লোড কৰিব পৰা নগ'ল। অনুগ্ৰহ কৰি কিছু সময়ৰ পিছত পুনৰ চেষ্টা কৰক।",
+    error: "ত্ৰুটি: {message}",
+    componentMissing: "উপাদান পোৱা নগ'ল",
+    scrollToTop: "ওপৰলৈ যাওক",
+    openMenu: "মুখ্য মেনু খোলক",
+    faqTitle: "সঘনাই সোধা প্ৰশ্ন",
+  },
+
+  home: {
+    tagline: "গ্ৰাহক-কেন্দ্ৰিক সমস্যা সমাধান",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "প্ৰবন্ধ চাওক",
+    backToInsights: "অন্তৰ্দৃষ্টিলৈ উভতি যাওক",
+    backToNews: "আৰনা বাতৰিলৈ উভতি যাওক",
+    backToPublications: "প্ৰকাশনলৈ উভতি যাওক",
+    noResults: "কোনো ফলাফল পোৱা নগ'ল",
+    noResultsFor: "\"{query}\" ৰ বাবে কোনো ফলাফল পোৱা নগ'ল",
+  },
+
+  podcasts: {
+    listenNow: "এতিয়াই শুনক",
+    thumbnailAlt: "পডকাষ্ট থাম্বনেইল",
+    noImage: "কোনো মুখ্য ছবি উপলব্ধ নাই",
+    previous: "← পূৰ্বৰ পডকাষ্ট",
+    next: "পৰৱৰ্তী পডকাষ্ট →",
+    videoCover: "ভিডিঅ' কভাৰ",
+    videoUnsupported: "আপোনাৰ ব্ৰাউজাৰে ভিডিঅ' টেগ সমৰ্থন নকৰে।",
+    play: "চলাওক",
+    pause: "ৰখাওক",
+  },
+
+  team: {
+    photoAlt: "দলৰ সদস্য",
+    noDesignation: "পদবী উপলব্ধ নাই",
+    readMore: "অধিক পঢ়ক",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "গ্ৰাহকৰ {br}মতামত",
+  },
+
+  contact: {
+    getInTouch: "যোগাযোগত থাকক",
+    phone: "ফোন",
+    directions: "পথ নিৰ্দেশনা",
+    ourLocations: "আমাৰ কাৰ্যালয়",
+    networkMap: "আমাৰ নেটৱৰ্কৰ মানচিত্ৰ",
+  },
+
+  notFound: {
+    message: "আপুনি বিচৰা পৃষ্ঠাটো আমি বিচাৰি নাপালোঁ।",
+    home: "মুখপৃষ্ঠালৈ উভতি যাওক",
+    imageAlt: "404 পৃষ্ঠা",
+  },
+
+  footer: {
+    subscribe: "বাতৰি-পত্ৰৰ বাবে ছাবস্ক্ৰাইব কৰক",
+    copyright: "© {year} আৰনা ল। সৰ্বস্বত্ব সংৰক্ষিত",
+  },
+
+  legal: {
+    privacyPolicy: "গোপনীয়তা নীতি",
+    termsOfUse: "ব্যৱহাৰৰ চৰ্তাৱলী",
+    disclaimer: "দায়বদ্ধতা অস্বীকাৰ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "গ্ৰহণ কৰক",
+    decline: "অস্বীকাৰ কৰক",
+    intro:
+      "বাৰ কাউন্সিল অৱ ইণ্ডিয়াই অধিবক্তাসকলক কোনো ৰূপত বা পদ্ধতিত গ্ৰাহক বিচৰা বা বিজ্ঞাপন দিয়াৰ অনুমতি নিদিয়ে। এই ৱেবছাইট, {site}, ব্যৱহাৰ কৰি আপুনি তলত দিয়া কথাবোৰ স্বীকাৰ আৰু নিশ্চিত কৰিছে:",
+    points: [
+      "ফাৰ্ম, ইয়াৰ সদস্য আৰু অনুশীলনৰ ক্ষেত্ৰসমূহৰ বিষয়ে তথ্য পাবলৈ আপুনি নিজৰ ইচ্ছাত আৰনা লৰ ৱেবছাইট চাই আছে।",
+      "অধিবক্তা-গ্ৰাহক সম্পৰ্ক স্থাপনৰ বাবে আৰনা ল বা ইয়াৰ কোনো সদস্যৰ পৰা কোনো ধৰণৰ আবেদন, বিজ্ঞাপন, নিমন্ত্ৰণ বা প্ৰলোভন দিয়া হোৱা নাই।",
+      "এই ৱেবছাইটৰ বিষয়বস্তু কেৱল তথ্যৰ বাবে আৰু ইয়াক আবেদন, বিজ্ঞাপন বা আইনী পৰামৰ্শ বুলি গণ্য কৰা উচিত নহয়।",
+      "এই ৱেবছাইটৰ পৰা ডাউনলোড কৰা যিকোনো সামগ্ৰী, তথ্য বা নথি সম্পূৰ্ণৰূপে আপোনাৰ বিবেচনাৰ ওপৰত নিৰ্ভৰশীল আৰু ই আপোনাৰ আৰু আৰনা লৰ মাজত কোনো অধিবক্তা-গ্ৰাহক সম্পৰ্ক সৃষ্টি নকৰে।",
+      "এই ৱেবছাইটত প্ৰকাশিত তথ্য বা সামগ্ৰীৰ ভিত্তিত আপুনি লোৱা যিকোনো পদক্ষেপৰ পৰিণতিৰ বাবে ফাৰ্ম দায়ী নহয়। আপোনাক আইনী সহায়ৰ প্ৰয়োজন হ'লে, স্বতন্ত্ৰ পেছাদাৰী পৰামৰ্শ ল'ব লাগে।",
+      "এই ৱেবছাইটত দিয়া তথ্যই শেহতীয়া আইনী পৰিৱৰ্তন প্ৰতিফলিত নকৰিবও পাৰে, আৰু ইয়াক কোনো বিষয়ত আৰনা লৰ প্ৰতিশ্ৰুতি বা মতামত বুলি গণ্য কৰা উচিত নহয়।",
+      "এই ৱেবছাইটত থকা তৃতীয় পক্ষৰ ৱেবছাইটৰ লিংকসমূহ কেৱল সুবিধাৰ বাবে দিয়া হৈছে আৰু ই সমৰ্থন, পৰামৰ্শ বা সম্পৰ্ক বুজোৱা নাই। এনে তৃতীয় পক্ষৰ ছাইটৰ বিষয়বস্তু বা গোপনীয়তা ব্যৱস্থাৰ বাবে আৰনা ল দায়ী নহয়।",
+      "আপুনি এই ৱেবছাইটৰ জৰিয়তে কোনো গোপনীয়, বিশেষাধিকাৰপ্ৰাপ্ত, ব্যৱসায়িক বা সংবেদনশীল তথ্য পঠিওৱা উচিত নহয়। আনুষ্ঠানিক চুক্তিৰ আগতে এই প্লেটফৰ্মৰ জৰিয়তে ভাগ কৰা তথ্য গোপনীয় বুলি গণ্য কৰা নহ'ব।",
+      "লেখা, ছবি, গ্ৰাফিক্স আৰু ডিজাইনকে ধৰি এই ৱেবছাইটৰ সকলো বিষয়বস্তু আৰনা লৰ বৌদ্ধিক সম্পত্তি আৰু পূৰ্ব লিখিত সন্মতি অবিহনে ইয়াক নকল, পুনৰুৎপাদন বা বিতৰণ কৰিব নোৱাৰি।",
+      "ব্যৱহাৰকাৰীৰ অভিজ্ঞতা উন্নত কৰিবলৈ এই ৱেবছাইটে কুকিজ ব্যৱহাৰ কৰে। এই ছাইট ব্যৱহাৰ কৰি থাকিলে, আমাৰ গোপনীয়তা নীতিত উল্লেখ কৰা অনুসৰি কুকিজ ব্যৱহাৰত আপুনি সন্মতি দিয়ে। আমি কেনেকৈ আপোনাৰ তথ্য সংগ্ৰহ, ব্যৱহাৰ আৰু সুৰক্ষিত কৰোঁ জানিবলৈ অনুগ্ৰহ কৰি আমাৰ {privacyPolicy} আৰু {termsOfUse} পঢ়ক।",
+      "এই ৱেবছাইট আৰু ইয়াৰ সকলো বিষয়বস্তু কোনো স্পষ্ট বা অন্তৰ্নিহিত নিশ্চয়তা অবিহনে “যেনেকৈ আছে তেনেকৈ” প্ৰদান কৰা হয়। এই ৱেবছাইটৰ তথ্যৰ ওপৰত নিৰ্ভৰ কৰাৰ ফলত হোৱা যিকোনো ক্ষতিৰ বাবে আৰনা লই সকলো দায়বদ্ধতা অস্বীকাৰ কৰে।",
+      "এই ৱেবছাইটৰ ব্যৱহাৰৰ পৰা উদ্ভৱ হোৱা যিকোনো বিবাদ ভাৰতৰ আইনৰ দ্বাৰা পৰিচালিত হ'ব আৰু ভাৰতৰ উপযুক্ত আদালতৰ একচেটিয়া অধিকাৰ-ক্ষেত্ৰৰ অধীন হ'ব।",
+    ],
+    agree: "“মই সন্মত”",
+    closing:
+      "{agree} ত ক্লিক কৰি বা এই ৱেবছাইট ব্যৱহাৰ কৰি থাকি, আপুনি স্বীকাৰ কৰিছে যে আপুনি এই দায়বদ্ধতা অস্বীকাৰৰ চৰ্তাৱলী পঢ়িছে, বুজিছে আৰু গ্ৰহণ কৰিছে।",
+  },
+
+  preview: {
+    label: "পূৰ্বদৰ্শন",
+    message: "আপুনি WordPress ৰ অপ্ৰকাশিত বিষয়বস্তু চাই আছে।",
+    exit: "পূৰ্বদৰ্শনৰ পৰা ওলাই যাওক",
+  },
+};
+export default as;
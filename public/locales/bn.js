@@ -0,0 +1,533 @@
+const bn = {
+  menu: {
+    about: "আমাদের সম্পর্কে",
+    thefirm: "ফার্ম",
+    testimonials: "প্রশংসাপত্র",
+    practiceareas: "প্র্যাকটিস এরিয়া",
+    industries: "শিল্পক্ষেত্র",
+    newsinsights: "সংবাদ ও অন্তর্দৃষ্টি",
+    insights: "অন্তর্দৃষ্টি",
+    aarnanews: "আর্না সংবাদ",
+    publications: "প্রকাশনা",
+    podcasts: "পডকাস্ট",
+    careers: "কর্মজীবন",
+    contactus: "যোগাযোগ করুন",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "প্র্যাকটিস এরিয়া",
+  },
+  industriesTitle: {
+    industries: "শিল্পক্ষেত্র",
+  },
+  insightsTitle: {
+    insights: "অন্তর্দৃষ্টি",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "আর্না সংবাদ",
+  },
+  publicationsTitle: {
+    publications: "প্রকাশনা",
+  },
+  podcastsTitle: {
+    podcasts: "পডকাস্ট",
+  },
+  careersTitle: {
+    careers: "কর্মজীবন",
+  },
+  contactUsTitle: {
+    contactUs: "যোগাযোগ করুন",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "আমাদের সম্পর্কে",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "আমরা কী করি",
+    headline: "আমরা বৈশ্বিক দৃষ্টিভঙ্গিসম্পন্ন আইনজীবীদের একটি পুরস্কারপ্রাপ্ত দল",
+    para1:
+      "মানসম্পন্ন ও মূল্যবোধভিত্তিক আইনি পরিষেবা প্রদানের দৃঢ় অঙ্গীকার নিয়ে আর্না ল প্রতিষ্ঠিত হয়েছিল, যাতে যাঁদের আমরা সেবা করি তাঁদের সঙ্গে গভীর ও স্থায়ী সম্পর্ক গড়ে ওঠে। আমরা আমাদের ক্লায়েন্টদের ব্যবসা ও বাণিজ্যিক লক্ষ্য বুঝতে সময় ও শ্রম দিই, যাতে এমন সমাধান তৈরি করতে পারি যা প্রেক্ষাপটের সঙ্গে প্রাসঙ্গিক এবং কৌশলগতভাবে সুদৃঢ়।",
+    para2:
+      "আমাদের দৃষ্টিভঙ্গি উদ্ভাবনী ও ব্যবসা-সচেতন, যার ভিত্তি অভিজ্ঞ আইনজীবীদের একটি দল যাঁরা বাণিজ্যিকভাবে বিচক্ষণ, সরাসরি যুক্ত এবং সমাধানমুখী।",
+  },
+
+  ourLegacy: {
+    legacyTitle: "আমাদের ঐতিহ্য",
+    legacyHeadline:
+      "বিভিন্ন ক্ষেত্র, শিল্প এবং আন্তর্জাতিক সীমানা জুড়ে আমাদের আইনি পরিষেবা ও সমাধান সততা এবং গোপনীয়তার সর্বোচ্চ মান বজায় রাখে",
+    legacyPara:
+      "সবার উপরে, আমাদের পুরস্কারপ্রাপ্ত প্র্যাকটিস প্রতিটি ক্লায়েন্টের সঙ্গে গড়ে তোলা স্থায়ী সম্পর্কের উপর প্রতিষ্ঠিত। আমরা যে আইনি ও বাণিজ্যিক পরামর্শ দিই তা আমাদের ক্লায়েন্টের ব্যবসায়িক স্বার্থ সম্পর্কে এই সচেতন উপলব্ধিরই প্রতিফলন।",
+  },
+
+  founderMessage: {
+    founderTitle: "আমাদের প্রতিষ্ঠাতাদের বার্তা",
+    founderPara:
+      "ছোট, মাঝারি ও বড় সব ধরনের শিল্পের ক্লায়েন্টদের সেবা করার এবং ভারতীয় প্রজাতন্ত্রের পক্ষে আইনজীবী হিসেবে থাকার সৌভাগ্য পেয়ে আমরা অত্যন্ত কৃতজ্ঞ। পূর্ববর্তী প্রজন্মের আশীর্বাদ ও তাঁদের উঁচু কাঁধকে আমরা বিনম্রভাবে স্বীকার করি। তাঁদের দেওয়া গভীর মূল্যবোধ আমাদের এমন একটি মঞ্চ গড়তে অনুপ্রাণিত করে চলেছে যা সম্মিলিতভাবে আমাদের সেরা রূপকে প্রকাশ করে, যখন আমরা আমাদের ক্লায়েন্টদের সেবা করতে এবং ন্যায়বিচারের লক্ষ্যকে এগিয়ে নিতে চেষ্টা করি।",
+    founderName1: "কমলা নাগানন্দ",
+    founderDescription1: "ম্যানেজিং পার্টনার",
+    founderName2: "শ্রেয়স জয়সিংহ",
+    founderDescription2: "প্রতিষ্ঠাতা পার্টনার",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "জয়সিংহ ফাউন্ডেশন",
+    jayasimhaPara1:
+      "প্রয়াত বিচারপতি আর জয়সিংহ বাবু (১৯৪২-২০১৫)-এর স্মৃতিতে প্রতিষ্ঠিত জয়সিংহ ফাউন্ডেশন এক গৌরবময় ঐতিহ্যকে এগিয়ে নিয়ে চলেছে, যার শিকড় সেবার মনোভাবের মাধ্যমে উৎকর্ষের সাধনায় প্রোথিত।",
+    jayasimhaPara2:
+      "এই ফাউন্ডেশন সততা, সাহস ও শৃঙ্খলার সেই পথনির্দেশক নীতিগুলিকে ধারণ করে, যার দৃষ্টান্ত ছিলেন বিচারপতি জয়সিংহ বাবু।",
+    jayasimhaPara3:
+      "মাদ্রাজ হাইকোর্ট এবং তার আগে কর্ণাটক হাইকোর্টের বিচারপতি হিসেবে তাঁর বিশিষ্ট নিয়োগকালে বিচারপতি জয়সিংহ বাবু সাংবিধানিক আইন, কোম্পানি ও বাণিজ্যিক আইন এবং কর বিষয়ে বহুল উদ্ধৃত রায় দিয়েছেন। এছাড়াও, দেশীয় ও আন্তর্জাতিক বিরোধে সালিশকারী হিসেবে বিরোধ নিষ্পত্তিতে তাঁর বিচক্ষণ দৃষ্টিভঙ্গি অত্যন্ত শ্রদ্ধার সঙ্গে বিবেচিত হত।",
+    jayasimhaPara4:
+      "কর্ণাটকী, হিন্দুস্তানি ও পাশ্চাত্য শাস্ত্রীয় সংগীতের সমঝদার বিচারপতি বাবু আইনের জগতে তরুণ প্রতিভাদের উৎসাহ দিতে ও ক্ষমতায়িত করতে আগ্রহী ছিলেন।",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "আপনি কি আমাদের দলে যোগ দিতে চান?",
+    joinTeamPara:
+      "আমরা একটি উদ্ভাবনী প্রতিষ্ঠান যা একে অপরকে বেড়ে উঠতে ও সমৃদ্ধ হতে সক্ষম করে। সততা, দক্ষতা, দলগত কাজ এবং পরার্থপরতা আমাদের বুটিক প্র্যাকটিসের মূল স্তম্ভ।",
+    joinTeamOpening: "বর্তমান শূন্যপদ দেখুন",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "প্র্যাকটিস এরিয়া",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "পার্টনার",
+    aboutPartnerPara:
+      "আমাদের দক্ষ দলের বিশেষজ্ঞতা আমাদের প্র্যাকটিসকে চিন্তাগত নেতৃত্ব, দিকনির্দেশনা এবং উৎকর্ষের সাধনায় স্থিত রাখে...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "প্রশংসাপত্র",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "কুণাল শাহ",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ সন্তোষজনক ফলাফল এনে দেওয়ার জন্য দলের কঠোর পরিশ্রম ও অঙ্গীকারের আমরা গভীর প্রশংসা করি।”",
+      fullTestimonial: `আমরা আনন্দের সঙ্গে জানাচ্ছি যে আর্না ল-এর দেওয়া পরিষেবায় ওয়ানপেপার সম্পূর্ণ সন্তুষ্ট। বিধিশা, পুন্তি এবং পুরো দল আমাদের প্রয়োজন মেটাতে অসাধারণ দক্ষতা ও নিষ্ঠা দেখিয়েছেন। তাঁদের প্রচেষ্টা ও সময়োচিত সহায়তা আমাদের মামলায় অনুকূল আদেশ পেতে গুরুত্বপূর্ণ ভূমিকা পালন করেছে।
+        সন্তোষজনক ফলাফল এনে দেওয়ার জন্য দলের কঠোর পরিশ্রম ও অঙ্গীকারের আমরা গভীর প্রশংসা করি।
+        আপনাদের সহায়তার জন্য আবারও ধন্যবাদ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "পল্লবী রাও ও অরুণ কিজপাদাথিল",
+      post: "প্রতিষ্ঠাতা",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ বিশ্বজুড়ে খোঁজার পর আমরা আর্না ল-কে পেয়েছি এবং আমরা খুবই আনন্দিত যে পেয়েছি। ”",
+      fullTestimonial: `আমরা এমন একটি আইন সংস্থা খুঁজছিলাম যা আন্তরিক, দক্ষ, দ্রুত সাড়া দেয় এবং আমাদের ব্যবসা বোঝে, আর আর্না ল আমাদের জন্য এই সবকিছু এবং তার চেয়েও বেশি হয়ে উঠেছে। বিশ্বজুড়ে খোঁজার পর আমরা আর্না ল-কে পেয়েছি এবং আমরা খুবই আনন্দিত যে পেয়েছি।`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "টনি হেলস",
+      post: "সিইও",
+      desingnation: "OG Healthcare",
+      desc: "“আর্না ল আমাদের নির্দিষ্ট চাহিদা সময়মতো এবং বাজেটের মধ্যে পূরণ করতে পেরেছে - সত্যিই বহু ক্ষেত্রে জ্ঞান, অভিজ্ঞতা ও নেটওয়ার্কসম্পন্ন একটি পেশাদার ফার্ম।”",
+      fullTestimonial: `প্রাথমিক পরামর্শ এবং পরবর্তী আইনি পরিষেবার জন্য শ্রেয়স ও আর্না ল-এর দলকে ধন্যবাদ। এটি কোনো সাধারণ মামলা ছিল না, তবুও আর্না ল আমাদের নির্দিষ্ট চাহিদা সময়মতো এবং বাজেটের মধ্যে পূরণ করতে পেরেছে - সত্যিই বহু ক্ষেত্রে জ্ঞান, অভিজ্ঞতা ও নেটওয়ার্কসম্পন্ন একটি পেশাদার ফার্ম। আবারও ধন্যবাদ।`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "বিনয় ভগবান",
+      post: "জেনারেল কাউন্সেল",
+      desingnation: "Daimler Trucks India",
+      desc: "“উচ্চমানের আইনি প্রতিনিধিত্ব খুঁজছেন এমন যে কাউকে আমি আন্তরিকভাবে আর্না ল এবং তার অসাধারণ দলের সুপারিশ করি।”",
+      fullTestimonial: `আর্না ল-এর সঙ্গে আমার অভিজ্ঞতা অসাধারণের চেয়ে কম কিছু নয়। ফার্মের প্রতিষ্ঠাতা পার্টনার শ্রেয়স ও কমলা উল্লেখযোগ্য দূরদৃষ্টি ও নিষ্ঠার সঙ্গে ফার্মটি পরিচালনা করেছেন এবং একে নতুন উচ্চতায় নিয়ে গেছেন। তাঁদের নেতৃত্ব এবং উৎকর্ষের প্রতি গভীর অঙ্গীকার আর্না ল-কে আইনি জগতে আলাদা করে তোলে।
+      স্বামী-স্ত্রীর দল হিসেবে শ্রেয়স ও কমলা ফার্মে এক অনন্য প্রাণশক্তি নিয়ে আসেন, নিজেদের ব্যক্তিগত শক্তিগুলিকে মিলিয়ে একটি সুসংহত ও অত্যন্ত কার্যকর অংশীদারিত্ব গড়ে তোলেন। তাঁদের কৌশলগত বিচক্ষণতা ও খুঁটিনাটির প্রতি মনোযোগ জটিল আইনি চ্যালেঞ্জে আমাদের পথ দেখাতে গুরুত্বপূর্ণ ভূমিকা রেখেছে।
+      উদ্ভাবনের প্রতি তাঁদের আগ্রহ আমাকে বিশেষভাবে মুগ্ধ করেছে, বিশেষত তাঁদের প্র্যাকটিসে অত্যাধুনিক প্রযুক্তি যুক্ত করার প্রচেষ্টা। এই অগ্রসর দৃষ্টিভঙ্গি শুধু দক্ষতাই বাড়ায় না, বরং নিশ্চিত করে যে ক্লায়েন্টরা সবচেয়ে উন্নত ও কার্যকর আইনি সমাধান পান।
+      প্রযুক্তিগত দক্ষতার বাইরেও শ্রেয়স ও কমলা তাঁদের সততা, নৈতিক মান এবং ক্লায়েন্টদের প্রতি আন্তরিক যত্নের জন্য পরিচিত। তাঁরা আস্থা ও উৎকর্ষের এমন এক সংস্কৃতি গড়ে তুলেছেন যা পুরো ফার্মে ছড়িয়ে আছে।
+      উচ্চমানের আইনি প্রতিনিধিত্ব খুঁজছেন এমন যে কাউকে আমি আন্তরিকভাবে আর্না ল এবং তার অসাধারণ দলের সুপারিশ করি।`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "নবীন রেড্ডি",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“কর্মী চুক্তি থেকে বাণিজ্যিক চুক্তির খসড়া পর্যন্ত আমার সমস্ত আইনি প্রয়োজনে আর্না ল আমার পাশে থেকেছে।”",
+      fullTestimonial: `কর্মী চুক্তি থেকে বাণিজ্যিক চুক্তির খসড়া পর্যন্ত আমার সমস্ত আইনি প্রয়োজনে আর্না ল আমার পাশে থেকেছে। ব্যবসা-সংক্রান্ত সব সমস্যা তাঁরা সহজে এবং খুঁটিনাটির প্রতি মনোযোগ দিয়ে সমাধান করেছেন। আমার সমস্ত আইনি প্রয়োজনে আমি তাঁদের কাছেই যাই।`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "আশিকা আব্রাহাম",
+      post: "প্রতিষ্ঠাতা",
+      desingnation: "Mammamiya",
+      desc: "“ আর্না ল-এ শ্রেয়স ও কমলা এবং তাঁদের দলের সঙ্গে কাজ করে আমি খুবই উপভোগ করেছি - মূলত কারণ তাঁদের আইনি মতামত সবসময় প্রজ্ঞা, দৃষ্টিভঙ্গি এবং বাণিজ্যিক, সামাজিক ও রাজনৈতিক প্রেক্ষাপটের সঙ্গে ভারসাম্যপূর্ণ থাকে।”",
+      fullTestimonial: `আর্না ল-এ শ্রেয়স ও কমলা এবং তাঁদের দলের সঙ্গে কাজ করে আমি খুবই উপভোগ করেছি - মূলত কারণ তাঁদের আইনি মতামত সবসময় প্রজ্ঞা, দৃষ্টিভঙ্গি এবং বাণিজ্যিক, সামাজিক ও রাজনৈতিক প্রেক্ষাপটের সঙ্গে ভারসাম্যপূর্ণ থাকে।
+      ন্যায়বিচারের প্রতি তাঁদের অন্তরের টান তাঁদের প্র্যাকটিসকে শক্তিশালী করে, এবং দ্রুততম সময়ে আইনি সমাধান ও মীমাংসা খুঁজে বের করার অঙ্গীকারে তা স্পষ্ট দেখা যায়।`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "মুকেশ শাহ",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ অভিজ্ঞতাটি অসাধারণের চেয়ে কম কিছু ছিল না। শ্রী জয়সিংহ ও তাঁর দল অসামান্য পেশাদারিত্ব, দক্ষতা ও নিষ্ঠা দেখিয়েছেন।”",
+      fullTestimonial: `নোভালাইট লিমিটেডে আমরা বেশ কয়েকটি জটিল আইনি বিষয়ে আর্না ল-এর সঙ্গে, বিশেষত শ্রী শ্রেয়স জয়সিংহের সঙ্গে কাজ করার সুযোগ পেয়েছি। অভিজ্ঞতাটি অসাধারণের চেয়ে কম কিছু ছিল না। শ্রী জয়সিংহ ও তাঁর দল অসামান্য পেশাদারিত্ব, দক্ষতা ও নিষ্ঠা দেখিয়েছেন।
+        আর্না ল-কে যা সত্যিই আলাদা করে তা হল আইনি পরিষেবায় তাঁদের সামগ্রিক দৃষ্টিভঙ্গি। তাঁরা শুধু নির্ভুলভাবে আইনি আনুষ্ঠানিকতার মধ্য দিয়ে পথ দেখান না, বরং এমন মূল্যবান পরামর্শও দেন যা আমাদের ব্যবসায়িক ধারার সঙ্গে পুরোপুরি মানানসই। আমাদের অনন্য চাহিদা বুঝে সেই অনুযায়ী পরিষেবা সাজানোর তাঁদের ক্ষমতাই সব পার্থক্য গড়ে দিয়েছে।
+        শ্রী জয়সিংহ এবং আর্না ল-এর পুরো দলের সহায়তা ও অন্তর্দৃষ্টির জন্য আমরা অত্যন্ত কৃতজ্ঞ। তাঁরা কেবল আইনি উপদেষ্টা নন; তাঁরা আমাদের ব্যবসায়িক যাত্রায় প্রকৃত অংশীদার।
+        আর্না ল, উৎকর্ষের প্রতি আপনাদের অবিচল অঙ্গীকারের জন্য ধন্যবাদ। ভবিষ্যতেও আমাদের সহযোগিতা চালিয়ে যাওয়ার অপেক্ষায় রইলাম।`,
+    },
+    {
+      imageUrl: "",
+      name: "প্রণব নাহার",
+      post: "উদ্যোক্তা",
+      desingnation: "",
+      desc: "“তাঁদের ক্লায়েন্ট পরিষেবা ও আইনি দক্ষতা ছিল অত্যন্ত পেশাদার। তাঁদের সঙ্গে কাজ করা আনন্দের ছিল।”",
+      fullTestimonial: `মঞ্জুশ্রী এবং আর্না ল-এর দলকে আমাদের রিয়েল এস্টেট ফিনটেক ব্যবসার জন্য সবচেয়ে উপযোগী ও নিয়ন্ত্রক-সম্মত কাঠামো খুঁজে বের করার দায়িত্ব দেওয়া হয়েছিল। তাঁরা স্পষ্টতা ও বিস্তারিতভাবে দায়িত্বটি পালন করেছেন। আমাদের মুগ্ধ করেছে যে আমাদের অনেক সংশয় ও প্রশ্ন ছিল যা নিয়ে আমরা বারবার জিজ্ঞাসা করেছি, আর তাঁরা ধৈর্য ধরে আমাদের চাওয়া প্রতিটি খুঁটিনাটি নিয়ে কাজ করেছেন। তাঁদের ক্লায়েন্ট পরিষেবা ও আইনি দক্ষতা ছিল অত্যন্ত পেশাদার। তাঁদের সঙ্গে কাজ করা আনন্দের ছিল।`,
+    },
+    {
+      imageUrl: "",
+      name: "পবন জৈন",
+      post: "ভাইস প্রেসিডেন্ট",
+      desingnation: "অর্থ",
+      desc: "“ তাঁরা কাজের প্রতি উচ্চমাত্রার অঙ্গীকার দেখিয়েছেন এবং সময়সীমা ও প্রত্যাশার প্রতি শ্রদ্ধাশীল ছিলেন।”",
+      fullTestimonial: `শ্রীমতী কমলা ও তাঁর পুরো দল কাজে অত্যন্ত পেশাদার এবং সবসময় মতামত গ্রহণে আগ্রহী। তাঁরা কাজের প্রতি উচ্চমাত্রার অঙ্গীকার দেখিয়েছেন এবং সময়সীমা ও প্রত্যাশার প্রতি শ্রদ্ধাশীল ছিলেন। তাঁদের সঙ্গে কাজ করা সত্যিই আনন্দের ছিল এবং ভবিষ্যতেও তাঁদের সঙ্গে কাজ করার অপেক্ষায় আছি।`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "আমাদের ঐতিহ্য",
+    legacyHeadline1: "নয় দশকেরও বেশি অঙ্গীকার ও সেবার উপর প্রতিষ্ঠিত",
+    legacyPara1:
+      "বিভিন্ন ক্ষেত্র, শিল্প এবং আন্তর্জাতিক সীমানা জুড়ে, প্রাকৃতিক আইন, ন্যায়বিচার ও সহমর্মিতার নীতির সঙ্গে আপস না করে আমাদের ক্লায়েন্টদের সর্বোত্তম স্বার্থ রক্ষার জন্য আমাদের আইনি পরিষেবা ও সমাধান বিশেষভাবে তৈরি করা হয়",
+    legacyPara2:
+      "আমরা দেশীয়, বিদেশি ও প্রবাসী ক্লায়েন্টদের নানা বিষয়ে পরামর্শ দিই। নিয়ন্ত্রক, আর্থিক ও আইনি ঝুঁকি কমানো থেকে শুরু করে জাতীয় ও আন্তর্জাতিক আইনের অত্যন্ত বিশেষায়িত ক্ষেত্রে পথ দেখানো পর্যন্ত, আমরা আপসহীন সততার সঙ্গে পরামর্শ দিই।",
+  },
+
+  ourServicesTitle: {
+    ourServices: "আমাদের পরিষেবা",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "আমাদের ফার্ম",
+  },
+
+  disputes: {
+    disputesTitle: "যে বিরোধগুলি আমরা নিষ্পত্তি করি",
+  },
+
+  disputesDetails: [
+    {
+      name: "বাণিজ্যিক মামলা",
+    },
+    {
+      name: "সালিশি",
+    },
+    {
+      name: "আন্তর্জাতিক সালিশি",
+    },
+    {
+      name: "মধ্যস্থতা",
+    },
+    {
+      name: "নির্মাণ সংক্রান্ত বিরোধ",
+    },
+    {
+      name: "রিয়েল এস্টেট বিরোধ",
+    },
+    {
+      name: "শেয়ারহোল্ডার বিরোধ",
+    },
+    {
+      name: "বিচার ও ওকালতি",
+    },
+    {
+      name: "কর্পোরেট বিরোধ",
+    },
+    {
+      name: "পুনর্গঠন ও দেউলিয়াত্ব",
+    },
+    {
+      name: "নিয়ন্ত্রক বিরোধ",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "সংখ্যায় আমাদের সাফল্য",
+    yearsOfLegacy: "আমাদের ঐতিহ্যের বছর",
+    clientsServed: "সেবাপ্রাপ্ত ক্লায়েন্ট",
+    disputesResolved: "নিষ্পত্তিকৃত বিরোধ",
+  },
+
+  awards: {
+    awardsTitle: "পুরস্কার ও সম্মাননা",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "আমাদের গতিশীল দল বিভিন্ন প্র্যাকটিস এরিয়ায় অভিজ্ঞ পরামর্শ প্রদান করে",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "বছরের পর বছর ধরে আর্না ল একটি বিশ্বস্ত উপদেষ্টা হিসেবে বিশিষ্ট খ্যাতি অর্জন করেছে। আমাদের গড়ে তোলা দীর্ঘস্থায়ী সম্পর্কগুলি আইনি পরিমণ্ডল সম্পর্কে আমাদের গভীর উপলব্ধি, আমাদের উদ্ভাবনী ক্ষমতা এবং বাস্তবসম্মত, ফলপ্রসূ পরামর্শ দেওয়ার সামর্থ্যের প্রমাণ।",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "আমরা পরস্পরের পরিপূরক আইনি পরিষেবার একটি বিস্তৃত পরিসর প্রদান করি, যা আমাদের প্রতিটি বিষয়ে সামগ্রিক ও আন্তঃবিষয়ক দৃষ্টিভঙ্গি গ্রহণ করতে সাহায্য করে। আমাদের মূল প্র্যাকটিস এরিয়ার মধ্যে রয়েছে কর্পোরেট, বাণিজ্যিক ও নিয়ন্ত্রক পরামর্শ, ইক্যুইটি ও ঋণ অর্থায়ন, একীভূতকরণ ও অধিগ্রহণ, এবং বিরোধ নিষ্পত্তি।",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "আমাদের প্রগতিশীল প্র্যাকটিস সব শিল্পক্ষেত্রের ক্লায়েন্টদের বিশেষজ্ঞ সহায়তা প্রদান করে",
+  },
+  industrieslistTitle: {
+    industrieslist: "যে শিল্পক্ষেত্রগুলিতে আমরা সেবা দিই",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "আমাদের বিশেষজ্ঞদের সঙ্গে যোগাযোগ করুন",
+  },
+  network: {
+    networkTitle: "বিশ্বজুড়ে আইনজীবীদের একটি নেটওয়ার্ক",
+    interact: "মানচিত্র ব্যবহার করতে ক্লিক করুন",
+    loadingMap: "মানচিত্র লোড হচ্ছে...",
+  },
+
+  translationNotice: {
+    notAvailable: "এই পৃষ্ঠাটি এখনও আপনার ভাষায় উপলব্ধ নয়, তাই এটি ইংরেজিতে দেখানো হচ্ছে।",
+  },
+
+  // Careers page
+  careers: {
+    title: "আরনা ল-তে কর্মজীবন",
+    headline: "আন্তর্জাতিক দৃষ্টিভঙ্গিসম্পন্ন একটি গতিশীল আইন প্র্যাকটিসের অংশ হন",
+    intro:
+      "আরনা ল ভারতভিত্তিক একটি আন্তর্জাতিক আইনি পরামর্শ প্রতিষ্ঠান, যার শিকড় প্রাকৃতিক আইন, ন্যায়বিচার ও করুণার ধার্মিক নীতিতে। আমাদের বিস্তৃত প্র্যাকটিস ক্ষেত্রের মাধ্যমে আমরা রাষ্ট্র, আন্তর্জাতিক সংস্থা, বহুজাতিক কোম্পানি, বিশেষায়িত স্টার্ট-আপ ও ব্যক্তিগত স্বার্থ পর্যন্ত বিস্তৃত ক্লায়েন্টদের প্রগতিশীল আইনি পরামর্শ দিই।",
+    recruitmentTitle: "আইনি ও প্রশাসনিক পেশাদার নিয়োগ",
+    recruitment:
+      "আন্তর্জাতিক অভিজ্ঞতা, উল্লেখযোগ্য শিক্ষাগত কৃতিত্ব, পিয়ার-রিভিউড জার্নালে প্রকাশনা বা তীক্ষ্ণ আইনি দক্ষতার অন্যান্য প্রমাণ আছে এমন পেশাদারদের কাছ থেকে শুনতে আমরা সবসময় আগ্রহী। উদ্ভাবনী ও দক্ষ প্রশাসনিক এবং সহায়ক দলের সদস্যদের প্রতিও আমাদের আগ্রহ আছে। আপনি যদি সেবার মনোভাব ও আইনে উৎকর্ষের প্রতি অনুরাগসম্পন্ন একজন দলগত খেলোয়াড় হন, তবে অনুগ্রহ করে যোগাযোগ করুন।",
+    openingsTitle: "বর্তমান শূন্যপদ",
+    internshipsTitle: "ইন্টার্নশিপ",
+    applyNow: "এখনই আবেদন করুন",
+    noContent: "কোনো বিষয়বস্তু উপলব্ধ নেই।",
+    internships: [
+      "আরনায় আমরা একটি সমৃদ্ধ ও চ্যালেঞ্জিং ইন্টার্নশিপ অভিজ্ঞতা দিই। আমরা শুধু ভালো শিক্ষাগত রেকর্ডই দেখি না; আমরা এমন ব্যক্তিদের খুঁজি যাঁরা অনুপ্রাণিত, শিখতে আগ্রহী এবং প্রতিষ্ঠানের মূল্যবোধ ধারণ করেন। আমাদের ইন্টার্নদের বৈচিত্র্য এবং সারা দেশের শিক্ষার্থীদের দেওয়া সুযোগ নিয়ে আমরা গর্বিত।",
+      "ইন্টার্নশিপের মেয়াদ {minWeeks, number}-{maxWeeks, number} সপ্তাহ। ইন্টার্নরা আমাদের বিরোধ নিষ্পত্তি, দেউলিয়া আইন এবং কর্পোরেট পরামর্শ দলের সঙ্গে কাজ করার সুযোগ পান। ইন্টার্নশিপ চলাকালীন আমাদের প্র্যাকটিস ক্ষেত্রগুলির নানা দিক সম্পর্কে ব্যবহারিক ধারণা পাওয়ার অনন্য সুযোগ মেলে। প্রত্যেক ইন্টার্নকে একজন তত্ত্বাবধায়ক দেওয়া হয়; তবুও সামগ্রিক অভিজ্ঞতার জন্য তাঁদের সব দলের সঙ্গে কাজ করার কথা।",
+      "আমাদের ইন্টার্নদের আমাদের প্র্যাকটিস ক্ষেত্রে আইনের সাম্প্রতিক অগ্রগতি সম্পর্কে অবগত থাকার কথা। প্রত্যেক ইন্টার্নকে গবেষণার জন্য একটি বিষয় দেওয়া হয় এবং মেয়াদের শেষে পার্টনার ও সকল অ্যাসোসিয়েটের সামনে একটি উপস্থাপনা দিতে হয়।",
+      "বিএ এলএলবি (অনার্স) প্রোগ্রাম এবং 3 বছরের এলএলবি প্রোগ্রামের প্রথম ও দ্বিতীয় বর্ষের শিক্ষার্থীদের কাছ থেকে আমরা ইন্টার্নশিপের আবেদন গ্রহণ করি না।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "প্রথম নাম",
+    lastName: "পদবি",
+    name: "নাম",
+    email: "ইমেল",
+    phone: "ফোন নম্বর",
+    phonePlaceholder: "ফোন নম্বর লিখুন",
+    mobile: "মোবাইল",
+    mobilePlaceholder: "{digits, number} সংখ্যার মোবাইল নম্বর লিখুন",
+    college: "কলেজ",
+    role: "একটি পদ বেছে নিন",
+    selectPlaceholder: "অনুগ্রহ করে বেছে নিন",
+    roleOption: "{role, select, Legal {আইনি} Administration {প্রশাসন} Finance {অর্থ} other {{role}}}",
+    experience: "যোগ্যতা অর্জনের পরের অভিজ্ঞতার বছর",
+    experiencePlaceholder: "অভিজ্ঞতার বছর লিখুন",
+    inquiry: "আপনার জিজ্ঞাসার বিবরণ",
+    resume: "ফাইল বেছে নিন",
+    resumeChange: "ফাইল বদলাতে ক্লিক করুন",
+    resumeUpload: "আপলোড করতে ক্লিক করুন বা টেনে এনে ছাড়ুন",
+    resumeTypes: "PDF, DOCX (সর্বোচ্চ {maxMb, number} MB)",
+    interests: "আপনার আগ্রহের বিষয় বেছে নিন",
+    interestOption: "{interest, select, corporateAdvisory {কর্পোরেট পরামর্শ} hrCompliance {এইচআর সম্মতি} other {অন্যান্য}}",
+    detailsTitle: "আপনার বিবরণ লিখুন",
+    close: "বন্ধ করুন",
+    submit: "জমা দিন",
+    submitting: "জমা দেওয়া হচ্ছে...",
+    subscribe: "সাবস্ক্রাইব করুন",
+    loading: "লোড হচ্ছে...",
+    applicationSent: "আবেদন সফলভাবে জমা হয়েছে!",
+    contactSent: "ফর্ম সফলভাবে জমা হয়েছে!",
+    subscribed: "নিউজলেটারে সফলভাবে সাবস্ক্রাইব করা হয়েছে!",
+    errors: {
+      heading: "{count, plural, one {অনুগ্রহ করে নিচের ত্রুটিটি ঠিক করুন:} other {অনুগ্রহ করে নিচের ত্রুটিগুলি ঠিক করুন:}}",
+      firstNameRequired: "প্রথম নাম আবশ্যক",
+      lastNameRequired: "পদবি আবশ্যক",
+      nameRequired: "নাম আবশ্যক",
+      emailRequired: "ইমেল আবশ্যক",
+      emailInvalid: "অনুগ্রহ করে একটি বৈধ ইমেল ঠিকানা লিখুন",
+      phoneRequired: "ফোন নম্বর আবশ্যক",
+      phoneTooShort: "ফোন নম্বর অন্তত {min, plural, one {# সংখ্যার} other {# সংখ্যার}} হতে হবে",
+      phoneTooLong: "ফোন নম্বর {max, plural, one {# সংখ্যার} other {# সংখ্যার}} বেশি হতে পারবে না",
+      mobileRequired: "মোবাইল নম্বর আবশ্যক",
+      mobileTooShort: "মোবাইল নম্বর অন্তত {min, plural, one {# সংখ্যার} other {# সংখ্যার}} হতে হবে",
+      mobileTooLong: "মোবাইল নম্বর {max, plural, one {# সংখ্যার} other {# সংখ্যার}} বেশি হতে পারবে না",
+      collegeRequired: "কলেজের নাম আবশ্যক",
+      collegeTooShort: "কলেজের নাম অন্তত {min, plural, one {# অক্ষরের} other {# অক্ষরের}} হতে হবে",
+      roleRequired: "অনুগ্রহ করে একটি পদ বেছে নিন",
+      resumeRequired: "অনুগ্রহ করে আপনার জীবনবৃত্তান্ত আপলোড করুন",
+      fileTooLarge: "ফাইলের আকার {maxMb, number} MB-এর কম হতে হবে",
+      fileType: "শুধুমাত্র PDF ও DOCX ফাইল অনুমোদিত",
+      interestsRequired: "অনুগ্রহ করে অন্তত একটি আগ্রহের বিষয় বেছে নিন",
+      messageRequired: "বার্তা আবশ্যক",
+      fillAll: "অনুগ্রহ করে সব ঘর পূরণ করুন",
+      emailExists: "এই ইমেলটি আগে থেকেই আছে",
+      phoneExists: "এই ফোন নম্বরটি আগে থেকেই আছে",
+      emailRegistered: "এই ইমেল ঠিকানাটি আগেই নিবন্ধিত। অনুগ্রহ করে অন্য ইমেল ঠিকানা ব্যবহার করুন।",
+      mobileRegistered: "এই মোবাইল নম্বরটি আগেই নিবন্ধিত। অনুগ্রহ করে অন্য মোবাইল নম্বর ব্যবহার করুন।",
+      auth: "প্রমাণীকরণ ত্রুটি — অ্যাডমিনের সঙ্গে যোগাযোগ করুন।",
+      failed: "জমা দেওয়া যায়নি। অনুগ্রহ করে আবার চেষ্টা করুন।",
+      timeout: "অনুরোধের সময় শেষ হয়ে গেছে। অনুগ্রহ করে আবার চেষ্টা করুন।",
+      unknown: "একটি ত্রুটি ঘটেছে। অনুগ্রহ করে আবার চেষ্টা করুন।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "অনুসন্ধান",
+    placeholder: "অন্তর্দৃষ্টি, ব্যক্তি, প্র্যাকটিস এরিয়া খুঁজুন…",
+    submit: "খুঁজুন",
+    open: "অনুসন্ধান খুলুন",
+    close: "অনুসন্ধান বন্ধ করুন",
+    prompt: "সাইটে খুঁজতে একটি শব্দ বা বাক্যাংশ লিখুন।",
+    resultsFor: "“{query}”-এর জন্য {count, plural, one {# ফলাফল} other {# ফলাফল}}",
+    noResults: "“{query}”-এর জন্য কোনো ফলাফল পাওয়া যায়নি। বানান যাচাই করুন বা কম শব্দে খুঁজুন।",
+    seeAll: "সব ফলাফল দেখুন",
+    all: "সব",
+    type: "{type, select, insight {অন্তর্দৃষ্টি} publication {প্রকাশনা} podcast {পডকাস্ট} team {ব্যক্তি} practice-area {প্র্যাকটিস এরিয়া} industry {শিল্পক্ষেত্র} job {কর্মজীবন} other {{type}}}",
+    practiceArea: "প্র্যাকটিস এরিয়া",
+    industry: "শিল্পক্ষেত্র",
+    year: "বছর",
+    language: "ভাষা",
+    clearFilters: "ফিল্টার সরান",
+    previous: "পূর্ববর্তী",
+    next: "পরবর্তী",
+    pageOf: "পৃষ্ঠা {page, number} / {pages, number}",
+    recent: "সাম্প্রতিক অনুসন্ধান",
+    clearRecent: "মুছুন",
+    keyboardHint: "↑ ↓ দিয়ে বাছুন, Enter দিয়ে খুলুন, Esc দিয়ে বন্ধ করুন",
+    error: "অনুসন্ধান এখন উপলব্ধ নয়। অনুগ্রহ করে আবার চেষ্টা করুন।",
+    filterPlaceholder: "খুঁজুন...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "আরও পড়ুন",
+    loadMore: "আরও দেখান",
+    viewAll: "সব দেখুন",
+    loading: "লোড হচ্ছে...",
+    loadingDots: "লোড হচ্ছে",
+    noPosts: "কোনো সম্পর্কিত পোস্ট পাওয়া যায়নি",
+    noMorePosts: "আর কোনো বিবরণ নেই",
+    published: "প্রকাশিত: {date}",
+    archives: "আর্কাইভ",
+    quickLinks: "দ্রুত লিঙ্ক:",
+    contactPartner: "অংশীদারের সঙ্গে যোগাযোগ করুন",
+    pageLoadError: "এই পৃষ্ঠাটি লোড করা যায়নি। অনুগ্রহ করে কিছুক্ষণ পরে আবার চেষ্টা করুন।",
+    error: "ত্রুটি: {message}",
+    componentMissing: "উপাদান পাওয়া যায়নি",
+    scrollToTop: "উপরে যান",
+    openMenu: "প্রধান মেনু খুলুন",
+    faqTitle: "প্রায়শই জিজ্ঞাসিত প্রশ্ন",
+  },
+
+  home: {
+    tagline: "ক্লায়েন্ট-কেন্দ্রিক সমস্যা সমাধান",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "নিবন্ধ দেখুন",
+    backToInsights: "অন্তর্দৃষ্টিতে ফিরে যান",
+    backToNews: "আরনা সংবাদে ফিরে যান",
+    backToPublications: "প্রকাশনায় ফিরে যান",
+    noResults: "কোনো ফলাফল পাওয়া যায়নি",
+    noResultsFor: "\"{query}\" এর জন্য কোনো ফলাফল পাওয়া যায়নি",
+  },
+
+  podcasts: {
+    listenNow: "এখনই শুনুন",
+    thumbnailAlt: "পডকাস্ট থাম্বনেইল",
+    noImage: "কোনো প্রধান ছবি নেই",
+    previous: "← আগের পডকাস্ট",
+    next: "পরের পডকাস্ট →",
+    videoCover: "ভিডিও কভার",
+    videoUnsupported: "আপনার ব্রাউজার ভিডিও ট্যাগ সমর্থন করে না।",
+    play: "চালান",
+    pause: "বিরতি",
+  },
+
+  team: {
+    photoAlt: "দলের সদস্য",
+    noDesignation: "পদবি উপলব্ধ নয়",
+    readMore: "আরও পড়ুন",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ক্লায়েন্টদের {br}মতামত",
+  },
+
+  contact: {
+    getInTouch: "যোগাযোগ করুন",
+    phone: "ফোন",
+    directions: "পথনির্দেশ",
+    ourLocations: "আমাদের অফিস",
+    networkMap: "আমাদের নেটওয়ার্কের মানচিত্র",
+  },
+
+  notFound: {
+    message: "আপনি যে পৃষ্ঠাটি খুঁজছেন তা আমরা খুঁজে পাইনি।",
+    home: "হোমপেজে ফিরে যান",
+    imageAlt: "404 পৃষ্ঠা",
+  },
+
+  footer: {
+    subscribe: "নিউজলেটারে সাবস্ক্রাইব করুন",
+    copyright: "© {year} আরনা ল। সর্বস্বত্ব সংরক্ষিত",
+  },
+
+  legal: {
+    privacyPolicy: "গোপনীয়তা নীতি",
+    termsOfUse: "ব্যবহারের শর্তাবলি",
+    disclaimer: "দাবিত্যাগ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "গ্রহণ করুন",
+    decline: "প্রত্যাখ্যান করুন",
+    intro:
+      "বার কাউন্সিল অফ ইন্ডিয়া আইনজীবীদের কোনো রূপে বা পদ্ধতিতে মক্কেল সংগ্রহের আবেদন বা বিজ্ঞাপনের অনুমতি দেয় না। এই ওয়েবসাইট, {site}, ব্যবহার করে আপনি নিম্নলিখিত বিষয়গুলি স্বীকার ও নিশ্চিত করছেন:",
+    points: [
+      "ফার্ম, এর সদস্য এবং অনুশীলনের ক্ষেত্রগুলি সম্পর্কে তথ্য পেতে আপনি নিজের ইচ্ছায় আরনা ল-এর ওয়েবসাইট দেখছেন।",
+      "আইনজীবী-মক্কেল সম্পর্ক স্থাপনের জন্য আরনা ল বা এর কোনো সদস্যের পক্ষ থেকে কোনো ধরনের আবেদন, বিজ্ঞাপন, আমন্ত্রণ বা প্রলোভন দেওয়া হয়নি।",
+      "এই ওয়েবসাইটের বিষয়বস্তু শুধুমাত্র তথ্যের জন্য এবং একে আবেদন, বিজ্ঞাপন বা আইনি পরামর্শ হিসেবে গণ্য করা উচিত নয়।",
+      "এই ওয়েবসাইট থেকে ডাউনলোড করা যেকোনো উপকরণ, তথ্য বা নথি সম্পূর্ণরূপে আপনার বিবেচনার উপর নির্ভরশীল এবং তা আপনার ও আরনা ল-এর মধ্যে কোনো আইনজীবী-মক্কেল সম্পর্ক তৈরি করে না।",
+      "এই ওয়েবসাইটে প্রকাশিত তথ্য বা উপকরণের ভিত্তিতে আপনার নেওয়া কোনো পদক্ষেপের পরিণতির জন্য ফার্ম দায়ী নয়। আপনার আইনি সহায়তার প্রয়োজন হলে, স্বাধীন পেশাদার পরামর্শ নেওয়া উচিত।",
+      "এই ওয়েবসাইটে দেওয়া তথ্য সাম্প্রতিক আইনি পরিবর্তন প্রতিফলিত নাও করতে পারে, এবং একে কোনো বিষয়ে আরনা ল-এর প্রতিশ্রুতি বা মতামত হিসেবে গণ্য করা উচিত নয়।",
+      "এই ওয়েবসাইটে তৃতীয় পক্ষের ওয়েবসাইটের লিঙ্কগুলি শুধুমাত্র সুবিধার জন্য দেওয়া হয়েছে এবং তা অনুমোদন, সুপারিশ বা সংশ্লিষ্টতা বোঝায় না। এমন তৃতীয় পক্ষের সাইটের বিষয়বস্তু বা গোপনীয়তা চর্চার জন্য আরনা ল দায়ী নয়।",
+      "এই ওয়েবসাইটের মাধ্যমে আপনার কোনো গোপনীয়, বিশেষাধিকারপ্রাপ্ত, ব্যবসায়িক বা সংবেদনশীল তথ্য পাঠানো উচিত নয়। আনুষ্ঠানিক চুক্তির আগে এই প্ল্যাটফর্মের মাধ্যমে শেয়ার করা তথ্য গোপনীয় হিসেবে গণ্য হবে না।",
+      "লেখা, ছবি, গ্রাফিক্স এবং নকশা সহ এই ওয়েবসাইটের সমস্ত বিষয়বস্তু আরনা ল-এর বৌদ্ধিক সম্পত্তি এবং পূর্ব লিখিত সম্মতি ছাড়া তা অনুলিপি, পুনরুৎপাদন বা বিতরণ করা যাবে না।",
+      "ব্যবহারকারীর অভিজ্ঞতা উন্নত করতে এই ওয়েবসাইট কুকি ব্যবহার করে। এই সাইট ব্যবহার চালিয়ে গেলে, আমাদের গোপনীয়তা নীতিতে বর্ণিত অনুযায়ী কুকি ব্যবহারে আপনি সম্মতি দিচ্ছেন। আমরা কীভাবে আপনার ডেটা সংগ্রহ, ব্যবহার ও সুরক্ষিত করি তা জানতে অনুগ্রহ করে আমাদের {privacyPolicy} এবং {termsOfUse} পড়ুন।",
+      "এই ওয়েবসাইট এবং এর সমস্ত বিষয়বস্তু কোনো প্রকাশ্য বা অন্তর্নিহিত নিশ্চয়তা ছাড়াই “যেমন আছে” ভিত্তিতে প্রদান করা হয়। এই ওয়েবসাইটের তথ্যের উপর নির্ভর করার ফলে কোনো ক্ষতির জন্য আরনা ল সমস্ত দায় অস্বীকার করে।",
+      "এই ওয়েবসাইটের ব্যবহার থেকে উদ্ভূত যেকোনো বিরোধ ভারতের আইন দ্বারা পরিচালিত হবে এবং ভারতের উপযুক্ত আদালতের একচেটিয়া এখতিয়ারের অধীন থাকবে।",
+    ],
+    agree: "“আমি সম্মত”",
+    closing:
+      "{agree} এ ক্লিক করে বা এই ওয়েবসাইট ব্যবহার চালিয়ে গিয়ে, আপনি স্বীকার করছেন যে আপনি এই দাবিত্যাগের শর্তাবলি পড়েছেন, বুঝেছেন এবং গ্রহণ করেছেন।",
+  },
+
+  preview: {
+    label: "প্রিভিউ",
+    message: "আপনি WordPress-এর অপ্রকাশিত বিষয়বস্তু দেখছেন।",
+    exit: "প্রিভিউ থেকে বেরিয়ে যান",
+  },
+};
+export default bn;
@@ -15,7 +15,7 @@ const en = {
     // publications: "Publications",
     // podcasts: "Podcasts",
     // careers: "Careers",
-    // contactus: "Contact Us",
+    contactus: "Contact Us",
   },
 
   // Banner Titles
@@ -268,6 +268,9 @@ const en = {
 
   trackRecord: {
     trackRecordTitle: "Our Track Record by Numbers",
+    yearsOfLegacy: "Years of Our Legacy",
+    clientsServed: "Clients Served",
+    disputesResolved: "Disputes Resolved",
   },
 
   awards: {
@@ -302,6 +305,242 @@ const en = {
   },
   network: {
     networkTitle: " A Network of Lawyers Around The World",
+    interact: "Click to interact with map",
+    loadingMap: "Loading map...",
+  },
+
+  translationNotice: {
+    notAvailable: "This page is not yet available in your language, so it is shown in English.",
+  },
+
+
+  // Careers page
+  careers: {
+    title: "Careers at Aarna Law",
+    headline: "Be a Part of a Dynamic Law Practice With an International Outlook",
+    intro:
+      "Aarna Law is an India-based international legal advisory rooted in dharmic principles of natural law, justice, and compassion. Through our wide range of practice areas, we provide progressive legal counsel to a clientele that spans Nation States, International Organisations, Multinational Companies, Niche Start-ups, and Individual Interests.",
+    recruitmentTitle: "Recruitment for Legal and Administrative Professionals",
+    recruitment:
+      "We are always interested to hear from professionals with international experience, significant academic achievements, publications in peer-reviewed journals, or other demonstrations of astute legal skills. We are also interested in innovative and competent admin and support team members. If you are a team player with a spirit of service and a passion for excellence in the law, please get in touch.",
+    openingsTitle: "Current Openings",
+    internshipsTitle: "Internships",
+    applyNow: "Apply Now",
+    noContent: "No content available.",
+    internships: [
+      "At Aarna, we offer an internship experience that is enriching and challenging. We look for more than a strong academic record; we seek individuals who are motivated, eager to learn, and share the same values as the firm. We pride ourselves in the diversity of interns and the opportunities we’ve offered to students from all over the country.",
+      "The internship period is {minWeeks, number}-{maxWeeks, number} weeks. Interns have the opportunity to work with our disputes, insolvency law as well as our corporate advisory teams. During the internship period, the intern has a unique opportunity to get a practical insight into various aspects of our practice areas. Each intern is assigned a supervisor; however, they are expected to work with all teams in order to get a holistic experience.",
+      "Our interns are expected to be aware of recent developments in the law in our practice areas. Each intern is assigned a topic to research on and at the end of the term, the intern is expected to make a presentation before the partners and all associates.",
+      "We do not accept internship applications from students who are in the first and second year of the BA LLB (Hons.) programme and the 3 year LLB programme.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "First name",
+    lastName: "Last name",
+    name: "Name",
+    email: "Email",
+    phone: "Phone number",
+    phonePlaceholder: "Enter phone number",
+    mobile: "Mobile",
+    mobilePlaceholder: "Enter {digits, number} digit mobile number",
+    college: "College",
+    role: "Pick a Role",
+    selectPlaceholder: "Please Select",
+    roleOption: "{role, select, Legal {Legal} Administration {Administration} Finance {Finance} other {{role}}}",
+    experience: "Number of years of post qualification experience",
+    experiencePlaceholder: "Enter years of experience",
+    inquiry: "Details of Your Inquiry",
+    resume: "Choose a file",
+    resumeChange: "Click to change file",
+    resumeUpload: "Click to upload or drag and drop",
+    resumeTypes: "PDF, DOCX (Max {maxMb, number} MB)",
+    interests: "Pick Your Interests",
+    interestOption: "{interest, select, corporateAdvisory {Corporate Advisory} hrCompliance {HR Compliance} other {Others}}",
+    detailsTitle: "Enter Your Details",
+    close: "Close",
+    submit: "Submit",
+    submitting: "Submitting...",
+    subscribe: "Subscribe",
+    loading: "Loading...",
+    applicationSent: "Application submitted successfully!",
+    contactSent: "Form submitted successfully!",
+    subscribed: "Successfully subscribed to newsletter!",
+    errors: {
+      heading: "{count, plural, one {Please fix the following error:} other {Please fix the following errors:}}",
+      firstNameRequired: "First name is required",
+      lastNameRequired: "Last name is required",
+      nameRequired: "Name is required",
+      emailRequired: "Email is required",
+      emailInvalid: "Please enter a valid email address",
+      phoneRequired: "Phone number is required",
+      phoneTooShort: "Phone number must be at least {min, plural, one {# digit} other {# digits}}",
+      phoneTooLong: "Phone number cannot exceed {max, plural, one {# digit} other {# digits}}",
+      mobileRequired: "Mobile number is required",
+      mobileTooShort: "Mobile number must be at least {min, plural, one {# digit} other {# digits}}",
+      mobileTooLong: "Mobile number cannot exceed {max, plural, one {# digit} other {# digits}}",
+      collegeRequired: "College name is required",
+      collegeTooShort: "College name must be at least {min, plural, one {# character} other {# characters}}",
+      roleRequired: "Please select a role",
+      resumeRequired: "Please upload your resume",
+      fileTooLarge: "File size must be less than {maxMb, number} MB",
+      fileType: "Only PDF and DOCX files are allowed",
+      interestsRequired: "Please select at least one interest",
+      messageRequired: "Message is required",
+      fillAll: "Please fill in all fields",
+      emailExists: "This email already exists",
+      phoneExists: "This phone number already exists",
+      emailRegistered: "This email address is already registered. Please use a different email address.",
+      mobileRegistered: "This mobile number is already registered. Please use a different mobile number.",
+      auth: "Authentication error — contact admin.",
+      failed: "Submission failed. Please try again.",
+      timeout: "Request timed out. Please try again.",
+      unknown: "An error occurred. Please try again.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "Search",
+    placeholder: "Search insights, people, practice areas…",
+    submit: "Search",
+    open: "Open search",
+    close: "Close search",
+    prompt: "Type a word or phrase to search the site.",
+    resultsFor: "{count, plural, one {# result} other {# results}} for “{query}”",
+    noResults: "No results found for “{query}”. Check the spelling or try fewer words.",
+    seeAll: "See all results",
+    all: "All",
+    type: "{type, select, insight {Insights} publication {Publications} podcast {Podcasts} team {People} practice-area {Practice areas} industry {Industries} job {Careers} other {{type}}}",
+    practiceArea: "Practice area",
+    industry: "Industry",
+    year: "Year",
+    language: "Language",
+    clearFilters: "Clear filters",
+    previous: "Previous",
+    next: "Next",
+    pageOf: "Page {page, number} of {pages, number}",
+    recent: "Recent searches",
+    clearRecent: "Clear",
+    keyboardHint: "↑ ↓ to choose, Enter to open, Esc to close",
+    error: "Search is unavailable right now. Please try again.",
+    filterPlaceholder: "Search...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "Read more",
+    loadMore: "Load More",
+    viewAll: "View All",
+    loading: "Loading...",
+    loadingDots: "Loading",
+    noPosts: "No related post found",
+    noMorePosts: "No more details available",
+    published: "Published: {date}",
+    archives: "Archives",
+    quickLinks: "Quick Links:",
+    contactPartner: "Contact Partner",
+    pageLoadError: "This page could not be loaded. Please try again shortly.",
+    error: "Error: {message}",
+    componentMissing: "Component not found",
+    scrollToTop: "Scroll to top",
+    openMenu: "Open main menu",
+    faqTitle: "Frequently Asked Questions",
+  },
+
+  home: {
+    tagline: "Client-Centric Problem Solving",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "View Article",
+    backToInsights: "Back to Insights",
+    backToNews: "Back to Aarna News",
+    backToPublications: "Back to Publications",
+    noResults: "No results found",
+    noResultsFor: "No results found for \"{query}\"",
+  },
+
+  podcasts: {
+    listenNow: "Listen Now",
+    thumbnailAlt: "Podcast Thumbnail",
+    noImage: "No featured image available",
+    previous: "← Previous Podcast",
+    next: "Next Podcast →",
+    videoCover: "Video cover",
+    videoUnsupported: "Your browser does not support the video tag.",
+    play: "Play",
+    pause: "Pause",
+  },
+
+  team: {
+    photoAlt: "team member",
+    noDesignation: "Designation not available",
+    readMore: "Read More",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "Client’s {br}Testimonials",
+  },
+
+  contact: {
+    getInTouch: "Get in Touch",
+    phone: "Phone",
+    directions: "Directions",
+    ourLocations: "Our Locations",
+    networkMap: "Our networks map",
+  },
+
+  notFound: {
+    message: "We couldn't find the page you are looking for.",
+    home: "Go back to the homepage",
+    imageAlt: "404 Page",
+  },
+
+  footer: {
+    subscribe: "Subscribe to newsletter",
+    copyright: "© {year} Aarna Law. All Rights Reserved",
+  },
+
+  legal: {
+    privacyPolicy: "Privacy Policy",
+    termsOfUse: "Terms of Use",
+    disclaimer: "Disclaimer",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "Accept",
+    decline: "Decline",
+    intro:
+      "The Bar Council of India does not permit solicitation or advertisement by advocates in any form or manner. By accessing this website, {site}, you acknowledge and confirm the following:",
+    points: [
+      "You are accessing the Aarna Law website of your own accord to obtain information about the Firm, its members, and areas of practice.",
+      "There has been no form of solicitation, advertisement, invitation, or inducement from Aarna Law or any of its members to create an attorney-client relationship.",
+      "The content of this website is for informational purposes only and should not be construed as solicitation, advertisement, or legal advice.",
+      "Any materials, information, or documents downloaded from this website are entirely at your discretion and do not create any lawyer-client relationship between you and Aarna Law.",
+      "The Firm is not responsible or liable for any consequence of any action taken by you based on the information or material posted on this website. In case you require legal assistance, you must seek independent professional advice.",
+      "The information provided on this website may not reflect the most current legal developments and should not be interpreted as a commitment or opinion of Aarna Law on any issue.",
+      "Any links on this website leading to third-party websites are provided for convenience only and do not imply endorsement, referral, or association. Aarna Law is not responsible for the content or privacy practices of such third-party sites.",
+      "You should not transmit any confidential, privileged, business, or sensitive information through this website. Information shared through this platform before the establishment of a formal engagement shall not be treated as confidential.",
+      "All content on this website, including text, images, graphics, and design, constitutes the intellectual property of Aarna Law and may not be copied, reproduced, or distributed without prior written consent.",
+      "This website uses cookies to enhance user experience. By continuing to use this site, you consent to our use of cookies as outlined in our Privacy Policy. Please read our {privacyPolicy} and {termsOfUse} to understand how we collect, use, and protect your data.",
+      "This website and all its content are provided “as is,” without any warranties, express or implied. Aarna Law disclaims all liability for any loss or damage resulting from reliance on information contained on this website.",
+      "Any disputes arising from the use of this website shall be governed by the laws of India and subject to the exclusive jurisdiction of competent courts in India.",
+    ],
+    agree: "“I Agree”",
+    closing:
+      "By clicking {agree} or by continuing to use this website, you acknowledge that you have read, understood, and accepted the terms of this Disclaimer.",
+  },
+
+  preview: {
+    label: "Preview",
+    message: "You are viewing unpublished content from WordPress.",
+    exit: "Exit preview",
   },
 };
 export default en;
@@ -261,6 +261,9 @@ const en = {
   
     trackRecord: {
       trackRecordTitle: "Nos résultats en chiffres",
+      yearsOfLegacy: "Années d’héritage",
+      clientsServed: "Clients accompagnés",
+      disputesResolved: "Litiges résolus",
     },
   
     awards: {
@@ -291,9 +294,243 @@ const en = {
     },
     network: {
       networkTitle: "Un réseau d’avocats dans le monde entire",
+      interact: "Cliquez pour utiliser la carte",
+      loadingMap: "Chargement de la carte...",
     },
-  
-  };
+
+  translationNotice: {
+    notAvailable: "Cette page n’est pas encore disponible en français ; elle est affichée en anglais.",
+  },
+
+  // Careers page
+  careers: {
+    title: "Carrières chez Aarna Law",
+    headline: "Rejoignez un cabinet dynamique à la vocation internationale",
+    intro:
+      "Aarna Law est un cabinet de conseil juridique international basé en Inde, ancré dans les principes dharmiques du droit naturel, de la justice et de la compassion. À travers nos nombreux domaines d’expertise, nous offrons un conseil juridique progressiste à une clientèle qui comprend des États, des organisations internationales, des multinationales, des start-up spécialisées et des particuliers.",
+    recruitmentTitle: "Recrutement de professionnels juridiques et administratifs",
+    recruitment:
+      "Nous sommes toujours heureux d’échanger avec des professionnels dotés d’une expérience internationale, de solides résultats universitaires, de publications dans des revues à comité de lecture ou d’autres preuves d’un sens juridique aiguisé. Nous recherchons également des membres d’équipe administrative et de soutien innovants et compétents. Si vous avez l’esprit d’équipe, le sens du service et la passion de l’excellence juridique, contactez-nous.",
+    openingsTitle: "Postes à pourvoir",
+    internshipsTitle: "Stages",
+    applyNow: "Postuler",
+    noContent: "Aucun contenu disponible.",
+    internships: [
+      "Chez Aarna, nous proposons une expérience de stage enrichissante et stimulante. Nous ne regardons pas seulement le dossier universitaire ; nous recherchons des personnes motivées, désireuses d’apprendre et qui partagent les valeurs du cabinet. Nous sommes fiers de la diversité de nos stagiaires et des opportunités offertes à des étudiants de tout le pays.",
+      "Le stage dure de {minWeeks, number} à {maxWeeks, number} semaines. Les stagiaires travaillent avec nos équipes contentieux, droit de l’insolvabilité et conseil aux entreprises. Pendant le stage, le stagiaire a l’occasion unique d’acquérir une vision concrète des différents aspects de nos domaines d’expertise. Chaque stagiaire est encadré par un tuteur ; il est toutefois attendu qu’il travaille avec toutes les équipes afin d’acquérir une expérience globale.",
+      "Nos stagiaires doivent se tenir informés des évolutions récentes du droit dans nos domaines d’expertise. Chaque stagiaire se voit attribuer un sujet de recherche et, à la fin du stage, présente ses travaux devant les associés et l’ensemble des collaborateurs.",
+      "Nous n’acceptons pas les candidatures de stage des étudiants de première et deuxième année du programme BA LLB (Hons.) et du programme LLB en 3 ans.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "Prénom",
+    lastName: "Nom",
+    name: "Nom",
+    email: "E-mail",
+    phone: "Numéro de téléphone",
+    phonePlaceholder: "Saisissez votre numéro de téléphone",
+    mobile: "Mobile",
+    mobilePlaceholder: "Saisissez un numéro de mobile à {digits, number} chiffres",
+    college: "Établissement",
+    role: "Choisissez un poste",
+    selectPlaceholder: "Veuillez choisir",
+    roleOption: "{role, select, Legal {Juridique} Administration {Administration} Finance {Finance} other {{role}}}",
+    experience: "Années d’expérience après le diplôme",
+    experiencePlaceholder: "Saisissez vos années d’expérience",
+    inquiry: "Détails de votre demande",
+    resume: "Choisir un fichier",
+    resumeChange: "Cliquez pour changer de fichier",
+    resumeUpload: "Cliquez pour téléverser ou glissez-déposez",
+    resumeTypes: "PDF, DOCX ({maxMb, number} Mo max.)",
+    interests: "Choisissez vos centres d’intérêt",
+    interestOption: "{interest, select, corporateAdvisory {Conseil aux entreprises} hrCompliance {Conformité RH} other {Autres}}",
+    detailsTitle: "Saisissez vos coordonnées",
+    close: "Fermer",
+    submit: "Envoyer",
+    submitting: "Envoi en cours...",
+    subscribe: "S’abonner",
+    loading: "Chargement...",
+    applicationSent: "Candidature envoyée avec succès !",
+    contactSent: "Formulaire envoyé avec succès !",
+    subscribed: "Abonnement à la newsletter confirmé !",
+    errors: {
+      heading: "{count, plural, one {Veuillez corriger l’erreur suivante :} other {Veuillez corriger les erreurs suivantes :}}",
+      firstNameRequired: "Le prénom est obligatoire",
+      lastNameRequired: "Le nom est obligatoire",
+      nameRequired: "Le nom est obligatoire",
+      emailRequired: "L’e-mail est obligatoire",
+      emailInvalid: "Veuillez saisir une adresse e-mail valide",
+      phoneRequired: "Le numéro de téléphone est obligatoire",
+      phoneTooShort: "Le numéro de téléphone doit comporter au moins {min, plural, one {# chiffre} other {# chiffres}}",
+      phoneTooLong: "Le numéro de téléphone ne peut pas dépasser {max, plural, one {# chiffre} other {# chiffres}}",
+      mobileRequired: "Le numéro de mobile est obligatoire",
+      mobileTooShort: "Le numéro de mobile doit comporter au moins {min, plural, one {# chiffre} other {# chiffres}}",
+      mobileTooLong: "Le numéro de mobile ne peut pas dépasser {max, plural, one {# chiffre} other {# chiffres}}",
+      collegeRequired: "Le nom de l’établissement est obligatoire",
+      collegeTooShort: "Le nom de l’établissement doit comporter au moins {min, plural, one {# caractère} other {# caractères}}",
+      roleRequired: "Veuillez choisir un poste",
+      resumeRequired: "Veuillez téléverser votre CV",
+      fileTooLarge: "La taille du fichier doit être inférieure à {maxMb, number} Mo",
+      fileType: "Seuls les fichiers PDF et DOCX sont acceptés",
+      interestsRequired: "Veuillez choisir au moins un centre d’intérêt",
+      messageRequired: "Le message est obligatoire",
+      fillAll: "Veuillez remplir tous les champs",
+      emailExists: "Cet e-mail existe déjà",
+      phoneExists: "Ce numéro de téléphone existe déjà",
+      emailRegistered: "Cette adresse e-mail est déjà enregistrée. Veuillez en utiliser une autre.",
+      mobileRegistered: "Ce numéro de mobile est déjà enregistré. Veuillez en utiliser un autre.",
+      auth: "Erreur d’authentification — contactez l’administrateur.",
+      failed: "L’envoi a échoué. Veuillez réessayer.",
+      timeout: "La requête a expiré. Veuillez réessayer.",
+      unknown: "Une erreur s’est produite. Veuillez réessayer.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "Recherche",
+    placeholder: "Rechercher des analyses, des personnes, des domaines de pratique…",
+    submit: "Rechercher",
+    open: "Ouvrir la recherche",
+    close: "Fermer la recherche",
+    prompt: "Saisissez un mot ou une expression pour rechercher sur le site.",
+    resultsFor: "{count, plural, one {# résultat} other {# résultats}} pour « {query} »",
+    noResults: "Aucun résultat pour « {query} ». Vérifiez l’orthographe ou essayez avec moins de mots.",
+    seeAll: "Voir tous les résultats",
+    all: "Tout",
+    type: "{type, select, insight {Analyses} publication {Publications} podcast {Podcasts} team {Personnes} practice-area {Domaines de pratique} industry {Secteurs d’activité} job {Carrières} other {{type}}}",
+    practiceArea: "Domaine de pratique",
+    industry: "Secteur d’activité",
+    year: "Année",
+    language: "Langue",
+    clearFilters: "Effacer les filtres",
+    previous: "Précédent",
+    next: "Suivant",
+    pageOf: "Page {page, number} sur {pages, number}",
+    recent: "Recherches récentes",
+    clearRecent: "Effacer",
+    keyboardHint: "↑ ↓ pour choisir, Entrée pour ouvrir, Échap pour fermer",
+    error: "La recherche est indisponible pour le moment. Veuillez réessayer.",
+    filterPlaceholder: "Rechercher...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "Lire la suite",
+    loadMore: "Afficher plus",
+    viewAll: "Tout voir",
+    loading: "Chargement...",
+    loadingDots: "Chargement",
+    noPosts: "Aucun article associé trouvé",
+    noMorePosts: "Aucun autre élément disponible",
+    published: "Publié le {date}",
+    archives: "Archives",
+    quickLinks: "Liens rapides :",
+    contactPartner: "Contacter un associé",
+    pageLoadError: "Cette page n’a pas pu être chargée. Veuillez réessayer dans un instant.",
+    error: "Erreur : {message}",
+    componentMissing: "Composant introuvable",
+    scrollToTop: "Retour en haut",
+    openMenu: "Ouvrir le menu principal",
+    faqTitle: "Questions fréquentes",
+  },
+
+  home: {
+    tagline: "Des solutions centrées sur le client",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "Voir l’article",
+    backToInsights: "Retour aux analyses",
+    backToNews: "Retour aux actualités Aarna",
+    backToPublications: "Retour aux publications",
+    noResults: "Aucun résultat",
+    noResultsFor: "Aucun résultat pour « {query} »",
+  },
+
+  podcasts: {
+    listenNow: "Écouter",
+    thumbnailAlt: "Vignette du podcast",
+    noImage: "Aucune image disponible",
+    previous: "← Podcast précédent",
+    next: "Podcast suivant →",
+    videoCover: "Couverture de la vidéo",
+    videoUnsupported: "Votre navigateur ne prend pas en charge la balise vidéo.",
+    play: "Lire",
+    pause: "Pause",
+  },
+
+  team: {
+    photoAlt: "membre de l’équipe",
+    noDesignation: "Fonction non renseignée",
+    readMore: "En savoir plus",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "Témoignages {br}de clients",
+  },
+
+  contact: {
+    getInTouch: "Nous contacter",
+    phone: "Téléphone",
+    directions: "Itinéraire",
+    ourLocations: "Nos bureaux",
+    networkMap: "Carte de notre réseau",
+  },
+
+  notFound: {
+    message: "Nous n’avons pas trouvé la page que vous cherchez.",
+    home: "Retour à l’accueil",
+    imageAlt: "Page 404",
+  },
+
+  footer: {
+    subscribe: "S’abonner à la newsletter",
+    copyright: "© {year} Aarna Law. Tous droits réservés",
+  },
+
+  legal: {
+    privacyPolicy: "Politique de confidentialité",
+    termsOfUse: "Conditions d’utilisation",
+    disclaimer: "Avertissement",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "Accepter",
+    decline: "Refuser",
+    intro:
+      "Le Bar Council of India n’autorise aucune forme de sollicitation ou de publicité de la part des avocats. En accédant à ce site, {site}, vous reconnaissez et confirmez ce qui suit :",
+    points: [
+      "Vous consultez le site d’Aarna Law de votre propre initiative afin d’obtenir des informations sur le cabinet, ses membres et ses domaines d’activité.",
+      "Aucune sollicitation, publicité, invitation ou incitation n’a été faite par Aarna Law ou l’un de ses membres en vue d’établir une relation avocat-client.",
+      "Le contenu de ce site est fourni à titre purement informatif et ne saurait être interprété comme une sollicitation, une publicité ou un conseil juridique.",
+      "Tout document, information ou élément téléchargé depuis ce site l’est à votre seule discrétion et ne crée aucune relation avocat-client entre vous et Aarna Law.",
+      "Le cabinet ne saurait être tenu responsable des conséquences de toute action entreprise sur la base des informations ou documents publiés sur ce site. Si vous avez besoin d’une assistance juridique, vous devez consulter un conseil professionnel indépendant.",
+      "Les informations fournies sur ce site peuvent ne pas refléter les évolutions juridiques les plus récentes et ne doivent pas être interprétées comme un engagement ou une opinion d’Aarna Law sur quelque question que ce soit.",
+      "Les liens vers des sites tiers sont fournis pour votre commodité uniquement et n’impliquent aucune approbation, recommandation ou association. Aarna Law n’est pas responsable du contenu ni des pratiques de confidentialité de ces sites tiers.",
+      "Vous ne devez transmettre aucune information confidentielle, couverte par le secret professionnel, commerciale ou sensible par l’intermédiaire de ce site. Les informations communiquées via cette plateforme avant l’établissement d’une mission formelle ne seront pas traitées comme confidentielles.",
+      "L’ensemble du contenu de ce site, y compris les textes, images, éléments graphiques et la conception, constitue la propriété intellectuelle d’Aarna Law et ne peut être copié, reproduit ou distribué sans autorisation écrite préalable.",
+      "Ce site utilise des cookies pour améliorer l’expérience des utilisateurs. En continuant à utiliser ce site, vous consentez à notre utilisation des cookies telle que décrite dans notre politique de confidentialité. Veuillez lire notre {privacyPolicy} et nos {termsOfUse} pour comprendre comment nous collectons, utilisons et protégeons vos données.",
+      "Ce site et l’ensemble de son contenu sont fournis « en l’état », sans aucune garantie, expresse ou implicite. Aarna Law décline toute responsabilité pour toute perte ou tout dommage résultant de l’utilisation des informations figurant sur ce site.",
+      "Tout litige découlant de l’utilisation de ce site est régi par le droit indien et relève de la compétence exclusive des tribunaux compétents en Inde.",
+    ],
+    agree: "« J’accepte »",
+    closing:
+      "En cliquant sur {agree} ou en continuant à utiliser ce site, vous reconnaissez avoir lu, compris et accepté les termes du présent avertissement.",
+  },
+
+  preview: {
+    label: "Aperçu",
+    message: "Vous consultez du contenu WordPress non publié.",
+    exit: "Quitter l’aperçu",
+  },
+};
   export default en;
   
   
\ No newline at end of file
@@ -261,6 +261,9 @@ const en = {
 
   trackRecord: {
     trackRecordTitle: "અમે નંબરમાં જે સફળતા પ્રાપ્ત કરી છે",
+    yearsOfLegacy: "અમારા વારસાના વર્ષો",
+    clientsServed: "સેવા આપેલા ક્લાયન્ટ્સ",
+    disputesResolved: "ઉકેલાયેલા વિવાદો",
   },
 
   awards: {
@@ -291,8 +294,242 @@ const en = {
   },
   network: {
     networkTitle: "દુનિયાભરના વકીલોનું એક જાળું",
+    interact: "નકશાનો ઉપયોગ કરવા ક્લિક કરો",
+    loadingMap: "નકશો લોડ થઈ રહ્યો છે...",
   },
 
+  translationNotice: {
+    notAvailable: "આ પૃષ્ઠ હજી તમારી ભાષામાં ઉપલબ્ધ નથી, તેથી તે અંગ્રેજીમાં બતાવવામાં આવ્યું છે.",
+  },
+
+  // Careers page
+  careers: {
+    title: "આરના લૉમાં કારકિર્દી",
+    headline: "આંતરરાષ્ટ્રીય દૃષ્ટિકોણ ધરાવતી ગતિશીલ કાનૂની પ્રેક્ટિસનો ભાગ બનો",
+    intro:
+      "આરના લૉ ભારત સ્થિત આંતરરાષ્ટ્રીય કાનૂની સલાહકાર સંસ્થા છે, જેનાં મૂળ પ્રાકૃતિક કાયદો, ન્યાય અને કરુણાના ધાર્મિક સિદ્ધાંતોમાં છે. અમારાં વ્યાપક પ્રેક્ટિસ ક્ષેત્રો દ્વારા અમે રાષ્ટ્ર-રાજ્યો, આંતરરાષ્ટ્રીય સંગઠનો, બહુરાષ્ટ્રીય કંપનીઓ, વિશિષ્ટ સ્ટાર્ટ-અપ્સ અને વ્યક્તિગત હિતો સુધી ફેલાયેલા ગ્રાહકોને પ્રગતિશીલ કાનૂની સલાહ આપીએ છીએ.",
+    recruitmentTitle: "કાનૂની અને વહીવટી વ્યાવસાયિકોની ભરતી",
+    recruitment:
+      "આંતરરાષ્ટ્રીય અનુભવ, નોંધપાત્ર શૈક્ષણિક સિદ્ધિઓ, સમીક્ષિત સામયિકોમાં પ્રકાશનો અથવા તીક્ષ્ણ કાનૂની કૌશલ્યના અન્ય પુરાવા ધરાવતા વ્યાવસાયિકો પાસેથી સાંભળવામાં અમને હંમેશાં રસ છે. નવીન અને સક્ષમ વહીવટી તથા સહાયક ટીમ સભ્યોમાં પણ અમને રસ છે. જો તમે સેવાભાવ અને કાયદામાં શ્રેષ્ઠતા પ્રત્યે લગન ધરાવતા ટીમ પ્લેયર હો, તો કૃપા કરીને સંપર્ક કરો.",
+    openingsTitle: "હાલની જગ્યાઓ",
+    internshipsTitle: "ઇન્ટર્નશિપ",
+    applyNow: "હમણાં અરજી કરો",
+    noContent: "કોઈ સામગ્રી ઉપલબ્ધ નથી.",
+    internships: [
+      "આરનામાં અમે સમૃદ્ધ અને પડકારજનક ઇન્ટર્નશિપ અનુભવ આપીએ છીએ. અમે માત્ર મજબૂત શૈક્ષણિક રેકોર્ડ જ નથી જોતા; અમે પ્રેરિત, શીખવા આતુર અને સંસ્થાનાં મૂલ્યો ધરાવતી વ્યક્તિઓને શોધીએ છીએ. અમારા ઇન્ટર્નની વિવિધતા અને દેશભરના વિદ્યાર્થીઓને આપેલી તકો પર અમને ગર્વ છે.",
+      "ઇન્ટર્નશિપનો સમયગાળો {minWeeks, number}-{maxWeeks, number} અઠવાડિયાં છે. ઇન્ટર્નને અમારી વિવાદ, નાદારી કાયદો અને કૉર્પોરેટ સલાહકાર ટીમો સાથે કામ કરવાની તક મળે છે. ઇન્ટર્નશિપ દરમિયાન અમારાં પ્રેક્ટિસ ક્ષેત્રોનાં વિવિધ પાસાંની વ્યવહારુ સમજ મેળવવાની અનોખી તક મળે છે. દરેક ઇન્ટર્નને એક સુપરવાઇઝર સોંપવામાં આવે છે; છતાં સર્વાંગી અનુભવ માટે તેમણે તમામ ટીમો સાથે કામ કરવાનું અપેક્ષિત છે.",
+      "અમારા ઇન્ટર્ન અમારાં પ્રેક્ટિસ ક્ષેત્રોમાં કાયદાના તાજેતરના વિકાસથી વાકેફ હોય તેવી અપેક્ષા છે. દરેક ઇન્ટર્નને સંશોધન માટે એક વિષય આપવામાં આવે છે અને સમયગાળાના અંતે પાર્ટનર્સ અને તમામ એસોસિએટ્સ સમક્ષ પ્રસ્તુતિ આપવાની હોય છે.",
+      "બીએ એલએલબી (ઑનર્સ) કાર્યક્રમ અને 3 વર્ષના એલએલબી કાર્યક્રમના પ્રથમ અને દ્વિતીય વર્ષના વિદ્યાર્થીઓની ઇન્ટર્નશિપ અરજીઓ અમે સ્વીકારતા નથી.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "પ્રથમ નામ",
+    lastName: "અટક",
+    name: "નામ",
+    email: "ઇમેઇલ",
+    phone: "ફોન નંબર",
+    phonePlaceholder: "ફોન નંબર દાખલ કરો",
+    mobile: "મોબાઇલ",
+    mobilePlaceholder: "{digits, number} અંકનો મોબાઇલ નંબર દાખલ કરો",
+    college: "કૉલેજ",
+    role: "ભૂમિકા પસંદ કરો",
+    selectPlaceholder: "કૃપા કરીને પસંદ કરો",
+    roleOption: "{role, select, Legal {કાનૂની} Administration {વહીવટ} Finance {નાણાં} other {{role}}}",
+    experience: "લાયકાત પછીના અનુભવનાં વર્ષો",
+    experiencePlaceholder: "અનુભવનાં વર્ષો દાખલ કરો",
+    inquiry: "તમારી પૂછપરછની વિગતો",
+    resume: "ફાઇલ પસંદ કરો",
+    resumeChange: "ફાઇલ બદલવા ક્લિક કરો",
+    resumeUpload: "અપલોડ કરવા ક્લિક કરો અથવા ખેંચીને મૂકો",
+    resumeTypes: "PDF, DOCX (મહત્તમ {maxMb, number} MB)",
+    interests: "તમારી રુચિઓ પસંદ કરો",
+    interestOption: "{interest, select, corporateAdvisory {કૉર્પોરેટ સલાહ} hrCompliance {એચઆર અનુપાલન} other {અન્ય}}",
+    detailsTitle: "તમારી વિગતો દાખલ કરો",
+    close: "બંધ કરો",
+    submit: "સબમિટ કરો",
+    submitting: "સબમિટ થઈ રહ્યું છે...",
+    subscribe: "સબ્સ્ક્રાઇબ કરો",
+    loading: "લોડ થઈ રહ્યું છે...",
+    applicationSent: "અરજી સફળતાપૂર્વક સબમિટ થઈ!",
+    contactSent: "ફોર્મ સફળતાપૂર્વક સબમિટ થયું!",
+    subscribed: "ન્યૂઝલેટર માટે સફળતાપૂર્વક સબ્સ્ક્રાઇબ થયું!",
+    errors: {
+      heading: "{count, plural, one {કૃપા કરીને નીચેની ભૂલ સુધારો:} other {કૃપા કરીને નીચેની ભૂલો સુધારો:}}",
+      firstNameRequired: "પ્રથમ નામ જરૂરી છે",
+      lastNameRequired: "અટક જરૂરી છે",
+      nameRequired: "નામ જરૂરી છે",
+      emailRequired: "ઇમેઇલ જરૂરી છે",
+      emailInvalid: "કૃપા કરીને માન્ય ઇમેઇલ સરનામું દાખલ કરો",
+      phoneRequired: "ફોન નંબર જરૂરી છે",
+      phoneTooShort: "ફોન નંબર ઓછામાં ઓછો {min, plural, one {# અંકનો} other {# અંકનો}} હોવો જોઈએ",
+      phoneTooLong: "ફોન નંબર {max, plural, one {# અંકથી} other {# અંકથી}} વધુ ન હોઈ શકે",
+      mobileRequired: "મોબાઇલ નંબર જરૂરી છે",
+      mobileTooShort: "મોબાઇલ નંબર ઓછામાં ઓછો {min, plural, one {# અંકનો} other {# અંકનો}} હોવો જોઈએ",
+      mobileTooLong: "મોબાઇલ નંબર {max, plural, one {# અંકથી} other {# અંકથી}} વધુ ન હોઈ શકે",
+      collegeRequired: "કૉલેજનું નામ જરૂરી છે",
+      collegeTooShort: "કૉલેજનું નામ ઓછામાં ઓછું {min, plural, one {# અક્ષરનું} other {# અક્ષરનું}} હોવું જોઈએ",
+      roleRequired: "કૃપા કરીને ભૂમિકા પસંદ કરો",
+      resumeRequired: "કૃપા કરીને તમારો બાયોડેટા અપલોડ કરો",
+      fileTooLarge: "ફાઇલનું કદ {maxMb, number} MB કરતાં ઓછું હોવું જોઈએ",
+      fileType: "માત્ર PDF અને DOCX ફાઇલોની મંજૂરી છે",
+      interestsRequired: "કૃપા કરીને ઓછામાં ઓછી એક રુચિ પસંદ કરો",
+      messageRequired: "સંદેશ જરૂરી છે",
+      fillAll: "કૃપા કરીને બધાં ક્ષેત્રો ભરો",
+      emailExists: "આ ઇમેઇલ પહેલેથી અસ્તિત્વમાં છે",
+      phoneExists: "આ ફોન નંબર પહેલેથી અસ્તિત્વમાં છે",
+      emailRegistered: "આ ઇમેઇલ સરનામું પહેલેથી નોંધાયેલું છે. કૃપા કરીને બીજું ઇમેઇલ સરનામું વાપરો.",
+      mobileRegistered: "આ મોબાઇલ નંબર પહેલેથી નોંધાયેલો છે. કૃપા કરીને બીજો મોબાઇલ નંબર વાપરો.",
+      auth: "પ્રમાણીકરણ ભૂલ — એડમિનનો સંપર્ક કરો.",
+      failed: "સબમિટ નિષ્ફળ ગયું. કૃપા કરીને ફરી પ્રયાસ કરો.",
+      timeout: "વિનંતીનો સમય પૂરો થયો. કૃપા કરીને ફરી પ્રયાસ કરો.",
+      unknown: "ભૂલ આવી. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "શોધ",
+    placeholder: "જ્ઞાનદ્રષ્ટિ, લોકો, પ્રેક્ટિસ ક્ષેત્રો શોધો…",
+    submit: "શોધો",
+    open: "શોધ ખોલો",
+    close: "શોધ બંધ કરો",
+    prompt: "સાઇટ પર શોધવા માટે કોઈ શબ્દ અથવા શબ્દસમૂહ લખો.",
+    resultsFor: "“{query}” માટે {count, plural, one {# પરિણામ} other {# પરિણામો}}",
+    noResults: "“{query}” માટે કોઈ પરિણામ મળ્યું નથી. જોડણી તપાસો અથવા ઓછા શબ્દોમાં શોધો.",
+    seeAll: "બધા પરિણામો જુઓ",
+    all: "બધા",
+    type: "{type, select, insight {જ્ઞાનદ્રષ્ટિ} publication {પ્રકાશનો} podcast {પોડકાસ્ટ} team {લોકો} practice-area {પ્રેક્ટિસ ક્ષેત્રો} industry {ઉદ્યોગો} job {કારકિર્દી} other {{type}}}",
+    practiceArea: "પ્રેક્ટિસ ક્ષેત્ર",
+    industry: "ઉદ્યોગ",
+    year: "વર્ષ",
+    language: "ભાષા",
+    clearFilters: "ફિલ્ટર દૂર કરો",
+    previous: "પાછલું",
+    next: "આગળ",
+    pageOf: "પૃષ્ઠ {page, number} / {pages, number}",
+    recent: "તાજેતરની શોધો",
+    clearRecent: "સાફ કરો",
+    keyboardHint: "↑ ↓ પસંદ કરવા, Enter ખોલવા, Esc બંધ કરવા",
+    error: "શોધ હાલમાં ઉપલબ્ધ નથી. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    filterPlaceholder: "શોધો...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "વધુ વાંચો",
+    loadMore: "વધુ બતાવો",
+    viewAll: "બધું જુઓ",
+    loading: "લોડ થઈ રહ્યું છે...",
+    loadingDots: "લોડ થઈ રહ્યું છે",
+    noPosts: "કોઈ સંબંધિત પોસ્ટ મળી નથી",
+    noMorePosts: "વધુ વિગતો ઉપલબ્ધ નથી",
+    published: "પ્રકાશિત: {date}",
+    archives: "આર્કાઇવ્સ",
+    quickLinks: "ઝડપી લિંક્સ:",
+    contactPartner: "ભાગીદારનો સંપર્ક કરો",
+    pageLoadError: "આ પેજ લોડ થઈ શક્યું નથી. કૃપા કરીને થોડી વાર પછી ફરી પ્રયાસ કરો.",
+    error: "ભૂલ: {message}",
+    componentMissing: "ઘટક મળ્યો નથી",
+    scrollToTop: "ઉપર જાઓ",
+    openMenu: "મુખ્ય મેનૂ ખોલો",
+    faqTitle: "વારંવાર પૂછાતા પ્રશ્નો",
+  },
+
+  home: {
+    tagline: "ક્લાયન્ટ-કેન્દ્રિત સમસ્યા ઉકેલ",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "લેખ જુઓ",
+    backToInsights: "આંતરદૃષ્ટિ પર પાછા જાઓ",
+    backToNews: "આરના સમાચાર પર પાછા જાઓ",
+    backToPublications: "પ્રકાશનો પર પાછા જાઓ",
+    noResults: "કોઈ પરિણામ મળ્યું નથી",
+    noResultsFor: "\"{query}\" માટે કોઈ પરિણામ મળ્યું નથી",
+  },
+
+  podcasts: {
+    listenNow: "હમણાં સાંભળો",
+    thumbnailAlt: "પોડકાસ્ટ થંબનેલ",
+    noImage: "કોઈ ફીચર્ડ છબી ઉપલબ્ધ નથી",
+    previous: "← પાછલો પોડકાસ્ટ",
+    next: "આગલો પોડકાસ્ટ →",
+    videoCover: "વિડિયો કવર",
+    videoUnsupported: "તમારું બ્રાઉઝર વિડિયો ટૅગને સપોર્ટ કરતું નથી.",
+    play: "ચલાવો",
+    pause: "થોભાવો",
+  },
+
+  team: {
+    photoAlt: "ટીમ સભ્ય",
+    noDesignation: "હોદ્દો ઉપલબ્ધ નથી",
+    readMore: "વધુ વાંચો",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ક્લાયન્ટ્સના {br}પ્રતિભાવો",
+  },
+
+  contact: {
+    getInTouch: "સંપર્કમાં રહો",
+    phone: "ફોન",
+    directions: "દિશા-નિર્દેશ",
+    ourLocations: "અમારી ઓફિસો",
+    networkMap: "અમારા નેટવર્કનો નકશો",
+  },
+
+  notFound: {
+    message: "તમે શોધી રહ્યા છો તે પેજ અમને મળ્યું નથી.",
+    home: "હોમપેજ પર પાછા જાઓ",
+    imageAlt: "404 પેજ",
+  },
+
+  footer: {
+    subscribe: "ન્યૂઝલેટર માટે સબ્સ્ક્રાઇબ કરો",
+    copyright: "© {year} આરના લૉ. સર્વાધિકાર સુરક્ષિત",
+  },
+
+  legal: {
+    privacyPolicy: "ગોપનીયતા નીતિ",
+    termsOfUse: "ઉપયોગની શરતો",
+    disclaimer: "અસ્વીકરણ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "સ્વીકારો",
+    decline: "નકારો",
+    intro:
+      "બાર કાઉન્સિલ ઑફ ઇન્ડિયા વકીલોને કોઈ પણ સ્વરૂપે કે રીતે અસીલોની માંગણી કરવાની કે જાહેરાત કરવાની પરવાનગી આપતી નથી. આ વેબસાઇટ, {site}, ની મુલાકાત લઈને તમે નીચેની બાબતો સ્વીકારો છો અને તેની પુષ્ટિ કરો છો:",
+    points: [
+      "તમે ફર્મ, તેના સભ્યો અને પ્રેક્ટિસ ક્ષેત્રો વિશે માહિતી મેળવવા માટે તમારી પોતાની ઇચ્છાથી આરના લૉની વેબસાઇટ જોઈ રહ્યા છો.",
+      "વકીલ-અસીલ સંબંધ બાંધવા માટે આરના લૉ કે તેના કોઈ સભ્ય તરફથી કોઈ પ્રકારની માંગણી, જાહેરાત, આમંત્રણ કે પ્રલોભન આપવામાં આવ્યું નથી.",
+      "આ વેબસાઇટની સામગ્રી ફક્ત માહિતી માટે છે અને તેને માંગણી, જાહેરાત કે કાનૂની સલાહ તરીકે ગણવી જોઈએ નહીં.",
+      "આ વેબસાઇટ પરથી ડાઉનલોડ કરેલી કોઈ પણ સામગ્રી, માહિતી કે દસ્તાવેજો સંપૂર્ણપણે તમારા વિવેક પર છે અને તે તમારા અને આરના લૉ વચ્ચે કોઈ વકીલ-અસીલ સંબંધ બાંધતા નથી.",
+      "આ વેબસાઇટ પર પ્રકાશિત માહિતી કે સામગ્રીના આધારે તમે લીધેલા કોઈ પણ પગલાંના પરિણામ માટે ફર્મ જવાબદાર નથી. જો તમને કાનૂની સહાયની જરૂર હોય, તો તમારે સ્વતંત્ર વ્યાવસાયિક સલાહ લેવી જોઈએ.",
+      "આ વેબસાઇટ પર આપેલી માહિતીમાં તાજેતરના કાનૂની ફેરફારો પ્રતિબિંબિત ન પણ થતા હોય, અને તેને કોઈ પણ મુદ્દા પર આરના લૉની પ્રતિબદ્ધતા કે અભિપ્રાય તરીકે સમજવી જોઈએ નહીં.",
+      "આ વેબસાઇટ પરની તૃતીય-પક્ષ વેબસાઇટ્સની લિંક્સ ફક્ત સુવિધા માટે આપવામાં આવી છે અને તે સમર્થન, ભલામણ કે જોડાણ સૂચવતી નથી. આવી તૃતીય-પક્ષ સાઇટ્સની સામગ્રી કે ગોપનીયતા પદ્ધતિઓ માટે આરના લૉ જવાબદાર નથી.",
+      "તમારે આ વેબસાઇટ દ્વારા કોઈ પણ ગોપનીય, વિશેષાધિકૃત, વ્યાવસાયિક કે સંવેદનશીલ માહિતી મોકલવી જોઈએ નહીં. ઔપચારિક કરાર પહેલાં આ પ્લેટફોર્મ દ્વારા શેર કરેલી માહિતીને ગોપનીય ગણવામાં આવશે નહીં.",
+      "લખાણ, છબીઓ, ગ્રાફિક્સ અને ડિઝાઇન સહિત આ વેબસાઇટની તમામ સામગ્રી આરના લૉની બૌદ્ધિક સંપદા છે અને પૂર્વ લેખિત સંમતિ વિના તેની નકલ, પુનઃઉત્પાદન કે વિતરણ કરી શકાશે નહીં.",
+      "વપરાશકર્તાનો અનુભવ સુધારવા માટે આ વેબસાઇટ કૂકીઝનો ઉપયોગ કરે છે. આ સાઇટનો ઉપયોગ ચાલુ રાખીને, તમે અમારી ગોપનીયતા નીતિમાં જણાવ્યા મુજબ કૂકીઝના ઉપયોગ માટે સંમતિ આપો છો. અમે તમારો ડેટા કેવી રીતે એકત્રિત, ઉપયોગ અને સુરક્ષિત કરીએ છીએ તે સમજવા માટે કૃપા કરીને અમારી {privacyPolicy} અને {termsOfUse} વાંચો.",
+      "આ વેબસાઇટ અને તેની તમામ સામગ્રી કોઈ પણ સ્પષ્ટ કે ગર્ભિત વૉરંટી વિના “જેમ છે તેમ” પૂરી પાડવામાં આવે છે. આ વેબસાઇટ પરની માહિતી પર આધાર રાખવાથી થતા કોઈ પણ નુકસાન માટે આરના લૉ તમામ જવાબદારીનો અસ્વીકાર કરે છે.",
+      "આ વેબસાઇટના ઉપયોગથી ઉદ્ભવતા કોઈ પણ વિવાદો ભારતના કાયદાઓ દ્વારા સંચાલિત થશે અને ભારતની સક્ષમ અદાલતોના વિશિષ્ટ અધિકારક્ષેત્રને આધીન રહેશે.",
+    ],
+    agree: "“હું સંમત છું”",
+    closing:
+      "{agree} પર ક્લિક કરીને અથવા આ વેબસાઇટનો ઉપયોગ ચાલુ રાખીને, તમે સ્વીકારો છો કે તમે આ અસ્વીકરણની શરતો વાંચી, સમજી અને સ્વીકારી છે.",
+  },
+
+  preview: {
+    label: "પૂર્વાવલોકન",
+    message: "તમે WordPress ની અપ્રકાશિત સામગ્રી જોઈ રહ્યા છો.",
+    exit: "પૂર્વાવલોકનમાંથી બહાર નીકળો",
+  },
 };
 export default en;
 
@@ -261,6 +261,9 @@ const hi = {
 
   trackRecord: {
     trackRecordTitle: "संख्याओं के आधार पर हमारा ट्रैक रिकॉर्ड",
+    yearsOfLegacy: "हमारी विरासत के वर्ष",
+    clientsServed: "सेवा प्राप्त क्लाइंट",
+    disputesResolved: "सुलझाए गए विवाद",
   },
 
   awards: {
@@ -291,8 +294,242 @@ const hi = {
   },
   network: {
     networkTitle: "दुनिया भर के वकीलों का नेटवर्क",
+    interact: "मानचित्र का उपयोग करने के लिए क्लिक करें",
+    loadingMap: "मानचित्र लोड हो रहा है...",
   },
 
+  translationNotice: {
+    notAvailable: "यह पृष्ठ अभी आपकी भाषा में उपलब्ध नहीं है, इसलिए इसे अंग्रेज़ी में दिखाया गया है।",
+  },
+
+  // Careers page
+  careers: {
+    title: "आरना लॉ में करियर",
+    headline: "अंतरराष्ट्रीय दृष्टिकोण वाली एक गतिशील विधि प्रैक्टिस का हिस्सा बनें",
+    intro:
+      "आरना लॉ भारत स्थित एक अंतरराष्ट्रीय विधिक सलाहकार फर्म है, जिसकी जड़ें प्राकृतिक विधि, न्याय और करुणा के धार्मिक सिद्धांतों में हैं। अपने व्यापक प्रैक्टिस क्षेत्रों के माध्यम से हम राष्ट्र-राज्यों, अंतरराष्ट्रीय संगठनों, बहुराष्ट्रीय कंपनियों, विशिष्ट स्टार्ट-अप और व्यक्तिगत हितों तक फैले ग्राहकों को प्रगतिशील विधिक परामर्श देते हैं।",
+    recruitmentTitle: "विधिक और प्रशासनिक पेशेवरों की भर्ती",
+    recruitment:
+      "हम अंतरराष्ट्रीय अनुभव, उल्लेखनीय शैक्षणिक उपलब्धियों, समकक्ष-समीक्षित पत्रिकाओं में प्रकाशनों या कुशल विधिक कौशल के अन्य प्रमाणों वाले पेशेवरों से सुनने में सदैव रुचि रखते हैं। हम नवोन्मेषी और सक्षम प्रशासनिक एवं सहायक टीम सदस्यों में भी रुचि रखते हैं। यदि आप सेवा भाव और विधि में उत्कृष्टता के प्रति जुनून रखने वाले टीम प्लेयर हैं, तो कृपया संपर्क करें।",
+    openingsTitle: "वर्तमान रिक्तियाँ",
+    internshipsTitle: "इंटर्नशिप",
+    applyNow: "अभी आवेदन करें",
+    noContent: "कोई सामग्री उपलब्ध नहीं है।",
+    internships: [
+      "आरना में हम एक समृद्ध और चुनौतीपूर्ण इंटर्नशिप अनुभव प्रदान करते हैं। हम केवल मज़बूत शैक्षणिक रिकॉर्ड ही नहीं देखते; हम ऐसे व्यक्तियों की तलाश करते हैं जो प्रेरित हों, सीखने के इच्छुक हों और फर्म के मूल्यों को साझा करते हों। हमें अपने इंटर्न की विविधता और देश भर के विद्यार्थियों को दिए गए अवसरों पर गर्व है।",
+      "इंटर्नशिप की अवधि {minWeeks, number}-{maxWeeks, number} सप्ताह है। इंटर्न को हमारी विवाद, दिवाला विधि और कॉर्पोरेट सलाहकार टीमों के साथ काम करने का अवसर मिलता है। इंटर्नशिप के दौरान इंटर्न को हमारे प्रैक्टिस क्षेत्रों के विभिन्न पहलुओं की व्यावहारिक समझ पाने का अनूठा अवसर मिलता है। प्रत्येक इंटर्न को एक पर्यवेक्षक सौंपा जाता है; फिर भी, समग्र अनुभव के लिए उनसे सभी टीमों के साथ काम करने की अपेक्षा की जाती है।",
+      "हमारे इंटर्न से हमारे प्रैक्टिस क्षेत्रों में विधि के हालिया विकास से अवगत रहने की अपेक्षा की जाती है। प्रत्येक इंटर्न को शोध के लिए एक विषय दिया जाता है और अवधि के अंत में इंटर्न से पार्टनर्स और सभी एसोसिएट्स के समक्ष प्रस्तुति देने की अपेक्षा की जाती है।",
+      "हम बीए एलएलबी (ऑनर्स) कार्यक्रम और 3 वर्षीय एलएलबी कार्यक्रम के प्रथम और द्वितीय वर्ष के विद्यार्थियों से इंटर्नशिप आवेदन स्वीकार नहीं करते।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "पहला नाम",
+    lastName: "उपनाम",
+    name: "नाम",
+    email: "ईमेल",
+    phone: "फ़ोन नंबर",
+    phonePlaceholder: "फ़ोन नंबर दर्ज करें",
+    mobile: "मोबाइल",
+    mobilePlaceholder: "{digits, number} अंकों का मोबाइल नंबर दर्ज करें",
+    college: "कॉलेज",
+    role: "भूमिका चुनें",
+    selectPlaceholder: "कृपया चुनें",
+    roleOption: "{role, select, Legal {विधिक} Administration {प्रशासन} Finance {वित्त} other {{role}}}",
+    experience: "योग्यता के बाद के अनुभव के वर्ष",
+    experiencePlaceholder: "अनुभव के वर्ष दर्ज करें",
+    inquiry: "आपकी पूछताछ का विवरण",
+    resume: "फ़ाइल चुनें",
+    resumeChange: "फ़ाइल बदलने के लिए क्लिक करें",
+    resumeUpload: "अपलोड करने के लिए क्लिक करें या खींचकर छोड़ें",
+    resumeTypes: "PDF, DOCX (अधिकतम {maxMb, number} MB)",
+    interests: "अपनी रुचियाँ चुनें",
+    interestOption: "{interest, select, corporateAdvisory {कॉर्पोरेट सलाहकार} hrCompliance {एचआर अनुपालन} other {अन्य}}",
+    detailsTitle: "अपना विवरण दर्ज करें",
+    close: "बंद करें",
+    submit: "जमा करें",
+    submitting: "जमा किया जा रहा है...",
+    subscribe: "सदस्यता लें",
+    loading: "लोड हो रहा है...",
+    applicationSent: "आवेदन सफलतापूर्वक जमा हो गया!",
+    contactSent: "फ़ॉर्म सफलतापूर्वक जमा हो गया!",
+    subscribed: "न्यूज़लेटर की सदस्यता सफलतापूर्वक ली गई!",
+    errors: {
+      heading: "{count, plural, one {कृपया निम्नलिखित त्रुटि ठीक करें:} other {कृपया निम्नलिखित त्रुटियाँ ठीक करें:}}",
+      firstNameRequired: "पहला नाम आवश्यक है",
+      lastNameRequired: "उपनाम आवश्यक है",
+      nameRequired: "नाम आवश्यक है",
+      emailRequired: "ईमेल आवश्यक है",
+      emailInvalid: "कृपया एक मान्य ईमेल पता दर्ज करें",
+      phoneRequired: "फ़ोन नंबर आवश्यक है",
+      phoneTooShort: "फ़ोन नंबर कम से कम {min, plural, one {# अंक} other {# अंकों}} का होना चाहिए",
+      phoneTooLong: "फ़ोन नंबर {max, plural, one {# अंक} other {# अंकों}} से अधिक नहीं हो सकता",
+      mobileRequired: "मोबाइल नंबर आवश्यक है",
+      mobileTooShort: "मोबाइल नंबर कम से कम {min, plural, one {# अंक} other {# अंकों}} का होना चाहिए",
+      mobileTooLong: "मोबाइल नंबर {max, plural, one {# अंक} other {# अंकों}} से अधिक नहीं हो सकता",
+      collegeRequired: "कॉलेज का नाम आवश्यक है",
+      collegeTooShort: "कॉलेज का नाम कम से कम {min, plural, one {# अक्षर} other {# अक्षरों}} का होना चाहिए",
+      roleRequired: "कृपया एक भूमिका चुनें",
+      resumeRequired: "कृपया अपना बायोडाटा अपलोड करें",
+      fileTooLarge: "फ़ाइल का आकार {maxMb, number} MB से कम होना चाहिए",
+      fileType: "केवल PDF और DOCX फ़ाइलें स्वीकार्य हैं",
+      interestsRequired: "कृपया कम से कम एक रुचि चुनें",
+      messageRequired: "संदेश आवश्यक है",
+      fillAll: "कृपया सभी फ़ील्ड भरें",
+      emailExists: "यह ईमेल पहले से मौजूद है",
+      phoneExists: "यह फ़ोन नंबर पहले से मौजूद है",
+      emailRegistered: "यह ईमेल पता पहले से पंजीकृत है। कृपया कोई दूसरा ईमेल पता उपयोग करें।",
+      mobileRegistered: "यह मोबाइल नंबर पहले से पंजीकृत है। कृपया कोई दूसरा मोबाइल नंबर उपयोग करें।",
+      auth: "प्रमाणीकरण त्रुटि — व्यवस्थापक से संपर्क करें।",
+      failed: "जमा नहीं हो सका। कृपया पुनः प्रयास करें।",
+      timeout: "अनुरोध का समय समाप्त हो गया। कृपया पुनः प्रयास करें।",
+      unknown: "एक त्रुटि हुई। कृपया पुनः प्रयास करें।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "खोज",
+    placeholder: "अंतर्दृष्टि, लोग, प्रैक्टिस क्षेत्र खोजें…",
+    submit: "खोजें",
+    open: "खोज खोलें",
+    close: "खोज बंद करें",
+    prompt: "साइट पर खोजने के लिए कोई शब्द या वाक्यांश लिखें।",
+    resultsFor: "“{query}” के लिए {count, plural, one {# परिणाम} other {# परिणाम}}",
+    noResults: "“{query}” के लिए कोई परिणाम नहीं मिला। वर्तनी जाँचें या कम शब्दों से खोजें।",
+    seeAll: "सभी परिणाम देखें",
+    all: "सभी",
+    type: "{type, select, insight {अंतर्दृष्टि} publication {प्रकाशन} podcast {पॉडकास्ट} team {लोग} practice-area {प्रैक्टिस क्षेत्र} industry {उद्योग} job {करियर} other {{type}}}",
+    practiceArea: "प्रैक्टिस क्षेत्र",
+    industry: "उद्योग",
+    year: "वर्ष",
+    language: "भाषा",
+    clearFilters: "फ़िल्टर हटाएँ",
+    previous: "पिछला",
+    next: "अगला",
+    pageOf: "पृष्ठ {page, number} / {pages, number}",
+    recent: "हाल की खोजें",
+    clearRecent: "साफ़ करें",
+    keyboardHint: "↑ ↓ से चुनें, Enter से खोलें, Esc से बंद करें",
+    error: "खोज अभी उपलब्ध नहीं है। कृपया फिर से प्रयास करें।",
+    filterPlaceholder: "खोजें...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "और पढ़ें",
+    loadMore: "और देखें",
+    viewAll: "सभी देखें",
+    loading: "लोड हो रहा है...",
+    loadingDots: "लोड हो रहा है",
+    noPosts: "कोई संबंधित पोस्ट नहीं मिली",
+    noMorePosts: "और कोई विवरण उपलब्ध नहीं है",
+    published: "प्रकाशित: {date}",
+    archives: "संग्रह",
+    quickLinks: "त्वरित लिंक:",
+    contactPartner: "पार्टनर से संपर्क करें",
+    pageLoadError: "यह पृष्ठ लोड नहीं हो सका। कृपया थोड़ी देर बाद फिर से प्रयास करें।",
+    error: "त्रुटि: {message}",
+    componentMissing: "कंपोनेंट नहीं मिला",
+    scrollToTop: "ऊपर जाएँ",
+    openMenu: "मुख्य मेनू खोलें",
+    faqTitle: "अक्सर पूछे जाने वाले प्रश्न",
+  },
+
+  home: {
+    tagline: "क्लाइंट-केंद्रित समस्या समाधान",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "लेख देखें",
+    backToInsights: "अंतर्दृष्टि पर वापस जाएँ",
+    backToNews: "आरना समाचार पर वापस जाएँ",
+    backToPublications: "प्रकाशनों पर वापस जाएँ",
+    noResults: "कोई परिणाम नहीं मिला",
+    noResultsFor: "\"{query}\" के लिए कोई परिणाम नहीं मिला",
+  },
+
+  podcasts: {
+    listenNow: "अभी सुनें",
+    thumbnailAlt: "पॉडकास्ट थंबनेल",
+    noImage: "कोई फ़ीचर्ड छवि उपलब्ध नहीं है",
+    previous: "← पिछला पॉडकास्ट",
+    next: "अगला पॉडकास्ट →",
+    videoCover: "वीडियो कवर",
+    videoUnsupported: "आपका ब्राउज़र वीडियो टैग का समर्थन नहीं करता।",
+    play: "चलाएँ",
+    pause: "रोकें",
+  },
+
+  team: {
+    photoAlt: "टीम सदस्य",
+    noDesignation: "पद उपलब्ध नहीं है",
+    readMore: "और पढ़ें",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "क्लाइंट के {br}प्रशंसापत्र",
+  },
+
+  contact: {
+    getInTouch: "संपर्क में रहें",
+    phone: "फ़ोन",
+    directions: "दिशा-निर्देश",
+    ourLocations: "हमारे कार्यालय",
+    networkMap: "हमारे नेटवर्क का मानचित्र",
+  },
+
+  notFound: {
+    message: "आप जो पृष्ठ ढूँढ रहे हैं, वह हमें नहीं मिला।",
+    home: "होमपेज पर वापस जाएँ",
+    imageAlt: "404 पृष्ठ",
+  },
+
+  footer: {
+    subscribe: "न्यूज़लेटर की सदस्यता लें",
+    copyright: "© {year} आरना लॉ। सर्वाधिकार सुरक्षित",
+  },
+
+  legal: {
+    privacyPolicy: "गोपनीयता नीति",
+    termsOfUse: "उपयोग की शर्तें",
+    disclaimer: "अस्वीकरण",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "स्वीकार करें",
+    decline: "अस्वीकार करें",
+    intro:
+      "बार काउंसिल ऑफ इंडिया अधिवक्ताओं द्वारा किसी भी रूप या तरीके से आग्रह या विज्ञापन की अनुमति नहीं देती। इस वेबसाइट, {site}, पर आकर आप निम्नलिखित को स्वीकार और पुष्टि करते हैं:",
+    points: [
+      "आप फ़र्म, उसके सदस्यों और प्रैक्टिस क्षेत्रों के बारे में जानकारी प्राप्त करने के लिए अपनी इच्छा से आरना लॉ की वेबसाइट देख रहे हैं।",
+      "अधिवक्ता-क्लाइंट संबंध बनाने के लिए आरना लॉ या उसके किसी भी सदस्य की ओर से किसी भी प्रकार का आग्रह, विज्ञापन, आमंत्रण या प्रलोभन नहीं दिया गया है।",
+      "इस वेबसाइट की सामग्री केवल जानकारी के लिए है और इसे आग्रह, विज्ञापन या कानूनी सलाह नहीं माना जाना चाहिए।",
+      "इस वेबसाइट से डाउनलोड की गई कोई भी सामग्री, जानकारी या दस्तावेज़ पूरी तरह आपके विवेक पर है और इससे आपके और आरना लॉ के बीच कोई अधिवक्ता-क्लाइंट संबंध नहीं बनता।",
+      "इस वेबसाइट पर प्रकाशित जानकारी या सामग्री के आधार पर आपके द्वारा की गई किसी भी कार्रवाई के परिणाम के लिए फ़र्म ज़िम्मेदार या उत्तरदायी नहीं है। यदि आपको कानूनी सहायता की आवश्यकता है, तो आपको स्वतंत्र पेशेवर सलाह लेनी चाहिए।",
+      "इस वेबसाइट पर दी गई जानकारी में नवीनतम कानूनी घटनाक्रम शामिल न हों, ऐसा संभव है, और इसे किसी भी विषय पर आरना लॉ की प्रतिबद्धता या राय नहीं समझा जाना चाहिए।",
+      "इस वेबसाइट पर तृतीय-पक्ष वेबसाइटों के लिंक केवल सुविधा के लिए दिए गए हैं और इनका अर्थ समर्थन, रेफ़रल या संबद्धता नहीं है। ऐसी तृतीय-पक्ष साइटों की सामग्री या गोपनीयता व्यवहार के लिए आरना लॉ ज़िम्मेदार नहीं है।",
+      "आपको इस वेबसाइट के माध्यम से कोई भी गोपनीय, विशेषाधिकार प्राप्त, व्यावसायिक या संवेदनशील जानकारी नहीं भेजनी चाहिए। औपचारिक अनुबंध से पहले इस प्लेटफ़ॉर्म के माध्यम से साझा की गई जानकारी को गोपनीय नहीं माना जाएगा।",
+      "इस वेबसाइट की सभी सामग्री, जिसमें पाठ, चित्र, ग्राफ़िक्स और डिज़ाइन शामिल हैं, आरना लॉ की बौद्धिक संपदा है और पूर्व लिखित सहमति के बिना इसकी प्रतिलिपि, पुनरुत्पादन या वितरण नहीं किया जा सकता।",
+      "यह वेबसाइट उपयोगकर्ता अनुभव बेहतर बनाने के लिए कुकीज़ का उपयोग करती है। इस साइट का उपयोग जारी रखकर आप हमारी गोपनीयता नीति में बताए अनुसार कुकीज़ के उपयोग के लिए सहमति देते हैं। हम आपका डेटा कैसे एकत्र, उपयोग और सुरक्षित करते हैं, यह जानने के लिए कृपया हमारी {privacyPolicy} और {termsOfUse} पढ़ें।",
+      "यह वेबसाइट और इसकी सभी सामग्री “जैसी है” के आधार पर, बिना किसी स्पष्ट या निहित वारंटी के, प्रदान की जाती है। इस वेबसाइट की जानकारी पर निर्भरता से होने वाली किसी भी हानि या क्षति के लिए आरना लॉ सभी दायित्वों से इनकार करता है।",
+      "इस वेबसाइट के उपयोग से उत्पन्न होने वाले किसी भी विवाद पर भारत के कानून लागू होंगे और वे भारत के सक्षम न्यायालयों के अनन्य क्षेत्राधिकार के अधीन होंगे।",
+    ],
+    agree: "“मैं सहमत हूँ”",
+    closing:
+      "{agree} पर क्लिक करके या इस वेबसाइट का उपयोग जारी रखकर, आप स्वीकार करते हैं कि आपने इस अस्वीकरण की शर्तों को पढ़, समझ और स्वीकार कर लिया है।",
+  },
+
+  preview: {
+    label: "पूर्वावलोकन",
+    message: "आप WordPress की अप्रकाशित सामग्री देख रहे हैं।",
+    exit: "पूर्वावलोकन से बाहर निकलें",
+  },
 };
 export default hi;
 
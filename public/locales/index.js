@@ -1,25 +1,22 @@
-import en from "./en";
-import ta from "./ta";
-import kn from "./kn";
-import hi from "./hi";
-import te from "./te";
-import mr from "./mr";
-import ml from "./ml";
-import gu from "./gu";
-import fr from "./fr";
-
-
+// One loader per locale, so each language is a chunk of its own that is only
+// fetched for pages in that language (see lib/messages.js). Keep in sync with
+// LOCALES in lib/locales.js.
 const translations = {
-    en,
-    ta,
-    kn,
-    hi,
-    te,
-    mr,
-    ml,
-    gu,
-    fr,
- 
+    en: () => import("./en"),
+    ta: () => import("./ta"),
+    kn: () => import("./kn"),
+    hi: () => import("./hi"),
+    te: () => import("./te"),
+    mr: () => import("./mr"),
+    ml: () => import("./ml"),
+    gu: () => import("./gu"),
+    fr: () => import("./fr"),
+    ur: () => import("./ur"),
+    pa: () => import("./pa"),
+    bn: () => import("./bn"),
+    or: () => import("./or"),
+    as: () => import("./as"),
+    ne: () => import("./ne"),
 };
 
 export default translations;
@@ -256,6 +256,9 @@ const kn = {
 
   trackRecord: {
     trackRecordTitle: "ಸಂಖ್ಯೆಗಳ ಮೂಲಕ ನಮ್ಮ ಸಾಧನೆ",
+    yearsOfLegacy: "ನಮ್ಮ ಪರಂಪರೆಯ ವರ್ಷಗಳು",
+    clientsServed: "ಸೇವೆ ಪಡೆದ ಗ್ರಾಹಕರು",
+    disputesResolved: "ಪರಿಹರಿಸಲಾದ ವಿವಾದಗಳು",
   },
 
   awards: {
@@ -286,7 +289,241 @@ const kn = {
   },
   network: {
     networkTitle: "ಪ್ರಪಂಚದಾದ್ಯಂತದ ವಕೀಲರ ಜಾಲ",
+    interact: "ನಕ್ಷೆಯನ್ನು ಬಳಸಲು ಕ್ಲಿಕ್ ಮಾಡಿ",
+    loadingMap: "ನಕ್ಷೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
   },
 
+  translationNotice: {
+    notAvailable: "ಈ ಪುಟ ಇನ್ನೂ ನಿಮ್ಮ ಭಾಷೆಯಲ್ಲಿ ಲಭ್ಯವಿಲ್ಲ, ಆದ್ದರಿಂದ ಇಂಗ್ಲಿಷ್‌ನಲ್ಲಿ ತೋರಿಸಲಾಗಿದೆ.",
+  },
+
+  // Careers page
+  careers: {
+    title: "ಆರ್ನಾ ಲಾದಲ್ಲಿ ವೃತ್ತಿ ಅವಕಾಶಗಳು",
+    headline: "ಅಂತರರಾಷ್ಟ್ರೀಯ ದೃಷ್ಟಿಕೋನವಿರುವ ಕ್ರಿಯಾಶೀಲ ಕಾನೂನು ಸಂಸ್ಥೆಯ ಭಾಗವಾಗಿ",
+    intro:
+      "ಆರ್ನಾ ಲಾ ಭಾರತದಲ್ಲಿ ನೆಲೆಗೊಂಡಿರುವ ಅಂತರರಾಷ್ಟ್ರೀಯ ಕಾನೂನು ಸಲಹಾ ಸಂಸ್ಥೆಯಾಗಿದ್ದು, ನೈಸರ್ಗಿಕ ಕಾನೂನು, ನ್ಯಾಯ ಮತ್ತು ಕರುಣೆಯ ಧಾರ್ಮಿಕ ತತ್ವಗಳಲ್ಲಿ ಬೇರೂರಿದೆ. ನಮ್ಮ ವ್ಯಾಪಕ ಅಭ್ಯಾಸ ಕ್ಷೇತ್ರಗಳ ಮೂಲಕ ರಾಷ್ಟ್ರಗಳು, ಅಂತರರಾಷ್ಟ್ರೀಯ ಸಂಸ್ಥೆಗಳು, ಬಹುರಾಷ್ಟ್ರೀಯ ಕಂಪನಿಗಳು, ವಿಶಿಷ್ಟ ಸ್ಟಾರ್ಟ್-ಅಪ್‌ಗಳು ಮತ್ತು ವೈಯಕ್ತಿಕ ಹಿತಾಸಕ್ತಿಗಳವರೆಗೆ ಹರಡಿರುವ ಗ್ರಾಹಕರಿಗೆ ಪ್ರಗತಿಪರ ಕಾನೂನು ಸಲಹೆ ನೀಡುತ್ತೇವೆ.",
+    recruitmentTitle: "ಕಾನೂನು ಮತ್ತು ಆಡಳಿತ ವೃತ್ತಿಪರರ ನೇಮಕಾತಿ",
+    recruitment:
+      "ಅಂತರರಾಷ್ಟ್ರೀಯ ಅನುಭವ, ಗಮನಾರ್ಹ ಶೈಕ್ಷಣಿಕ ಸಾಧನೆಗಳು, ಸಮಾನ-ಪರಿಶೀಲಿತ ನಿಯತಕಾಲಿಕಗಳಲ್ಲಿ ಪ್ರಕಟಣೆಗಳು ಅಥವಾ ಚುರುಕಾದ ಕಾನೂನು ಕೌಶಲ್ಯದ ಇತರ ಸಾಕ್ಷ್ಯಗಳಿರುವ ವೃತ್ತಿಪರರಿಂದ ಕೇಳಲು ನಾವು ಸದಾ ಆಸಕ್ತರಾಗಿದ್ದೇವೆ. ನವೀನ ಮತ್ತು ಸಮರ್ಥ ಆಡಳಿತ ಹಾಗೂ ಸಹಾಯಕ ತಂಡದ ಸದಸ್ಯರಲ್ಲೂ ನಮಗೆ ಆಸಕ್ತಿ ಇದೆ. ಸೇವಾ ಮನೋಭಾವ ಮತ್ತು ಕಾನೂನಿನಲ್ಲಿ ಶ್ರೇಷ್ಠತೆಯ ಬಗ್ಗೆ ಉತ್ಸಾಹವಿರುವ ತಂಡದ ಸದಸ್ಯರಾಗಿದ್ದರೆ, ದಯವಿಟ್ಟು ಸಂಪರ್ಕಿಸಿ.",
+    openingsTitle: "ಪ್ರಸ್ತುತ ಖಾಲಿ ಹುದ್ದೆಗಳು",
+    internshipsTitle: "ಇಂಟರ್ನ್‌ಶಿಪ್‌ಗಳು",
+    applyNow: "ಈಗಲೇ ಅರ್ಜಿ ಸಲ್ಲಿಸಿ",
+    noContent: "ಯಾವುದೇ ವಿಷಯ ಲಭ್ಯವಿಲ್ಲ.",
+    internships: [
+      "ಆರ್ನಾದಲ್ಲಿ ನಾವು ಸಮೃದ್ಧ ಮತ್ತು ಸವಾಲಿನ ಇಂಟರ್ನ್‌ಶಿಪ್ ಅನುಭವವನ್ನು ನೀಡುತ್ತೇವೆ. ನಾವು ಕೇವಲ ಉತ್ತಮ ಶೈಕ್ಷಣಿಕ ದಾಖಲೆಯನ್ನು ಮಾತ್ರ ನೋಡುವುದಿಲ್ಲ; ಪ್ರೇರಿತರಾದ, ಕಲಿಯಲು ಉತ್ಸುಕರಾದ ಮತ್ತು ಸಂಸ್ಥೆಯ ಮೌಲ್ಯಗಳನ್ನು ಹಂಚಿಕೊಳ್ಳುವ ವ್ಯಕ್ತಿಗಳನ್ನು ಹುಡುಕುತ್ತೇವೆ. ನಮ್ಮ ಇಂಟರ್ನ್‌ಗಳ ವೈವಿಧ್ಯತೆ ಮತ್ತು ದೇಶದಾದ್ಯಂತದ ವಿದ್ಯಾರ್ಥಿಗಳಿಗೆ ನೀಡಿದ ಅವಕಾಶಗಳ ಬಗ್ಗೆ ನಮಗೆ ಹೆಮ್ಮೆಯಿದೆ.",
+      "ಇಂಟರ್ನ್‌ಶಿಪ್ ಅವಧಿ {minWeeks, number}-{maxWeeks, number} ವಾರಗಳು. ಇಂಟರ್ನ್‌ಗಳಿಗೆ ನಮ್ಮ ವ್ಯಾಜ್ಯ, ದಿವಾಳಿತನ ಕಾನೂನು ಹಾಗೂ ಕಾರ್ಪೊರೇಟ್ ಸಲಹಾ ತಂಡಗಳೊಂದಿಗೆ ಕೆಲಸ ಮಾಡುವ ಅವಕಾಶ ಸಿಗುತ್ತದೆ. ಇಂಟರ್ನ್‌ಶಿಪ್ ಅವಧಿಯಲ್ಲಿ ನಮ್ಮ ಅಭ್ಯಾಸ ಕ್ಷೇತ್ರಗಳ ವಿವಿಧ ಅಂಶಗಳ ಪ್ರಾಯೋಗಿಕ ಒಳನೋಟ ಪಡೆಯುವ ವಿಶಿಷ್ಟ ಅವಕಾಶ ಸಿಗುತ್ತದೆ. ಪ್ರತಿ ಇಂಟರ್ನ್‌ಗೆ ಒಬ್ಬ ಮೇಲ್ವಿಚಾರಕರನ್ನು ನಿಯೋಜಿಸಲಾಗುತ್ತದೆ; ಆದರೂ ಸಮಗ್ರ ಅನುಭವಕ್ಕಾಗಿ ಎಲ್ಲ ತಂಡಗಳೊಂದಿಗೆ ಕೆಲಸ ಮಾಡುವುದನ್ನು ನಿರೀಕ್ಷಿಸಲಾಗುತ್ತದೆ.",
+      "ನಮ್ಮ ಇಂಟರ್ನ್‌ಗಳು ನಮ್ಮ ಅಭ್ಯಾಸ ಕ್ಷೇತ್ರಗಳಲ್ಲಿನ ಕಾನೂನಿನ ಇತ್ತೀಚಿನ ಬೆಳವಣಿಗೆಗಳ ಬಗ್ಗೆ ತಿಳಿದಿರಬೇಕು. ಪ್ರತಿ ಇಂಟರ್ನ್‌ಗೆ ಸಂಶೋಧನೆಗಾಗಿ ಒಂದು ವಿಷಯ ನೀಡಲಾಗುತ್ತದೆ ಮತ್ತು ಅವಧಿಯ ಕೊನೆಯಲ್ಲಿ ಪಾಲುದಾರರು ಮತ್ತು ಎಲ್ಲ ಅಸೋಸಿಯೇಟ್‌ಗಳ ಮುಂದೆ ಪ್ರಸ್ತುತಿ ನೀಡಬೇಕಾಗುತ್ತದೆ.",
+      "ಬಿಎ ಎಲ್‌ಎಲ್‌ಬಿ (ಆನರ್ಸ್) ಕಾರ್ಯಕ್ರಮ ಮತ್ತು 3 ವರ್ಷದ ಎಲ್‌ಎಲ್‌ಬಿ ಕಾರ್ಯಕ್ರಮದ ಮೊದಲ ಮತ್ತು ಎರಡನೇ ವರ್ಷದ ವಿದ್ಯಾರ್ಥಿಗಳಿಂದ ನಾವು ಇಂಟರ್ನ್‌ಶಿಪ್ ಅರ್ಜಿಗಳನ್ನು ಸ್ವೀಕರಿಸುವುದಿಲ್ಲ.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "ಮೊದಲ ಹೆಸರು",
+    lastName: "ಕೊನೆಯ ಹೆಸರು",
+    name: "ಹೆಸರು",
+    email: "ಇಮೇಲ್",
+    phone: "ದೂರವಾಣಿ ಸಂಖ್ಯೆ",
+    phonePlaceholder: "ದೂರವಾಣಿ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ",
+    mobile: "ಮೊಬೈಲ್",
+    mobilePlaceholder: "{digits, number} ಅಂಕಿಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ",
+    college: "ಕಾಲೇಜು",
+    role: "ಹುದ್ದೆ ಆಯ್ಕೆಮಾಡಿ",
+    selectPlaceholder: "ದಯವಿಟ್ಟು ಆಯ್ಕೆಮಾಡಿ",
+    roleOption: "{role, select, Legal {ಕಾನೂನು} Administration {ಆಡಳಿತ} Finance {ಹಣಕಾಸು} other {{role}}}",
+    experience: "ಅರ್ಹತೆಯ ನಂತರದ ಅನುಭವದ ವರ್ಷಗಳು",
+    experiencePlaceholder: "ಅನುಭವದ ವರ್ಷಗಳನ್ನು ನಮೂದಿಸಿ",
+    inquiry: "ನಿಮ್ಮ ವಿಚಾರಣೆಯ ವಿವರಗಳು",
+    resume: "ಫೈಲ್ ಆಯ್ಕೆಮಾಡಿ",
+    resumeChange: "ಫೈಲ್ ಬದಲಾಯಿಸಲು ಕ್ಲಿಕ್ ಮಾಡಿ",
+    resumeUpload: "ಅಪ್‌ಲೋಡ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ ಅಥವಾ ಎಳೆದು ಬಿಡಿ",
+    resumeTypes: "PDF, DOCX (ಗರಿಷ್ಠ {maxMb, number} MB)",
+    interests: "ನಿಮ್ಮ ಆಸಕ್ತಿಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ",
+    interestOption: "{interest, select, corporateAdvisory {ಕಾರ್ಪೊರೇಟ್ ಸಲಹೆ} hrCompliance {ಮಾನವ ಸಂಪನ್ಮೂಲ ಅನುಸರಣೆ} other {ಇತರೆ}}",
+    detailsTitle: "ನಿಮ್ಮ ವಿವರಗಳನ್ನು ನಮೂದಿಸಿ",
+    close: "ಮುಚ್ಚಿ",
+    submit: "ಸಲ್ಲಿಸಿ",
+    submitting: "ಸಲ್ಲಿಸಲಾಗುತ್ತಿದೆ...",
+    subscribe: "ಚಂದಾದಾರರಾಗಿ",
+    loading: "ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+    applicationSent: "ಅರ್ಜಿ ಯಶಸ್ವಿಯಾಗಿ ಸಲ್ಲಿಕೆಯಾಗಿದೆ!",
+    contactSent: "ಫಾರ್ಮ್ ಯಶಸ್ವಿಯಾಗಿ ಸಲ್ಲಿಕೆಯಾಗಿದೆ!",
+    subscribed: "ಸುದ್ದಿಪತ್ರಕ್ಕೆ ಯಶಸ್ವಿಯಾಗಿ ಚಂದಾದಾರರಾಗಿದ್ದೀರಿ!",
+    errors: {
+      heading: "{count, plural, one {ದಯವಿಟ್ಟು ಈ ದೋಷವನ್ನು ಸರಿಪಡಿಸಿ:} other {ದಯವಿಟ್ಟು ಈ ದೋಷಗಳನ್ನು ಸರಿಪಡಿಸಿ:}}",
+      firstNameRequired: "ಮೊದಲ ಹೆಸರು ಅಗತ್ಯವಿದೆ",
+      lastNameRequired: "ಕೊನೆಯ ಹೆಸರು ಅಗತ್ಯವಿದೆ",
+      nameRequired: "ಹೆಸರು ಅಗತ್ಯವಿದೆ",
+      emailRequired: "ಇಮೇಲ್ ಅಗತ್ಯವಿದೆ",
+      emailInvalid: "ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ ಇಮೇಲ್ ವಿಳಾಸ ನಮೂದಿಸಿ",
+      phoneRequired: "ದೂರವಾಣಿ ಸಂಖ್ಯೆ ಅಗತ್ಯವಿದೆ",
+      phoneTooShort: "ದೂರವಾಣಿ ಸಂಖ್ಯೆ ಕನಿಷ್ಠ {min, plural, one {# ಅಂಕಿ} other {# ಅಂಕಿಗಳು}} ಇರಬೇಕು",
+      phoneTooLong: "ದೂರವಾಣಿ ಸಂಖ್ಯೆ {max, plural, one {# ಅಂಕಿಯನ್ನು} other {# ಅಂಕಿಗಳನ್ನು}} ಮೀರಬಾರದು",
+      mobileRequired: "ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಅಗತ್ಯವಿದೆ",
+      mobileTooShort: "ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಕನಿಷ್ಠ {min, plural, one {# ಅಂಕಿ} other {# ಅಂಕಿಗಳು}} ಇರಬೇಕು",
+      mobileTooLong: "ಮೊಬೈಲ್ ಸಂಖ್ಯೆ {max, plural, one {# ಅಂಕಿಯನ್ನು} other {# ಅಂಕಿಗಳನ್ನು}} ಮೀರಬಾರದು",
+      collegeRequired: "ಕಾಲೇಜಿನ ಹೆಸರು ಅಗತ್ಯವಿದೆ",
+      collegeTooShort: "ಕಾಲೇಜಿನ ಹೆಸರು ಕನಿಷ್ಠ {min, plural, one {# ಅಕ್ಷರ} other {# ಅಕ್ಷರಗಳು}} ಇರಬೇಕು",
+      roleRequired: "ದಯವಿಟ್ಟು ಹುದ್ದೆ ಆಯ್ಕೆಮಾಡಿ",
+      resumeRequired: "ದಯವಿಟ್ಟು ನಿಮ್ಮ ರೆಸ್ಯೂಮೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ",
+      fileTooLarge: "ಫೈಲ್ ಗಾತ್ರ {maxMb, number} MB ಗಿಂತ ಕಡಿಮೆ ಇರಬೇಕು",
+      fileType: "PDF ಮತ್ತು DOCX ಫೈಲ್‌ಗಳಿಗೆ ಮಾತ್ರ ಅನುಮತಿ ಇದೆ",
+      interestsRequired: "ದಯವಿಟ್ಟು ಕನಿಷ್ಠ ಒಂದು ಆಸಕ್ತಿ ಆಯ್ಕೆಮಾಡಿ",
+      messageRequired: "ಸಂದೇಶ ಅಗತ್ಯವಿದೆ",
+      fillAll: "ದಯವಿಟ್ಟು ಎಲ್ಲ ಕ್ಷೇತ್ರಗಳನ್ನು ಭರ್ತಿ ಮಾಡಿ",
+      emailExists: "ಈ ಇಮೇಲ್ ಈಗಾಗಲೇ ಇದೆ",
+      phoneExists: "ಈ ದೂರವಾಣಿ ಸಂಖ್ಯೆ ಈಗಾಗಲೇ ಇದೆ",
+      emailRegistered: "ಈ ಇಮೇಲ್ ವಿಳಾಸ ಈಗಾಗಲೇ ನೋಂದಾಯಿತವಾಗಿದೆ. ದಯವಿಟ್ಟು ಬೇರೆ ಇಮೇಲ್ ವಿಳಾಸ ಬಳಸಿ.",
+      mobileRegistered: "ಈ ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಈಗಾಗಲೇ ನೋಂದಾಯಿತವಾಗಿದೆ. ದಯವಿಟ್ಟು ಬೇರೆ ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಬಳಸಿ.",
+      auth: "ದೃಢೀಕರಣ ದೋಷ — ನಿರ್ವಾಹಕರನ್ನು ಸಂಪರ್ಕಿಸಿ.",
+      failed: "ಸಲ್ಲಿಕೆ ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+      timeout: "ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+      unknown: "ದೋಷ ಸಂಭವಿಸಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "ಹುಡುಕಾಟ",
+    placeholder: "ಒಳನೋಟಗಳು, ಜನರು, ಅಭ್ಯಾಸ ಪ್ರದೇಶಗಳನ್ನು ಹುಡುಕಿ…",
+    submit: "ಹುಡುಕಿ",
+    open: "ಹುಡುಕಾಟ ತೆರೆಯಿರಿ",
+    close: "ಹುಡುಕಾಟ ಮುಚ್ಚಿ",
+    prompt: "ಸೈಟ್‌ನಲ್ಲಿ ಹುಡುಕಲು ಒಂದು ಪದ ಅಥವಾ ಪದಗುಚ್ಛವನ್ನು ಬರೆಯಿರಿ.",
+    resultsFor: "“{query}” ಗಾಗಿ {count, plural, one {# ಫಲಿತಾಂಶ} other {# ಫಲಿತಾಂಶಗಳು}}",
+    noResults: "“{query}” ಗಾಗಿ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳು ಸಿಗಲಿಲ್ಲ. ಕಾಗುಣಿತವನ್ನು ಪರಿಶೀಲಿಸಿ ಅಥವಾ ಕಡಿಮೆ ಪದಗಳಲ್ಲಿ ಹುಡುಕಿ.",
+    seeAll: "ಎಲ್ಲಾ ಫಲಿತಾಂಶಗಳನ್ನು ನೋಡಿ",
+    all: "ಎಲ್ಲಾ",
+    type: "{type, select, insight {ಒಳನೋಟಗಳು} publication {ಪ್ರಕಟಣೆಗಳು} podcast {ಪಾಡ್‌ಕಾಸ್ಟ್‌ಗಳು} team {ಜನರು} practice-area {ಅಭ್ಯಾಸ ಪ್ರದೇಶಗಳು} industry {ಉದ್ಯಮಗಳು} job {ಕೇರಿಯರ್ಸ್} other {{type}}}",
+    practiceArea: "ಅಭ್ಯಾಸ ಪ್ರದೇಶ",
+    industry: "ಉದ್ಯಮ",
+    year: "ವರ್ಷ",
+    language: "ಭಾಷೆ",
+    clearFilters: "ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ",
+    previous: "ಹಿಂದಿನದು",
+    next: "ಮುಂದಿನದು",
+    pageOf: "ಪುಟ {page, number} / {pages, number}",
+    recent: "ಇತ್ತೀಚಿನ ಹುಡುಕಾಟಗಳು",
+    clearRecent: "ತೆರವುಗೊಳಿಸಿ",
+    keyboardHint: "↑ ↓ ಆಯ್ಕೆಗೆ, Enter ತೆರೆಯಲು, Esc ಮುಚ್ಚಲು",
+    error: "ಹುಡುಕಾಟ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    filterPlaceholder: "ಹುಡುಕಿ...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "ಇನ್ನಷ್ಟು ಓದಿ",
+    loadMore: "ಇನ್ನಷ್ಟು ತೋರಿಸಿ",
+    viewAll: "ಎಲ್ಲವನ್ನೂ ನೋಡಿ",
+    loading: "ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+    loadingDots: "ಲೋಡ್ ಆಗುತ್ತಿದೆ",
+    noPosts: "ಸಂಬಂಧಿತ ಪೋಸ್ಟ್‌ಗಳು ಕಂಡುಬಂದಿಲ್ಲ",
+    noMorePosts: "ಇನ್ನಷ್ಟು ವಿವರಗಳು ಲಭ್ಯವಿಲ್ಲ",
+    published: "ಪ್ರಕಟಿಸಲಾಗಿದೆ: {date}",
+    archives: "ಆರ್ಕೈವ್‌ಗಳು",
+    quickLinks: "ತ್ವರಿತ ಲಿಂಕ್‌ಗಳು:",
+    contactPartner: "ಪಾಲುದಾರರನ್ನು ಸಂಪರ್ಕಿಸಿ",
+    pageLoadError: "ಈ ಪುಟವನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಸ್ವಲ್ಪ ಸಮಯದ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    error: "ದೋಷ: {message}",
+    componentMissing: "ಘಟಕ ಕಂಡುಬಂದಿಲ್ಲ",
+    scrollToTop: "ಮೇಲಕ್ಕೆ ಹೋಗಿ",
+    openMenu: "ಮುಖ್ಯ ಮೆನು ತೆರೆಯಿರಿ",
+    faqTitle: "ಪದೇ ಪದೇ ಕೇಳಲಾಗುವ ಪ್ರಶ್ನೆಗಳು",
+  },
+
+  home: {
+    tagline: "ಗ್ರಾಹಕ-ಕೇಂದ್ರಿತ ಸಮಸ್ಯೆ ಪರಿಹಾರ",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "ಲೇಖನ ನೋಡಿ",
+    backToInsights: "ಒಳನೋಟಗಳಿಗೆ ಹಿಂತಿರುಗಿ",
+    backToNews: "ಆರ್ನಾ ಸುದ್ದಿಗಳಿಗೆ ಹಿಂತಿರುಗಿ",
+    backToPublications: "ಪ್ರಕಟಣೆಗಳಿಗೆ ಹಿಂತಿರುಗಿ",
+    noResults: "ಯಾವುದೇ ಫಲಿತಾಂಶಗಳು ಕಂಡುಬಂದಿಲ್ಲ",
+    noResultsFor: "\"{query}\" ಗೆ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳು ಕಂಡುಬಂದಿಲ್ಲ",
+  },
+
+  podcasts: {
+    listenNow: "ಈಗ ಕೇಳಿ",
+    thumbnailAlt: "ಪಾಡ್‌ಕಾಸ್ಟ್ ಥಂಬ್‌ನೇಲ್",
+    noImage: "ವೈಶಿಷ್ಟ್ಯಗೊಳಿಸಿದ ಚಿತ್ರ ಲಭ್ಯವಿಲ್ಲ",
+    previous: "← ಹಿಂದಿನ ಪಾಡ್‌ಕಾಸ್ಟ್",
+    next: "ಮುಂದಿನ ಪಾಡ್‌ಕಾಸ್ಟ್ →",
+    videoCover: "ವೀಡಿಯೊ ಕವರ್",
+    videoUnsupported: "ನಿಮ್ಮ ಬ್ರೌಸರ್ ವೀಡಿಯೊ ಟ್ಯಾಗ್ ಅನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ.",
+    play: "ಪ್ಲೇ ಮಾಡಿ",
+    pause: "ವಿರಾಮ",
+  },
+
+  team: {
+    photoAlt: "ತಂಡದ ಸದಸ್ಯ",
+    noDesignation: "ಹುದ್ದೆ ಲಭ್ಯವಿಲ್ಲ",
+    readMore: "ಇನ್ನಷ್ಟು ಓದಿ",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ಗ್ರಾಹಕರ {br}ಅಭಿಪ್ರಾಯಗಳು",
+  },
+
+  contact: {
+    getInTouch: "ಸಂಪರ್ಕದಲ್ಲಿರಿ",
+    phone: "ಫೋನ್",
+    directions: "ದಾರಿ",
+    ourLocations: "ನಮ್ಮ ಕಚೇರಿಗಳು",
+    networkMap: "ನಮ್ಮ ಜಾಲದ ನಕ್ಷೆ",
+  },
+
+  notFound: {
+    message: "ನೀವು ಹುಡುಕುತ್ತಿರುವ ಪುಟ ನಮಗೆ ಸಿಗಲಿಲ್ಲ.",
+    home: "ಮುಖಪುಟಕ್ಕೆ ಹಿಂತಿರುಗಿ",
+    imageAlt: "404 ಪುಟ",
+  },
+
+  footer: {
+    subscribe: "ಸುದ್ದಿಪತ್ರಕ್ಕೆ ಚಂದಾದಾರರಾಗಿ",
+    copyright: "© {year} ಆರ್ನಾ ಲಾ. ಎಲ್ಲ ಹಕ್ಕುಗಳನ್ನು ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ",
+  },
+
+  legal: {
+    privacyPolicy: "ಗೌಪ್ಯತಾ ನೀತಿ",
+    termsOfUse: "ಬಳಕೆಯ ನಿಯಮಗಳು",
+    disclaimer: "ಹಕ್ಕು ನಿರಾಕರಣೆ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "ಒಪ್ಪಿಕೊಳ್ಳಿ",
+    decline: "ನಿರಾಕರಿಸಿ",
+    intro:
+      "ಭಾರತೀಯ ವಕೀಲರ ಪರಿಷತ್ತು ವಕೀಲರು ಯಾವುದೇ ರೂಪದಲ್ಲಿ ಅಥವಾ ರೀತಿಯಲ್ಲಿ ಗ್ರಾಹಕರನ್ನು ಕೋರುವುದನ್ನು ಅಥವಾ ಜಾಹೀರಾತು ನೀಡುವುದನ್ನು ಅನುಮತಿಸುವುದಿಲ್ಲ. ಈ ವೆಬ್‌ಸೈಟ್, {site}, ಅನ್ನು ಪ್ರವೇಶಿಸುವ ಮೂಲಕ ನೀವು ಈ ಕೆಳಗಿನವುಗಳನ್ನು ಒಪ್ಪಿಕೊಂಡು ದೃಢೀಕರಿಸುತ್ತೀರಿ:",
+    points: [
+      "ಸಂಸ್ಥೆ, ಅದರ ಸದಸ್ಯರು ಮತ್ತು ಅಭ್ಯಾಸ ಕ್ಷೇತ್ರಗಳ ಬಗ್ಗೆ ಮಾಹಿತಿ ಪಡೆಯಲು ನೀವು ನಿಮ್ಮ ಸ್ವಂತ ಇಚ್ಛೆಯಿಂದ ಆರ್ನಾ ಲಾ ವೆಬ್‌ಸೈಟ್ ಅನ್ನು ಪ್ರವೇಶಿಸುತ್ತಿದ್ದೀರಿ.",
+      "ವಕೀಲ-ಗ್ರಾಹಕ ಸಂಬಂಧವನ್ನು ರೂಪಿಸಲು ಆರ್ನಾ ಲಾ ಅಥವಾ ಅದರ ಯಾವುದೇ ಸದಸ್ಯರಿಂದ ಯಾವುದೇ ರೀತಿಯ ಕೋರಿಕೆ, ಜಾಹೀರಾತು, ಆಹ್ವಾನ ಅಥವಾ ಪ್ರಲೋಭನೆ ಇರಲಿಲ್ಲ.",
+      "ಈ ವೆಬ್‌ಸೈಟ್‌ನ ವಿಷಯವು ಮಾಹಿತಿಗಾಗಿ ಮಾತ್ರ; ಇದನ್ನು ಕೋರಿಕೆ, ಜಾಹೀರಾತು ಅಥವಾ ಕಾನೂನು ಸಲಹೆ ಎಂದು ಪರಿಗಣಿಸಬಾರದು.",
+      "ಈ ವೆಬ್‌ಸೈಟ್‌ನಿಂದ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿದ ಯಾವುದೇ ವಸ್ತುಗಳು, ಮಾಹಿತಿ ಅಥವಾ ದಾಖಲೆಗಳು ಸಂಪೂರ್ಣವಾಗಿ ನಿಮ್ಮ ವಿವೇಚನೆಗೆ ಒಳಪಟ್ಟಿವೆ ಮತ್ತು ನಿಮ್ಮ ಹಾಗೂ ಆರ್ನಾ ಲಾ ನಡುವೆ ಯಾವುದೇ ವಕೀಲ-ಗ್ರಾಹಕ ಸಂಬಂಧವನ್ನು ರೂಪಿಸುವುದಿಲ್ಲ.",
+      "ಈ ವೆಬ್‌ಸೈಟ್‌ನಲ್ಲಿ ಪ್ರಕಟಿಸಲಾದ ಮಾಹಿತಿ ಅಥವಾ ವಸ್ತುವಿನ ಆಧಾರದ ಮೇಲೆ ನೀವು ಕೈಗೊಳ್ಳುವ ಯಾವುದೇ ಕ್ರಮದ ಪರಿಣಾಮಕ್ಕೆ ಸಂಸ್ಥೆ ಜವಾಬ್ದಾರವಲ್ಲ. ನಿಮಗೆ ಕಾನೂನು ನೆರವು ಅಗತ್ಯವಿದ್ದರೆ, ಸ್ವತಂತ್ರ ವೃತ್ತಿಪರ ಸಲಹೆ ಪಡೆಯಬೇಕು.",
+      "ಈ ವೆಬ್‌ಸೈಟ್‌ನಲ್ಲಿ ನೀಡಲಾದ ಮಾಹಿತಿಯು ಇತ್ತೀಚಿನ ಕಾನೂನು ಬೆಳವಣಿಗೆಗಳನ್ನು ಪ್ರತಿಬಿಂಬಿಸದಿರಬಹುದು; ಅದನ್ನು ಯಾವುದೇ ವಿಷಯದ ಕುರಿತು ಆರ್ನಾ ಲಾದ ಬದ್ಧತೆ ಅಥವಾ ಅಭಿಪ್ರಾಯ ಎಂದು ಅರ್ಥೈಸಬಾರದು.",
+      "ಈ ವೆಬ್‌ಸೈಟ್‌ನಲ್ಲಿರುವ ಮೂರನೇ ಪಕ್ಷದ ವೆಬ್‌ಸೈಟ್‌ಗಳ ಲಿಂಕ್‌ಗಳನ್ನು ಅನುಕೂಲಕ್ಕಾಗಿ ಮಾತ್ರ ನೀಡಲಾಗಿದೆ; ಅವು ಅನುಮೋದನೆ, ಶಿಫಾರಸು ಅಥವಾ ಸಂಬಂಧವನ್ನು ಸೂಚಿಸುವುದಿಲ್ಲ. ಅಂತಹ ಮೂರನೇ ಪಕ್ಷದ ತಾಣಗಳ ವಿಷಯ ಅಥವಾ ಗೌಪ್ಯತಾ ಪದ್ಧತಿಗಳಿಗೆ ಆರ್ನಾ ಲಾ ಜವಾಬ್ದಾರವಲ್ಲ.",
+      "ಈ ವೆಬ್‌ಸೈಟ್ ಮೂಲಕ ನೀವು ಯಾವುದೇ ಗೋಪ್ಯ, ವಿಶೇಷಾಧಿಕಾರದ, ವ್ಯವಹಾರ ಅಥವಾ ಸೂಕ್ಷ್ಮ ಮಾಹಿತಿಯನ್ನು ಕಳುಹಿಸಬಾರದು. ಔಪಚಾರಿಕ ಒಪ್ಪಂದಕ್ಕೆ ಮುನ್ನ ಈ ವೇದಿಕೆಯ ಮೂಲಕ ಹಂಚಿಕೊಂಡ ಮಾಹಿತಿಯನ್ನು ಗೋಪ್ಯವೆಂದು ಪರಿಗಣಿಸಲಾಗುವುದಿಲ್ಲ.",
+      "ಪಠ್ಯ, ಚಿತ್ರಗಳು, ಗ್ರಾಫಿಕ್ಸ್ ಮತ್ತು ವಿನ್ಯಾಸ ಸೇರಿದಂತೆ ಈ ವೆಬ್‌ಸೈಟ್‌ನ ಎಲ್ಲಾ ವಿಷಯವು ಆರ್ನಾ ಲಾದ ಬೌದ್ಧಿಕ ಆಸ್ತಿಯಾಗಿದೆ; ಮುಂಚಿತ ಲಿಖಿತ ಒಪ್ಪಿಗೆಯಿಲ್ಲದೆ ಅದನ್ನು ನಕಲಿಸುವಂತಿಲ್ಲ, ಪುನರುತ್ಪಾದಿಸುವಂತಿಲ್ಲ ಅಥವಾ ವಿತರಿಸುವಂತಿಲ್ಲ.",
+      "ಬಳಕೆದಾರರ ಅನುಭವವನ್ನು ಸುಧಾರಿಸಲು ಈ ವೆಬ್‌ಸೈಟ್ ಕುಕೀಗಳನ್ನು ಬಳಸುತ್ತದೆ. ಈ ತಾಣವನ್ನು ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸುವ ಮೂಲಕ, ನಮ್ಮ ಗೌಪ್ಯತಾ ನೀತಿಯಲ್ಲಿ ವಿವರಿಸಿದಂತೆ ಕುಕೀಗಳ ಬಳಕೆಗೆ ನೀವು ಒಪ್ಪಿಗೆ ನೀಡುತ್ತೀರಿ. ನಾವು ನಿಮ್ಮ ಡೇಟಾವನ್ನು ಹೇಗೆ ಸಂಗ್ರಹಿಸುತ್ತೇವೆ, ಬಳಸುತ್ತೇವೆ ಮತ್ತು ರಕ್ಷಿಸುತ್ತೇವೆ ಎಂದು ತಿಳಿಯಲು ದಯವಿಟ್ಟು ನಮ್ಮ {privacyPolicy} ಮತ್ತು {termsOfUse} ಓದಿ.",
+      "ಈ ವೆಬ್‌ಸೈಟ್ ಮತ್ತು ಅದರ ಎಲ್ಲಾ ವಿಷಯವನ್ನು ಸ್ಪಷ್ಟ ಅಥವಾ ಸೂಚ್ಯ ಯಾವುದೇ ಖಾತರಿಯಿಲ್ಲದೆ “ಇದ್ದಂತೆಯೇ” ಒದಗಿಸಲಾಗಿದೆ. ಈ ವೆಬ್‌ಸೈಟ್‌ನಲ್ಲಿರುವ ಮಾಹಿತಿಯನ್ನು ಅವಲಂಬಿಸಿದ್ದರಿಂದ ಉಂಟಾಗುವ ಯಾವುದೇ ನಷ್ಟ ಅಥವಾ ಹಾನಿಗೆ ಆರ್ನಾ ಲಾ ಎಲ್ಲ ಹೊಣೆಗಾರಿಕೆಯನ್ನು ನಿರಾಕರಿಸುತ್ತದೆ.",
+      "ಈ ವೆಬ್‌ಸೈಟ್ ಬಳಕೆಯಿಂದ ಉದ್ಭವಿಸುವ ಯಾವುದೇ ವಿವಾದಗಳು ಭಾರತದ ಕಾನೂನುಗಳಿಗೆ ಒಳಪಟ್ಟಿರುತ್ತವೆ ಮತ್ತು ಭಾರತದಲ್ಲಿನ ಸಕ್ಷಮ ನ್ಯಾಯಾಲಯಗಳ ವಿಶೇಷ ನ್ಯಾಯವ್ಯಾಪ್ತಿಗೆ ಒಳಪಡುತ್ತವೆ.",
+    ],
+    agree: "“ನಾನು ಒಪ್ಪುತ್ತೇನೆ”",
+    closing:
+      "{agree} ಅನ್ನು ಕ್ಲಿಕ್ ಮಾಡುವ ಮೂಲಕ ಅಥವಾ ಈ ವೆಬ್‌ಸೈಟ್ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸುವ ಮೂಲಕ, ಈ ಹಕ್ಕು ನಿರಾಕರಣೆಯ ನಿಯಮಗಳನ್ನು ನೀವು ಓದಿ, ಅರ್ಥಮಾಡಿಕೊಂಡು, ಒಪ್ಪಿಕೊಂಡಿದ್ದೀರಿ ಎಂದು ದೃಢೀಕರಿಸುತ್ತೀರಿ.",
+  },
+
+  preview: {
+    label: "ಮುನ್ನೋಟ",
+    message: "ನೀವು WordPress ನ ಪ್ರಕಟವಾಗದ ವಿಷಯವನ್ನು ನೋಡುತ್ತಿದ್ದೀರಿ.",
+    exit: "ಮುನ್ನೋಟದಿಂದ ನಿರ್ಗಮಿಸಿ",
+  },
 };
 export default kn;
\ No newline at end of file
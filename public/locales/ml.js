@@ -261,6 +261,9 @@ const ml = {
 
     trackRecord: {
         trackRecordTitle: "കണക്കുകൾพู ഒരു പ്രകടനം ",
+        yearsOfLegacy: "ഞങ്ങളുടെ പാരമ്പര്യത്തിന്റെ വർഷങ്ങൾ",
+        clientsServed: "സേവനം നൽകിയ ക്ലയന്റുകൾ",
+        disputesResolved: "പരിഹരിച്ച തർക്കങ്ങൾ",
     },
 
     awards: {
@@ -290,8 +293,242 @@ const ml = {
     },
     network: {
         networkTitle: " ലോകമാകെ നിയമവിദഗ്‌ധരുടെ ഒരു ശൃംഖല",
+        interact: "മാപ്പ് ഉപയോഗിക്കാൻ ക്ലിക്ക് ചെയ്യുക",
+        loadingMap: "മാപ്പ് ലോഡ് ചെയ്യുന്നു...",
     },
 
+  translationNotice: {
+    notAvailable: "ഈ പേജ് ഇതുവരെ നിങ്ങളുടെ ഭാഷയിൽ ലഭ്യമല്ല, അതിനാൽ ഇംഗ്ലീഷിൽ കാണിക്കുന്നു.",
+  },
+
+  // Careers page
+  careers: {
+    title: "ആർന ലോയിൽ കരിയർ",
+    headline: "അന്താരാഷ്ട്ര കാഴ്ചപ്പാടുള്ള ചലനാത്മക നിയമ സ്ഥാപനത്തിന്റെ ഭാഗമാകൂ",
+    intro:
+      "പ്രകൃതി നിയമം, നീതി, കരുണ എന്നീ ധാർമ്മിക തത്വങ്ങളിൽ വേരൂന്നിയ, ഇന്ത്യ ആസ്ഥാനമായ അന്താരാഷ്ട്ര നിയമോപദേശ സ്ഥാപനമാണ് ആർന ലോ. ഞങ്ങളുടെ വിപുലമായ പ്രാക്ടീസ് മേഖലകളിലൂടെ രാഷ്ട്രങ്ങൾ, അന്താരാഷ്ട്ര സംഘടനകൾ, ബഹുരാഷ്ട്ര കമ്പനികൾ, സവിശേഷ സ്റ്റാർട്ട്-അപ്പുകൾ, വ്യക്തിഗത താൽപ്പര്യങ്ങൾ എന്നിവ വരെ നീളുന്ന ക്ലയന്റുകൾക്ക് ഞങ്ങൾ പുരോഗമനപരമായ നിയമോപദേശം നൽകുന്നു.",
+    recruitmentTitle: "നിയമ, ഭരണ പ്രൊഫഷണലുകളുടെ നിയമനം",
+    recruitment:
+      "അന്താരാഷ്ട്ര പരിചയം, ശ്രദ്ധേയമായ അക്കാദമിക നേട്ടങ്ങൾ, പിയർ-റിവ്യൂ ജേണലുകളിലെ പ്രസിദ്ധീകരണങ്ങൾ, അല്ലെങ്കിൽ മികച്ച നിയമ വൈദഗ്ധ്യത്തിന്റെ മറ്റ് തെളിവുകൾ ഉള്ള പ്രൊഫഷണലുകളിൽ നിന്ന് കേൾക്കാൻ ഞങ്ങൾ എപ്പോഴും താൽപ്പര്യപ്പെടുന്നു. നൂതനവും സമർത്ഥവുമായ ഭരണ, സഹായ ടീം അംഗങ്ങളിലും ഞങ്ങൾക്ക് താൽപ്പര്യമുണ്ട്. സേവന മനോഭാവവും നിയമത്തിലെ മികവിനോട് ആവേശവുമുള്ള ടീം അംഗമാണ് നിങ്ങളെങ്കിൽ, ദയവായി ബന്ധപ്പെടുക.",
+    openingsTitle: "നിലവിലെ ഒഴിവുകൾ",
+    internshipsTitle: "ഇന്റേൺഷിപ്പുകൾ",
+    applyNow: "ഇപ്പോൾ അപേക്ഷിക്കുക",
+    noContent: "ഉള്ളടക്കമൊന്നും ലഭ്യമല്ല.",
+    internships: [
+      "ആർനയിൽ ഞങ്ങൾ സമ്പന്നവും വെല്ലുവിളി നിറഞ്ഞതുമായ ഇന്റേൺഷിപ്പ് അനുഭവം നൽകുന്നു. മികച്ച അക്കാദമിക റെക്കോർഡ് മാത്രമല്ല ഞങ്ങൾ നോക്കുന്നത്; പ്രചോദിതരും പഠിക്കാൻ ഉത്സുകരും സ്ഥാപനത്തിന്റെ മൂല്യങ്ങൾ പങ്കിടുന്നവരുമായ വ്യക്തികളെയാണ് ഞങ്ങൾ തേടുന്നത്. ഞങ്ങളുടെ ഇന്റേണുകളുടെ വൈവിധ്യത്തിലും രാജ്യമെമ്പാടുമുള്ള വിദ്യാർത്ഥികൾക്ക് നൽകിയ അവസരങ്ങളിലും ഞങ്ങൾ അഭിമാനിക്കുന്നു.",
+      "ഇന്റേൺഷിപ്പ് കാലയളവ് {minWeeks, number}-{maxWeeks, number} ആഴ്ചയാണ്. ഇന്റേണുകൾക്ക് ഞങ്ങളുടെ തർക്കപരിഹാരം, പാപ്പരത്ത നിയമം, കോർപ്പറേറ്റ് ഉപദേശക ടീമുകൾ എന്നിവയോടൊപ്പം പ്രവർത്തിക്കാൻ അവസരമുണ്ട്. ഇന്റേൺഷിപ്പ് കാലത്ത് ഞങ്ങളുടെ പ്രാക്ടീസ് മേഖലകളുടെ വിവിധ വശങ്ങളെക്കുറിച്ച് പ്രായോഗിക ധാരണ നേടാനുള്ള അപൂർവ അവസരം ലഭിക്കുന്നു. ഓരോ ഇന്റേണിനും ഒരു സൂപ്പർവൈസറെ നിയോഗിക്കുന്നു; എങ്കിലും സമഗ്രമായ അനുഭവത്തിനായി എല്ലാ ടീമുകളോടൊപ്പവും പ്രവർത്തിക്കണമെന്ന് പ്രതീക്ഷിക്കുന്നു.",
+      "ഞങ്ങളുടെ പ്രാക്ടീസ് മേഖലകളിലെ നിയമത്തിന്റെ സമീപകാല സംഭവവികാസങ്ങളെക്കുറിച്ച് ഇന്റേണുകൾ അറിഞ്ഞിരിക്കണം. ഓരോ ഇന്റേണിനും ഗവേഷണത്തിനായി ഒരു വിഷയം നൽകുന്നു, കാലാവധിയുടെ അവസാനം പങ്കാളികൾക്കും എല്ലാ അസോസിയേറ്റുകൾക്കും മുന്നിൽ അവതരണം നടത്തണം.",
+      "ബിഎ എൽഎൽബി (ഓണേഴ്സ്) പ്രോഗ്രാമിലെയും 3 വർഷ എൽഎൽബി പ്രോഗ്രാമിലെയും ഒന്നും രണ്ടും വർഷ വിദ്യാർത്ഥികളിൽ നിന്ന് ഞങ്ങൾ ഇന്റേൺഷിപ്പ് അപേക്ഷകൾ സ്വീകരിക്കുന്നില്ല.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "ആദ്യ പേര്",
+    lastName: "അവസാന പേര്",
+    name: "പേര്",
+    email: "ഇമെയിൽ",
+    phone: "ഫോൺ നമ്പർ",
+    phonePlaceholder: "ഫോൺ നമ്പർ നൽകുക",
+    mobile: "മൊബൈൽ",
+    mobilePlaceholder: "{digits, number} അക്ക മൊബൈൽ നമ്പർ നൽകുക",
+    college: "കോളേജ്",
+    role: "റോൾ തിരഞ്ഞെടുക്കുക",
+    selectPlaceholder: "ദയവായി തിരഞ്ഞെടുക്കുക",
+    roleOption: "{role, select, Legal {നിയമം} Administration {ഭരണം} Finance {ധനകാര്യം} other {{role}}}",
+    experience: "യോഗ്യതയ്ക്കു ശേഷമുള്ള പ്രവൃത്തിപരിചയ വർഷങ്ങൾ",
+    experiencePlaceholder: "പ്രവൃത്തിപരിചയ വർഷങ്ങൾ നൽകുക",
+    inquiry: "നിങ്ങളുടെ അന്വേഷണത്തിന്റെ വിശദാംശങ്ങൾ",
+    resume: "ഫയൽ തിരഞ്ഞെടുക്കുക",
+    resumeChange: "ഫയൽ മാറ്റാൻ ക്ലിക്ക് ചെയ്യുക",
+    resumeUpload: "അപ്‌ലോഡ് ചെയ്യാൻ ക്ലിക്ക് ചെയ്യുക അല്ലെങ്കിൽ വലിച്ചിടുക",
+    resumeTypes: "PDF, DOCX (പരമാവധി {maxMb, number} MB)",
+    interests: "നിങ്ങളുടെ താൽപ്പര്യങ്ങൾ തിരഞ്ഞെടുക്കുക",
+    interestOption: "{interest, select, corporateAdvisory {കോർപ്പറേറ്റ് ഉപദേശം} hrCompliance {എച്ച്ആർ പാലനം} other {മറ്റുള്ളവ}}",
+    detailsTitle: "നിങ്ങളുടെ വിശദാംശങ്ങൾ നൽകുക",
+    close: "അടയ്ക്കുക",
+    submit: "സമർപ്പിക്കുക",
+    submitting: "സമർപ്പിക്കുന്നു...",
+    subscribe: "സബ്‌സ്‌ക്രൈബ് ചെയ്യുക",
+    loading: "ലോഡ് ചെയ്യുന്നു...",
+    applicationSent: "അപേക്ഷ വിജയകരമായി സമർപ്പിച്ചു!",
+    contactSent: "ഫോം വിജയകരമായി സമർപ്പിച്ചു!",
+    subscribed: "വാർത്താക്കുറിപ്പിന് വിജയകരമായി സബ്‌സ്‌ക്രൈബ് ചെയ്തു!",
+    errors: {
+      heading: "{count, plural, one {ദയവായി ഈ പിശക് തിരുത്തുക:} other {ദയവായി ഈ പിശകുകൾ തിരുത്തുക:}}",
+      firstNameRequired: "ആദ്യ പേര് ആവശ്യമാണ്",
+      lastNameRequired: "അവസാന പേര് ആവശ്യമാണ്",
+      nameRequired: "പേര് ആവശ്യമാണ്",
+      emailRequired: "ഇമെയിൽ ആവശ്യമാണ്",
+      emailInvalid: "ദയവായി സാധുവായ ഇമെയിൽ വിലാസം നൽകുക",
+      phoneRequired: "ഫോൺ നമ്പർ ആവശ്യമാണ്",
+      phoneTooShort: "ഫോൺ നമ്പറിൽ കുറഞ്ഞത് {min, plural, one {# അക്കം} other {# അക്കങ്ങൾ}} ഉണ്ടായിരിക്കണം",
+      phoneTooLong: "ഫോൺ നമ്പർ {max, plural, one {# അക്കത്തിൽ} other {# അക്കങ്ങളിൽ}} കൂടരുത്",
+      mobileRequired: "മൊബൈൽ നമ്പർ ആവശ്യമാണ്",
+      mobileTooShort: "മൊബൈൽ നമ്പറിൽ കുറഞ്ഞത് {min, plural, one {# അക്കം} other {# അക്കങ്ങൾ}} ഉണ്ടായിരിക്കണം",
+      mobileTooLong: "മൊബൈൽ നമ്പർ {max, plural, one {# അക്കത്തിൽ} other {# അക്കങ്ങളിൽ}} കൂടരുത്",
+      collegeRequired: "കോളേജിന്റെ പേര് ആവശ്യമാണ്",
+      collegeTooShort: "കോളേജിന്റെ പേരിൽ കുറഞ്ഞത് {min, plural, one {# അക്ഷരം} other {# അക്ഷരങ്ങൾ}} ഉണ്ടായിരിക്കണം",
+      roleRequired: "ദയവായി ഒരു റോൾ തിരഞ്ഞെടുക്കുക",
+      resumeRequired: "ദയവായി നിങ്ങളുടെ റെസ്യൂമെ അപ്‌ലോഡ് ചെയ്യുക",
+      fileTooLarge: "ഫയൽ വലുപ്പം {maxMb, number} MB-യിൽ കുറവായിരിക്കണം",
+      fileType: "PDF, DOCX ഫയലുകൾ മാത്രമേ അനുവദിക്കൂ",
+      interestsRequired: "ദയവായി കുറഞ്ഞത് ഒരു താൽപ്പര്യമെങ്കിലും തിരഞ്ഞെടുക്കുക",
+      messageRequired: "സന്ദേശം ആവശ്യമാണ്",
+      fillAll: "ദയവായി എല്ലാ ഫീൽഡുകളും പൂരിപ്പിക്കുക",
+      emailExists: "ഈ ഇമെയിൽ ഇതിനകം നിലവിലുണ്ട്",
+      phoneExists: "ഈ ഫോൺ നമ്പർ ഇതിനകം നിലവിലുണ്ട്",
+      emailRegistered: "ഈ ഇമെയിൽ വിലാസം ഇതിനകം രജിസ്റ്റർ ചെയ്തിട്ടുണ്ട്. ദയവായി മറ്റൊരു ഇമെയിൽ വിലാസം ഉപയോഗിക്കുക.",
+      mobileRegistered: "ഈ മൊബൈൽ നമ്പർ ഇതിനകം രജിസ്റ്റർ ചെയ്തിട്ടുണ്ട്. ദയവായി മറ്റൊരു മൊബൈൽ നമ്പർ ഉപയോഗിക്കുക.",
+      auth: "പ്രാമാണീകരണ പിശക് — അഡ്മിനെ ബന്ധപ്പെടുക.",
+      failed: "സമർപ്പണം പരാജയപ്പെട്ടു. ദയവായി വീണ്ടും ശ്രമിക്കുക.",
+      timeout: "അഭ്യർത്ഥനയുടെ സമയം കഴിഞ്ഞു. ദയവായി വീണ്ടും ശ്രമിക്കുക.",
+      unknown: "ഒരു പിശക് സംഭവിച്ചു. ദയവായി വീണ്ടും ശ്രമിക്കുക.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "തിരയൽ",
+    placeholder: "ഉൾക്കാഴ്ചകൾ, ആളുകൾ, പ്രാക്ടീസ് മേഖലകൾ തിരയുക…",
+    submit: "തിരയുക",
+    open: "തിരയൽ തുറക്കുക",
+    close: "തിരയൽ അടയ്ക്കുക",
+    prompt: "സൈറ്റിൽ തിരയാൻ ഒരു വാക്കോ വാക്യാംശമോ ടൈപ്പ് ചെയ്യുക.",
+    resultsFor: "“{query}” എന്നതിന് {count, plural, one {# ഫലം} other {# ഫലങ്ങൾ}}",
+    noResults: "“{query}” എന്നതിന് ഫലങ്ങളൊന്നും കണ്ടെത്തിയില്ല. അക്ഷരത്തെറ്റ് പരിശോധിക്കുക അല്ലെങ്കിൽ കുറച്ച് വാക്കുകളിൽ തിരയുക.",
+    seeAll: "എല്ലാ ഫലങ്ങളും കാണുക",
+    all: "എല്ലാം",
+    type: "{type, select, insight {ഉൾക്കാഴ്ചകൾ} publication {പ്രസിദ്ധീകരണങ്ങൾ} podcast {പോഡ്കാസ്റ്റുകൾ} team {ആളുകൾ} practice-area {പ്രാക്ടീസ് മേഖലകൾ} industry {വ്യവസായങ്ങൾ} job {ജോലികൾ} other {{type}}}",
+    practiceArea: "പ്രാക്ടീസ് മേഖല",
+    industry: "വ്യവസായം",
+    year: "വർഷം",
+    language: "ഭാഷ",
+    clearFilters: "ഫിൽട്ടറുകൾ നീക്കുക",
+    previous: "മുമ്പത്തേത്",
+    next: "അടുത്തത്",
+    pageOf: "പേജ് {page, number} / {pages, number}",
+    recent: "സമീപകാല തിരയലുകൾ",
+    clearRecent: "മായ്ക്കുക",
+    keyboardHint: "↑ ↓ തിരഞ്ഞെടുക്കാൻ, Enter തുറക്കാൻ, Esc അടയ്ക്കാൻ",
+    error: "തിരയൽ ഇപ്പോൾ ലഭ്യമല്ല. ദയവായി വീണ്ടും ശ്രമിക്കുക.",
+    filterPlaceholder: "തിരയുക...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "കൂടുതൽ വായിക്കുക",
+    loadMore: "കൂടുതൽ കാണിക്കുക",
+    viewAll: "എല്ലാം കാണുക",
+    loading: "ലോഡ് ചെയ്യുന്നു...",
+    loadingDots: "ലോഡ് ചെയ്യുന്നു",
+    noPosts: "ബന്ധപ്പെട്ട പോസ്റ്റുകളൊന്നും കണ്ടെത്തിയില്ല",
+    noMorePosts: "കൂടുതൽ വിവരങ്ങൾ ലഭ്യമല്ല",
+    published: "പ്രസിദ്ധീകരിച്ചത്: {date}",
+    archives: "ആർക്കൈവുകൾ",
+    quickLinks: "ദ്രുത ലിങ്കുകൾ:",
+    contactPartner: "പങ്കാളിയെ ബന്ധപ്പെടുക",
+    pageLoadError: "ഈ പേജ് ലോഡ് ചെയ്യാനായില്ല. അൽപ്പസമയത്തിനു ശേഷം വീണ്ടും ശ്രമിക്കുക.",
+    error: "പിശക്: {message}",
+    componentMissing: "ഘടകം കണ്ടെത്തിയില്ല",
+    scrollToTop: "മുകളിലേക്ക് പോകുക",
+    openMenu: "പ്രധാന മെനു തുറക്കുക",
+    faqTitle: "പതിവായി ചോദിക്കുന്ന ചോദ്യങ്ങൾ",
+  },
+
+  home: {
+    tagline: "ക്ലയന്റ് കേന്ദ്രീകൃത പ്രശ്നപരിഹാരം",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "ലേഖനം കാണുക",
+    backToInsights: "ഉൾക്കാഴ്ചകളിലേക്ക് മടങ്ങുക",
+    backToNews: "ആർന വാർത്തകളിലേക്ക് മടങ്ങുക",
+    backToPublications: "പ്രസിദ്ധീകരണങ്ങളിലേക്ക് മടങ്ങുക",
+    noResults: "ഫലങ്ങളൊന്നും കണ്ടെത്തിയില്ല",
+    noResultsFor: "\"{query}\" എന്നതിന് ഫലങ്ങളൊന്നും കണ്ടെത്തിയില്ല",
+  },
+
+  podcasts: {
+    listenNow: "ഇപ്പോൾ കേൾക്കുക",
+    thumbnailAlt: "പോഡ്‌കാസ്റ്റ് തംബ്‌നെയിൽ",
+    noImage: "ഫീച്ചർ ചെയ്ത ചിത്രം ലഭ്യമല്ല",
+    previous: "← മുമ്പത്തെ പോഡ്‌കാസ്റ്റ്",
+    next: "അടുത്ത പോഡ്‌കാസ്റ്റ് →",
+    videoCover: "വീഡിയോ കവർ",
+    videoUnsupported: "നിങ്ങളുടെ ബ്രൗസർ വീഡിയോ ടാഗിനെ പിന്തുണയ്ക്കുന്നില്ല.",
+    play: "പ്ലേ ചെയ്യുക",
+    pause: "താൽക്കാലികമായി നിർത്തുക",
+  },
+
+  team: {
+    photoAlt: "ടീം അംഗം",
+    noDesignation: "പദവി ലഭ്യമല്ല",
+    readMore: "കൂടുതൽ വായിക്കുക",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ക്ലയന്റുകളുടെ {br}അഭിപ്രായങ്ങൾ",
+  },
+
+  contact: {
+    getInTouch: "ബന്ധപ്പെടുക",
+    phone: "ഫോൺ",
+    directions: "വഴി",
+    ourLocations: "ഞങ്ങളുടെ ഓഫീസുകൾ",
+    networkMap: "ഞങ്ങളുടെ ശൃംഖലയുടെ മാപ്പ്",
+  },
+
+  notFound: {
+    message: "നിങ്ങൾ തിരയുന്ന പേജ് ഞങ്ങൾക്ക് കണ്ടെത്താനായില്ല.",
+    home: "ഹോംപേജിലേക്ക് മടങ്ങുക",
+    imageAlt: "404 പേജ്",
+  },
+
+  footer: {
+    subscribe: "വാർത്താക്കുറിപ്പിന് സബ്‌സ്‌ക്രൈബ് ചെയ്യുക",
+    copyright: "© {year} ആർന ലോ. എല്ലാ അവകാശങ്ങളും സംരക്ഷിതം",
+  },
+
+  legal: {
+    privacyPolicy: "സ്വകാര്യതാ നയം",
+    termsOfUse: "ഉപയോഗ നിബന്ധനകൾ",
+    disclaimer: "നിരാകരണം",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "അംഗീകരിക്കുക",
+    decline: "നിരസിക്കുക",
+    intro:
+      "ബാർ കൗൺസിൽ ഓഫ് ഇന്ത്യ അഭിഭാഷകർ ഏതെങ്കിലും രൂപത്തിലോ രീതിയിലോ കക്ഷികളെ ക്ഷണിക്കുന്നതോ പരസ്യം ചെയ്യുന്നതോ അനുവദിക്കുന്നില്ല. ഈ വെബ്സൈറ്റ്, {site}, സന്ദർശിക്കുന്നതിലൂടെ നിങ്ങൾ താഴെപ്പറയുന്നവ അംഗീകരിക്കുകയും സ്ഥിരീകരിക്കുകയും ചെയ്യുന്നു:",
+    points: [
+      "സ്ഥാപനം, അതിലെ അംഗങ്ങൾ, പ്രാക്ടീസ് മേഖലകൾ എന്നിവയെക്കുറിച്ചുള്ള വിവരങ്ങൾ അറിയാൻ നിങ്ങൾ സ്വന്തം ഇഷ്ടപ്രകാരമാണ് ആർന ലോ വെബ്സൈറ്റ് സന്ദർശിക്കുന്നത്.",
+      "അഭിഭാഷക-കക്ഷി ബന്ധം സ്ഥാപിക്കുന്നതിനായി ആർന ലോയോ അതിലെ ഏതെങ്കിലും അംഗമോ യാതൊരു വിധത്തിലുള്ള ക്ഷണമോ പരസ്യമോ പ്രേരണയോ നൽകിയിട്ടില്ല.",
+      "ഈ വെബ്സൈറ്റിലെ ഉള്ളടക്കം വിവരങ്ങൾക്ക് വേണ്ടി മാത്രമുള്ളതാണ്; അത് ക്ഷണമോ പരസ്യമോ നിയമോപദേശമോ ആയി കണക്കാക്കരുത്.",
+      "ഈ വെബ്സൈറ്റിൽ നിന്ന് ഡൗൺലോഡ് ചെയ്യുന്ന ഏതൊരു സാമഗ്രിയും വിവരവും രേഖയും പൂർണ്ണമായും നിങ്ങളുടെ വിവേചനാധികാരത്തിലാണ്; അവ നിങ്ങളും ആർന ലോയും തമ്മിൽ യാതൊരു അഭിഭാഷക-കക്ഷി ബന്ധവും സൃഷ്ടിക്കുന്നില്ല.",
+      "ഈ വെബ്സൈറ്റിൽ പ്രസിദ്ധീകരിച്ച വിവരങ്ങളുടെയോ സാമഗ്രികളുടെയോ അടിസ്ഥാനത്തിൽ നിങ്ങൾ സ്വീകരിക്കുന്ന ഏതൊരു നടപടിയുടെയും അനന്തരഫലത്തിന് സ്ഥാപനം ഉത്തരവാദിയല്ല. നിങ്ങൾക്ക് നിയമസഹായം ആവശ്യമെങ്കിൽ, സ്വതന്ത്രമായ പ്രൊഫഷണൽ ഉപദേശം തേടണം.",
+      "ഈ വെബ്സൈറ്റിൽ നൽകിയിരിക്കുന്ന വിവരങ്ങൾ ഏറ്റവും പുതിയ നിയമ സംഭവവികാസങ്ങൾ പ്രതിഫലിപ്പിക്കണമെന്നില്ല; ഏതെങ്കിലും വിഷയത്തിൽ ആർന ലോയുടെ പ്രതിബദ്ധതയോ അഭിപ്രായമോ ആയി അവയെ വ്യാഖ്യാനിക്കരുത്.",
+      "ഈ വെബ്സൈറ്റിലെ മൂന്നാം കക്ഷി വെബ്സൈറ്റുകളിലേക്കുള്ള ലിങ്കുകൾ സൗകര്യത്തിനായി മാത്രം നൽകിയിരിക്കുന്നതാണ്; അവ അംഗീകാരമോ ശുപാർശയോ ബന്ധമോ സൂചിപ്പിക്കുന്നില്ല. അത്തരം മൂന്നാം കക്ഷി സൈറ്റുകളുടെ ഉള്ളടക്കത്തിനോ സ്വകാര്യതാ രീതികൾക്കോ ആർന ലോ ഉത്തരവാദിയല്ല.",
+      "ഈ വെബ്സൈറ്റ് വഴി രഹസ്യസ്വഭാവമുള്ളതോ പ്രത്യേകാവകാശമുള്ളതോ ബിസിനസ് സംബന്ധമായതോ സെൻസിറ്റീവായതോ ആയ യാതൊരു വിവരവും നിങ്ങൾ അയയ്ക്കരുത്. ഔപചാരിക കരാറിന് മുമ്പ് ഈ പ്ലാറ്റ്‌ഫോം വഴി പങ്കിടുന്ന വിവരങ്ങൾ രഹസ്യമായി കണക്കാക്കില്ല.",
+      "വാചകം, ചിത്രങ്ങൾ, ഗ്രാഫിക്സ്, ഡിസൈൻ എന്നിവയുൾപ്പെടെ ഈ വെബ്സൈറ്റിലെ എല്ലാ ഉള്ളടക്കവും ആർന ലോയുടെ ബൗദ്ധിക സ്വത്താണ്; മുൻകൂർ രേഖാമൂലമുള്ള അനുമതിയില്ലാതെ അവ പകർത്താനോ പുനർനിർമ്മിക്കാനോ വിതരണം ചെയ്യാനോ പാടില്ല.",
+      "ഉപയോക്തൃ അനുഭവം മെച്ചപ്പെടുത്താൻ ഈ വെബ്സൈറ്റ് കുക്കികൾ ഉപയോഗിക്കുന്നു. ഈ സൈറ്റ് തുടർന്നും ഉപയോഗിക്കുന്നതിലൂടെ, ഞങ്ങളുടെ സ്വകാര്യതാ നയത്തിൽ പറഞ്ഞിരിക്കുന്നതുപോലെ കുക്കികളുടെ ഉപയോഗത്തിന് നിങ്ങൾ സമ്മതം നൽകുന്നു. ഞങ്ങൾ നിങ്ങളുടെ ഡാറ്റ എങ്ങനെ ശേഖരിക്കുന്നു, ഉപയോഗിക്കുന്നു, സംരക്ഷിക്കുന്നു എന്നറിയാൻ ദയവായി ഞങ്ങളുടെ {privacyPolicy}, {termsOfUse} എന്നിവ വായിക്കുക.",
+      "ഈ വെബ്സൈറ്റും അതിലെ എല്ലാ ഉള്ളടക്കവും പ്രത്യക്ഷമോ പരോക്ഷമോ ആയ യാതൊരു വാറന്റിയുമില്ലാതെ “ഉള്ളതുപോലെ” നൽകുന്നു. ഈ വെബ്സൈറ്റിലെ വിവരങ്ങളെ ആശ്രയിക്കുന്നതുമൂലം ഉണ്ടാകുന്ന ഏതൊരു നഷ്ടത്തിനും ആർന ലോ എല്ലാ ബാധ്യതയും നിരാകരിക്കുന്നു.",
+      "ഈ വെബ്സൈറ്റിന്റെ ഉപയോഗത്തിൽ നിന്ന് ഉണ്ടാകുന്ന ഏതൊരു തർക്കവും ഇന്ത്യൻ നിയമങ്ങൾക്ക് വിധേയമായിരിക്കും; ഇന്ത്യയിലെ യോഗ്യതയുള്ള കോടതികളുടെ സവിശേഷ അധികാരപരിധിക്ക് വിധേയവുമായിരിക്കും.",
+    ],
+    agree: "“ഞാൻ അംഗീകരിക്കുന്നു”",
+    closing:
+      "{agree} ക്ലിക്ക് ചെയ്യുന്നതിലൂടെയോ ഈ വെബ്സൈറ്റ് തുടർന്നും ഉപയോഗിക്കുന്നതിലൂടെയോ, ഈ നിരാകരണത്തിലെ നിബന്ധനകൾ നിങ്ങൾ വായിച്ച്, മനസ്സിലാക്കി, അംഗീകരിച്ചതായി സ്ഥിരീകരിക്കുന്നു.",
+  },
+
+  preview: {
+    label: "പ്രിവ്യൂ",
+    message: "നിങ്ങൾ WordPress-ലെ പ്രസിദ്ധീകരിക്കാത്ത ഉള്ളടക്കമാണ് കാണുന്നത്.",
+    exit: "പ്രിവ്യൂവിൽ നിന്ന് പുറത്തുകടക്കുക",
+  },
 };
 export default ml;
 
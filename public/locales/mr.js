@@ -261,6 +261,9 @@ const mr = {
 
   trackRecord: {
     trackRecordTitle: " आमचा कामगिरीचा आकडेवारीतला आढावा",
+    yearsOfLegacy: "आमच्या वारशाची वर्षे",
+    clientsServed: "सेवा दिलेले क्लायंट",
+    disputesResolved: "सोडवलेले वाद",
   },
 
   awards: {
@@ -291,7 +294,241 @@ const mr = {
   },
   network: {
     networkTitle: "जगभरातील वकिलांचे एक जाळे ",
+    interact: "नकाशा वापरण्यासाठी क्लिक करा",
+    loadingMap: "नकाशा लोड होत आहे...",
   },
 
+  translationNotice: {
+    notAvailable: "हे पृष्ठ अद्याप आपल्या भाषेत उपलब्ध नाही, म्हणून ते इंग्रजीमध्ये दाखवले आहे.",
+  },
+
+  // Careers page
+  careers: {
+    title: "आरना लॉ मधील करिअर",
+    headline: "आंतरराष्ट्रीय दृष्टिकोन असलेल्या गतिशील कायदा प्रॅक्टिसचा भाग व्हा",
+    intro:
+      "आरना लॉ ही भारतस्थित आंतरराष्ट्रीय कायदेशीर सल्लागार संस्था आहे, जिची मुळे नैसर्गिक कायदा, न्याय आणि करुणा या धार्मिक तत्त्वांमध्ये आहेत. आमच्या विस्तृत प्रॅक्टिस क्षेत्रांद्वारे आम्ही राष्ट्र-राज्ये, आंतरराष्ट्रीय संस्था, बहुराष्ट्रीय कंपन्या, विशेष स्टार्ट-अप आणि वैयक्तिक हितसंबंधांपर्यंत पसरलेल्या ग्राहकांना प्रगतिशील कायदेशीर सल्ला देतो.",
+    recruitmentTitle: "कायदेशीर आणि प्रशासकीय व्यावसायिकांची भरती",
+    recruitment:
+      "आंतरराष्ट्रीय अनुभव, उल्लेखनीय शैक्षणिक कामगिरी, समीक्षित नियतकालिकांमधील प्रकाशने किंवा कुशल कायदेशीर कौशल्याचे इतर पुरावे असलेल्या व्यावसायिकांकडून ऐकण्यास आम्ही नेहमी उत्सुक असतो. नावीन्यपूर्ण आणि सक्षम प्रशासकीय व सहाय्यक टीम सदस्यांमध्येही आम्हाला रस आहे. सेवाभाव आणि कायद्यातील उत्कृष्टतेची आवड असलेले टीम प्लेयर असाल, तर कृपया संपर्क साधा.",
+    openingsTitle: "सध्याच्या संधी",
+    internshipsTitle: "इंटर्नशिप",
+    applyNow: "आता अर्ज करा",
+    noContent: "कोणतीही सामग्री उपलब्ध नाही.",
+    internships: [
+      "आरना येथे आम्ही समृद्ध आणि आव्हानात्मक इंटर्नशिप अनुभव देतो. आम्ही केवळ भक्कम शैक्षणिक नोंदीच पाहत नाही; आम्ही प्रेरित, शिकण्यास उत्सुक आणि संस्थेची मूल्ये मानणाऱ्या व्यक्तींच्या शोधात असतो. आमच्या इंटर्नमधील विविधतेचा आणि देशभरातील विद्यार्थ्यांना दिलेल्या संधींचा आम्हाला अभिमान आहे.",
+      "इंटर्नशिपचा कालावधी {minWeeks, number}-{maxWeeks, number} आठवडे आहे. इंटर्नना आमच्या विवाद, नादारी कायदा तसेच कॉर्पोरेट सल्लागार टीमसोबत काम करण्याची संधी मिळते. इंटर्नशिपदरम्यान इंटर्नला आमच्या प्रॅक्टिस क्षेत्रांच्या विविध पैलूंची व्यावहारिक समज मिळवण्याची अनोखी संधी मिळते. प्रत्येक इंटर्नला एक पर्यवेक्षक नेमला जातो; तरीही सर्वांगीण अनुभवासाठी त्यांनी सर्व टीमसोबत काम करणे अपेक्षित असते.",
+      "आमच्या इंटर्नना आमच्या प्रॅक्टिस क्षेत्रांतील कायद्यातील अलीकडील घडामोडींची माहिती असणे अपेक्षित आहे. प्रत्येक इंटर्नला संशोधनासाठी एक विषय दिला जातो आणि कालावधीच्या शेवटी पार्टनर्स व सर्व असोसिएट्ससमोर सादरीकरण करणे अपेक्षित असते.",
+      "बीए एलएलबी (ऑनर्स) कार्यक्रम आणि 3 वर्षांच्या एलएलबी कार्यक्रमाच्या पहिल्या व दुसऱ्या वर्षातील विद्यार्थ्यांचे इंटर्नशिप अर्ज आम्ही स्वीकारत नाही.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "पहिले नाव",
+    lastName: "आडनाव",
+    name: "नाव",
+    email: "ईमेल",
+    phone: "फोन नंबर",
+    phonePlaceholder: "फोन नंबर टाका",
+    mobile: "मोबाइल",
+    mobilePlaceholder: "{digits, number} अंकी मोबाइल नंबर टाका",
+    college: "महाविद्यालय",
+    role: "भूमिका निवडा",
+    selectPlaceholder: "कृपया निवडा",
+    roleOption: "{role, select, Legal {कायदेशीर} Administration {प्रशासन} Finance {वित्त} other {{role}}}",
+    experience: "पात्रतेनंतरच्या अनुभवाची वर्षे",
+    experiencePlaceholder: "अनुभवाची वर्षे टाका",
+    inquiry: "तुमच्या चौकशीचा तपशील",
+    resume: "फाइल निवडा",
+    resumeChange: "फाइल बदलण्यासाठी क्लिक करा",
+    resumeUpload: "अपलोड करण्यासाठी क्लिक करा किंवा ओढून सोडा",
+    resumeTypes: "PDF, DOCX (कमाल {maxMb, number} MB)",
+    interests: "तुमच्या आवडी निवडा",
+    interestOption: "{interest, select, corporateAdvisory {कॉर्पोरेट सल्लागार} hrCompliance {एचआर अनुपालन} other {इतर}}",
+    detailsTitle: "तुमचा तपशील टाका",
+    close: "बंद करा",
+    submit: "सबमिट करा",
+    submitting: "सबमिट होत आहे...",
+    subscribe: "सदस्यता घ्या",
+    loading: "लोड होत आहे...",
+    applicationSent: "अर्ज यशस्वीरित्या सबमिट झाला!",
+    contactSent: "फॉर्म यशस्वीरित्या सबमिट झाला!",
+    subscribed: "न्यूजलेटरची सदस्यता यशस्वीरित्या घेतली!",
+    errors: {
+      heading: "{count, plural, one {कृपया खालील त्रुटी दुरुस्त करा:} other {कृपया खालील त्रुटी दुरुस्त करा:}}",
+      firstNameRequired: "पहिले नाव आवश्यक आहे",
+      lastNameRequired: "आडनाव आवश्यक आहे",
+      nameRequired: "नाव आवश्यक आहे",
+      emailRequired: "ईमेल आवश्यक आहे",
+      emailInvalid: "कृपया वैध ईमेल पत्ता टाका",
+      phoneRequired: "फोन नंबर आवश्यक आहे",
+      phoneTooShort: "फोन नंबर किमान {min, plural, one {# अंकी} other {# अंकी}} असणे आवश्यक आहे",
+      phoneTooLong: "फोन नंबर {max, plural, one {# अंकापेक्षा} other {# अंकांपेक्षा}} जास्त असू शकत नाही",
+      mobileRequired: "मोबाइल नंबर आवश्यक आहे",
+      mobileTooShort: "मोबाइल नंबर किमान {min, plural, one {# अंकी} other {# अंकी}} असणे आवश्यक आहे",
+      mobileTooLong: "मोबाइल नंबर {max, plural, one {# अंकापेक्षा} other {# अंकांपेक्षा}} जास्त असू शकत नाही",
+      collegeRequired: "महाविद्यालयाचे नाव आवश्यक आहे",
+      collegeTooShort: "महाविद्यालयाचे नाव किमान {min, plural, one {# अक्षराचे} other {# अक्षरांचे}} असणे आवश्यक आहे",
+      roleRequired: "कृपया भूमिका निवडा",
+      resumeRequired: "कृपया तुमचा बायोडाटा अपलोड करा",
+      fileTooLarge: "फाइलचा आकार {maxMb, number} MB पेक्षा कमी असणे आवश्यक आहे",
+      fileType: "फक्त PDF आणि DOCX फाइल्सना परवानगी आहे",
+      interestsRequired: "कृपया किमान एक आवड निवडा",
+      messageRequired: "संदेश आवश्यक आहे",
+      fillAll: "कृपया सर्व फील्ड भरा",
+      emailExists: "हा ईमेल आधीच अस्तित्वात आहे",
+      phoneExists: "हा फोन नंबर आधीच अस्तित्वात आहे",
+      emailRegistered: "हा ईमेल पत्ता आधीच नोंदणीकृत आहे. कृपया दुसरा ईमेल पत्ता वापरा.",
+      mobileRegistered: "हा मोबाइल नंबर आधीच नोंदणीकृत आहे. कृपया दुसरा मोबाइल नंबर वापरा.",
+      auth: "प्रमाणीकरण त्रुटी — प्रशासकाशी संपर्क साधा.",
+      failed: "सबमिट करता आले नाही. कृपया पुन्हा प्रयत्न करा.",
+      timeout: "विनंतीची वेळ संपली. कृपया पुन्हा प्रयत्न करा.",
+      unknown: "त्रुटी आली. कृपया पुन्हा प्रयत्न करा.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "शोध",
+    placeholder: "अंतर्दृष्टी, लोक, प्रॅक्टिस क्षेत्रे शोधा…",
+    submit: "शोधा",
+    open: "शोध उघडा",
+    close: "शोध बंद करा",
+    prompt: "साइटवर शोधण्यासाठी एखादा शब्द किंवा वाक्यांश लिहा.",
+    resultsFor: "“{query}” साठी {count, plural, one {# निकाल} other {# निकाल}}",
+    noResults: "“{query}” साठी कोणतेही निकाल सापडले नाहीत. शब्दलेखन तपासा किंवा कमी शब्दांत शोधा.",
+    seeAll: "सर्व निकाल पाहा",
+    all: "सर्व",
+    type: "{type, select, insight {अंतर्दृष्टी} publication {प्रकाशन} podcast {पॉडकास्ट} team {लोक} practice-area {प्रॅक्टिस क्षेत्रे} industry {उद्योग} job {करिअर्स} other {{type}}}",
+    practiceArea: "प्रॅक्टिस क्षेत्र",
+    industry: "उद्योग",
+    year: "वर्ष",
+    language: "भाषा",
+    clearFilters: "फिल्टर काढा",
+    previous: "मागील",
+    next: "पुढील",
+    pageOf: "पृष्ठ {page, number} / {pages, number}",
+    recent: "अलीकडील शोध",
+    clearRecent: "साफ करा",
+    keyboardHint: "↑ ↓ ने निवडा, Enter ने उघडा, Esc ने बंद करा",
+    error: "शोध सध्या उपलब्ध नाही. कृपया पुन्हा प्रयत्न करा.",
+    filterPlaceholder: "शोधा...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "अधिक वाचा",
+    loadMore: "आणखी दाखवा",
+    viewAll: "सर्व पहा",
+    loading: "लोड होत आहे...",
+    loadingDots: "लोड होत आहे",
+    noPosts: "संबंधित पोस्ट आढळली नाही",
+    noMorePosts: "आणखी तपशील उपलब्ध नाहीत",
+    published: "प्रकाशित: {date}",
+    archives: "संग्रह",
+    quickLinks: "झटपट दुवे:",
+    contactPartner: "भागीदाराशी संपर्क साधा",
+    pageLoadError: "हे पृष्ठ लोड होऊ शकले नाही. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.",
+    error: "त्रुटी: {message}",
+    componentMissing: "घटक आढळला नाही",
+    scrollToTop: "वर जा",
+    openMenu: "मुख्य मेनू उघडा",
+    faqTitle: "वारंवार विचारले जाणारे प्रश्न",
+  },
+
+  home: {
+    tagline: "क्लायंट-केंद्रित समस्या निवारण",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "लेख पहा",
+    backToInsights: "अंतर्दृष्टीकडे परत जा",
+    backToNews: "आरना बातम्यांकडे परत जा",
+    backToPublications: "प्रकाशनांकडे परत जा",
+    noResults: "कोणतेही परिणाम आढळले नाहीत",
+    noResultsFor: "\"{query}\" साठी कोणतेही परिणाम आढळले नाहीत",
+  },
+
+  podcasts: {
+    listenNow: "आता ऐका",
+    thumbnailAlt: "पॉडकास्ट थंबनेल",
+    noImage: "वैशिष्ट्यीकृत प्रतिमा उपलब्ध नाही",
+    previous: "← मागील पॉडकास्ट",
+    next: "पुढील पॉडकास्ट →",
+    videoCover: "व्हिडिओ कव्हर",
+    videoUnsupported: "तुमचा ब्राउझर व्हिडिओ टॅगला समर्थन देत नाही.",
+    play: "प्ले करा",
+    pause: "थांबवा",
+  },
+
+  team: {
+    photoAlt: "टीम सदस्य",
+    noDesignation: "पद उपलब्ध नाही",
+    readMore: "अधिक वाचा",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "क्लायंटचे {br}अभिप्राय",
+  },
+
+  contact: {
+    getInTouch: "संपर्कात रहा",
+    phone: "फोन",
+    directions: "मार्ग",
+    ourLocations: "आमची कार्यालये",
+    networkMap: "आमच्या नेटवर्कचा नकाशा",
+  },
+
+  notFound: {
+    message: "तुम्ही शोधत असलेले पृष्ठ आम्हाला सापडले नाही.",
+    home: "मुख्यपृष्ठावर परत जा",
+    imageAlt: "404 पृष्ठ",
+  },
+
+  footer: {
+    subscribe: "वृत्तपत्राची सदस्यता घ्या",
+    copyright: "© {year} आरना लॉ. सर्व हक्क राखीव",
+  },
+
+  legal: {
+    privacyPolicy: "गोपनीयता धोरण",
+    termsOfUse: "वापराच्या अटी",
+    disclaimer: "अस्वीकरण",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "स्वीकारा",
+    decline: "नाकारा",
+    intro:
+      "बार कौन्सिल ऑफ इंडिया वकिलांना कोणत्याही स्वरूपात किंवा पद्धतीने ग्राहक मिळवण्यासाठी विनंती किंवा जाहिरात करण्याची परवानगी देत नाही. या वेबसाइटला, {site}, भेट देऊन तुम्ही पुढील गोष्टी मान्य करता आणि त्यांची पुष्टी करता:",
+    points: [
+      "फर्म, तिचे सदस्य आणि प्रॅक्टिस क्षेत्रांची माहिती मिळवण्यासाठी तुम्ही स्वतःच्या इच्छेने आरना लॉची वेबसाइट पाहत आहात.",
+      "वकील-क्लायंट संबंध निर्माण करण्यासाठी आरना लॉ किंवा तिच्या कोणत्याही सदस्याकडून कोणत्याही प्रकारची विनंती, जाहिरात, आमंत्रण किंवा प्रलोभन दिलेले नाही.",
+      "या वेबसाइटवरील मजकूर केवळ माहितीसाठी आहे आणि त्याला विनंती, जाहिरात किंवा कायदेशीर सल्ला मानू नये.",
+      "या वेबसाइटवरून डाउनलोड केलेली कोणतीही सामग्री, माहिती किंवा दस्तऐवज पूर्णपणे तुमच्या विवेकावर अवलंबून आहेत आणि त्यामुळे तुमच्यात आणि आरना लॉमध्ये कोणताही वकील-क्लायंट संबंध निर्माण होत नाही.",
+      "या वेबसाइटवर प्रकाशित माहिती किंवा सामग्रीच्या आधारे तुम्ही केलेल्या कोणत्याही कृतीच्या परिणामासाठी फर्म जबाबदार किंवा उत्तरदायी नाही. तुम्हाला कायदेशीर मदतीची आवश्यकता असल्यास, स्वतंत्र व्यावसायिक सल्ला घ्यावा.",
+      "या वेबसाइटवरील माहितीत अलीकडील कायदेशीर घडामोडी प्रतिबिंबित होत नसतील, आणि तिला कोणत्याही विषयावर आरना लॉची बांधिलकी किंवा मत समजू नये.",
+      "या वेबसाइटवरील तृतीय-पक्ष वेबसाइट्सचे दुवे केवळ सोयीसाठी दिलेले आहेत आणि त्यातून समर्थन, शिफारस किंवा संलग्नता सूचित होत नाही. अशा तृतीय-पक्ष साइट्सच्या मजकुरासाठी किंवा गोपनीयता पद्धतींसाठी आरना लॉ जबाबदार नाही.",
+      "या वेबसाइटद्वारे तुम्ही कोणतीही गोपनीय, विशेषाधिकारप्राप्त, व्यावसायिक किंवा संवेदनशील माहिती पाठवू नये. औपचारिक करार होण्यापूर्वी या व्यासपीठाद्वारे दिलेली माहिती गोपनीय मानली जाणार नाही.",
+      "मजकूर, प्रतिमा, ग्राफिक्स आणि डिझाइनसह या वेबसाइटवरील सर्व सामग्री आरना लॉची बौद्धिक संपदा आहे आणि पूर्व लेखी संमतीशिवाय तिची प्रत, पुनर्निर्मिती किंवा वितरण करता येणार नाही.",
+      "वापरकर्त्याचा अनुभव सुधारण्यासाठी ही वेबसाइट कुकीज वापरते. ही साइट वापरणे सुरू ठेवून, आमच्या गोपनीयता धोरणात नमूद केल्याप्रमाणे कुकीजच्या वापरास तुम्ही संमती देता. आम्ही तुमचा डेटा कसा गोळा करतो, वापरतो आणि सुरक्षित ठेवतो हे समजून घेण्यासाठी कृपया आमचे {privacyPolicy} आणि {termsOfUse} वाचा.",
+      "ही वेबसाइट आणि तिची सर्व सामग्री कोणत्याही स्पष्ट किंवा गर्भित हमीशिवाय “जशी आहे तशी” दिली जाते. या वेबसाइटवरील माहितीवर अवलंबून राहिल्यामुळे होणाऱ्या कोणत्याही नुकसानीसाठी आरना लॉ सर्व उत्तरदायित्व नाकारते.",
+      "या वेबसाइटच्या वापरातून उद्भवणारे कोणतेही वाद भारताच्या कायद्यांनुसार नियंत्रित होतील आणि भारतातील सक्षम न्यायालयांच्या अनन्य अधिकारक्षेत्राच्या अधीन असतील.",
+    ],
+    agree: "“मी सहमत आहे”",
+    closing:
+      "{agree} वर क्लिक करून किंवा ही वेबसाइट वापरणे सुरू ठेवून, तुम्ही या अस्वीकरणाच्या अटी वाचल्या, समजून घेतल्या आणि स्वीकारल्या आहेत हे मान्य करता.",
+  },
+
+  preview: {
+    label: "पूर्वावलोकन",
+    message: "तुम्ही WordPress मधील अप्रकाशित मजकूर पाहत आहात.",
+    exit: "पूर्वावलोकनातून बाहेर पडा",
+  },
 };
 export default mr;
@@ -0,0 +1,533 @@
+const ne = {
+  menu: {
+    about: "हाम्रो बारेमा",
+    thefirm: "फर्म",
+    testimonials: "प्रशंसापत्रहरू",
+    practiceareas: "अभ्यास क्षेत्रहरू",
+    industries: "उद्योगहरू",
+    newsinsights: "समाचार र अन्तर्दृष्टि",
+    insights: "अन्तर्दृष्टि",
+    aarnanews: "आर्ना समाचार",
+    publications: "प्रकाशनहरू",
+    podcasts: "पडकास्टहरू",
+    careers: "करियर",
+    contactus: "हामीलाई सम्पर्क गर्नुहोस्",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "अभ्यास क्षेत्रहरू",
+  },
+  industriesTitle: {
+    industries: "उद्योगहरू",
+  },
+  insightsTitle: {
+    insights: "अन्तर्दृष्टि",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "आर्ना समाचार",
+  },
+  publicationsTitle: {
+    publications: "प्रकाशनहरू",
+  },
+  podcastsTitle: {
+    podcasts: "पडकास्टहरू",
+  },
+  careersTitle: {
+    careers: "करियर",
+  },
+  contactUsTitle: {
+    contactUs: "हामीलाई सम्पर्क गर्नुहोस्",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "हाम्रो बारेमा",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "हामी के गर्छौं",
+    headline: "हामी विश्वव्यापी दृष्टिकोण भएका वकिलहरूको पुरस्कार विजेता टोली हौं",
+    para1:
+      "गुणस्तरमा आधारित र मूल्यमा आधारित कानुनी सेवा प्रदान गर्ने दृढ प्रतिबद्धतासहित आर्ना लको स्थापना भएको हो, ताकि हामीले सेवा गर्नेहरूसँग गहिरो र दिगो सम्बन्ध बनोस्। हामी आफ्ना ग्राहकहरूको व्यवसाय र व्यावसायिक उद्देश्य बुझ्न समय र मेहनत लगाउँछौं, जसले हामीलाई सन्दर्भअनुसार सान्दर्भिक र रणनीतिक रूपमा बलियो समाधान तयार गर्न सक्षम बनाउँछ।",
+    para2:
+      "हाम्रो दृष्टिकोण नवप्रवर्तनशील र व्यवसायप्रति सचेत छ, जसको आधार व्यावसायिक रूपमा विवेकी, प्रत्यक्ष संलग्न र समाधानमुखी अनुभवी वकिलहरूको टोली हो।",
+  },
+
+  ourLegacy: {
+    legacyTitle: "हाम्रो विरासत",
+    legacyHeadline:
+      "विभिन्न क्षेत्र, उद्योग र अन्तर्राष्ट्रिय सीमापार, हाम्रा कानुनी सेवा र समाधानहरूले इमानदारी र गोपनीयताको उच्चतम मापदण्ड कायम राख्छन्",
+    legacyPara:
+      "सबैभन्दा माथि, हाम्रो पुरस्कार विजेता अभ्यास प्रत्येक ग्राहकसँग हामीले बनाउने दिगो सम्बन्धमा आधारित छ। हामीले दिने कानुनी र व्यावसायिक सल्लाहले हाम्रो ग्राहकको व्यावसायिक हितको यही सचेत बुझाइलाई झल्काउँछ।",
+  },
+
+  founderMessage: {
+    founderTitle: "हाम्रा संस्थापकहरूको सन्देश",
+    founderPara:
+      "साना, मझौला र ठूला सबै किसिमका उद्योगका ग्राहकहरूको सेवा गर्ने र भारत गणराज्यको तर्फबाट वकालत गर्ने सौभाग्य पाएकोमा हामी अत्यन्तै आभारी छौं। हामी विनम्रतापूर्वक अघिल्ला पुस्ताका आशीर्वाद र उनीहरूका अग्ला काँधलाई स्वीकार गर्छौं। उनीहरूले दिएका गहिरा मूल्यहरूले हामीलाई सामूहिक रूपमा हाम्रो उत्कृष्ट रूप बाहिर ल्याउने मञ्च बनाउन प्रेरित गरिरहेका छन्, जब हामी आफ्ना ग्राहकहरूको सेवा गर्न र न्यायको उद्देश्यलाई अगाडि बढाउन प्रयास गर्छौं।",
+    founderName1: "कमला नागानन्द",
+    founderDescription1: "व्यवस्थापक साझेदार",
+    founderName2: "श्रेयस जयसिंह",
+    founderDescription2: "संस्थापक साझेदार",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "जयसिंह फाउन्डेसन",
+    jayasimhaPara1:
+      "स्वर्गीय न्यायाधीश आर जयसिंह बाबु (१९४२-२०१५) को सम्झनामा स्थापित जयसिंह फाउन्डेसनले सेवाको भावनामार्फत उत्कृष्टताको खोजीमा जरा गाडेको गौरवमय विरासतलाई अगाडि बढाउँछ।",
+    jayasimhaPara2:
+      "यो फाउन्डेसनले इमानदारी, साहस र अनुशासनका ती मार्गदर्शक सिद्धान्तहरूलाई मूर्त रूप दिन्छ, जसका उदाहरण न्यायाधीश जयसिंह बाबु हुनुहुन्थ्यो।",
+    jayasimhaPara3:
+      "मद्रास उच्च अदालत र त्यसअघि कर्नाटक उच्च अदालतका न्यायाधीशका रूपमा आफ्नो विशिष्ट नियुक्तिका क्रममा न्यायाधीश जयसिंह बाबुले संवैधानिक कानुन, कम्पनी तथा व्यापारिक कानुन र करसम्बन्धी व्यापक रूपमा उद्धृत हुने फैसलाहरू दिनुभयो। साथै, स्वदेशी र अन्तर्राष्ट्रिय विवादहरूमा मध्यस्थकर्ताका रूपमा विवाद समाधानप्रतिको उहाँको विवेकपूर्ण दृष्टिकोणलाई उच्च सम्मानका साथ हेरिन्थ्यो।",
+    jayasimhaPara4:
+      "कर्नाटकी, हिन्दुस्तानी र पश्चिमी शास्त्रीय सङ्गीतका पारखी न्यायाधीश बाबु कानुनको क्षेत्रमा युवा प्रतिभाहरूलाई प्रोत्साहन र सशक्त बनाउन इच्छुक हुनुहुन्थ्यो।",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "के तपाईं हाम्रो टोलीमा सामेल हुन चाहनुहुन्छ?",
+    joinTeamPara:
+      "हामी एक नवप्रवर्तनशील संस्था हौं जसले एकअर्कालाई बढ्न र फस्टाउन सक्षम बनाउँछ। इमानदारी, दक्षता, टोलीकार्य र परोपकार हाम्रो बुटिक अभ्यासका आधारस्तम्भ हुन्।",
+    joinTeamOpening: "हालका रिक्त पदहरू हेर्नुहोस्",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "अभ्यास क्षेत्रहरू",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "साझेदारहरू",
+    aboutPartnerPara:
+      "हाम्रो कुशल टोलीको विशेषज्ञताले हाम्रो अभ्यासलाई वैचारिक नेतृत्व, मार्गदर्शन र उत्कृष्टताको खोजीमा अडिग राख्छ...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "प्रशंसापत्रहरू",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "कुणाल शाह",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ सन्तोषजनक नतिजा दिनका लागि टोलीको कडा परिश्रम र प्रतिबद्धताको हामी उच्च कदर गर्छौं।”",
+      fullTestimonial: `हामीलाई यो बताउन खुसी लागेको छ कि वनपेपर आर्ना लले प्रदान गरेको सेवाबाट पूर्ण रूपमा सन्तुष्ट छ। विधिशा, पुन्ती र सम्पूर्ण टोलीले हाम्रा आवश्यकता पूरा गर्न असाधारण सीप र समर्पण देखाउनुभयो। उहाँहरूको प्रयास र समयमै गरिएको सहयोगले हाम्रो मुद्दामा अनुकूल आदेश पाउन महत्त्वपूर्ण भूमिका खेल्यो।
+        सन्तोषजनक नतिजा दिनका लागि टोलीको कडा परिश्रम र प्रतिबद्धताको हामी उच्च कदर गर्छौं।
+        तपाईंहरूको सहयोगका लागि फेरि एक पटक धन्यवाद।`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "पल्लवी राव र अरुण किजपदाथिल",
+      post: "संस्थापकहरू",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ विश्वभर खोजी गरेपछि हामीले आर्ना ल भेट्टायौं र भेट्टाएकोमा हामी निकै खुसी छौं। ”",
+      fullTestimonial: `हामी मिलनसार, सक्षम, छिटो प्रतिक्रिया दिने र हाम्रो व्यवसाय बुझ्ने कानुनी फर्मको खोजीमा थियौं, र आर्ना ल हाम्रा लागि यी सबै र त्यसभन्दा पनि बढी साबित भयो। विश्वभर खोजी गरेपछि हामीले आर्ना ल भेट्टायौं र भेट्टाएकोमा हामी निकै खुसी छौं।`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "टोनी हेल्स",
+      post: "प्रमुख कार्यकारी अधिकृत",
+      desingnation: "OG Healthcare",
+      desc: "“आर्ना लले हाम्रा विशिष्ट आवश्यकताहरू समयमै र बजेटभित्र पूरा गर्न सक्यो - साँच्चै धेरै क्षेत्रमा ज्ञान, अनुभव र सञ्जाल भएको एक व्यावसायिक फर्म।”",
+      fullTestimonial: `प्रारम्भिक परामर्श र त्यसपछिको कानुनी सेवाका लागि श्रेयस र आर्ना लको टोलीलाई धन्यवाद। यो कुनै सामान्य मुद्दा थिएन, तैपनि आर्ना लले हाम्रा विशिष्ट आवश्यकताहरू समयमै र बजेटभित्र पूरा गर्न सक्यो - साँच्चै धेरै क्षेत्रमा ज्ञान, अनुभव र सञ्जाल भएको एक व्यावसायिक फर्म। फेरि एक पटक धन्यवाद।`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "विनय भगवान",
+      post: "जनरल काउन्सेल",
+      desingnation: "Daimler Trucks India",
+      desc: "“उच्चस्तरीय कानुनी प्रतिनिधित्व खोज्ने जो कोहीलाई म आर्ना ल र यसको उत्कृष्ट टोलीको हृदयदेखि सिफारिस गर्छु।”",
+      fullTestimonial: `आर्ना लसँगको मेरो अनुभव असाधारणभन्दा कम रहेन। फर्मका संस्थापक साझेदार श्रेयस र कमलाले उल्लेखनीय दूरदृष्टि र समर्पणका साथ फर्म सञ्चालन गरी यसलाई नयाँ उचाइमा पुर्‍याउनुभएको छ। उहाँहरूको नेतृत्व र उत्कृष्टताप्रतिको गहिरो प्रतिबद्धताले आर्ना ललाई कानुनी क्षेत्रमा छुट्टै बनाउँछ।
+      पति-पत्नीको टोलीका रूपमा श्रेयस र कमलाले फर्ममा अनौठो ऊर्जा ल्याउनुहुन्छ, आफ्ना व्यक्तिगत क्षमताहरू मिलाएर एक सुसङ्गत र अत्यन्त प्रभावकारी साझेदारी बनाउनुहुन्छ। उहाँहरूको रणनीतिक विवेक र सूक्ष्म ध्यानले जटिल कानुनी चुनौतीहरूमा हामीलाई मार्गदर्शन गर्न महत्त्वपूर्ण भूमिका खेलेको छ।
+      नवप्रवर्तनप्रतिको उहाँहरूको रुचिबाट म विशेष रूपमा प्रभावित छु, खासगरी आफ्नो अभ्यासमा अत्याधुनिक प्रविधि समावेश गर्ने उहाँहरूको प्रयासबाट। यो अग्रगामी दृष्टिकोणले दक्षता मात्र बढाउँदैन, ग्राहकहरूले उपलब्ध सबैभन्दा परिष्कृत र प्रभावकारी कानुनी समाधान पाउने सुनिश्चित पनि गर्छ।
+      आफ्नो प्राविधिक दक्षताबाहेक, श्रेयस र कमला आफ्नो इमानदारी, नैतिक मापदण्ड र ग्राहकप्रतिको साँचो चासोका लागि परिचित हुनुहुन्छ। उहाँहरूले विश्वास र उत्कृष्टताको यस्तो संस्कृति निर्माण गर्नुभएको छ जुन सम्पूर्ण फर्ममा व्याप्त छ।
+      उच्चस्तरीय कानुनी प्रतिनिधित्व खोज्ने जो कोहीलाई म आर्ना ल र यसको उत्कृष्ट टोलीको हृदयदेखि सिफारिस गर्छु।`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "नवीन रेड्डी",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“कर्मचारी सम्झौतादेखि व्यावसायिक सम्झौताको मस्यौदासम्म मेरा सबै कानुनी आवश्यकताहरूमा आर्ना लले मलाई साथ दिएको छ।”",
+      fullTestimonial: `कर्मचारी सम्झौतादेखि व्यावसायिक सम्झौताको मस्यौदासम्म मेरा सबै कानुनी आवश्यकताहरूमा आर्ना लले मलाई साथ दिएको छ। व्यवसायसम्बन्धी सबै समस्याहरू उहाँहरूले सजिलै र सूक्ष्म ध्यान दिएर समाधान गर्नुभयो। मेरा सबै कानुनी आवश्यकताका लागि म उहाँहरूकहाँ नै जान्छु।`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "आशिका अब्राहम",
+      post: "संस्थापक",
+      desingnation: "Mammamiya",
+      desc: "“ आर्ना लमा श्रेयस र कमला र उहाँहरूको टोलीसँग काम गर्दा मलाई निकै रमाइलो लाग्यो - मुख्यतः किनभने उहाँहरूको कानुनी राय सधैं विवेक, दृष्टिकोण र व्यावसायिक, सामाजिक तथा राजनीतिक सन्दर्भसँग सन्तुलित हुन्छ।”",
+      fullTestimonial: `आर्ना लमा श्रेयस र कमला र उहाँहरूको टोलीसँग काम गर्दा मलाई निकै रमाइलो लाग्यो - मुख्यतः किनभने उहाँहरूको कानुनी राय सधैं विवेक, दृष्टिकोण र व्यावसायिक, सामाजिक तथा राजनीतिक सन्दर्भसँग सन्तुलित हुन्छ।
+      न्यायप्रतिको उहाँहरूको भित्री आह्वानले उहाँहरूको अभ्यासलाई बलियो बनाउँछ, र यो सकेसम्म चाँडो कानुनी समाधान र सम्झौता खोज्ने उहाँहरूको प्रतिबद्धतामा स्पष्ट देखिन्छ।`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "मुकेश शाह",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ अनुभव असाधारणभन्दा कम थिएन। श्री जयसिंह र उहाँको टोलीले उत्कृष्ट व्यावसायिकता, विशेषज्ञता र समर्पण देखाउनुभयो।”",
+      fullTestimonial: `नोभालाइट लिमिटेडमा हामीले धेरै जटिल कानुनी विषयहरूमा आर्ना ल, विशेषगरी श्री श्रेयस जयसिंहसँग काम गर्ने अवसर पायौं। अनुभव असाधारणभन्दा कम थिएन। श्री जयसिंह र उहाँको टोलीले उत्कृष्ट व्यावसायिकता, विशेषज्ञता र समर्पण देखाउनुभयो।
+        आर्ना ललाई साँच्चै छुट्टै बनाउने कुरा कानुनी सेवाप्रतिको उहाँहरूको समग्र दृष्टिकोण हो। उहाँहरूले कानुनी औपचारिकताहरूमा सटीकताका साथ मार्गदर्शन मात्र गर्नुहुन्न, हाम्रो व्यावसायिक शैलीसँग पूर्ण रूपमा मेल खाने बहुमूल्य सल्लाह र परामर्श पनि दिनुहुन्छ। हाम्रा अनौठा आवश्यकताहरू बुझेर सोहीअनुसार सेवा मिलाउने उहाँहरूको क्षमताले ठूलो फरक ल्यायो।
+        श्री जयसिंह र आर्ना लको सम्पूर्ण टोलीको सहयोग र अन्तर्दृष्टिका लागि हामी अत्यन्तै आभारी छौं। उहाँहरू कानुनी सल्लाहकार मात्र होइन; हाम्रो व्यावसायिक यात्राका साँचा साझेदार हुनुहुन्छ।
+        आर्ना ल, उत्कृष्टताप्रतिको तपाईंहरूको अटल प्रतिबद्धताका लागि धन्यवाद। भविष्यमा पनि हाम्रो सहकार्य जारी राख्न हामी उत्सुक छौं।`,
+    },
+    {
+      imageUrl: "",
+      name: "प्रणव नाहर",
+      post: "उद्यमी",
+      desingnation: "",
+      desc: "“उहाँहरूको ग्राहक सेवा र कानुनी विशेषज्ञता अत्यन्त व्यावसायिक थियो। उहाँहरूसँग काम गर्न पाउनु खुसीको कुरा थियो।”",
+      fullTestimonial: `मञ्जुश्री र आर्ना लको टोलीलाई हाम्रो रियल इस्टेट फिनटेक व्यवसायका लागि सबैभन्दा उपयुक्त र नियामक मापदण्डअनुरूपको संरचना खोज्ने जिम्मेवारी दिइएको थियो। उहाँहरूले स्पष्टता र विस्तृत रूपमा जिम्मेवारी पूरा गर्नुभयो। हामीलाई प्रभावित पारेको कुरा के थियो भने हाम्रा धेरै शङ्का र प्रश्नहरू थिए जसमा हामी बारम्बार अडिरह्यौं, र उहाँहरूले धैर्यपूर्वक हामीले मागेका हरेक विवरणमा काम गर्नुभयो। उहाँहरूको ग्राहक सेवा र कानुनी विशेषज्ञता अत्यन्त व्यावसायिक थियो। उहाँहरूसँग काम गर्न पाउनु खुसीको कुरा थियो।`,
+    },
+    {
+      imageUrl: "",
+      name: "पवन जैन",
+      post: "उपाध्यक्ष",
+      desingnation: "वित्त",
+      desc: "“ उहाँहरूले कामप्रति उच्च स्तरको प्रतिबद्धता देखाउनुभयो र समयसीमा तथा अपेक्षाहरूको सम्मान गर्नुभयो।”",
+      fullTestimonial: `सुश्री कमला र उहाँको सम्पूर्ण टोली आफ्नो कार्यशैलीमा अत्यन्त व्यावसायिक छ र सधैं प्रतिक्रियाका लागि खुला रहन्छ। उहाँहरूले कामप्रति उच्च स्तरको प्रतिबद्धता देखाउनुभयो र समयसीमा तथा अपेक्षाहरूको सम्मान गर्नुभयो। उहाँहरूसँग काम गर्न पाउनु साँच्चै खुसीको कुरा थियो र भविष्यमा पनि उहाँहरूसँग काम गर्न हामी उत्सुक छौं।`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "हाम्रो विरासत",
+    legacyHeadline1: "नौ दशकभन्दा बढीको प्रतिबद्धता र सेवामा आधारित",
+    legacyPara1:
+      "विभिन्न क्षेत्र, उद्योग र अन्तर्राष्ट्रिय सीमापार, प्राकृतिक कानुन, न्याय र करुणाका हाम्रा सिद्धान्तहरूमा सम्झौता नगरी हाम्रा ग्राहकहरूको सर्वोत्तम हितको प्रतिनिधित्व गर्न हाम्रा कानुनी सेवा र समाधानहरू विशेष रूपमा तयार पारिन्छन्",
+    legacyPara2:
+      "हामी स्वदेशी, विदेशी र प्रवासी ग्राहकहरूलाई विभिन्न विषयमा सल्लाह दिन्छौं। नियामक, वित्तीय र कानुनी जोखिम घटाउनेदेखि राष्ट्रिय र अन्तर्राष्ट्रिय कानुनका अत्यन्त विशिष्ट क्षेत्रहरूमा मार्गदर्शन गर्नेसम्म, हामी अटल इमानदारीका साथ सल्लाह दिन्छौं।",
+  },
+
+  ourServicesTitle: {
+    ourServices: "हाम्रा सेवाहरू",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "हाम्रो फर्म",
+  },
+
+  disputes: {
+    disputesTitle: "हामीले समाधान गर्ने विवादहरू",
+  },
+
+  disputesDetails: [
+    {
+      name: "व्यावसायिक मुद्दा",
+    },
+    {
+      name: "मध्यस्थता",
+    },
+    {
+      name: "अन्तर्राष्ट्रिय मध्यस्थता",
+    },
+    {
+      name: "मेलमिलाप",
+    },
+    {
+      name: "निर्माणसम्बन्धी विवाद",
+    },
+    {
+      name: "घरजग्गा विवाद",
+    },
+    {
+      name: "शेयरधनी विवाद",
+    },
+    {
+      name: "सुनुवाइ र वकालत",
+    },
+    {
+      name: "कर्पोरेट विवाद",
+    },
+    {
+      name: "पुनर्संरचना र दामासाही",
+    },
+    {
+      name: "नियामक विवाद",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "अङ्कमा हाम्रो उपलब्धि",
+    yearsOfLegacy: "हाम्रो विरासतका वर्षहरू",
+    clientsServed: "सेवा पाएका ग्राहकहरू",
+    disputesResolved: "समाधान गरिएका विवादहरू",
+  },
+
+  awards: {
+    awardsTitle: "पुरस्कार र सम्मान",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "हाम्रो गतिशील टोलीले विविध अभ्यास क्षेत्रहरूमा अनुभवी परामर्श प्रदान गर्छ",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "वर्षौंदेखि आर्ना लले एक भरपर्दो सल्लाहकारका रूपमा विशिष्ट प्रतिष्ठा आर्जन गरेको छ। हामीले बनाएका दीर्घकालीन सम्बन्धहरू कानुनी परिदृश्यको हाम्रो गहिरो बुझाइ, हाम्रो स्रोतपूर्णता र व्यावहारिक, नतिजामुखी परामर्श दिन सक्ने हाम्रो क्षमताका प्रमाण हुन्।",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "हामी एकअर्काका पूरक कानुनी सेवाहरूको विस्तृत दायरा प्रदान गर्छौं, जसले हामीलाई हरेक विषयमा समग्र र बहुविषयक दृष्टिकोण अपनाउन सक्षम बनाउँछ। हाम्रा मुख्य अभ्यास क्षेत्रहरूमा कर्पोरेट, व्यावसायिक र नियामक परामर्श, इक्विटी र ऋण वित्त, गाभिने र प्राप्ति, र विवाद समाधान पर्छन्।",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "हाम्रो प्रगतिशील अभ्यासले सबै उद्योगका ग्राहकहरूलाई विशेषज्ञ सहयोग प्रदान गर्छ",
+  },
+  industrieslistTitle: {
+    industrieslist: "हामीले सेवा दिने उद्योगहरू",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "हाम्रा विशेषज्ञहरूलाई सम्पर्क गर्नुहोस्",
+  },
+  network: {
+    networkTitle: "विश्वभरका वकिलहरूको सञ्जाल",
+    interact: "नक्सा प्रयोग गर्न क्लिक गर्नुहोस्",
+    loadingMap: "नक्सा लोड हुँदैछ...",
+  },
+
+  translationNotice: {
+    notAvailable: "यो पृष्ठ अझै तपाईंको भाषामा उपलब्ध छैन, त्यसैले यसलाई अङ्ग्रेजीमा देखाइएको छ।",
+  },
+
+  // Careers page
+  careers: {
+    title: "आरना लमा करियर",
+    headline: "अन्तर्राष्ट्रिय दृष्टिकोण भएको गतिशील कानुनी अभ्यासको हिस्सा बन्नुहोस्",
+    intro:
+      "आरना ल भारतमा आधारित अन्तर्राष्ट्रिय कानुनी सल्लाहकार संस्था हो, जसको जरा प्राकृतिक कानुन, न्याय र करुणाका धार्मिक सिद्धान्तमा छ। हाम्रा विस्तृत अभ्यास क्षेत्रहरूमार्फत हामी राष्ट्र-राज्य, अन्तर्राष्ट्रिय संगठन, बहुराष्ट्रिय कम्पनी, विशिष्ट स्टार्ट-अप र व्यक्तिगत हितसम्म फैलिएका ग्राहकहरूलाई प्रगतिशील कानुनी परामर्श दिन्छौं।",
+    recruitmentTitle: "कानुनी तथा प्रशासनिक पेसाकर्मीहरूको भर्ना",
+    recruitment:
+      "अन्तर्राष्ट्रिय अनुभव, उल्लेखनीय शैक्षिक उपलब्धि, समकक्षी-समीक्षित जर्नलमा प्रकाशन वा दक्ष कानुनी सीपका अन्य प्रमाण भएका पेसाकर्मीहरूबाट सुन्न हामी सधैं इच्छुक छौं। हामी नवीन र सक्षम प्रशासनिक तथा सहयोगी टोली सदस्यहरूमा पनि रुचि राख्छौं। यदि तपाईं सेवा भाव र कानुनमा उत्कृष्टताप्रति लगाव भएको टोली खेलाडी हुनुहुन्छ भने कृपया सम्पर्क गर्नुहोस्।",
+    openingsTitle: "हालका रिक्त पदहरू",
+    internshipsTitle: "इन्टर्नसिप",
+    applyNow: "अहिले आवेदन दिनुहोस्",
+    noContent: "कुनै सामग्री उपलब्ध छैन।",
+    internships: [
+      "आरनामा हामी समृद्ध र चुनौतीपूर्ण इन्टर्नसिप अनुभव प्रदान गर्छौं। हामी बलियो शैक्षिक अभिलेख मात्र हेर्दैनौं; हामी प्रेरित, सिक्न उत्सुक र संस्थाका मूल्यहरू साझा गर्ने व्यक्तिहरू खोज्छौं। हाम्रा इन्टर्नहरूको विविधता र देशभरका विद्यार्थीहरूलाई दिएका अवसरहरूमा हामी गर्व गर्छौं।",
+      "इन्टर्नसिपको अवधि {minWeeks, number}-{maxWeeks, number} हप्ता हो। इन्टर्नहरूले हाम्रो विवाद, दामासाही कानुन तथा कर्पोरेट सल्लाहकार टोलीहरूसँग काम गर्ने अवसर पाउँछन्। इन्टर्नसिप अवधिमा इन्टर्नले हाम्रा अभ्यास क्षेत्रका विभिन्न पक्षहरूको व्यावहारिक बुझाइ पाउने अनौठो अवसर पाउँछन्। प्रत्येक इन्टर्नलाई एक सुपरिवेक्षक तोकिन्छ; तैपनि समग्र अनुभवका लागि उनीहरूले सबै टोलीसँग काम गर्नुपर्ने अपेक्षा गरिन्छ।",
+      "हाम्रा इन्टर्नहरूले हाम्रा अभ्यास क्षेत्रमा कानुनका पछिल्ला विकासबारे जानकार हुनुपर्ने अपेक्षा गरिन्छ। प्रत्येक इन्टर्नलाई अनुसन्धानका लागि एउटा विषय दिइन्छ र अवधिको अन्त्यमा साझेदारहरू र सबै एसोसिएटहरूसमक्ष प्रस्तुति दिनुपर्ने अपेक्षा गरिन्छ।",
+      "हामी बीए एलएलबी (अनर्स) कार्यक्रम र 3 वर्षे एलएलबी कार्यक्रमको पहिलो र दोस्रो वर्षका विद्यार्थीहरूबाट इन्टर्नसिप आवेदन स्वीकार गर्दैनौं।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "पहिलो नाम",
+    lastName: "थर",
+    name: "नाम",
+    email: "इमेल",
+    phone: "फोन नम्बर",
+    phonePlaceholder: "फोन नम्बर लेख्नुहोस्",
+    mobile: "मोबाइल",
+    mobilePlaceholder: "{digits, number} अंकको मोबाइल नम्बर लेख्नुहोस्",
+    college: "कलेज",
+    role: "भूमिका छान्नुहोस्",
+    selectPlaceholder: "कृपया छान्नुहोस्",
+    roleOption: "{role, select, Legal {कानुनी} Administration {प्रशासन} Finance {वित्त} other {{role}}}",
+    experience: "योग्यतापछिको अनुभवका वर्षहरू",
+    experiencePlaceholder: "अनुभवका वर्षहरू लेख्नुहोस्",
+    inquiry: "तपाईंको सोधपुछको विवरण",
+    resume: "फाइल छान्नुहोस्",
+    resumeChange: "फाइल बदल्न क्लिक गर्नुहोस्",
+    resumeUpload: "अपलोड गर्न क्लिक गर्नुहोस् वा तानेर छोड्नुहोस्",
+    resumeTypes: "PDF, DOCX (अधिकतम {maxMb, number} MB)",
+    interests: "आफ्ना रुचिहरू छान्नुहोस्",
+    interestOption: "{interest, select, corporateAdvisory {कर्पोरेट सल्लाहकार} hrCompliance {एचआर अनुपालन} other {अन्य}}",
+    detailsTitle: "आफ्नो विवरण लेख्नुहोस्",
+    close: "बन्द गर्नुहोस्",
+    submit: "पेस गर्नुहोस्",
+    submitting: "पेस हुँदैछ...",
+    subscribe: "सदस्यता लिनुहोस्",
+    loading: "लोड हुँदैछ...",
+    applicationSent: "आवेदन सफलतापूर्वक पेस भयो!",
+    contactSent: "फारम सफलतापूर्वक पेस भयो!",
+    subscribed: "न्युजलेटरको सदस्यता सफलतापूर्वक लिइयो!",
+    errors: {
+      heading: "{count, plural, one {कृपया तलको त्रुटि सच्याउनुहोस्:} other {कृपया तलका त्रुटिहरू सच्याउनुहोस्:}}",
+      firstNameRequired: "पहिलो नाम आवश्यक छ",
+      lastNameRequired: "थर आवश्यक छ",
+      nameRequired: "नाम आवश्यक छ",
+      emailRequired: "इमेल आवश्यक छ",
+      emailInvalid: "कृपया मान्य इमेल ठेगाना लेख्नुहोस्",
+      phoneRequired: "फोन नम्बर आवश्यक छ",
+      phoneTooShort: "फोन नम्बर कम्तीमा {min, plural, one {# अंकको} other {# अंकको}} हुनुपर्छ",
+      phoneTooLong: "फोन नम्बर {max, plural, one {# अंकभन्दा} other {# अंकभन्दा}} बढी हुन सक्दैन",
+      mobileRequired: "मोबाइल नम्बर आवश्यक छ",
+      mobileTooShort: "मोबाइल नम्बर कम्तीमा {min, plural, one {# अंकको} other {# अंकको}} हुनुपर्छ",
+      mobileTooLong: "मोबाइल नम्बर {max, plural, one {# अंकभन्दा} other {# अंकभन्दा}} बढी हुन सक्दैन",
+      collegeRequired: "कलेजको नाम आवश्यक छ",
+      collegeTooShort: "कलेजको नाम कम्तीमा {min, plural, one {# अक्षरको} other {# अक्षरको}} हुनुपर्छ",
+      roleRequired: "कृपया एउटा भूमिका छान्नुहोस्",
+      resumeRequired: "कृपया आफ्नो बायोडाटा अपलोड गर्नुहोस्",
+      fileTooLarge: "फाइलको आकार {maxMb, number} MB भन्दा कम हुनुपर्छ",
+      fileType: "PDF र DOCX फाइल मात्र स्वीकार्य छन्",
+      interestsRequired: "कृपया कम्तीमा एउटा रुचि छान्नुहोस्",
+      messageRequired: "सन्देश आवश्यक छ",
+      fillAll: "कृपया सबै फिल्ड भर्नुहोस्",
+      emailExists: "यो इमेल पहिले नै छ",
+      phoneExists: "यो फोन नम्बर पहिले नै छ",
+      emailRegistered: "यो इमेल ठेगाना पहिले नै दर्ता भइसकेको छ। कृपया अर्को इमेल ठेगाना प्रयोग गर्नुहोस्।",
+      mobileRegistered: "यो मोबाइल नम्बर पहिले नै दर्ता भइसकेको छ। कृपया अर्को मोबाइल नम्बर प्रयोग गर्नुहोस्।",
+      auth: "प्रमाणीकरण त्रुटि — प्रशासकलाई सम्पर्क गर्नुहोस्।",
+      failed: "पेस हुन सकेन। कृपया फेरि प्रयास गर्नुहोस्।",
+      timeout: "अनुरोधको समय सकियो। कृपया फेरि प्रयास गर्नुहोस्।",
+      unknown: "त्रुटि भयो। कृपया फेरि प्रयास गर्नुहोस्।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "खोज",
+    placeholder: "अन्तर्दृष्टि, व्यक्ति, अभ्यास क्षेत्रहरू खोज्नुहोस्…",
+    submit: "खोज्नुहोस्",
+    open: "खोज खोल्नुहोस्",
+    close: "खोज बन्द गर्नुहोस्",
+    prompt: "साइटमा खोज्न कुनै शब्द वा वाक्यांश लेख्नुहोस्।",
+    resultsFor: "“{query}” का लागि {count, plural, one {# नतिजा} other {# नतिजाहरू}}",
+    noResults: "“{query}” का लागि कुनै नतिजा भेटिएन। हिज्जे जाँच्नुहोस् वा कम शब्दहरूमा खोज्नुहोस्।",
+    seeAll: "सबै नतिजा हेर्नुहोस्",
+    all: "सबै",
+    type: "{type, select, insight {अन्तर्दृष्टि} publication {प्रकाशनहरू} podcast {पडकास्टहरू} team {व्यक्तिहरू} practice-area {अभ्यास क्षेत्रहरू} industry {उद्योगहरू} job {करियर} other {{type}}}",
+    practiceArea: "अभ्यास क्षेत्र",
+    industry: "उद्योग",
+    year: "वर्ष",
+    language: "भाषा",
+    clearFilters: "फिल्टर हटाउनुहोस्",
+    previous: "अघिल्लो",
+    next: "अर्को",
+    pageOf: "पृष्ठ {page, number} / {pages, number}",
+    recent: "हालैका खोजहरू",
+    clearRecent: "खाली गर्नुहोस्",
+    keyboardHint: "↑ ↓ ले छान्नुहोस्, Enter ले खोल्नुहोस्, Esc ले बन्द गर्नुहोस्",
+    error: "खोज अहिले उपलब्ध छैन। कृपया फेरि प्रयास गर्नुहोस्।",
+    filterPlaceholder: "खोज्नुहोस्...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "थप पढ्नुहोस्",
+    loadMore: "थप देखाउनुहोस्",
+    viewAll: "सबै हेर्नुहोस्",
+    loading: "लोड हुँदैछ...",
+    loadingDots: "लोड हुँदैछ",
+    noPosts: "कुनै सम्बन्धित पोस्ट भेटिएन",
+    noMorePosts: "थप विवरण उपलब्ध छैन",
+    published: "प्रकाशित: {date}",
+    archives: "संग्रह",
+    quickLinks: "द्रुत लिङ्कहरू:",
+    contactPartner: "साझेदारलाई सम्पर्क गर्नुहोस्",
+    pageLoadError: "यो पृष्ठ लोड हुन सकेन। कृपया केही बेरपछि फेरि प्रयास गर्नुहोस्।",
+    error: "त्रुटि: {message}",
+    componentMissing: "कम्पोनेन्ट भेटिएन",
+    scrollToTop: "माथि जानुहोस्",
+    openMenu: "मुख्य मेनु खोल्नुहोस्",
+    faqTitle: "बारम्बार सोधिने प्रश्नहरू",
+  },
+
+  home: {
+    tagline: "ग्राहक-केन्द्रित समस्या समाधान",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "लेख हेर्नुहोस्",
+    backToInsights: "अन्तर्दृष्टिमा फर्कनुहोस्",
+    backToNews: "आरना समाचारमा फर्कनुहोस्",
+    backToPublications: "प्रकाशनहरूमा फर्कनुहोस्",
+    noResults: "कुनै नतिजा भेटिएन",
+    noResultsFor: "\"{query}\" का लागि कुनै नतिजा भेटिएन",
+  },
+
+  podcasts: {
+    listenNow: "अहिले सुन्नुहोस्",
+    thumbnailAlt: "पोडकास्ट थम्बनेल",
+    noImage: "कुनै मुख्य तस्बिर उपलब्ध छैन",
+    previous: "← अघिल्लो पोडकास्ट",
+    next: "अर्को पोडकास्ट →",
+    videoCover: "भिडियो कभर",
+    videoUnsupported: "तपाईंको ब्राउजरले भिडियो ट्यागलाई समर्थन गर्दैन।",
+    play: "चलाउनुहोस्",
+    pause: "रोक्नुहोस्",
+  },
+
+  team: {
+    photoAlt: "टोली सदस्य",
+    noDesignation: "पद उपलब्ध छैन",
+    readMore: "थप पढ्नुहोस्",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ग्राहकहरूका {br}प्रतिक्रियाहरू",
+  },
+
+  contact: {
+    getInTouch: "सम्पर्कमा रहनुहोस्",
+    phone: "फोन",
+    directions: "बाटो",
+    ourLocations: "हाम्रा कार्यालयहरू",
+    networkMap: "हाम्रो सञ्जालको नक्सा",
+  },
+
+  notFound: {
+    message: "तपाईंले खोजेको पृष्ठ हामीले भेट्टाउन सकेनौं।",
+    home: "गृहपृष्ठमा फर्कनुहोस्",
+    imageAlt: "404 पृष्ठ",
+  },
+
+  footer: {
+    subscribe: "समाचारपत्रको सदस्यता लिनुहोस्",
+    copyright: "© {year} आरना ल। सर्वाधिकार सुरक्षित",
+  },
+
+  legal: {
+    privacyPolicy: "गोपनीयता नीति",
+    termsOfUse: "प्रयोगका सर्तहरू",
+    disclaimer: "अस्वीकरण",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "स्वीकार गर्नुहोस्",
+    decline: "अस्वीकार गर्नुहोस्",
+    intro:
+      "बार काउन्सिल अफ इन्डियाले अधिवक्ताहरूलाई कुनै पनि रूप वा तरिकाले ग्राहक माग्ने वा विज्ञापन गर्ने अनुमति दिँदैन। यो वेबसाइट, {site}, प्रयोग गरेर तपाईं निम्न कुराहरू स्वीकार र पुष्टि गर्नुहुन्छ:",
+    points: [
+      "फर्म, यसका सदस्यहरू र अभ्यास क्षेत्रहरूबारे जानकारी लिन तपाईं आफ्नै इच्छाले आरना लको वेबसाइट हेर्दै हुनुहुन्छ।",
+      "अधिवक्ता-ग्राहक सम्बन्ध स्थापना गर्न आरना ल वा यसका कुनै सदस्यबाट कुनै प्रकारको अनुरोध, विज्ञापन, निमन्त्रणा वा प्रलोभन दिइएको छैन।",
+      "यस वेबसाइटको सामग्री जानकारीका लागि मात्र हो र यसलाई अनुरोध, विज्ञापन वा कानुनी सल्लाह मानिनु हुँदैन।",
+      "यस वेबसाइटबाट डाउनलोड गरिएका कुनै पनि सामग्री, जानकारी वा कागजात पूर्ण रूपमा तपाईंको विवेकमा निर्भर छन् र तिनले तपाईं र आरना लबीच कुनै अधिवक्ता-ग्राहक सम्बन्ध सिर्जना गर्दैनन्।",
+      "यस वेबसाइटमा प्रकाशित जानकारी वा सामग्रीको आधारमा तपाईंले गरेको कुनै पनि कार्यको परिणामका लागि फर्म जिम्मेवार छैन। तपाईंलाई कानुनी सहायता चाहिएमा, स्वतन्त्र पेशेवर सल्लाह लिनुपर्छ।",
+      "यस वेबसाइटमा दिइएको जानकारीले पछिल्ला कानुनी परिवर्तनहरू नदेखाउन सक्छ, र यसलाई कुनै पनि विषयमा आरना लको प्रतिबद्धता वा राय मानिनु हुँदैन।",
+      "यस वेबसाइटमा रहेका तेस्रो पक्षका वेबसाइटका लिङ्कहरू सुविधाका लागि मात्र दिइएका हुन् र तिनले समर्थन, सिफारिस वा सम्बद्धता जनाउँदैनन्। त्यस्ता तेस्रो पक्षका साइटहरूको सामग्री वा गोपनीयता अभ्यासका लागि आरना ल जिम्मेवार छैन।",
+      "तपाईंले यस वेबसाइटमार्फत कुनै पनि गोप्य, विशेषाधिकारप्राप्त, व्यावसायिक वा संवेदनशील जानकारी पठाउनु हुँदैन। औपचारिक सम्झौताअघि यस प्लेटफर्ममार्फत साझा गरिएको जानकारीलाई गोप्य मानिने छैन।",
+      "पाठ, तस्बिर, ग्राफिक्स र डिजाइनसहित यस वेबसाइटका सबै सामग्री आरना लको बौद्धिक सम्पत्ति हुन् र पूर्व लिखित सहमतिबिना तिनको प्रतिलिपि, पुनरुत्पादन वा वितरण गर्न पाइँदैन।",
+      "प्रयोगकर्ताको अनुभव सुधार गर्न यो वेबसाइटले कुकीहरू प्रयोग गर्छ। यो साइट प्रयोग गरिरहँदा, हाम्रो गोपनीयता नीतिमा उल्लेख गरिए अनुसार कुकीहरूको प्रयोगमा तपाईं सहमति दिनुहुन्छ। हामी तपाईंको डेटा कसरी सङ्कलन, प्रयोग र सुरक्षित गर्छौं भनी बुझ्न कृपया हाम्रो {privacyPolicy} र {termsOfUse} पढ्नुहोस्।",
+      "यो वेबसाइट र यसका सबै सामग्री कुनै पनि स्पष्ट वा निहित वारेन्टीबिना “जस्तो छ त्यस्तै” आधारमा उपलब्ध गराइन्छ। यस वेबसाइटको जानकारीमा भर पर्दा हुने कुनै पनि हानिका लागि आरना लले सबै दायित्व अस्वीकार गर्छ।",
+      "यस वेबसाइटको प्रयोगबाट उत्पन्न हुने कुनै पनि विवाद भारतको कानुनद्वारा सञ्चालित हुनेछ र भारतका सक्षम अदालतहरूको एकल क्षेत्राधिकारअन्तर्गत रहनेछ।",
+    ],
+    agree: "“म सहमत छु”",
+    closing:
+      "{agree} मा क्लिक गरेर वा यो वेबसाइट प्रयोग गरिरहेर, तपाईंले यस अस्वीकरणका सर्तहरू पढ्नुभएको, बुझ्नुभएको र स्वीकार गर्नुभएको स्वीकार गर्नुहुन्छ।",
+  },
+
+  preview: {
+    label: "पूर्वावलोकन",
+    message: "तपाईं WordPress को अप्रकाशित सामग्री हेर्दै हुनुहुन्छ।",
+    exit: "पूर्वावलोकनबाट बाहिर निस्कनुहोस्",
+  },
+};
+export default ne;
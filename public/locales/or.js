@@ -0,0 +1,533 @@
+const or = {
+  menu: {
+    about: "ଆମ ବିଷୟରେ",
+    thefirm: "ଫାର୍ମ",
+    testimonials: "ପ୍ରଶଂସାପତ୍ର",
+    practiceareas: "ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର",
+    industries: "ଶିଳ୍ପ",
+    newsinsights: "ସମ୍ବାଦ ଓ ଅନ୍ତର୍ଦୃଷ୍ଟି",
+    insights: "ଅନ୍ତର୍ଦୃଷ୍ଟି",
+    aarnanews: "ଆର୍ନା ସମ୍ବାଦ",
+    publications: "ପ୍ରକାଶନ",
+    podcasts: "ପଡକାଷ୍ଟ",
+    careers: "କ୍ୟାରିୟର",
+    contactus: "ଆମ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର",
+  },
+  industriesTitle: {
+    industries: "ଶିଳ୍ପ",
+  },
+  insightsTitle: {
+    insights: "ଅନ୍ତର୍ଦୃଷ୍ଟି",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "ଆର୍ନା ସମ୍ବାଦ",
+  },
+  publicationsTitle: {
+    publications: "ପ୍ରକାଶନ",
+  },
+  podcastsTitle: {
+    podcasts: "ପଡକାଷ୍ଟ",
+  },
+  careersTitle: {
+    careers: "କ୍ୟାରିୟର",
+  },
+  contactUsTitle: {
+    contactUs: "ଆମ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "ଆମ ବିଷୟରେ",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "ଆମେ କ'ଣ କରୁ",
+    headline: "ଆମେ ବିଶ୍ୱସ୍ତରୀୟ ଦୃଷ୍ଟିକୋଣ ଥିବା ଆଇନଜୀବୀଙ୍କ ଏକ ପୁରସ୍କାରପ୍ରାପ୍ତ ଦଳ",
+    para1:
+      "ଗୁଣବତ୍ତାଭିତ୍ତିକ ଓ ମୂଲ୍ୟଭିତ୍ତିକ ଆଇନଗତ ସେବା ପ୍ରଦାନ କରିବାର ଦୃଢ଼ ପ୍ରତିବଦ୍ଧତା ସହ ଆର୍ନା ଲ' ପ୍ରତିଷ୍ଠିତ ହୋଇଥିଲା, ଯାହାଦ୍ୱାରା ଆମେ ଯାହାଙ୍କର ସେବା କରୁ ସେମାନଙ୍କ ସହ ଗଭୀର ଓ ସ୍ଥାୟୀ ସମ୍ପର୍କ ଗଢ଼ିଉଠେ। ଆମେ ଆମ ଗ୍ରାହକଙ୍କ ବ୍ୟବସାୟ ଓ ବାଣିଜ୍ୟିକ ଲକ୍ଷ୍ୟ ବୁଝିବାରେ ସମୟ ଓ ପରିଶ୍ରମ ଦେଉ, ଯାହା ଆମକୁ ପ୍ରସଙ୍ଗ ଅନୁଯାୟୀ ପ୍ରାସଙ୍ଗିକ ଏବଂ ରଣନୀତିକ ଭାବେ ଦୃଢ଼ ସମାଧାନ ପ୍ରସ୍ତୁତ କରିବାରେ ସକ୍ଷମ କରେ।",
+    para2:
+      "ଆମର ଦୃଷ୍ଟିକୋଣ ଅଭିନବ ଓ ବ୍ୟବସାୟ-ସଚେତନ, ଯାହାର ମୂଳଦୁଆ ହେଉଛି ଅଭିଜ୍ଞ ଆଇନଜୀବୀଙ୍କ ଏକ ଦଳ ଯେଉଁମାନେ ବାଣିଜ୍ୟିକ ଭାବେ ବିଚକ୍ଷଣ, ସିଧାସଳଖ ଜଡ଼ିତ ଏବଂ ସମାଧାନମୁଖୀ।",
+  },
+
+  ourLegacy: {
+    legacyTitle: "ଆମର ଐତିହ୍ୟ",
+    legacyHeadline:
+      "ବିଭିନ୍ନ କ୍ଷେତ୍ର, ଶିଳ୍ପ ଓ ଆନ୍ତର୍ଜାତୀୟ ସୀମା ପାର କରି, ଆମର ଆଇନଗତ ସେବା ଓ ସମାଧାନ ସଚ୍ଚୋଟତା ଓ ଗୋପନୀୟତାର ସର୍ବୋଚ୍ଚ ମାନଦଣ୍ଡ ବଜାୟ ରଖେ",
+    legacyPara:
+      "ସର୍ବୋପରି, ଆମର ପୁରସ୍କାରପ୍ରାପ୍ତ ପ୍ରାକ୍ଟିସ ପ୍ରତ୍ୟେକ ଗ୍ରାହକଙ୍କ ସହ ଗଢ଼ିଥିବା ସ୍ଥାୟୀ ସମ୍ପର୍କ ଉପରେ ପ୍ରତିଷ୍ଠିତ। ଆମେ ଦେଉଥିବା ଆଇନଗତ ଓ ବାଣିଜ୍ୟିକ ପରାମର୍ଶ ଆମ ଗ୍ରାହକଙ୍କ ବ୍ୟବସାୟିକ ସ୍ୱାର୍ଥର ଏହି ସଚେତନ ବୁଝାମଣାକୁ ପ୍ରତିଫଳିତ କରେ।",
+  },
+
+  founderMessage: {
+    founderTitle: "ଆମ ପ୍ରତିଷ୍ଠାତାଙ୍କ ବାର୍ତ୍ତା",
+    founderPara:
+      "ଛୋଟ, ମଧ୍ୟମ ଓ ବଡ଼ ସମସ୍ତ ପ୍ରକାର ଶିଳ୍ପର ଗ୍ରାହକଙ୍କ ସେବା କରିବାର ଏବଂ ଭାରତ ଗଣରାଜ୍ୟ ପକ୍ଷରୁ ଓକିଲାତି କରିବାର ସୌଭାଗ୍ୟ ପାଇଁ ଆମେ ଅତ୍ୟନ୍ତ କୃତଜ୍ଞ। ପୂର୍ବ ପିଢ଼ିର ଆଶୀର୍ବାଦ ଓ ସେମାନଙ୍କ ଉଚ୍ଚ କାନ୍ଧକୁ ଆମେ ବିନମ୍ରତାର ସହ ସ୍ୱୀକାର କରୁ। ସେମାନେ ଦେଇଥିବା ଗଭୀର ମୂଲ୍ୟବୋଧ ଆମକୁ ଏପରି ଏକ ମଞ୍ଚ ଗଢ଼ିବାକୁ ପ୍ରେରଣା ଦେଇଚାଲିଛି ଯାହା ମିଳିତ ଭାବେ ଆମର ସର୍ବୋତ୍ତମ ରୂପକୁ ଉଜାଗର କରେ, ଯେତେବେଳେ ଆମେ ଆମ ଗ୍ରାହକଙ୍କ ସେବା କରିବା ଓ ନ୍ୟାୟର ଲକ୍ଷ୍ୟକୁ ଆଗକୁ ନେବାକୁ ଚେଷ୍ଟା କରୁ।",
+    founderName1: "କମଲା ନାଗାନନ୍ଦ",
+    founderDescription1: "ମ୍ୟାନେଜିଂ ପାର୍ଟନର",
+    founderName2: "ଶ୍ରେୟସ ଜୟସିଂହ",
+    founderDescription2: "ପ୍ରତିଷ୍ଠାତା ପାର୍ଟନର",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "ଜୟସିଂହ ଫାଉଣ୍ଡେସନ",
+    jayasimhaPara1:
+      "ସ୍ୱର୍ଗତ ବିଚାରପତି ଆର୍ ଜୟସିଂହ ବାବୁ (୧୯୪୨-୨୦୧୫)ଙ୍କ ସ୍ମୃତିରେ ପ୍ରତିଷ୍ଠିତ ଜୟସିଂହ ଫାଉଣ୍ଡେସନ ଏକ ଗୌରବମୟ ଐତିହ୍ୟକୁ ଆଗକୁ ନେଇଚାଲିଛି, ଯାହାର ମୂଳ ସେବାଭାବ ମାଧ୍ୟମରେ ଉତ୍କର୍ଷର ସାଧନାରେ ନିହିତ।",
+    jayasimhaPara2:
+      "ଏହି ଫାଉଣ୍ଡେସନ ସଚ୍ଚୋଟତା, ସାହସ ଓ ଅନୁଶାସନର ସେହି ମାର୍ଗଦର୍ଶକ ନୀତିକୁ ଧାରଣ କରେ, ଯାହାର ଉଦାହରଣ ଥିଲେ ବିଚାରପତି ଜୟସିଂହ ବାବୁ।",
+    jayasimhaPara3:
+      "ମାଡ୍ରାସ ହାଇକୋର୍ଟ ଏବଂ ତା' ପୂର୍ବରୁ କର୍ଣ୍ଣାଟକ ହାଇକୋର୍ଟର ବିଚାରପତି ଭାବେ ତାଙ୍କର ବିଶିଷ୍ଟ ନିଯୁକ୍ତି ସମୟରେ ବିଚାରପତି ଜୟସିଂହ ବାବୁ ସାମ୍ବିଧାନିକ ଆଇନ, କମ୍ପାନୀ ଓ ବାଣିଜ୍ୟିକ ଆଇନ ଏବଂ କର ବିଷୟରେ ବହୁଳ ଭାବେ ଉଦ୍ଧୃତ ରାୟ ଦେଇଥିଲେ। ଏହା ବ୍ୟତୀତ, ଘରୋଇ ଓ ଆନ୍ତର୍ଜାତୀୟ ବିବାଦରେ ମଧ୍ୟସ୍ଥ ଭାବେ ବିବାଦ ସମାଧାନ ପ୍ରତି ତାଙ୍କର ବିଚକ୍ଷଣ ଦୃଷ୍ଟିକୋଣକୁ ଅତି ସମ୍ମାନର ସହ ଦେଖାଯାଉଥିଲା।",
+    jayasimhaPara4:
+      "କର୍ଣ୍ଣାଟକୀ, ହିନ୍ଦୁସ୍ତାନୀ ଓ ପାଶ୍ଚାତ୍ୟ ଶାସ୍ତ୍ରୀୟ ସଙ୍ଗୀତର ସମଝଦାର ବିଚାରପତି ବାବୁ ଆଇନ କ୍ଷେତ୍ରରେ ଯୁବ ପ୍ରତିଭାଙ୍କୁ ଉତ୍ସାହିତ ଓ ସଶକ୍ତ କରିବାକୁ ଆଗ୍ରହୀ ଥିଲେ।",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "ଆପଣ ଆମ ଦଳରେ ଯୋଗ ଦେବାକୁ ଚାହିଁବେ କି?",
+    joinTeamPara:
+      "ଆମେ ଏକ ଅଭିନବ ସଂସ୍ଥା ଯାହା ପରସ୍ପରକୁ ବଢ଼ିବା ଓ ସମୃଦ୍ଧ ହେବାରେ ସକ୍ଷମ କରେ। ସଚ୍ଚୋଟତା, ଦକ୍ଷତା, ଦଳଗତ କାର୍ଯ୍ୟ ଓ ପରୋପକାର ଆମ ବୁଟିକ ପ୍ରାକ୍ଟିସର ମୂଳ ସ୍ତମ୍ଭ।",
+    joinTeamOpening: "ବର୍ତ୍ତମାନର ଖାଲି ପଦ ଦେଖନ୍ତୁ",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "ପାର୍ଟନର",
+    aboutPartnerPara:
+      "ଆମର ଦକ୍ଷ ଦଳର ବିଶେଷଜ୍ଞତା ଆମ ପ୍ରାକ୍ଟିସକୁ ଚିନ୍ତନଶୀଳ ନେତୃତ୍ୱ, ମାର୍ଗଦର୍ଶନ ଓ ଉତ୍କର୍ଷର ସାଧନାରେ ସ୍ଥିର ରଖେ...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "ପ୍ରଶଂସାପତ୍ର",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "କୁଣାଲ ଶାହ",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ ସନ୍ତୋଷଜନକ ଫଳାଫଳ ଦେବା ପାଇଁ ଦଳର କଠିନ ପରିଶ୍ରମ ଓ ପ୍ରତିବଦ୍ଧତାକୁ ଆମେ ଗଭୀର ଭାବେ ପ୍ରଶଂସା କରୁ।”",
+      fullTestimonial: `ଆମେ ଆନନ୍ଦର ସହ ଜଣାଉଛୁ ଯେ ଆର୍ନା ଲ' ଦେଇଥିବା ସେବାରେ ୱାନପେପର ସମ୍ପୂର୍ଣ୍ଣ ସନ୍ତୁଷ୍ଟ। ବିଧିଶା, ପୁନ୍ତି ଓ ସମଗ୍ର ଦଳ ଆମର ଆବଶ୍ୟକତା ପୂରଣ କରିବାରେ ଅସାଧାରଣ ଦକ୍ଷତା ଓ ନିଷ୍ଠା ଦେଖାଇଲେ। ସେମାନଙ୍କ ପ୍ରୟାସ ଓ ସମୟୋଚିତ ସହାୟତା ଆମ ମାମଲାରେ ଅନୁକୂଳ ଆଦେଶ ପାଇବାରେ ଗୁରୁତ୍ୱପୂର୍ଣ୍ଣ ଭୂମିକା ନେଇଥିଲା।
+        ସନ୍ତୋଷଜନକ ଫଳାଫଳ ଦେବା ପାଇଁ ଦଳର କଠିନ ପରିଶ୍ରମ ଓ ପ୍ରତିବଦ୍ଧତାକୁ ଆମେ ଗଭୀର ଭାବେ ପ୍ରଶଂସା କରୁ।
+        ଆପଣଙ୍କ ସହଯୋଗ ପାଇଁ ପୁଣି ଥରେ ଧନ୍ୟବାଦ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "ପଲ୍ଲବୀ ରାଓ ଓ ଅରୁଣ କିଜପଦାଥିଲ",
+      post: "ପ୍ରତିଷ୍ଠାତା",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ ବିଶ୍ୱବ୍ୟାପୀ ଖୋଜିବା ପରେ ଆମେ ଆର୍ନା ଲ'କୁ ପାଇଲୁ ଏବଂ ଆମେ ବହୁତ ଖୁସି ଯେ ପାଇଲୁ। ”",
+      fullTestimonial: `ଆମେ ଏପରି ଏକ ଲ' ଫାର୍ମ ଖୋଜୁଥିଲୁ ଯାହା ଆନ୍ତରିକ, ଦକ୍ଷ, ଶୀଘ୍ର ପ୍ରତିକ୍ରିୟା ଦେଉଥିବା ଏବଂ ଆମ ବ୍ୟବସାୟକୁ ବୁଝୁଥିବା ହେବ, ଏବଂ ଆର୍ନା ଲ' ଆମ ପାଇଁ ଏସବୁ ଏବଂ ତା'ଠାରୁ ଅଧିକ ହୋଇପାରିଛି। ବିଶ୍ୱବ୍ୟାପୀ ଖୋଜିବା ପରେ ଆମେ ଆର୍ନା ଲ'କୁ ପାଇଲୁ ଏବଂ ଆମେ ବହୁତ ଖୁସି ଯେ ପାଇଲୁ।`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "ଟୋନି ହେଲ୍ସ",
+      post: "ସିଇଓ",
+      desingnation: "OG Healthcare",
+      desc: "“ଆର୍ନା ଲ' ଆମର ନିର୍ଦ୍ଦିଷ୍ଟ ଆବଶ୍ୟକତାକୁ ସମୟରେ ଓ ବଜେଟ ଭିତରେ ପୂରଣ କରିପାରିଲା - ପ୍ରକୃତରେ ଅନେକ କ୍ଷେତ୍ରରେ ଜ୍ଞାନ, ଅଭିଜ୍ଞତା ଓ ନେଟୱାର୍କ ଥିବା ଏକ ପେସାଦାର ଫାର୍ମ।”",
+      fullTestimonial: `ପ୍ରାରମ୍ଭିକ ପରାମର୍ଶ ଓ ପରବର୍ତ୍ତୀ ଆଇନଗତ ସେବା ପାଇଁ ଶ୍ରେୟସ ଓ ଆର୍ନା ଲ'ର ଦଳକୁ ଧନ୍ୟବାଦ। ଏହା କୌଣସି ସାଧାରଣ ମାମଲା ନଥିଲା, ତଥାପି ଆର୍ନା ଲ' ଆମର ନିର୍ଦ୍ଦିଷ୍ଟ ଆବଶ୍ୟକତାକୁ ସମୟରେ ଓ ବଜେଟ ଭିତରେ ପୂରଣ କରିପାରିଲା - ପ୍ରକୃତରେ ଅନେକ କ୍ଷେତ୍ରରେ ଜ୍ଞାନ, ଅଭିଜ୍ଞତା ଓ ନେଟୱାର୍କ ଥିବା ଏକ ପେସାଦାର ଫାର୍ମ। ପୁଣି ଥରେ ଧନ୍ୟବାଦ।`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "ବିନୟ ଭଗବାନ",
+      post: "ଜେନେରାଲ କାଉନସେଲ",
+      desingnation: "Daimler Trucks India",
+      desc: "“ଉଚ୍ଚମାନର ଆଇନଗତ ପ୍ରତିନିଧିତ୍ୱ ଖୋଜୁଥିବା ଯେକୌଣସି ବ୍ୟକ୍ତିଙ୍କୁ ମୁଁ ଆନ୍ତରିକ ଭାବେ ଆର୍ନା ଲ' ଓ ଏହାର ଉତ୍କୃଷ୍ଟ ଦଳକୁ ସୁପାରିଶ କରୁଛି।”",
+      fullTestimonial: `ଆର୍ନା ଲ' ସହ ମୋର ଅଭିଜ୍ଞତା ଅସାଧାରଣଠାରୁ କମ୍ ନୁହେଁ। ଫାର୍ମର ପ୍ରତିଷ୍ଠାତା ପାର୍ଟନର ଶ୍ରେୟସ ଓ କମଲା ଉଲ୍ଲେଖନୀୟ ଦୂରଦୃଷ୍ଟି ଓ ନିଷ୍ଠାର ସହ ଫାର୍ମକୁ ପରିଚାଳନା କରି ଏହାକୁ ନୂଆ ଉଚ୍ଚତାକୁ ନେଇଛନ୍ତି। ସେମାନଙ୍କ ନେତୃତ୍ୱ ଓ ଉତ୍କର୍ଷ ପ୍ରତି ଗଭୀର ପ୍ରତିବଦ୍ଧତା ଆର୍ନା ଲ'କୁ ଆଇନ କ୍ଷେତ୍ରରେ ଅଲଗା କରେ।
+      ସ୍ୱାମୀ-ସ୍ତ୍ରୀଙ୍କ ଦଳ ଭାବେ ଶ୍ରେୟସ ଓ କମଲା ଫାର୍ମରେ ଏକ ଅନନ୍ୟ ଉଦ୍ୟମ ଆଣନ୍ତି, ନିଜର ବ୍ୟକ୍ତିଗତ ଶକ୍ତିକୁ ମିଶାଇ ଏକ ସୁସଂଗଠିତ ଓ ଅତି ପ୍ରଭାବଶାଳୀ ଭାଗିଦାରୀ ଗଢ଼ନ୍ତି। ସେମାନଙ୍କ ରଣନୀତିକ ବିଚକ୍ଷଣତା ଓ ସୂକ୍ଷ୍ମ ଧ୍ୟାନ ଜଟିଳ ଆଇନଗତ ଆହ୍ୱାନରେ ଆମକୁ ମାର୍ଗଦର୍ଶନ କରିବାରେ ଗୁରୁତ୍ୱପୂର୍ଣ୍ଣ ହୋଇଛି।
+      ଅଭିନବତା ପ୍ରତି ସେମାନଙ୍କ ଆଗ୍ରହ ମୋତେ ବିଶେଷ ଭାବେ ପ୍ରଭାବିତ କରିଛି, ବିଶେଷକରି ନିଜ ପ୍ରାକ୍ଟିସରେ ଅତ୍ୟାଧୁନିକ ପ୍ରଯୁକ୍ତିକୁ ସାମିଲ କରିବାର ସେମାନଙ୍କ ପ୍ରୟାସ। ଏହି ଅଗ୍ରଗାମୀ ଦୃଷ୍ଟିକୋଣ କେବଳ ଦକ୍ଷତା ବଢ଼ାଏ ନାହିଁ, ବରଂ ସୁନିଶ୍ଚିତ କରେ ଯେ ଗ୍ରାହକମାନେ ଉପଲବ୍ଧ ସବୁଠାରୁ ଉନ୍ନତ ଓ ପ୍ରଭାବଶାଳୀ ଆଇନଗତ ସମାଧାନ ପାଆନ୍ତି।
+      ନିଜର ବୈଷୟିକ ଦକ୍ଷତା ବ୍ୟତୀତ, ଶ୍ରେୟସ ଓ କମଲା ସେମାନଙ୍କ ସଚ୍ଚୋଟତା, ନୈତିକ ମାନଦଣ୍ଡ ଓ ଗ୍ରାହକଙ୍କ ପ୍ରତି ପ୍ରକୃତ ଯତ୍ନ ପାଇଁ ପରିଚିତ। ସେମାନେ ବିଶ୍ୱାସ ଓ ଉତ୍କର୍ଷର ଏପରି ଏକ ସଂସ୍କୃତି ଗଢ଼ିଛନ୍ତି ଯାହା ସମଗ୍ର ଫାର୍ମରେ ବ୍ୟାପିଛି।
+      ଉଚ୍ଚମାନର ଆଇନଗତ ପ୍ରତିନିଧିତ୍ୱ ଖୋଜୁଥିବା ଯେକୌଣସି ବ୍ୟକ୍ତିଙ୍କୁ ମୁଁ ଆନ୍ତରିକ ଭାବେ ଆର୍ନା ଲ' ଓ ଏହାର ଉତ୍କୃଷ୍ଟ ଦଳକୁ ସୁପାରିଶ କରୁଛି।`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "ନବୀନ ରେଡ୍ଡି",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“କର୍ମଚାରୀ ଚୁକ୍ତିନାମାଠାରୁ ବାଣିଜ୍ୟିକ ଚୁକ୍ତିନାମାର ଡ୍ରାଫ୍ଟ ପର୍ଯ୍ୟନ୍ତ ମୋର ସମସ୍ତ ଆଇନଗତ ଆବଶ୍ୟକତାରେ ଆର୍ନା ଲ' ମୋତେ ସହଯୋଗ କରିଛି।”",
+      fullTestimonial: `କର୍ମଚାରୀ ଚୁକ୍ତିନାମାଠାରୁ ବାଣିଜ୍ୟିକ ଚୁକ୍ତିନାମାର ଡ୍ରାଫ୍ଟ ପର୍ଯ୍ୟନ୍ତ ମୋର ସମସ୍ତ ଆଇନଗତ ଆବଶ୍ୟକତାରେ ଆର୍ନା ଲ' ମୋତେ ସହଯୋଗ କରିଛି। ବ୍ୟବସାୟ ସମ୍ବନ୍ଧୀୟ ସମସ୍ତ ସମସ୍ୟାକୁ ସେମାନେ ସହଜରେ ଓ ସୂକ୍ଷ୍ମ ଧ୍ୟାନ ଦେଇ ସମାଧାନ କରିଛନ୍ତି। ମୋର ସମସ୍ତ ଆଇନଗତ ଆବଶ୍ୟକତା ପାଇଁ ମୁଁ ସେମାନଙ୍କ ପାଖକୁ ହିଁ ଯାଏ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "ଆଶିକା ଅବ୍ରାହାମ",
+      post: "ପ୍ରତିଷ୍ଠାତା",
+      desingnation: "Mammamiya",
+      desc: "“ ଆର୍ନା ଲ'ରେ ଶ୍ରେୟସ ଓ କମଲା ଏବଂ ସେମାନଙ୍କ ଦଳ ସହ କାମ କରି ମୁଁ ବହୁତ ଉପଭୋଗ କରିଛି - ମୁଖ୍ୟତଃ କାରଣ ସେମାନଙ୍କ ଆଇନଗତ ମତାମତ ସବୁବେଳେ ବିଜ୍ଞତା, ଦୃଷ୍ଟିକୋଣ ଓ ବାଣିଜ୍ୟିକ, ସାମାଜିକ ଓ ରାଜନୈତିକ ପ୍ରସଙ୍ଗ ସହ ସନ୍ତୁଳିତ ଥାଏ।”",
+      fullTestimonial: `ଆର୍ନା ଲ'ରେ ଶ୍ରେୟସ ଓ କମଲା ଏବଂ ସେମାନଙ୍କ ଦଳ ସହ କାମ କରି ମୁଁ ବହୁତ ଉପଭୋଗ କରିଛି - ମୁଖ୍ୟତଃ କାରଣ ସେମାନଙ୍କ ଆଇନଗତ ମତାମତ ସବୁବେଳେ ବିଜ୍ଞତା, ଦୃଷ୍ଟିକୋଣ ଓ ବାଣିଜ୍ୟିକ, ସାମାଜିକ ଓ ରାଜନୈତିକ ପ୍ରସଙ୍ଗ ସହ ସନ୍ତୁଳିତ ଥାଏ।
+      ନ୍ୟାୟ ପ୍ରତି ସେମାନଙ୍କ ଆନ୍ତରିକ ଆହ୍ୱାନ ସେମାନଙ୍କ ପ୍ରାକ୍ଟିସକୁ ଦୃଢ଼ କରେ, ଏବଂ ଏହା ଯଥାଶୀଘ୍ର ଆଇନଗତ ସମାଧାନ ଓ ସମଝୌତା ଖୋଜିବାର ସେମାନଙ୍କ ପ୍ରତିବଦ୍ଧତାରେ ସ୍ପଷ୍ଟ ଦେଖାଯାଏ।`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "ମୁକେଶ ଶାହ",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ ଅଭିଜ୍ଞତାଟି ଅସାଧାରଣଠାରୁ କମ୍ ନଥିଲା। ଶ୍ରୀ ଜୟସିଂହ ଓ ତାଙ୍କ ଦଳ ଉତ୍କୃଷ୍ଟ ପେସାଦାରିତା, ଦକ୍ଷତା ଓ ନିଷ୍ଠା ଦେଖାଇଲେ।”",
+      fullTestimonial: `ନୋଭାଲାଇଟ ଲିମିଟେଡରେ ଆମେ ଅନେକ ଜଟିଳ ଆଇନଗତ ମାମଲାରେ ଆର୍ନା ଲ', ବିଶେଷକରି ଶ୍ରୀ ଶ୍ରେୟସ ଜୟସିଂହଙ୍କ ସହ କାମ କରିବାର ସୁଯୋଗ ପାଇଥିଲୁ। ଅଭିଜ୍ଞତାଟି ଅସାଧାରଣଠାରୁ କମ୍ ନଥିଲା। ଶ୍ରୀ ଜୟସିଂହ ଓ ତାଙ୍କ ଦଳ ଉତ୍କୃଷ୍ଟ ପେସାଦାରିତା, ଦକ୍ଷତା ଓ ନିଷ୍ଠା ଦେଖାଇଲେ।
+        ଆର୍ନା ଲ'କୁ ପ୍ରକୃତରେ ଅଲଗା କରୁଥିବା ବିଷୟ ହେଉଛି ଆଇନଗତ ସେବା ପ୍ରତି ସେମାନଙ୍କ ସାମଗ୍ରିକ ଦୃଷ୍ଟିକୋଣ। ସେମାନେ କେବଳ ଆଇନଗତ ଔପଚାରିକତାରେ ସଠିକ ଭାବେ ମାର୍ଗଦର୍ଶନ କରନ୍ତି ନାହିଁ, ବରଂ ଏପରି ମୂଲ୍ୟବାନ ପରାମର୍ଶ ମଧ୍ୟ ଦିଅନ୍ତି ଯାହା ଆମ ବ୍ୟବସାୟିକ ଶୈଳୀ ସହ ପୂର୍ଣ୍ଣ ଭାବେ ଖାପ ଖାଏ। ଆମର ଅନନ୍ୟ ଆବଶ୍ୟକତା ବୁଝି ସେହି ଅନୁଯାୟୀ ସେବା ପ୍ରଦାନ କରିବାର ସେମାନଙ୍କ କ୍ଷମତା ସମସ୍ତ ପାର୍ଥକ୍ୟ ଆଣିଦେଲା।
+        ଶ୍ରୀ ଜୟସିଂହ ଓ ଆର୍ନା ଲ'ର ସମଗ୍ର ଦଳର ସହଯୋଗ ଓ ଅନ୍ତର୍ଦୃଷ୍ଟି ପାଇଁ ଆମେ ଅତ୍ୟନ୍ତ କୃତଜ୍ଞ। ସେମାନେ କେବଳ ଆଇନ ପରାମର୍ଶଦାତା ନୁହଁନ୍ତି; ସେମାନେ ଆମ ବ୍ୟବସାୟିକ ଯାତ୍ରାରେ ପ୍ରକୃତ ସହଯୋଗୀ।
+        ଆର୍ନା ଲ', ଉତ୍କର୍ଷ ପ୍ରତି ଆପଣଙ୍କ ଅଟଳ ପ୍ରତିବଦ୍ଧତା ପାଇଁ ଧନ୍ୟବାଦ। ଭବିଷ୍ୟତରେ ମଧ୍ୟ ଆମର ସହଯୋଗ ଜାରି ରଖିବାକୁ ଆମେ ଅପେକ୍ଷା କରିଛୁ।`,
+    },
+    {
+      imageUrl: "",
+      name: "ପ୍ରଣବ ନାହାର",
+      post: "ଉଦ୍ୟୋଗୀ",
+      desingnation: "",
+      desc: "“ସେମାନଙ୍କ ଗ୍ରାହକ ସେବା ଓ ଆଇନଗତ ଦକ୍ଷତା ଅତ୍ୟନ୍ତ ପେସାଦାର ଥିଲା। ସେମାନଙ୍କ ସହ କାମ କରିବା ଆନନ୍ଦଦାୟକ ଥିଲା।”",
+      fullTestimonial: `ମଞ୍ଜୁଶ୍ରୀ ଓ ଆର୍ନା ଲ'ର ଦଳକୁ ଆମ ରିଅଲ ଏଷ୍ଟେଟ ଫିନଟେକ ବ୍ୟବସାୟ ପାଇଁ ସବୁଠାରୁ ଉପଯୁକ୍ତ ଓ ନିୟାମକ-ସମ୍ମତ ଢାଞ୍ଚା ଖୋଜିବାର ଦାୟିତ୍ୱ ଦିଆଯାଇଥିଲା। ସେମାନେ ସ୍ପଷ୍ଟତା ଓ ବିସ୍ତୃତ ଭାବେ ଦାୟିତ୍ୱ ତୁଲାଇଲେ। ଆମକୁ ପ୍ରଭାବିତ କରିଥିଲା ଯେ ଆମର ଅନେକ ସନ୍ଦେହ ଓ ପ୍ରଶ୍ନ ଥିଲା ଯାହା ଉପରେ ଆମେ ବାରମ୍ବାର ଜୋର ଦେଲୁ, ଏବଂ ସେମାନେ ଧୈର୍ଯ୍ୟର ସହ ଆମେ ମାଗିଥିବା ପ୍ରତ୍ୟେକ ବିବରଣୀ ଉପରେ କାମ କଲେ। ସେମାନଙ୍କ ଗ୍ରାହକ ସେବା ଓ ଆଇନଗତ ଦକ୍ଷତା ଅତ୍ୟନ୍ତ ପେସାଦାର ଥିଲା। ସେମାନଙ୍କ ସହ କାମ କରିବା ଆନନ୍ଦଦାୟକ ଥିଲା।`,
+    },
+    {
+      imageUrl: "",
+      name: "ପବନ ଜୈନ",
+      post: "ଉପସଭାପତି",
+      desingnation: "ଅର୍ଥ",
+      desc: "“ ସେମାନେ କାମ ପ୍ରତି ଉଚ୍ଚ ସ୍ତରର ପ୍ରତିବଦ୍ଧତା ଦେଖାଇଲେ ଏବଂ ସମୟସୀମା ଓ ଆଶା ପ୍ରତି ସମ୍ମାନ ରଖିଲେ।”",
+      fullTestimonial: `ଶ୍ରୀମତୀ କମଲା ଓ ତାଙ୍କ ସମଗ୍ର ଦଳ ନିଜ କାର୍ଯ୍ୟଶୈଳୀରେ ଅତ୍ୟନ୍ତ ପେସାଦାର ଏବଂ ସବୁବେଳେ ମତାମତ ପାଇଁ ପ୍ରସ୍ତୁତ। ସେମାନେ କାମ ପ୍ରତି ଉଚ୍ଚ ସ୍ତରର ପ୍ରତିବଦ୍ଧତା ଦେଖାଇଲେ ଏବଂ ସମୟସୀମା ଓ ଆଶା ପ୍ରତି ସମ୍ମାନ ରଖିଲେ। ସେମାନଙ୍କ ସହ କାମ କରିବା ପ୍ରକୃତରେ ଆନନ୍ଦର ବିଷୟ ଥିଲା ଏବଂ ଭବିଷ୍ୟତରେ ମଧ୍ୟ ସେମାନଙ୍କ ସହ କାମ କରିବାକୁ ଆମେ ଅପେକ୍ଷା କରିଛୁ।`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "ଆମର ଐତିହ୍ୟ",
+    legacyHeadline1: "ନଅ ଦଶନ୍ଧିରୁ ଅଧିକ ପ୍ରତିବଦ୍ଧତା ଓ ସେବା ଉପରେ ପ୍ରତିଷ୍ଠିତ",
+    legacyPara1:
+      "ବିଭିନ୍ନ କ୍ଷେତ୍ର, ଶିଳ୍ପ ଓ ଆନ୍ତର୍ଜାତୀୟ ସୀମା ପାର କରି, ପ୍ରାକୃତିକ ଆଇନ, ନ୍ୟାୟ ଓ କରୁଣାର ଆମ ନୀତି ସହ ଆପୋଷ ନକରି ଆମ ଗ୍ରାହକଙ୍କ ସର୍ବୋତ୍ତମ ସ୍ୱାର୍ଥର ପ୍ରତିନିଧିତ୍ୱ ପାଇଁ ଆମର ଆଇନଗତ ସେବା ଓ ସମାଧାନ ବିଶେଷ ଭାବେ ପ୍ରସ୍ତୁତ କରାଯାଏ",
+    legacyPara2:
+      "ଆମେ ଘରୋଇ, ବିଦେଶୀ ଓ ପ୍ରବାସୀ ଗ୍ରାହକଙ୍କୁ ବିଭିନ୍ନ ବିଷୟରେ ପରାମର୍ଶ ଦେଉ। ନିୟାମକ, ଆର୍ଥିକ ଓ ଆଇନଗତ ବିପଦ କମାଇବାଠାରୁ ଆରମ୍ଭ କରି ଜାତୀୟ ଓ ଆନ୍ତର୍ଜାତୀୟ ଆଇନର ଅତି ବିଶେଷ କ୍ଷେତ୍ରରେ ମାର୍ଗଦର୍ଶନ ପର୍ଯ୍ୟନ୍ତ, ଆମେ ଆପୋଷହୀନ ସଚ୍ଚୋଟତାର ସହ ପରାମର୍ଶ ଦେଉ।",
+  },
+
+  ourServicesTitle: {
+    ourServices: "ଆମର ସେବା",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "ଆମର ଫାର୍ମ",
+  },
+
+  disputes: {
+    disputesTitle: "ଆମେ ସମାଧାନ କରୁଥିବା ବିବାଦ",
+  },
+
+  disputesDetails: [
+    {
+      name: "ବାଣିଜ୍ୟିକ ମକଦ୍ଦମା",
+    },
+    {
+      name: "ସାଲିସ",
+    },
+    {
+      name: "ଆନ୍ତର୍ଜାତୀୟ ସାଲିସ",
+    },
+    {
+      name: "ମଧ୍ୟସ୍ଥତା",
+    },
+    {
+      name: "ନିର୍ମାଣ ବିବାଦ",
+    },
+    {
+      name: "ରିଅଲ ଏଷ୍ଟେଟ ବିବାଦ",
+    },
+    {
+      name: "ଅଂଶଧାରୀ ବିବାଦ",
+    },
+    {
+      name: "ବିଚାର ଓ ଓକିଲାତି",
+    },
+    {
+      name: "କର୍ପୋରେଟ ବିବାଦ",
+    },
+    {
+      name: "ପୁନର୍ଗଠନ ଓ ଦେବାଳିଆ",
+    },
+    {
+      name: "ନିୟାମକ ବିବାଦ",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "ସଂଖ୍ୟାରେ ଆମର ସଫଳତା",
+    yearsOfLegacy: "ଆମ ଐତିହ୍ୟର ବର୍ଷ",
+    clientsServed: "ସେବାପ୍ରାପ୍ତ କ୍ଲାଏଣ୍ଟ",
+    disputesResolved: "ସମାଧାନ ହୋଇଥିବା ବିବାଦ",
+  },
+
+  awards: {
+    awardsTitle: "ପୁରସ୍କାର ଓ ସମ୍ମାନ",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "ଆମର ଗତିଶୀଳ ଦଳ ବିଭିନ୍ନ ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ରରେ ଅଭିଜ୍ଞ ପରାମର୍ଶ ପ୍ରଦାନ କରେ",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "ବର୍ଷ ବର୍ଷ ଧରି ଆର୍ନା ଲ' ଏକ ବିଶ୍ୱସ୍ତ ପରାମର୍ଶଦାତା ଭାବେ ବିଶିଷ୍ଟ ସୁନାମ ଅର୍ଜନ କରିଛି। ଆମେ ଗଢ଼ିଥିବା ଦୀର୍ଘସ୍ଥାୟୀ ସମ୍ପର୍କ ଆଇନଗତ ପରିବେଶ ବିଷୟରେ ଆମର ଗଭୀର ବୁଝାମଣା, ଆମର ଦକ୍ଷତା ଏବଂ ବ୍ୟବହାରିକ, ଫଳପ୍ରଦ ପରାମର୍ଶ ଦେବାର ଆମ କ୍ଷମତାର ପ୍ରମାଣ।",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "ଆମେ ପରସ୍ପରର ପରିପୂରକ ଆଇନଗତ ସେବାର ଏକ ବ୍ୟାପକ ପରିସର ପ୍ରଦାନ କରୁ, ଯାହା ଆମକୁ ପ୍ରତ୍ୟେକ ବିଷୟରେ ସାମଗ୍ରିକ ଓ ବହୁବିଷୟକ ଦୃଷ୍ଟିକୋଣ ଗ୍ରହଣ କରିବାରେ ସାହାଯ୍ୟ କରେ। ଆମର ମୂଳ ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ରରେ କର୍ପୋରେଟ, ବାଣିଜ୍ୟିକ ଓ ନିୟାମକ ପରାମର୍ଶ, ଇକ୍ୱିଟି ଓ ଋଣ ଅର୍ଥାୟନ, ମିଶ୍ରଣ ଓ ଅଧିଗ୍ରହଣ, ଏବଂ ବିବାଦ ସମାଧାନ ଅନ୍ତର୍ଭୁକ୍ତ।",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "ଆମର ପ୍ରଗତିଶୀଳ ପ୍ରାକ୍ଟିସ ସମସ୍ତ ଶିଳ୍ପର ଗ୍ରାହକଙ୍କୁ ବିଶେଷଜ୍ଞ ସହାୟତା ପ୍ରଦାନ କରେ",
+  },
+  industrieslistTitle: {
+    industrieslist: "ଆମେ ସେବା କରୁଥିବା ଶିଳ୍ପ",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "ଆମ ବିଶେଷଜ୍ଞଙ୍କ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ",
+  },
+  network: {
+    networkTitle: "ସାରା ବିଶ୍ୱରେ ଆଇନଜୀବୀଙ୍କ ଏକ ନେଟୱାର୍କ",
+    interact: "ମାନଚିତ୍ର ବ୍ୟବହାର କରିବାକୁ କ୍ଲିକ୍ କରନ୍ତୁ",
+    loadingMap: "ମାନଚିତ୍ର ଲୋଡ୍ ହେଉଛି...",
+  },
+
+  translationNotice: {
+    notAvailable: "ଏହି ପୃଷ୍ଠା ଏପର୍ଯ୍ୟନ୍ତ ଆପଣଙ୍କ ଭାଷାରେ ଉପଲବ୍ଧ ନାହିଁ, ତେଣୁ ଏହାକୁ ଇଂରାଜୀରେ ଦେଖାଯାଉଛି।",
+  },
+
+  // Careers page
+  careers: {
+    title: "ଆରନା ଲ’ରେ କ୍ୟାରିଅର",
+    headline: "ଆନ୍ତର୍ଜାତୀୟ ଦୃଷ୍ଟିକୋଣ ଥିବା ଏକ ଗତିଶୀଳ ଆଇନ ପ୍ରାକ୍ଟିସର ଅଂଶ ହୁଅନ୍ତୁ",
+    intro:
+      "ଆରନା ଲ’ ଭାରତରେ ଅବସ୍ଥିତ ଏକ ଆନ୍ତର୍ଜାତୀୟ ଆଇନଗତ ପରାମର୍ଶଦାତା ସଂସ୍ଥା, ଯାହାର ମୂଳ ପ୍ରାକୃତିକ ଆଇନ, ନ୍ୟାୟ ଓ କରୁଣାର ଧାର୍ମିକ ସିଦ୍ଧାନ୍ତରେ ନିହିତ। ଆମର ବ୍ୟାପକ ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର ମାଧ୍ୟମରେ ଆମେ ରାଷ୍ଟ୍ର, ଆନ୍ତର୍ଜାତୀୟ ସଂଗଠନ, ବହୁରାଷ୍ଟ୍ରୀୟ କମ୍ପାନୀ, ବିଶେଷ ଷ୍ଟାର୍ଟ-ଅପ ଓ ବ୍ୟକ୍ତିଗତ ସ୍ୱାର୍ଥ ପର୍ଯ୍ୟନ୍ତ ବିସ୍ତୃତ ଗ୍ରାହକମାନଙ୍କୁ ପ୍ରଗତିଶୀଳ ଆଇନଗତ ପରାମର୍ଶ ଦେଉ।",
+    recruitmentTitle: "ଆଇନଗତ ଓ ପ୍ରଶାସନିକ ବୃତ୍ତିଜୀବୀଙ୍କ ନିଯୁକ୍ତି",
+    recruitment:
+      "ଆନ୍ତର୍ଜାତୀୟ ଅଭିଜ୍ଞତା, ଉଲ୍ଲେଖନୀୟ ଶିକ୍ଷାଗତ ସଫଳତା, ସମୀକ୍ଷିତ ପତ୍ରିକାରେ ପ୍ରକାଶନ କିମ୍ବା ତୀକ୍ଷ୍ଣ ଆଇନଗତ ଦକ୍ଷତାର ଅନ୍ୟ ପ୍ରମାଣ ଥିବା ବୃତ୍ତିଜୀବୀଙ୍କଠାରୁ ଶୁଣିବାକୁ ଆମେ ସର୍ବଦା ଆଗ୍ରହୀ। ଅଭିନବ ଓ ଦକ୍ଷ ପ୍ରଶାସନିକ ଏବଂ ସହାୟକ ଦଳ ସଦସ୍ୟଙ୍କ ପ୍ରତି ମଧ୍ୟ ଆମର ଆଗ୍ରହ ଅଛି। ଯଦି ଆପଣ ସେବା ମନୋଭାବ ଓ ଆଇନରେ ଉତ୍କର୍ଷ ପ୍ରତି ଆଗ୍ରହ ଥିବା ଜଣେ ଦଳଗତ ଖେଳାଳି, ତେବେ ଦୟାକରି ଯୋଗାଯୋଗ କରନ୍ତୁ।",
+    openingsTitle: "ବର୍ତ୍ତମାନର ଖାଲି ପଦ",
+    internshipsTitle: "ଇଣ୍ଟର୍ନସିପ",
+    applyNow: "ବର୍ତ୍ତମାନ ଆବେଦନ କରନ୍ତୁ",
+    noContent: "କୌଣସି ବିଷୟବସ୍ତୁ ଉପଲବ୍ଧ ନାହିଁ।",
+    internships: [
+      "ଆରନାରେ ଆମେ ଏକ ସମୃଦ୍ଧ ଓ ଚ୍ୟାଲେଞ୍ଜପୂର୍ଣ୍ଣ ଇଣ୍ଟର୍ନସିପ ଅଭିଜ୍ଞତା ପ୍ରଦାନ କରୁ। ଆମେ କେବଳ ଦୃଢ଼ ଶିକ୍ଷାଗତ ରେକର୍ଡ ଦେଖୁନାହୁଁ; ଆମେ ପ୍ରେରିତ, ଶିଖିବାକୁ ଆଗ୍ରହୀ ଓ ସଂସ୍ଥାର ମୂଲ୍ୟବୋଧ ବାଣ୍ଟୁଥିବା ବ୍ୟକ୍ତିଙ୍କୁ ଖୋଜୁ। ଆମ ଇଣ୍ଟର୍ନମାନଙ୍କ ବିବିଧତା ଓ ସାରା ଦେଶର ଛାତ୍ରଛାତ୍ରୀଙ୍କୁ ଦିଆଯାଇଥିବା ସୁଯୋଗ ପାଇଁ ଆମେ ଗର୍ବିତ।",
+      "ଇଣ୍ଟର୍ନସିପର ଅବଧି {minWeeks, number}-{maxWeeks, number} ସପ୍ତାହ। ଇଣ୍ଟର୍ନମାନେ ଆମର ବିବାଦ, ଦେବାଳିଆ ଆଇନ ଓ କର୍ପୋରେଟ ପରାମର୍ଶ ଦଳ ସହ କାମ କରିବାର ସୁଯୋଗ ପାଆନ୍ତି। ଇଣ୍ଟର୍ନସିପ ସମୟରେ ଆମ ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ରର ବିଭିନ୍ନ ଦିଗର ବ୍ୟାବହାରିକ ଧାରଣା ପାଇବାର ଅନନ୍ୟ ସୁଯୋଗ ମିଳେ। ପ୍ରତ୍ୟେକ ଇଣ୍ଟର୍ନଙ୍କୁ ଜଣେ ତତ୍ତ୍ୱାବଧାୟକ ଦିଆଯାଏ; ତଥାପି ସାମଗ୍ରିକ ଅଭିଜ୍ଞତା ପାଇଁ ସମସ୍ତ ଦଳ ସହ କାମ କରିବା ଆଶା କରାଯାଏ।",
+      "ଆମ ଇଣ୍ଟର୍ନମାନେ ଆମ ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ରରେ ଆଇନର ସାମ୍ପ୍ରତିକ ବିକାଶ ବିଷୟରେ ଅବଗତ ରହିବା ଆଶା କରାଯାଏ। ପ୍ରତ୍ୟେକ ଇଣ୍ଟର୍ନଙ୍କୁ ଗବେଷଣା ପାଇଁ ଏକ ବିଷୟ ଦିଆଯାଏ ଏବଂ ଅବଧି ଶେଷରେ ପାର୍ଟନର ଓ ସମସ୍ତ ଆସୋସିଏଟଙ୍କ ସମ୍ମୁଖରେ ଉପସ୍ଥାପନା ଦେବାକୁ ହୁଏ।",
+      "ବିଏ ଏଲଏଲବି (ଅନର୍ସ) କାର୍ଯ୍ୟକ୍ରମ ଓ 3 ବର୍ଷିଆ ଏଲଏଲବି କାର୍ଯ୍ୟକ୍ରମର ପ୍ରଥମ ଓ ଦ୍ୱିତୀୟ ବର୍ଷର ଛାତ୍ରଛାତ୍ରୀଙ୍କଠାରୁ ଆମେ ଇଣ୍ଟର୍ନସିପ ଆବେଦନ ଗ୍ରହଣ କରୁନାହୁଁ।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "ପ୍ରଥମ ନାମ",
+    lastName: "ସାଙ୍ଗିଆ",
+    name: "ନାମ",
+    email: "ଇମେଲ",
+    phone: "ଫୋନ ନମ୍ବର",
+    phonePlaceholder: "ଫୋନ ନମ୍ବର ଲେଖନ୍ତୁ",
+    mobile: "ମୋବାଇଲ",
+    mobilePlaceholder: "{digits, number} ଅଙ୍କର ମୋବାଇଲ ନମ୍ବର ଲେଖନ୍ତୁ",
+    college: "କଲେଜ",
+    role: "ଏକ ପଦ ବାଛନ୍ତୁ",
+    selectPlaceholder: "ଦୟାକରି ବାଛନ୍ତୁ",
+    roleOption: "{role, select, Legal {ଆଇନଗତ} Administration {ପ୍ରଶାସନ} Finance {ଅର୍ଥ} other {{role}}}",
+    experience: "ଯୋଗ୍ୟତା ପରର ଅଭିଜ୍ଞତାର ବର୍ଷ",
+    experiencePlaceholder: "ଅଭିଜ୍ଞତାର ବର୍ଷ ଲେଖନ୍ତୁ",
+    inquiry: "ଆପଣଙ୍କ ଜିଜ୍ଞାସାର ବିବରଣୀ",
+    resume: "ଫାଇଲ ବାଛନ୍ତୁ",
+    resumeChange: "ଫାଇଲ ବଦଳାଇବାକୁ କ୍ଲିକ କରନ୍ତୁ",
+    resumeUpload: "ଅପଲୋଡ କରିବାକୁ କ୍ଲିକ କରନ୍ତୁ କିମ୍ବା ଟାଣି ଆଣି ଛାଡ଼ନ୍ତୁ",
+    resumeTypes: "PDF, DOCX (ସର୍ବାଧିକ {maxMb, number} MB)",
+    interests: "ଆପଣଙ୍କ ଆଗ୍ରହ ବାଛନ୍ତୁ",
+    interestOption: "{interest, select, corporateAdvisory {କର୍ପୋରେଟ ପରାମର୍ଶ} hrCompliance {ଏଚଆର ଅନୁପାଳନ} other {ଅନ୍ୟାନ୍ୟ}}",
+    detailsTitle: "ଆପଣଙ୍କ ବିବରଣୀ ଲେଖନ୍ତୁ",
+    close: "ବନ୍ଦ କରନ୍ତୁ",
+    submit: "ଦାଖଲ କରନ୍ତୁ",
+    submitting: "ଦାଖଲ ହେଉଛି...",
+    subscribe: "ସବସ୍କ୍ରାଇବ କରନ୍ତୁ",
+    loading: "ଲୋଡ ହେଉଛି...",
+    applicationSent: "ଆବେଦନ ସଫଳତାର ସହ ଦାଖଲ ହେଲା!",
+    contactSent: "ଫର୍ମ ସଫଳତାର ସହ ଦାଖଲ ହେଲା!",
+    subscribed: "ନ୍ୟୁଜଲେଟରକୁ ସଫଳତାର ସହ ସବସ୍କ୍ରାଇବ କରାଗଲା!",
+    errors: {
+      heading: "{count, plural, one {ଦୟାକରି ନିମ୍ନଲିଖିତ ତ୍ରୁଟି ସଂଶୋଧନ କରନ୍ତୁ:} other {ଦୟାକରି ନିମ୍ନଲିଖିତ ତ୍ରୁଟିଗୁଡ଼ିକ ସଂଶୋଧନ କରନ୍ତୁ:}}",
+      firstNameRequired: "ପ୍ରଥମ ନାମ ଆବଶ୍ୟକ",
+      lastNameRequired: "ସାଙ୍ଗିଆ ଆବଶ୍ୟକ",
+      nameRequired: "ନାମ ଆବଶ୍ୟକ",
+      emailRequired: "ଇମେଲ ଆବଶ୍ୟକ",
+      emailInvalid: "ଦୟାକରି ଏକ ବୈଧ ଇମେଲ ଠିକଣା ଲେଖନ୍ତୁ",
+      phoneRequired: "ଫୋନ ନମ୍ବର ଆବଶ୍ୟକ",
+      phoneTooShort: "ଫୋନ ନମ୍ବର ଅତି କମରେ {min, plural, one {# ଅଙ୍କର} other {# ଅଙ୍କର}} ହେବା ଆବଶ୍ୟକ",
+      phoneTooLong: "ଫୋନ ନମ୍ବର {max, plural, one {# ଅଙ୍କରୁ} other {# ଅଙ୍କରୁ}} ଅଧିକ ହୋଇପାରିବ ନାହିଁ",
+      mobileRequired: "ମୋବାଇଲ ନମ୍ବର ଆବଶ୍ୟକ",
+      mobileTooShort: "ମୋବାଇଲ ନମ୍ବର ଅତି କମରେ {min, plural, one {# ଅଙ୍କର} other {# ଅଙ୍କର}} ହେବା ଆବଶ୍ୟକ",
+      mobileTooLong: "ମୋବାଇଲ ନମ୍ବର {max, plural, one {# ଅଙ୍କରୁ} other {# ଅଙ୍କରୁ}} ଅଧିକ ହୋଇପାରିବ ନାହିଁ",
+      collegeRequired: "କଲେଜର ନାମ ଆବଶ୍ୟକ",
+      collegeTooShort: "କଲେଜର ନାମ ଅତି କମରେ {min, plural, one {# ଅକ୍ଷରର} other {# ଅକ୍ଷରର}} ହେବା ଆବଶ୍ୟକ",
+      roleRequired: "ଦୟାକରି ଏକ ପଦ ବାଛନ୍ତୁ",
+      resumeRequired: "ଦୟାକରି ଆପଣଙ୍କ ଜୀବନବୃତ୍ତାନ୍ତ ଅପଲୋଡ କରନ୍ତୁ",
+      fileTooLarge: "ଫାଇଲର ଆକାର {maxMb, number} MBରୁ କମ ହେବା ଆବଶ୍ୟକ",
+      fileType: "କେବଳ PDF ଓ DOCX ଫାଇଲ ଅନୁମୋଦିତ",
+      interestsRequired: "ଦୟାକରି ଅତି କମରେ ଗୋଟିଏ ଆଗ୍ରହ ବାଛନ୍ତୁ",
+      messageRequired: "ବାର୍ତ୍ତା ଆବଶ୍ୟକ",
+      fillAll: "ଦୟାକରି ସମସ୍ତ ଘର ପୂରଣ କରନ୍ତୁ",
+      emailExists: "ଏହି ଇମେଲ ପୂର୍ବରୁ ଅଛି",
+      phoneExists: "ଏହି ଫୋନ ନମ୍ବର ପୂର୍ବରୁ ଅଛି",
+      emailRegistered: "ଏହି ଇମେଲ ଠିକଣା ପୂର୍ବରୁ ପଞ୍ଜୀକୃତ। ଦୟାକରି ଅନ୍ୟ ଏକ ଇମେଲ ଠିକଣା ବ୍ୟବହାର କରନ୍ତୁ।",
+      mobileRegistered: "ଏହି ମୋବାଇଲ ନମ୍ବର ପୂର୍ବରୁ ପଞ୍ଜୀକୃତ। ଦୟାକରି ଅନ୍ୟ ଏକ ମୋବାଇଲ ନମ୍ବର ବ୍ୟବହାର କରନ୍ତୁ।",
+      auth: "ପ୍ରମାଣୀକରଣ ତ୍ରୁଟି — ପ୍ରଶାସକଙ୍କ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ।",
+      failed: "ଦାଖଲ ବିଫଳ ହେଲା। ଦୟାକରି ପୁଣି ଚେଷ୍ଟା କରନ୍ତୁ।",
+      timeout: "ଅନୁରୋଧର ସମୟ ସମାପ୍ତ ହେଲା। ଦୟାକରି ପୁଣି ଚେଷ୍ଟା କରନ୍ତୁ।",
+      unknown: "ଏକ ତ୍ରୁଟି ଘଟିଲା। ଦୟାକରି ପୁଣି ଚେଷ୍ଟା କରନ୍ତୁ।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "ସନ୍ଧାନ",
+    placeholder: "ଅନ୍ତର୍ଦୃଷ୍ଟି, ବ୍ୟକ୍ତି, ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର ଖୋଜନ୍ତୁ…",
+    submit: "ଖୋଜନ୍ତୁ",
+    open: "ସନ୍ଧାନ ଖୋଲନ୍ତୁ",
+    close: "ସନ୍ଧାନ ବନ୍ଦ କରନ୍ତୁ",
+    prompt: "ସାଇଟରେ ଖୋଜିବା ପାଇଁ ଏକ ଶବ୍ଦ ବା ବାକ୍ୟାଂଶ ଲେଖନ୍ତୁ।",
+    resultsFor: "“{query}” ପାଇଁ {count, plural, one {# ଫଳାଫଳ} other {# ଫଳାଫଳ}}",
+    noResults: "“{query}” ପାଇଁ କୌଣସି ଫଳାଫଳ ମିଳିଲା ନାହିଁ। ବନାନ ଯାଞ୍ଚ କରନ୍ତୁ କିମ୍ବା କମ୍ ଶବ୍ଦରେ ଖୋଜନ୍ତୁ।",
+    seeAll: "ସମସ୍ତ ଫଳାଫଳ ଦେଖନ୍ତୁ",
+    all: "ସମସ୍ତ",
+    type: "{type, select, insight {ଅନ୍ତର୍ଦୃଷ୍ଟି} publication {ପ୍ରକାଶନ} podcast {ପଡକାଷ୍ଟ} team {ବ୍ୟକ୍ତି} practice-area {ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର} industry {ଶିଳ୍ପ} job {କ୍ୟାରିୟର} other {{type}}}",
+    practiceArea: "ପ୍ରାକ୍ଟିସ କ୍ଷେତ୍ର",
+    industry: "ଶିଳ୍ପ",
+    year: "ବର୍ଷ",
+    language: "ଭାଷା",
+    clearFilters: "ଫିଲ୍ଟର ହଟାନ୍ତୁ",
+    previous: "ପୂର୍ବବର୍ତ୍ତୀ",
+    next: "ପରବର୍ତ୍ତୀ",
+    pageOf: "ପୃଷ୍ଠା {page, number} / {pages, number}",
+    recent: "ସାମ୍ପ୍ରତିକ ସନ୍ଧାନ",
+    clearRecent: "ସଫା କରନ୍ତୁ",
+    keyboardHint: "↑ ↓ ବାଛିବା ପାଇଁ, Enter ଖୋଲିବା ପାଇଁ, Esc ବନ୍ଦ କରିବା ପାଇଁ",
+    error: "ସନ୍ଧାନ ବର୍ତ୍ତମାନ ଉପଲବ୍ଧ ନାହିଁ। ଦୟାକରି ପୁଣି ଚେଷ୍ଟା କରନ୍ତୁ।",
+    filterPlaceholder: "ଖୋଜନ୍ତୁ...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "ଅଧିକ ପଢ଼ନ୍ତୁ",
+    loadMore: "ଅଧିକ ଦେଖାନ୍ତୁ",
+    viewAll: "ସବୁ ଦେଖନ୍ତୁ",
+    loading: "ଲୋଡ୍ ହେଉଛି...",
+    loadingDots: "ଲୋଡ୍ ହେଉଛି",
+    noPosts: "କୌଣସି ସମ୍ବନ୍ଧିତ ପୋଷ୍ଟ ମିଳିଲା ନାହିଁ",
+    noMorePosts: "ଆଉ କୌଣସି ବିବରଣୀ ଉପଲବ୍ଧ ନାହିଁ",
+    published: "ପ୍ରକାଶିତ: {date}",
+    archives: "ଅଭିଲେଖାଗାର",
+    quickLinks: "ଶୀଘ୍ର ଲିଙ୍କ୍:",
+    contactPartner: "ଅଂଶୀଦାରଙ୍କ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ",
+    pageLoadError: "ଏହି ପୃଷ୍ଠା ଲୋଡ୍ ହୋଇପାରିଲା ନାହିଁ। ଦୟାକରି କିଛି ସମୟ ପରେ ପୁଣି ଚେଷ୍ଟା କରନ୍ତୁ।",
+    error: "ତ୍ରୁଟି: {message}",
+    componentMissing: "ଉପାଦାନ ମିଳିଲା ନାହିଁ",
+    scrollToTop: "ଉପରକୁ ଯାଆନ୍ତୁ",
+    openMenu: "ମୁଖ୍ୟ ମେନୁ ଖୋଲନ୍ତୁ",
+    faqTitle: "ବାରମ୍ବାର ପଚରାଯାଉଥିବା ପ୍ରଶ୍ନ",
+  },
+
+  home: {
+    tagline: "କ୍ଲାଏଣ୍ଟ-କେନ୍ଦ୍ରିକ ସମସ୍ୟା ସମାଧାନ",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "ପ୍ରବନ୍ଧ ଦେଖନ୍ତୁ",
+    backToInsights: "ଅନ୍ତର୍ଦୃଷ୍ଟିକୁ ଫେରନ୍ତୁ",
+    backToNews: "ଆରନା ସମ୍ବାଦକୁ ଫେରନ୍ତୁ",
+    backToPublications: "ପ୍ରକାଶନକୁ ଫେରନ୍ତୁ",
+    noResults: "କୌଣସି ଫଳାଫଳ ମିଳିଲା ନାହିଁ",
+    noResultsFor: "\"{query}\" ପାଇଁ କୌଣସି ଫଳାଫଳ ମିଳିଲା ନାହିଁ",
+  },
+
+  podcasts: {
+    listenNow: "ବର୍ତ୍ତମାନ ଶୁଣନ୍ତୁ",
+    thumbnailAlt: "ପଡକାଷ୍ଟ ଥମ୍ବନେଲ୍",
+    noImage: "କୌଣସି ମୁଖ୍ୟ ଚିତ୍ର ଉପଲବ୍ଧ ନାହିଁ",
+    previous: "← ପୂର୍ବ ପଡକାଷ୍ଟ",
+    next: "ପରବର୍ତ୍ତୀ ପଡକାଷ୍ଟ →",
+    videoCover: "ଭିଡିଓ କଭର",
+    videoUnsupported: "ଆପଣଙ୍କ ବ୍ରାଉଜର୍ ଭିଡିଓ ଟ୍ୟାଗ୍ ସମର୍ଥନ କରେ ନାହିଁ।",
+    play: "ଚଲାନ୍ତୁ",
+    pause: "ବିରତି",
+  },
+
+  team: {
+    photoAlt: "ଦଳର ସଦସ୍ୟ",
+    noDesignation: "ପଦବୀ ଉପଲବ୍ଧ ନାହିଁ",
+    readMore: "ଅଧିକ ପଢ଼ନ୍ତୁ",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "କ୍ଲାଏଣ୍ଟଙ୍କ {br}ମତାମତ",
+  },
+
+  contact: {
+    getInTouch: "ଯୋଗାଯୋଗରେ ରୁହନ୍ତୁ",
+    phone: "ଫୋନ୍",
+    directions: "ମାର୍ଗ",
+    ourLocations: "ଆମ କାର୍ଯ୍ୟାଳୟ",
+    networkMap: "ଆମ ନେଟୱାର୍କର ମାନଚିତ୍ର",
+  },
+
+  notFound: {
+    message: "ଆପଣ ଖୋଜୁଥିବା ପୃଷ୍ଠା ଆମେ ପାଇଲୁ ନାହିଁ।",
+    home: "ମୁଖପୃଷ୍ଠାକୁ ଫେରନ୍ତୁ",
+    imageAlt: "404 ପୃଷ୍ଠା",
+  },
+
+  footer: {
+    subscribe: "ନ୍ୟୁଜଲେଟର ପାଇଁ ସବସ୍କ୍ରାଇବ୍ କରନ୍ତୁ",
+    copyright: "© {year} ଆରନା ଲ’। ସମସ୍ତ ଅଧିକାର ସଂରକ୍ଷିତ",
+  },
+
+  legal: {
+    privacyPolicy: "ଗୋପନୀୟତା ନୀତି",
+    termsOfUse: "ବ୍ୟବହାର ସର୍ତ୍ତାବଳୀ",
+    disclaimer: "ଦାୟିତ୍ୱ ଅସ୍ୱୀକାର",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "ଗ୍ରହଣ କରନ୍ତୁ",
+    decline: "ପ୍ରତ୍ୟାଖ୍ୟାନ କରନ୍ତୁ",
+    intro:
+      "ବାର୍ କାଉନସିଲ୍ ଅଫ୍ ଇଣ୍ଡିଆ ଓକିଲମାନଙ୍କୁ କୌଣସି ରୂପରେ ବା ଉପାୟରେ ମକଦ୍ଦମାକାରୀଙ୍କ ଆବେଦନ ବା ବିଜ୍ଞାପନ କରିବାକୁ ଅନୁମତି ଦିଏ ନାହିଁ। ଏହି ୱେବସାଇଟ୍, {site}, ବ୍ୟବହାର କରି ଆପଣ ନିମ୍ନଲିଖିତ ବିଷୟକୁ ସ୍ୱୀକାର ଓ ନିଶ୍ଚିତ କରୁଛନ୍ତି:",
+    points: [
+      "ଫାର୍ମ, ଏହାର ସଦସ୍ୟ ଏବଂ ଅଭ୍ୟାସ କ୍ଷେତ୍ର ବିଷୟରେ ସୂଚନା ପାଇବା ପାଇଁ ଆପଣ ନିଜ ଇଚ୍ଛାରେ ଆରନା ଲ’ର ୱେବସାଇଟ୍ ଦେଖୁଛନ୍ତି।",
+      "ଓକିଲ-ମକଦ୍ଦମାକାରୀ ସମ୍ପର୍କ ସ୍ଥାପନ ପାଇଁ ଆରନା ଲ’ କିମ୍ବା ଏହାର କୌଣସି ସଦସ୍ୟଙ୍କ ତରଫରୁ କୌଣସି ପ୍ରକାର ଆବେଦନ, ବିଜ୍ଞାପନ, ନିମନ୍ତ୍ରଣ ବା ପ୍ରଲୋଭନ ଦିଆଯାଇନାହିଁ।",
+      "ଏହି ୱେବସାଇଟର ବିଷୟବସ୍ତୁ କେବଳ ସୂଚନା ପାଇଁ ଏବଂ ଏହାକୁ ଆବେଦନ, ବିଜ୍ଞାପନ ବା ଆଇନଗତ ପରାମର୍ଶ ଭାବେ ଗଣାଯିବା ଉଚିତ ନୁହେଁ।",
+      "ଏହି ୱେବସାଇଟରୁ ଡାଉନଲୋଡ୍ କରାଯାଇଥିବା କୌଣସି ସାମଗ୍ରୀ, ସୂଚନା ବା ଦଲିଲ ସମ୍ପୂର୍ଣ୍ଣ ଭାବେ ଆପଣଙ୍କ ବିବେଚନା ଉପରେ ନିର୍ଭର କରେ ଏବଂ ଏହା ଆପଣ ଓ ଆରନା ଲ’ ମଧ୍ୟରେ କୌଣସି ଓକିଲ-ମକଦ୍ଦମାକାରୀ ସମ୍ପର୍କ ସୃଷ୍ଟି କରେ ନାହିଁ।",
+      "ଏହି ୱେବସାଇଟରେ ପ୍ରକାଶିତ ସୂଚନା ବା ସାମଗ୍ରୀ ଆଧାରରେ ଆପଣ ନେଇଥିବା କୌଣସି ପଦକ୍ଷେପର ପରିଣାମ ପାଇଁ ଫାର୍ମ ଦାୟୀ ନୁହେଁ। ଯଦି ଆପଣଙ୍କୁ ଆଇନଗତ ସହାୟତା ଆବଶ୍ୟକ, ତେବେ ସ୍ୱାଧୀନ ବୃତ୍ତିଗତ ପରାମର୍ଶ ନେବା ଉଚିତ।",
+      "ଏହି ୱେବସାଇଟରେ ଦିଆଯାଇଥିବା ସୂଚନା ସାମ୍ପ୍ରତିକ ଆଇନଗତ ପରିବର୍ତ୍ତନକୁ ପ୍ରତିଫଳିତ ନକରିପାରେ, ଏବଂ ଏହାକୁ କୌଣସି ବିଷୟରେ ଆରନା ଲ’ର ପ୍ରତିବଦ୍ଧତା ବା ମତ ଭାବେ ଗଣାଯିବା ଉଚିତ ନୁହେଁ।",
+      "ଏହି ୱେବସାଇଟରେ ଥିବା ତୃତୀୟ ପକ୍ଷ ୱେବସାଇଟର ଲିଙ୍କ୍ କେବଳ ସୁବିଧା ପାଇଁ ଦିଆଯାଇଛି ଏବଂ ଏହା ସମର୍ଥନ, ସୁପାରିଶ ବା ସମ୍ବନ୍ଧ ସୂଚାଏ ନାହିଁ। ଏପରି ତୃତୀୟ ପକ୍ଷ ସାଇଟର ବିଷୟବସ୍ତୁ ବା ଗୋପନୀୟତା ଅଭ୍ୟାସ ପାଇଁ ଆରନା ଲ’ ଦାୟୀ ନୁହେଁ।",
+      "ଆପଣ ଏହି ୱେବସାଇଟ୍ ମାଧ୍ୟମରେ କୌଣସି ଗୋପନୀୟ, ବିଶେଷାଧିକାରପ୍ରାପ୍ତ, ବ୍ୟବସାୟିକ ବା ସମ୍ବେଦନଶୀଳ ସୂଚନା ପଠାଇବା ଉଚିତ ନୁହେଁ। ଆନୁଷ୍ଠାନିକ ଚୁକ୍ତି ପୂର୍ବରୁ ଏହି ପ୍ଲାଟଫର୍ମ ମାଧ୍ୟମରେ ଅଂଶୀଦାର କରାଯାଇଥିବା ସୂଚନାକୁ ଗୋପନୀୟ ଭାବେ ଗଣାଯିବ ନାହିଁ।",
+      "ଲେଖା, ଚିତ୍ର, ଗ୍ରାଫିକ୍ସ ଏବଂ ଡିଜାଇନ୍ ସମେତ ଏହି ୱେବସାଇଟର ସମସ୍ତ ବିଷୟବସ୍ତୁ ଆରନା ଲ’ର ବୌଦ୍ଧିକ ସମ୍ପତ୍ତି ଏବଂ ପୂର୍ବ ଲିଖିତ ସମ୍ମତି ବିନା ଏହାକୁ ନକଲ, ପୁନଃଉତ୍ପାଦନ ବା ବଣ୍ଟନ କରାଯାଇପାରିବ ନାହିଁ।",
+      "ବ୍ୟବହାରକାରୀଙ୍କ ଅଭିଜ୍ଞତାକୁ ଉନ୍ନତ କରିବା ପାଇଁ ଏହି ୱେବସାଇଟ୍ କୁକିଜ୍ ବ୍ୟବହାର କରେ। ଏହି ସାଇଟ୍ ବ୍ୟବହାର ଜାରି ରଖି, ଆମ ଗୋପନୀୟତା ନୀତିରେ ବର୍ଣ୍ଣିତ ଅନୁଯାୟୀ କୁକିଜ୍ ବ୍ୟବହାରରେ ଆପଣ ସମ୍ମତି ଦେଉଛନ୍ତି। ଆମେ କିପରି ଆପଣଙ୍କ ତଥ୍ୟ ସଂଗ୍ରହ, ବ୍ୟବହାର ଓ ସୁରକ୍ଷିତ କରୁ ତାହା ଜାଣିବା ପାଇଁ ଦୟାକରି ଆମର {privacyPolicy} ଏବଂ {termsOfUse} ପଢ଼ନ୍ତୁ।",
+      "ଏହି ୱେବସାଇଟ୍ ଏବଂ ଏହାର ସମସ୍ତ ବିଷୟବସ୍ତୁ କୌଣସି ସ୍ପଷ୍ଟ ବା ଅନ୍ତର୍ନିହିତ ୱାରେଣ୍ଟି ବିନା “ଯେପରି ଅଛି” ଆଧାରରେ ପ୍ରଦାନ କରାଯାଏ। ଏହି ୱେବସାଇଟର ସୂଚନା ଉପରେ ନିର୍ଭର କରିବା ଦ୍ୱାରା ହେଉଥିବା କୌଣସି କ୍ଷତି ପାଇଁ ଆରନା ଲ’ ସମସ୍ତ ଦାୟିତ୍ୱ ଅସ୍ୱୀକାର କରେ।",
+      "ଏହି ୱେବସାଇଟ୍ ବ୍ୟବହାରରୁ ଉତ୍ପନ୍ନ ହେଉଥିବା କୌଣସି ବିବାଦ ଭାରତର ଆଇନ ଦ୍ୱାରା ପରିଚାଳିତ ହେବ ଏବଂ ଭାରତର ସକ୍ଷମ ଅଦାଲତର ଏକଚାଟିଆ ଅଧିକାର କ୍ଷେତ୍ର ଅଧୀନରେ ରହିବ।",
+    ],
+    agree: "“ମୁଁ ସହମତ”",
+    closing:
+      "{agree} ଉପରେ କ୍ଲିକ୍ କରି କିମ୍ବା ଏହି ୱେବସାଇଟ୍ ବ୍ୟବହାର ଜାରି ରଖି, ଆପଣ ସ୍ୱୀକାର କରୁଛନ୍ତି ଯେ ଆପଣ ଏହି ଦାୟିତ୍ୱ ଅସ୍ୱୀକାରର ସର୍ତ୍ତାବଳୀ ପଢ଼ିଛନ୍ତି, ବୁଝିଛନ୍ତି ଏବଂ ଗ୍ରହଣ କରିଛନ୍ତି।",
+  },
+
+  preview: {
+    label: "ପୂର୍ବାବଲୋକନ",
+    message: "ଆପଣ WordPress ର ଅପ୍ରକାଶିତ ବିଷୟବସ୍ତୁ ଦେଖୁଛନ୍ତି।",
+    exit: "ପୂର୍ବାବଲୋକନରୁ ବାହାରନ୍ତୁ",
+  },
+};
+export default or;
@@ -0,0 +1,533 @@
+const pa = {
+  menu: {
+    about: "ਸਾਡੇ ਬਾਰੇ",
+    thefirm: "ਫਰਮ",
+    testimonials: "ਪ੍ਰਸੰਸਾ ਪੱਤਰ",
+    practiceareas: "ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ",
+    industries: "ਉਦਯੋਗ",
+    newsinsights: "ਖ਼ਬਰਾਂ ਅਤੇ ਸੂਝ",
+    insights: "ਸੂਝ",
+    aarnanews: "ਆਰਨਾ ਖ਼ਬਰਾਂ",
+    publications: "ਪ੍ਰਕਾਸ਼ਨ",
+    podcasts: "ਪੌਡਕਾਸਟ",
+    careers: "ਕਰੀਅਰ",
+    contactus: "ਸਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰੋ",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ",
+  },
+  industriesTitle: {
+    industries: "ਉਦਯੋਗ",
+  },
+  insightsTitle: {
+    insights: "ਸੂਝ",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "ਆਰਨਾ ਖ਼ਬਰਾਂ",
+  },
+  publicationsTitle: {
+    publications: "ਪ੍ਰਕਾਸ਼ਨ",
+  },
+  podcastsTitle: {
+    podcasts: "ਪੌਡਕਾਸਟ",
+  },
+  careersTitle: {
+    careers: "ਕਰੀਅਰ",
+  },
+  contactUsTitle: {
+    contactUs: "ਸਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰੋ",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "ਸਾਡੇ ਬਾਰੇ",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "ਅਸੀਂ ਕੀ ਕਰਦੇ ਹਾਂ",
+    headline: "ਅਸੀਂ ਵਿਸ਼ਵ-ਵਿਆਪੀ ਨਜ਼ਰੀਏ ਵਾਲੇ ਵਕੀਲਾਂ ਦੀ ਇੱਕ ਪੁਰਸਕਾਰ ਜੇਤੂ ਟੀਮ ਹਾਂ",
+    para1:
+      "ਆਰਨਾ ਲਾਅ ਦੀ ਸਥਾਪਨਾ ਗੁਣਵੱਤਾ-ਅਧਾਰਿਤ ਅਤੇ ਮੁੱਲ-ਅਧਾਰਿਤ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਪ੍ਰਦਾਨ ਕਰਨ ਦੀ ਪੱਕੀ ਵਚਨਬੱਧਤਾ ਨਾਲ ਕੀਤੀ ਗਈ ਸੀ, ਤਾਂ ਜੋ ਜਿਨ੍ਹਾਂ ਦੀ ਅਸੀਂ ਸੇਵਾ ਕਰਦੇ ਹਾਂ ਉਨ੍ਹਾਂ ਨਾਲ ਡੂੰਘੇ ਅਤੇ ਸਥਾਈ ਰਿਸ਼ਤੇ ਬਣ ਸਕਣ। ਅਸੀਂ ਆਪਣੇ ਗਾਹਕਾਂ ਦੇ ਕਾਰੋਬਾਰ ਅਤੇ ਵਪਾਰਕ ਉਦੇਸ਼ਾਂ ਨੂੰ ਸਮਝਣ ਵਿੱਚ ਸਮਾਂ ਅਤੇ ਮਿਹਨਤ ਲਗਾਉਂਦੇ ਹਾਂ, ਜਿਸ ਨਾਲ ਅਸੀਂ ਅਜਿਹੇ ਹੱਲ ਤਿਆਰ ਕਰ ਸਕਦੇ ਹਾਂ ਜੋ ਪ੍ਰਸੰਗ ਅਨੁਸਾਰ ਢੁਕਵੇਂ ਅਤੇ ਰਣਨੀਤਕ ਤੌਰ 'ਤੇ ਮਜ਼ਬੂਤ ਹੋਣ।",
+    para2:
+      "ਸਾਡੀ ਪਹੁੰਚ ਨਵੀਨਤਾਕਾਰੀ ਅਤੇ ਕਾਰੋਬਾਰ ਪ੍ਰਤੀ ਸੁਚੇਤ ਹੈ, ਜਿਸ ਦੀ ਨੀਂਹ ਤਜਰਬੇਕਾਰ ਵਕੀਲਾਂ ਦੀ ਅਜਿਹੀ ਟੀਮ ਹੈ ਜੋ ਵਪਾਰਕ ਸਮਝ ਰੱਖਦੀ ਹੈ, ਖੁਦ ਸ਼ਾਮਲ ਰਹਿੰਦੀ ਹੈ ਅਤੇ ਹੱਲ 'ਤੇ ਕੇਂਦਰਿਤ ਹੈ।",
+  },
+
+  ourLegacy: {
+    legacyTitle: "ਸਾਡੀ ਵਿਰਾਸਤ",
+    legacyHeadline:
+      "ਵੱਖ-ਵੱਖ ਖੇਤਰਾਂ, ਉਦਯੋਗਾਂ ਅਤੇ ਅੰਤਰਰਾਸ਼ਟਰੀ ਸਰਹੱਦਾਂ ਤੋਂ ਪਾਰ, ਸਾਡੀਆਂ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਅਤੇ ਹੱਲ ਇਮਾਨਦਾਰੀ ਅਤੇ ਗੁਪਤਤਾ ਦੇ ਉੱਚਤਮ ਮਿਆਰਾਂ ਨੂੰ ਕਾਇਮ ਰੱਖਦੇ ਹਨ",
+    legacyPara:
+      "ਸਭ ਤੋਂ ਵੱਧ, ਸਾਡੀ ਪੁਰਸਕਾਰ ਜੇਤੂ ਪ੍ਰੈਕਟਿਸ ਉਨ੍ਹਾਂ ਸਥਾਈ ਰਿਸ਼ਤਿਆਂ 'ਤੇ ਅਧਾਰਿਤ ਹੈ ਜੋ ਅਸੀਂ ਹਰ ਗਾਹਕ ਨਾਲ ਬਣਾਉਂਦੇ ਹਾਂ। ਅਸੀਂ ਜੋ ਕਾਨੂੰਨੀ ਅਤੇ ਵਪਾਰਕ ਸਲਾਹ ਦਿੰਦੇ ਹਾਂ, ਉਹ ਆਪਣੇ ਗਾਹਕ ਦੇ ਕਾਰੋਬਾਰੀ ਹਿੱਤਾਂ ਦੀ ਇਸੇ ਸੁਚੇਤ ਸਮਝ ਨੂੰ ਦਰਸਾਉਂਦੀ ਹੈ।",
+  },
+
+  founderMessage: {
+    founderTitle: "ਸਾਡੇ ਸੰਸਥਾਪਕਾਂ ਦਾ ਸੁਨੇਹਾ",
+    founderPara:
+      "ਅਸੀਂ ਬਹੁਤ ਸ਼ੁਕਰਗੁਜ਼ਾਰ ਹਾਂ ਕਿ ਸਾਨੂੰ ਛੋਟੇ, ਦਰਮਿਆਨੇ ਅਤੇ ਵੱਡੇ ਹਰ ਤਰ੍ਹਾਂ ਦੇ ਉਦਯੋਗਾਂ ਦੇ ਗਾਹਕਾਂ ਦੀ ਸੇਵਾ ਕਰਨ ਦਾ ਮਾਣ ਮਿਲਿਆ, ਅਤੇ ਭਾਰਤ ਗਣਰਾਜ ਵੱਲੋਂ ਵਕਾਲਤ ਕਰਨ ਦਾ ਮੌਕਾ ਮਿਲਿਆ। ਅਸੀਂ ਨਿਮਰਤਾ ਨਾਲ ਪਿਛਲੀਆਂ ਪੀੜ੍ਹੀਆਂ ਦੇ ਅਸ਼ੀਰਵਾਦ ਅਤੇ ਉਨ੍ਹਾਂ ਦੇ ਉੱਚੇ ਮੋਢਿਆਂ ਨੂੰ ਸਵੀਕਾਰ ਕਰਦੇ ਹਾਂ। ਉਨ੍ਹਾਂ ਵੱਲੋਂ ਦਿੱਤੀਆਂ ਡੂੰਘੀਆਂ ਕਦਰਾਂ-ਕੀਮਤਾਂ ਸਾਨੂੰ ਅਜਿਹਾ ਮੰਚ ਬਣਾਉਣ ਲਈ ਪ੍ਰੇਰਿਤ ਕਰਦੀਆਂ ਰਹਿੰਦੀਆਂ ਹਨ ਜੋ ਮਿਲ ਕੇ ਸਾਡੇ ਸਭ ਤੋਂ ਵਧੀਆ ਰੂਪ ਨੂੰ ਉਭਾਰੇ, ਜਦੋਂ ਕਿ ਅਸੀਂ ਆਪਣੇ ਗਾਹਕਾਂ ਦੀ ਸੇਵਾ ਕਰਨ ਅਤੇ ਨਿਆਂ ਦੇ ਉਦੇਸ਼ ਨੂੰ ਅੱਗੇ ਵਧਾਉਣ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰਦੇ ਹਾਂ।",
+    founderName1: "ਕਮਲਾ ਨਾਗਾਨੰਦ",
+    founderDescription1: "ਮੈਨੇਜਿੰਗ ਪਾਰਟਨਰ",
+    founderName2: "ਸ਼੍ਰੇਯਸ ਜੈਸਿੰਹਾ",
+    founderDescription2: "ਸੰਸਥਾਪਕ ਪਾਰਟਨਰ",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "ਜੈਸਿੰਹਾ ਫਾਊਂਡੇਸ਼ਨ",
+    jayasimhaPara1:
+      "ਸਵਰਗੀ ਜਸਟਿਸ ਆਰ. ਜੈਸਿੰਹਾ ਬਾਬੂ (1942-2015) ਦੀ ਯਾਦ ਵਿੱਚ ਸਥਾਪਿਤ ਜੈਸਿੰਹਾ ਫਾਊਂਡੇਸ਼ਨ ਇੱਕ ਸ਼ਾਨਦਾਰ ਵਿਰਾਸਤ ਨੂੰ ਅੱਗੇ ਵਧਾਉਂਦੀ ਹੈ, ਜਿਸ ਦੀਆਂ ਜੜ੍ਹਾਂ ਸੇਵਾ ਦੀ ਭਾਵਨਾ ਰਾਹੀਂ ਉੱਤਮਤਾ ਦੀ ਖੋਜ ਵਿੱਚ ਹਨ।",
+    jayasimhaPara2:
+      "ਇਹ ਫਾਊਂਡੇਸ਼ਨ ਇਮਾਨਦਾਰੀ, ਹਿੰਮਤ ਅਤੇ ਅਨੁਸ਼ਾਸਨ ਦੇ ਉਨ੍ਹਾਂ ਮਾਰਗਦਰਸ਼ਕ ਸਿਧਾਂਤਾਂ ਨੂੰ ਦਰਸਾਉਂਦੀ ਹੈ ਜਿਨ੍ਹਾਂ ਦੀ ਮਿਸਾਲ ਜਸਟਿਸ ਜੈਸਿੰਹਾ ਬਾਬੂ ਸਨ।",
+    jayasimhaPara3:
+      "ਮਦਰਾਸ ਹਾਈ ਕੋਰਟ ਅਤੇ ਉਸ ਤੋਂ ਪਹਿਲਾਂ ਕਰਨਾਟਕ ਹਾਈ ਕੋਰਟ ਦੇ ਜੱਜ ਵਜੋਂ ਆਪਣੀਆਂ ਪ੍ਰਸਿੱਧ ਨਿਯੁਕਤੀਆਂ ਦੌਰਾਨ, ਜਸਟਿਸ ਜੈਸਿੰਹਾ ਬਾਬੂ ਨੇ ਸੰਵਿਧਾਨਕ ਕਾਨੂੰਨ, ਕੰਪਨੀ ਅਤੇ ਵਪਾਰਕ ਕਾਨੂੰਨ ਅਤੇ ਟੈਕਸ ਬਾਰੇ ਵਿਆਪਕ ਤੌਰ 'ਤੇ ਹਵਾਲਾ ਦਿੱਤੇ ਜਾਣ ਵਾਲੇ ਫੈਸਲੇ ਸੁਣਾਏ। ਇਸ ਤੋਂ ਇਲਾਵਾ, ਘਰੇਲੂ ਅਤੇ ਅੰਤਰਰਾਸ਼ਟਰੀ ਵਿਵਾਦਾਂ ਵਿੱਚ ਸਾਲਸ ਵਜੋਂ ਵਿਵਾਦ ਨਿਪਟਾਰੇ ਪ੍ਰਤੀ ਉਨ੍ਹਾਂ ਦੀ ਸੂਝਵਾਨ ਪਹੁੰਚ ਨੂੰ ਬਹੁਤ ਸਤਿਕਾਰ ਨਾਲ ਦੇਖਿਆ ਜਾਂਦਾ ਸੀ।",
+    jayasimhaPara4:
+      "ਕਰਨਾਟਕੀ, ਹਿੰਦੁਸਤਾਨੀ ਅਤੇ ਪੱਛਮੀ ਸ਼ਾਸਤਰੀ ਸੰਗੀਤ ਦੇ ਪਾਰਖੂ, ਜਸਟਿਸ ਬਾਬੂ ਕਾਨੂੰਨ ਦੇ ਖੇਤਰ ਵਿੱਚ ਨੌਜਵਾਨ ਪ੍ਰਤਿਭਾਵਾਂ ਨੂੰ ਉਤਸ਼ਾਹਿਤ ਅਤੇ ਸਸ਼ਕਤ ਕਰਨ ਦੇ ਇੱਛੁਕ ਸਨ।",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "ਕੀ ਤੁਸੀਂ ਸਾਡੀ ਟੀਮ ਵਿੱਚ ਸ਼ਾਮਲ ਹੋਣਾ ਚਾਹੋਗੇ?",
+    joinTeamPara:
+      "ਅਸੀਂ ਇੱਕ ਨਵੀਨਤਾਕਾਰੀ ਸੰਸਥਾ ਹਾਂ ਜੋ ਇੱਕ ਦੂਜੇ ਨੂੰ ਵਧਣ-ਫੁੱਲਣ ਦੇ ਯੋਗ ਬਣਾਉਂਦੀ ਹੈ। ਇਮਾਨਦਾਰੀ, ਕੁਸ਼ਲਤਾ, ਟੀਮ ਵਰਕ ਅਤੇ ਪਰਉਪਕਾਰ ਸਾਡੀ ਬੁਟੀਕ ਪ੍ਰੈਕਟਿਸ ਦੇ ਮੂਲ ਥੰਮ੍ਹ ਹਨ।",
+    joinTeamOpening: "ਮੌਜੂਦਾ ਅਸਾਮੀਆਂ ਦੇਖੋ",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "ਪਾਰਟਨਰ",
+    aboutPartnerPara:
+      "ਸਾਡੀ ਨਿਪੁੰਨ ਟੀਮ ਦੀ ਮੁਹਾਰਤ ਸਾਡੀ ਪ੍ਰੈਕਟਿਸ ਨੂੰ ਵਿਚਾਰਕ ਅਗਵਾਈ, ਮਾਰਗਦਰਸ਼ਨ ਅਤੇ ਉੱਤਮਤਾ ਦੀ ਖੋਜ ਨਾਲ ਜੋੜੀ ਰੱਖਦੀ ਹੈ...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "ਪ੍ਰਸੰਸਾ ਪੱਤਰ",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "ਕੁਨਾਲ ਸ਼ਾਹ",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ ਅਸੀਂ ਤਸੱਲੀਬਖ਼ਸ਼ ਨਤੀਜੇ ਦੇਣ ਲਈ ਟੀਮ ਦੀ ਸਖ਼ਤ ਮਿਹਨਤ ਅਤੇ ਵਚਨਬੱਧਤਾ ਦੀ ਬਹੁਤ ਕਦਰ ਕਰਦੇ ਹਾਂ।”",
+      fullTestimonial: `ਸਾਨੂੰ ਇਹ ਦੱਸਦਿਆਂ ਖੁਸ਼ੀ ਹੈ ਕਿ ਵਨਪੇਪਰ ਆਰਨਾ ਲਾਅ ਦੀਆਂ ਸੇਵਾਵਾਂ ਤੋਂ ਪੂਰੀ ਤਰ੍ਹਾਂ ਸੰਤੁਸ਼ਟ ਹੈ। ਵਿਧੀਸ਼ਾ, ਪੁੰਤੀ ਅਤੇ ਪੂਰੀ ਟੀਮ ਨੇ ਸਾਡੀਆਂ ਲੋੜਾਂ ਪੂਰੀਆਂ ਕਰਨ ਵਿੱਚ ਬੇਮਿਸਾਲ ਹੁਨਰ ਅਤੇ ਲਗਨ ਦਿਖਾਈ। ਉਨ੍ਹਾਂ ਦੇ ਯਤਨਾਂ ਅਤੇ ਸਮੇਂ ਸਿਰ ਮਦਦ ਨੇ ਸਾਡੇ ਮਾਮਲੇ ਵਿੱਚ ਅਨੁਕੂਲ ਹੁਕਮ ਪ੍ਰਾਪਤ ਕਰਨ ਵਿੱਚ ਅਹਿਮ ਭੂਮਿਕਾ ਨਿਭਾਈ।
+        ਅਸੀਂ ਤਸੱਲੀਬਖ਼ਸ਼ ਨਤੀਜੇ ਦੇਣ ਲਈ ਟੀਮ ਦੀ ਸਖ਼ਤ ਮਿਹਨਤ ਅਤੇ ਵਚਨਬੱਧਤਾ ਦੀ ਬਹੁਤ ਕਦਰ ਕਰਦੇ ਹਾਂ।
+        ਤੁਹਾਡੇ ਸਹਿਯੋਗ ਲਈ ਇੱਕ ਵਾਰ ਫਿਰ ਧੰਨਵਾਦ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "ਪੱਲਵੀ ਰਾਓ ਅਤੇ ਅਰੁਣ ਕੀਜ਼ਪਦਾਥਿਲ",
+      post: "ਸੰਸਥਾਪਕ",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ ਸਾਨੂੰ ਆਰਨਾ ਲਾਅ ਇੱਕ ਵਿਸ਼ਵ-ਵਿਆਪੀ ਖੋਜ ਤੋਂ ਬਾਅਦ ਮਿਲੀ ਅਤੇ ਅਸੀਂ ਬਹੁਤ ਖੁਸ਼ ਹਾਂ ਕਿ ਅਜਿਹਾ ਹੋਇਆ। ”",
+      fullTestimonial: `ਅਸੀਂ ਇੱਕ ਅਜਿਹੀ ਲਾਅ ਫਰਮ ਦੀ ਭਾਲ ਵਿੱਚ ਸੀ ਜੋ ਮਿਲਣਸਾਰ, ਕਾਬਲ, ਜਲਦੀ ਜਵਾਬ ਦੇਣ ਵਾਲੀ ਹੋਵੇ ਅਤੇ ਸਾਡੇ ਕਾਰੋਬਾਰ ਨੂੰ ਸਮਝਦੀ ਹੋਵੇ, ਅਤੇ ਆਰਨਾ ਲਾਅ ਸਾਡੇ ਲਈ ਇਹ ਸਭ ਕੁਝ ਅਤੇ ਇਸ ਤੋਂ ਵੀ ਵੱਧ ਸਾਬਤ ਹੋਈ। ਸਾਨੂੰ ਆਰਨਾ ਲਾਅ ਇੱਕ ਵਿਸ਼ਵ-ਵਿਆਪੀ ਖੋਜ ਤੋਂ ਬਾਅਦ ਮਿਲੀ ਅਤੇ ਅਸੀਂ ਬਹੁਤ ਖੁਸ਼ ਹਾਂ ਕਿ ਅਜਿਹਾ ਹੋਇਆ।`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "ਟੋਨੀ ਹੇਲਜ਼",
+      post: "ਸੀਈਓ",
+      desingnation: "OG Healthcare",
+      desc: "“ਆਰਨਾ ਲਾਅ ਸਾਡੀਆਂ ਖਾਸ ਲੋੜਾਂ ਨੂੰ ਸਮੇਂ ਸਿਰ ਅਤੇ ਬਜਟ ਦੇ ਅੰਦਰ ਪੂਰਾ ਕਰਨ ਵਿੱਚ ਸਫਲ ਰਹੀ - ਸੱਚਮੁੱਚ ਇੱਕ ਪੇਸ਼ੇਵਰ ਫਰਮ ਜਿਸ ਕੋਲ ਕਈ ਖੇਤਰਾਂ ਵਿੱਚ ਗਿਆਨ, ਤਜਰਬਾ ਅਤੇ ਨੈੱਟਵਰਕ ਹੈ।”",
+      fullTestimonial: `ਸ਼੍ਰੇਯਸ ਅਤੇ ਆਰਨਾ ਲਾਅ ਦੀ ਟੀਮ ਦਾ ਸ਼ੁਰੂਆਤੀ ਸਲਾਹ ਅਤੇ ਬਾਅਦ ਵਿੱਚ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਦੇਣ ਲਈ ਧੰਨਵਾਦ। ਇਹ ਕੋਈ ਆਮ ਮਾਮਲਾ ਨਹੀਂ ਸੀ, ਫਿਰ ਵੀ ਆਰਨਾ ਲਾਅ ਸਾਡੀਆਂ ਖਾਸ ਲੋੜਾਂ ਨੂੰ ਸਮੇਂ ਸਿਰ ਅਤੇ ਬਜਟ ਦੇ ਅੰਦਰ ਪੂਰਾ ਕਰਨ ਵਿੱਚ ਸਫਲ ਰਹੀ - ਸੱਚਮੁੱਚ ਇੱਕ ਪੇਸ਼ੇਵਰ ਫਰਮ ਜਿਸ ਕੋਲ ਕਈ ਖੇਤਰਾਂ ਵਿੱਚ ਗਿਆਨ, ਤਜਰਬਾ ਅਤੇ ਨੈੱਟਵਰਕ ਹੈ। ਇੱਕ ਵਾਰ ਫਿਰ ਧੰਨਵਾਦ।`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "ਵਿਨੈ ਭਗਵਾਨ",
+      post: "ਜਨਰਲ ਕੌਂਸਲ",
+      desingnation: "Daimler Trucks India",
+      desc: "“ਮੈਂ ਉੱਚ ਪੱਧਰੀ ਕਾਨੂੰਨੀ ਨੁਮਾਇੰਦਗੀ ਚਾਹੁਣ ਵਾਲੇ ਹਰ ਵਿਅਕਤੀ ਨੂੰ ਆਰਨਾ ਲਾਅ ਅਤੇ ਇਸ ਦੀ ਸ਼ਾਨਦਾਰ ਟੀਮ ਦੀ ਦਿਲੋਂ ਸਿਫ਼ਾਰਸ਼ ਕਰਦਾ ਹਾਂ।”",
+      fullTestimonial: `ਆਰਨਾ ਲਾਅ ਨਾਲ ਮੇਰਾ ਤਜਰਬਾ ਬੇਮਿਸਾਲ ਤੋਂ ਘੱਟ ਨਹੀਂ ਰਿਹਾ। ਫਰਮ ਦੇ ਸੰਸਥਾਪਕ ਪਾਰਟਨਰ ਸ਼੍ਰੇਯਸ ਅਤੇ ਕਮਲਾ ਨੇ ਕਮਾਲ ਦੀ ਦੂਰਦਰਸ਼ਤਾ ਅਤੇ ਲਗਨ ਨਾਲ ਫਰਮ ਨੂੰ ਚਲਾਇਆ ਅਤੇ ਇਸ ਨੂੰ ਨਵੀਆਂ ਉਚਾਈਆਂ 'ਤੇ ਪਹੁੰਚਾਇਆ। ਉਨ੍ਹਾਂ ਦੀ ਅਗਵਾਈ ਅਤੇ ਉੱਤਮਤਾ ਪ੍ਰਤੀ ਡੂੰਘੀ ਵਚਨਬੱਧਤਾ ਆਰਨਾ ਲਾਅ ਨੂੰ ਕਾਨੂੰਨੀ ਖੇਤਰ ਵਿੱਚ ਵੱਖਰਾ ਬਣਾਉਂਦੀ ਹੈ।
+      ਪਤੀ-ਪਤਨੀ ਦੀ ਟੀਮ ਵਜੋਂ ਸ਼੍ਰੇਯਸ ਅਤੇ ਕਮਲਾ ਫਰਮ ਵਿੱਚ ਇੱਕ ਵਿਲੱਖਣ ਊਰਜਾ ਲਿਆਉਂਦੇ ਹਨ, ਅਤੇ ਆਪਣੀਆਂ ਨਿੱਜੀ ਖੂਬੀਆਂ ਨੂੰ ਮਿਲਾ ਕੇ ਇੱਕ ਇਕਸੁਰ ਅਤੇ ਬਹੁਤ ਪ੍ਰਭਾਵਸ਼ਾਲੀ ਭਾਈਵਾਲੀ ਬਣਾਉਂਦੇ ਹਨ। ਉਨ੍ਹਾਂ ਦੀ ਰਣਨੀਤਕ ਸੂਝ ਅਤੇ ਬਾਰੀਕੀ ਵੱਲ ਧਿਆਨ ਗੁੰਝਲਦਾਰ ਕਾਨੂੰਨੀ ਚੁਣੌਤੀਆਂ ਵਿੱਚ ਸਾਡੀ ਅਗਵਾਈ ਕਰਨ ਵਿੱਚ ਅਹਿਮ ਰਿਹਾ ਹੈ।
+      ਮੈਂ ਨਵੀਨਤਾ ਲਈ ਉਨ੍ਹਾਂ ਦੀ ਰੁਚੀ ਤੋਂ ਖਾਸ ਤੌਰ 'ਤੇ ਪ੍ਰਭਾਵਿਤ ਹਾਂ, ਖਾਸ ਕਰਕੇ ਆਪਣੀ ਪ੍ਰੈਕਟਿਸ ਵਿੱਚ ਅਤਿ-ਆਧੁਨਿਕ ਤਕਨਾਲੋਜੀ ਨੂੰ ਸ਼ਾਮਲ ਕਰਨ ਦੇ ਉਨ੍ਹਾਂ ਦੇ ਯਤਨਾਂ ਤੋਂ। ਇਹ ਅਗਾਂਹਵਧੂ ਪਹੁੰਚ ਨਾ ਸਿਰਫ਼ ਕੁਸ਼ਲਤਾ ਵਧਾਉਂਦੀ ਹੈ ਬਲਕਿ ਇਹ ਵੀ ਯਕੀਨੀ ਬਣਾਉਂਦੀ ਹੈ ਕਿ ਗਾਹਕਾਂ ਨੂੰ ਉਪਲਬਧ ਸਭ ਤੋਂ ਉੱਨਤ ਅਤੇ ਪ੍ਰਭਾਵਸ਼ਾਲੀ ਕਾਨੂੰਨੀ ਹੱਲ ਮਿਲਣ।
+      ਆਪਣੀ ਤਕਨੀਕੀ ਮੁਹਾਰਤ ਤੋਂ ਇਲਾਵਾ, ਸ਼੍ਰੇਯਸ ਅਤੇ ਕਮਲਾ ਆਪਣੀ ਇਮਾਨਦਾਰੀ, ਨੈਤਿਕ ਮਿਆਰਾਂ ਅਤੇ ਆਪਣੇ ਗਾਹਕਾਂ ਦੀ ਸੱਚੀ ਪਰਵਾਹ ਲਈ ਜਾਣੇ ਜਾਂਦੇ ਹਨ। ਉਨ੍ਹਾਂ ਨੇ ਭਰੋਸੇ ਅਤੇ ਉੱਤਮਤਾ ਦਾ ਅਜਿਹਾ ਸੱਭਿਆਚਾਰ ਬਣਾਇਆ ਹੈ ਜੋ ਪੂਰੀ ਫਰਮ ਵਿੱਚ ਸਮਾਇਆ ਹੋਇਆ ਹੈ।
+      ਮੈਂ ਉੱਚ ਪੱਧਰੀ ਕਾਨੂੰਨੀ ਨੁਮਾਇੰਦਗੀ ਚਾਹੁਣ ਵਾਲੇ ਹਰ ਵਿਅਕਤੀ ਨੂੰ ਆਰਨਾ ਲਾਅ ਅਤੇ ਇਸ ਦੀ ਸ਼ਾਨਦਾਰ ਟੀਮ ਦੀ ਦਿਲੋਂ ਸਿਫ਼ਾਰਸ਼ ਕਰਦਾ ਹਾਂ।`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "ਨਵੀਨ ਰੈੱਡੀ",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“ਆਰਨਾ ਲਾਅ ਨੇ ਕਰਮਚਾਰੀ ਸਮਝੌਤਿਆਂ ਤੋਂ ਲੈ ਕੇ ਵਪਾਰਕ ਸਮਝੌਤਿਆਂ ਦੇ ਖਰੜੇ ਤੱਕ ਮੇਰੀਆਂ ਸਾਰੀਆਂ ਕਾਨੂੰਨੀ ਲੋੜਾਂ ਵਿੱਚ ਮੇਰਾ ਸਾਥ ਦਿੱਤਾ ਹੈ।”",
+      fullTestimonial: `ਆਰਨਾ ਲਾਅ ਨੇ ਕਰਮਚਾਰੀ ਸਮਝੌਤਿਆਂ ਤੋਂ ਲੈ ਕੇ ਵਪਾਰਕ ਸਮਝੌਤਿਆਂ ਦੇ ਖਰੜੇ ਤੱਕ ਮੇਰੀਆਂ ਸਾਰੀਆਂ ਕਾਨੂੰਨੀ ਲੋੜਾਂ ਵਿੱਚ ਮੇਰਾ ਸਾਥ ਦਿੱਤਾ ਹੈ। ਕਾਰੋਬਾਰ ਨਾਲ ਜੁੜੇ ਸਾਰੇ ਮਸਲਿਆਂ ਨੂੰ ਉਨ੍ਹਾਂ ਨੇ ਆਸਾਨੀ ਅਤੇ ਬਾਰੀਕੀ ਨਾਲ ਹੱਲ ਕੀਤਾ। ਆਪਣੀਆਂ ਸਾਰੀਆਂ ਕਾਨੂੰਨੀ ਲੋੜਾਂ ਲਈ ਮੈਂ ਉਨ੍ਹਾਂ ਕੋਲ ਹੀ ਜਾਂਦਾ ਹਾਂ।`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "ਆਸ਼ਿਕਾ ਅਬਰਾਹਮ",
+      post: "ਸੰਸਥਾਪਕ",
+      desingnation: "Mammamiya",
+      desc: "“ ਮੈਨੂੰ ਆਰਨਾ ਲਾਅ ਵਿੱਚ ਸ਼੍ਰੇਯਸ ਅਤੇ ਕਮਲਾ ਅਤੇ ਉਨ੍ਹਾਂ ਦੀ ਟੀਮ ਨਾਲ ਕੰਮ ਕਰਕੇ ਬਹੁਤ ਆਨੰਦ ਆਇਆ - ਮੁੱਖ ਤੌਰ 'ਤੇ ਇਸ ਲਈ ਕਿ ਉਨ੍ਹਾਂ ਦੀ ਕਾਨੂੰਨੀ ਰਾਏ ਹਮੇਸ਼ਾ ਸਿਆਣਪ, ਦ੍ਰਿਸ਼ਟੀਕੋਣ ਅਤੇ ਵਪਾਰਕ, ਸਮਾਜਿਕ ਅਤੇ ਸਿਆਸੀ ਪ੍ਰਸੰਗ ਨਾਲ ਸੰਤੁਲਿਤ ਹੁੰਦੀ ਹੈ।”",
+      fullTestimonial: `ਮੈਨੂੰ ਆਰਨਾ ਲਾਅ ਵਿੱਚ ਸ਼੍ਰੇਯਸ ਅਤੇ ਕਮਲਾ ਅਤੇ ਉਨ੍ਹਾਂ ਦੀ ਟੀਮ ਨਾਲ ਕੰਮ ਕਰਕੇ ਬਹੁਤ ਆਨੰਦ ਆਇਆ - ਮੁੱਖ ਤੌਰ 'ਤੇ ਇਸ ਲਈ ਕਿ ਉਨ੍ਹਾਂ ਦੀ ਕਾਨੂੰਨੀ ਰਾਏ ਹਮੇਸ਼ਾ ਸਿਆਣਪ, ਦ੍ਰਿਸ਼ਟੀਕੋਣ ਅਤੇ ਵਪਾਰਕ, ਸਮਾਜਿਕ ਅਤੇ ਸਿਆਸੀ ਪ੍ਰਸੰਗ ਨਾਲ ਸੰਤੁਲਿਤ ਹੁੰਦੀ ਹੈ।
+      ਨਿਆਂ ਲਈ ਉਨ੍ਹਾਂ ਦੀ ਅੰਦਰੂਨੀ ਲਗਨ ਉਨ੍ਹਾਂ ਦੀ ਪ੍ਰੈਕਟਿਸ ਨੂੰ ਮਜ਼ਬੂਤ ਬਣਾਉਂਦੀ ਹੈ, ਅਤੇ ਇਹ ਜਲਦੀ ਤੋਂ ਜਲਦੀ ਕਾਨੂੰਨੀ ਹੱਲ ਅਤੇ ਸਮਝੌਤੇ ਲੱਭਣ ਦੀ ਉਨ੍ਹਾਂ ਦੀ ਵਚਨਬੱਧਤਾ ਵਿੱਚ ਸਾਫ਼ ਦਿਖਾਈ ਦਿੰਦੀ ਹੈ।`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "ਮੁਕੇਸ਼ ਸ਼ਾਹ",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ ਇਹ ਤਜਰਬਾ ਬੇਮਿਸਾਲ ਤੋਂ ਘੱਟ ਨਹੀਂ ਸੀ। ਸ਼੍ਰੀ ਜੈਸਿੰਹਾ ਅਤੇ ਉਨ੍ਹਾਂ ਦੀ ਟੀਮ ਨੇ ਸ਼ਾਨਦਾਰ ਪੇਸ਼ੇਵਰਤਾ, ਮੁਹਾਰਤ ਅਤੇ ਲਗਨ ਦਿਖਾਈ।”",
+      fullTestimonial: `ਨੋਵਾਲਾਈਟ ਲਿਮਿਟੇਡ ਵਿੱਚ ਸਾਨੂੰ ਕਈ ਗੁੰਝਲਦਾਰ ਕਾਨੂੰਨੀ ਮਾਮਲਿਆਂ 'ਤੇ ਆਰਨਾ ਲਾਅ, ਅਤੇ ਖਾਸ ਕਰਕੇ ਸ਼੍ਰੀ ਸ਼੍ਰੇਯਸ ਜੈਸਿੰਹਾ ਨਾਲ ਕੰਮ ਕਰਨ ਦਾ ਮੌਕਾ ਮਿਲਿਆ। ਇਹ ਤਜਰਬਾ ਬੇਮਿਸਾਲ ਤੋਂ ਘੱਟ ਨਹੀਂ ਸੀ। ਸ਼੍ਰੀ ਜੈਸਿੰਹਾ ਅਤੇ ਉਨ੍ਹਾਂ ਦੀ ਟੀਮ ਨੇ ਸ਼ਾਨਦਾਰ ਪੇਸ਼ੇਵਰਤਾ, ਮੁਹਾਰਤ ਅਤੇ ਲਗਨ ਦਿਖਾਈ।
+        ਜੋ ਚੀਜ਼ ਆਰਨਾ ਲਾਅ ਨੂੰ ਸੱਚਮੁੱਚ ਵੱਖਰਾ ਬਣਾਉਂਦੀ ਹੈ ਉਹ ਹੈ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਪ੍ਰਤੀ ਉਨ੍ਹਾਂ ਦੀ ਸਮੁੱਚੀ ਪਹੁੰਚ। ਉਹ ਨਾ ਸਿਰਫ਼ ਕਾਨੂੰਨੀ ਕਾਰਵਾਈਆਂ ਵਿੱਚ ਸ਼ੁੱਧਤਾ ਨਾਲ ਅਗਵਾਈ ਕਰਦੇ ਹਨ ਬਲਕਿ ਅਜਿਹੀ ਕੀਮਤੀ ਸਲਾਹ ਵੀ ਦਿੰਦੇ ਹਨ ਜੋ ਸਾਡੇ ਕਾਰੋਬਾਰੀ ਤੌਰ-ਤਰੀਕਿਆਂ ਨਾਲ ਪੂਰੀ ਤਰ੍ਹਾਂ ਮੇਲ ਖਾਂਦੀ ਹੈ। ਸਾਡੀਆਂ ਵਿਲੱਖਣ ਲੋੜਾਂ ਨੂੰ ਸਮਝਣ ਅਤੇ ਉਸ ਅਨੁਸਾਰ ਆਪਣੀਆਂ ਸੇਵਾਵਾਂ ਢਾਲਣ ਦੀ ਉਨ੍ਹਾਂ ਦੀ ਯੋਗਤਾ ਨੇ ਵੱਡਾ ਫ਼ਰਕ ਪਾਇਆ।
+        ਅਸੀਂ ਸ਼੍ਰੀ ਜੈਸਿੰਹਾ ਅਤੇ ਆਰਨਾ ਲਾਅ ਦੀ ਪੂਰੀ ਟੀਮ ਦੇ ਸਹਿਯੋਗ ਅਤੇ ਸੂਝ ਲਈ ਬੇਹੱਦ ਸ਼ੁਕਰਗੁਜ਼ਾਰ ਹਾਂ। ਉਹ ਸਿਰਫ਼ ਕਾਨੂੰਨੀ ਸਲਾਹਕਾਰ ਨਹੀਂ ਰਹੇ; ਉਹ ਸਾਡੇ ਕਾਰੋਬਾਰੀ ਸਫ਼ਰ ਵਿੱਚ ਸੱਚੇ ਭਾਈਵਾਲ ਰਹੇ ਹਨ।
+        ਆਰਨਾ ਲਾਅ, ਉੱਤਮਤਾ ਪ੍ਰਤੀ ਤੁਹਾਡੀ ਅਟੱਲ ਵਚਨਬੱਧਤਾ ਲਈ ਧੰਨਵਾਦ। ਅਸੀਂ ਭਵਿੱਖ ਵਿੱਚ ਵੀ ਆਪਣਾ ਸਹਿਯੋਗ ਜਾਰੀ ਰੱਖਣ ਦੀ ਉਮੀਦ ਕਰਦੇ ਹਾਂ।`,
+    },
+    {
+      imageUrl: "",
+      name: "ਪ੍ਰਣਵ ਨਾਹਰ",
+      post: "ਉੱਦਮੀ",
+      desingnation: "",
+      desc: "“ਉਨ੍ਹਾਂ ਦੀ ਗਾਹਕ ਸੇਵਾ ਅਤੇ ਕਾਨੂੰਨੀ ਮੁਹਾਰਤ ਬਹੁਤ ਪੇਸ਼ੇਵਰ ਸੀ। ਉਨ੍ਹਾਂ ਨਾਲ ਕੰਮ ਕਰਨਾ ਖੁਸ਼ੀ ਦੀ ਗੱਲ ਸੀ।”",
+      fullTestimonial: `ਮੰਜੂਸ਼੍ਰੀ ਅਤੇ ਆਰਨਾ ਲਾਅ ਦੀ ਟੀਮ ਨੂੰ ਸਾਡੇ ਰੀਅਲ ਅਸਟੇਟ ਫਿਨਟੈੱਕ ਕਾਰੋਬਾਰ ਲਈ ਸਭ ਤੋਂ ਢੁਕਵਾਂ ਅਤੇ ਨਿਯਮਾਂ ਅਨੁਸਾਰ ਢਾਂਚਾ ਲੱਭਣ ਦੀ ਜ਼ਿੰਮੇਵਾਰੀ ਸੌਂਪੀ ਗਈ ਸੀ। ਉਨ੍ਹਾਂ ਨੇ ਇਹ ਕੰਮ ਸਪਸ਼ਟਤਾ ਅਤੇ ਵੇਰਵੇ ਨਾਲ ਕੀਤਾ। ਸਾਨੂੰ ਇਸ ਗੱਲ ਨੇ ਪ੍ਰਭਾਵਿਤ ਕੀਤਾ ਕਿ ਸਾਡੇ ਕਈ ਸ਼ੰਕੇ ਅਤੇ ਸਵਾਲ ਸਨ ਜਿਨ੍ਹਾਂ 'ਤੇ ਅਸੀਂ ਡਟੇ ਰਹੇ, ਅਤੇ ਉਨ੍ਹਾਂ ਨੇ ਧੀਰਜ ਨਾਲ ਸਾਡੇ ਮੰਗੇ ਹਰ ਵੇਰਵੇ 'ਤੇ ਕੰਮ ਕੀਤਾ। ਉਨ੍ਹਾਂ ਦੀ ਗਾਹਕ ਸੇਵਾ ਅਤੇ ਕਾਨੂੰਨੀ ਮੁਹਾਰਤ ਬਹੁਤ ਪੇਸ਼ੇਵਰ ਸੀ। ਉਨ੍ਹਾਂ ਨਾਲ ਕੰਮ ਕਰਨਾ ਖੁਸ਼ੀ ਦੀ ਗੱਲ ਸੀ।`,
+    },
+    {
+      imageUrl: "",
+      name: "ਪਵਨ ਜੈਨ",
+      post: "ਉਪ ਪ੍ਰਧਾਨ",
+      desingnation: "ਵਿੱਤ",
+      desc: "“ ਉਨ੍ਹਾਂ ਨੇ ਕੰਮ ਪ੍ਰਤੀ ਉੱਚ ਪੱਧਰ ਦੀ ਵਚਨਬੱਧਤਾ ਦਿਖਾਈ ਅਤੇ ਸਮਾਂ-ਸੀਮਾਵਾਂ ਅਤੇ ਉਮੀਦਾਂ ਦਾ ਸਤਿਕਾਰ ਕੀਤਾ।”",
+      fullTestimonial: `ਸ਼੍ਰੀਮਤੀ ਕਮਲਾ ਅਤੇ ਉਨ੍ਹਾਂ ਦੀ ਪੂਰੀ ਟੀਮ ਆਪਣੀ ਪਹੁੰਚ ਵਿੱਚ ਬੇਹੱਦ ਪੇਸ਼ੇਵਰ ਹੈ ਅਤੇ ਹਰ ਸਮੇਂ ਸੁਝਾਵਾਂ ਲਈ ਤਿਆਰ ਰਹਿੰਦੀ ਹੈ। ਉਨ੍ਹਾਂ ਨੇ ਕੰਮ ਪ੍ਰਤੀ ਉੱਚ ਪੱਧਰ ਦੀ ਵਚਨਬੱਧਤਾ ਦਿਖਾਈ ਅਤੇ ਸਮਾਂ-ਸੀਮਾਵਾਂ ਅਤੇ ਉਮੀਦਾਂ ਦਾ ਸਤਿਕਾਰ ਕੀਤਾ। ਉਨ੍ਹਾਂ ਨਾਲ ਕੰਮ ਕਰਨਾ ਸੱਚਮੁੱਚ ਖੁਸ਼ੀ ਦੀ ਗੱਲ ਸੀ ਅਤੇ ਅਸੀਂ ਭਵਿੱਖ ਵਿੱਚ ਵੀ ਉਨ੍ਹਾਂ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਉਮੀਦ ਕਰਦੇ ਹਾਂ।`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "ਸਾਡੀ ਵਿਰਾਸਤ",
+    legacyHeadline1: "ਨੌਂ ਦਹਾਕਿਆਂ ਤੋਂ ਵੱਧ ਵਚਨਬੱਧਤਾ ਅਤੇ ਸੇਵਾ 'ਤੇ ਅਧਾਰਿਤ",
+    legacyPara1:
+      "ਵੱਖ-ਵੱਖ ਖੇਤਰਾਂ, ਉਦਯੋਗਾਂ ਅਤੇ ਅੰਤਰਰਾਸ਼ਟਰੀ ਸਰਹੱਦਾਂ ਤੋਂ ਪਾਰ, ਸਾਡੀਆਂ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਅਤੇ ਹੱਲ ਕੁਦਰਤੀ ਕਾਨੂੰਨ, ਨਿਆਂ ਅਤੇ ਹਮਦਰਦੀ ਦੇ ਸਾਡੇ ਸਿਧਾਂਤਾਂ ਨਾਲ ਸਮਝੌਤਾ ਕੀਤੇ ਬਿਨਾਂ ਸਾਡੇ ਗਾਹਕਾਂ ਦੇ ਸਰਵੋਤਮ ਹਿੱਤਾਂ ਦੀ ਨੁਮਾਇੰਦਗੀ ਲਈ ਖਾਸ ਤੌਰ 'ਤੇ ਤਿਆਰ ਕੀਤੇ ਜਾਂਦੇ ਹਨ",
+    legacyPara2:
+      "ਅਸੀਂ ਘਰੇਲੂ, ਵਿਦੇਸ਼ੀ ਅਤੇ ਪਰਵਾਸੀ ਗਾਹਕਾਂ ਨੂੰ ਕਈ ਮੁੱਦਿਆਂ 'ਤੇ ਸਲਾਹ ਦਿੰਦੇ ਹਾਂ। ਰੈਗੂਲੇਟਰੀ, ਵਿੱਤੀ ਅਤੇ ਕਾਨੂੰਨੀ ਜੋਖਮ ਘਟਾਉਣ ਤੋਂ ਲੈ ਕੇ ਰਾਸ਼ਟਰੀ ਅਤੇ ਅੰਤਰਰਾਸ਼ਟਰੀ ਕਾਨੂੰਨ ਦੇ ਬਹੁਤ ਵਿਸ਼ੇਸ਼ ਖੇਤਰਾਂ ਵਿੱਚ ਰਾਹ ਦਿਖਾਉਣ ਤੱਕ, ਅਸੀਂ ਅਟੱਲ ਇਮਾਨਦਾਰੀ ਨਾਲ ਸਲਾਹ ਦਿੰਦੇ ਹਾਂ।",
+  },
+
+  ourServicesTitle: {
+    ourServices: "ਸਾਡੀਆਂ ਸੇਵਾਵਾਂ",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "ਸਾਡੀ ਫਰਮ",
+  },
+
+  disputes: {
+    disputesTitle: "ਵਿਵਾਦ ਜੋ ਅਸੀਂ ਸੁਲਝਾਉਂਦੇ ਹਾਂ",
+  },
+
+  disputesDetails: [
+    {
+      name: "ਵਪਾਰਕ ਮੁਕੱਦਮੇਬਾਜ਼ੀ",
+    },
+    {
+      name: "ਸਾਲਸੀ",
+    },
+    {
+      name: "ਅੰਤਰਰਾਸ਼ਟਰੀ ਸਾਲਸੀ",
+    },
+    {
+      name: "ਵਿਚੋਲਗੀ",
+    },
+    {
+      name: "ਉਸਾਰੀ ਵਿਵਾਦ",
+    },
+    {
+      name: "ਰੀਅਲ ਅਸਟੇਟ ਵਿਵਾਦ",
+    },
+    {
+      name: "ਸ਼ੇਅਰਧਾਰਕ ਵਿਵਾਦ",
+    },
+    {
+      name: "ਮੁਕੱਦਮਾ ਅਤੇ ਵਕਾਲਤ",
+    },
+    {
+      name: "ਕਾਰਪੋਰੇਟ ਵਿਵਾਦ",
+    },
+    {
+      name: "ਪੁਨਰਗਠਨ ਅਤੇ ਦੀਵਾਲੀਆਪਨ",
+    },
+    {
+      name: "ਰੈਗੂਲੇਟਰੀ ਵਿਵਾਦ",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "ਅੰਕੜਿਆਂ ਵਿੱਚ ਸਾਡਾ ਰਿਕਾਰਡ",
+    yearsOfLegacy: "ਸਾਡੀ ਵਿਰਾਸਤ ਦੇ ਸਾਲ",
+    clientsServed: "ਸੇਵਾ ਪ੍ਰਾਪਤ ਗਾਹਕ",
+    disputesResolved: "ਹੱਲ ਕੀਤੇ ਵਿਵਾਦ",
+  },
+
+  awards: {
+    awardsTitle: "ਪੁਰਸਕਾਰ ਅਤੇ ਸਨਮਾਨ",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "ਸਾਡੀ ਗਤੀਸ਼ੀਲ ਟੀਮ ਪ੍ਰੈਕਟਿਸ ਦੇ ਵਿਭਿੰਨ ਖੇਤਰਾਂ ਵਿੱਚ ਤਜਰਬੇਕਾਰ ਸਲਾਹ ਪ੍ਰਦਾਨ ਕਰਦੀ ਹੈ",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "ਸਾਲਾਂ ਦੌਰਾਨ ਆਰਨਾ ਲਾਅ ਨੇ ਇੱਕ ਭਰੋਸੇਮੰਦ ਸਲਾਹਕਾਰ ਵਜੋਂ ਵਿਸ਼ੇਸ਼ ਸਾਖ ਕਮਾਈ ਹੈ। ਸਾਡੇ ਵੱਲੋਂ ਬਣਾਏ ਲੰਬੇ ਰਿਸ਼ਤੇ ਕਾਨੂੰਨੀ ਦ੍ਰਿਸ਼ ਦੀ ਸਾਡੀ ਡੂੰਘੀ ਸਮਝ, ਸਾਡੀ ਸੂਝ-ਬੂਝ ਅਤੇ ਵਿਹਾਰਕ, ਨਤੀਜਾ-ਮੁਖੀ ਸਲਾਹ ਦੇਣ ਦੀ ਸਾਡੀ ਯੋਗਤਾ ਦਾ ਸਬੂਤ ਹਨ।",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "ਅਸੀਂ ਕਾਨੂੰਨੀ ਸੇਵਾਵਾਂ ਦੀ ਇੱਕ ਵਿਆਪਕ ਲੜੀ ਪੇਸ਼ ਕਰਦੇ ਹਾਂ ਜੋ ਇੱਕ ਦੂਜੇ ਦੀ ਪੂਰਕ ਹਨ, ਜਿਸ ਨਾਲ ਅਸੀਂ ਹਰ ਮਾਮਲੇ 'ਤੇ ਸਮੁੱਚਾ ਅਤੇ ਬਹੁ-ਅਨੁਸ਼ਾਸਨੀ ਨਜ਼ਰੀਆ ਅਪਣਾ ਸਕਦੇ ਹਾਂ। ਸਾਡੇ ਮੁੱਖ ਪ੍ਰੈਕਟਿਸ ਖੇਤਰਾਂ ਵਿੱਚ ਕਾਰਪੋਰੇਟ, ਵਪਾਰਕ ਅਤੇ ਰੈਗੂਲੇਟਰੀ ਸਲਾਹ, ਇਕੁਇਟੀ ਅਤੇ ਕਰਜ਼ਾ ਵਿੱਤ, ਰਲੇਵੇਂ ਅਤੇ ਪ੍ਰਾਪਤੀਆਂ, ਅਤੇ ਵਿਵਾਦ ਨਿਪਟਾਰਾ ਸ਼ਾਮਲ ਹਨ।",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "ਸਾਡੀ ਅਗਾਂਹਵਧੂ ਪ੍ਰੈਕਟਿਸ ਹਰ ਉਦਯੋਗ ਦੇ ਗਾਹਕਾਂ ਨੂੰ ਮਾਹਰ ਸਹਾਇਤਾ ਪ੍ਰਦਾਨ ਕਰਦੀ ਹੈ",
+  },
+  industrieslistTitle: {
+    industrieslist: "ਉਦਯੋਗ ਜਿਨ੍ਹਾਂ ਦੀ ਅਸੀਂ ਸੇਵਾ ਕਰਦੇ ਹਾਂ",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "ਸਾਡੇ ਮਾਹਰਾਂ ਨਾਲ ਸੰਪਰਕ ਕਰੋ",
+  },
+  network: {
+    networkTitle: "ਦੁਨੀਆ ਭਰ ਵਿੱਚ ਵਕੀਲਾਂ ਦਾ ਇੱਕ ਨੈੱਟਵਰਕ",
+    interact: "ਨਕਸ਼ਾ ਵਰਤਣ ਲਈ ਕਲਿੱਕ ਕਰੋ",
+    loadingMap: "ਨਕਸ਼ਾ ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...",
+  },
+
+  translationNotice: {
+    notAvailable: "ਇਹ ਪੰਨਾ ਅਜੇ ਤੁਹਾਡੀ ਭਾਸ਼ਾ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ ਹੈ, ਇਸ ਲਈ ਇਸਨੂੰ ਅੰਗਰੇਜ਼ੀ ਵਿੱਚ ਦਿਖਾਇਆ ਗਿਆ ਹੈ।",
+  },
+
+  // Careers page
+  careers: {
+    title: "ਆਰਨਾ ਲਾਅ ਵਿੱਚ ਕਰੀਅਰ",
+    headline: "ਅੰਤਰਰਾਸ਼ਟਰੀ ਦ੍ਰਿਸ਼ਟੀਕੋਣ ਵਾਲੀ ਗਤੀਸ਼ੀਲ ਕਾਨੂੰਨੀ ਪ੍ਰੈਕਟਿਸ ਦਾ ਹਿੱਸਾ ਬਣੋ",
+    intro:
+      "ਆਰਨਾ ਲਾਅ ਭਾਰਤ ਵਿੱਚ ਸਥਿਤ ਇੱਕ ਅੰਤਰਰਾਸ਼ਟਰੀ ਕਾਨੂੰਨੀ ਸਲਾਹਕਾਰ ਸੰਸਥਾ ਹੈ, ਜਿਸ ਦੀਆਂ ਜੜ੍ਹਾਂ ਕੁਦਰਤੀ ਕਾਨੂੰਨ, ਨਿਆਂ ਅਤੇ ਦਇਆ ਦੇ ਧਾਰਮਿਕ ਸਿਧਾਂਤਾਂ ਵਿੱਚ ਹਨ। ਆਪਣੇ ਵਿਸ਼ਾਲ ਪ੍ਰੈਕਟਿਸ ਖੇਤਰਾਂ ਰਾਹੀਂ ਅਸੀਂ ਰਾਸ਼ਟਰ-ਰਾਜਾਂ, ਅੰਤਰਰਾਸ਼ਟਰੀ ਸੰਗਠਨਾਂ, ਬਹੁ-ਰਾਸ਼ਟਰੀ ਕੰਪਨੀਆਂ, ਵਿਸ਼ੇਸ਼ ਸਟਾਰਟ-ਅੱਪਸ ਅਤੇ ਨਿੱਜੀ ਹਿੱਤਾਂ ਤੱਕ ਫੈਲੇ ਗਾਹਕਾਂ ਨੂੰ ਪ੍ਰਗਤੀਸ਼ੀਲ ਕਾਨੂੰਨੀ ਸਲਾਹ ਦਿੰਦੇ ਹਾਂ।",
+    recruitmentTitle: "ਕਾਨੂੰਨੀ ਅਤੇ ਪ੍ਰਸ਼ਾਸਕੀ ਪੇਸ਼ੇਵਰਾਂ ਦੀ ਭਰਤੀ",
+    recruitment:
+      "ਅਸੀਂ ਅੰਤਰਰਾਸ਼ਟਰੀ ਤਜਰਬੇ, ਮਹੱਤਵਪੂਰਨ ਅਕਾਦਮਿਕ ਪ੍ਰਾਪਤੀਆਂ, ਸਮੀਖਿਅਤ ਰਸਾਲਿਆਂ ਵਿੱਚ ਪ੍ਰਕਾਸ਼ਨਾਂ ਜਾਂ ਤਿੱਖੇ ਕਾਨੂੰਨੀ ਹੁਨਰ ਦੇ ਹੋਰ ਸਬੂਤਾਂ ਵਾਲੇ ਪੇਸ਼ੇਵਰਾਂ ਤੋਂ ਸੁਣਨ ਵਿੱਚ ਹਮੇਸ਼ਾ ਦਿਲਚਸਪੀ ਰੱਖਦੇ ਹਾਂ। ਸਾਨੂੰ ਨਵੀਨ ਅਤੇ ਕਾਬਲ ਪ੍ਰਸ਼ਾਸਕੀ ਤੇ ਸਹਾਇਕ ਟੀਮ ਮੈਂਬਰਾਂ ਵਿੱਚ ਵੀ ਦਿਲਚਸਪੀ ਹੈ। ਜੇ ਤੁਸੀਂ ਸੇਵਾ ਭਾਵਨਾ ਅਤੇ ਕਾਨੂੰਨ ਵਿੱਚ ਉੱਤਮਤਾ ਲਈ ਜਜ਼ਬੇ ਵਾਲੇ ਟੀਮ ਪਲੇਅਰ ਹੋ, ਤਾਂ ਕਿਰਪਾ ਕਰਕੇ ਸੰਪਰਕ ਕਰੋ।",
+    openingsTitle: "ਮੌਜੂਦਾ ਅਸਾਮੀਆਂ",
+    internshipsTitle: "ਇੰਟਰਨਸ਼ਿਪ",
+    applyNow: "ਹੁਣੇ ਅਪਲਾਈ ਕਰੋ",
+    noContent: "ਕੋਈ ਸਮੱਗਰੀ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।",
+    internships: [
+      "ਆਰਨਾ ਵਿੱਚ ਅਸੀਂ ਇੱਕ ਭਰਪੂਰ ਅਤੇ ਚੁਣੌਤੀਪੂਰਨ ਇੰਟਰਨਸ਼ਿਪ ਤਜਰਬਾ ਦਿੰਦੇ ਹਾਂ। ਅਸੀਂ ਸਿਰਫ਼ ਮਜ਼ਬੂਤ ਅਕਾਦਮਿਕ ਰਿਕਾਰਡ ਹੀ ਨਹੀਂ ਦੇਖਦੇ; ਅਸੀਂ ਪ੍ਰੇਰਿਤ, ਸਿੱਖਣ ਲਈ ਉਤਸੁਕ ਅਤੇ ਫਰਮ ਦੀਆਂ ਕਦਰਾਂ-ਕੀਮਤਾਂ ਸਾਂਝੀਆਂ ਕਰਨ ਵਾਲੇ ਵਿਅਕਤੀਆਂ ਦੀ ਭਾਲ ਕਰਦੇ ਹਾਂ। ਸਾਨੂੰ ਆਪਣੇ ਇੰਟਰਨਾਂ ਦੀ ਵਿਭਿੰਨਤਾ ਅਤੇ ਦੇਸ਼ ਭਰ ਦੇ ਵਿਦਿਆਰਥੀਆਂ ਨੂੰ ਦਿੱਤੇ ਮੌਕਿਆਂ ਉੱਤੇ ਮਾਣ ਹੈ।",
+      "ਇੰਟਰਨਸ਼ਿਪ ਦੀ ਮਿਆਦ {minWeeks, number}-{maxWeeks, number} ਹਫ਼ਤੇ ਹੈ। ਇੰਟਰਨਾਂ ਨੂੰ ਸਾਡੀਆਂ ਵਿਵਾਦ, ਦੀਵਾਲੀਆਪਨ ਕਾਨੂੰਨ ਅਤੇ ਕਾਰਪੋਰੇਟ ਸਲਾਹਕਾਰ ਟੀਮਾਂ ਨਾਲ ਕੰਮ ਕਰਨ ਦਾ ਮੌਕਾ ਮਿਲਦਾ ਹੈ। ਇੰਟਰਨਸ਼ਿਪ ਦੌਰਾਨ ਸਾਡੇ ਪ੍ਰੈਕਟਿਸ ਖੇਤਰਾਂ ਦੇ ਵੱਖ-ਵੱਖ ਪਹਿਲੂਆਂ ਦੀ ਵਿਹਾਰਕ ਸਮਝ ਹਾਸਲ ਕਰਨ ਦਾ ਵਿਲੱਖਣ ਮੌਕਾ ਮਿਲਦਾ ਹੈ। ਹਰ ਇੰਟਰਨ ਨੂੰ ਇੱਕ ਸੁਪਰਵਾਈਜ਼ਰ ਸੌਂਪਿਆ ਜਾਂਦਾ ਹੈ; ਫਿਰ ਵੀ ਸਮੁੱਚੇ ਤਜਰਬੇ ਲਈ ਉਨ੍ਹਾਂ ਤੋਂ ਸਾਰੀਆਂ ਟੀਮਾਂ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਉਮੀਦ ਕੀਤੀ ਜਾਂਦੀ ਹੈ।",
+      "ਸਾਡੇ ਇੰਟਰਨਾਂ ਤੋਂ ਸਾਡੇ ਪ੍ਰੈਕਟਿਸ ਖੇਤਰਾਂ ਵਿੱਚ ਕਾਨੂੰਨ ਦੇ ਤਾਜ਼ਾ ਵਿਕਾਸ ਬਾਰੇ ਜਾਣੂ ਰਹਿਣ ਦੀ ਉਮੀਦ ਕੀਤੀ ਜਾਂਦੀ ਹੈ। ਹਰ ਇੰਟਰਨ ਨੂੰ ਖੋਜ ਲਈ ਇੱਕ ਵਿਸ਼ਾ ਦਿੱਤਾ ਜਾਂਦਾ ਹੈ ਅਤੇ ਮਿਆਦ ਦੇ ਅੰਤ ਵਿੱਚ ਪਾਰਟਨਰਾਂ ਅਤੇ ਸਾਰੇ ਐਸੋਸੀਏਟਾਂ ਸਾਹਮਣੇ ਪੇਸ਼ਕਾਰੀ ਦੇਣੀ ਹੁੰਦੀ ਹੈ।",
+      "ਅਸੀਂ ਬੀਏ ਐੱਲਐੱਲਬੀ (ਆਨਰਜ਼) ਪ੍ਰੋਗਰਾਮ ਅਤੇ 3 ਸਾਲਾ ਐੱਲਐੱਲਬੀ ਪ੍ਰੋਗਰਾਮ ਦੇ ਪਹਿਲੇ ਅਤੇ ਦੂਜੇ ਸਾਲ ਦੇ ਵਿਦਿਆਰਥੀਆਂ ਤੋਂ ਇੰਟਰਨਸ਼ਿਪ ਅਰਜ਼ੀਆਂ ਸਵੀਕਾਰ ਨਹੀਂ ਕਰਦੇ।",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "ਪਹਿਲਾ ਨਾਮ",
+    lastName: "ਗੋਤ",
+    name: "ਨਾਮ",
+    email: "ਈਮੇਲ",
+    phone: "ਫ਼ੋਨ ਨੰਬਰ",
+    phonePlaceholder: "ਫ਼ੋਨ ਨੰਬਰ ਦਰਜ ਕਰੋ",
+    mobile: "ਮੋਬਾਈਲ",
+    mobilePlaceholder: "{digits, number} ਅੰਕਾਂ ਦਾ ਮੋਬਾਈਲ ਨੰਬਰ ਦਰਜ ਕਰੋ",
+    college: "ਕਾਲਜ",
+    role: "ਭੂਮਿਕਾ ਚੁਣੋ",
+    selectPlaceholder: "ਕਿਰਪਾ ਕਰਕੇ ਚੁਣੋ",
+    roleOption: "{role, select, Legal {ਕਾਨੂੰਨੀ} Administration {ਪ੍ਰਸ਼ਾਸਨ} Finance {ਵਿੱਤ} other {{role}}}",
+    experience: "ਯੋਗਤਾ ਤੋਂ ਬਾਅਦ ਦੇ ਤਜਰਬੇ ਦੇ ਸਾਲ",
+    experiencePlaceholder: "ਤਜਰਬੇ ਦੇ ਸਾਲ ਦਰਜ ਕਰੋ",
+    inquiry: "ਤੁਹਾਡੀ ਪੁੱਛਗਿੱਛ ਦਾ ਵੇਰਵਾ",
+    resume: "ਫ਼ਾਈਲ ਚੁਣੋ",
+    resumeChange: "ਫ਼ਾਈਲ ਬਦਲਣ ਲਈ ਕਲਿੱਕ ਕਰੋ",
+    resumeUpload: "ਅੱਪਲੋਡ ਕਰਨ ਲਈ ਕਲਿੱਕ ਕਰੋ ਜਾਂ ਖਿੱਚ ਕੇ ਛੱਡੋ",
+    resumeTypes: "PDF, DOCX (ਵੱਧ ਤੋਂ ਵੱਧ {maxMb, number} MB)",
+    interests: "ਆਪਣੀਆਂ ਰੁਚੀਆਂ ਚੁਣੋ",
+    interestOption: "{interest, select, corporateAdvisory {ਕਾਰਪੋਰੇਟ ਸਲਾਹ} hrCompliance {ਐੱਚਆਰ ਪਾਲਣਾ} other {ਹੋਰ}}",
+    detailsTitle: "ਆਪਣਾ ਵੇਰਵਾ ਦਰਜ ਕਰੋ",
+    close: "ਬੰਦ ਕਰੋ",
+    submit: "ਜਮ੍ਹਾਂ ਕਰੋ",
+    submitting: "ਜਮ੍ਹਾਂ ਹੋ ਰਿਹਾ ਹੈ...",
+    subscribe: "ਸਬਸਕ੍ਰਾਈਬ ਕਰੋ",
+    loading: "ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...",
+    applicationSent: "ਅਰਜ਼ੀ ਸਫਲਤਾਪੂਰਵਕ ਜਮ੍ਹਾਂ ਹੋ ਗਈ!",
+    contactSent: "ਫ਼ਾਰਮ ਸਫਲਤਾਪੂਰਵਕ ਜਮ੍ਹਾਂ ਹੋ ਗਿਆ!",
+    subscribed: "ਨਿਊਜ਼ਲੈਟਰ ਲਈ ਸਫਲਤਾਪੂਰਵਕ ਸਬਸਕ੍ਰਾਈਬ ਹੋ ਗਿਆ!",
+    errors: {
+      heading: "{count, plural, one {ਕਿਰਪਾ ਕਰਕੇ ਹੇਠਲੀ ਗਲਤੀ ਠੀਕ ਕਰੋ:} other {ਕਿਰਪਾ ਕਰਕੇ ਹੇਠਲੀਆਂ ਗਲਤੀਆਂ ਠੀਕ ਕਰੋ:}}",
+      firstNameRequired: "ਪਹਿਲਾ ਨਾਮ ਲੋੜੀਂਦਾ ਹੈ",
+      lastNameRequired: "ਗੋਤ ਲੋੜੀਂਦਾ ਹੈ",
+      nameRequired: "ਨਾਮ ਲੋੜੀਂਦਾ ਹੈ",
+      emailRequired: "ਈਮੇਲ ਲੋੜੀਂਦੀ ਹੈ",
+      emailInvalid: "ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਵੈਧ ਈਮੇਲ ਪਤਾ ਦਰਜ ਕਰੋ",
+      phoneRequired: "ਫ਼ੋਨ ਨੰਬਰ ਲੋੜੀਂਦਾ ਹੈ",
+      phoneTooShort: "ਫ਼ੋਨ ਨੰਬਰ ਘੱਟੋ-ਘੱਟ {min, plural, one {# ਅੰਕ} other {# ਅੰਕਾਂ}} ਦਾ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ",
+      phoneTooLong: "ਫ਼ੋਨ ਨੰਬਰ {max, plural, one {# ਅੰਕ} other {# ਅੰਕਾਂ}} ਤੋਂ ਵੱਧ ਨਹੀਂ ਹੋ ਸਕਦਾ",
+      mobileRequired: "ਮੋਬਾਈਲ ਨੰਬਰ ਲੋੜੀਂਦਾ ਹੈ",
+      mobileTooShort: "ਮੋਬਾਈਲ ਨੰਬਰ ਘੱਟੋ-ਘੱਟ {min, plural, one {# ਅੰਕ} other {# ਅੰਕਾਂ}} ਦਾ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ",
+      mobileTooLong: "ਮੋਬਾਈਲ ਨੰਬਰ {max, plural, one {# ਅੰਕ} other {# ਅੰਕਾਂ}} ਤੋਂ ਵੱਧ ਨਹੀਂ ਹੋ ਸਕਦਾ",
+      collegeRequired: "ਕਾਲਜ ਦਾ ਨਾਮ ਲੋੜੀਂਦਾ ਹੈ",
+      collegeTooShort: "ਕਾਲਜ ਦਾ ਨਾਮ ਘੱਟੋ-ਘੱਟ {min, plural, one {# ਅੱਖਰ} other {# ਅੱਖਰਾਂ}} ਦਾ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ",
+      roleRequired: "ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਭੂਮਿਕਾ ਚੁਣੋ",
+      resumeRequired: "ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ ਰੈਜ਼ਿਊਮੇ ਅੱਪਲੋਡ ਕਰੋ",
+      fileTooLarge: "ਫ਼ਾਈਲ ਦਾ ਆਕਾਰ {maxMb, number} MB ਤੋਂ ਘੱਟ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ",
+      fileType: "ਸਿਰਫ਼ PDF ਅਤੇ DOCX ਫ਼ਾਈਲਾਂ ਦੀ ਇਜਾਜ਼ਤ ਹੈ",
+      interestsRequired: "ਕਿਰਪਾ ਕਰਕੇ ਘੱਟੋ-ਘੱਟ ਇੱਕ ਰੁਚੀ ਚੁਣੋ",
+      messageRequired: "ਸੁਨੇਹਾ ਲੋੜੀਂਦਾ ਹੈ",
+      fillAll: "ਕਿਰਪਾ ਕਰਕੇ ਸਾਰੇ ਖੇਤਰ ਭਰੋ",
+      emailExists: "ਇਹ ਈਮੇਲ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ",
+      phoneExists: "ਇਹ ਫ਼ੋਨ ਨੰਬਰ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ",
+      emailRegistered: "ਇਹ ਈਮੇਲ ਪਤਾ ਪਹਿਲਾਂ ਹੀ ਰਜਿਸਟਰਡ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਕੋਈ ਹੋਰ ਈਮੇਲ ਪਤਾ ਵਰਤੋ।",
+      mobileRegistered: "ਇਹ ਮੋਬਾਈਲ ਨੰਬਰ ਪਹਿਲਾਂ ਹੀ ਰਜਿਸਟਰਡ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਕੋਈ ਹੋਰ ਮੋਬਾਈਲ ਨੰਬਰ ਵਰਤੋ।",
+      auth: "ਪ੍ਰਮਾਣੀਕਰਨ ਗਲਤੀ — ਐਡਮਿਨ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।",
+      failed: "ਜਮ੍ਹਾਂ ਨਹੀਂ ਹੋ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+      timeout: "ਬੇਨਤੀ ਦਾ ਸਮਾਂ ਖ਼ਤਮ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+      unknown: "ਇੱਕ ਗਲਤੀ ਹੋਈ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "ਖੋਜ",
+    placeholder: "ਸੂਝ, ਲੋਕ, ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ ਖੋਜੋ…",
+    submit: "ਖੋਜੋ",
+    open: "ਖੋਜ ਖੋਲ੍ਹੋ",
+    close: "ਖੋਜ ਬੰਦ ਕਰੋ",
+    prompt: "ਸਾਈਟ 'ਤੇ ਖੋਜਣ ਲਈ ਕੋਈ ਸ਼ਬਦ ਜਾਂ ਵਾਕੰਸ਼ ਲਿਖੋ।",
+    resultsFor: "“{query}” ਲਈ {count, plural, one {# ਨਤੀਜਾ} other {# ਨਤੀਜੇ}}",
+    noResults: "“{query}” ਲਈ ਕੋਈ ਨਤੀਜਾ ਨਹੀਂ ਮਿਲਿਆ। ਸ਼ਬਦ-ਜੋੜ ਜਾਂਚੋ ਜਾਂ ਘੱਟ ਸ਼ਬਦਾਂ ਨਾਲ ਖੋਜੋ।",
+    seeAll: "ਸਾਰੇ ਨਤੀਜੇ ਵੇਖੋ",
+    all: "ਸਾਰੇ",
+    type: "{type, select, insight {ਸੂਝ} publication {ਪ੍ਰਕਾਸ਼ਨ} podcast {ਪੌਡਕਾਸਟ} team {ਲੋਕ} practice-area {ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ} industry {ਉਦਯੋਗ} job {ਕਰੀਅਰ} other {{type}}}",
+    practiceArea: "ਪ੍ਰੈਕਟਿਸ ਖੇਤਰ",
+    industry: "ਉਦਯੋਗ",
+    year: "ਸਾਲ",
+    language: "ਭਾਸ਼ਾ",
+    clearFilters: "ਫਿਲਟਰ ਹਟਾਓ",
+    previous: "ਪਿਛਲਾ",
+    next: "ਅਗਲਾ",
+    pageOf: "ਪੰਨਾ {page, number} / {pages, number}",
+    recent: "ਹਾਲੀਆ ਖੋਜਾਂ",
+    clearRecent: "ਸਾਫ਼ ਕਰੋ",
+    keyboardHint: "↑ ↓ ਨਾਲ ਚੁਣੋ, Enter ਨਾਲ ਖੋਲ੍ਹੋ, Esc ਨਾਲ ਬੰਦ ਕਰੋ",
+    error: "ਖੋਜ ਇਸ ਵੇਲੇ ਉਪਲਬਧ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+    filterPlaceholder: "ਖੋਜੋ...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "ਹੋਰ ਪੜ੍ਹੋ",
+    loadMore: "ਹੋਰ ਦਿਖਾਓ",
+    viewAll: "ਸਭ ਵੇਖੋ",
+    loading: "ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...",
+    loadingDots: "ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ",
+    noPosts: "ਕੋਈ ਸਬੰਧਿਤ ਪੋਸਟ ਨਹੀਂ ਮਿਲੀ",
+    noMorePosts: "ਹੋਰ ਵੇਰਵੇ ਉਪਲਬਧ ਨਹੀਂ",
+    published: "ਪ੍ਰਕਾਸ਼ਿਤ: {date}",
+    archives: "ਪੁਰਾਲੇਖ",
+    quickLinks: "ਤੁਰੰਤ ਲਿੰਕ:",
+    contactPartner: "ਭਾਈਵਾਲ ਨਾਲ ਸੰਪਰਕ ਕਰੋ",
+    pageLoadError: "ਇਹ ਪੰਨਾ ਲੋਡ ਨਹੀਂ ਹੋ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਥੋੜ੍ਹੀ ਦੇਰ ਬਾਅਦ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+    error: "ਗਲਤੀ: {message}",
+    componentMissing: "ਹਿੱਸਾ ਨਹੀਂ ਮਿਲਿਆ",
+    scrollToTop: "ਉੱਪਰ ਜਾਓ",
+    openMenu: "ਮੁੱਖ ਮੀਨੂ ਖੋਲ੍ਹੋ",
+    faqTitle: "ਅਕਸਰ ਪੁੱਛੇ ਜਾਂਦੇ ਸਵਾਲ",
+  },
+
+  home: {
+    tagline: "ਗਾਹਕ-ਕੇਂਦਰਿਤ ਸਮੱਸਿਆ ਹੱਲ",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "ਲੇਖ ਵੇਖੋ",
+    backToInsights: "ਸੂਝ ਵੱਲ ਵਾਪਸ ਜਾਓ",
+    backToNews: "ਆਰਨਾ ਖ਼ਬਰਾਂ ਵੱਲ ਵਾਪਸ ਜਾਓ",
+    backToPublications: "ਪ੍ਰਕਾਸ਼ਨਾਂ ਵੱਲ ਵਾਪਸ ਜਾਓ",
+    noResults: "ਕੋਈ ਨਤੀਜਾ ਨਹੀਂ ਮਿਲਿਆ",
+    noResultsFor: "\"{query}\" ਲਈ ਕੋਈ ਨਤੀਜਾ ਨਹੀਂ ਮਿਲਿਆ",
+  },
+
+  podcasts: {
+    listenNow: "ਹੁਣੇ ਸੁਣੋ",
+    thumbnailAlt: "ਪੌਡਕਾਸਟ ਥੰਬਨੇਲ",
+    noImage: "ਕੋਈ ਮੁੱਖ ਤਸਵੀਰ ਉਪਲਬਧ ਨਹੀਂ",
+    previous: "← ਪਿਛਲਾ ਪੌਡਕਾਸਟ",
+    next: "ਅਗਲਾ ਪੌਡਕਾਸਟ →",
+    videoCover: "ਵੀਡੀਓ ਕਵਰ",
+    videoUnsupported: "ਤੁਹਾਡਾ ਬ੍ਰਾਊਜ਼ਰ ਵੀਡੀਓ ਟੈਗ ਦਾ ਸਮਰਥਨ ਨਹੀਂ ਕਰਦਾ।",
+    play: "ਚਲਾਓ",
+    pause: "ਰੋਕੋ",
+  },
+
+  team: {
+    photoAlt: "ਟੀਮ ਮੈਂਬਰ",
+    noDesignation: "ਅਹੁਦਾ ਉਪਲਬਧ ਨਹੀਂ",
+    readMore: "ਹੋਰ ਪੜ੍ਹੋ",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "ਗਾਹਕਾਂ ਦੇ {br}ਵਿਚਾਰ",
+  },
+
+  contact: {
+    getInTouch: "ਸੰਪਰਕ ਵਿੱਚ ਰਹੋ",
+    phone: "ਫ਼ੋਨ",
+    directions: "ਰਸਤਾ",
+    ourLocations: "ਸਾਡੇ ਦਫ਼ਤਰ",
+    networkMap: "ਸਾਡੇ ਨੈੱਟਵਰਕ ਦਾ ਨਕਸ਼ਾ",
+  },
+
+  notFound: {
+    message: "ਤੁਸੀਂ ਜੋ ਪੰਨਾ ਲੱਭ ਰਹੇ ਹੋ ਉਹ ਸਾਨੂੰ ਨਹੀਂ ਮਿਲਿਆ।",
+    home: "ਮੁੱਖ ਪੰਨੇ 'ਤੇ ਵਾਪਸ ਜਾਓ",
+    imageAlt: "404 ਪੰਨਾ",
+  },
+
+  footer: {
+    subscribe: "ਨਿਊਜ਼ਲੈਟਰ ਦੀ ਗਾਹਕੀ ਲਓ",
+    copyright: "© {year} ਆਰਨਾ ਲਾਅ। ਸਾਰੇ ਹੱਕ ਰਾਖਵੇਂ ਹਨ",
+  },
+
+  legal: {
+    privacyPolicy: "ਪਰਦੇਦਾਰੀ ਨੀਤੀ",
+    termsOfUse: "ਵਰਤੋਂ ਦੀਆਂ ਸ਼ਰਤਾਂ",
+    disclaimer: "ਬੇਦਾਅਵਾ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "ਸਵੀਕਾਰ ਕਰੋ",
+    decline: "ਅਸਵੀਕਾਰ ਕਰੋ",
+    intro:
+      "ਬਾਰ ਕੌਂਸਲ ਆਫ਼ ਇੰਡੀਆ ਵਕੀਲਾਂ ਨੂੰ ਕਿਸੇ ਵੀ ਰੂਪ ਜਾਂ ਢੰਗ ਨਾਲ ਗਾਹਕਾਂ ਦੀ ਮੰਗ ਜਾਂ ਇਸ਼ਤਿਹਾਰਬਾਜ਼ੀ ਦੀ ਇਜਾਜ਼ਤ ਨਹੀਂ ਦਿੰਦੀ। ਇਸ ਵੈੱਬਸਾਈਟ, {site}, ਤੱਕ ਪਹੁੰਚ ਕਰਕੇ ਤੁਸੀਂ ਹੇਠ ਲਿਖੀਆਂ ਗੱਲਾਂ ਨੂੰ ਸਵੀਕਾਰ ਕਰਦੇ ਅਤੇ ਪੁਸ਼ਟੀ ਕਰਦੇ ਹੋ:",
+    points: [
+      "ਤੁਸੀਂ ਫਰਮ, ਇਸਦੇ ਮੈਂਬਰਾਂ ਅਤੇ ਪ੍ਰੈਕਟਿਸ ਖੇਤਰਾਂ ਬਾਰੇ ਜਾਣਕਾਰੀ ਲੈਣ ਲਈ ਆਪਣੀ ਮਰਜ਼ੀ ਨਾਲ ਆਰਨਾ ਲਾਅ ਦੀ ਵੈੱਬਸਾਈਟ ਵੇਖ ਰਹੇ ਹੋ।",
+      "ਵਕੀਲ-ਗਾਹਕ ਸਬੰਧ ਬਣਾਉਣ ਲਈ ਆਰਨਾ ਲਾਅ ਜਾਂ ਇਸਦੇ ਕਿਸੇ ਮੈਂਬਰ ਵੱਲੋਂ ਕਿਸੇ ਕਿਸਮ ਦੀ ਮੰਗ, ਇਸ਼ਤਿਹਾਰ, ਸੱਦਾ ਜਾਂ ਲਾਲਚ ਨਹੀਂ ਦਿੱਤਾ ਗਿਆ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ ਦੀ ਸਮੱਗਰੀ ਸਿਰਫ਼ ਜਾਣਕਾਰੀ ਲਈ ਹੈ ਅਤੇ ਇਸਨੂੰ ਮੰਗ, ਇਸ਼ਤਿਹਾਰ ਜਾਂ ਕਾਨੂੰਨੀ ਸਲਾਹ ਨਹੀਂ ਸਮਝਿਆ ਜਾਣਾ ਚਾਹੀਦਾ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ ਤੋਂ ਡਾਊਨਲੋਡ ਕੀਤੀ ਕੋਈ ਵੀ ਸਮੱਗਰੀ, ਜਾਣਕਾਰੀ ਜਾਂ ਦਸਤਾਵੇਜ਼ ਪੂਰੀ ਤਰ੍ਹਾਂ ਤੁਹਾਡੀ ਮਰਜ਼ੀ 'ਤੇ ਹਨ ਅਤੇ ਇਹ ਤੁਹਾਡੇ ਅਤੇ ਆਰਨਾ ਲਾਅ ਵਿਚਕਾਰ ਕੋਈ ਵਕੀਲ-ਗਾਹਕ ਸਬੰਧ ਨਹੀਂ ਬਣਾਉਂਦੇ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ 'ਤੇ ਪ੍ਰਕਾਸ਼ਿਤ ਜਾਣਕਾਰੀ ਜਾਂ ਸਮੱਗਰੀ ਦੇ ਆਧਾਰ 'ਤੇ ਤੁਹਾਡੇ ਵੱਲੋਂ ਕੀਤੀ ਕਿਸੇ ਵੀ ਕਾਰਵਾਈ ਦੇ ਨਤੀਜੇ ਲਈ ਫਰਮ ਜ਼ਿੰਮੇਵਾਰ ਨਹੀਂ ਹੈ। ਜੇਕਰ ਤੁਹਾਨੂੰ ਕਾਨੂੰਨੀ ਸਹਾਇਤਾ ਦੀ ਲੋੜ ਹੈ, ਤਾਂ ਤੁਹਾਨੂੰ ਸੁਤੰਤਰ ਪੇਸ਼ੇਵਰ ਸਲਾਹ ਲੈਣੀ ਚਾਹੀਦੀ ਹੈ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ 'ਤੇ ਦਿੱਤੀ ਜਾਣਕਾਰੀ ਸ਼ਾਇਦ ਤਾਜ਼ਾ ਕਾਨੂੰਨੀ ਤਬਦੀਲੀਆਂ ਨੂੰ ਨਾ ਦਰਸਾਏ, ਅਤੇ ਇਸਨੂੰ ਕਿਸੇ ਵੀ ਮਾਮਲੇ 'ਤੇ ਆਰਨਾ ਲਾਅ ਦੀ ਵਚਨਬੱਧਤਾ ਜਾਂ ਰਾਏ ਨਹੀਂ ਸਮਝਿਆ ਜਾਣਾ ਚਾਹੀਦਾ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ 'ਤੇ ਤੀਜੀ-ਧਿਰ ਦੀਆਂ ਵੈੱਬਸਾਈਟਾਂ ਦੇ ਲਿੰਕ ਸਿਰਫ਼ ਸਹੂਲਤ ਲਈ ਦਿੱਤੇ ਗਏ ਹਨ ਅਤੇ ਇਹ ਸਮਰਥਨ, ਸਿਫ਼ਾਰਸ਼ ਜਾਂ ਸਬੰਧ ਨਹੀਂ ਦਰਸਾਉਂਦੇ। ਅਜਿਹੀਆਂ ਤੀਜੀ-ਧਿਰ ਸਾਈਟਾਂ ਦੀ ਸਮੱਗਰੀ ਜਾਂ ਪਰਦੇਦਾਰੀ ਅਭਿਆਸਾਂ ਲਈ ਆਰਨਾ ਲਾਅ ਜ਼ਿੰਮੇਵਾਰ ਨਹੀਂ ਹੈ।",
+      "ਤੁਹਾਨੂੰ ਇਸ ਵੈੱਬਸਾਈਟ ਰਾਹੀਂ ਕੋਈ ਗੁਪਤ, ਵਿਸ਼ੇਸ਼ ਅਧਿਕਾਰ ਵਾਲੀ, ਵਪਾਰਕ ਜਾਂ ਸੰਵੇਦਨਸ਼ੀਲ ਜਾਣਕਾਰੀ ਨਹੀਂ ਭੇਜਣੀ ਚਾਹੀਦੀ। ਰਸਮੀ ਸਮਝੌਤੇ ਤੋਂ ਪਹਿਲਾਂ ਇਸ ਪਲੇਟਫਾਰਮ ਰਾਹੀਂ ਸਾਂਝੀ ਕੀਤੀ ਜਾਣਕਾਰੀ ਨੂੰ ਗੁਪਤ ਨਹੀਂ ਮੰਨਿਆ ਜਾਵੇਗਾ।",
+      "ਲਿਖਤ, ਤਸਵੀਰਾਂ, ਗ੍ਰਾਫਿਕਸ ਅਤੇ ਡਿਜ਼ਾਈਨ ਸਮੇਤ ਇਸ ਵੈੱਬਸਾਈਟ ਦੀ ਸਾਰੀ ਸਮੱਗਰੀ ਆਰਨਾ ਲਾਅ ਦੀ ਬੌਧਿਕ ਸੰਪਤੀ ਹੈ ਅਤੇ ਪਹਿਲਾਂ ਲਿਖਤੀ ਸਹਿਮਤੀ ਤੋਂ ਬਿਨਾਂ ਇਸਦੀ ਨਕਲ, ਮੁੜ-ਉਤਪਾਦਨ ਜਾਂ ਵੰਡ ਨਹੀਂ ਕੀਤੀ ਜਾ ਸਕਦੀ।",
+      "ਵਰਤੋਂਕਾਰ ਦੇ ਤਜਰਬੇ ਨੂੰ ਬਿਹਤਰ ਬਣਾਉਣ ਲਈ ਇਹ ਵੈੱਬਸਾਈਟ ਕੂਕੀਜ਼ ਵਰਤਦੀ ਹੈ। ਇਸ ਸਾਈਟ ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖ ਕੇ, ਤੁਸੀਂ ਸਾਡੀ ਪਰਦੇਦਾਰੀ ਨੀਤੀ ਵਿੱਚ ਦੱਸੇ ਅਨੁਸਾਰ ਕੂਕੀਜ਼ ਦੀ ਵਰਤੋਂ ਲਈ ਸਹਿਮਤੀ ਦਿੰਦੇ ਹੋ। ਅਸੀਂ ਤੁਹਾਡਾ ਡਾਟਾ ਕਿਵੇਂ ਇਕੱਠਾ, ਵਰਤਦੇ ਅਤੇ ਸੁਰੱਖਿਅਤ ਕਰਦੇ ਹਾਂ, ਇਹ ਸਮਝਣ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਸਾਡੀ {privacyPolicy} ਅਤੇ {termsOfUse} ਪੜ੍ਹੋ।",
+      "ਇਹ ਵੈੱਬਸਾਈਟ ਅਤੇ ਇਸਦੀ ਸਾਰੀ ਸਮੱਗਰੀ ਕਿਸੇ ਵੀ ਸਪੱਸ਼ਟ ਜਾਂ ਅਪ੍ਰਤੱਖ ਵਾਰੰਟੀ ਤੋਂ ਬਿਨਾਂ “ਜਿਵੇਂ ਹੈ” ਦੇ ਆਧਾਰ 'ਤੇ ਦਿੱਤੀ ਜਾਂਦੀ ਹੈ। ਇਸ ਵੈੱਬਸਾਈਟ ਦੀ ਜਾਣਕਾਰੀ 'ਤੇ ਨਿਰਭਰ ਕਰਨ ਨਾਲ ਹੋਣ ਵਾਲੇ ਕਿਸੇ ਵੀ ਨੁਕਸਾਨ ਲਈ ਆਰਨਾ ਲਾਅ ਸਾਰੀ ਜ਼ਿੰਮੇਵਾਰੀ ਤੋਂ ਇਨਕਾਰ ਕਰਦਾ ਹੈ।",
+      "ਇਸ ਵੈੱਬਸਾਈਟ ਦੀ ਵਰਤੋਂ ਤੋਂ ਪੈਦਾ ਹੋਣ ਵਾਲੇ ਕੋਈ ਵੀ ਵਿਵਾਦ ਭਾਰਤ ਦੇ ਕਾਨੂੰਨਾਂ ਅਧੀਨ ਹੋਣਗੇ ਅਤੇ ਭਾਰਤ ਦੀਆਂ ਸਮਰੱਥ ਅਦਾਲਤਾਂ ਦੇ ਵਿਸ਼ੇਸ਼ ਅਧਿਕਾਰ ਖੇਤਰ ਦੇ ਅਧੀਨ ਹੋਣਗੇ।",
+    ],
+    agree: "“ਮੈਂ ਸਹਿਮਤ ਹਾਂ”",
+    closing:
+      "{agree} 'ਤੇ ਕਲਿੱਕ ਕਰਕੇ ਜਾਂ ਇਸ ਵੈੱਬਸਾਈਟ ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖ ਕੇ, ਤੁਸੀਂ ਸਵੀਕਾਰ ਕਰਦੇ ਹੋ ਕਿ ਤੁਸੀਂ ਇਸ ਬੇਦਾਅਵੇ ਦੀਆਂ ਸ਼ਰਤਾਂ ਪੜ੍ਹ, ਸਮਝ ਅਤੇ ਸਵੀਕਾਰ ਕਰ ਲਈਆਂ ਹਨ।",
+  },
+
+  preview: {
+    label: "ਝਲਕ",
+    message: "ਤੁਸੀਂ WordPress ਦੀ ਅਪ੍ਰਕਾਸ਼ਿਤ ਸਮੱਗਰੀ ਵੇਖ ਰਹੇ ਹੋ।",
+    exit: "ਝਲਕ ਤੋਂ ਬਾਹਰ ਜਾਓ",
+  },
+};
+export default pa;
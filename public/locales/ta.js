@@ -256,6 +256,9 @@ const ta = {
 
   trackRecord: {
     trackRecordTitle: "நம் சாதனை எண்கள்",
+    yearsOfLegacy: "எங்கள் பாரம்பரியத்தின் ஆண்டுகள்",
+    clientsServed: "சேவை பெற்ற வாடிக்கையாளர்கள்",
+    disputesResolved: "தீர்க்கப்பட்ட தகராறுகள்",
   },
   awards: {
     awardsTitle: "விருதுகள் & பாராட்டுகள்",
@@ -285,8 +288,242 @@ const ta = {
   },
   network: {
     networkTitle: " உலகம் முழுவதும் வழக்கறிஞர்களின் ஒருங்கிணைந்த அமைப்பு",
+    interact: "வரைபடத்தைப் பயன்படுத்த கிளிக் செய்யவும்",
+    loadingMap: "வரைபடம் ஏற்றப்படுகிறது...",
   },
 
+  translationNotice: {
+    notAvailable: "இந்தப் பக்கம் இன்னும் உங்கள் மொழியில் கிடைக்கவில்லை, எனவே ஆங்கிலத்தில் காட்டப்படுகிறது.",
+  },
+
+  // Careers page
+  careers: {
+    title: "ஆர்னா லாவில் பணிவாய்ப்புகள்",
+    headline: "சர்வதேசப் பார்வை கொண்ட துடிப்பான சட்ட நிறுவனத்தின் அங்கமாகுங்கள்",
+    intro:
+      "ஆர்னா லா என்பது இயற்கைச் சட்டம், நீதி மற்றும் கருணை ஆகிய தர்மக் கொள்கைகளில் வேரூன்றிய, இந்தியாவைத் தளமாகக் கொண்ட சர்வதேச சட்ட ஆலோசனை நிறுவனம். எங்கள் பரந்த நடைமுறைத் துறைகளின் வழியாக, நாடுகள், சர்வதேச அமைப்புகள், பன்னாட்டு நிறுவனங்கள், தனித்துவமான ஸ்டார்ட்-அப்கள் மற்றும் தனிநபர் நலன்கள் வரை பரந்த வாடிக்கையாளர்களுக்கு முற்போக்கான சட்ட ஆலோசனை வழங்குகிறோம்.",
+    recruitmentTitle: "சட்ட மற்றும் நிர்வாகப் பணியாளர்கள் ஆட்சேர்ப்பு",
+    recruitment:
+      "சர்வதேச அனுபவம், குறிப்பிடத்தக்க கல்விச் சாதனைகள், சக மதிப்பாய்வு இதழ்களில் வெளியீடுகள் அல்லது கூர்மையான சட்டத் திறனுக்கான பிற சான்றுகள் கொண்ட நிபுணர்களிடமிருந்து கேட்க நாங்கள் எப்போதும் ஆர்வமாக உள்ளோம். புதுமையான, திறமையான நிர்வாக மற்றும் உதவிக் குழு உறுப்பினர்களிலும் ஆர்வம் கொண்டுள்ளோம். சேவை மனப்பான்மையும் சட்டத்தில் சிறப்பின் மீது ஆர்வமும் கொண்ட குழு உறுப்பினர் நீங்கள் என்றால், எங்களைத் தொடர்பு கொள்ளுங்கள்.",
+    openingsTitle: "தற்போதைய காலியிடங்கள்",
+    internshipsTitle: "பயிற்சிப் பணிகள்",
+    applyNow: "இப்போதே விண்ணப்பிக்கவும்",
+    noContent: "உள்ளடக்கம் எதுவும் இல்லை.",
+    internships: [
+      "ஆர்னாவில், செறிவான மற்றும் சவாலான பயிற்சி அனுபவத்தை வழங்குகிறோம். வலுவான கல்விப் பதிவை மட்டும் பார்ப்பதில்லை; ஊக்கமுள்ள, கற்க ஆர்வமுள்ள, நிறுவனத்தின் மதிப்புகளைப் பகிர்ந்துகொள்ளும் நபர்களைத் தேடுகிறோம். எங்கள் பயிற்சியாளர்களின் பன்முகத்தன்மை குறித்தும், நாடு முழுவதும் உள்ள மாணவர்களுக்கு வழங்கிய வாய்ப்புகள் குறித்தும் பெருமை கொள்கிறோம்.",
+      "பயிற்சிக் காலம் {minWeeks, number}-{maxWeeks, number} வாரங்கள். பயிற்சியாளர்கள் எங்கள் தகராறு, திவால் சட்டம் மற்றும் கார்ப்பரேட் ஆலோசனைக் குழுக்களுடன் பணியாற்றும் வாய்ப்பைப் பெறுகிறார்கள். பயிற்சிக் காலத்தில், எங்கள் நடைமுறைத் துறைகளின் பல்வேறு அம்சங்களை நடைமுறையில் அறிந்துகொள்ளும் தனித்துவமான வாய்ப்பு கிடைக்கிறது. ஒவ்வொரு பயிற்சியாளருக்கும் ஒரு மேற்பார்வையாளர் நியமிக்கப்படுகிறார்; எனினும், முழுமையான அனுபவத்திற்காக அனைத்துக் குழுக்களுடனும் பணியாற்ற வேண்டும் என எதிர்பார்க்கப்படுகிறது.",
+      "எங்கள் நடைமுறைத் துறைகளில் சட்டத்தின் அண்மைய முன்னேற்றங்களை எங்கள் பயிற்சியாளர்கள் அறிந்திருக்க வேண்டும். ஒவ்வொரு பயிற்சியாளருக்கும் ஆய்வுக்கான ஒரு தலைப்பு வழங்கப்படுகிறது; காலத்தின் இறுதியில் பங்குதாரர்கள் மற்றும் அனைத்து அசோசியேட்களின் முன் விளக்கக்காட்சி அளிக்க வேண்டும்.",
+      "பிஏ எல்எல்பி (ஹானர்ஸ்) மற்றும் 3 ஆண்டு எல்எல்பி படிப்புகளின் முதல் மற்றும் இரண்டாம் ஆண்டு மாணவர்களிடமிருந்து பயிற்சி விண்ணப்பங்களை ஏற்பதில்லை.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "முதல் பெயர்",
+    lastName: "கடைசிப் பெயர்",
+    name: "பெயர்",
+    email: "மின்னஞ்சல்",
+    phone: "தொலைபேசி எண்",
+    phonePlaceholder: "தொலைபேசி எண்ணை உள்ளிடவும்",
+    mobile: "கைபேசி",
+    mobilePlaceholder: "{digits, number} இலக்கக் கைபேசி எண்ணை உள்ளிடவும்",
+    college: "கல்லூரி",
+    role: "பணியைத் தேர்ந்தெடுக்கவும்",
+    selectPlaceholder: "தேர்ந்தெடுக்கவும்",
+    roleOption: "{role, select, Legal {சட்டம்} Administration {நிர்வாகம்} Finance {நிதி} other {{role}}}",
+    experience: "தகுதிக்குப் பிந்தைய அனுபவ ஆண்டுகள்",
+    experiencePlaceholder: "அனுபவ ஆண்டுகளை உள்ளிடவும்",
+    inquiry: "உங்கள் விசாரணையின் விவரங்கள்",
+    resume: "கோப்பைத் தேர்ந்தெடுக்கவும்",
+    resumeChange: "கோப்பை மாற்றக் கிளிக் செய்யவும்",
+    resumeUpload: "பதிவேற்றக் கிளிக் செய்யவும் அல்லது இழுத்து விடவும்",
+    resumeTypes: "PDF, DOCX (அதிகபட்சம் {maxMb, number} MB)",
+    interests: "உங்கள் ஆர்வங்களைத் தேர்ந்தெடுக்கவும்",
+    interestOption: "{interest, select, corporateAdvisory {கார்ப்பரேட் ஆலோசனை} hrCompliance {மனிதவள இணக்கம்} other {பிற}}",
+    detailsTitle: "உங்கள் விவரங்களை உள்ளிடவும்",
+    close: "மூடு",
+    submit: "சமர்ப்பி",
+    submitting: "சமர்ப்பிக்கப்படுகிறது...",
+    subscribe: "குழுசேர்",
+    loading: "ஏற்றப்படுகிறது...",
+    applicationSent: "விண்ணப்பம் வெற்றிகரமாகச் சமர்ப்பிக்கப்பட்டது!",
+    contactSent: "படிவம் வெற்றிகரமாகச் சமர்ப்பிக்கப்பட்டது!",
+    subscribed: "செய்திமடலுக்கு வெற்றிகரமாகக் குழுசேர்ந்தீர்கள்!",
+    errors: {
+      heading: "{count, plural, one {பின்வரும் பிழையைச் சரிசெய்யவும்:} other {பின்வரும் பிழைகளைச் சரிசெய்யவும்:}}",
+      firstNameRequired: "முதல் பெயர் தேவை",
+      lastNameRequired: "கடைசிப் பெயர் தேவை",
+      nameRequired: "பெயர் தேவை",
+      emailRequired: "மின்னஞ்சல் தேவை",
+      emailInvalid: "சரியான மின்னஞ்சல் முகவரியை உள்ளிடவும்",
+      phoneRequired: "தொலைபேசி எண் தேவை",
+      phoneTooShort: "தொலைபேசி எண் குறைந்தது {min, plural, one {# இலக்கம்} other {# இலக்கங்கள்}} இருக்க வேண்டும்",
+      phoneTooLong: "தொலைபேசி எண் {max, plural, one {# இலக்கத்தை} other {# இலக்கங்களை}} மீறக்கூடாது",
+      mobileRequired: "கைபேசி எண் தேவை",
+      mobileTooShort: "கைபேசி எண் குறைந்தது {min, plural, one {# இலக்கம்} other {# இலக்கங்கள்}} இருக்க வேண்டும்",
+      mobileTooLong: "கைபேசி எண் {max, plural, one {# இலக்கத்தை} other {# இலக்கங்களை}} மீறக்கூடாது",
+      collegeRequired: "கல்லூரியின் பெயர் தேவை",
+      collegeTooShort: "கல்லூரியின் பெயர் குறைந்தது {min, plural, one {# எழுத்து} other {# எழுத்துகள்}} இருக்க வேண்டும்",
+      roleRequired: "ஒரு பணியைத் தேர்ந்தெடுக்கவும்",
+      resumeRequired: "உங்கள் சுயவிவரத்தைப் பதிவேற்றவும்",
+      fileTooLarge: "கோப்பின் அளவு {maxMb, number} MB-க்குக் குறைவாக இருக்க வேண்டும்",
+      fileType: "PDF மற்றும் DOCX கோப்புகள் மட்டுமே அனுமதிக்கப்படும்",
+      interestsRequired: "குறைந்தது ஒரு ஆர்வத்தைத் தேர்ந்தெடுக்கவும்",
+      messageRequired: "செய்தி தேவை",
+      fillAll: "அனைத்துப் புலங்களையும் நிரப்பவும்",
+      emailExists: "இந்த மின்னஞ்சல் ஏற்கனவே உள்ளது",
+      phoneExists: "இந்தத் தொலைபேசி எண் ஏற்கனவே உள்ளது",
+      emailRegistered: "இந்த மின்னஞ்சல் முகவரி ஏற்கனவே பதிவு செய்யப்பட்டுள்ளது. வேறு மின்னஞ்சல் முகவரியைப் பயன்படுத்தவும்.",
+      mobileRegistered: "இந்தக் கைபேசி எண் ஏற்கனவே பதிவு செய்யப்பட்டுள்ளது. வேறு கைபேசி எண்ணைப் பயன்படுத்தவும்.",
+      auth: "அங்கீகாரப் பிழை — நிர்வாகியைத் தொடர்பு கொள்ளவும்.",
+      failed: "சமர்ப்பிப்பு தோல்வியடைந்தது. மீண்டும் முயலவும்.",
+      timeout: "கோரிக்கைக்கான நேரம் முடிந்தது. மீண்டும் முயலவும்.",
+      unknown: "பிழை ஏற்பட்டது. மீண்டும் முயலவும்.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "தேடல்",
+    placeholder: "உள்ளடக்கம், நபர்கள், பயன்பாட்டு பகுதிகளைத் தேடுங்கள்…",
+    submit: "தேடு",
+    open: "தேடலைத் திற",
+    close: "தேடலை மூடு",
+    prompt: "தளத்தில் தேட ஒரு சொல் அல்லது சொற்றொடரை உள்ளிடவும்.",
+    resultsFor: "“{query}” க்கான {count, plural, one {# முடிவு} other {# முடிவுகள்}}",
+    noResults: "“{query}” க்கு முடிவுகள் எதுவும் இல்லை. எழுத்துப்பிழையைச் சரிபார்க்கவும் அல்லது குறைவான சொற்களில் தேடவும்.",
+    seeAll: "எல்லா முடிவுகளையும் காண்க",
+    all: "அனைத்தும்",
+    type: "{type, select, insight {உள்ளடக்கம்} publication {பதிப்புகள்} podcast {பாட்காஸ்ட்} team {நபர்கள்} practice-area {பயன்பாட்டு பகுதிகள்} industry {தொழில்துறை} job {வேலை வாய்ப்புகள்} other {{type}}}",
+    practiceArea: "பயன்பாட்டு பகுதி",
+    industry: "தொழில்துறை",
+    year: "ஆண்டு",
+    language: "மொழி",
+    clearFilters: "வடிகட்டிகளை அழி",
+    previous: "முந்தையது",
+    next: "அடுத்தது",
+    pageOf: "பக்கம் {page, number} / {pages, number}",
+    recent: "சமீபத்திய தேடல்கள்",
+    clearRecent: "அழி",
+    keyboardHint: "↑ ↓ தேர்வு செய்ய, Enter திறக்க, Esc மூட",
+    error: "தேடல் தற்போது கிடைக்கவில்லை. மீண்டும் முயற்சிக்கவும்.",
+    filterPlaceholder: "தேடு...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "மேலும் படிக்க",
+    loadMore: "மேலும் காண்க",
+    viewAll: "அனைத்தையும் காண்க",
+    loading: "ஏற்றப்படுகிறது...",
+    loadingDots: "ஏற்றப்படுகிறது",
+    noPosts: "தொடர்புடைய பதிவுகள் எதுவும் இல்லை",
+    noMorePosts: "மேலும் விவரங்கள் இல்லை",
+    published: "வெளியிடப்பட்டது: {date}",
+    archives: "காப்பகங்கள்",
+    quickLinks: "விரைவு இணைப்புகள்:",
+    contactPartner: "பங்குதாரரைத் தொடர்பு கொள்ளுங்கள்",
+    pageLoadError: "இந்தப் பக்கத்தை ஏற்ற முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.",
+    error: "பிழை: {message}",
+    componentMissing: "கூறு கிடைக்கவில்லை",
+    scrollToTop: "மேலே செல்",
+    openMenu: "முதன்மை மெனுவைத் திற",
+    faqTitle: "அடிக்கடி கேட்கப்படும் கேள்விகள்",
+  },
+
+  home: {
+    tagline: "வாடிக்கையாளரை மையமாகக் கொண்ட தீர்வுகள்",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "கட்டுரையைக் காண்க",
+    backToInsights: "நுண்ணறிவுகளுக்குத் திரும்பு",
+    backToNews: "ஆர்னா செய்திகளுக்குத் திரும்பு",
+    backToPublications: "வெளியீடுகளுக்குத் திரும்பு",
+    noResults: "முடிவுகள் எதுவும் இல்லை",
+    noResultsFor: "\"{query}\" க்கு முடிவுகள் எதுவும் இல்லை",
+  },
+
+  podcasts: {
+    listenNow: "இப்போது கேளுங்கள்",
+    thumbnailAlt: "பாட்காஸ்ட் சிறுபடம்",
+    noImage: "சிறப்புப் படம் எதுவும் இல்லை",
+    previous: "← முந்தைய பாட்காஸ்ட்",
+    next: "அடுத்த பாட்காஸ்ட் →",
+    videoCover: "வீடியோ அட்டைப்படம்",
+    videoUnsupported: "உங்கள் உலாவி வீடியோ குறிச்சொல்லை ஆதரிக்கவில்லை.",
+    play: "இயக்கு",
+    pause: "இடைநிறுத்து",
+  },
+
+  team: {
+    photoAlt: "குழு உறுப்பினர்",
+    noDesignation: "பதவி விவரம் இல்லை",
+    readMore: "மேலும் படிக்க",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "வாடிக்கையாளர்களின் {br}சான்றுரைகள்",
+  },
+
+  contact: {
+    getInTouch: "தொடர்பில் இருங்கள்",
+    phone: "தொலைபேசி",
+    directions: "வழிகாட்டல்",
+    ourLocations: "எங்கள் அலுவலகங்கள்",
+    networkMap: "எங்கள் வலையமைப்பு வரைபடம்",
+  },
+
+  notFound: {
+    message: "நீங்கள் தேடும் பக்கம் கிடைக்கவில்லை.",
+    home: "முகப்புப் பக்கத்திற்குத் திரும்பு",
+    imageAlt: "404 பக்கம்",
+  },
+
+  footer: {
+    subscribe: "செய்திமடலுக்குப் பதிவு செய்யுங்கள்",
+    copyright: "© {year} ஆர்னா லா. அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை",
+  },
+
+  legal: {
+    privacyPolicy: "தனியுரிமைக் கொள்கை",
+    termsOfUse: "பயன்பாட்டு விதிமுறைகள்",
+    disclaimer: "பொறுப்புத் துறப்பு",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "ஏற்கிறேன்",
+    decline: "மறுக்கிறேன்",
+    intro:
+      "இந்திய பார் கவுன்சில் வழக்கறிஞர்கள் எந்த வடிவிலும் எந்த முறையிலும் வாடிக்கையாளர்களை நாடுவதையோ விளம்பரம் செய்வதையோ அனுமதிப்பதில்லை. இந்த இணையதளத்தை, {site}, அணுகுவதன் மூலம் பின்வருவனவற்றை ஏற்று உறுதிப்படுத்துகிறீர்கள்:",
+    points: [
+      "நிறுவனம், அதன் உறுப்பினர்கள் மற்றும் பயிற்சித் துறைகள் பற்றிய தகவல்களைப் பெற நீங்கள் உங்கள் சொந்த விருப்பத்தின் பேரில் ஆர்னா லா இணையதளத்தை அணுகுகிறீர்கள்.",
+      "வழக்கறிஞர்-வாடிக்கையாளர் உறவை உருவாக்க ஆர்னா லா அல்லது அதன் உறுப்பினர்கள் எவரிடமிருந்தும் எந்த வகையான நாடுதல், விளம்பரம், அழைப்பு அல்லது தூண்டுதலும் இல்லை.",
+      "இந்த இணையதளத்தின் உள்ளடக்கம் தகவலுக்காக மட்டுமே; இதை நாடுதல், விளம்பரம் அல்லது சட்ட ஆலோசனையாகக் கருதக்கூடாது.",
+      "இந்த இணையதளத்திலிருந்து பதிவிறக்கப்படும் எந்தப் பொருட்கள், தகவல்கள் அல்லது ஆவணங்களும் முழுமையாக உங்கள் விருப்பத்தின் பேரில் உள்ளன; அவை உங்களுக்கும் ஆர்னா லாவுக்கும் இடையே எந்த வழக்கறிஞர்-வாடிக்கையாளர் உறவையும் உருவாக்காது.",
+      "இந்த இணையதளத்தில் வெளியிடப்பட்ட தகவல் அல்லது பொருளின் அடிப்படையில் நீங்கள் எடுக்கும் எந்தச் செயலின் விளைவுக்கும் நிறுவனம் பொறுப்பல்ல. உங்களுக்குச் சட்ட உதவி தேவைப்பட்டால், சுயாதீனமான தொழில்முறை ஆலோசனையைப் பெற வேண்டும்.",
+      "இந்த இணையதளத்தில் வழங்கப்படும் தகவல்கள் சமீபத்திய சட்ட மாற்றங்களைப் பிரதிபலிக்காமல் இருக்கலாம்; அவற்றை எந்த விஷயத்திலும் ஆர்னா லாவின் உறுதிமொழியாகவோ கருத்தாகவோ கருதக்கூடாது.",
+      "இந்த இணையதளத்தில் உள்ள மூன்றாம் தரப்பு இணையதளங்களுக்கான இணைப்புகள் வசதிக்காக மட்டுமே வழங்கப்படுகின்றன; அவை ஒப்புதல், பரிந்துரை அல்லது தொடர்பைக் குறிக்கவில்லை. அத்தகைய மூன்றாம் தரப்பு தளங்களின் உள்ளடக்கம் அல்லது தனியுரிமை நடைமுறைகளுக்கு ஆர்னா லா பொறுப்பல்ல.",
+      "இந்த இணையதளம் வழியாக ரகசியமான, சிறப்புரிமை பெற்ற, வணிக அல்லது உணர்திறன் மிக்க எந்தத் தகவலையும் நீங்கள் அனுப்பக்கூடாது. முறையான ஒப்பந்தம் ஏற்படுவதற்கு முன் இந்தத் தளத்தின் மூலம் பகிரப்படும் தகவல்கள் ரகசியமாகக் கருதப்படாது.",
+      "உரை, படங்கள், வரைகலை மற்றும் வடிவமைப்பு உட்பட இந்த இணையதளத்தின் அனைத்து உள்ளடக்கமும் ஆர்னா லாவின் அறிவுசார் சொத்தாகும்; முன் எழுத்துப்பூர்வ ஒப்புதல் இல்லாமல் அவற்றை நகலெடுக்கவோ மீண்டும் உருவாக்கவோ விநியோகிக்கவோ கூடாது.",
+      "பயனர் அனுபவத்தை மேம்படுத்த இந்த இணையதளம் குக்கீகளைப் பயன்படுத்துகிறது. இந்தத் தளத்தைத் தொடர்ந்து பயன்படுத்துவதன் மூலம், எங்கள் தனியுரிமைக் கொள்கையில் குறிப்பிட்டுள்ளபடி குக்கீகளைப் பயன்படுத்த ஒப்புக்கொள்கிறீர்கள். உங்கள் தரவை நாங்கள் எவ்வாறு சேகரிக்கிறோம், பயன்படுத்துகிறோம், பாதுகாக்கிறோம் என்பதை அறிய எங்கள் {privacyPolicy} மற்றும் {termsOfUse} ஆகியவற்றைப் படிக்கவும்.",
+      "இந்த இணையதளமும் அதன் அனைத்து உள்ளடக்கமும் வெளிப்படையான அல்லது மறைமுகமான எந்த உத்தரவாதமும் இன்றி “உள்ளது உள்ளபடி” வழங்கப்படுகின்றன. இந்த இணையதளத்தில் உள்ள தகவல்களை நம்பியதால் ஏற்படும் எந்த இழப்பு அல்லது சேதத்திற்கும் ஆர்னா லா எந்தப் பொறுப்பையும் ஏற்காது.",
+      "இந்த இணையதளத்தைப் பயன்படுத்துவதால் எழும் எந்தத் தகராறும் இந்தியச் சட்டங்களால் நிர்வகிக்கப்படும்; இந்தியாவில் உள்ள தகுதிவாய்ந்த நீதிமன்றங்களின் தனி அதிகார வரம்பிற்கு உட்பட்டது.",
+    ],
+    agree: "“நான் ஒப்புக்கொள்கிறேன்”",
+    closing:
+      "{agree} என்பதைக் கிளிக் செய்வதன் மூலமோ இந்த இணையதளத்தைத் தொடர்ந்து பயன்படுத்துவதன் மூலமோ, இந்தப் பொறுப்புத் துறப்பின் விதிமுறைகளைப் படித்து, புரிந்து, ஏற்றுக்கொண்டதாக ஒப்புக்கொள்கிறீர்கள்.",
+  },
+
+  preview: {
+    label: "முன்னோட்டம்",
+    message: "WordPress இல் வெளியிடப்படாத உள்ளடக்கத்தைப் பார்க்கிறீர்கள்.",
+    exit: "முன்னோட்டத்திலிருந்து வெளியேறு",
+  },
 };
 
 export default ta;
\ No newline at end of file
@@ -261,6 +261,9 @@ const te = {
 
   trackRecord: {
     trackRecordTitle: "సంఖ్యలలో మా ట్రాక్ రికార్డు ",
+    yearsOfLegacy: "మా వారసత్వ సంవత్సరాలు",
+    clientsServed: "సేవలందించిన క్లయింట్లు",
+    disputesResolved: "పరిష్కరించిన వివాదాలు",
   },
 
   awards: {
@@ -291,8 +294,242 @@ const te = {
   },
   network: {
     networkTitle: "ప్రపంచవ్యాప్తంగా న్యాయవాదుల నెట్‌వర్క్",
+    interact: "మ్యాప్‌ను ఉపయోగించడానికి క్లిక్ చేయండి",
+    loadingMap: "మ్యాప్ లోడ్ అవుతోంది...",
   },
 
+  translationNotice: {
+    notAvailable: "ఈ పేజీ ఇంకా మీ భాషలో అందుబాటులో లేదు, అందువల్ల ఆంగ్లంలో చూపబడుతోంది.",
+  },
+
+  // Careers page
+  careers: {
+    title: "ఆర్నా లాలో కెరీర్లు",
+    headline: "అంతర్జాతీయ దృక్పథం గల చురుకైన న్యాయ సంస్థలో భాగం కండి",
+    intro:
+      "ఆర్నా లా భారతదేశంలో ఉన్న అంతర్జాతీయ న్యాయ సలహా సంస్థ, ఇది సహజ న్యాయం, న్యాయం మరియు కరుణ అనే ధార్మిక సూత్రాలలో పాతుకుపోయింది. మా విస్తృత ప్రాక్టీస్ రంగాల ద్వారా దేశాలు, అంతర్జాతీయ సంస్థలు, బహుళజాతి కంపెనీలు, ప్రత్యేక స్టార్ట్-అప్‌లు మరియు వ్యక్తిగత ప్రయోజనాల వరకు విస్తరించిన క్లయింట్లకు ప్రగతిశీల న్యాయ సలహా అందిస్తాము.",
+    recruitmentTitle: "న్యాయ మరియు పరిపాలనా నిపుణుల నియామకం",
+    recruitment:
+      "అంతర్జాతీయ అనుభవం, గణనీయమైన విద్యా విజయాలు, సహచర-సమీక్షిత పత్రికలలో ప్రచురణలు లేదా చురుకైన న్యాయ నైపుణ్యానికి ఇతర నిదర్శనాలు ఉన్న నిపుణుల నుండి వినడానికి మేము ఎల్లప్పుడూ ఆసక్తిగా ఉంటాము. వినూత్నమైన, సమర్థులైన పరిపాలన మరియు సహాయక బృంద సభ్యులపై కూడా మాకు ఆసక్తి ఉంది. సేవా భావం మరియు న్యాయంలో శ్రేష్ఠత పట్ల మక్కువ గల జట్టు సభ్యులైతే, దయచేసి సంప్రదించండి.",
+    openingsTitle: "ప్రస్తుత ఖాళీలు",
+    internshipsTitle: "ఇంటర్న్‌షిప్‌లు",
+    applyNow: "ఇప్పుడే దరఖాస్తు చేయండి",
+    noContent: "కంటెంట్ ఏదీ అందుబాటులో లేదు.",
+    internships: [
+      "ఆర్నాలో మేము సుసంపన్నమైన మరియు సవాలుతో కూడిన ఇంటర్న్‌షిప్ అనుభవాన్ని అందిస్తాము. మేము కేవలం బలమైన విద్యా రికార్డునే చూడము; ప్రేరణ గల, నేర్చుకోవాలనే తపన గల, సంస్థ విలువలను పంచుకునే వ్యక్తుల కోసం చూస్తాము. మా ఇంటర్న్‌ల వైవిధ్యం మరియు దేశవ్యాప్తంగా విద్యార్థులకు అందించిన అవకాశాల పట్ల మేము గర్విస్తున్నాము.",
+      "ఇంటర్న్‌షిప్ వ్యవధి {minWeeks, number}-{maxWeeks, number} వారాలు. ఇంటర్న్‌లకు మా వివాదాలు, దివాలా చట్టం మరియు కార్పొరేట్ సలహా బృందాలతో పనిచేసే అవకాశం ఉంటుంది. ఇంటర్న్‌షిప్ సమయంలో మా ప్రాక్టీస్ రంగాల వివిధ అంశాలపై ఆచరణాత్మక అవగాహన పొందే అరుదైన అవకాశం లభిస్తుంది. ప్రతి ఇంటర్న్‌కు ఒక పర్యవేక్షకుడిని కేటాయిస్తాము; అయినప్పటికీ సమగ్ర అనుభవం కోసం అన్ని బృందాలతో పనిచేయాలని ఆశిస్తాము.",
+      "మా ఇంటర్న్‌లు మా ప్రాక్టీస్ రంగాలలో చట్టంలోని ఇటీవలి పరిణామాల గురించి తెలుసుకొని ఉండాలి. ప్రతి ఇంటర్న్‌కు పరిశోధన కోసం ఒక అంశం ఇవ్వబడుతుంది మరియు వ్యవధి ముగింపులో భాగస్వాములు మరియు అన్ని అసోసియేట్‌ల ముందు ప్రెజెంటేషన్ ఇవ్వాలి.",
+      "బీఏ ఎల్ఎల్‌బీ (ఆనర్స్) కోర్సు మరియు 3 సంవత్సరాల ఎల్ఎల్‌బీ కోర్సు మొదటి మరియు రెండవ సంవత్సరం విద్యార్థుల నుండి మేము ఇంటర్న్‌షిప్ దరఖాస్తులను స్వీకరించము.",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "మొదటి పేరు",
+    lastName: "ఇంటి పేరు",
+    name: "పేరు",
+    email: "ఇమెయిల్",
+    phone: "ఫోన్ నంబర్",
+    phonePlaceholder: "ఫోన్ నంబర్ నమోదు చేయండి",
+    mobile: "మొబైల్",
+    mobilePlaceholder: "{digits, number} అంకెల మొబైల్ నంబర్ నమోదు చేయండి",
+    college: "కళాశాల",
+    role: "పాత్రను ఎంచుకోండి",
+    selectPlaceholder: "దయచేసి ఎంచుకోండి",
+    roleOption: "{role, select, Legal {న్యాయ} Administration {పరిపాలన} Finance {ఆర్థిక} other {{role}}}",
+    experience: "అర్హత తర్వాతి అనుభవ సంవత్సరాలు",
+    experiencePlaceholder: "అనుభవ సంవత్సరాలు నమోదు చేయండి",
+    inquiry: "మీ విచారణ వివరాలు",
+    resume: "ఫైల్ ఎంచుకోండి",
+    resumeChange: "ఫైల్ మార్చడానికి క్లిక్ చేయండి",
+    resumeUpload: "అప్‌లోడ్ చేయడానికి క్లిక్ చేయండి లేదా లాగి వదలండి",
+    resumeTypes: "PDF, DOCX (గరిష్ఠం {maxMb, number} MB)",
+    interests: "మీ ఆసక్తులను ఎంచుకోండి",
+    interestOption: "{interest, select, corporateAdvisory {కార్పొరేట్ సలహా} hrCompliance {హెచ్ఆర్ సమ్మతి} other {ఇతరాలు}}",
+    detailsTitle: "మీ వివరాలు నమోదు చేయండి",
+    close: "మూసివేయండి",
+    submit: "సమర్పించండి",
+    submitting: "సమర్పిస్తోంది...",
+    subscribe: "సభ్యత్వం పొందండి",
+    loading: "లోడ్ అవుతోంది...",
+    applicationSent: "దరఖాస్తు విజయవంతంగా సమర్పించబడింది!",
+    contactSent: "ఫారం విజయవంతంగా సమర్పించబడింది!",
+    subscribed: "వార్తాలేఖకు విజయవంతంగా సభ్యత్వం పొందారు!",
+    errors: {
+      heading: "{count, plural, one {దయచేసి కింది లోపాన్ని సరిచేయండి:} other {దయచేసి కింది లోపాలను సరిచేయండి:}}",
+      firstNameRequired: "మొదటి పేరు అవసరం",
+      lastNameRequired: "ఇంటి పేరు అవసరం",
+      nameRequired: "పేరు అవసరం",
+      emailRequired: "ఇమెయిల్ అవసరం",
+      emailInvalid: "దయచేసి చెల్లుబాటు అయ్యే ఇమెయిల్ చిరునామా నమోదు చేయండి",
+      phoneRequired: "ఫోన్ నంబర్ అవసరం",
+      phoneTooShort: "ఫోన్ నంబర్ కనీసం {min, plural, one {# అంకె} other {# అంకెలు}} ఉండాలి",
+      phoneTooLong: "ఫోన్ నంబర్ {max, plural, one {# అంకెను} other {# అంకెలను}} మించకూడదు",
+      mobileRequired: "మొబైల్ నంబర్ అవసరం",
+      mobileTooShort: "మొబైల్ నంబర్ కనీసం {min, plural, one {# అంకె} other {# అంకెలు}} ఉండాలి",
+      mobileTooLong: "మొబైల్ నంబర్ {max, plural, one {# అంకెను} other {# అంకెలను}} మించకూడదు",
+      collegeRequired: "కళాశాల పేరు అవసరం",
+      collegeTooShort: "కళాశాల పేరు కనీసం {min, plural, one {# అక్షరం} other {# అక్షరాలు}} ఉండాలి",
+      roleRequired: "దయచేసి ఒక పాత్రను ఎంచుకోండి",
+      resumeRequired: "దయచేసి మీ రెజ్యూమ్ అప్‌లోడ్ చేయండి",
+      fileTooLarge: "ఫైల్ పరిమాణం {maxMb, number} MB కంటే తక్కువ ఉండాలి",
+      fileType: "PDF మరియు DOCX ఫైల్‌లు మాత్రమే అనుమతించబడతాయి",
+      interestsRequired: "దయచేసి కనీసం ఒక ఆసక్తిని ఎంచుకోండి",
+      messageRequired: "సందేశం అవసరం",
+      fillAll: "దయచేసి అన్ని ఫీల్డ్‌లను పూరించండి",
+      emailExists: "ఈ ఇమెయిల్ ఇప్పటికే ఉంది",
+      phoneExists: "ఈ ఫోన్ నంబర్ ఇప్పటికే ఉంది",
+      emailRegistered: "ఈ ఇమెయిల్ చిరునామా ఇప్పటికే నమోదైంది. దయచేసి వేరే ఇమెయిల్ చిరునామా ఉపయోగించండి.",
+      mobileRegistered: "ఈ మొబైల్ నంబర్ ఇప్పటికే నమోదైంది. దయచేసి వేరే మొబైల్ నంబర్ ఉపయోగించండి.",
+      auth: "ప్రామాణీకరణ లోపం — నిర్వాహకుడిని సంప్రదించండి.",
+      failed: "సమర్పణ విఫలమైంది. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+      timeout: "అభ్యర్థన సమయం ముగిసింది. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+      unknown: "లోపం సంభవించింది. దయచేసి మళ్ళీ ప్రయత్నించండి.",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "శోధన",
+    placeholder: "అవగాహనలు, వ్యక్తులు, ప్రాక్టీస్ ప్రాంతాలను శోధించండి…",
+    submit: "శోధించండి",
+    open: "శోధన తెరవండి",
+    close: "శోధన మూసివేయండి",
+    prompt: "సైట్‌లో శోధించడానికి ఒక పదం లేదా పదబంధాన్ని టైప్ చేయండి.",
+    resultsFor: "“{query}” కోసం {count, plural, one {# ఫలితం} other {# ఫలితాలు}}",
+    noResults: "“{query}” కోసం ఫలితాలు ఏవీ కనుగొనబడలేదు. అక్షరక్రమాన్ని తనిఖీ చేయండి లేదా తక్కువ పదాలతో శోధించండి.",
+    seeAll: "అన్ని ఫలితాలు చూడండి",
+    all: "అన్నీ",
+    type: "{type, select, insight {అవగాహనలు} publication {ప్రచురణలు} podcast {పాడ్‌కాస్ట్‌లు} team {వ్యక్తులు} practice-area {ప్రాక్టీస్ ప్రాంతాలు} industry {పరిశ్రమలు} job {ఉద్యోగాలు} other {{type}}}",
+    practiceArea: "ప్రాక్టీస్ ప్రాంతం",
+    industry: "పరిశ్రమ",
+    year: "సంవత్సరం",
+    language: "భాష",
+    clearFilters: "ఫిల్టర్‌లను తొలగించండి",
+    previous: "మునుపటి",
+    next: "తదుపరి",
+    pageOf: "పేజీ {page, number} / {pages, number}",
+    recent: "ఇటీవలి శోధనలు",
+    clearRecent: "తొలగించండి",
+    keyboardHint: "↑ ↓ ఎంచుకోవడానికి, Enter తెరవడానికి, Esc మూసివేయడానికి",
+    error: "శోధన ప్రస్తుతం అందుబాటులో లేదు. దయచేసి మళ్లీ ప్రయత్నించండి.",
+    filterPlaceholder: "వెతకండి...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "మరింత చదవండి",
+    loadMore: "మరిన్ని చూపించు",
+    viewAll: "అన్నీ చూడండి",
+    loading: "లోడ్ అవుతోంది...",
+    loadingDots: "లోడ్ అవుతోంది",
+    noPosts: "సంబంధిత పోస్ట్‌లు ఏవీ లేవు",
+    noMorePosts: "మరిన్ని వివరాలు అందుబాటులో లేవు",
+    published: "ప్రచురించబడింది: {date}",
+    archives: "ఆర్కైవ్‌లు",
+    quickLinks: "త్వరిత లింక్‌లు:",
+    contactPartner: "భాగస్వామిని సంప్రదించండి",
+    pageLoadError: "ఈ పేజీని లోడ్ చేయలేకపోయాము. దయచేసి కొద్దిసేపటి తర్వాత మళ్లీ ప్రయత్నించండి.",
+    error: "లోపం: {message}",
+    componentMissing: "కాంపోనెంట్ కనుగొనబడలేదు",
+    scrollToTop: "పైకి వెళ్లండి",
+    openMenu: "ప్రధాన మెనూను తెరవండి",
+    faqTitle: "తరచుగా అడిగే ప్రశ్నలు",
+  },
+
+  home: {
+    tagline: "క్లయింట్-కేంద్రిత సమస్య పరిష్కారం",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "వ్యాసం చూడండి",
+    backToInsights: "అంతర్దృష్టులకు తిరిగి వెళ్లండి",
+    backToNews: "ఆర్నా వార్తలకు తిరిగి వెళ్లండి",
+    backToPublications: "ప్రచురణలకు తిరిగి వెళ్లండి",
+    noResults: "ఫలితాలు ఏవీ లేవు",
+    noResultsFor: "\"{query}\" కోసం ఫలితాలు ఏవీ లేవు",
+  },
+
+  podcasts: {
+    listenNow: "ఇప్పుడే వినండి",
+    thumbnailAlt: "పాడ్‌కాస్ట్ థంబ్‌నెయిల్",
+    noImage: "ఫీచర్డ్ చిత్రం అందుబాటులో లేదు",
+    previous: "← మునుపటి పాడ్‌కాస్ట్",
+    next: "తదుపరి పాడ్‌కాస్ట్ →",
+    videoCover: "వీడియో కవర్",
+    videoUnsupported: "మీ బ్రౌజర్ వీడియో ట్యాగ్‌కు మద్దతు ఇవ్వదు.",
+    play: "ప్లే చేయండి",
+    pause: "పాజ్ చేయండి",
+  },
+
+  team: {
+    photoAlt: "బృంద సభ్యుడు",
+    noDesignation: "హోదా అందుబాటులో లేదు",
+    readMore: "మరింత చదవండి",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "క్లయింట్ల {br}అభిప్రాయాలు",
+  },
+
+  contact: {
+    getInTouch: "సంప్రదించండి",
+    phone: "ఫోన్",
+    directions: "దారి",
+    ourLocations: "మా కార్యాలయాలు",
+    networkMap: "మా నెట్‌వర్క్ మ్యాప్",
+  },
+
+  notFound: {
+    message: "మీరు వెతుకుతున్న పేజీ మాకు దొరకలేదు.",
+    home: "హోమ్‌పేజీకి తిరిగి వెళ్లండి",
+    imageAlt: "404 పేజీ",
+  },
+
+  footer: {
+    subscribe: "వార్తాలేఖకు సభ్యత్వం పొందండి",
+    copyright: "© {year} ఆర్నా లా. అన్ని హక్కులూ ప్రత్యేకించబడ్డాయి",
+  },
+
+  legal: {
+    privacyPolicy: "గోప్యతా విధానం",
+    termsOfUse: "వినియోగ నిబంధనలు",
+    disclaimer: "నిరాకరణ",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "అంగీకరించండి",
+    decline: "తిరస్కరించండి",
+    intro:
+      "బార్ కౌన్సిల్ ఆఫ్ ఇండియా న్యాయవాదులు ఏ రూపంలోనైనా లేదా ఏ విధంగానైనా క్లయింట్లను అభ్యర్థించడాన్ని లేదా ప్రకటనలు చేయడాన్ని అనుమతించదు. ఈ వెబ్‌సైట్, {site}, ను సందర్శించడం ద్వారా మీరు ఈ క్రింది వాటిని అంగీకరించి ధృవీకరిస్తున్నారు:",
+    points: [
+      "సంస్థ, దాని సభ్యులు మరియు ప్రాక్టీస్ రంగాల గురించి సమాచారం పొందడానికి మీరు మీ స్వంత ఇష్టంతో ఆర్నా లా వెబ్‌సైట్‌ను సందర్శిస్తున్నారు.",
+      "న్యాయవాది-క్లయింట్ సంబంధాన్ని ఏర్పరచడానికి ఆర్నా లా లేదా దాని సభ్యులెవరి నుండీ ఎలాంటి అభ్యర్థన, ప్రకటన, ఆహ్వానం లేదా ప్రలోభం లేదు.",
+      "ఈ వెబ్‌సైట్‌లోని కంటెంట్ సమాచారం కోసం మాత్రమే; దీనిని అభ్యర్థన, ప్రకటన లేదా న్యాయ సలహాగా భావించకూడదు.",
+      "ఈ వెబ్‌సైట్ నుండి డౌన్‌లోడ్ చేసిన ఏవైనా అంశాలు, సమాచారం లేదా పత్రాలు పూర్తిగా మీ విచక్షణకు లోబడి ఉంటాయి మరియు మీకు, ఆర్నా లాకు మధ్య ఎలాంటి న్యాయవాది-క్లయింట్ సంబంధాన్ని ఏర్పరచవు.",
+      "ఈ వెబ్‌సైట్‌లో ప్రచురించిన సమాచారం లేదా అంశాల ఆధారంగా మీరు తీసుకునే ఏ చర్య పరిణామానికీ సంస్థ బాధ్యత వహించదు. మీకు న్యాయ సహాయం అవసరమైతే, స్వతంత్ర వృత్తిపరమైన సలహా తీసుకోవాలి.",
+      "ఈ వెబ్‌సైట్‌లో అందించిన సమాచారం తాజా న్యాయ పరిణామాలను ప్రతిబింబించకపోవచ్చు; దీనిని ఏ అంశంపైనైనా ఆర్నా లా నిబద్ధతగా లేదా అభిప్రాయంగా భావించకూడదు.",
+      "ఈ వెబ్‌సైట్‌లోని మూడవ పక్ష వెబ్‌సైట్‌ల లింక్‌లు సౌలభ్యం కోసం మాత్రమే అందించబడ్డాయి; అవి ఆమోదం, సిఫార్సు లేదా అనుబంధాన్ని సూచించవు. అటువంటి మూడవ పక్ష సైట్‌ల కంటెంట్ లేదా గోప్యతా విధానాలకు ఆర్నా లా బాధ్యత వహించదు.",
+      "ఈ వెబ్‌సైట్ ద్వారా మీరు ఎలాంటి గోప్యమైన, ప్రత్యేకాధికార, వ్యాపార లేదా సున్నితమైన సమాచారాన్ని పంపకూడదు. అధికారిక ఒప్పందానికి ముందు ఈ వేదిక ద్వారా పంచుకున్న సమాచారం గోప్యమైనదిగా పరిగణించబడదు.",
+      "పాఠ్యం, చిత్రాలు, గ్రాఫిక్స్ మరియు డిజైన్‌తో సహా ఈ వెబ్‌సైట్‌లోని మొత్తం కంటెంట్ ఆర్నా లా మేధో సంపత్తి; ముందస్తు లిఖిత అనుమతి లేకుండా దానిని కాపీ చేయడం, పునరుత్పత్తి చేయడం లేదా పంపిణీ చేయడం చేయరాదు.",
+      "వినియోగదారు అనుభవాన్ని మెరుగుపరచడానికి ఈ వెబ్‌సైట్ కుకీలను ఉపయోగిస్తుంది. ఈ సైట్‌ను ఉపయోగించడం కొనసాగించడం ద్వారా, మా గోప్యతా విధానంలో వివరించిన విధంగా కుకీల వినియోగానికి మీరు సమ్మతిస్తున్నారు. మేము మీ డేటాను ఎలా సేకరిస్తామో, ఉపయోగిస్తామో, రక్షిస్తామో తెలుసుకోవడానికి దయచేసి మా {privacyPolicy} మరియు {termsOfUse} చదవండి.",
+      "ఈ వెబ్‌సైట్ మరియు దాని మొత్తం కంటెంట్ స్పష్టమైన లేదా అంతర్లీనమైన ఎలాంటి హామీలు లేకుండా “ఉన్నది ఉన్నట్లుగా” అందించబడుతుంది. ఈ వెబ్‌సైట్‌లోని సమాచారంపై ఆధారపడటం వల్ల కలిగే ఏ నష్టానికీ ఆర్నా లా ఎలాంటి బాధ్యతనూ స్వీకరించదు.",
+      "ఈ వెబ్‌సైట్ వినియోగం నుండి తలెత్తే ఏ వివాదాలైనా భారత చట్టాలకు లోబడి ఉంటాయి మరియు భారతదేశంలోని సమర్థ న్యాయస్థానాల ప్రత్యేక అధికార పరిధికి లోబడి ఉంటాయి.",
+    ],
+    agree: "“నేను అంగీకరిస్తున్నాను”",
+    closing:
+      "{agree} పై క్లిక్ చేయడం ద్వారా లేదా ఈ వెబ్‌సైట్‌ను ఉపయోగించడం కొనసాగించడం ద్వారా, ఈ నిరాకరణ నిబంధనలను మీరు చదివి, అర్థం చేసుకుని, అంగీకరించారని ధృవీకరిస్తున్నారు.",
+  },
+
+  preview: {
+    label: "ప్రివ్యూ",
+    message: "మీరు WordPress లోని ప్రచురించని కంటెంట్‌ను చూస్తున్నారు.",
+    exit: "ప్రివ్యూ నుండి నిష్క్రమించండి",
+  },
 };
 export default te;
 
@@ -0,0 +1,533 @@
+const ur = {
+  menu: {
+    about: "ہمارے بارے میں",
+    thefirm: "فرم",
+    testimonials: "تعریفی کلمات",
+    practiceareas: "پریکٹس کے شعبے",
+    industries: "صنعتیں",
+    newsinsights: "خبریں اور بصیرتیں",
+    insights: "بصیرتیں",
+    aarnanews: "آرنا نیوز",
+    publications: "اشاعتیں",
+    podcasts: "پوڈکاسٹ",
+    careers: "کیریئر",
+    contactus: "ہم سے رابطہ کریں",
+  },
+
+  // Banner Titles
+  practiceAreasTitle: {
+    practiceAreas: "پریکٹس کے شعبے",
+  },
+  industriesTitle: {
+    industries: "صنعتیں",
+  },
+  insightsTitle: {
+    insights: "بصیرتیں",
+  },
+
+  aarnaNewsTitle: {
+    aarnaNews: "آرنا نیوز",
+  },
+  publicationsTitle: {
+    publications: "اشاعتیں",
+  },
+  podcastsTitle: {
+    podcasts: "پوڈکاسٹ",
+  },
+  careersTitle: {
+    careers: "کیریئر",
+  },
+  contactUsTitle: {
+    contactUs: "ہم سے رابطہ کریں",
+  },
+
+  // About Us
+  aboutTitle: {
+    aboutName: "ہمارے بارے میں",
+  },
+
+  //About Us and Home Page
+  whatWeDo: {
+    title: "ہم کیا کرتے ہیں",
+    headline: "ہم عالمی نقطۂ نظر رکھنے والے وکلاء کی ایک ایوارڈ یافتہ ٹیم ہیں",
+    para1:
+      "آرنا لاء کی بنیاد معیاری اور اقدار پر مبنی قانونی خدمات فراہم کرنے کے پختہ عزم کے ساتھ رکھی گئی، تاکہ جن کی ہم خدمت کرتے ہیں ان کے ساتھ گہرے اور دیرپا تعلقات قائم ہوں۔ ہم اپنے مؤکلوں کے کاروبار اور تجارتی مقاصد کو سمجھنے میں وقت اور محنت صرف کرتے ہیں، جس سے ہم ایسے حل تیار کر پاتے ہیں جو سیاق و سباق کے مطابق بھی ہوں اور حکمتِ عملی کے لحاظ سے مضبوط بھی۔",
+    para2:
+      "ہمارا طریقۂ کار جدت پسند اور کاروباری تقاضوں سے باخبر ہے، جس کی بنیاد تجربہ کار وکلاء کی ایک ایسی ٹیم ہے جو تجارتی سوجھ بوجھ رکھتی ہے، عملی طور پر شامل رہتی ہے اور حل پر توجہ دیتی ہے۔",
+  },
+
+  ourLegacy: {
+    legacyTitle: "ہماری وراثت",
+    legacyHeadline:
+      "مختلف شعبوں، صنعتوں اور بین الاقوامی سرحدوں کے پار، ہماری قانونی خدمات اور حل دیانت داری اور رازداری کے اعلیٰ ترین معیار کو برقرار رکھتے ہیں",
+    legacyPara:
+      "سب سے بڑھ کر، ہماری ایوارڈ یافتہ پریکٹس ان دیرپا تعلقات پر قائم ہے جو ہم ہر مؤکل کے ساتھ استوار کرتے ہیں۔ ہم جو قانونی اور تجارتی مشورہ دیتے ہیں وہ اپنے مؤکل کے کاروباری مفادات کی اسی شعوری سمجھ کا عکاس ہے۔",
+  },
+
+  founderMessage: {
+    founderTitle: "ہمارے بانیوں کا پیغام",
+    founderPara:
+      "ہم بے حد شکر گزار ہیں کہ ہمیں چھوٹی، درمیانی اور بڑی ہر طرح کی صنعتوں کے مؤکلوں کی خدمت کا شرف حاصل ہوا، اور جمہوریۂ ہند کی جانب سے وکالت کا موقع ملا۔ ہم عاجزی سے پچھلی نسلوں کی دعاؤں اور ان کے بلند کندھوں کا اعتراف کرتے ہیں۔ ان کی دی ہوئی گہری اقدار ہمیں ایک ایسا پلیٹ فارم بنانے کی ترغیب دیتی رہتی ہیں جو ہم سب کی بہترین صلاحیتوں کو اجاگر کرے، جبکہ ہم اپنے مؤکلوں کی خدمت اور انصاف کے مقصد کو آگے بڑھانے کی کوشش کرتے ہیں۔",
+    founderName1: "کملا ناگانند",
+    founderDescription1: "منیجنگ پارٹنر",
+    founderName2: "شریاس جے سمہا",
+    founderDescription2: "بانی پارٹنر",
+  },
+
+  jayasimhaFoundation: {
+    jayasimhaTitle: "جے سمہا فاؤنڈیشن",
+    jayasimhaPara1:
+      "مرحوم جسٹس آر جے سمہا بابو (1942-2015) کی یاد میں قائم کی گئی جے سمہا فاؤنڈیشن ایک شاندار ورثے کو آگے بڑھاتی ہے جس کی جڑیں خدمت کے جذبے کے ذریعے کمال کی جستجو میں پیوست ہیں۔",
+    jayasimhaPara2:
+      "یہ فاؤنڈیشن دیانت داری، حوصلے اور نظم و ضبط کے ان رہنما اصولوں کی عکاسی کرتی ہے جن کی مثال جسٹس جے سمہا بابو تھے۔",
+    jayasimhaPara3:
+      "مدراس ہائی کورٹ اور اس سے قبل کرناٹک ہائی کورٹ کے جج کی حیثیت سے اپنی ممتاز تقرریوں کے دوران جسٹس جے سمہا بابو نے آئینی قانون، کمپنی و تجارتی قانون اور ٹیکس کے معاملات پر ایسے فیصلے سنائے جن کا وسیع پیمانے پر حوالہ دیا جاتا ہے۔ مزید برآں، ملکی اور بین الاقوامی تنازعات میں بطور ثالث تنازعات کے حل کے لیے ان کے دانشمندانہ طریقۂ کار کو بڑی قدر کی نگاہ سے دیکھا جاتا تھا۔",
+    jayasimhaPara4:
+      "کرناٹک، ہندوستانی اور مغربی کلاسیکی موسیقی کے قدردان جسٹس بابو قانون کے میدان میں نوجوان صلاحیتوں کی حوصلہ افزائی اور انہیں بااختیار بنانے کے خواہاں تھے۔",
+  },
+
+  joinTeam: {
+    joinTeamTitle: "کیا آپ ہماری ٹیم میں شامل ہونا چاہیں گے؟",
+    joinTeamPara:
+      "ہم ایک جدت پسند ادارہ ہیں جو ایک دوسرے کو آگے بڑھنے اور پھلنے پھولنے کے قابل بناتا ہے۔ دیانت داری، کارکردگی، ٹیم ورک اور ایثار ہماری بوتیک پریکٹس کے بنیادی ستون ہیں۔",
+    joinTeamOpening: "موجودہ آسامیاں دیکھیں",
+  },
+
+  aboutPracticeAreaTitle: {
+    aboutPracticeAreaName: "پریکٹس کے شعبے",
+  },
+
+  aboutPartner: {
+    aboutPartnerTitle: "پارٹنرز",
+    aboutPartnerPara:
+      "ہماری باصلاحیت ٹیم کی مہارت ہماری پریکٹس کو فکری قیادت، رہنمائی اور کمال کی جستجو سے جوڑے رکھتی ہے...",
+  },
+
+  // Testimonials
+  testmonialBannerTitle: {
+    testmonialBannerName: "تعریفی کلمات",
+  },
+
+  testimonialDetails: [
+    {
+      imageUrl: "/testimonials/op.png",
+      name: "کنال شاہ",
+      post: "",
+      desingnation: "OnePaper Research Analysts Private Limited",
+      desc: "“ ہم تسلی بخش نتائج فراہم کرنے کے لیے ٹیم کی محنت اور عزم کی بے حد قدر کرتے ہیں۔”",
+      fullTestimonial: `ہمیں یہ بتاتے ہوئے خوشی ہے کہ ون پیپر آرنا لاء کی فراہم کردہ خدمات سے مکمل طور پر مطمئن ہے۔ ودھیشا، پنتی اور پوری ٹیم نے ہماری ضروریات پوری کرنے میں غیر معمولی مہارت اور لگن کا مظاہرہ کیا۔ ان کی کوششوں اور بروقت مدد نے ہمارے معاملے میں سازگار حکم حاصل کرنے میں اہم کردار ادا کیا۔
+        ہم تسلی بخش نتائج فراہم کرنے کے لیے ٹیم کی محنت اور عزم کی بے حد قدر کرتے ہیں۔
+        آپ کے تعاون کے لیے ایک بار پھر شکریہ۔`,
+    },
+
+    {
+      imageUrl: "/testimonials/client-fabric.png",
+      name: "پلوی راؤ اور ارون کیزپڈاتھل",
+      post: "بانیان",
+      desingnation: "Client Fabric Tech Ltd.",
+      desc: "“ ہمیں آرنا لاء ایک عالمی تلاش کے بعد ملا اور ہم بہت خوش ہیں کہ ایسا ہوا۔ ”",
+      fullTestimonial: `ہم ایک ایسی لاء فرم کی تلاش میں تھے جو خوش اخلاق، قابل، فوری جواب دینے والی ہو اور ہمارے کاروبار کو سمجھتی ہو، اور آرنا لاء ہمارے لیے یہ سب کچھ اور اس سے بھی بڑھ کر ثابت ہوئی۔ ہمیں آرنا لاء ایک عالمی تلاش کے بعد ملا اور ہم بہت خوش ہیں کہ ایسا ہوا۔`,
+    },
+    {
+      imageUrl: "/testimonials/og.png",
+      name: "ٹونی ہیلز",
+      post: "سی ای او",
+      desingnation: "OG Healthcare",
+      desc: "“آرنا لاء ہماری مخصوص ضروریات کو وقت پر اور بجٹ کے اندر پورا کرنے میں کامیاب رہی - واقعی ایک پیشہ ور فرم جس کے پاس بہت سے شعبوں میں علم، تجربہ اور نیٹ ورک ہے۔”",
+      fullTestimonial: `شریاس اور آرنا لاء کی ٹیم کا ابتدائی مشورے اور بعد میں قانونی خدمات کی فراہمی کے لیے شکریہ۔ یہ کوئی عام معاملہ نہیں تھا، پھر بھی آرنا لاء ہماری مخصوص ضروریات کو وقت پر اور بجٹ کے اندر پورا کرنے میں کامیاب رہی - واقعی ایک پیشہ ور فرم جس کے پاس بہت سے شعبوں میں علم، تجربہ اور نیٹ ورک ہے۔ ایک بار پھر شکریہ۔`,
+    },
+    {
+      imageUrl: "/testimonials/daimler.jpg",
+      name: "ونے بھگوان",
+      post: "جنرل کونسل",
+      desingnation: "Daimler Trucks India",
+      desc: "“میں اعلیٰ درجے کی قانونی نمائندگی کے خواہاں ہر شخص کو آرنا لاء اور اس کی شاندار ٹیم کی تہِ دل سے سفارش کرتا ہوں۔”",
+      fullTestimonial: `آرنا لاء کے ساتھ میرا تجربہ غیر معمولی سے کم نہیں رہا۔ فرم کے بانی پارٹنرز شریاس اور کملا نے قابلِ ذکر بصیرت اور لگن کے ساتھ فرم کو چلایا اور اسے نئی بلندیوں تک پہنچایا۔ ان کی قیادت اور کمال سے ان کی گہری وابستگی آرنا لاء کو قانونی صنعت میں ممتاز بناتی ہے۔
+      میاں بیوی کی ٹیم کے طور پر شریاس اور کملا فرم میں ایک منفرد توانائی لاتے ہیں، اور اپنی انفرادی خوبیوں کو ملا کر ایک مربوط اور نہایت مؤثر شراکت قائم کرتے ہیں۔ ان کی اسٹریٹجک سمجھ اور باریک بینی پیچیدہ قانونی چیلنجوں میں ہماری رہنمائی میں کلیدی رہی ہے۔
+      میں جدت کے لیے ان کے شوق سے خاص طور پر متاثر ہوں، بالخصوص اپنی پریکٹس میں جدید ترین ٹیکنالوجی کو شامل کرنے کی ان کی کوششوں سے۔ یہ دور اندیش طریقہ نہ صرف کارکردگی بڑھاتا ہے بلکہ یہ بھی یقینی بناتا ہے کہ مؤکلوں کو دستیاب سب سے جدید اور مؤثر قانونی حل ملیں۔
+      اپنی تکنیکی مہارت کے علاوہ شریاس اور کملا اپنی دیانت داری، اخلاقی معیارات اور اپنے مؤکلوں کی حقیقی فکر کے لیے جانے جاتے ہیں۔ انہوں نے اعتماد اور کمال کی ایسی ثقافت قائم کی ہے جو پوری فرم میں رچی بسی ہے۔
+      میں اعلیٰ درجے کی قانونی نمائندگی کے خواہاں ہر شخص کو آرنا لاء اور اس کی شاندار ٹیم کی تہِ دل سے سفارش کرتا ہوں۔`,
+    },
+    {
+      imageUrl: "/testimonials/power.png",
+      name: "نوین ریڈی",
+      post: "",
+      desingnation: "Powerplay",
+      desc: "“آرنا لاء نے ملازمین کے معاہدوں سے لے کر تجارتی معاہدوں کی تیاری تک میری تمام قانونی ضروریات میں میرا ساتھ دیا ہے۔”",
+      fullTestimonial: `آرنا لاء نے ملازمین کے معاہدوں سے لے کر تجارتی معاہدوں کی تیاری تک میری تمام قانونی ضروریات میں میرا ساتھ دیا ہے۔ کاروبار سے متعلق تمام مسائل کو انہوں نے آسانی اور باریک بینی سے حل کیا۔ اپنی تمام قانونی ضروریات کے لیے میں انہی سے رجوع کرتا ہوں۔`,
+    },
+
+    {
+      imageUrl: "/testimonials/mam.jpg",
+      name: "آشیکا ابراہم",
+      post: "بانی",
+      desingnation: "Mammamiya",
+      desc: "“ مجھے آرنا لاء میں شریاس اور کملا اور ان کی ٹیم کے ساتھ کام کر کے بہت لطف آیا - خاص طور پر اس لیے کہ ان کی قانونی رائے ہمیشہ دانش، وسیع نقطۂ نظر اور تجارتی، سماجی اور سیاسی سیاق و سباق کے ساتھ متوازن ہوتی ہے۔”",
+      fullTestimonial: `مجھے آرنا لاء میں شریاس اور کملا اور ان کی ٹیم کے ساتھ کام کر کے بہت لطف آیا - خاص طور پر اس لیے کہ ان کی قانونی رائے ہمیشہ دانش، وسیع نقطۂ نظر اور تجارتی، سماجی اور سیاسی سیاق و سباق کے ساتھ متوازن ہوتی ہے۔
+      انصاف کے لیے ان کا باطنی جذبہ ان کی پریکٹس کو مضبوط بناتا ہے، اور یہ جلد از جلد قانونی حل اور تصفیے تلاش کرنے کے ان کے عزم میں نمایاں نظر آتا ہے۔`,
+    },
+    {
+      imageUrl: "/testimonials/nov.png",
+      name: "مکیش شاہ",
+      post: "",
+      desingnation: "Novalite limited",
+      desc: "“ یہ تجربہ غیر معمولی سے کم نہیں تھا۔ مسٹر جے سمہا اور ان کی ٹیم نے شاندار پیشہ ورانہ مہارت، قابلیت اور لگن کا مظاہرہ کیا۔”",
+      fullTestimonial: `ہم نوولائٹ لمیٹڈ میں کئی پیچیدہ قانونی معاملات پر آرنا لاء، اور خاص طور پر مسٹر شریاس جے سمہا کے ساتھ کام کرنے کا شرف رکھتے ہیں۔ یہ تجربہ غیر معمولی سے کم نہیں تھا۔ مسٹر جے سمہا اور ان کی ٹیم نے شاندار پیشہ ورانہ مہارت، قابلیت اور لگن کا مظاہرہ کیا۔
+        جو چیز آرنا لاء کو واقعی ممتاز بناتی ہے وہ قانونی خدمات کے لیے ان کا جامع طریقۂ کار ہے۔ وہ نہ صرف قانونی کارروائیوں میں درستی کے ساتھ رہنمائی کرتے ہیں بلکہ ایسا قیمتی مشورہ بھی دیتے ہیں جو ہمارے کاروباری طرزِ عمل سے پوری طرح ہم آہنگ ہو۔ ہماری منفرد ضروریات کو سمجھنے اور اپنی خدمات کو ان کے مطابق ڈھالنے کی ان کی صلاحیت نے بڑا فرق پیدا کیا۔
+        ہم مسٹر جے سمہا اور آرنا لاء کی پوری ٹیم کے تعاون اور بصیرت کے بے حد شکر گزار ہیں۔ وہ محض قانونی مشیر نہیں رہے؛ وہ ہمارے کاروباری سفر میں حقیقی شراکت دار رہے ہیں۔
+        آرنا لاء، کمال کے لیے آپ کے غیر متزلزل عزم کا شکریہ۔ ہم مستقبل میں بھی اپنا اشتراک جاری رکھنے کے منتظر ہیں۔`,
+    },
+    {
+      imageUrl: "",
+      name: "پرنو نہار",
+      post: "کاروباری",
+      desingnation: "",
+      desc: "“ان کی مؤکل خدمت اور قانونی مہارت نہایت پیشہ ورانہ تھی۔ ان کے ساتھ کام کرنا ایک خوشگوار تجربہ تھا۔”",
+      fullTestimonial: `منجوشری اور آرنا لاء کی ٹیم کو ہمارے رئیل اسٹیٹ فن ٹیک کاروبار کے لیے سب سے بہتر اور ضوابط کے مطابق ڈھانچہ تلاش کرنے کی ذمہ داری سونپی گئی۔ انہوں نے یہ کام وضاحت اور تفصیل کے ساتھ انجام دیا۔ ہمیں یہ بات متاثر کن لگی کہ ہمارے بہت سے شکوک و سوالات تھے جن پر ہم اصرار کرتے رہے، اور انہوں نے صبر کے ساتھ ہماری مانگی ہوئی ہر تفصیل پر کام کیا۔ ان کی مؤکل خدمت اور قانونی مہارت نہایت پیشہ ورانہ تھی۔ ان کے ساتھ کام کرنا ایک خوشگوار تجربہ تھا۔`,
+    },
+    {
+      imageUrl: "",
+      name: "پون جین",
+      post: "نائب صدر",
+      desingnation: "فنانس",
+      desc: "“ انہوں نے کام سے گہری وابستگی دکھائی اور ڈیڈ لائنز اور توقعات کا احترام کیا۔”",
+      fullTestimonial: `محترمہ کملا اور ان کی پوری ٹیم اپنے طریقۂ کار میں انتہائی پیشہ ور ہے اور ہر وقت رائے کے لیے کھلی رہتی ہے۔ انہوں نے کام سے گہری وابستگی دکھائی اور ڈیڈ لائنز اور توقعات کا احترام کیا۔ ان کے ساتھ کام کرنا واقعی خوشی کی بات تھی اور ہم مستقبل میں بھی ان کے ساتھ کام کرنے کے منتظر ہیں۔`,
+    },
+  ],
+
+  // Home Page
+
+  ourLegacy1: {
+    legacyTitle1: "ہماری وراثت",
+    legacyHeadline1: "نو دہائیوں سے زائد عزم اور خدمت پر قائم",
+    legacyPara1:
+      "مختلف شعبوں، صنعتوں اور بین الاقوامی سرحدوں کے پار، ہماری قانونی خدمات اور حل فطری قانون، انصاف اور ہمدردی کے اپنے اصولوں پر سمجھوتہ کیے بغیر ہمارے مؤکلوں کے بہترین مفادات کی نمائندگی کے لیے خاص طور پر تیار کیے جاتے ہیں",
+    legacyPara2:
+      "ہم ملکی، غیر ملکی اور تارکینِ وطن مؤکلوں کو مختلف امور پر مشورہ دیتے ہیں۔ ریگولیٹری، مالی اور قانونی خطرات کو کم کرنے سے لے کر قومی اور بین الاقوامی قانون کے انتہائی خصوصی شعبوں میں رہنمائی تک، ہم غیر متزلزل دیانت داری کے ساتھ مشورہ دیتے ہیں۔",
+  },
+
+  ourServicesTitle: {
+    ourServices: "ہماری خدمات",
+  },
+
+  ourFirmTitle: {
+    ourFirm: "ہماری فرم",
+  },
+
+  disputes: {
+    disputesTitle: "تنازعات جو ہم حل کرتے ہیں",
+  },
+
+  disputesDetails: [
+    {
+      name: "تجارتی مقدمہ بازی",
+    },
+    {
+      name: "ثالثی",
+    },
+    {
+      name: "بین الاقوامی ثالثی",
+    },
+    {
+      name: "مصالحت",
+    },
+    {
+      name: "تعمیراتی تنازعات",
+    },
+    {
+      name: "رئیل اسٹیٹ تنازعات",
+    },
+    {
+      name: "شیئر ہولڈرز کے تنازعات",
+    },
+    {
+      name: "مقدمے کی سماعت اور وکالت",
+    },
+    {
+      name: "کارپوریٹ تنازعات",
+    },
+    {
+      name: "تنظیمِ نو اور دیوالیہ پن",
+    },
+    {
+      name: "ریگولیٹری تنازعات",
+    },
+  ],
+
+  trackRecord: {
+    trackRecordTitle: "اعداد و شمار میں ہمارا ریکارڈ",
+    yearsOfLegacy: "ہماری وراثت کے سال",
+    clientsServed: "خدمت یافتہ موکلین",
+    disputesResolved: "حل شدہ تنازعات",
+  },
+
+  awards: {
+    awardsTitle: "ایوارڈز اور اعزازات",
+  },
+
+  //Practice Area Main Heading
+  practiceAreaHeading: {
+    practiceAreaHeading:
+      "ہماری متحرک ٹیم پریکٹس کے متنوع شعبوں میں تجربہ کار مشورہ فراہم کرتی ہے",
+  },
+
+  practiceAreaPara1: {
+    practiceAreaPara1:
+      "برسوں کے دوران آرنا لاء نے ایک قابلِ اعتماد مشیر کے طور پر ممتاز ساکھ حاصل کی ہے۔ ہمارے قائم کردہ دیرینہ تعلقات قانونی منظرنامے کی ہماری گہری سمجھ، ہماری معاملہ فہمی اور عملی، نتیجہ خیز مشورہ دینے کی ہماری صلاحیت کا ثبوت ہیں۔",
+  },
+  practiceAreaPara2: {
+    practiceAreaPara2:
+      "ہم قانونی خدمات کی ایک جامع رینج پیش کرتے ہیں جو ایک دوسرے کی تکمیل کرتی ہیں، جس سے ہم ہر معاملے پر ایک جامع اور کثیر شعبہ جاتی نقطۂ نظر اپنا پاتے ہیں۔ ہمارے بنیادی پریکٹس کے شعبوں میں کارپوریٹ، تجارتی اور ریگولیٹری مشاورت، ایکویٹی اور قرض کی مالیات، انضمام و حصول اور تنازعات کا حل شامل ہیں۔",
+  },
+
+  //Industries Main Heading
+  industriesHeading: {
+    industriesHeading:
+      "ہماری ترقی پسند پریکٹس تمام صنعتوں کے مؤکلوں کو ماہرانہ معاونت فراہم کرتی ہے",
+  },
+  industrieslistTitle: {
+    industrieslist: "صنعتیں جن کی ہم خدمت کرتے ہیں",
+  },
+  contactOurExpertsTitle: {
+    contactOurExperts: "ہمارے ماہرین سے رابطہ کریں",
+  },
+  network: {
+    networkTitle: "دنیا بھر میں وکلاء کا ایک نیٹ ورک",
+    interact: "نقشہ استعمال کرنے کے لیے کلک کریں",
+    loadingMap: "نقشہ لوڈ ہو رہا ہے...",
+  },
+
+  translationNotice: {
+    notAvailable: "یہ صفحہ ابھی آپ کی زبان میں دستیاب نہیں ہے، اس لیے اسے انگریزی میں دکھایا گیا ہے۔",
+  },
+
+  // Careers page
+  careers: {
+    title: "آرنا لا میں کیریئر",
+    headline: "بین الاقوامی نقطۂ نظر رکھنے والی ایک متحرک قانونی پریکٹس کا حصہ بنیں",
+    intro:
+      "آرنا لا بھارت میں قائم ایک بین الاقوامی قانونی مشاورتی ادارہ ہے جس کی جڑیں فطری قانون، انصاف اور رحم دلی کے دھارمک اصولوں میں پیوست ہیں۔ اپنے وسیع پریکٹس شعبوں کے ذریعے ہم قومی ریاستوں، بین الاقوامی تنظیموں، کثیر القومی کمپنیوں، مخصوص اسٹارٹ اپس اور انفرادی مفادات تک پھیلے ہوئے مؤکلوں کو ترقی پسند قانونی مشورہ دیتے ہیں۔",
+    recruitmentTitle: "قانونی اور انتظامی پیشہ ور افراد کی بھرتی",
+    recruitment:
+      "ہم بین الاقوامی تجربے، نمایاں تعلیمی کامیابیوں، ہم مرتبہ جائزہ شدہ جرائد میں اشاعتوں یا گہری قانونی مہارت کے دیگر ثبوت رکھنے والے پیشہ ور افراد سے سننے میں ہمیشہ دلچسپی رکھتے ہیں۔ ہمیں جدت پسند اور قابل انتظامی و معاون ٹیم ارکان میں بھی دلچسپی ہے۔ اگر آپ خدمت کے جذبے اور قانون میں عمدگی کا شوق رکھنے والے ٹیم پلیئر ہیں تو براہ کرم رابطہ کریں۔",
+    openingsTitle: "موجودہ آسامیاں",
+    internshipsTitle: "انٹرن شپ",
+    applyNow: "ابھی درخواست دیں",
+    noContent: "کوئی مواد دستیاب نہیں۔",
+    internships: [
+      "آرنا میں ہم ایک بھرپور اور چیلنجنگ انٹرن شپ کا تجربہ پیش کرتے ہیں۔ ہم صرف مضبوط تعلیمی ریکارڈ ہی نہیں دیکھتے؛ ہم ایسے افراد کی تلاش کرتے ہیں جو پُرعزم ہوں، سیکھنے کے خواہاں ہوں اور ادارے کی اقدار میں شریک ہوں۔ ہمیں اپنے انٹرنز کے تنوع اور ملک بھر کے طلبہ کو دیے گئے مواقع پر فخر ہے۔",
+      "انٹرن شپ کی مدت {minWeeks, number}-{maxWeeks, number} ہفتے ہے۔ انٹرنز کو ہماری تنازعات، دیوالیہ پن قانون اور کارپوریٹ مشاورتی ٹیموں کے ساتھ کام کرنے کا موقع ملتا ہے۔ انٹرن شپ کے دوران ہمارے پریکٹس شعبوں کے مختلف پہلوؤں کی عملی سمجھ حاصل کرنے کا منفرد موقع ملتا ہے۔ ہر انٹرن کو ایک نگران دیا جاتا ہے؛ تاہم جامع تجربے کے لیے ان سے تمام ٹیموں کے ساتھ کام کرنے کی توقع کی جاتی ہے۔",
+      "ہمارے انٹرنز سے توقع کی جاتی ہے کہ وہ ہمارے پریکٹس شعبوں میں قانون کی حالیہ پیش رفت سے باخبر رہیں۔ ہر انٹرن کو تحقیق کے لیے ایک موضوع دیا جاتا ہے اور مدت کے اختتام پر شراکت داروں اور تمام ایسوسی ایٹس کے سامنے پریزنٹیشن دینی ہوتی ہے۔",
+      "ہم بی اے ایل ایل بی (آنرز) پروگرام اور 3 سالہ ایل ایل بی پروگرام کے پہلے اور دوسرے سال کے طلبہ سے انٹرن شپ کی درخواستیں قبول نہیں کرتے۔",
+    ],
+  },
+
+  // Contact, careers, newsletter and publication forms
+  forms: {
+    firstName: "پہلا نام",
+    lastName: "خاندانی نام",
+    name: "نام",
+    email: "ای میل",
+    phone: "فون نمبر",
+    phonePlaceholder: "فون نمبر درج کریں",
+    mobile: "موبائل",
+    mobilePlaceholder: "{digits, number} ہندسوں کا موبائل نمبر درج کریں",
+    college: "کالج",
+    role: "عہدہ منتخب کریں",
+    selectPlaceholder: "براہ کرم منتخب کریں",
+    roleOption: "{role, select, Legal {قانونی} Administration {انتظامیہ} Finance {مالیات} other {{role}}}",
+    experience: "اہلیت کے بعد تجربے کے سال",
+    experiencePlaceholder: "تجربے کے سال درج کریں",
+    inquiry: "آپ کے استفسار کی تفصیل",
+    resume: "فائل منتخب کریں",
+    resumeChange: "فائل بدلنے کے لیے کلک کریں",
+    resumeUpload: "اپ لوڈ کرنے کے لیے کلک کریں یا گھسیٹ کر چھوڑیں",
+    resumeTypes: "PDF، DOCX (زیادہ سے زیادہ {maxMb, number} MB)",
+    interests: "اپنی دلچسپیاں منتخب کریں",
+    interestOption: "{interest, select, corporateAdvisory {کارپوریٹ مشاورت} hrCompliance {ایچ آر تعمیل} other {دیگر}}",
+    detailsTitle: "اپنی تفصیلات درج کریں",
+    close: "بند کریں",
+    submit: "جمع کرائیں",
+    submitting: "جمع کرایا جا رہا ہے...",
+    subscribe: "سبسکرائب کریں",
+    loading: "لوڈ ہو رہا ہے...",
+    applicationSent: "درخواست کامیابی سے جمع ہو گئی!",
+    contactSent: "فارم کامیابی سے جمع ہو گیا!",
+    subscribed: "نیوز لیٹر کی سبسکرپشن کامیابی سے ہو گئی!",
+    errors: {
+      heading: "{count, plural, one {براہ کرم درج ذیل غلطی درست کریں:} other {براہ کرم درج ذیل غلطیاں درست کریں:}}",
+      firstNameRequired: "پہلا نام ضروری ہے",
+      lastNameRequired: "خاندانی نام ضروری ہے",
+      nameRequired: "نام ضروری ہے",
+      emailRequired: "ای میل ضروری ہے",
+      emailInvalid: "براہ کرم درست ای میل پتہ درج کریں",
+      phoneRequired: "فون نمبر ضروری ہے",
+      phoneTooShort: "فون نمبر کم از کم {min, plural, one {# ہندسے} other {# ہندسوں}} کا ہونا چاہیے",
+      phoneTooLong: "فون نمبر {max, plural, one {# ہندسے} other {# ہندسوں}} سے زیادہ نہیں ہو سکتا",
+      mobileRequired: "موبائل نمبر ضروری ہے",
+      mobileTooShort: "موبائل نمبر کم از کم {min, plural, one {# ہندسے} other {# ہندسوں}} کا ہونا چاہیے",
+      mobileTooLong: "موبائل نمبر {max, plural, one {# ہندسے} other {# ہندسوں}} سے زیادہ نہیں ہو سکتا",
+      collegeRequired: "کالج کا نام ضروری ہے",
+      collegeTooShort: "کالج کا نام کم از کم {min, plural, one {# حرف} other {# حروف}} کا ہونا چاہیے",
+      roleRequired: "براہ کرم ایک عہدہ منتخب کریں",
+      resumeRequired: "براہ کرم اپنا ریزیومے اپ لوڈ کریں",
+      fileTooLarge: "فائل کا سائز {maxMb, number} MB سے کم ہونا چاہیے",
+      fileType: "صرف PDF اور DOCX فائلوں کی اجازت ہے",
+      interestsRequired: "براہ کرم کم از کم ایک دلچسپی منتخب کریں",
+      messageRequired: "پیغام ضروری ہے",
+      fillAll: "براہ کرم تمام خانے پُر کریں",
+      emailExists: "یہ ای میل پہلے سے موجود ہے",
+      phoneExists: "یہ فون نمبر پہلے سے موجود ہے",
+      emailRegistered: "یہ ای میل پتہ پہلے سے رجسٹرڈ ہے۔ براہ کرم کوئی دوسرا ای میل پتہ استعمال کریں۔",
+      mobileRegistered: "یہ موبائل نمبر پہلے سے رجسٹرڈ ہے۔ براہ کرم کوئی دوسرا موبائل نمبر استعمال کریں۔",
+      auth: "تصدیق کی خرابی — ایڈمن سے رابطہ کریں۔",
+      failed: "جمع نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔",
+      timeout: "درخواست کا وقت ختم ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔",
+      unknown: "ایک خرابی پیش آئی۔ براہ کرم دوبارہ کوشش کریں۔",
+    },
+  },
+
+  // Site search: the header search box and the /search page
+  search: {
+    title: "تلاش",
+    placeholder: "بصیرتیں، افراد، پریکٹس کے شعبے تلاش کریں…",
+    submit: "تلاش کریں",
+    open: "تلاش کھولیں",
+    close: "تلاش بند کریں",
+    prompt: "سائٹ پر تلاش کرنے کے لیے کوئی لفظ یا جملہ لکھیں۔",
+    resultsFor: "“{query}” کے لیے {count, plural, one {# نتیجہ} other {# نتائج}}",
+    noResults: "“{query}” کے لیے کوئی نتیجہ نہیں ملا۔ ہجے چیک کریں یا کم الفاظ سے تلاش کریں۔",
+    seeAll: "تمام نتائج دیکھیں",
+    all: "تمام",
+    type: "{type, select, insight {بصیرتیں} publication {اشاعتیں} podcast {پوڈکاسٹ} team {افراد} practice-area {پریکٹس کے شعبے} industry {صنعتیں} job {کیریئر} other {{type}}}",
+    practiceArea: "پریکٹس کا شعبہ",
+    industry: "صنعت",
+    year: "سال",
+    language: "زبان",
+    clearFilters: "فلٹر ہٹائیں",
+    previous: "پچھلا",
+    next: "اگلا",
+    pageOf: "صفحہ {page, number} از {pages, number}",
+    recent: "حالیہ تلاشیں",
+    clearRecent: "صاف کریں",
+    keyboardHint: "↑ ↓ سے منتخب کریں، Enter سے کھولیں، Esc سے بند کریں",
+    error: "تلاش اس وقت دستیاب نہیں۔ براہ کرم دوبارہ کوشش کریں۔",
+    filterPlaceholder: "تلاش کریں...",
+  },
+
+  // Shared by listings, cards and pages
+  common: {
+    readMore: "مزید پڑھیں",
+    loadMore: "مزید دکھائیں",
+    viewAll: "سب دیکھیں",
+    loading: "لوڈ ہو رہا ہے...",
+    loadingDots: "لوڈ ہو رہا ہے",
+    noPosts: "کوئی متعلقہ پوسٹ نہیں ملی",
+    noMorePosts: "مزید تفصیلات دستیاب نہیں",
+    published: "شائع شدہ: {date}",
+    archives: "آرکائیوز",
+    quickLinks: "فوری روابط:",
+    contactPartner: "پارٹنر سے رابطہ کریں",
+    pageLoadError: "یہ صفحہ لوڈ نہیں ہو سکا۔ براہ کرم تھوڑی دیر بعد دوبارہ کوشش کریں۔",
+    error: "خرابی: {message}",
+    componentMissing: "جزو نہیں ملا",
+    scrollToTop: "اوپر جائیں",
+    openMenu: "مرکزی مینو کھولیں",
+    faqTitle: "اکثر پوچھے جانے والے سوالات",
+  },
+
+  home: {
+    tagline: "موکل پر مرکوز مسائل کا حل",
+  },
+
+  // Insights, news and publications
+  posts: {
+    viewArticle: "مضمون دیکھیں",
+    backToInsights: "بصیرتوں پر واپس جائیں",
+    backToNews: "آرنا خبروں پر واپس جائیں",
+    backToPublications: "اشاعتوں پر واپس جائیں",
+    noResults: "کوئی نتیجہ نہیں ملا",
+    noResultsFor: "\"{query}\" کے لیے کوئی نتیجہ نہیں ملا",
+  },
+
+  podcasts: {
+    listenNow: "ابھی سنیں",
+    thumbnailAlt: "پوڈکاسٹ تھمب نیل",
+    noImage: "کوئی نمایاں تصویر دستیاب نہیں",
+    previous: "← پچھلا پوڈکاسٹ",
+    next: "اگلا پوڈکاسٹ →",
+    videoCover: "ویڈیو کور",
+    videoUnsupported: "آپ کا براؤزر ویڈیو ٹیگ کو سپورٹ نہیں کرتا۔",
+    play: "چلائیں",
+    pause: "روکیں",
+  },
+
+  team: {
+    photoAlt: "ٹیم کا رکن",
+    noDesignation: "عہدہ دستیاب نہیں",
+    readMore: "مزید پڑھیں",
+  },
+
+  testimonials: {
+    // {br} is a line break on wide screens
+    heading: "موکلین کی {br}آراء",
+  },
+
+  contact: {
+    getInTouch: "رابطے میں رہیں",
+    phone: "فون",
+    directions: "راستہ",
+    ourLocations: "ہمارے دفاتر",
+    networkMap: "ہمارے نیٹ ورک کا نقشہ",
+  },
+
+  notFound: {
+    message: "آپ جو صفحہ تلاش کر رہے ہیں وہ ہمیں نہیں ملا۔",
+    home: "ہوم پیج پر واپس جائیں",
+    imageAlt: "404 صفحہ",
+  },
+
+  footer: {
+    subscribe: "نیوز لیٹر کو سبسکرائب کریں",
+    copyright: "© {year} آرنا لا۔ جملہ حقوق محفوظ ہیں",
+  },
+
+  legal: {
+    privacyPolicy: "رازداری کی پالیسی",
+    termsOfUse: "استعمال کی شرائط",
+    disclaimer: "دستبرداری",
+  },
+
+  // The disclaimer shown on a first visit; {site}, {privacyPolicy},
+  // {termsOfUse} and {agree} are filled in with links and emphasis
+  disclaimer: {
+    accept: "قبول کریں",
+    decline: "مسترد کریں",
+    intro:
+      "بار کونسل آف انڈیا وکلاء کو کسی بھی شکل یا طریقے سے موکلین کی طلب یا تشہیر کی اجازت نہیں دیتی۔ اس ویب سائٹ، {site}، تک رسائی حاصل کر کے آپ درج ذیل باتوں کو تسلیم کرتے اور ان کی تصدیق کرتے ہیں:",
+    points: [
+      "آپ فرم، اس کے اراکین اور پریکٹس کے شعبوں کے بارے میں معلومات حاصل کرنے کے لیے اپنی مرضی سے آرنا لا کی ویب سائٹ دیکھ رہے ہیں۔",
+      "وکیل اور موکل کا تعلق قائم کرنے کے لیے آرنا لا یا اس کے کسی رکن کی جانب سے کسی قسم کی طلب، تشہیر، دعوت یا ترغیب نہیں دی گئی۔",
+      "اس ویب سائٹ کا مواد صرف معلومات کے لیے ہے اور اسے طلب، تشہیر یا قانونی مشورہ نہیں سمجھنا چاہیے۔",
+      "اس ویب سائٹ سے ڈاؤن لوڈ کیا گیا کوئی بھی مواد، معلومات یا دستاویز مکمل طور پر آپ کی صوابدید پر ہے اور اس سے آپ اور آرنا لا کے درمیان وکیل اور موکل کا کوئی تعلق قائم نہیں ہوتا۔",
+      "اس ویب سائٹ پر شائع شدہ معلومات یا مواد کی بنیاد پر آپ کی جانب سے کیے گئے کسی بھی اقدام کے نتیجے کی ذمہ داری فرم پر نہیں ہے۔ اگر آپ کو قانونی مدد درکار ہو تو آپ کو آزادانہ پیشہ ورانہ مشورہ لینا چاہیے۔",
+      "اس ویب سائٹ پر فراہم کردہ معلومات تازہ ترین قانونی پیش رفت کی عکاسی نہیں کر سکتیں، اور انہیں کسی بھی معاملے پر آرنا لا کا عہد یا رائے نہیں سمجھنا چاہیے۔",
+      "اس ویب سائٹ پر تیسرے فریق کی ویب سائٹس کے روابط صرف سہولت کے لیے فراہم کیے گئے ہیں اور یہ توثیق، سفارش یا وابستگی ظاہر نہیں کرتے۔ آرنا لا ایسی ویب سائٹس کے مواد یا رازداری کے طریقوں کا ذمہ دار نہیں ہے۔",
+      "آپ کو اس ویب سائٹ کے ذریعے کوئی خفیہ، مراعات یافتہ، کاروباری یا حساس معلومات نہیں بھیجنی چاہئیں۔ باضابطہ معاہدے سے پہلے اس پلیٹ فارم کے ذریعے شیئر کی گئی معلومات کو خفیہ نہیں سمجھا جائے گا۔",
+      "متن، تصاویر، گرافکس اور ڈیزائن سمیت اس ویب سائٹ کا تمام مواد آرنا لا کی دانشورانہ ملکیت ہے اور پیشگی تحریری اجازت کے بغیر اسے نقل، دوبارہ تیار یا تقسیم نہیں کیا جا سکتا۔",
+      "صارف کے تجربے کو بہتر بنانے کے لیے یہ ویب سائٹ کوکیز استعمال کرتی ہے۔ اس سائٹ کا استعمال جاری رکھ کر آپ ہماری رازداری کی پالیسی میں بیان کردہ طریقے سے کوکیز کے استعمال پر رضامندی دیتے ہیں۔ ہم آپ کا ڈیٹا کیسے جمع، استعمال اور محفوظ کرتے ہیں، یہ جاننے کے لیے براہ کرم ہماری {privacyPolicy} اور {termsOfUse} پڑھیں۔",
+      "یہ ویب سائٹ اور اس کا تمام مواد کسی بھی واضح یا مضمر ضمانت کے بغیر “جیسا ہے” کی بنیاد پر فراہم کیا جاتا ہے۔ اس ویب سائٹ کی معلومات پر انحصار سے ہونے والے کسی بھی نقصان کی تمام ذمہ داری سے آرنا لا دستبردار ہے۔",
+      "اس ویب سائٹ کے استعمال سے پیدا ہونے والا کوئی بھی تنازع ہندوستان کے قوانین کے تحت ہوگا اور ہندوستان کی مجاز عدالتوں کے خصوصی دائرہ اختیار کے تابع ہوگا۔",
+    ],
+    agree: "“میں متفق ہوں”",
+    closing:
+      "{agree} پر کلک کر کے یا اس ویب سائٹ کا استعمال جاری رکھ کر، آپ تسلیم کرتے ہیں کہ آپ نے اس دستبرداری کی شرائط پڑھ لی ہیں، سمجھ لی ہیں اور قبول کر لی ہیں۔",
+  },
+
+  preview: {
+    label: "پیش منظر",
+    message: "آپ WordPress کا غیر شائع شدہ مواد دیکھ رہے ہیں۔",
+    exit: "پیش منظر سے باہر نکلیں",
+  },
+};
+export default ur;
@@ -0,0 +1,124 @@
+// scripts/check-offline.mjs
+//
+// Smoke-tests a site running on the offline fixtures: the main pages (and one
+// detail page per section, sampled from the sitemaps) must render, and every
+// /api/zoho/* form route must accept a submission without contacting Zoho.
+//
+//   npm run build:offline && npm start                    # in another terminal
+//   node scripts/check-offline.mjs                        # http://localhost:3000
+//   node scripts/check-offline.mjs --base http://localhost:3123
+//
+// Exits with status 1 if any check fails.
+const baseArg = process.argv.indexOf("--base");
+const BASE_URL = (baseArg > -1 ? process.argv[baseArg + 1] : "http://localhost:3000").replace(/\/+$/, "");
+
+// `status` defaults to 200
+const PAGES = [
+  { path: "/" },
+  { path: "/hi" },
+  { path: "/about-us" },
+  { path: "/contact-us" },
+  { path: "/careers" },
+  { path: "/testimonials" },
+  { path: "/practice-areas" },
+  { path: "/industries" },
+  { path: "/insights" },
+  { path: "/publications" },
+  { path: "/podcasts" },
+  { path: "/privacy-policy" },
+  { path: "/terms-of-use" },
+  { path: "/search?q=law" },
+  { path: "/api/search?q=law" },
+  { path: "/robots.txt" },
+  { path: "/sitemap.xml" },
+  { path: "/no-such-page", status: 404 },
+];
+
+// One detail page from each of /sitemaps/<name>.xml
+const SITEMAPS = ["insights", "publications", "aarna-news", "podcasts", "team", "practice-areas", "industries"];
+
+// Bodies match what the site's forms send
+const FORMS = [
+  {
+    route: "Contacts",
+    record: { First_Name: "Offline", Last_Name: "Check", Email: "offline@example.com", Description: "Smoke test" },
+  },
+  { route: "subscribe", record: { Name: "Offline Check", Email: "offline@example.com", Interests: "Insights" } },
+  { route: "publications", record: { Name: "Offline Check", Email: "offline@example.com" } },
+  {
+    route: "current-openings",
+    record: { First_Name: "Offline", Last_Name: "Check", Email: "offline@example.com", Resume: "" },
+  },
+  {
+    route: "internships",
+    record: { First_Name: "Offline", Last_Name: "Check", Email: "offline@example.com", Resume: "" },
+  },
+];
+
+async function request(path, init) {
+  return fetch(`${BASE_URL}${path}`, {
+    redirect: "manual",
+    signal: AbortSignal.timeout(120_000),
+    ...init,
+  });
+}
+
+async function checkPage({ path, status = 200 }) {
+  const response = await request(path);
+  if (response.status !== status) throw new Error(`returned ${response.status}, expected ${status}`);
+}
+
+// Sitemaps list live URLs; check the same path on the site under test,
+// skipping any that redirect (see redirects/redirects.json)
+async function samplePath(sitemap) {
+  const response = await request(`/sitemaps/${sitemap}.xml`);
+  if (!response.ok) throw new Error(`/sitemaps/${sitemap}.xml returned ${response.status}`);
+  for (const [, url] of (await response.text()).matchAll(/<loc>([^<]+)<\/loc>/g)) {
+    const path = new URL(url).pathname;
+    const page = await request(path);
+    if (page.status < 300 || page.status >= 400) return path;
+  }
+  return null;
+}
+
+async function checkForm({ route, record }) {
+  const response = await request(`/api/zoho/${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ data: [record] }),
+  });
+  if (!response.ok) throw new Error(`returned ${response.status}`);
+  const json = await response.json();
+  // Without `offline`, the route tried to reach Zoho
+  if (!json.success || !json.offline) throw new Error(`was not handled offline: ${JSON.stringify(json)}`);
+}
+
+let failed = false;
+async function run(name, check) {
+  try {
+    const skipped = await check();
+    console.log(skipped ? `– ${name}: skipped, ${skipped}` : `✅ ${name}`);
+  } catch (error) {
+    failed = true;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+for (const page of PAGES) {
+  await run(page.path, () => checkPage(page));
+}
+
+for (const sitemap of SITEMAPS) {
+  let path;
+  await run(`/sitemaps/${sitemap}.xml`, async () => {
+    path = await samplePath(sitemap);
+    return path ? null : "no pages";
+  });
+  if (path) await run(path, () => checkPage({ path }));
+}
+
+for (const form of FORMS) {
+  await run(`POST /api/zoho/${form.route}`, () => checkForm(form));
+}
+
+process.exit(failed ? 1 : 0);
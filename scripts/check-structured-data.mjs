@@ -0,0 +1,107 @@
+// scripts/check-structured-data.mjs
+//
+// Checks the JSON-LD on one page of each type against a running site: every
+// page type must carry its expected schema.org types, and every node must
+// pass the rules in lib/structuredDataRules.mjs. Detail pages are sampled
+// from the sitemaps, so the check follows whatever content WordPress has.
+//
+//   npm run dev:offline                                   # in another terminal
+//   node scripts/check-structured-data.mjs                # http://localhost:3000
+//   node scripts/check-structured-data.mjs --base https://staging.aarnalaw.com
+//
+// Exits with status 1 if any page type fails.
+import { graphNodes, graphTypes, validateNode } from "../lib/structuredDataRules.mjs";
+
+const baseArg = process.argv.indexOf("--base");
+const BASE_URL = (baseArg > -1 ? process.argv[baseArg + 1] : "http://localhost:3000").replace(/\/+$/, "");
+
+// `path` pages are checked as is; `sitemap` pages use the first URL listed in
+// /sitemaps/<sitemap>.xml, and are skipped when that section is empty
+const PAGE_TYPES = [
+  { name: "Home", path: "/", types: ["LegalService", "WebSite"] },
+  { name: "Contact", path: "/contact-us", types: ["LegalService"] },
+  { name: "Careers", path: "/careers", types: ["JobPosting"], optional: true },
+  { name: "Podcasts", path: "/podcasts", types: ["PodcastSeries"] },
+  { name: "Insight", sitemap: "insights", types: ["Article", "BreadcrumbList"] },
+  { name: "Publication", sitemap: "publications", types: ["Article", "BreadcrumbList"] },
+  { name: "News", sitemap: "aarna-news", types: ["NewsArticle", "BreadcrumbList"] },
+  { name: "Podcast episode", sitemap: "podcasts", types: ["PodcastEpisode", "BreadcrumbList"] },
+  { name: "Team profile", sitemap: "team", types: ["Person", "BreadcrumbList"] },
+  { name: "Practice area", sitemap: "practice-areas", types: ["BreadcrumbList"] },
+  { name: "Industry", sitemap: "industries", types: ["BreadcrumbList"] },
+];
+
+async function fetchPage(path) {
+  return fetch(`${BASE_URL}${path}`, {
+    redirect: "manual",
+    signal: AbortSignal.timeout(120_000),
+  });
+}
+
+async function fetchText(path) {
+  const response = await fetchPage(path);
+  if (!response.ok) throw new Error(`${path} returned ${response.status}`);
+  return response.text();
+}
+
+// Sitemaps list live URLs; check the same path on the site under test,
+// skipping any that redirect
+async function samplePage(sitemap) {
+  const xml = await fetchText(`/sitemaps/${sitemap}.xml`);
+  for (const [, url] of xml.matchAll(/<loc>([^<]+)<\/loc>/g)) {
+    const path = new URL(url).pathname;
+    const response = await fetchPage(path);
+    if (response.status === 200) return { path, html: await response.text() };
+    if (response.status < 300 || response.status >= 400) {
+      throw new Error(`${path} returned ${response.status}`);
+    }
+  }
+  return null;
+}
+
+function jsonLdDocuments(html) {
+  return [...html.matchAll(/<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g)].map(
+    (match) => JSON.parse(match[1]),
+  );
+}
+
+async function checkPageType(pageType) {
+  const page = pageType.path
+    ? { path: pageType.path, html: await fetchText(pageType.path) }
+    : await samplePage(pageType.sitemap);
+  if (!page) return { path: `/sitemaps/${pageType.sitemap}.xml`, skipped: "no pages" };
+
+  const { path, html } = page;
+  const documents = jsonLdDocuments(html);
+  const types = documents.flatMap(graphTypes);
+  const problems = documents.flatMap(graphNodes).flatMap((node) => validateNode(node));
+
+  const missing = pageType.types.filter((type) => !types.includes(type));
+  if (pageType.optional && missing.length === pageType.types.length) {
+    return { path, skipped: "nothing to mark up" };
+  }
+  // JsonLd leaves out invalid nodes, logging why on the server
+  missing.forEach((type) => problems.push(`no valid ${type} node (see the server log)`));
+  return { path, problems };
+}
+
+let failed = false;
+for (const pageType of PAGE_TYPES) {
+  try {
+    const { path, problems = [], skipped } = await checkPageType(pageType);
+    if (skipped) {
+      console.log(`– ${pageType.name}: skipped, ${skipped} (${path})`);
+    } else if (problems.length) {
+      failed = true;
+      console.log(`❌ ${pageType.name} (${path})`);
+      problems.forEach((problem) => console.log(`   ${problem}`));
+    } else {
+      console.log(`✅ ${pageType.name} (${path})`);
+    }
+  } catch (error) {
+    failed = true;
+    console.log(`❌ ${pageType.name}: ${error.message}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,125 @@
+// scripts/check-translations.mjs
+//
+// Compares every locale file in public/locales with en.js and lists keys
+// that are missing, extra, of the wrong kind (text vs group vs list), or
+// still identical to the English text. Every message must also be valid ICU
+// (lib/messageFormat.mjs) and use the same {placeholders} as its English
+// original, or t() would show a broken or incomplete sentence.
+//
+//   node scripts/check-translations.mjs            # all locales
+//   node scripts/check-translations.mjs hi ta      # just these
+//   node scripts/check-translations.mjs --strict   # extra and identical keys fail too
+//
+// Exits with status 1 if any locale has missing, mismatched or invalid
+// messages. The site shows English for missing ones (see lib/messages.js),
+// so they are gaps rather than crashes, but they should not ship unnoticed.
+import { readFile, readdir } from "node:fs/promises";
+import { diffMessages } from "../lib/translationKeys.mjs";
+import { parseMessage } from "../lib/messageFormat.mjs";
+
+const LOCALES_DIR = new URL("../public/locales/", import.meta.url);
+const REFERENCE = "en";
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const requested = args.filter((arg) => !arg.startsWith("--"));
+const available = (await readdir(LOCALES_DIR))
+  .filter((file) => /^[a-z]{2,3}\.js$/.test(file))
+  .map((file) => file.slice(0, -3));
+const locales = (requested.length ? requested : available).filter((locale) => locale !== REFERENCE);
+
+const CATEGORIES = [
+  { key: "missing", label: "missing", fails: true },
+  { key: "mismatched", label: "wrong kind", fails: true },
+  { key: "invalid", label: "invalid ICU syntax", fails: true },
+  { key: "placeholders", label: "placeholders differ from English", fails: true },
+  { key: "extra", label: "not in en.js", fails: strict },
+  { key: "identical", label: "same as English", fails: strict },
+];
+
+// Locale files are ES modules in a CommonJS package, so load them from source
+async function loadMessages(locale) {
+  const source = await readFile(new URL(`${locale}.js`, LOCALES_DIR), "utf8");
+  const module = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+  return module.default;
+}
+
+// Every text message as [dotted key, text]
+function entries(messages, path = "") {
+  return Object.entries(messages).flatMap(([key, value]) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (typeof value === "string") return [[keyPath, value]];
+    return value && typeof value === "object" ? entries(value, keyPath) : [];
+  });
+}
+
+// Sorted argument names a parsed message uses, e.g. "count,min"
+function argumentNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (typeof node !== "object" || !node.name) continue;
+    names.add(node.name);
+    Object.values(node.options || {}).forEach((option) => argumentNames(option, names));
+  }
+  return [...names].sort().join();
+}
+
+// Keys whose message does not parse, and keys whose arguments differ from
+// the reference message with the same key
+function checkSyntax(messages, referenceArguments = new Map()) {
+  const invalid = [];
+  const placeholders = [];
+  const names = new Map();
+  for (const [key, message] of entries(messages)) {
+    let nodes;
+    try {
+      nodes = parseMessage(message);
+    } catch (error) {
+      invalid.push(`${key}: ${error.message}`);
+      continue;
+    }
+    names.set(key, argumentNames(nodes));
+    const expected = referenceArguments.get(key);
+    if (expected !== undefined && expected !== names.get(key)) {
+      placeholders.push(`${key}: {${names.get(key)}} instead of {${expected}}`);
+    }
+  }
+  return { invalid, placeholders, names };
+}
+
+const reference = await loadMessages(REFERENCE);
+const referenceSyntax = checkSyntax(reference);
+
+let failed = referenceSyntax.invalid.length > 0;
+if (failed) {
+  console.log(`❌ ${REFERENCE}`);
+  console.log(`   invalid ICU syntax (${referenceSyntax.invalid.length}):`);
+  referenceSyntax.invalid.forEach((key) => console.log(`     ${key}`));
+}
+for (const locale of locales) {
+  let messages;
+  try {
+    messages = await loadMessages(locale);
+  } catch (error) {
+    failed = true;
+    console.log(`❌ ${locale}: cannot load public/locales/${locale}.js (${error.message})`);
+    continue;
+  }
+
+  const { invalid, placeholders } = checkSyntax(messages, referenceSyntax.names);
+  const diff = { ...diffMessages(reference, messages), invalid, placeholders };
+  const found = CATEGORIES.filter((category) => diff[category.key].length);
+  const fails = found.some((category) => category.fails);
+  failed ||= fails;
+
+  if (!found.length) {
+    console.log(`✅ ${locale}`);
+    continue;
+  }
+  console.log(`${fails ? "❌" : "⚠️ "} ${locale}`);
+  for (const category of found) {
+    console.log(`   ${category.label} (${diff[category.key].length}):`);
+    diff[category.key].forEach((key) => console.log(`     ${key}`));
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,117 @@
+// scripts/extract-strings.mjs
+//
+// Finds English text written straight into components instead of coming
+// from public/locales: JSX text, user-facing attributes (placeholder, alt,
+// title, aria-label, ...) and string literals rendered inside JSX
+// (`{loading ? "Loading..." : label}`). Each one shows in English on every
+// translated page. Parsing uses the TypeScript compiler, so .js, .jsx and
+// .tsx are read the way Next.js reads them.
+//
+//   node scripts/extract-strings.mjs                   # components/ and app/
+//   node scripts/extract-strings.mjs components/Careers app/page.tsx
+//   node scripts/extract-strings.mjs --json            # for handing to translators
+//   node scripts/extract-strings.mjs --strict          # exit 1 if any are found
+//
+// Text that should stay as it is (brand names, code samples) can be kept out
+// of the list with an `i18n-ignore` comment on its line.
+import { readFile, readdir } from "node:fs/promises";
+import { join, relative } from "node:path";
+import ts from "typescript";
+
+const ROOT = new URL("..", import.meta.url).pathname;
+const DEFAULT_DIRS = ["components", "app"];
+// API routes, feeds and generated files have no visitor-facing text
+const SKIP = /(^|\/)(api|feeds|og|sitemaps?)(\/|$)|\.(test|d)\.|route\.js$/;
+const EXTENSIONS = /\.(js|jsx|tsx)$/;
+const ATTRIBUTES = new Set(["placeholder", "alt", "title", "aria-label", "label", "btnName", "modalTitle"]);
+
+const args = process.argv.slice(2);
+const asJson = args.includes("--json");
+const strict = args.includes("--strict");
+const dirs = args.filter((arg) => !arg.startsWith("--"));
+
+async function listFiles(dir) {
+  if (EXTENSIONS.test(dir)) return [dir];
+  const entries = await readdir(join(ROOT, dir), { withFileTypes: true }).catch(() => []);
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const path = join(dir, entry.name);
+      if (SKIP.test(path)) return [];
+      if (entry.isDirectory()) return listFiles(path);
+      return EXTENSIONS.test(entry.name) ? [path] : [];
+    }),
+  );
+  return files.flat();
+}
+
+// Worth translating: has a word, and is not a URL, path or lowercase key
+const isText = (text) =>
+  /\p{L}{2,}/u.test(text) && !/^(\/|#|https?:|mailto:|tel:)/.test(text) && !/^[a-z0-9_.-]+$/.test(text);
+
+// A string literal that ends up as rendered text: directly in a JSX
+// expression, or as a branch of ?:, || or ?? inside one
+function isRendered(node) {
+  let child = node;
+  let parent = node.parent;
+  while (
+    ts.isConditionalExpression(parent) ||
+    ts.isParenthesizedExpression(parent) ||
+    (ts.isBinaryExpression(parent) &&
+      [ts.SyntaxKind.BarBarToken, ts.SyntaxKind.QuestionQuestionToken].includes(parent.operatorToken.kind))
+  ) {
+    if (ts.isConditionalExpression(parent) && parent.condition === child) return false;
+    child = parent;
+    parent = parent.parent;
+  }
+  return ts.isJsxExpression(parent) && !ts.isJsxAttribute(parent.parent);
+}
+
+function extract(path, source) {
+  const kind = path.endsWith(".tsx") ? ts.ScriptKind.TSX : ts.ScriptKind.JSX;
+  const file = ts.createSourceFile(path, source, ts.ScriptTarget.Latest, true, kind);
+  const lines = source.split("\n");
+  const found = [];
+
+  const add = (node, text) => {
+    const { line } = file.getLineAndCharacterOfPosition(node.getStart(file));
+    if (lines[line].includes("i18n-ignore") || lines[line - 1]?.includes("i18n-ignore")) return;
+    found.push({ file: path, line: line + 1, text: text.replace(/\s+/g, " ").trim() });
+  };
+
+  const visit = (node) => {
+    // CSS in <style> and <style jsx> elements
+    if (ts.isJsxElement(node) && node.openingElement.tagName.getText(file) === "style") return;
+    if (ts.isJsxText(node)) {
+      if (isText(node.text.trim())) add(node, node.text);
+    } else if (ts.isJsxAttribute(node) && ATTRIBUTES.has(node.name.getText(file))) {
+      const value = node.initializer;
+      if (value && ts.isStringLiteral(value) && isText(value.text)) add(value, value.text);
+    } else if ((ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) && isRendered(node)) {
+      if (isText(node.text)) add(node, node.text);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(file);
+  return found;
+}
+
+const files = (await Promise.all((dirs.length ? dirs : DEFAULT_DIRS).map(listFiles))).flat().sort();
+const strings = [];
+for (const path of files) {
+  strings.push(...extract(path, await readFile(join(ROOT, path), "utf8")));
+}
+
+if (asJson) {
+  console.log(JSON.stringify(strings, null, 2));
+} else {
+  let current = null;
+  for (const { file, line, text } of strings) {
+    if (file !== current) console.log(`\n${relative(".", join(ROOT, file))}`);
+    current = file;
+    console.log(`  ${line}: ${text}`);
+  }
+  const fileCount = new Set(strings.map((string) => string.file)).size;
+  console.log(strings.length ? `\n⚠️  ${strings.length} hard-coded strings in ${fileCount} files` : "✅ No hard-coded strings");
+}
+
+process.exit(strict && strings.length ? 1 : 0);
@@ -0,0 +1,142 @@
+// scripts/indexnow-deploy.mjs
+//
+// Runs after `next build` (npm "postbuild") and submits the pages built in
+// code whose code changed since the previous build to IndexNow, in every
+// language. Content pages are submitted by the revalidation webhook instead
+// (lib/indexnow.js). Pages render per request, so there is no built HTML to
+// compare: the URLs come from the prerendered pages sitemap, and each route is
+// fingerprinted by its compiled server module and client chunks. Fingerprints
+// are kept in .next/cache, which build hosts keep between builds; the first
+// build only records them.
+//
+// Only runs for the live site: INDEXNOW_KEY set and NEXT_PUBLIC_SITE_URL
+// pointing at the live URL.
+//
+//   node scripts/indexnow-deploy.mjs            # submit changed routes
+//   node scripts/indexnow-deploy.mjs --dry-run  # only list them
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const NEXT_DIR = join(ROOT, ".next");
+const HASHES_FILE = join(NEXT_DIR, "cache", "indexnow-routes.json");
+const config = JSON.parse(await readFile(join(ROOT, "config.json"), "utf8"));
+
+const ENDPOINT = "https://api.indexnow.org/indexnow";
+// Keep in sync with lib/indexnow.js
+const KEY_PATH = process.env.INDEXNOW_KEY_PATH || "/api.txt";
+
+const dryRun = process.argv.includes("--dry-run");
+const key = process.env.INDEXNOW_KEY;
+const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "").replace(/\/+$/, "");
+
+function skip(reason) {
+  console.log(`IndexNow: skipped (${reason})`);
+  process.exit(0);
+}
+
+const readJson = async (file) => JSON.parse(await readFile(join(NEXT_DIR, file), "utf8"));
+
+// URLs in the pages sitemap by unprefixed path (their x-default alternate):
+// "/about-us" -> ["https://www.aarnalaw.com/about-us", ".../hi/about-us", ...]
+async function sitemapUrls() {
+  const xml = await readFile(join(NEXT_DIR, "server", "app", "sitemaps", "pages.xml.body"), "utf8");
+  const urls = new Map();
+  for (const [, entry] of xml.matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const loc = entry.match(/<loc>([^<]+)<\/loc>/)?.[1]?.replaceAll("&amp;", "&");
+    if (!loc) continue;
+    const main = entry.match(/hreflang="x-default" href="([^"]+)"/)?.[1]?.replaceAll("&amp;", "&");
+    const path = new URL(main || loc).pathname;
+    urls.set(path, [...(urls.get(path) || []), loc]);
+  }
+  return urls;
+}
+
+// Sitemap paths that are routes of their own in app/, by route
+// ("/about-us/page"); WordPress pages served by app/[slug] are content
+async function codeRoutes(urls) {
+  const manifest = await readJson(join("server", "app-paths-manifest.json"));
+  return Object.fromEntries(
+    [...urls.keys()]
+      .map((path) => [`${path === "/" ? "" : path}/page`, path])
+      .filter(([route]) => route in manifest),
+  );
+}
+
+async function hashRoute(route, chunks, buildId) {
+  try {
+    // The build ID changes every build, whatever else did
+    const server = (await readFile(join(NEXT_DIR, "server", "app", `${route}.js`), "utf8")).replaceAll(buildId, "");
+    // Client chunk names carry a hash of their content
+    return createHash("sha256").update(server).update(JSON.stringify(chunks || [])).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+if (!key) skip("INDEXNOW_KEY is not set");
+if (process.env.NEXT_PUBLIC_CONTENT_SOURCE === "fixtures") skip("offline build");
+if (siteUrl !== config.LIVE_SITE_URL) skip(`${siteUrl || "NEXT_PUBLIC_SITE_URL unset"} is not the live site`);
+
+const buildId = (await readFile(join(NEXT_DIR, "BUILD_ID"), "utf8").catch(() => "")).trim();
+if (!buildId) skip("no production build in .next");
+const previous = JSON.parse(await readFile(HASHES_FILE, "utf8").catch(() => "null"));
+
+const urls = await sitemapUrls().catch(() => new Map());
+const routes = await codeRoutes(urls);
+const { pages: clientChunks } = await readJson("app-build-manifest.json");
+
+const hashes = {};
+for (const route of Object.keys(routes)) {
+  const hash = await hashRoute(route, clientChunks[route], buildId);
+  if (hash) hashes[route] = hash;
+}
+
+// An empty list means the build output no longer looks the way this script
+// expects, and every deploy would silently submit nothing
+if (!Object.keys(hashes).length) {
+  console.error(
+    "IndexNow: found no pages to submit in .next/server/app/sitemaps/pages.xml.body and the app-paths manifest",
+  );
+  process.exit(1);
+}
+
+const changed = previous
+  ? Object.keys(hashes).filter((route) => previous[route] !== hashes[route])
+  : [];
+
+if (!previous) {
+  console.log(`IndexNow: recorded ${Object.keys(hashes).length} routes, nothing submitted on the first build`);
+} else if (!changed.length) {
+  console.log("IndexNow: no routes changed");
+} else if (dryRun) {
+  console.log("IndexNow: would submit", changed.flatMap((route) => urls.get(routes[route])));
+} else {
+  const urlList = changed.flatMap((route) => urls.get(routes[route]));
+  try {
+    const res = await fetch(ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json; charset=utf-8" },
+      body: JSON.stringify({
+        host: new URL(siteUrl).host,
+        key,
+        keyLocation: `${siteUrl}${KEY_PATH}`,
+        urlList,
+      }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    console.log(`IndexNow: submitted ${urlList.length} URL(s) of changed routes:`, urlList);
+  } catch (error) {
+    // Never fail a deploy over IndexNow; the routes are tried again next build
+    console.error("IndexNow: submission failed:", error.message);
+    process.exit(0);
+  }
+}
+
+if (!dryRun) {
+  await mkdir(dirname(HASHES_FILE), { recursive: true });
+  await writeFile(HASHES_FILE, JSON.stringify(hashes, null, 2));
+}
@@ -0,0 +1,102 @@
+// scripts/record-fixtures.mjs
+//
+// Records the WordPress REST responses the site uses into
+// fixtures/wordpress/<collection>.json, for NEXT_PUBLIC_CONTENT_SOURCE=fixtures.
+//
+//   npm run fixtures:record                 # everything
+//   npm run fixtures:record -- --limit 20   # at most 20 items per collection
+//   npm run fixtures:record -- posts team   # only some collections
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT_DIR = join(ROOT, "fixtures", "wordpress");
+const config = JSON.parse(await readFile(join(ROOT, "config.json"), "utf8"));
+
+const PER_PAGE = 100;
+
+// Collections fetched with _embed so featured images and terms come along.
+const COLLECTIONS = [
+  "posts",
+  "podcast",
+  "publications",
+  "team",
+  "practice-areas",
+  "industries",
+  "jobs",
+  "pages",
+];
+
+function parseArgs(argv) {
+  const args = { limit: Infinity, only: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--limit") args.limit = Number(argv[++i]) || Infinity;
+    else args.only.push(argv[i]);
+  }
+  return args;
+}
+
+async function getJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
+  return { data: await res.json(), totalPages: Number(res.headers.get("x-wp-totalpages")) || 1 };
+}
+
+async function fetchAll(collection, limit, params = "") {
+  const items = [];
+  for (let page = 1; items.length < limit; page++) {
+    const url = `${config.SERVER_URL}${collection}?_embed&per_page=${PER_PAGE}&page=${page}${params}`;
+    const { data, totalPages } = await getJson(url);
+    items.push(...data);
+    if (page >= totalPages) break;
+  }
+  return items.slice(0, limit);
+}
+
+// Media referenced as featured images, looked up by id when _embed is missing.
+async function fetchMedia(items) {
+  const ids = [...new Set(items.map((item) => item.featured_media).filter(Boolean))];
+  const media = [];
+  for (let i = 0; i < ids.length; i += PER_PAGE) {
+    const include = ids.slice(i, i + PER_PAGE).join(",");
+    const { data } = await getJson(
+      `${config.SERVER_URL}media?include=${include}&per_page=${PER_PAGE}`,
+    );
+    media.push(...data);
+  }
+  return media;
+}
+
+async function save(name, data) {
+  await writeFile(join(OUT_DIR, `${name}.json`), `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`✅ ${name}: ${Array.isArray(data) ? data.length : 1} recorded`);
+}
+
+async function main() {
+  const { limit, only } = parseArgs(process.argv.slice(2));
+  const wanted = (name) => !only.length || only.includes(name);
+
+  await mkdir(OUT_DIR, { recursive: true });
+
+  const recorded = [];
+  for (const collection of COLLECTIONS.filter(wanted)) {
+    const items = await fetchAll(collection, limit);
+    recorded.push(...items);
+    await save(collection, items);
+  }
+
+  if (wanted("archives")) {
+    const { data } = await getJson(`${config.SERVER_URL}archives`);
+    await save("archives", data);
+  }
+
+  if (wanted("media")) {
+    await save("media", await fetchMedia(recorded));
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Recording fixtures failed:", error.message);
+  process.exit(1);
+});
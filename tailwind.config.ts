@@ -13,7 +13,8 @@ const config: Config = {
   theme: {
     extend: {
       fontFamily: {
-        sans: ["Montserrat", "sans-serif"],
+        // --locale-font is the script font of the page's locale, set in app/layout.tsx
+        sans: ["Montserrat", "var(--locale-font, sans-serif)", "sans-serif"],
       },
       colors: {
         bgDark: "#22223b",
@@ -1,6 +1,8 @@
-import { useState, useEffect } from "react";
+import { useContext, useState, useEffect } from "react";
 import { HiX } from "react-icons/hi";
 import configData from "../../../config.json";
+import { isFixtureSource } from "@/lib/contentSource";
+import { LanguageContext } from "@/app/context/LanguageContext";
 
 const PublicationPopupForm = ({
   onSubmit,
@@ -8,6 +10,7 @@ const PublicationPopupForm = ({
   onClose,
   embedded = false,
 }) => {
+  const { t } = useContext(LanguageContext);
   const [formData, setFormData] = useState({
     name: "",
     email: "",
@@ -16,6 +19,8 @@ const PublicationPopupForm = ({
   const [loading, setLoading] = useState(false);
   const [shouldShow, setShouldShow] = useState(false);
   const [error, setError] = useState("");
+  // Set when the error is about the email, to show it under that field
+  const [emailError, setEmailError] = useState(false);
 
   useEffect(() => {
     document.body.style.overflow = "hidden";
@@ -34,9 +39,10 @@ const PublicationPopupForm = ({
     e.preventDefault();
 
     setError("");
+    setEmailError(false);
 
     if (!formData.name || !formData.email) {
-      setError("Please fill in all fields");
+      setError(t("forms.errors.fillAll"));
       return;
     }
 
@@ -83,10 +89,8 @@ const PublicationPopupForm = ({
             duplicateField === "Email" ||
             zohoErrorCode === "DUPLICATE_DATA"
           ) {
-            setError(
-              zohoData.error ||
-                "This email address is already registered. Please use a different email address."
-            );
+            setError(t("forms.errors.emailRegistered"));
+            setEmailError(true);
 
             setLoading(false);
 
@@ -100,14 +104,13 @@ const PublicationPopupForm = ({
         );
       }
 
-      // WORDPRESS SUBMIT
-      const wordpressResponse = await fetch(
-        `${configData.PUBLICATION_USER_FORM}`,
-        {
-          method: "POST",
-          body: formPayload,
-        }
-      );
+      // WORDPRESS SUBMIT (skipped offline, where there is no form endpoint)
+      const wordpressResponse = isFixtureSource()
+        ? { ok: true }
+        : await fetch(`${configData.PUBLICATION_USER_FORM}`, {
+            method: "POST",
+            body: formPayload,
+          });
 
       if (wordpressResponse.ok) {
         // SAVE EMAIL
@@ -141,9 +144,7 @@ const PublicationPopupForm = ({
         return;
       }
     } catch (error) {
-      setError(
-        "An error occurred. Please try again."
-      );
+      setError(t("forms.errors.unknown"));
 
       console.error(
         "An error occurred. Please try again.",
@@ -167,14 +168,14 @@ const PublicationPopupForm = ({
       {!embedded && (
         <div className="-mx-6 -mt-6 mb-6 flex items-center justify-between border-b border-gray-200">
           <h2 className="text-xl font-semibold">
-            Enter Your Details
+            {t("forms.detailsTitle")}
           </h2>
 
           <button
             type="button"
             onClick={onClose}
             className="text-gray-500 hover:text-gray-700"
-            aria-label="Close popup"
+            aria-label={t("forms.close")}
             disabled={loading}
           >
             <HiX className="h-6 w-6" />
@@ -188,7 +189,7 @@ const PublicationPopupForm = ({
             className="mb-2 block text-sm font-medium"
             htmlFor="name"
           >
-            Name
+            {t("forms.name")}
           </label>
 
           <input
@@ -212,15 +213,14 @@ const PublicationPopupForm = ({
             className="mb-2 block text-sm font-medium"
             htmlFor="email"
           >
-            Email
+            {t("forms.email")}
           </label>
 
           <input
             type="email"
             id="email"
             className={`w-full rounded border px-3 py-2 ${
-              error &&
-              error.includes("email")
+              emailError
                 ? "border-red-500 bg-red-50"
                 : "border-gray-300"
             }`}
@@ -233,12 +233,12 @@ const PublicationPopupForm = ({
               });
 
               setError("");
+              setEmailError(false);
             }}
             required
           />
 
-          {error &&
-            error.includes("email") && (
+          {emailError && (
               <p className="mt-1 text-xs text-red-600">
                 {error}
               </p>
@@ -246,7 +246,7 @@ const PublicationPopupForm = ({
         </div>
 
         {error &&
-          !error.includes("email") && (
+          !emailError && (
             <div className="mb-4 rounded bg-red-50 p-3 text-sm text-red-800">
               {error}
             </div>
@@ -259,8 +259,8 @@ const PublicationPopupForm = ({
             className="border border-custom-red px-6 py-2 text-custom-red transition-all duration-300 disabled:cursor-not-allowed disabled:opacity-70 md:px-4 md:py-1.5 md:text-sm md:hover:bg-custom-red md:hover:text-white lg:px-6 lg:py-2 lg:text-base"
           >
             {loading
-              ? "Loading..."
-              : "Submit"}
+              ? t("forms.loading")
+              : t("forms.submit")}
           </button>
         </div>
       </form>
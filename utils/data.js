@@ -161,9 +161,9 @@ export const credentials = [
 ];
 
 export const legalLinks = [
-  { name: "Privacy Policy", href: "/privacy-policy" },
-  { name: "Terms of Use", href: "/terms-of-use" },
-  // { name: "Disclaimer", href: "/disclaimer" },
+  { name: "Privacy Policy", key: "privacyPolicy", href: "/privacy-policy" },
+  { name: "Terms of Use", key: "termsOfUse", href: "/terms-of-use" },
+  // { name: "Disclaimer", key: "disclaimer", href: "/disclaimer" },
 ];
 
 /** Shown in the Contact Us section (form, email, primary phone). */